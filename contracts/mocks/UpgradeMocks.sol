@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../TraderAccountRegistry.sol";
+
+/**
+ * @title TraderAccountRegistryV2Mock
+ * @notice Layout-compatible TraderAccountRegistry upgrade used by the upgrade workflow tests
+ * @dev Appends one state variable after the existing layout. Parent initializers already ran
+ *      on the proxy, so the V2 initializer does not repeat them.
+ * @custom:oz-upgrades-unsafe-allow missing-initializer missing-initializer-call
+ */
+contract TraderAccountRegistryV2Mock is TraderAccountRegistry {
+    uint256 public upgradeMarker;
+
+    function initializeV2(uint256 marker) external reinitializer(2) {
+        upgradeMarker = marker;
+    }
+}
+
+/**
+ * @title TraderAccountRegistryClashMock
+ * @notice Storage-incompatible TraderAccountRegistry replacement used by the upgrade workflow tests
+ * @dev Puts an address where TraderAccountRegistry keeps its first mapping
+ */
+contract TraderAccountRegistryClashMock is
+    UUPSUpgradeable,
+    AccessControlUpgradeable
+{
+    address public clash;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
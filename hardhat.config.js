@@ -1,6 +1,16 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@openzeppelin/hardhat-upgrades");
 require("dotenv/config"); // Import and configure dotenv
+require("./tasks/traders");
+require("./tasks/deployments");
+require("./tasks/roles");
+require("./tasks/access");
+require("./tasks/upgrade");
+require("./tasks/prices");
+require("./tasks/keeper");
+require("./tasks/sdk");
+require("./tasks/governance");
+require("./tasks/parameters");
 
 // Retrieve the private key and API keys from the .env file
 const privateKey = process.env.PRIVATE_KEY;
@@ -51,7 +61,15 @@ module.exports = {
   },
 networks: {
     hardhat: {
-      allowUnlimitedContractSize: true
+      allowUnlimitedContractSize: true,
+      // FORK_URL runs the in-process network on a fork of a live chain (e.g. for KEEPER_SIMULATE)
+      ...(process.env.FORK_URL && {
+        chainId: Number(process.env.FORK_CHAIN_ID || 229),
+        forking: {
+          url: process.env.FORK_URL,
+          ...(process.env.FORK_BLOCK && { blockNumber: Number(process.env.FORK_BLOCK) }),
+        },
+      }),
     },
     'paxeer-network': {
       url: 'https://public-rpc.paxeer.app/rpc',
@@ -0,0 +1,109 @@
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { resolveDeployment } = require("../src/deploy");
+const { loadSigner, keyConfigFromEnv } = require("../src/payouts");
+const { LiquidationKeeper, positionSourceConfig } = require("../src/keeper");
+
+/**
+ * Liquidation keeper
+ *
+ * Usage:
+ *   npx hardhat run scripts/liquidation-keeper.js --network paxeer-network
+ *
+ *   # Simulation against a fork: nothing is sent
+ *   FORK_URL=https://public-rpc.paxeer.app/rpc DEPLOYMENT=paxeer-network KEEPER_SIMULATE=true \
+ *     KEEPER_ADDRESS=0x… npx hardhat run scripts/liquidation-keeper.js --network hardhat
+ *
+ * Env: DEPLOYMENT (deployment name, default: the record for the connected network),
+ *      KEEPER_KEY_BACKEND, KEEPER_PRIVATE_KEY | KEEPER_KEYSTORE_PATH + KEEPER_KEYSTORE_PASSWORD,
+ *      KEEPER_SIMULATE (dry-run every write), KEEPER_ADDRESS (keeper to simulate when no key is set),
+ *      KEEPER_TARGET_STAKE (reward tokens, default twice the minimum stake),
+ *      KEEPER_POSITIONS (open positions: JSON file or http(s) base URL),
+ *      KEEPER_INTERVAL_MS (default 15000), KEEPER_ONCE (run a single tick and exit)
+ */
+async function main() {
+  console.log("🛡️  Starting liquidation keeper...\n");
+
+  // Load deployment
+  const deployment = await resolveDeployment(hre);
+  const { contracts } = deployment;
+  for (const name of ["keeperIncentive", "capitalPool", "traderRegistry", "oracleRegistry"]) {
+    if (!contracts[name]) throw new Error(`${name} is not in deployment ${deployment.name}`);
+  }
+  console.log("📄 Using deployment:", deployment.name);
+
+  const flag = (name) => ["1", "true"].includes((process.env[name] || "").toLowerCase());
+  const simulate = flag("KEEPER_SIMULATE");
+  let signer;
+  if (simulate && process.env.KEEPER_ADDRESS) {
+    signer = new ethers.VoidSigner(process.env.KEEPER_ADDRESS, ethers.provider);
+  } else {
+    signer = await loadSigner(keyConfigFromEnv(process.env, "KEEPER"), ethers.provider);
+    if (simulate) signer = new ethers.VoidSigner(await signer.getAddress(), ethers.provider);
+  }
+
+  const keeper = new LiquidationKeeper({
+    keeperIncentive: await ethers.getContractAt("KeeperIncentive", contracts.keeperIncentive),
+    capitalPool: await ethers.getContractAt("CapitalPool", contracts.capitalPool),
+    traderRegistry: await ethers.getContractAt("TraderAccountRegistry", contracts.traderRegistry),
+    oracleRegistry: await ethers.getContractAt("OracleRegistry", contracts.oracleRegistry),
+    signer,
+    positions: positionSourceConfig(process.env.KEEPER_POSITIONS),
+    targetStake: process.env.KEEPER_TARGET_STAKE ? ethers.parseEther(process.env.KEEPER_TARGET_STAKE) : undefined,
+    simulate,
+  });
+
+  const status = await keeper.status();
+  console.log("🔑 Keeper:", status.keeper.address, simulate ? "(simulation: nothing is sent)" : "");
+  console.log(
+    `   ${status.keeper.registered ? status.keeper.status : "Not registered"}, stake ${ethers.formatEther(status.keeper.stakedAmount)}` +
+      ` / target ${ethers.formatEther(status.targetStake)}, reputation ${status.keeper.reputation / 100}%` +
+      `, rewards ${ethers.formatEther(status.keeper.totalRewards)}`,
+  );
+  if (!status.authorized) {
+    console.warn("🚨 WARNING: Keeper does not hold PAYOUT_MANAGER_ROLE on traderRegistry. Its breaches will revert.");
+  }
+  for (const warning of status.warnings) {
+    console.warn(`⚠️  WARNING: The keeper key holds ${warning}. See docs/KEEPER.md.`);
+  }
+
+  const onTick = ({ stake, keeper: info, breaches, failed }) => {
+    if (stake) {
+      const amount = ethers.formatEther(stake.amount);
+      const register = stake.action === "register";
+      console.log(
+        stake.simulated
+          ? `🧪 Would ${register ? "register with" : "top up"} ${amount} stake`
+          : `💰 ${register ? "Registered with" : "Topped up"} ${amount} stake`,
+      );
+    }
+    if (info.status !== "Active") console.log(`⚠️  Keeper is ${info.status} in KeeperIncentive`);
+    for (const { traderId, reason, simulated, txHash, gasEstimate } of breaches) {
+      console.log(
+        `${simulated ? "🧪 Would breach" : "🔨 Breached"} ${traderId}: ${reason} (${simulated ? `gas ~${gasEstimate}` : txHash})`,
+      );
+    }
+    for (const { stage, traderId, error } of failed) {
+      console.log(`❌ ${stage}${traderId ? ` ${traderId}` : ""}: ${error}`);
+    }
+  };
+
+  // A fork does not move on by itself, so a simulation is a single pass
+  if (flag("KEEPER_ONCE") || simulate) {
+    const report = await keeper.tick();
+    onTick(report);
+    console.log(`\n📊 ${report.accounts.length} allocations checked, ${report.breaches.length} breaches`);
+    return;
+  }
+
+  process.on("SIGINT", () => keeper.stop());
+  process.on("SIGTERM", () => keeper.stop());
+  await keeper.run({ interval: Number(process.env.KEEPER_INTERVAL_MS || 15000), onTick });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,100 @@
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { resolveDeployment, loadManifest } = require("../src/deploy");
+const { loadSigner, keyConfigFromEnv } = require("../src/payouts");
+const { loadFeedConfig, connectOracles, OracleFeeder, MarketScheduler } = require("../src/oracles");
+
+/**
+ * Oracle feeder daemon
+ *
+ * Usage:
+ *   npx hardhat run scripts/oracle-feeder.js --network paxeer-network
+ *
+ * Env: DEPLOYMENT (deployment name, default: the record for the connected network),
+ *      FEED_CONFIG (network name or file, default: deploy/feeds/<network>.json),
+ *      FEEDER_KEY_BACKEND, FEEDER_PRIVATE_KEY | FEEDER_KEYSTORE_PATH + FEEDER_KEYSTORE_PASSWORD,
+ *      FEEDER_INTERVAL_MS (default 5000), FEEDER_ONCE (run a single tick and exit),
+ *      ORACLE_ADMIN_KEY_BACKEND, ORACLE_ADMIN_PRIVATE_KEY | ORACLE_ADMIN_KEYSTORE_PATH + _PASSWORD
+ *      (ADMIN_ROLE signer for the market-hours scheduler, used when the feed config has `markets`)
+ */
+async function main() {
+  console.log("📡 Starting oracle feeder...\n");
+
+  // Load deployment
+  const deployment = await resolveDeployment(hre);
+  const config = loadFeedConfig(process.env.FEED_CONFIG || hre.network.name);
+
+  console.log("📄 Using deployment:", deployment.name);
+  console.log("📋 Feed config:", config.file, `(${config.feeds.length} feeds)`);
+
+  let manifest;
+  try {
+    manifest = loadManifest(deployment.network);
+  } catch {
+    // Records written by the deployer carry their artifacts
+  }
+
+  const signer = await loadSigner(keyConfigFromEnv(process.env, "FEEDER"), ethers.provider);
+  const oracles = await connectOracles({
+    ethers,
+    record: deployment,
+    signer,
+    names: config.feeds.map((feed) => feed.oracle),
+    manifest,
+  });
+
+  let scheduler;
+  if (config.markets.length > 0) {
+    const admin = await loadSigner(keyConfigFromEnv(process.env, "ORACLE_ADMIN"), ethers.provider);
+    scheduler = new MarketScheduler({ markets: config.markets, oracles, admin });
+    console.log(
+      "🕒 Market calendars:",
+      config.markets.map((market) => `${market.oracle}=${market.calendar}`).join(", "),
+    );
+    for (const name of new Set(config.markets.map((market) => market.oracle))) {
+      const { contract } = oracles[name];
+      if (!(await contract.hasRole(await contract.ADMIN_ROLE(), await admin.getAddress()))) {
+        console.warn(`🚨 WARNING: Oracle admin does not hold ADMIN_ROLE on ${name}. Its market flags will not change.`);
+      }
+    }
+  }
+  const feeder = new OracleFeeder({ config, oracles, provider: ethers.provider, scheduler });
+
+  const { feeder: address, oracles: roles } = await feeder.status();
+  console.log("🔑 Feeder:", address);
+  for (const { name } of roles.filter((entry) => !entry.authorized)) {
+    console.warn(`🚨 WARNING: Feeder does not hold FEEDER_ROLE on ${name}. Its updates will revert.`);
+  }
+
+  const quiet = ["fresh", "market closed"];
+  const onReport = ({ updates, skipped, failed, sessions }) => {
+    for (const { oracle, action, symbol, error } of sessions?.failed || []) {
+      console.log(`❌ ${oracle}${symbol ? `.${symbol}` : ""} ${action}: ${error}`);
+    }
+    for (const { oracle, symbol, price, confidence, reason } of updates) {
+      console.log(`✅ ${oracle}.${symbol} = ${price} (±${confidence} bps, ${reason})`);
+    }
+    for (const { oracle, symbol, reason } of skipped.filter((entry) => !quiet.includes(entry.reason))) {
+      console.log(`⏭️  ${oracle}.${symbol}: ${reason}`);
+    }
+    for (const { oracle, symbol, error } of failed) {
+      console.log(`❌ ${oracle}.${symbol}: ${error}`);
+    }
+  };
+
+  if (["1", "true"].includes((process.env.FEEDER_ONCE || "").toLowerCase())) {
+    onReport(await feeder.tick());
+    return;
+  }
+
+  process.on("SIGINT", () => feeder.stop());
+  process.on("SIGTERM", () => feeder.stop());
+  await feeder.run({ interval: Number(process.env.FEEDER_INTERVAL_MS || 5000), onReport });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
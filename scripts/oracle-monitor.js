@@ -0,0 +1,108 @@
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { resolveDeployment, loadManifest } = require("../src/deploy");
+const { loadFeedConfig, connectOracles, MarketScheduler } = require("../src/oracles");
+const { REGISTRY_ABI, AlertManager, OracleMonitor, createMonitorApp } = require("../src/monitor");
+
+/**
+ * Oracle health monitor
+ *
+ * Usage:
+ *   npx hardhat run scripts/oracle-monitor.js --network paxeer-network
+ *
+ * Env: DEPLOYMENT (deployment name, default: the record for the connected network),
+ *      FEED_CONFIG (network name or file, default: deploy/feeds/<network>.json if present),
+ *      MONITOR_PORT (default 9464), MONITOR_INTERVAL_MS (default 15000),
+ *      MONITOR_WEBHOOK_URLS (comma-separated), MONITOR_FEEDERS (comma-separated, default ORACLE_FEEDER_ADDRESS),
+ *      MONITOR_REFERENCE (false to skip the reference price check), MONITOR_LOOKBACK_BLOCKS (default 5000)
+ */
+async function main() {
+  console.log("🩺 Starting oracle monitor...\n");
+
+  // Load deployment
+  const deployment = await resolveDeployment(hre);
+  if (!deployment.contracts.oracleRegistry) {
+    throw new Error(`oracleRegistry is not in deployment ${deployment.name}`);
+  }
+  console.log("📄 Using deployment:", deployment.name);
+
+  let config;
+  try {
+    config = loadFeedConfig(process.env.FEED_CONFIG || hre.network.name);
+    console.log("📋 Feed config:", config.file);
+  } catch (error) {
+    if (process.env.FEED_CONFIG) throw error;
+    console.log("📋 No feed config; symbols are labelled by hash and reference prices are skipped");
+  }
+
+  let scheduler;
+  if (config?.markets.length > 0) {
+    let manifest;
+    try {
+      manifest = loadManifest(deployment.network);
+    } catch {
+      // Records written by the deployer carry their artifacts
+    }
+    const oracles = await connectOracles({
+      ethers,
+      record: deployment,
+      signer: ethers.provider,
+      names: config.markets.map((market) => market.oracle),
+      manifest,
+    });
+    scheduler = new MarketScheduler({ markets: config.markets, oracles });
+  }
+
+  const list = (value) =>
+    (value || "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+  const monitor = new OracleMonitor({
+    registry: new ethers.Contract(deployment.contracts.oracleRegistry, REGISTRY_ABI, ethers.provider),
+    provider: ethers.provider,
+    config,
+    reference: (process.env.MONITOR_REFERENCE || "true").toLowerCase() !== "false",
+    scheduler,
+    feeders: list(process.env.MONITOR_FEEDERS || process.env.ORACLE_FEEDER_ADDRESS),
+    alerts: new AlertManager({
+      webhooks: list(process.env.MONITOR_WEBHOOK_URLS),
+      repeatInterval: config?.monitor?.repeatInterval,
+    }),
+    lookbackBlocks: Number(process.env.MONITOR_LOOKBACK_BLOCKS || 5000),
+  });
+  console.log("🚦 Thresholds:", JSON.stringify(monitor.thresholds));
+  console.log("🔔 Webhooks:", monitor.alerts.webhooks.length);
+
+  const interval = Number(process.env.MONITOR_INTERVAL_MS || 15000);
+  const port = Number(process.env.MONITOR_PORT || 9464);
+  const app = createMonitorApp(monitor, { maxPollAge: interval * 4 });
+  const server = app.listen(port, () => console.log(`✅ Metrics on http://localhost:${port}/metrics\n`));
+
+  let firing = new Set();
+  const onReport = (report) => {
+    const now = new Set(report.firing.map((alert) => alert.key));
+    for (const alert of report.firing.filter((entry) => !firing.has(entry.key))) {
+      console.log(`🚨 [${alert.severity}] ${alert.summary}`);
+    }
+    for (const key of [...firing].filter((key) => !now.has(key))) {
+      console.log(`✅ Resolved ${key}`);
+    }
+    firing = now;
+  };
+
+  const stop = () => {
+    monitor.stop();
+    server.close();
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+  await monitor.run({ interval, onReport });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
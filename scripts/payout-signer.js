@@ -0,0 +1,56 @@
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { resolveDeployment } = require("../src/deploy");
+const { PayoutSigner, createPayoutSignerApp, loadSigner, keyConfigFromEnv } = require("../src/payouts");
+
+/**
+ * Payout signature service
+ *
+ * Usage:
+ *   npx hardhat run scripts/payout-signer.js --network paxeer-network
+ *
+ * Env: DEPLOYMENT (deployment name, default: the record for the connected network),
+ *      OPERATOR_KEY_BACKEND, OPERATOR_PRIVATE_KEY | OPERATOR_KEYSTORE_PATH + OPERATOR_KEYSTORE_PASSWORD,
+ *      PAYOUT_SIGNER_PORT (default 8787), PAYOUT_SIGNER_HOST (default 127.0.0.1)
+ */
+async function main() {
+  console.log("✍️  Starting payout signer...\n");
+
+  // Load deployment
+  const deployment = await resolveDeployment(hre);
+  const contracts = deployment.contracts;
+
+  console.log("📄 Using deployment:", deployment.name);
+
+  const signer = await loadSigner(keyConfigFromEnv(), ethers.provider);
+  const payoutSigner = new PayoutSigner({
+    payoutManager: await ethers.getContractAt("PayoutManager", contracts.payoutManager),
+    traderRegistry: await ethers.getContractAt("TraderAccountRegistry", contracts.traderRegistry),
+    signer,
+  });
+
+  const { operator, authorized } = await payoutSigner.status();
+  console.log("🔑 Operator:", operator);
+  if (!authorized) {
+    console.warn("🚨 WARNING: Operator does not hold OPERATOR_ROLE on PayoutManager. Signatures will be rejected.");
+  }
+
+  const port = Number(process.env.PAYOUT_SIGNER_PORT || 8787);
+  const host = process.env.PAYOUT_SIGNER_HOST || "127.0.0.1";
+  const app = createPayoutSignerApp(payoutSigner);
+
+  await new Promise((resolve, reject) => {
+    const server = app.listen(port, host, () => console.log(`✅ Listening on http://${host}:${port}\n`));
+    server.on("error", reject);
+    server.on("close", resolve);
+    process.on("SIGINT", () => server.close());
+    process.on("SIGTERM", () => server.close());
+  });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
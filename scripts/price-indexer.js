@@ -0,0 +1,88 @@
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { resolveDeployment } = require("../src/deploy");
+const { loadFeedConfig } = require("../src/oracles");
+const { ASSET_CLASSES } = require("../src/monitor");
+const { ScyllaPriceStore, PriceIndexer, DEFAULT_INTERVALS, scyllaConfigFromEnv } = require("../src/history");
+
+/**
+ * Oracle price history indexer
+ *
+ * Usage:
+ *   npx hardhat run scripts/price-indexer.js --network paxeer-network
+ *
+ * Env: DEPLOYMENT (deployment name, default: the record for the connected network),
+ *      FEED_CONFIG (network name or file, for symbol names; default: deploy/feeds/<network>.json if present),
+ *      SCYLLA_CONTACT_POINTS (comma-separated, default localhost:9042), SCYLLA_LOCAL_DC (default datacenter1),
+ *      SCYLLA_KEYSPACE (default chainflow_market_data), SCYLLA_USERNAME, SCYLLA_PASSWORD,
+ *      SCYLLA_REPLICATION (JSON replication map; creates the keyspace when set),
+ *      INDEXER_FROM_BLOCK (first block when no cursor is stored, default 0), INDEXER_CONFIRMATIONS (default 2),
+ *      INDEXER_INTERVAL_MS (default 5000), CANDLE_INTERVALS (comma-separated, default 1m,1h,1d),
+ *      INDEXER_ONCE (sync to the head and exit)
+ */
+async function main() {
+  console.log("🗄️  Starting price indexer...\n");
+
+  // Load deployment
+  const deployment = await resolveDeployment(hre);
+  const oracles = ASSET_CLASSES.map((assetClass) => `${assetClass}Oracle`)
+    .filter((name) => deployment.contracts[name])
+    .map((name) => ({ name, address: deployment.contracts[name] }));
+  if (oracles.length === 0) {
+    throw new Error(`No oracles in deployment ${deployment.name}`);
+  }
+  console.log("📄 Using deployment:", deployment.name);
+  console.log("🔮 Oracles:", oracles.map((oracle) => oracle.name).join(", "));
+
+  let symbols = [];
+  try {
+    symbols = loadFeedConfig(process.env.FEED_CONFIG || hre.network.name).feeds.map((feed) => feed.symbol);
+  } catch (error) {
+    if (process.env.FEED_CONFIG) throw error;
+    console.log("📋 No feed config; ticks are stored without symbol names");
+  }
+
+  const scylla = scyllaConfigFromEnv(process.env);
+  const store = await ScyllaPriceStore.connect(scylla);
+  await store.migrate({
+    replication: process.env.SCYLLA_REPLICATION ? JSON.parse(process.env.SCYLLA_REPLICATION) : undefined,
+  });
+  console.log(`💾 Scylla: ${scylla.contactPoints.join(", ")} / ${store.keyspace}`);
+
+  const indexer = new PriceIndexer({
+    provider: ethers.provider,
+    oracles,
+    store,
+    symbols,
+    intervals: process.env.CANDLE_INTERVALS
+      ? process.env.CANDLE_INTERVALS.split(",").map((interval) => interval.trim())
+      : DEFAULT_INTERVALS,
+    fromBlock: Number(process.env.INDEXER_FROM_BLOCK || 0),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 2),
+  });
+  console.log("🕯️  Candles:", indexer.intervals.join(", "), "\n");
+
+  const onSync = ({ from, to, ticks, candles }) => {
+    if (to >= from) console.log(`📥 Blocks ${from}-${to}: ${ticks} ticks, ${candles} candles`);
+  };
+
+  try {
+    if (process.env.INDEXER_ONCE) {
+      onSync(await indexer.sync());
+      return;
+    }
+    const stop = () => indexer.stop();
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+    await indexer.run({ interval: Number(process.env.INDEXER_INTERVAL_MS || 5000), onSync });
+  } finally {
+    await store.close();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
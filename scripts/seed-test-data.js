@@ -1,25 +1,28 @@
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { resolveDeployment } = require("../src/deploy");
+const { loadSigner, keyConfigFromEnv } = require("../src/payouts");
+
+/**
+ * Seed oracle prices and a sample settlement batch on a fresh deployment
+ *
+ * Env: DEPLOYMENT (deployment name, default: the record for the connected network),
+ *      FEEDER_KEY_BACKEND / FEEDER_PRIVATE_KEY / FEEDER_KEYSTORE_* (the ORACLE_FEEDER_ADDRESS key:
+ *      the manifest revokes the deployer's FEEDER_ROLE, so prices are posted by the feeder)
+ */
 
 async function main() {
   console.log("🌱 Seeding test data...\n");
 
   const [deployer] = await ethers.getSigners();
 
-  // Load deployment
-  const deploymentsDir = path.join(__dirname, "../deployments");
-  const files = fs.readdirSync(deploymentsDir);
-  const latestFile = files
-    .filter(f => f.endsWith('.json'))
-    .sort()
-    .reverse()[0];
-
-  const deployment = JSON.parse(fs.readFileSync(path.join(deploymentsDir, latestFile), 'utf8'));
+  // Load deployment (DEPLOYMENT=<name> to pick one explicitly)
+  const deployment = await resolveDeployment(hre);
   const contracts = deployment.contracts;
 
-  console.log("📄 Using deployment:", latestFile, "\n");
+  console.log("📄 Using deployment:", deployment.name, "\n");
+
+  const feeder = await loadSigner(keyConfigFromEnv(process.env, "FEEDER"), ethers.provider);
 
   // ═══════════════════════════════════════════════════════════════════════
   // 1. SEED ORACLE PRICES
@@ -27,7 +30,13 @@ async function main() {
 
   console.log("1. Seeding Oracle Prices...\n");
 
-  const cryptoOracle = await ethers.getContractAt("CryptoPriceOracle", contracts.cryptoOracle);
+  const cryptoOracle = await ethers.getContractAt("CryptoPriceOracle", contracts.cryptoOracle, feeder);
+  if (!(await cryptoOracle.hasRole(await cryptoOracle.FEEDER_ROLE(), feeder.address))) {
+    throw new Error(
+      `${feeder.address} does not hold FEEDER_ROLE; set FEEDER_PRIVATE_KEY to the ORACLE_FEEDER_ADDRESS key`
+    );
+  }
+  console.log("  - Feeder:", feeder.address);
   
   // BTC/USD
   console.log("  - Setting BTC/USD: $45,000");
@@ -56,7 +65,7 @@ async function main() {
   console.log("✅ Crypto prices seeded\n");
 
   // Stock Oracle
-  const stockOracle = await ethers.getContractAt("StockPriceOracle", contracts.stockOracle);
+  const stockOracle = await ethers.getContractAt("StockPriceOracle", contracts.stockOracle, feeder);
   
   console.log("  - Setting AAPL/USD: $175");
   await stockOracle.updateStockPrice(
@@ -79,7 +88,7 @@ async function main() {
   console.log("✅ Stock prices seeded\n");
 
   // Forex Oracle
-  const forexOracle = await ethers.getContractAt("ForexPriceOracle", contracts.forexOracle);
+  const forexOracle = await ethers.getContractAt("ForexPriceOracle", contracts.forexOracle, feeder);
   
   console.log("  - Setting EUR/USD: 1.08");
   await forexOracle.updateForexPrice(
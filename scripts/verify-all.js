@@ -1,57 +1,36 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
 
+/**
+ * Verify every deployed implementation on the block explorer and link its proxy
+ *
+ * Usage:
+ *   pnpm hardhat run scripts/verify-all.js --network paxeer-network
+ *
+ * Env:
+ *   DEPLOYMENT        deployment name (default: the record for the connected network)
+ *   VERIFY_CONTRACTS  comma-separated contract names (default: all)
+ *   FORCE             re-submit contracts already recorded as verified
+ *
+ * Progress is written to the deployment record's `verification` section after each
+ * contract, so re-running only picks up what is left. See docs/VERIFICATION.md.
+ */
 async function main() {
   console.log("🔍 Starting contract verification on Etherscan/Block Explorer...\n");
 
-  // Load latest deployment
-  const deploymentsDir = path.join(__dirname, "../deployments");
-  const files = fs.readdirSync(deploymentsDir);
-  const latestFile = files
-    .filter(f => f.endsWith('.json'))
-    .sort()
-    .reverse()[0];
-
-  if (!latestFile) {
-    console.error("❌ No deployment file found!");
-    process.exit(1);
-  }
-
-  const deploymentPath = path.join(deploymentsDir, latestFile);
-  const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-
-  console.log("📄 Using deployment:", latestFile);
-  console.log("Network:", deployment.network);
-  console.log("Chain ID:", deployment.chainId, "\n");
-
-  const contracts = deployment.contracts;
-
-  // Verify each contract
-  for (const [name, address] of Object.entries(contracts)) {
-    try {
-      console.log(`Verifying ${name} at ${address}...`);
-      
-      await hre.run("verify:verify", {
-        address: address,
-        constructorArguments: []
-      });
+  const verification = await hre.run("deployments:verify", {
+    deployment: process.env.DEPLOYMENT,
+    contracts: process.env.VERIFY_CONTRACTS,
+    force: ["1", "true"].includes((process.env.FORCE || "").toLowerCase()),
+  });
 
-      console.log(`✅ ${name} verified\n`);
-    } catch (error) {
-      if (error.message.includes("Already Verified")) {
-        console.log(`✅ ${name} already verified\n`);
-      } else {
-        console.log(`❌ ${name} verification failed:`, error.message, "\n");
-      }
-    }
+  const failed = Object.values(verification).filter((entry) => entry.status !== "verified" || entry.proxy !== "linked");
+  if (failed.length > 0) {
+    process.exitCode = 1;
   }
-
-  console.log("✅ Verification complete!");
 }
 
 main()
-  .then(() => process.exit(0))
+  .then(() => process.exit(process.exitCode || 0))
   .catch((error) => {
     console.error(error);
     process.exit(1);
@@ -0,0 +1,18 @@
+// Generated by `npx hardhat sdk:generate` from the compiled artifacts. Do not edit.
+module.exports = {
+  OperatorRegistry: require("./OperatorRegistry.json"),
+  Vault: require("./Vault.json"),
+  CapitalPool: require("./CapitalPool.json"),
+  TraderAccountRegistry: require("./TraderAccountRegistry.json"),
+  TradeLedger: require("./TradeLedger.json"),
+  PayoutManager: require("./PayoutManager.json"),
+  GovernanceManager: require("./GovernanceManager.json"),
+  InsuranceFund: require("./InsuranceFund.json"),
+  KeeperIncentive: require("./KeeperIncentive.json"),
+  CryptoPriceOracle: require("./CryptoPriceOracle.json"),
+  StockPriceOracle: require("./StockPriceOracle.json"),
+  ForexPriceOracle: require("./ForexPriceOracle.json"),
+  CommodityPriceOracle: require("./CommodityPriceOracle.json"),
+  IndexPriceOracle: require("./IndexPriceOracle.json"),
+  OracleRegistry: require("./OracleRegistry.json"),
+};
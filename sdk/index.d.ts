@@ -0,0 +1,81 @@
+import type { ContractRunner, InterfaceAbi } from "ethers";
+import type { ChainFlowContracts, ContractName } from "./types";
+
+export * from "./types";
+
+/** Contracts of a ChainFlow deployment: deployment record name → compiled artifact */
+export declare const CONTRACTS: { readonly [K in ContractName]: string };
+
+/** ABIs shipped with the SDK, by artifact name */
+export declare const ABIS: { readonly [artifact: string]: InterfaceAbi };
+
+/** Deployment record, as written to `deployments/<name>.json` */
+export interface DeploymentRecord {
+  name?: string;
+  network?: string;
+  chainId?: string | number | bigint;
+  contracts: { [name: string]: string };
+  /** Artifact per contract, when the record was written by the deployer */
+  artifacts?: { [name: string]: string };
+  [field: string]: unknown;
+}
+
+export declare function loadDeployment(source: string | DeploymentRecord): DeploymentRecord;
+
+/** Typed contracts of one deployment; a contract the deployment lacks throws when accessed */
+export declare class ChainFlow {
+  constructor(deployment: string | DeploymentRecord, runner: ContractRunner);
+  readonly deployment: DeploymentRecord;
+  readonly runner: ContractRunner;
+  readonly contracts: Partial<ChainFlowContracts>;
+  has(name: ContractName | string): boolean;
+  get<K extends ContractName>(name: K): ChainFlowContracts[K];
+  connect(runner: ContractRunner): ChainFlow;
+  decodeError(error: unknown): ChainFlowError | null;
+}
+export interface ChainFlow extends Readonly<ChainFlowContracts> {}
+
+export interface ConnectOptions {
+  /** Fail when the runner is on another chain than the record (default true) */
+  checkChain?: boolean;
+}
+
+export declare function connect(
+  deployment: string | DeploymentRecord,
+  runner: ContractRunner,
+  options?: ConnectOptions,
+): Promise<ChainFlow>;
+
+export declare const PRICE_DECIMALS: 8;
+export declare const USD_DECIMALS: 18;
+export declare function symbolKey(symbol: string): string;
+export declare function toPrice(value: number | string | bigint): bigint;
+export declare function fromPrice(units: bigint | string): string;
+export declare function toUsd(value: number | string | bigint): bigint;
+export declare function fromUsd(units: bigint | string): string;
+
+export declare const ERROR_SELECTOR: "0x08c379a0";
+export declare const PANIC_SELECTOR: "0x4e487b71";
+export declare const PANIC_REASONS: { readonly [code: number]: string };
+
+export type ChainFlowErrorKind = "revert" | "panic" | "custom" | "unknown";
+
+export declare class ChainFlowError extends Error {
+  readonly kind: ChainFlowErrorKind;
+  /** require() string, or the panic description */
+  readonly reason: string | null;
+  /** Panic code */
+  readonly code: number | null;
+  /** Custom error name, e.g. "AccessControlUnauthorizedAccount" */
+  readonly errorName: string | null;
+  /** "Error(string)", "Panic(uint256)" or the custom error signature */
+  readonly signature: string | null;
+  /** Custom error arguments by name (by index when unnamed) */
+  readonly args: { [name: string]: unknown };
+  readonly data: string;
+  readonly cause: unknown;
+}
+
+export declare function revertData(error: unknown): string | null;
+export declare function decodeRevertData(data: string, options?: { cause?: unknown }): ChainFlowError;
+export declare function decodeError(error: unknown): ChainFlowError | null;
@@ -0,0 +1,35 @@
+const ABIS = require("./abi");
+const { CONTRACTS } = require("./lib/contracts");
+const { loadDeployment, ChainFlow, connect } = require("./lib/chainflow");
+const { PRICE_DECIMALS, USD_DECIMALS, symbolKey, toPrice, fromPrice, toUsd, fromUsd } = require("./lib/units");
+const {
+  ERROR_SELECTOR,
+  PANIC_SELECTOR,
+  PANIC_REASONS,
+  ChainFlowError,
+  revertData,
+  decodeRevertData,
+  decodeError,
+} = require("./lib/errors");
+
+module.exports = {
+  ABIS,
+  CONTRACTS,
+  loadDeployment,
+  ChainFlow,
+  connect,
+  PRICE_DECIMALS,
+  USD_DECIMALS,
+  symbolKey,
+  toPrice,
+  fromPrice,
+  toUsd,
+  fromUsd,
+  ERROR_SELECTOR,
+  PANIC_SELECTOR,
+  PANIC_REASONS,
+  ChainFlowError,
+  revertData,
+  decodeRevertData,
+  decodeError,
+};
@@ -0,0 +1,119 @@
+const { ethers } = require("ethers");
+const ABIS = require("../abi");
+const { CONTRACTS } = require("./contracts");
+const { decodeError } = require("./errors");
+
+/**
+ * Read a deployment record (`deployments/<name>.json`)
+ * @param {string|object} source Path to the record, or the record itself
+ * @returns {object} Record ({ name, network, chainId, contracts, artifacts? })
+ */
+function loadDeployment(source) {
+  // Required here so browser bundles that only pass records never pull in fs
+  const record = typeof source === "string" ? JSON.parse(require("fs").readFileSync(source, "utf8")) : source;
+  if (!record || typeof record.contracts !== "object" || record.contracts === null) {
+    throw new Error("ChainFlow: Deployment record has no contracts");
+  }
+  return record;
+}
+
+/**
+ * Typed contracts of one deployment, bound to a signer or provider
+ *
+ * Each contract of the record is an ethers Contract built from the SDK's ABIs, reachable as
+ * `chainflow.tradeLedger` (throws when the deployment lacks it) or `chainflow.contracts.tradeLedger`
+ * (undefined when it lacks it). Artifacts come from the record's `artifacts` when present, else
+ * from `CONTRACTS`; contracts with neither are left out.
+ */
+class ChainFlow {
+  /**
+   * @param {object} deployment Deployment record
+   * @param {import("ethers").ContractRunner} runner Signer (Hardhat or ethers) or provider
+   */
+  constructor(deployment, runner) {
+    if (!runner) {
+      throw new Error("ChainFlow: A signer or provider is required");
+    }
+    this.deployment = loadDeployment(deployment);
+    this.runner = runner;
+    this.contracts = {};
+    for (const [name, address] of Object.entries(this.deployment.contracts)) {
+      const abi = ABIS[this.deployment.artifacts?.[name] || CONTRACTS[name]];
+      if (abi) this.contracts[name] = new ethers.Contract(address, abi, runner);
+    }
+  }
+
+  /**
+   * @param {string} name Record name (e.g. "tradeLedger")
+   * @returns {boolean} Whether the deployment has the contract
+   */
+  has(name) {
+    return name in this.contracts;
+  }
+
+  /**
+   * @param {string} name Record name (e.g. "tradeLedger")
+   * @returns {import("ethers").Contract}
+   */
+  get(name) {
+    if (!this.has(name)) {
+      throw new Error(`ChainFlow: No ${name} in deployment ${this.deployment.name || "record"}`);
+    }
+    return this.contracts[name];
+  }
+
+  /**
+   * Same deployment with another runner, e.g. a signer after reading with a provider
+   * @param {import("ethers").ContractRunner} runner Signer or provider
+   * @returns {ChainFlow}
+   */
+  connect(runner) {
+    return new ChainFlow(this.deployment, runner);
+  }
+
+  /**
+   * Decode the revert behind an error thrown by one of the contracts
+   * @param {*} error Thrown error
+   * @returns {import("./errors").ChainFlowError|null}
+   */
+  decodeError(error) {
+    return decodeError(error);
+  }
+}
+
+for (const name of Object.keys(CONTRACTS)) {
+  Object.defineProperty(ChainFlow.prototype, name, {
+    get() {
+      return this.get(name);
+    },
+  });
+}
+
+/**
+ * Load a deployment and bind its contracts to a signer or provider
+ * @param {string|object} deployment Path to a deployment record, or the record
+ * @param {import("ethers").ContractRunner} runner Hardhat signer, ethers signer or provider
+ * @param {object} [options]
+ * @param {boolean} [options.checkChain=true] Fail when the runner is on another chain than the record
+ * @returns {Promise<ChainFlow>}
+ */
+async function connect(deployment, runner, { checkChain = true } = {}) {
+  const chainflow = new ChainFlow(deployment, runner);
+  const provider = runner.provider || runner;
+  if (checkChain && chainflow.deployment.chainId !== undefined && typeof provider.getNetwork === "function") {
+    const { chainId } = await provider.getNetwork();
+    if (BigInt(chainflow.deployment.chainId) !== chainId) {
+      throw new Error(
+        `ChainFlow: Deployment ${chainflow.deployment.name || "record"} is on chain ${chainflow.deployment.chainId}, ` +
+          `the runner is on chain ${chainId}`,
+      );
+    }
+  }
+  return chainflow;
+}
+
+module.exports = {
+  loadDeployment,
+  ChainFlow,
+  connect,
+};
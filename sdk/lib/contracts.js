@@ -0,0 +1,26 @@
+/**
+ * Contracts of a ChainFlow deployment: deployment record name → compiled artifact
+ * @dev `npx hardhat sdk:generate` emits `abi/<artifact>.json` and `types/<artifact>.d.ts` for every
+ * artifact listed here.
+ */
+const CONTRACTS = Object.freeze({
+  operatorRegistry: "OperatorRegistry",
+  vault: "Vault",
+  capitalPool: "CapitalPool",
+  traderRegistry: "TraderAccountRegistry",
+  tradeLedger: "TradeLedger",
+  payoutManager: "PayoutManager",
+  governanceManager: "GovernanceManager",
+  insuranceFund: "InsuranceFund",
+  keeperIncentive: "KeeperIncentive",
+  cryptoOracle: "CryptoPriceOracle",
+  stockOracle: "StockPriceOracle",
+  forexOracle: "ForexPriceOracle",
+  commodityOracle: "CommodityPriceOracle",
+  indexOracle: "IndexPriceOracle",
+  oracleRegistry: "OracleRegistry",
+});
+
+module.exports = {
+  CONTRACTS,
+};
@@ -0,0 +1,154 @@
+const { ethers } = require("ethers");
+const ABIS = require("../abi");
+
+/** Selector of `Error(string)`, what `require(cond, "reason")` reverts with */
+const ERROR_SELECTOR = "0x08c379a0";
+
+/** Selector of `Panic(uint256)`, what failed asserts and checked arithmetic revert with */
+const PANIC_SELECTOR = "0x4e487b71";
+
+/** Solidity panic codes */
+const PANIC_REASONS = {
+  0x01: "Assertion failed",
+  0x11: "Arithmetic overflow or underflow",
+  0x12: "Division or modulo by zero",
+  0x21: "Invalid enum value",
+  0x22: "Invalid storage byte array",
+  0x31: "pop() on an empty array",
+  0x32: "Array index out of bounds",
+  0x41: "Out of memory",
+  0x51: "Call to an uninitialized function",
+};
+
+/**
+ * A contract revert, decoded
+ *
+ * `kind` is `"revert"` for `require` strings (`reason` is the string), `"panic"` for Solidity
+ * panics (`code`), `"custom"` for custom errors (`errorName`, `signature`, `args`) and `"unknown"`
+ * for revert data no ChainFlow ABI declares. `cause` is the error thrown by ethers.
+ */
+class ChainFlowError extends Error {
+  constructor(message, { kind, reason = null, code = null, errorName = null, signature = null, args = {}, data, cause }) {
+    super(message, { cause });
+    this.name = "ChainFlowError";
+    this.kind = kind;
+    this.reason = reason;
+    this.code = code;
+    this.errorName = errorName;
+    this.signature = signature;
+    this.args = args;
+    this.data = data;
+  }
+}
+
+let customErrors;
+
+/** Custom errors of every ChainFlow contract (OpenZeppelin's included), by selector */
+function customErrorFragments() {
+  if (!customErrors) {
+    customErrors = new Map();
+    for (const abi of Object.values(ABIS)) {
+      new ethers.Interface(abi).forEachError((fragment) => customErrors.set(fragment.selector, fragment));
+    }
+  }
+  return customErrors;
+}
+
+/**
+ * Revert data carried by an error from ethers or a Hardhat provider
+ * @param {*} error Thrown error
+ * @returns {string|null} Hex revert data ("0x" for a revert without data), or null when the error is not a revert
+ */
+function revertData(error) {
+  const seen = new Set();
+  const queue = [error];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || typeof current !== "object" || seen.has(current)) continue;
+    seen.add(current);
+    if (typeof current.data === "string" && ethers.isHexString(current.data)) {
+      return current.data;
+    }
+    queue.push(current.data, current.error, current.info?.error, current.cause);
+  }
+  return null;
+}
+
+function describe(value) {
+  if (typeof value === "string") return value;
+  if (Array.isArray(value)) return `[${value.map(describe).join(", ")}]`;
+  return String(value);
+}
+
+/**
+ * Decode revert data
+ * @param {string} data Hex revert data
+ * @param {object} [options]
+ * @param {*} [options.cause] Original error
+ * @returns {ChainFlowError}
+ */
+function decodeRevertData(data, { cause } = {}) {
+  const selector = ethers.dataLength(data) >= 4 ? ethers.dataSlice(data, 0, 4) : null;
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  if (selector === ERROR_SELECTOR) {
+    const [reason] = coder.decode(["string"], ethers.dataSlice(data, 4));
+    return new ChainFlowError(reason, { kind: "revert", reason, signature: "Error(string)", data, cause });
+  }
+  if (selector === PANIC_SELECTOR) {
+    const [code] = coder.decode(["uint256"], ethers.dataSlice(data, 4));
+    const reason = PANIC_REASONS[Number(code)] || "Unknown panic";
+    return new ChainFlowError(`Panic 0x${code.toString(16).padStart(2, "0")}: ${reason}`, {
+      kind: "panic",
+      reason,
+      code: Number(code),
+      signature: "Panic(uint256)",
+      data,
+      cause,
+    });
+  }
+
+  const fragment = selector && customErrorFragments().get(selector);
+  if (fragment) {
+    const values = coder.decode(fragment.inputs, ethers.dataSlice(data, 4));
+    const args = {};
+    fragment.inputs.forEach((input, i) => {
+      args[input.name || i] = values[i];
+    });
+    return new ChainFlowError(`${fragment.name}(${fragment.inputs.map((_, i) => describe(values[i])).join(", ")})`, {
+      kind: "custom",
+      errorName: fragment.name,
+      signature: fragment.format("sighash"),
+      args,
+      data,
+      cause,
+    });
+  }
+
+  return new ChainFlowError(data === "0x" ? "Reverted without a reason" : `Unknown revert ${data}`, {
+    kind: "unknown",
+    data,
+    cause,
+  });
+}
+
+/**
+ * Turn a failed call or transaction into a ChainFlowError
+ * @param {*} error Error thrown by a contract call, estimateGas or sendTransaction
+ * @returns {ChainFlowError|null} Decoded revert, or null when the error carries no revert data
+ */
+function decodeError(error) {
+  if (error instanceof ChainFlowError) return error;
+  const data = revertData(error);
+  return data === null ? null : decodeRevertData(data, { cause: error });
+}
+
+module.exports = {
+  ERROR_SELECTOR,
+  PANIC_SELECTOR,
+  PANIC_REASONS,
+  ChainFlowError,
+  revertData,
+  decodeRevertData,
+  decodeError,
+};
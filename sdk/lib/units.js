@@ -0,0 +1,77 @@
+const { ethers } = require("ethers");
+
+/** Decimals of oracle prices (OracleBase) */
+const PRICE_DECIMALS = 8;
+
+/** Decimals of USD amounts: deposits, PnL, payouts, claims */
+const USD_DECIMALS = 18;
+
+/**
+ * Key of a symbol in the oracles, `keccak256("BTC/USD")`
+ * @param {string} symbol Symbol name, or a bytes32 key (returned as is)
+ * @returns {string} bytes32 hex
+ */
+function symbolKey(symbol) {
+  return ethers.isHexString(symbol, 32) ? symbol.toLowerCase() : ethers.id(symbol);
+}
+
+function toUnits(value, decimals) {
+  if (typeof value === "bigint") return value;
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    throw new Error(`ChainFlow: Invalid amount ${value}`);
+  }
+  const text = typeof value === "number" ? value.toFixed(decimals) : String(value).trim();
+  const [whole, fraction = ""] = text.split(".");
+  // Digits past the unit's precision are dropped, like the contracts' integer division
+  return ethers.parseUnits(fraction ? `${whole}.${fraction.slice(0, decimals)}` : whole, decimals);
+}
+
+/**
+ * Decimal price to oracle units: `toPrice("45000")` is `45000_00000000n`
+ * @param {number|string|bigint} value Decimal price, or a bigint already in oracle units
+ * @returns {bigint}
+ */
+function toPrice(value) {
+  return toUnits(value, PRICE_DECIMALS);
+}
+
+/**
+ * Oracle units to a decimal string: `fromPrice(45000_50000000n)` is `"45000.5"`
+ * @param {bigint|string} units Price with 8 decimals
+ * @returns {string}
+ */
+function fromPrice(units) {
+  return ethers.formatUnits(units, PRICE_DECIMALS);
+}
+
+/**
+ * Decimal USD amount to base units: `toUsd("100")` is `100n * 10n ** 18n`
+ * @param {number|string|bigint} value Decimal amount (may be negative), or a bigint already in base units
+ * @returns {bigint}
+ */
+function toUsd(value) {
+  // toFixed(18) would expose float noise (0.1 → 0.100000000000000006), so numbers go through their shortest form
+  if (typeof value === "number" && /e/i.test(String(value))) {
+    throw new Error(`ChainFlow: Pass ${value} as a string or bigint`);
+  }
+  return toUnits(typeof value === "number" ? String(value) : value, USD_DECIMALS);
+}
+
+/**
+ * USD base units to a decimal string
+ * @param {bigint|string} units Amount with 18 decimals
+ * @returns {string}
+ */
+function fromUsd(units) {
+  return ethers.formatUnits(units, USD_DECIMALS);
+}
+
+module.exports = {
+  PRICE_DECIMALS,
+  USD_DECIMALS,
+  symbolKey,
+  toPrice,
+  fromPrice,
+  toUsd,
+  fromUsd,
+};
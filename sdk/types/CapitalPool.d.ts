@@ -0,0 +1,211 @@
+// Generated by `npx hardhat sdk:generate` from the compiled artifacts. Do not edit.
+import type {
+  AddressLike,
+  BaseContract,
+  BaseContractMethod,
+  BigNumberish,
+  BytesLike,
+  ContractRunner,
+  ContractTransactionResponse,
+} from "ethers";
+
+export declare namespace CapitalPool {
+  /** struct CapitalPool.WithdrawalRequest */
+  type WithdrawalRequestStruct = {
+    amount: BigNumberish;
+    shares: BigNumberish;
+    requestTime: BigNumberish;
+    executed: boolean;
+  };
+  type WithdrawalRequestStructOutput = [bigint, bigint, bigint, boolean] & {
+    amount: bigint;
+    shares: bigint;
+    requestTime: bigint;
+    executed: boolean;
+  };
+  /** event AllocatedToTrader(bytes32 indexed traderId, uint256 amount, uint256 timestamp) */
+  type AllocatedToTraderEvent = {
+    traderId: string;
+    amount: bigint;
+    timestamp: bigint;
+  };
+  /** event DeallocatedFromTrader(bytes32 indexed traderId, uint256 amount, int256 pnl, uint256 timestamp) */
+  type DeallocatedFromTraderEvent = {
+    traderId: string;
+    amount: bigint;
+    pnl: bigint;
+    timestamp: bigint;
+  };
+  /** event Deposited(address indexed lp, uint256 amount, uint256 shares, uint256 timestamp) */
+  type DepositedEvent = {
+    lp: string;
+    amount: bigint;
+    shares: bigint;
+    timestamp: bigint;
+  };
+  /** event FeesCollected(uint256 amount, address indexed recipient, uint256 timestamp) */
+  type FeesCollectedEvent = {
+    amount: bigint;
+    recipient: string;
+    timestamp: bigint;
+  };
+  /** event Initialized(uint64 version) */
+  type InitializedEvent = {
+    version: bigint;
+  };
+  /** event Paused(address account) */
+  type PausedEvent = {
+    account: string;
+  };
+  /** event PnLUpdated(bytes32 indexed traderId, int256 previousPnL, int256 newPnL, uint256 timestamp) */
+  type PnLUpdatedEvent = {
+    traderId: string;
+    previousPnL: bigint;
+    newPnL: bigint;
+    timestamp: bigint;
+  };
+  /** event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole) */
+  type RoleAdminChangedEvent = {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  };
+  /** event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleGrantedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleRevokedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event Unpaused(address account) */
+  type UnpausedEvent = {
+    account: string;
+  };
+  /** event Upgraded(address indexed implementation) */
+  type UpgradedEvent = {
+    implementation: string;
+  };
+  /** event VestingPeriodUpdated(uint256 oldPeriod, uint256 newPeriod) */
+  type VestingPeriodUpdatedEvent = {
+    oldPeriod: bigint;
+    newPeriod: bigint;
+  };
+  /** event WithdrawalRequested(address indexed lp, uint256 amount, uint256 shares, uint256 availableAt) */
+  type WithdrawalRequestedEvent = {
+    lp: string;
+    amount: bigint;
+    shares: bigint;
+    availableAt: bigint;
+  };
+  /** event Withdrawn(address indexed lp, uint256 amount, uint256 shares, uint256 timestamp) */
+  type WithdrawnEvent = {
+    lp: string;
+    amount: bigint;
+    shares: bigint;
+    timestamp: bigint;
+  };
+  /** Custom errors CapitalPool can revert with (decoded by decodeError) */
+  type CustomError = "AccessControlBadConfirmation()" | "AccessControlUnauthorizedAccount(address,bytes32)" | "AddressEmptyCode(address)" | "ERC1967InvalidImplementation(address)" | "ERC1967NonPayable()" | "EnforcedPause()" | "ExpectedPause()" | "FailedCall()" | "InvalidInitialization()" | "NotInitializing()" | "ReentrancyGuardReentrantCall()" | "SafeERC20FailedOperation(address)" | "UUPSUnauthorizedCallContext()" | "UUPSUnsupportedProxiableUUID(bytes32)";
+}
+
+export interface CapitalPool extends BaseContract {
+  connect(runner: ContractRunner | null): CapitalPool;
+
+  /** ADMIN_ROLE() view returns (bytes32) */
+  ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** BASIS_POINTS() view returns (uint256) */
+  BASIS_POINTS: BaseContractMethod<[], bigint, bigint>;
+  /** DEFAULT_ADMIN_ROLE() view returns (bytes32) */
+  DEFAULT_ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** DEFAULT_VESTING_PERIOD() view returns (uint256) */
+  DEFAULT_VESTING_PERIOD: BaseContractMethod<[], bigint, bigint>;
+  /** GOVERNANCE_ROLE() view returns (bytes32) */
+  GOVERNANCE_ROLE: BaseContractMethod<[], string, string>;
+  /** MAX_ALLOCATION_PCT() view returns (uint256) */
+  MAX_ALLOCATION_PCT: BaseContractMethod<[], bigint, bigint>;
+  /** MIN_DEPOSIT() view returns (uint256) */
+  MIN_DEPOSIT: BaseContractMethod<[], bigint, bigint>;
+  /** PAYOUT_MANAGER_ROLE() view returns (bytes32) */
+  PAYOUT_MANAGER_ROLE: BaseContractMethod<[], string, string>;
+  /** UPGRADE_INTERFACE_VERSION() view returns (string) */
+  UPGRADE_INTERFACE_VERSION: BaseContractMethod<[], string, string>;
+  /** allocateToTrader(bytes32 traderId, uint256 amount) nonpayable */
+  allocateToTrader: BaseContractMethod<[traderId: BytesLike, amount: BigNumberish], void, ContractTransactionResponse>;
+  /** cancelWithdrawalRequest() nonpayable */
+  cancelWithdrawalRequest: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** collectFees(address recipient) nonpayable */
+  collectFees: BaseContractMethod<[recipient: AddressLike], void, ContractTransactionResponse>;
+  /** deallocateFromTrader(bytes32 traderId, uint256 amount, int256 finalPnL) nonpayable */
+  deallocateFromTrader: BaseContractMethod<[traderId: BytesLike, amount: BigNumberish, finalPnL: BigNumberish], void, ContractTransactionResponse>;
+  /** deposit(uint256 amount) nonpayable returns (uint256 shares) */
+  deposit: BaseContractMethod<[amount: BigNumberish], bigint, ContractTransactionResponse>;
+  /** depositToken() view returns (address) */
+  depositToken: BaseContractMethod<[], string, string>;
+  /** executeWithdrawal() nonpayable */
+  executeWithdrawal: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** getActiveTraderCount() view returns (uint256 count) */
+  getActiveTraderCount: BaseContractMethod<[], bigint, bigint>;
+  /** getAvailableLiquidity() view returns (uint256) */
+  getAvailableLiquidity: BaseContractMethod<[], bigint, bigint>;
+  /** getLPValue(address lp) view returns (uint256 value) */
+  getLPValue: BaseContractMethod<[lp: AddressLike], bigint, bigint>;
+  /** getRoleAdmin(bytes32 role) view returns (bytes32) */
+  getRoleAdmin: BaseContractMethod<[role: BytesLike], string, string>;
+  /** getTotalAssets() view returns (uint256) */
+  getTotalAssets: BaseContractMethod<[], bigint, bigint>;
+  /** getTotalTraderPnL() view returns (int256) */
+  getTotalTraderPnL: BaseContractMethod<[], bigint, bigint>;
+  /** grantRole(bytes32 role, address account) nonpayable */
+  grantRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** hasRole(bytes32 role, address account) view returns (bool) */
+  hasRole: BaseContractMethod<[role: BytesLike, account: AddressLike], boolean, boolean>;
+  /** initialize(address _depositToken, address _admin, address _governance) nonpayable */
+  initialize: BaseContractMethod<[_depositToken: AddressLike, _admin: AddressLike, _governance: AddressLike], void, ContractTransactionResponse>;
+  /** lpInfo(address) view returns (uint256 shares, uint256 deposited, tuple withdrawalRequest, uint256 lastDepositTime) */
+  lpInfo: BaseContractMethod<[arg0: AddressLike], [bigint, bigint, CapitalPool.WithdrawalRequestStructOutput, bigint] & { shares: bigint; deposited: bigint; withdrawalRequest: CapitalPool.WithdrawalRequestStructOutput; lastDepositTime: bigint }, [bigint, bigint, CapitalPool.WithdrawalRequestStructOutput, bigint] & { shares: bigint; deposited: bigint; withdrawalRequest: CapitalPool.WithdrawalRequestStructOutput; lastDepositTime: bigint }>;
+  /** pause() nonpayable */
+  pause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** paused() view returns (bool) */
+  paused: BaseContractMethod<[], boolean, boolean>;
+  /** protocolFees() view returns (uint256) */
+  protocolFees: BaseContractMethod<[], bigint, bigint>;
+  /** proxiableUUID() view returns (bytes32) */
+  proxiableUUID: BaseContractMethod<[], string, string>;
+  /** renounceRole(bytes32 role, address callerConfirmation) nonpayable */
+  renounceRole: BaseContractMethod<[role: BytesLike, callerConfirmation: AddressLike], void, ContractTransactionResponse>;
+  /** requestWithdrawal(uint256 shares) nonpayable */
+  requestWithdrawal: BaseContractMethod<[shares: BigNumberish], void, ContractTransactionResponse>;
+  /** revokeRole(bytes32 role, address account) nonpayable */
+  revokeRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** setPayoutManager(address payoutManager) nonpayable */
+  setPayoutManager: BaseContractMethod<[payoutManager: AddressLike], void, ContractTransactionResponse>;
+  /** setVestingPeriod(uint256 newPeriod) nonpayable */
+  setVestingPeriod: BaseContractMethod<[newPeriod: BigNumberish], void, ContractTransactionResponse>;
+  /** supportsInterface(bytes4 interfaceId) view returns (bool) */
+  supportsInterface: BaseContractMethod<[interfaceId: BytesLike], boolean, boolean>;
+  /** totalAllocated() view returns (uint256) */
+  totalAllocated: BaseContractMethod<[], bigint, bigint>;
+  /** totalDeposited() view returns (uint256) */
+  totalDeposited: BaseContractMethod<[], bigint, bigint>;
+  /** totalShares() view returns (uint256) */
+  totalShares: BaseContractMethod<[], bigint, bigint>;
+  /** traderAllocations(bytes32) view returns (bytes32 traderId, uint256 allocated, int256 pnl, bool active) */
+  traderAllocations: BaseContractMethod<[arg0: BytesLike], [string, bigint, bigint, boolean] & { traderId: string; allocated: bigint; pnl: bigint; active: boolean }, [string, bigint, bigint, boolean] & { traderId: string; allocated: bigint; pnl: bigint; active: boolean }>;
+  /** traderIds(uint256) view returns (bytes32) */
+  traderIds: BaseContractMethod<[arg0: BigNumberish], string, string>;
+  /** transferToTrader(bytes32 traderId, address recipient, uint256 amount) nonpayable */
+  transferToTrader: BaseContractMethod<[traderId: BytesLike, recipient: AddressLike, amount: BigNumberish], void, ContractTransactionResponse>;
+  /** unpause() nonpayable */
+  unpause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** updateTraderPnL(bytes32 traderId, int256 newPnL) nonpayable */
+  updateTraderPnL: BaseContractMethod<[traderId: BytesLike, newPnL: BigNumberish], void, ContractTransactionResponse>;
+  /** upgradeToAndCall(address newImplementation, bytes data) payable */
+  upgradeToAndCall: BaseContractMethod<[newImplementation: AddressLike, data: BytesLike], void, ContractTransactionResponse>;
+  /** vestingPeriod() view returns (uint256) */
+  vestingPeriod: BaseContractMethod<[], bigint, bigint>;
+}
@@ -0,0 +1,222 @@
+// Generated by `npx hardhat sdk:generate` from the compiled artifacts. Do not edit.
+import type {
+  AddressLike,
+  BaseContract,
+  BaseContractMethod,
+  BigNumberish,
+  BytesLike,
+  ContractRunner,
+  ContractTransactionResponse,
+} from "ethers";
+
+export declare namespace CryptoPriceOracle {
+  /** struct OracleBase.HistoricalPrice */
+  type OracleBase_HistoricalPriceStruct = {
+    price: BigNumberish;
+    timestamp: BigNumberish;
+    confidence: BigNumberish;
+  };
+  type OracleBase_HistoricalPriceStructOutput = [bigint, bigint, bigint] & {
+    price: bigint;
+    timestamp: bigint;
+    confidence: bigint;
+  };
+  /** event EmergencyPriceSet(bytes32 indexed symbol, int64 price, address indexed setter) */
+  type EmergencyPriceSetEvent = {
+    symbol: string;
+    price: bigint;
+    setter: string;
+  };
+  /** event HeartbeatReceived(bytes32 indexed symbol, uint256 timestamp) */
+  type HeartbeatReceivedEvent = {
+    symbol: string;
+    timestamp: bigint;
+  };
+  /** event High24hUpdated(bytes32 indexed symbol, int64 high) */
+  type High24hUpdatedEvent = {
+    symbol: string;
+    high: bigint;
+  };
+  /** event Initialized(uint64 version) */
+  type InitializedEvent = {
+    version: bigint;
+  };
+  /** event Low24hUpdated(bytes32 indexed symbol, int64 low) */
+  type Low24hUpdatedEvent = {
+    symbol: string;
+    low: bigint;
+  };
+  /** event MaxDeviationUpdated(uint256 oldDeviation, uint256 newDeviation) */
+  type MaxDeviationUpdatedEvent = {
+    oldDeviation: bigint;
+    newDeviation: bigint;
+  };
+  /** event Paused(address account) */
+  type PausedEvent = {
+    account: string;
+  };
+  /** event PriceUpdated(bytes32 indexed symbol, int64 price, uint32 confidence, uint64 timestamp, address indexed source) */
+  type PriceUpdatedEvent = {
+    symbol: string;
+    price: bigint;
+    confidence: bigint;
+    timestamp: bigint;
+    source: string;
+  };
+  /** event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole) */
+  type RoleAdminChangedEvent = {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  };
+  /** event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleGrantedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleRevokedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event StalenessThresholdUpdated(uint256 oldThreshold, uint256 newThreshold) */
+  type StalenessThresholdUpdatedEvent = {
+    oldThreshold: bigint;
+    newThreshold: bigint;
+  };
+  /** event SymbolAdded(bytes32 indexed symbol, string name) */
+  type SymbolAddedEvent = {
+    symbol: string;
+    name: string;
+  };
+  /** event SymbolRemoved(bytes32 indexed symbol) */
+  type SymbolRemovedEvent = {
+    symbol: string;
+  };
+  /** event Unpaused(address account) */
+  type UnpausedEvent = {
+    account: string;
+  };
+  /** event Upgraded(address indexed implementation) */
+  type UpgradedEvent = {
+    implementation: string;
+  };
+  /** event VolatilityUpdated(bytes32 indexed symbol, uint256 volatility) */
+  type VolatilityUpdatedEvent = {
+    symbol: string;
+    volatility: bigint;
+  };
+  /** Custom errors CryptoPriceOracle can revert with (decoded by decodeError) */
+  type CustomError = "AccessControlBadConfirmation()" | "AccessControlUnauthorizedAccount(address,bytes32)" | "AddressEmptyCode(address)" | "ERC1967InvalidImplementation(address)" | "ERC1967NonPayable()" | "EnforcedPause()" | "ExpectedPause()" | "FailedCall()" | "InvalidInitialization()" | "NotInitializing()" | "ReentrancyGuardReentrantCall()" | "UUPSUnauthorizedCallContext()" | "UUPSUnsupportedProxiableUUID(bytes32)";
+}
+
+export interface CryptoPriceOracle extends BaseContract {
+  connect(runner: ContractRunner | null): CryptoPriceOracle;
+
+  /** ADMIN_ROLE() view returns (bytes32) */
+  ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** CONFIDENCE_DECIMALS() view returns (uint8) */
+  CONFIDENCE_DECIMALS: BaseContractMethod<[], bigint, bigint>;
+  /** DEFAULT_ADMIN_ROLE() view returns (bytes32) */
+  DEFAULT_ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** EMERGENCY_ROLE() view returns (bytes32) */
+  EMERGENCY_ROLE: BaseContractMethod<[], string, string>;
+  /** FEEDER_ROLE() view returns (bytes32) */
+  FEEDER_ROLE: BaseContractMethod<[], string, string>;
+  /** MIN_UPDATE_INTERVAL() view returns (uint256) */
+  MIN_UPDATE_INTERVAL: BaseContractMethod<[], bigint, bigint>;
+  /** PRICE_DECIMALS() view returns (uint8) */
+  PRICE_DECIMALS: BaseContractMethod<[], bigint, bigint>;
+  /** UPGRADE_INTERFACE_VERSION() view returns (string) */
+  UPGRADE_INTERFACE_VERSION: BaseContractMethod<[], string, string>;
+  /** VOLATILITY_WINDOW() view returns (uint256) */
+  VOLATILITY_WINDOW: BaseContractMethod<[], bigint, bigint>;
+  /** addSymbol(bytes32 symbol, string name) nonpayable */
+  addSymbol: BaseContractMethod<[symbol: BytesLike, name: string], void, ContractTransactionResponse>;
+  /** getCryptoPrice(bytes32 symbol) view returns (int64 price, uint32 confidence, uint256 timestamp, uint256 volatility, int64 high, int64 low, uint256 volume) */
+  getCryptoPrice: BaseContractMethod<[symbol: BytesLike], [bigint, bigint, bigint, bigint, bigint, bigint, bigint] & { price: bigint; confidence: bigint; timestamp: bigint; volatility: bigint; high: bigint; low: bigint; volume: bigint }, [bigint, bigint, bigint, bigint, bigint, bigint, bigint] & { price: bigint; confidence: bigint; timestamp: bigint; volatility: bigint; high: bigint; low: bigint; volume: bigint }>;
+  /** getHistoricalPrices(bytes32 symbol, uint256 count) view returns (tuple[]) */
+  getHistoricalPrices: BaseContractMethod<[symbol: BytesLike, count: BigNumberish], CryptoPriceOracle.OracleBase_HistoricalPriceStructOutput[], CryptoPriceOracle.OracleBase_HistoricalPriceStructOutput[]>;
+  /** getPrice(bytes32 symbol) view returns (int64 price, uint256 timestamp) */
+  getPrice: BaseContractMethod<[symbol: BytesLike], [bigint, bigint] & { price: bigint; timestamp: bigint }, [bigint, bigint] & { price: bigint; timestamp: bigint }>;
+  /** getPriceBatch(bytes32[] _symbols) view returns (int64[] _prices, uint256[] timestamps) */
+  getPriceBatch: BaseContractMethod<[_symbols: BytesLike[]], [bigint[], bigint[]] & { _prices: bigint[]; timestamps: bigint[] }, [bigint[], bigint[]] & { _prices: bigint[]; timestamps: bigint[] }>;
+  /** getPriceUnsafe(bytes32 symbol) view returns (int64 price, uint256 timestamp) */
+  getPriceUnsafe: BaseContractMethod<[symbol: BytesLike], [bigint, bigint] & { price: bigint; timestamp: bigint }, [bigint, bigint] & { price: bigint; timestamp: bigint }>;
+  /** getPriceWithConfidence(bytes32 symbol) view returns (int64 price, uint32 confidence, uint256 timestamp) */
+  getPriceWithConfidence: BaseContractMethod<[symbol: BytesLike], [bigint, bigint, bigint] & { price: bigint; confidence: bigint; timestamp: bigint }, [bigint, bigint, bigint] & { price: bigint; confidence: bigint; timestamp: bigint }>;
+  /** getRoleAdmin(bytes32 role) view returns (bytes32) */
+  getRoleAdmin: BaseContractMethod<[role: BytesLike], string, string>;
+  /** getSupportedSymbols() view returns (bytes32[]) */
+  getSupportedSymbols: BaseContractMethod<[], string[], string[]>;
+  /** grantRole(bytes32 role, address account) nonpayable */
+  grantRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** hasRole(bytes32 role, address account) view returns (bool) */
+  hasRole: BaseContractMethod<[role: BytesLike, account: AddressLike], boolean, boolean>;
+  /** heartbeatInterval() view returns (uint256) */
+  heartbeatInterval: BaseContractMethod<[], bigint, bigint>;
+  /** high24h(bytes32) view returns (int64) */
+  high24h: BaseContractMethod<[arg0: BytesLike], bigint, bigint>;
+  /** initialize(address _admin, address[] _feeders) nonpayable */
+  initialize: BaseContractMethod<[_admin: AddressLike, _feeders: AddressLike[]], void, ContractTransactionResponse>;
+  /** isStale(bytes32 symbol) view returns (bool) */
+  isStale: BaseContractMethod<[symbol: BytesLike], boolean, boolean>;
+  /** isSupported(bytes32) view returns (bool) */
+  isSupported: BaseContractMethod<[arg0: BytesLike], boolean, boolean>;
+  /** lastHeartbeat(bytes32) view returns (uint256) */
+  lastHeartbeat: BaseContractMethod<[arg0: BytesLike], bigint, bigint>;
+  /** low24h(bytes32) view returns (int64) */
+  low24h: BaseContractMethod<[arg0: BytesLike], bigint, bigint>;
+  /** maxPriceDeviationBps() view returns (uint256) */
+  maxPriceDeviationBps: BaseContractMethod<[], bigint, bigint>;
+  /** oracleName() view returns (string) */
+  oracleName: BaseContractMethod<[], string, string>;
+  /** oracleVersion() view returns (string) */
+  oracleVersion: BaseContractMethod<[], string, string>;
+  /** pause() nonpayable */
+  pause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** paused() view returns (bool) */
+  paused: BaseContractMethod<[], boolean, boolean>;
+  /** priceHistory(bytes32, uint256) view returns (int64 price, uint64 timestamp, uint32 confidence) */
+  priceHistory: BaseContractMethod<[arg0: BytesLike, arg1: BigNumberish], [bigint, bigint, bigint] & { price: bigint; timestamp: bigint; confidence: bigint }, [bigint, bigint, bigint] & { price: bigint; timestamp: bigint; confidence: bigint }>;
+  /** prices(bytes32) view returns (int64 price, uint32 confidence, uint64 timestamp, address source) */
+  prices: BaseContractMethod<[arg0: BytesLike], [bigint, bigint, bigint, string] & { price: bigint; confidence: bigint; timestamp: bigint; source: string }, [bigint, bigint, bigint, string] & { price: bigint; confidence: bigint; timestamp: bigint; source: string }>;
+  /** proxiableUUID() view returns (bytes32) */
+  proxiableUUID: BaseContractMethod<[], string, string>;
+  /** removeSymbol(bytes32 symbol) nonpayable */
+  removeSymbol: BaseContractMethod<[symbol: BytesLike], void, ContractTransactionResponse>;
+  /** renounceRole(bytes32 role, address callerConfirmation) nonpayable */
+  renounceRole: BaseContractMethod<[role: BytesLike, callerConfirmation: AddressLike], void, ContractTransactionResponse>;
+  /** reset24hStats(bytes32 symbol) nonpayable */
+  reset24hStats: BaseContractMethod<[symbol: BytesLike], void, ContractTransactionResponse>;
+  /** revokeRole(bytes32 role, address account) nonpayable */
+  revokeRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** setEmergencyPrice(bytes32 symbol, int64 price, uint32 confidence) nonpayable */
+  setEmergencyPrice: BaseContractMethod<[symbol: BytesLike, price: BigNumberish, confidence: BigNumberish], void, ContractTransactionResponse>;
+  /** stalenessThreshold() view returns (uint256) */
+  stalenessThreshold: BaseContractMethod<[], bigint, bigint>;
+  /** supportsInterface(bytes4 interfaceId) view returns (bool) */
+  supportsInterface: BaseContractMethod<[interfaceId: BytesLike], boolean, boolean>;
+  /** symbols(uint256) view returns (bytes32) */
+  symbols: BaseContractMethod<[arg0: BigNumberish], string, string>;
+  /** unpause() nonpayable */
+  unpause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** updateMaxDeviation(uint256 newDeviation) nonpayable */
+  updateMaxDeviation: BaseContractMethod<[newDeviation: BigNumberish], void, ContractTransactionResponse>;
+  /** updatePrice(bytes32 symbol, int64 price, uint32 confidence) nonpayable */
+  updatePrice: BaseContractMethod<[symbol: BytesLike, price: BigNumberish, confidence: BigNumberish], void, ContractTransactionResponse>;
+  /** updatePriceBatch(bytes32[] _symbols, int64[] _prices, uint32[] _confidences) nonpayable */
+  updatePriceBatch: BaseContractMethod<[_symbols: BytesLike[], _prices: BigNumberish[], _confidences: BigNumberish[]], void, ContractTransactionResponse>;
+  /** updatePriceWithVolume(bytes32 symbol, int64 price, uint32 confidence, uint256 dailyVolume) nonpayable */
+  updatePriceWithVolume: BaseContractMethod<[symbol: BytesLike, price: BigNumberish, confidence: BigNumberish, dailyVolume: BigNumberish], void, ContractTransactionResponse>;
+  /** updateStalenessThreshold(uint256 newThreshold) nonpayable */
+  updateStalenessThreshold: BaseContractMethod<[newThreshold: BigNumberish], void, ContractTransactionResponse>;
+  /** upgradeToAndCall(address newImplementation, bytes data) payable */
+  upgradeToAndCall: BaseContractMethod<[newImplementation: AddressLike, data: BytesLike], void, ContractTransactionResponse>;
+  /** volatility24h(bytes32) view returns (uint256) */
+  volatility24h: BaseContractMethod<[arg0: BytesLike], bigint, bigint>;
+  /** volume24h(bytes32) view returns (uint256) */
+  volume24h: BaseContractMethod<[arg0: BytesLike], bigint, bigint>;
+}
@@ -0,0 +1,263 @@
+// Generated by `npx hardhat sdk:generate` from the compiled artifacts. Do not edit.
+import type {
+  AddressLike,
+  BaseContract,
+  BaseContractMethod,
+  BigNumberish,
+  BytesLike,
+  ContractRunner,
+  ContractTransactionResponse,
+} from "ethers";
+
+export declare namespace GovernanceManager {
+  /** struct GovernanceManager.Parameter */
+  type ParameterStruct = {
+    key: BytesLike;
+    value: BigNumberish;
+    updatedAt: BigNumberish;
+    updatedBy: AddressLike;
+  };
+  type ParameterStructOutput = [string, bigint, bigint, string] & {
+    key: string;
+    value: bigint;
+    updatedAt: bigint;
+    updatedBy: string;
+  };
+  /** struct GovernanceManager.Proposal */
+  type ProposalStruct = {
+    proposalId: BigNumberish;
+    proposer: AddressLike;
+    description: string;
+    targets: AddressLike[];
+    values: BigNumberish[];
+    calldatas: BytesLike[];
+    startBlock: BigNumberish;
+    endBlock: BigNumberish;
+    forVotes: BigNumberish;
+    againstVotes: BigNumberish;
+    abstainVotes: BigNumberish;
+    state: BigNumberish;
+    eta: BigNumberish;
+    executedAt: BigNumberish;
+  };
+  type ProposalStructOutput = [bigint, string, string, string[], bigint[], string[], bigint, bigint, bigint, bigint, bigint, bigint, bigint, bigint] & {
+    proposalId: bigint;
+    proposer: string;
+    description: string;
+    targets: string[];
+    values: bigint[];
+    calldatas: string[];
+    startBlock: bigint;
+    endBlock: bigint;
+    forVotes: bigint;
+    againstVotes: bigint;
+    abstainVotes: bigint;
+    state: bigint;
+    eta: bigint;
+    executedAt: bigint;
+  };
+  /** event Initialized(uint64 version) */
+  type InitializedEvent = {
+    version: bigint;
+  };
+  /** event ParameterUpdated(bytes32 indexed key, uint256 oldValue, uint256 newValue, address indexed updatedBy) */
+  type ParameterUpdatedEvent = {
+    key: string;
+    oldValue: bigint;
+    newValue: bigint;
+    updatedBy: string;
+  };
+  /** event Paused(address account) */
+  type PausedEvent = {
+    account: string;
+  };
+  /** event ProposalCancelled(uint256 indexed proposalId, address indexed canceller) */
+  type ProposalCancelledEvent = {
+    proposalId: bigint;
+    canceller: string;
+  };
+  /** event ProposalCreated(uint256 indexed proposalId, address indexed proposer, string description, uint256 startBlock, uint256 endBlock) */
+  type ProposalCreatedEvent = {
+    proposalId: bigint;
+    proposer: string;
+    description: string;
+    startBlock: bigint;
+    endBlock: bigint;
+  };
+  /** event ProposalExecuted(uint256 indexed proposalId, uint256 timestamp) */
+  type ProposalExecutedEvent = {
+    proposalId: bigint;
+    timestamp: bigint;
+  };
+  /** event ProposalQueued(uint256 indexed proposalId, uint256 eta) */
+  type ProposalQueuedEvent = {
+    proposalId: bigint;
+    eta: bigint;
+  };
+  /** event QuorumUpdated(uint256 oldQuorum, uint256 newQuorum) */
+  type QuorumUpdatedEvent = {
+    oldQuorum: bigint;
+    newQuorum: bigint;
+  };
+  /** event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole) */
+  type RoleAdminChangedEvent = {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  };
+  /** event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleGrantedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleRevokedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event TimelockDelayUpdated(uint256 oldDelay, uint256 newDelay) */
+  type TimelockDelayUpdatedEvent = {
+    oldDelay: bigint;
+    newDelay: bigint;
+  };
+  /** event Unpaused(address account) */
+  type UnpausedEvent = {
+    account: string;
+  };
+  /** event Upgraded(address indexed implementation) */
+  type UpgradedEvent = {
+    implementation: string;
+  };
+  /** event VoteCast(uint256 indexed proposalId, address indexed voter, uint8 support, uint256 weight, string reason) */
+  type VoteCastEvent = {
+    proposalId: bigint;
+    voter: string;
+    support: bigint;
+    weight: bigint;
+    reason: string;
+  };
+  /** event VotingPeriodUpdated(uint256 oldPeriod, uint256 newPeriod) */
+  type VotingPeriodUpdatedEvent = {
+    oldPeriod: bigint;
+    newPeriod: bigint;
+  };
+  /** event VotingPowerUpdated(address indexed voter, uint256 oldPower, uint256 newPower) */
+  type VotingPowerUpdatedEvent = {
+    voter: string;
+    oldPower: bigint;
+    newPower: bigint;
+  };
+  /** Custom errors GovernanceManager can revert with (decoded by decodeError) */
+  type CustomError = "AccessControlBadConfirmation()" | "AccessControlUnauthorizedAccount(address,bytes32)" | "AddressEmptyCode(address)" | "ERC1967InvalidImplementation(address)" | "ERC1967NonPayable()" | "EnforcedPause()" | "ExpectedPause()" | "FailedCall()" | "InvalidInitialization()" | "NotInitializing()" | "ReentrancyGuardReentrantCall()" | "UUPSUnauthorizedCallContext()" | "UUPSUnsupportedProxiableUUID(bytes32)";
+}
+
+export interface GovernanceManager extends BaseContract {
+  connect(runner: ContractRunner | null): GovernanceManager;
+
+  /** ADMIN_ROLE() view returns (bytes32) */
+  ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** BASIS_POINTS() view returns (uint256) */
+  BASIS_POINTS: BaseContractMethod<[], bigint, bigint>;
+  /** DEFAULT_ADMIN_ROLE() view returns (bytes32) */
+  DEFAULT_ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** DEFAULT_TIMELOCK_DELAY() view returns (uint256) */
+  DEFAULT_TIMELOCK_DELAY: BaseContractMethod<[], bigint, bigint>;
+  /** DEFAULT_VOTING_PERIOD() view returns (uint256) */
+  DEFAULT_VOTING_PERIOD: BaseContractMethod<[], bigint, bigint>;
+  /** EMERGENCY_ROLE() view returns (bytes32) */
+  EMERGENCY_ROLE: BaseContractMethod<[], string, string>;
+  /** EXECUTOR_ROLE() view returns (bytes32) */
+  EXECUTOR_ROLE: BaseContractMethod<[], string, string>;
+  /** MAX_TIMELOCK_DELAY() view returns (uint256) */
+  MAX_TIMELOCK_DELAY: BaseContractMethod<[], bigint, bigint>;
+  /** MIN_QUORUM() view returns (uint256) */
+  MIN_QUORUM: BaseContractMethod<[], bigint, bigint>;
+  /** MIN_TIMELOCK_DELAY() view returns (uint256) */
+  MIN_TIMELOCK_DELAY: BaseContractMethod<[], bigint, bigint>;
+  /** PROPOSER_ROLE() view returns (bytes32) */
+  PROPOSER_ROLE: BaseContractMethod<[], string, string>;
+  /** UPGRADE_INTERFACE_VERSION() view returns (string) */
+  UPGRADE_INTERFACE_VERSION: BaseContractMethod<[], string, string>;
+  /** VOTER_ROLE() view returns (bytes32) */
+  VOTER_ROLE: BaseContractMethod<[], string, string>;
+  /** cancel(uint256 proposalId) nonpayable */
+  cancel: BaseContractMethod<[proposalId: BigNumberish], void, ContractTransactionResponse>;
+  /** castVote(uint256 proposalId, uint8 support, string reason) nonpayable returns (uint256 weight) */
+  castVote: BaseContractMethod<[proposalId: BigNumberish, support: BigNumberish, reason: string], bigint, ContractTransactionResponse>;
+  /** execute(uint256 proposalId) payable */
+  execute: BaseContractMethod<[proposalId: BigNumberish], void, ContractTransactionResponse>;
+  /** getAllParameters() view returns (tuple[] allParams) */
+  getAllParameters: BaseContractMethod<[], GovernanceManager.ParameterStructOutput[], GovernanceManager.ParameterStructOutput[]>;
+  /** getParam(bytes32 key) view returns (uint256) */
+  getParam: BaseContractMethod<[key: BytesLike], bigint, bigint>;
+  /** getProposal(uint256 proposalId) view returns (tuple) */
+  getProposal: BaseContractMethod<[proposalId: BigNumberish], GovernanceManager.ProposalStructOutput, GovernanceManager.ProposalStructOutput>;
+  /** getProposalState(uint256 proposalId) view returns (uint8) */
+  getProposalState: BaseContractMethod<[proposalId: BigNumberish], bigint, bigint>;
+  /** getRoleAdmin(bytes32 role) view returns (bytes32) */
+  getRoleAdmin: BaseContractMethod<[role: BytesLike], string, string>;
+  /** getVotingPower(address voter) view returns (uint256) */
+  getVotingPower: BaseContractMethod<[voter: AddressLike], bigint, bigint>;
+  /** grantRole(bytes32 role, address account) nonpayable */
+  grantRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** grantVoterRole(address voter, uint256 power) nonpayable */
+  grantVoterRole: BaseContractMethod<[voter: AddressLike, power: BigNumberish], void, ContractTransactionResponse>;
+  /** hasRole(bytes32 role, address account) view returns (bool) */
+  hasRole: BaseContractMethod<[role: BytesLike, account: AddressLike], boolean, boolean>;
+  /** hasVoted(uint256, address) view returns (bool) */
+  hasVoted: BaseContractMethod<[arg0: BigNumberish, arg1: AddressLike], boolean, boolean>;
+  /** hasVotedOnProposal(uint256 proposalId, address voter) view returns (bool) */
+  hasVotedOnProposal: BaseContractMethod<[proposalId: BigNumberish, voter: AddressLike], boolean, boolean>;
+  /** initialize(address _admin, address _emergency, address[] _proposers, address[] _executors) nonpayable */
+  initialize: BaseContractMethod<[_admin: AddressLike, _emergency: AddressLike, _proposers: AddressLike[], _executors: AddressLike[]], void, ContractTransactionResponse>;
+  /** parameterKeys(uint256) view returns (bytes32) */
+  parameterKeys: BaseContractMethod<[arg0: BigNumberish], string, string>;
+  /** parameters(bytes32) view returns (bytes32 key, uint256 value, uint256 updatedAt, address updatedBy) */
+  parameters: BaseContractMethod<[arg0: BytesLike], [string, bigint, bigint, string] & { key: string; value: bigint; updatedAt: bigint; updatedBy: string }, [string, bigint, bigint, string] & { key: string; value: bigint; updatedAt: bigint; updatedBy: string }>;
+  /** pause() nonpayable */
+  pause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** paused() view returns (bool) */
+  paused: BaseContractMethod<[], boolean, boolean>;
+  /** proposalCount() view returns (uint256) */
+  proposalCount: BaseContractMethod<[], bigint, bigint>;
+  /** proposals(uint256) view returns (uint256 proposalId, address proposer, string description, uint256 startBlock, uint256 endBlock, uint256 forVotes, uint256 againstVotes, uint256 abstainVotes, uint8 state, uint256 eta, uint256 executedAt) */
+  proposals: BaseContractMethod<[arg0: BigNumberish], [bigint, string, string, bigint, bigint, bigint, bigint, bigint, bigint, bigint, bigint] & { proposalId: bigint; proposer: string; description: string; startBlock: bigint; endBlock: bigint; forVotes: bigint; againstVotes: bigint; abstainVotes: bigint; state: bigint; eta: bigint; executedAt: bigint }, [bigint, string, string, bigint, bigint, bigint, bigint, bigint, bigint, bigint, bigint] & { proposalId: bigint; proposer: string; description: string; startBlock: bigint; endBlock: bigint; forVotes: bigint; againstVotes: bigint; abstainVotes: bigint; state: bigint; eta: bigint; executedAt: bigint }>;
+  /** propose(address[] targets, uint256[] values, bytes[] calldatas, string description) nonpayable returns (uint256 proposalId) */
+  propose: BaseContractMethod<[targets: AddressLike[], values: BigNumberish[], calldatas: BytesLike[], description: string], bigint, ContractTransactionResponse>;
+  /** proxiableUUID() view returns (bytes32) */
+  proxiableUUID: BaseContractMethod<[], string, string>;
+  /** queue(uint256 proposalId) nonpayable */
+  queue: BaseContractMethod<[proposalId: BigNumberish], void, ContractTransactionResponse>;
+  /** quorumBps() view returns (uint256) */
+  quorumBps: BaseContractMethod<[], bigint, bigint>;
+  /** renounceRole(bytes32 role, address callerConfirmation) nonpayable */
+  renounceRole: BaseContractMethod<[role: BytesLike, callerConfirmation: AddressLike], void, ContractTransactionResponse>;
+  /** revokeRole(bytes32 role, address account) nonpayable */
+  revokeRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** setParam(bytes32 key, uint256 value) nonpayable */
+  setParam: BaseContractMethod<[key: BytesLike, value: BigNumberish], void, ContractTransactionResponse>;
+  /** setVotingPower(address voter, uint256 power) nonpayable */
+  setVotingPower: BaseContractMethod<[voter: AddressLike, power: BigNumberish], void, ContractTransactionResponse>;
+  /** supportsInterface(bytes4 interfaceId) view returns (bool) */
+  supportsInterface: BaseContractMethod<[interfaceId: BytesLike], boolean, boolean>;
+  /** timelockDelay() view returns (uint256) */
+  timelockDelay: BaseContractMethod<[], bigint, bigint>;
+  /** totalVotingPower() view returns (uint256) */
+  totalVotingPower: BaseContractMethod<[], bigint, bigint>;
+  /** unpause() nonpayable */
+  unpause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** updateQuorum(uint256 newQuorumBps) nonpayable */
+  updateQuorum: BaseContractMethod<[newQuorumBps: BigNumberish], void, ContractTransactionResponse>;
+  /** updateTimelockDelay(uint256 newDelay) nonpayable */
+  updateTimelockDelay: BaseContractMethod<[newDelay: BigNumberish], void, ContractTransactionResponse>;
+  /** updateVotingPeriod(uint256 newPeriod) nonpayable */
+  updateVotingPeriod: BaseContractMethod<[newPeriod: BigNumberish], void, ContractTransactionResponse>;
+  /** upgradeToAndCall(address newImplementation, bytes data) payable */
+  upgradeToAndCall: BaseContractMethod<[newImplementation: AddressLike, data: BytesLike], void, ContractTransactionResponse>;
+  /** votingPeriod() view returns (uint256) */
+  votingPeriod: BaseContractMethod<[], bigint, bigint>;
+  /** votingPower(address) view returns (uint256) */
+  votingPower: BaseContractMethod<[arg0: AddressLike], bigint, bigint>;
+}
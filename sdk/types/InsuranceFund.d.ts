@@ -0,0 +1,255 @@
+// Generated by `npx hardhat sdk:generate` from the compiled artifacts. Do not edit.
+import type {
+  AddressLike,
+  BaseContract,
+  BaseContractMethod,
+  BigNumberish,
+  BytesLike,
+  ContractRunner,
+  ContractTransactionResponse,
+} from "ethers";
+
+export declare namespace InsuranceFund {
+  /** struct InsuranceFund.Claim */
+  type ClaimStruct = {
+    claimId: BytesLike;
+    claimant: AddressLike;
+    traderId: BytesLike;
+    token: AddressLike;
+    amount: BigNumberish;
+    reason: string;
+    status: BigNumberish;
+    submittedAt: BigNumberish;
+    processedAt: BigNumberish;
+    processedBy: AddressLike;
+  };
+  type ClaimStructOutput = [string, string, string, string, bigint, string, bigint, bigint, bigint, string] & {
+    claimId: string;
+    claimant: string;
+    traderId: string;
+    token: string;
+    amount: bigint;
+    reason: string;
+    status: bigint;
+    submittedAt: bigint;
+    processedAt: bigint;
+    processedBy: string;
+  };
+  /** struct InsuranceFund.ReserveAsset */
+  type ReserveAssetStruct = {
+    token: AddressLike;
+    balance: BigNumberish;
+    totalDeposited: BigNumberish;
+    totalClaimed: BigNumberish;
+    active: boolean;
+  };
+  type ReserveAssetStructOutput = [string, bigint, bigint, bigint, boolean] & {
+    token: string;
+    balance: bigint;
+    totalDeposited: bigint;
+    totalClaimed: bigint;
+    active: boolean;
+  };
+  /** event AssetActivated(address indexed token) */
+  type AssetActivatedEvent = {
+    token: string;
+  };
+  /** event AssetDeactivated(address indexed token) */
+  type AssetDeactivatedEvent = {
+    token: string;
+  };
+  /** event ClaimApproved(bytes32 indexed claimId, address indexed approver, uint256 amount) */
+  type ClaimApprovedEvent = {
+    claimId: string;
+    approver: string;
+    amount: bigint;
+  };
+  /** event ClaimRejected(bytes32 indexed claimId, address indexed rejector, string reason) */
+  type ClaimRejectedEvent = {
+    claimId: string;
+    rejector: string;
+    reason: string;
+  };
+  /** event ClaimSubmitted(bytes32 indexed claimId, address indexed claimant, bytes32 indexed traderId, uint256 amount) */
+  type ClaimSubmittedEvent = {
+    claimId: string;
+    claimant: string;
+    traderId: string;
+    amount: bigint;
+  };
+  /** event CoverageLimitsUpdated(uint256 maxClaim, uint256 dailyLimit, uint256 coverageCapBps) */
+  type CoverageLimitsUpdatedEvent = {
+    maxClaim: bigint;
+    dailyLimit: bigint;
+    coverageCapBps: bigint;
+  };
+  /** event EmergencyWithdrawal(address indexed token, address indexed to, uint256 amount) */
+  type EmergencyWithdrawalEvent = {
+    token: string;
+    to: string;
+    amount: bigint;
+  };
+  /** event Initialized(uint64 version) */
+  type InitializedEvent = {
+    version: bigint;
+  };
+  /** event Paused(address account) */
+  type PausedEvent = {
+    account: string;
+  };
+  /** event ReserveAdded(address indexed token, address indexed from, uint256 amount, uint256 newBalance) */
+  type ReserveAddedEvent = {
+    token: string;
+    from: string;
+    amount: bigint;
+    newBalance: bigint;
+  };
+  /** event ReserveHealthCheck(uint256 totalReserves, uint256 totalClaimed, uint256 utilizationBps) */
+  type ReserveHealthCheckEvent = {
+    totalReserves: bigint;
+    totalClaimed: bigint;
+    utilizationBps: bigint;
+  };
+  /** event ReserveUsed(bytes32 indexed claimId, address indexed token, uint256 amount, string reason) */
+  type ReserveUsedEvent = {
+    claimId: string;
+    token: string;
+    amount: bigint;
+    reason: string;
+  };
+  /** event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole) */
+  type RoleAdminChangedEvent = {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  };
+  /** event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleGrantedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleRevokedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event Unpaused(address account) */
+  type UnpausedEvent = {
+    account: string;
+  };
+  /** event Upgraded(address indexed implementation) */
+  type UpgradedEvent = {
+    implementation: string;
+  };
+  /** Custom errors InsuranceFund can revert with (decoded by decodeError) */
+  type CustomError = "AccessControlBadConfirmation()" | "AccessControlUnauthorizedAccount(address,bytes32)" | "AddressEmptyCode(address)" | "ERC1967InvalidImplementation(address)" | "ERC1967NonPayable()" | "EnforcedPause()" | "ExpectedPause()" | "FailedCall()" | "InvalidInitialization()" | "NotInitializing()" | "ReentrancyGuardReentrantCall()" | "SafeERC20FailedOperation(address)" | "UUPSUnauthorizedCallContext()" | "UUPSUnsupportedProxiableUUID(bytes32)";
+}
+
+export interface InsuranceFund extends BaseContract {
+  connect(runner: ContractRunner | null): InsuranceFund;
+
+  /** ADMIN_ROLE() view returns (bytes32) */
+  ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** BASIS_POINTS() view returns (uint256) */
+  BASIS_POINTS: BaseContractMethod<[], bigint, bigint>;
+  /** CLAIMER_ROLE() view returns (bytes32) */
+  CLAIMER_ROLE: BaseContractMethod<[], string, string>;
+  /** DEFAULT_ADMIN_ROLE() view returns (bytes32) */
+  DEFAULT_ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** DEFAULT_COVERAGE_CAP_BPS() view returns (uint256) */
+  DEFAULT_COVERAGE_CAP_BPS: BaseContractMethod<[], bigint, bigint>;
+  /** DEFAULT_DAILY_LIMIT() view returns (uint256) */
+  DEFAULT_DAILY_LIMIT: BaseContractMethod<[], bigint, bigint>;
+  /** DEFAULT_MAX_CLAIM() view returns (uint256) */
+  DEFAULT_MAX_CLAIM: BaseContractMethod<[], bigint, bigint>;
+  /** EMERGENCY_ROLE() view returns (bytes32) */
+  EMERGENCY_ROLE: BaseContractMethod<[], string, string>;
+  /** GOVERNANCE_ROLE() view returns (bytes32) */
+  GOVERNANCE_ROLE: BaseContractMethod<[], string, string>;
+  /** UPGRADE_INTERFACE_VERSION() view returns (string) */
+  UPGRADE_INTERFACE_VERSION: BaseContractMethod<[], string, string>;
+  /** activateAsset(address token) nonpayable */
+  activateAsset: BaseContractMethod<[token: AddressLike], void, ContractTransactionResponse>;
+  /** addReserve(address token, uint256 amount) nonpayable */
+  addReserve: BaseContractMethod<[token: AddressLike, amount: BigNumberish], void, ContractTransactionResponse>;
+  /** addReserveFrom(address token, address from, uint256 amount) nonpayable */
+  addReserveFrom: BaseContractMethod<[token: AddressLike, from: AddressLike, amount: BigNumberish], void, ContractTransactionResponse>;
+  /** approveClaim(bytes32 claimId) nonpayable */
+  approveClaim: BaseContractMethod<[claimId: BytesLike], void, ContractTransactionResponse>;
+  /** canClaim(bytes32 traderId, address token, uint256 amount) view returns (bool eligible, string reason) */
+  canClaim: BaseContractMethod<[traderId: BytesLike, token: AddressLike, amount: BigNumberish], [boolean, string] & { eligible: boolean; reason: string }, [boolean, string] & { eligible: boolean; reason: string }>;
+  /** claimCounter() view returns (uint256) */
+  claimCounter: BaseContractMethod<[], bigint, bigint>;
+  /** claimIds(uint256) view returns (bytes32) */
+  claimIds: BaseContractMethod<[arg0: BigNumberish], string, string>;
+  /** claims(bytes32) view returns (bytes32 claimId, address claimant, bytes32 traderId, address token, uint256 amount, string reason, uint8 status, uint256 submittedAt, uint256 processedAt, address processedBy) */
+  claims: BaseContractMethod<[arg0: BytesLike], [string, string, string, string, bigint, string, bigint, bigint, bigint, string] & { claimId: string; claimant: string; traderId: string; token: string; amount: bigint; reason: string; status: bigint; submittedAt: bigint; processedAt: bigint; processedBy: string }, [string, string, string, string, bigint, string, bigint, bigint, bigint, string] & { claimId: string; claimant: string; traderId: string; token: string; amount: bigint; reason: string; status: bigint; submittedAt: bigint; processedAt: bigint; processedBy: string }>;
+  /** coverageCapBps() view returns (uint256) */
+  coverageCapBps: BaseContractMethod<[], bigint, bigint>;
+  /** dailyClaimLimit() view returns (uint256) */
+  dailyClaimLimit: BaseContractMethod<[], bigint, bigint>;
+  /** dailyClaims(bytes32, uint256) view returns (uint256) */
+  dailyClaims: BaseContractMethod<[arg0: BytesLike, arg1: BigNumberish], bigint, bigint>;
+  /** deactivateAsset(address token) nonpayable */
+  deactivateAsset: BaseContractMethod<[token: AddressLike], void, ContractTransactionResponse>;
+  /** emergencyWithdraw(address token, address to, uint256 amount) nonpayable */
+  emergencyWithdraw: BaseContractMethod<[token: AddressLike, to: AddressLike, amount: BigNumberish], void, ContractTransactionResponse>;
+  /** getClaim(bytes32 claimId) view returns (tuple) */
+  getClaim: BaseContractMethod<[claimId: BytesLike], InsuranceFund.ClaimStructOutput, InsuranceFund.ClaimStructOutput>;
+  /** getHealthMetrics() view returns (uint256 totalReserves, uint256 totalClaimed, uint256 utilizationBps, uint256 coverageRemaining) */
+  getHealthMetrics: BaseContractMethod<[], [bigint, bigint, bigint, bigint] & { totalReserves: bigint; totalClaimed: bigint; utilizationBps: bigint; coverageRemaining: bigint }, [bigint, bigint, bigint, bigint] & { totalReserves: bigint; totalClaimed: bigint; utilizationBps: bigint; coverageRemaining: bigint }>;
+  /** getPendingClaims() view returns (bytes32[] pendingClaimIds) */
+  getPendingClaims: BaseContractMethod<[], string[], string[]>;
+  /** getReserveBalance(address token) view returns (uint256) */
+  getReserveBalance: BaseContractMethod<[token: AddressLike], bigint, bigint>;
+  /** getReserveInfo(address token) view returns (tuple) */
+  getReserveInfo: BaseContractMethod<[token: AddressLike], InsuranceFund.ReserveAssetStructOutput, InsuranceFund.ReserveAssetStructOutput>;
+  /** getRoleAdmin(bytes32 role) view returns (bytes32) */
+  getRoleAdmin: BaseContractMethod<[role: BytesLike], string, string>;
+  /** getTotalReserveValue() view returns (uint256) */
+  getTotalReserveValue: BaseContractMethod<[], bigint, bigint>;
+  /** getUtilizationRate() view returns (uint256 utilizationBps) */
+  getUtilizationRate: BaseContractMethod<[], bigint, bigint>;
+  /** grantRole(bytes32 role, address account) nonpayable */
+  grantRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** hasRole(bytes32 role, address account) view returns (bool) */
+  hasRole: BaseContractMethod<[role: BytesLike, account: AddressLike], boolean, boolean>;
+  /** initialize(address _admin, address _governance, address _emergency, address[] _claimers, address[] _initialTokens) nonpayable */
+  initialize: BaseContractMethod<[_admin: AddressLike, _governance: AddressLike, _emergency: AddressLike, _claimers: AddressLike[], _initialTokens: AddressLike[]], void, ContractTransactionResponse>;
+  /** insurePayout(bytes32 traderId, address token, uint256 amount, address recipient) nonpayable returns (bool success) */
+  insurePayout: BaseContractMethod<[traderId: BytesLike, token: AddressLike, amount: BigNumberish, recipient: AddressLike], boolean, ContractTransactionResponse>;
+  /** maxClaimAmount() view returns (uint256) */
+  maxClaimAmount: BaseContractMethod<[], bigint, bigint>;
+  /** pause() nonpayable */
+  pause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** paused() view returns (bool) */
+  paused: BaseContractMethod<[], boolean, boolean>;
+  /** performHealthCheck() nonpayable */
+  performHealthCheck: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** proxiableUUID() view returns (bytes32) */
+  proxiableUUID: BaseContractMethod<[], string, string>;
+  /** rejectClaim(bytes32 claimId, string reason) nonpayable */
+  rejectClaim: BaseContractMethod<[claimId: BytesLike, reason: string], void, ContractTransactionResponse>;
+  /** renounceRole(bytes32 role, address callerConfirmation) nonpayable */
+  renounceRole: BaseContractMethod<[role: BytesLike, callerConfirmation: AddressLike], void, ContractTransactionResponse>;
+  /** reserves(address) view returns (address token, uint256 balance, uint256 totalDeposited, uint256 totalClaimed, bool active) */
+  reserves: BaseContractMethod<[arg0: AddressLike], [string, bigint, bigint, bigint, boolean] & { token: string; balance: bigint; totalDeposited: bigint; totalClaimed: bigint; active: boolean }, [string, bigint, bigint, bigint, boolean] & { token: string; balance: bigint; totalDeposited: bigint; totalClaimed: bigint; active: boolean }>;
+  /** revokeRole(bytes32 role, address account) nonpayable */
+  revokeRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** submitClaim(bytes32 traderId, address token, uint256 amount, string reason) nonpayable returns (bytes32 claimId) */
+  submitClaim: BaseContractMethod<[traderId: BytesLike, token: AddressLike, amount: BigNumberish, reason: string], string, ContractTransactionResponse>;
+  /** supportedTokens(uint256) view returns (address) */
+  supportedTokens: BaseContractMethod<[arg0: BigNumberish], string, string>;
+  /** supportsInterface(bytes4 interfaceId) view returns (bool) */
+  supportsInterface: BaseContractMethod<[interfaceId: BytesLike], boolean, boolean>;
+  /** totalReserveValue() view returns (uint256) */
+  totalReserveValue: BaseContractMethod<[], bigint, bigint>;
+  /** unpause() nonpayable */
+  unpause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** updateCoverageLimits(uint256 newMaxClaim, uint256 newDailyLimit, uint256 newCoverageCapBps) nonpayable */
+  updateCoverageLimits: BaseContractMethod<[newMaxClaim: BigNumberish, newDailyLimit: BigNumberish, newCoverageCapBps: BigNumberish], void, ContractTransactionResponse>;
+  /** upgradeToAndCall(address newImplementation, bytes data) payable */
+  upgradeToAndCall: BaseContractMethod<[newImplementation: AddressLike, data: BytesLike], void, ContractTransactionResponse>;
+}
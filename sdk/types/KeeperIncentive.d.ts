@@ -0,0 +1,220 @@
+// Generated by `npx hardhat sdk:generate` from the compiled artifacts. Do not edit.
+import type {
+  AddressLike,
+  BaseContract,
+  BaseContractMethod,
+  BigNumberish,
+  BytesLike,
+  ContractRunner,
+  ContractTransactionResponse,
+} from "ethers";
+
+export declare namespace KeeperIncentive {
+  /** struct KeeperIncentive.KeeperInfo */
+  type KeeperInfoStruct = {
+    keeper: AddressLike;
+    status: BigNumberish;
+    stakedAmount: BigNumberish;
+    reputation: BigNumberish;
+    totalActions: BigNumberish;
+    successfulActions: BigNumberish;
+    totalRewards: BigNumberish;
+    lastActionTime: BigNumberish;
+    joinedAt: BigNumberish;
+  };
+  type KeeperInfoStructOutput = [string, bigint, bigint, bigint, bigint, bigint, bigint, bigint, bigint] & {
+    keeper: string;
+    status: bigint;
+    stakedAmount: bigint;
+    reputation: bigint;
+    totalActions: bigint;
+    successfulActions: bigint;
+    totalRewards: bigint;
+    lastActionTime: bigint;
+    joinedAt: bigint;
+  };
+  /** event ActionExecuted(bytes32 indexed actionId, address indexed keeper, uint8 actionType, bool successful) */
+  type ActionExecutedEvent = {
+    actionId: string;
+    keeper: string;
+    actionType: bigint;
+    successful: boolean;
+  };
+  /** event Initialized(uint64 version) */
+  type InitializedEvent = {
+    version: bigint;
+  };
+  /** event KeeperRegistered(address indexed keeper, uint256 stakedAmount, uint256 timestamp) */
+  type KeeperRegisteredEvent = {
+    keeper: string;
+    stakedAmount: bigint;
+    timestamp: bigint;
+  };
+  /** event KeeperRewarded(address indexed keeper, uint8 actionType, uint256 reward, uint256 timestamp) */
+  type KeeperRewardedEvent = {
+    keeper: string;
+    actionType: bigint;
+    reward: bigint;
+    timestamp: bigint;
+  };
+  /** event KeeperSlashed(address indexed keeper, uint256 slashAmount, string reason) */
+  type KeeperSlashedEvent = {
+    keeper: string;
+    slashAmount: bigint;
+    reason: string;
+  };
+  /** event KeeperStakeIncreased(address indexed keeper, uint256 amount, uint256 newTotal) */
+  type KeeperStakeIncreasedEvent = {
+    keeper: string;
+    amount: bigint;
+    newTotal: bigint;
+  };
+  /** event KeeperStakeWithdrawn(address indexed keeper, uint256 amount, uint256 remaining) */
+  type KeeperStakeWithdrawnEvent = {
+    keeper: string;
+    amount: bigint;
+    remaining: bigint;
+  };
+  /** event KeeperStatusChanged(address indexed keeper, uint8 oldStatus, uint8 newStatus) */
+  type KeeperStatusChangedEvent = {
+    keeper: string;
+    oldStatus: bigint;
+    newStatus: bigint;
+  };
+  /** event Paused(address account) */
+  type PausedEvent = {
+    account: string;
+  };
+  /** event RewardConfigUpdated(uint8 indexed actionType, uint256 baseReward) */
+  type RewardConfigUpdatedEvent = {
+    actionType: bigint;
+    baseReward: bigint;
+  };
+  /** event RewardPoolDeposited(address indexed from, uint256 amount, uint256 newBalance) */
+  type RewardPoolDepositedEvent = {
+    from: string;
+    amount: bigint;
+    newBalance: bigint;
+  };
+  /** event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole) */
+  type RoleAdminChangedEvent = {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  };
+  /** event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleGrantedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleRevokedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event Unpaused(address account) */
+  type UnpausedEvent = {
+    account: string;
+  };
+  /** event Upgraded(address indexed implementation) */
+  type UpgradedEvent = {
+    implementation: string;
+  };
+  /** Custom errors KeeperIncentive can revert with (decoded by decodeError) */
+  type CustomError = "AccessControlBadConfirmation()" | "AccessControlUnauthorizedAccount(address,bytes32)" | "AddressEmptyCode(address)" | "ERC1967InvalidImplementation(address)" | "ERC1967NonPayable()" | "EnforcedPause()" | "ExpectedPause()" | "FailedCall()" | "InvalidInitialization()" | "NotInitializing()" | "ReentrancyGuardReentrantCall()" | "SafeERC20FailedOperation(address)" | "UUPSUnauthorizedCallContext()" | "UUPSUnsupportedProxiableUUID(bytes32)";
+}
+
+export interface KeeperIncentive extends BaseContract {
+  connect(runner: ContractRunner | null): KeeperIncentive;
+
+  /** ADMIN_ROLE() view returns (bytes32) */
+  ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** BASIS_POINTS() view returns (uint256) */
+  BASIS_POINTS: BaseContractMethod<[], bigint, bigint>;
+  /** DEFAULT_ADMIN_ROLE() view returns (bytes32) */
+  DEFAULT_ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** GOVERNANCE_ROLE() view returns (bytes32) */
+  GOVERNANCE_ROLE: BaseContractMethod<[], string, string>;
+  /** MAX_REPUTATION() view returns (uint256) */
+  MAX_REPUTATION: BaseContractMethod<[], bigint, bigint>;
+  /** PROTOCOL_ROLE() view returns (bytes32) */
+  PROTOCOL_ROLE: BaseContractMethod<[], string, string>;
+  /** UPGRADE_INTERFACE_VERSION() view returns (string) */
+  UPGRADE_INTERFACE_VERSION: BaseContractMethod<[], string, string>;
+  /** actionCooldown() view returns (uint256) */
+  actionCooldown: BaseContractMethod<[], bigint, bigint>;
+  /** actionIds(uint256) view returns (bytes32) */
+  actionIds: BaseContractMethod<[arg0: BigNumberish], string, string>;
+  /** actionRecords(bytes32) view returns (bytes32 actionId, uint8 actionType, address keeper, uint256 reward, uint256 timestamp, bool successful, string metadata) */
+  actionRecords: BaseContractMethod<[arg0: BytesLike], [string, bigint, string, bigint, bigint, boolean, string] & { actionId: string; actionType: bigint; keeper: string; reward: bigint; timestamp: bigint; successful: boolean; metadata: string }, [string, bigint, string, bigint, bigint, boolean, string] & { actionId: string; actionType: bigint; keeper: string; reward: bigint; timestamp: bigint; successful: boolean; metadata: string }>;
+  /** depositRewardPool(uint256 amount) nonpayable */
+  depositRewardPool: BaseContractMethod<[amount: BigNumberish], void, ContractTransactionResponse>;
+  /** getActiveKeepers() view returns (address[] active) */
+  getActiveKeepers: BaseContractMethod<[], string[], string[]>;
+  /** getKeeperInfo(address keeper) view returns (tuple) */
+  getKeeperInfo: BaseContractMethod<[keeper: AddressLike], KeeperIncentive.KeeperInfoStructOutput, KeeperIncentive.KeeperInfoStructOutput>;
+  /** getKeeperStats() view returns (uint256 totalKeepers, uint256 activeKeepers, uint256 totalActionsExecuted, uint256 totalRewards) */
+  getKeeperStats: BaseContractMethod<[], [bigint, bigint, bigint, bigint] & { totalKeepers: bigint; activeKeepers: bigint; totalActionsExecuted: bigint; totalRewards: bigint }, [bigint, bigint, bigint, bigint] & { totalKeepers: bigint; activeKeepers: bigint; totalActionsExecuted: bigint; totalRewards: bigint }>;
+  /** getRewardBalance() view returns (uint256) */
+  getRewardBalance: BaseContractMethod<[], bigint, bigint>;
+  /** getRoleAdmin(bytes32 role) view returns (bytes32) */
+  getRoleAdmin: BaseContractMethod<[role: BytesLike], string, string>;
+  /** grantRole(bytes32 role, address account) nonpayable */
+  grantRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** hasRole(bytes32 role, address account) view returns (bool) */
+  hasRole: BaseContractMethod<[role: BytesLike, account: AddressLike], boolean, boolean>;
+  /** increaseStake(uint256 amount) nonpayable */
+  increaseStake: BaseContractMethod<[amount: BigNumberish], void, ContractTransactionResponse>;
+  /** initialize(address _admin, address _governance, address _rewardToken, uint256 _minStakeAmount) nonpayable */
+  initialize: BaseContractMethod<[_admin: AddressLike, _governance: AddressLike, _rewardToken: AddressLike, _minStakeAmount: BigNumberish], void, ContractTransactionResponse>;
+  /** keeperList(uint256) view returns (address) */
+  keeperList: BaseContractMethod<[arg0: BigNumberish], string, string>;
+  /** keepers(address) view returns (address keeper, uint8 status, uint256 stakedAmount, uint256 reputation, uint256 totalActions, uint256 successfulActions, uint256 totalRewards, uint256 lastActionTime, uint256 joinedAt) */
+  keepers: BaseContractMethod<[arg0: AddressLike], [string, bigint, bigint, bigint, bigint, bigint, bigint, bigint, bigint] & { keeper: string; status: bigint; stakedAmount: bigint; reputation: bigint; totalActions: bigint; successfulActions: bigint; totalRewards: bigint; lastActionTime: bigint; joinedAt: bigint }, [string, bigint, bigint, bigint, bigint, bigint, bigint, bigint, bigint] & { keeper: string; status: bigint; stakedAmount: bigint; reputation: bigint; totalActions: bigint; successfulActions: bigint; totalRewards: bigint; lastActionTime: bigint; joinedAt: bigint }>;
+  /** minStakeAmount() view returns (uint256) */
+  minStakeAmount: BaseContractMethod<[], bigint, bigint>;
+  /** pause() nonpayable */
+  pause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** paused() view returns (bool) */
+  paused: BaseContractMethod<[], boolean, boolean>;
+  /** proxiableUUID() view returns (bytes32) */
+  proxiableUUID: BaseContractMethod<[], string, string>;
+  /** reactivateKeeper(address keeper) nonpayable */
+  reactivateKeeper: BaseContractMethod<[keeper: AddressLike], void, ContractTransactionResponse>;
+  /** registerKeeper(uint256 stakeAmount) nonpayable */
+  registerKeeper: BaseContractMethod<[stakeAmount: BigNumberish], void, ContractTransactionResponse>;
+  /** renounceRole(bytes32 role, address callerConfirmation) nonpayable */
+  renounceRole: BaseContractMethod<[role: BytesLike, callerConfirmation: AddressLike], void, ContractTransactionResponse>;
+  /** revokeRole(bytes32 role, address account) nonpayable */
+  revokeRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** rewardConfigs(uint8) view returns (uint256 baseReward, uint256 riskMultiplierBps, uint256 speedBonusBps, uint256 reputationBonusBps, bool active) */
+  rewardConfigs: BaseContractMethod<[arg0: BigNumberish], [bigint, bigint, bigint, bigint, boolean] & { baseReward: bigint; riskMultiplierBps: bigint; speedBonusBps: bigint; reputationBonusBps: bigint; active: boolean }, [bigint, bigint, bigint, bigint, boolean] & { baseReward: bigint; riskMultiplierBps: bigint; speedBonusBps: bigint; reputationBonusBps: bigint; active: boolean }>;
+  /** rewardKeeper(address keeper, uint8 actionType, uint256 positionSize, bool successful) nonpayable returns (uint256 reward) */
+  rewardKeeper: BaseContractMethod<[keeper: AddressLike, actionType: BigNumberish, positionSize: BigNumberish, successful: boolean], bigint, ContractTransactionResponse>;
+  /** rewardPoolBalance() view returns (uint256) */
+  rewardPoolBalance: BaseContractMethod<[], bigint, bigint>;
+  /** rewardToken() view returns (address) */
+  rewardToken: BaseContractMethod<[], string, string>;
+  /** slashPercentage() view returns (uint256) */
+  slashPercentage: BaseContractMethod<[], bigint, bigint>;
+  /** supportsInterface(bytes4 interfaceId) view returns (bool) */
+  supportsInterface: BaseContractMethod<[interfaceId: BytesLike], boolean, boolean>;
+  /** suspendKeeper(address keeper) nonpayable */
+  suspendKeeper: BaseContractMethod<[keeper: AddressLike], void, ContractTransactionResponse>;
+  /** totalRewardsDistributed() view returns (uint256) */
+  totalRewardsDistributed: BaseContractMethod<[], bigint, bigint>;
+  /** unpause() nonpayable */
+  unpause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** updateMinStake(uint256 newMinStake) nonpayable */
+  updateMinStake: BaseContractMethod<[newMinStake: BigNumberish], void, ContractTransactionResponse>;
+  /** updateRewardConfig(uint8 actionType, uint256 baseReward, uint256 riskMultiplierBps, uint256 speedBonusBps, uint256 reputationBonusBps, bool active) nonpayable */
+  updateRewardConfig: BaseContractMethod<[actionType: BigNumberish, baseReward: BigNumberish, riskMultiplierBps: BigNumberish, speedBonusBps: BigNumberish, reputationBonusBps: BigNumberish, active: boolean], void, ContractTransactionResponse>;
+  /** updateSlashPercentage(uint256 newPercentage) nonpayable */
+  updateSlashPercentage: BaseContractMethod<[newPercentage: BigNumberish], void, ContractTransactionResponse>;
+  /** upgradeToAndCall(address newImplementation, bytes data) payable */
+  upgradeToAndCall: BaseContractMethod<[newImplementation: AddressLike, data: BytesLike], void, ContractTransactionResponse>;
+  /** withdrawStake(uint256 amount) nonpayable */
+  withdrawStake: BaseContractMethod<[amount: BigNumberish], void, ContractTransactionResponse>;
+}
@@ -0,0 +1,166 @@
+// Generated by `npx hardhat sdk:generate` from the compiled artifacts. Do not edit.
+import type {
+  AddressLike,
+  BaseContract,
+  BaseContractMethod,
+  BigNumberish,
+  BytesLike,
+  ContractRunner,
+  ContractTransactionResponse,
+} from "ethers";
+
+export declare namespace OperatorRegistry {
+  /** struct OperatorRegistry.OperatorInfo */
+  type OperatorInfoStruct = {
+    operator: AddressLike;
+    status: BigNumberish;
+    addedBy: AddressLike;
+    addedAt: BigNumberish;
+    lastStatusChange: BigNumberish;
+    batchesSubmitted: BigNumberish;
+    metadata: string;
+  };
+  type OperatorInfoStructOutput = [string, bigint, string, bigint, bigint, bigint, string] & {
+    operator: string;
+    status: bigint;
+    addedBy: string;
+    addedAt: bigint;
+    lastStatusChange: bigint;
+    batchesSubmitted: bigint;
+    metadata: string;
+  };
+  /** event Initialized(uint64 version) */
+  type InitializedEvent = {
+    version: bigint;
+  };
+  /** event OperatorAdded(address indexed operator, address indexed addedBy, uint256 timestamp, string metadata) */
+  type OperatorAddedEvent = {
+    operator: string;
+    addedBy: string;
+    timestamp: bigint;
+    metadata: string;
+  };
+  /** event OperatorBatchSubmitted(address indexed operator, uint256 batchCount) */
+  type OperatorBatchSubmittedEvent = {
+    operator: string;
+    batchCount: bigint;
+  };
+  /** event OperatorReactivated(address indexed operator, address indexed reactivatedBy, uint256 timestamp) */
+  type OperatorReactivatedEvent = {
+    operator: string;
+    reactivatedBy: string;
+    timestamp: bigint;
+  };
+  /** event OperatorRemoved(address indexed operator, address indexed removedBy, uint256 timestamp) */
+  type OperatorRemovedEvent = {
+    operator: string;
+    removedBy: string;
+    timestamp: bigint;
+  };
+  /** event OperatorSuspended(address indexed operator, address indexed suspendedBy, uint256 timestamp, string reason) */
+  type OperatorSuspendedEvent = {
+    operator: string;
+    suspendedBy: string;
+    timestamp: bigint;
+    reason: string;
+  };
+  /** event Paused(address account) */
+  type PausedEvent = {
+    account: string;
+  };
+  /** event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole) */
+  type RoleAdminChangedEvent = {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  };
+  /** event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleGrantedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleRevokedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event Unpaused(address account) */
+  type UnpausedEvent = {
+    account: string;
+  };
+  /** event Upgraded(address indexed implementation) */
+  type UpgradedEvent = {
+    implementation: string;
+  };
+  /** Custom errors OperatorRegistry can revert with (decoded by decodeError) */
+  type CustomError = "AccessControlBadConfirmation()" | "AccessControlUnauthorizedAccount(address,bytes32)" | "AddressEmptyCode(address)" | "ERC1967InvalidImplementation(address)" | "ERC1967NonPayable()" | "EnforcedPause()" | "ExpectedPause()" | "FailedCall()" | "InvalidInitialization()" | "NotInitializing()" | "ReentrancyGuardReentrantCall()" | "UUPSUnauthorizedCallContext()" | "UUPSUnsupportedProxiableUUID(bytes32)";
+}
+
+export interface OperatorRegistry extends BaseContract {
+  connect(runner: ContractRunner | null): OperatorRegistry;
+
+  /** ADMIN_ROLE() view returns (bytes32) */
+  ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** DEFAULT_ADMIN_ROLE() view returns (bytes32) */
+  DEFAULT_ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** GOVERNANCE_ROLE() view returns (bytes32) */
+  GOVERNANCE_ROLE: BaseContractMethod<[], string, string>;
+  /** UPGRADE_INTERFACE_VERSION() view returns (string) */
+  UPGRADE_INTERFACE_VERSION: BaseContractMethod<[], string, string>;
+  /** activeOperatorCount() view returns (uint256) */
+  activeOperatorCount: BaseContractMethod<[], bigint, bigint>;
+  /** addOperator(address operator, string metadata) nonpayable */
+  addOperator: BaseContractMethod<[operator: AddressLike, metadata: string], void, ContractTransactionResponse>;
+  /** getActiveOperators() view returns (address[] activeOperators) */
+  getActiveOperators: BaseContractMethod<[], string[], string[]>;
+  /** getAllOperators() view returns (address[] allOperators) */
+  getAllOperators: BaseContractMethod<[], string[], string[]>;
+  /** getOperatorCountByStatus(uint8 status) view returns (uint256 count) */
+  getOperatorCountByStatus: BaseContractMethod<[status: BigNumberish], bigint, bigint>;
+  /** getOperatorInfo(address operator) view returns (tuple info) */
+  getOperatorInfo: BaseContractMethod<[operator: AddressLike], OperatorRegistry.OperatorInfoStructOutput, OperatorRegistry.OperatorInfoStructOutput>;
+  /** getOperatorStatistics() view returns (uint256 total, uint256 active, uint256 suspended, uint256 inactive) */
+  getOperatorStatistics: BaseContractMethod<[], [bigint, bigint, bigint, bigint] & { total: bigint; active: bigint; suspended: bigint; inactive: bigint }, [bigint, bigint, bigint, bigint] & { total: bigint; active: bigint; suspended: bigint; inactive: bigint }>;
+  /** getRoleAdmin(bytes32 role) view returns (bytes32) */
+  getRoleAdmin: BaseContractMethod<[role: BytesLike], string, string>;
+  /** grantRole(bytes32 role, address account) nonpayable */
+  grantRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** hasRole(bytes32 role, address account) view returns (bool) */
+  hasRole: BaseContractMethod<[role: BytesLike, account: AddressLike], boolean, boolean>;
+  /** initialize(address _admin, address _governance, address[] _initialOperators, string[] _operatorMetadata) nonpayable */
+  initialize: BaseContractMethod<[_admin: AddressLike, _governance: AddressLike, _initialOperators: AddressLike[], _operatorMetadata: string[]], void, ContractTransactionResponse>;
+  /** isOperator(address operator) view returns (bool active) */
+  isOperator: BaseContractMethod<[operator: AddressLike], boolean, boolean>;
+  /** operatorList(uint256) view returns (address) */
+  operatorList: BaseContractMethod<[arg0: BigNumberish], string, string>;
+  /** operators(address) view returns (address operator, uint8 status, address addedBy, uint256 addedAt, uint256 lastStatusChange, uint256 batchesSubmitted, string metadata) */
+  operators: BaseContractMethod<[arg0: AddressLike], [string, bigint, string, bigint, bigint, bigint, string] & { operator: string; status: bigint; addedBy: string; addedAt: bigint; lastStatusChange: bigint; batchesSubmitted: bigint; metadata: string }, [string, bigint, string, bigint, bigint, bigint, string] & { operator: string; status: bigint; addedBy: string; addedAt: bigint; lastStatusChange: bigint; batchesSubmitted: bigint; metadata: string }>;
+  /** pause() nonpayable */
+  pause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** paused() view returns (bool) */
+  paused: BaseContractMethod<[], boolean, boolean>;
+  /** proxiableUUID() view returns (bytes32) */
+  proxiableUUID: BaseContractMethod<[], string, string>;
+  /** reactivateOperator(address operator) nonpayable */
+  reactivateOperator: BaseContractMethod<[operator: AddressLike], void, ContractTransactionResponse>;
+  /** recordBatchSubmission(address operator) nonpayable */
+  recordBatchSubmission: BaseContractMethod<[operator: AddressLike], void, ContractTransactionResponse>;
+  /** removeOperator(address operator) nonpayable */
+  removeOperator: BaseContractMethod<[operator: AddressLike], void, ContractTransactionResponse>;
+  /** renounceRole(bytes32 role, address callerConfirmation) nonpayable */
+  renounceRole: BaseContractMethod<[role: BytesLike, callerConfirmation: AddressLike], void, ContractTransactionResponse>;
+  /** revokeRole(bytes32 role, address account) nonpayable */
+  revokeRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** supportsInterface(bytes4 interfaceId) view returns (bool) */
+  supportsInterface: BaseContractMethod<[interfaceId: BytesLike], boolean, boolean>;
+  /** suspendOperator(address operator, string reason) nonpayable */
+  suspendOperator: BaseContractMethod<[operator: AddressLike, reason: string], void, ContractTransactionResponse>;
+  /** totalOperatorsAdded() view returns (uint256) */
+  totalOperatorsAdded: BaseContractMethod<[], bigint, bigint>;
+  /** unpause() nonpayable */
+  unpause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** upgradeToAndCall(address newImplementation, bytes data) payable */
+  upgradeToAndCall: BaseContractMethod<[newImplementation: AddressLike, data: BytesLike], void, ContractTransactionResponse>;
+}
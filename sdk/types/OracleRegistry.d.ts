@@ -0,0 +1,168 @@
+// Generated by `npx hardhat sdk:generate` from the compiled artifacts. Do not edit.
+import type {
+  AddressLike,
+  BaseContract,
+  BaseContractMethod,
+  BigNumberish,
+  BytesLike,
+  ContractRunner,
+  ContractTransactionResponse,
+} from "ethers";
+
+export declare namespace OracleRegistry {
+  /** struct OracleRegistry.OracleAddresses */
+  type OracleAddressesStruct = {
+    cryptoOracle: AddressLike;
+    stockOracle: AddressLike;
+    forexOracle: AddressLike;
+    commodityOracle: AddressLike;
+    indexOracle: AddressLike;
+  };
+  type OracleAddressesStructOutput = [string, string, string, string, string] & {
+    cryptoOracle: string;
+    stockOracle: string;
+    forexOracle: string;
+    commodityOracle: string;
+    indexOracle: string;
+  };
+  /** struct OracleRegistry.OracleHealth */
+  type OracleHealthStruct = {
+    assetClass: BigNumberish;
+    oracleAddress: AddressLike;
+    isActive: boolean;
+    lastUpdate: BigNumberish;
+    symbolCount: BigNumberish;
+  };
+  type OracleHealthStructOutput = [bigint, string, boolean, bigint, bigint] & {
+    assetClass: bigint;
+    oracleAddress: string;
+    isActive: boolean;
+    lastUpdate: bigint;
+    symbolCount: bigint;
+  };
+  /** struct OracleRegistry.PriceQuote */
+  type PriceQuoteStruct = {
+    symbol: BytesLike;
+    price: BigNumberish;
+    timestamp: BigNumberish;
+    confidence: BigNumberish;
+    assetClass: BigNumberish;
+    isValid: boolean;
+  };
+  type PriceQuoteStructOutput = [string, bigint, bigint, bigint, bigint, boolean] & {
+    symbol: string;
+    price: bigint;
+    timestamp: bigint;
+    confidence: bigint;
+    assetClass: bigint;
+    isValid: boolean;
+  };
+  /** event HealthCheckPerformed(uint256 timestamp, uint256 healthyOracles, uint256 totalOracles) */
+  type HealthCheckPerformedEvent = {
+    timestamp: bigint;
+    healthyOracles: bigint;
+    totalOracles: bigint;
+  };
+  /** event Initialized(uint64 version) */
+  type InitializedEvent = {
+    version: bigint;
+  };
+  /** event OracleUpdated(uint8 indexed assetClass, address oldOracle, address newOracle) */
+  type OracleUpdatedEvent = {
+    assetClass: bigint;
+    oldOracle: string;
+    newOracle: string;
+  };
+  /** event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole) */
+  type RoleAdminChangedEvent = {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  };
+  /** event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleGrantedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleRevokedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event SymbolMapped(bytes32 indexed symbol, uint8 assetClass) */
+  type SymbolMappedEvent = {
+    symbol: string;
+    assetClass: bigint;
+  };
+  /** event Upgraded(address indexed implementation) */
+  type UpgradedEvent = {
+    implementation: string;
+  };
+  /** Custom errors OracleRegistry can revert with (decoded by decodeError) */
+  type CustomError = "AccessControlBadConfirmation()" | "AccessControlUnauthorizedAccount(address,bytes32)" | "AddressEmptyCode(address)" | "ERC1967InvalidImplementation(address)" | "ERC1967NonPayable()" | "FailedCall()" | "InvalidInitialization()" | "NotInitializing()" | "UUPSUnauthorizedCallContext()" | "UUPSUnsupportedProxiableUUID(bytes32)";
+}
+
+export interface OracleRegistry extends BaseContract {
+  connect(runner: ContractRunner | null): OracleRegistry;
+
+  /** ADMIN_ROLE() view returns (bytes32) */
+  ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** DEFAULT_ADMIN_ROLE() view returns (bytes32) */
+  DEFAULT_ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** UPGRADE_INTERFACE_VERSION() view returns (string) */
+  UPGRADE_INTERFACE_VERSION: BaseContractMethod<[], string, string>;
+  /** allSymbols(uint256) view returns (bytes32) */
+  allSymbols: BaseContractMethod<[arg0: BigNumberish], string, string>;
+  /** getAllSymbols() view returns (bytes32[]) */
+  getAllSymbols: BaseContractMethod<[], string[], string[]>;
+  /** getCryptoPrice(bytes32 symbol) view returns (int64 price, uint32 confidence, uint256 timestamp, uint256 volatility, int64 high, int64 low, uint256 volume) */
+  getCryptoPrice: BaseContractMethod<[symbol: BytesLike], [bigint, bigint, bigint, bigint, bigint, bigint, bigint] & { price: bigint; confidence: bigint; timestamp: bigint; volatility: bigint; high: bigint; low: bigint; volume: bigint }, [bigint, bigint, bigint, bigint, bigint, bigint, bigint] & { price: bigint; confidence: bigint; timestamp: bigint; volatility: bigint; high: bigint; low: bigint; volume: bigint }>;
+  /** getForexPrice(bytes32 symbol) view returns (int64 bidPrice, int64 askPrice, int64 midPrice, uint32 spread, uint256 liquidity, uint8 session, uint256 timestamp) */
+  getForexPrice: BaseContractMethod<[symbol: BytesLike], [bigint, bigint, bigint, bigint, bigint, bigint, bigint] & { bidPrice: bigint; askPrice: bigint; midPrice: bigint; spread: bigint; liquidity: bigint; session: bigint; timestamp: bigint }, [bigint, bigint, bigint, bigint, bigint, bigint, bigint] & { bidPrice: bigint; askPrice: bigint; midPrice: bigint; spread: bigint; liquidity: bigint; session: bigint; timestamp: bigint }>;
+  /** getOracleAddresses() view returns (tuple) */
+  getOracleAddresses: BaseContractMethod<[], OracleRegistry.OracleAddressesStructOutput, OracleRegistry.OracleAddressesStructOutput>;
+  /** getOracleHealth() view returns (tuple[] healthReports) */
+  getOracleHealth: BaseContractMethod<[], OracleRegistry.OracleHealthStructOutput[], OracleRegistry.OracleHealthStructOutput[]>;
+  /** getPrice(bytes32 symbol) view returns (int64 price, uint256 timestamp) */
+  getPrice: BaseContractMethod<[symbol: BytesLike], [bigint, bigint] & { price: bigint; timestamp: bigint }, [bigint, bigint] & { price: bigint; timestamp: bigint }>;
+  /** getPriceBatch(bytes32[] symbols) view returns (tuple[] quotes) */
+  getPriceBatch: BaseContractMethod<[symbols: BytesLike[]], OracleRegistry.PriceQuoteStructOutput[], OracleRegistry.PriceQuoteStructOutput[]>;
+  /** getPriceQuote(bytes32 symbol) view returns (tuple quote) */
+  getPriceQuote: BaseContractMethod<[symbol: BytesLike], OracleRegistry.PriceQuoteStructOutput, OracleRegistry.PriceQuoteStructOutput>;
+  /** getPriceWithConfidence(bytes32 symbol) view returns (int64 price, uint32 confidence, uint256 timestamp) */
+  getPriceWithConfidence: BaseContractMethod<[symbol: BytesLike], [bigint, bigint, bigint] & { price: bigint; confidence: bigint; timestamp: bigint }, [bigint, bigint, bigint] & { price: bigint; confidence: bigint; timestamp: bigint }>;
+  /** getPricesByAssetClass(uint8 assetClass) view returns (tuple[] quotes) */
+  getPricesByAssetClass: BaseContractMethod<[assetClass: BigNumberish], OracleRegistry.PriceQuoteStructOutput[], OracleRegistry.PriceQuoteStructOutput[]>;
+  /** getRoleAdmin(bytes32 role) view returns (bytes32) */
+  getRoleAdmin: BaseContractMethod<[role: BytesLike], string, string>;
+  /** getStockPrice(bytes32 symbol) view returns (int64 currentPrice, int64 openPrice, int64 closePrice, int64 dayHigh, int64 dayLow, uint256 volume, bool isHalted, uint256 timestamp) */
+  getStockPrice: BaseContractMethod<[symbol: BytesLike], [bigint, bigint, bigint, bigint, bigint, bigint, boolean, bigint] & { currentPrice: bigint; openPrice: bigint; closePrice: bigint; dayHigh: bigint; dayLow: bigint; volume: bigint; isHalted: boolean; timestamp: bigint }, [bigint, bigint, bigint, bigint, bigint, bigint, boolean, bigint] & { currentPrice: bigint; openPrice: bigint; closePrice: bigint; dayHigh: bigint; dayLow: bigint; volume: bigint; isHalted: boolean; timestamp: bigint }>;
+  /** grantRole(bytes32 role, address account) nonpayable */
+  grantRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** hasRole(bytes32 role, address account) view returns (bool) */
+  hasRole: BaseContractMethod<[role: BytesLike, account: AddressLike], boolean, boolean>;
+  /** initialize(address _admin, address _cryptoOracle, address _stockOracle, address _forexOracle, address _commodityOracle, address _indexOracle) nonpayable */
+  initialize: BaseContractMethod<[_admin: AddressLike, _cryptoOracle: AddressLike, _stockOracle: AddressLike, _forexOracle: AddressLike, _commodityOracle: AddressLike, _indexOracle: AddressLike], void, ContractTransactionResponse>;
+  /** isStale(bytes32 symbol) view returns (bool) */
+  isStale: BaseContractMethod<[symbol: BytesLike], boolean, boolean>;
+  /** mapSymbol(bytes32 symbol, uint8 assetClass) nonpayable */
+  mapSymbol: BaseContractMethod<[symbol: BytesLike, assetClass: BigNumberish], void, ContractTransactionResponse>;
+  /** oracles() view returns (address cryptoOracle, address stockOracle, address forexOracle, address commodityOracle, address indexOracle) */
+  oracles: BaseContractMethod<[], [string, string, string, string, string] & { cryptoOracle: string; stockOracle: string; forexOracle: string; commodityOracle: string; indexOracle: string }, [string, string, string, string, string] & { cryptoOracle: string; stockOracle: string; forexOracle: string; commodityOracle: string; indexOracle: string }>;
+  /** proxiableUUID() view returns (bytes32) */
+  proxiableUUID: BaseContractMethod<[], string, string>;
+  /** renounceRole(bytes32 role, address callerConfirmation) nonpayable */
+  renounceRole: BaseContractMethod<[role: BytesLike, callerConfirmation: AddressLike], void, ContractTransactionResponse>;
+  /** revokeRole(bytes32 role, address account) nonpayable */
+  revokeRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** supportsInterface(bytes4 interfaceId) view returns (bool) */
+  supportsInterface: BaseContractMethod<[interfaceId: BytesLike], boolean, boolean>;
+  /** symbolToAssetClass(bytes32) view returns (uint8) */
+  symbolToAssetClass: BaseContractMethod<[arg0: BytesLike], bigint, bigint>;
+  /** updateOracle(uint8 assetClass, address newOracle) nonpayable */
+  updateOracle: BaseContractMethod<[assetClass: BigNumberish, newOracle: AddressLike], void, ContractTransactionResponse>;
+  /** upgradeToAndCall(address newImplementation, bytes data) payable */
+  upgradeToAndCall: BaseContractMethod<[newImplementation: AddressLike, data: BytesLike], void, ContractTransactionResponse>;
+}
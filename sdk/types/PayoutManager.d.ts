@@ -0,0 +1,222 @@
+// Generated by `npx hardhat sdk:generate` from the compiled artifacts. Do not edit.
+import type {
+  AddressLike,
+  BaseContract,
+  BaseContractMethod,
+  BigNumberish,
+  BytesLike,
+  ContractRunner,
+  ContractTransactionResponse,
+} from "ethers";
+
+export declare namespace PayoutManager {
+  /** struct PayoutManager.PayoutRequest */
+  type PayoutRequestStruct = {
+    requestId: BytesLike;
+    traderId: BytesLike;
+    recipient: AddressLike;
+    batchId: BytesLike;
+    grossPnL: BigNumberish;
+    traderShare: BigNumberish;
+    poolShare: BigNumberish;
+    status: BigNumberish;
+    requestTime: BigNumberish;
+    executedTime: BigNumberish;
+  };
+  type PayoutRequestStructOutput = [string, string, string, string, bigint, bigint, bigint, bigint, bigint, bigint] & {
+    requestId: string;
+    traderId: string;
+    recipient: string;
+    batchId: string;
+    grossPnL: bigint;
+    traderShare: bigint;
+    poolShare: bigint;
+    status: bigint;
+    requestTime: bigint;
+    executedTime: bigint;
+  };
+  /** struct TradeLedger.Trade */
+  type TradeLedger_TradeStruct = {
+    traderId: BytesLike;
+    tradeId: BytesLike;
+    symbol: string;
+    side: BigNumberish;
+    size: BigNumberish;
+    entryPrice: BigNumberish;
+    exitPrice: BigNumberish;
+    pnl: BigNumberish;
+    fee: BigNumberish;
+    timestamp: BigNumberish;
+  };
+  type TradeLedger_TradeStructOutput = [string, string, string, bigint, bigint, bigint, bigint, bigint, bigint, bigint] & {
+    traderId: string;
+    tradeId: string;
+    symbol: string;
+    side: bigint;
+    size: bigint;
+    entryPrice: bigint;
+    exitPrice: bigint;
+    pnl: bigint;
+    fee: bigint;
+    timestamp: bigint;
+  };
+  /** event ContractsUpdated(address tradeLedger, address traderRegistry, address capitalPool) */
+  type ContractsUpdatedEvent = {
+    tradeLedger: string;
+    traderRegistry: string;
+    capitalPool: string;
+  };
+  /** event Initialized(uint64 version) */
+  type InitializedEvent = {
+    version: bigint;
+  };
+  /** event Paused(address account) */
+  type PausedEvent = {
+    account: string;
+  };
+  /** event PayoutCooldownUpdated(uint256 oldCooldown, uint256 newCooldown) */
+  type PayoutCooldownUpdatedEvent = {
+    oldCooldown: bigint;
+    newCooldown: bigint;
+  };
+  /** event PayoutExecuted(bytes32 indexed requestId, bytes32 indexed traderId, address recipient, uint256 amount, uint256 timestamp) */
+  type PayoutExecutedEvent = {
+    requestId: string;
+    traderId: string;
+    recipient: string;
+    amount: bigint;
+    timestamp: bigint;
+  };
+  /** event PayoutRejected(bytes32 indexed requestId, bytes32 indexed traderId, string reason) */
+  type PayoutRejectedEvent = {
+    requestId: string;
+    traderId: string;
+    reason: string;
+  };
+  /** event PayoutRequested(bytes32 indexed requestId, bytes32 indexed traderId, address recipient, int256 grossPnL, uint256 traderShare) */
+  type PayoutRequestedEvent = {
+    requestId: string;
+    traderId: string;
+    recipient: string;
+    grossPnL: bigint;
+    traderShare: bigint;
+  };
+  /** event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole) */
+  type RoleAdminChangedEvent = {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  };
+  /** event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleGrantedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleRevokedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event TierUpgradeAuthorized(bytes32 indexed traderId, uint8 oldTier, uint8 newTier, uint256 timestamp) */
+  type TierUpgradeAuthorizedEvent = {
+    traderId: string;
+    oldTier: bigint;
+    newTier: bigint;
+    timestamp: bigint;
+  };
+  /** event Unpaused(address account) */
+  type UnpausedEvent = {
+    account: string;
+  };
+  /** event Upgraded(address indexed implementation) */
+  type UpgradedEvent = {
+    implementation: string;
+  };
+  /** Custom errors PayoutManager can revert with (decoded by decodeError) */
+  type CustomError = "AccessControlBadConfirmation()" | "AccessControlUnauthorizedAccount(address,bytes32)" | "AddressEmptyCode(address)" | "ECDSAInvalidSignature()" | "ECDSAInvalidSignatureLength(uint256)" | "ECDSAInvalidSignatureS(bytes32)" | "ERC1967InvalidImplementation(address)" | "ERC1967NonPayable()" | "EnforcedPause()" | "ExpectedPause()" | "FailedCall()" | "InvalidInitialization()" | "NotInitializing()" | "ReentrancyGuardReentrantCall()" | "UUPSUnauthorizedCallContext()" | "UUPSUnsupportedProxiableUUID(bytes32)";
+}
+
+export interface PayoutManager extends BaseContract {
+  connect(runner: ContractRunner | null): PayoutManager;
+
+  /** ADMIN_ROLE() view returns (bytes32) */
+  ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** BASIS_POINTS() view returns (uint256) */
+  BASIS_POINTS: BaseContractMethod<[], bigint, bigint>;
+  /** DEFAULT_ADMIN_ROLE() view returns (bytes32) */
+  DEFAULT_ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** DEFAULT_PAYOUT_COOLDOWN() view returns (uint256) */
+  DEFAULT_PAYOUT_COOLDOWN: BaseContractMethod<[], bigint, bigint>;
+  /** GOVERNANCE_ROLE() view returns (bytes32) */
+  GOVERNANCE_ROLE: BaseContractMethod<[], string, string>;
+  /** MIN_PAYOUT() view returns (uint256) */
+  MIN_PAYOUT: BaseContractMethod<[], bigint, bigint>;
+  /** OPERATOR_ROLE() view returns (bytes32) */
+  OPERATOR_ROLE: BaseContractMethod<[], string, string>;
+  /** UPGRADE_INTERFACE_VERSION() view returns (string) */
+  UPGRADE_INTERFACE_VERSION: BaseContractMethod<[], string, string>;
+  /** authorizeScaling(bytes32 traderId, uint8 newTier, bytes operatorSignature) nonpayable */
+  authorizeScaling: BaseContractMethod<[traderId: BytesLike, newTier: BigNumberish, operatorSignature: BytesLike], void, ContractTransactionResponse>;
+  /** calculateProfitSplit(bytes32 traderId, uint256 grossPnL) view returns (uint256 traderShare, uint256 poolShare) */
+  calculateProfitSplit: BaseContractMethod<[traderId: BytesLike, grossPnL: BigNumberish], [bigint, bigint] & { traderShare: bigint; poolShare: bigint }, [bigint, bigint] & { traderShare: bigint; poolShare: bigint }>;
+  /** canRequestPayout(bytes32 traderId) view returns (bool eligible, string reason) */
+  canRequestPayout: BaseContractMethod<[traderId: BytesLike], [boolean, string] & { eligible: boolean; reason: string }, [boolean, string] & { eligible: boolean; reason: string }>;
+  /** capitalPool() view returns (address) */
+  capitalPool: BaseContractMethod<[], string, string>;
+  /** getPayoutRequest(bytes32 requestId) view returns (tuple) */
+  getPayoutRequest: BaseContractMethod<[requestId: BytesLike], PayoutManager.PayoutRequestStructOutput, PayoutManager.PayoutRequestStructOutput>;
+  /** getRoleAdmin(bytes32 role) view returns (bytes32) */
+  getRoleAdmin: BaseContractMethod<[role: BytesLike], string, string>;
+  /** getTraderPayoutHistory(bytes32 traderId) view returns (bytes32[] requests) */
+  getTraderPayoutHistory: BaseContractMethod<[traderId: BytesLike], string[], string[]>;
+  /** grantRole(bytes32 role, address account) nonpayable */
+  grantRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** hasRole(bytes32 role, address account) view returns (bool) */
+  hasRole: BaseContractMethod<[role: BytesLike, account: AddressLike], boolean, boolean>;
+  /** initialize(address _admin, address _governance, address[] _operators, address _tradeLedger, address _traderRegistry, address _capitalPool) nonpayable */
+  initialize: BaseContractMethod<[_admin: AddressLike, _governance: AddressLike, _operators: AddressLike[], _tradeLedger: AddressLike, _traderRegistry: AddressLike, _capitalPool: AddressLike], void, ContractTransactionResponse>;
+  /** lastPayoutTime(bytes32) view returns (uint256) */
+  lastPayoutTime: BaseContractMethod<[arg0: BytesLike], bigint, bigint>;
+  /** pause() nonpayable */
+  pause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** paused() view returns (bool) */
+  paused: BaseContractMethod<[], boolean, boolean>;
+  /** payoutCooldown() view returns (uint256) */
+  payoutCooldown: BaseContractMethod<[], bigint, bigint>;
+  /** payoutNonces(bytes32) view returns (uint256) */
+  payoutNonces: BaseContractMethod<[arg0: BytesLike], bigint, bigint>;
+  /** payoutRequestIds(uint256) view returns (bytes32) */
+  payoutRequestIds: BaseContractMethod<[arg0: BigNumberish], string, string>;
+  /** payoutRequests(bytes32) view returns (bytes32 requestId, bytes32 traderId, address recipient, bytes32 batchId, int256 grossPnL, uint256 traderShare, uint256 poolShare, uint8 status, uint256 requestTime, uint256 executedTime) */
+  payoutRequests: BaseContractMethod<[arg0: BytesLike], [string, string, string, string, bigint, bigint, bigint, bigint, bigint, bigint] & { requestId: string; traderId: string; recipient: string; batchId: string; grossPnL: bigint; traderShare: bigint; poolShare: bigint; status: bigint; requestTime: bigint; executedTime: bigint }, [string, string, string, string, bigint, bigint, bigint, bigint, bigint, bigint] & { requestId: string; traderId: string; recipient: string; batchId: string; grossPnL: bigint; traderShare: bigint; poolShare: bigint; status: bigint; requestTime: bigint; executedTime: bigint }>;
+  /** proxiableUUID() view returns (bytes32) */
+  proxiableUUID: BaseContractMethod<[], string, string>;
+  /** renounceRole(bytes32 role, address callerConfirmation) nonpayable */
+  renounceRole: BaseContractMethod<[role: BytesLike, callerConfirmation: AddressLike], void, ContractTransactionResponse>;
+  /** requestPayout(bytes32 traderId, address recipient, bytes32 batchId, bytes32[][] proofs, tuple[] trades, bytes operatorSignature) nonpayable returns (bytes32 requestId) */
+  requestPayout: BaseContractMethod<[traderId: BytesLike, recipient: AddressLike, batchId: BytesLike, proofs: BytesLike[][], trades: PayoutManager.TradeLedger_TradeStruct[], operatorSignature: BytesLike], string, ContractTransactionResponse>;
+  /** revokeRole(bytes32 role, address account) nonpayable */
+  revokeRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** supportsInterface(bytes4 interfaceId) view returns (bool) */
+  supportsInterface: BaseContractMethod<[interfaceId: BytesLike], boolean, boolean>;
+  /** totalAmountPaidOut() view returns (uint256) */
+  totalAmountPaidOut: BaseContractMethod<[], bigint, bigint>;
+  /** totalPayouts(bytes32) view returns (uint256) */
+  totalPayouts: BaseContractMethod<[arg0: BytesLike], bigint, bigint>;
+  /** totalPayoutsExecuted() view returns (uint256) */
+  totalPayoutsExecuted: BaseContractMethod<[], bigint, bigint>;
+  /** tradeLedger() view returns (address) */
+  tradeLedger: BaseContractMethod<[], string, string>;
+  /** traderRegistry() view returns (address) */
+  traderRegistry: BaseContractMethod<[], string, string>;
+  /** unpause() nonpayable */
+  unpause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** updateContracts(address _tradeLedger, address _traderRegistry, address _capitalPool) nonpayable */
+  updateContracts: BaseContractMethod<[_tradeLedger: AddressLike, _traderRegistry: AddressLike, _capitalPool: AddressLike], void, ContractTransactionResponse>;
+  /** updatePayoutCooldown(uint256 newCooldown) nonpayable */
+  updatePayoutCooldown: BaseContractMethod<[newCooldown: BigNumberish], void, ContractTransactionResponse>;
+  /** upgradeToAndCall(address newImplementation, bytes data) payable */
+  upgradeToAndCall: BaseContractMethod<[newImplementation: AddressLike, data: BytesLike], void, ContractTransactionResponse>;
+}
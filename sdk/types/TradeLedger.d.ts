@@ -0,0 +1,226 @@
+// Generated by `npx hardhat sdk:generate` from the compiled artifacts. Do not edit.
+import type {
+  AddressLike,
+  BaseContract,
+  BaseContractMethod,
+  BigNumberish,
+  BytesLike,
+  ContractRunner,
+  ContractTransactionResponse,
+} from "ethers";
+
+export declare namespace TradeLedger {
+  /** struct TradeLedger.Batch */
+  type BatchStruct = {
+    batchId: BytesLike;
+    batchHash: BytesLike;
+    merkleRoot: BytesLike;
+    operator: AddressLike;
+    tradeCount: BigNumberish;
+    timestamp: BigNumberish;
+    metadata: string;
+    totalVolume: BigNumberish;
+    netPnL: BigNumberish;
+  };
+  type BatchStructOutput = [string, string, string, string, bigint, bigint, string, bigint, bigint] & {
+    batchId: string;
+    batchHash: string;
+    merkleRoot: string;
+    operator: string;
+    tradeCount: bigint;
+    timestamp: bigint;
+    metadata: string;
+    totalVolume: bigint;
+    netPnL: bigint;
+  };
+  /** struct TradeLedger.Trade */
+  type TradeStruct = {
+    traderId: BytesLike;
+    tradeId: BytesLike;
+    symbol: string;
+    side: BigNumberish;
+    size: BigNumberish;
+    entryPrice: BigNumberish;
+    exitPrice: BigNumberish;
+    pnl: BigNumberish;
+    fee: BigNumberish;
+    timestamp: BigNumberish;
+  };
+  type TradeStructOutput = [string, string, string, bigint, bigint, bigint, bigint, bigint, bigint, bigint] & {
+    traderId: string;
+    tradeId: string;
+    symbol: string;
+    side: bigint;
+    size: bigint;
+    entryPrice: bigint;
+    exitPrice: bigint;
+    pnl: bigint;
+    fee: bigint;
+    timestamp: bigint;
+  };
+  /** struct TradeLedger.TraderPnL */
+  type TraderPnLStruct = {
+    traderId: BytesLike;
+    totalPnL: BigNumberish;
+    tradeCount: BigNumberish;
+    verified: boolean;
+  };
+  type TraderPnLStructOutput = [string, bigint, bigint, boolean] & {
+    traderId: string;
+    totalPnL: bigint;
+    tradeCount: bigint;
+    verified: boolean;
+  };
+  /** event BatchSubmitted(bytes32 indexed batchId, address indexed operator, bytes32 merkleRoot, uint256 tradeCount, uint256 timestamp, string metadata) */
+  type BatchSubmittedEvent = {
+    batchId: string;
+    operator: string;
+    merkleRoot: string;
+    tradeCount: bigint;
+    timestamp: bigint;
+    metadata: string;
+  };
+  /** event Initialized(uint64 version) */
+  type InitializedEvent = {
+    version: bigint;
+  };
+  /** event Paused(address account) */
+  type PausedEvent = {
+    account: string;
+  };
+  /** event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole) */
+  type RoleAdminChangedEvent = {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  };
+  /** event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleGrantedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleRevokedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event StatisticsUpdated(uint256 totalBatches, uint256 totalTrades, uint256 totalVolume, int256 cumulativePnL) */
+  type StatisticsUpdatedEvent = {
+    totalBatches: bigint;
+    totalTrades: bigint;
+    totalVolume: bigint;
+    cumulativePnL: bigint;
+  };
+  /** event TradeVerified(bytes32 indexed batchId, bytes32 indexed tradeId, bytes32 indexed traderId, int256 pnl, uint256 timestamp) */
+  type TradeVerifiedEvent = {
+    batchId: string;
+    tradeId: string;
+    traderId: string;
+    pnl: bigint;
+    timestamp: bigint;
+  };
+  /** event TraderPnLVerified(bytes32 indexed batchId, bytes32 indexed traderId, int256 totalPnL, uint256 tradeCount) */
+  type TraderPnLVerifiedEvent = {
+    batchId: string;
+    traderId: string;
+    totalPnL: bigint;
+    tradeCount: bigint;
+  };
+  /** event Unpaused(address account) */
+  type UnpausedEvent = {
+    account: string;
+  };
+  /** event Upgraded(address indexed implementation) */
+  type UpgradedEvent = {
+    implementation: string;
+  };
+  /** Custom errors TradeLedger can revert with (decoded by decodeError) */
+  type CustomError = "AccessControlBadConfirmation()" | "AccessControlUnauthorizedAccount(address,bytes32)" | "AddressEmptyCode(address)" | "ERC1967InvalidImplementation(address)" | "ERC1967NonPayable()" | "EnforcedPause()" | "ExpectedPause()" | "FailedCall()" | "InvalidInitialization()" | "NotInitializing()" | "ReentrancyGuardReentrantCall()" | "UUPSUnauthorizedCallContext()" | "UUPSUnsupportedProxiableUUID(bytes32)";
+}
+
+export interface TradeLedger extends BaseContract {
+  connect(runner: ContractRunner | null): TradeLedger;
+
+  /** ADMIN_ROLE() view returns (bytes32) */
+  ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** DEFAULT_ADMIN_ROLE() view returns (bytes32) */
+  DEFAULT_ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** GOVERNANCE_ROLE() view returns (bytes32) */
+  GOVERNANCE_ROLE: BaseContractMethod<[], string, string>;
+  /** OPERATOR_ROLE() view returns (bytes32) */
+  OPERATOR_ROLE: BaseContractMethod<[], string, string>;
+  /** PAYOUT_MANAGER_ROLE() view returns (bytes32) */
+  PAYOUT_MANAGER_ROLE: BaseContractMethod<[], string, string>;
+  /** UPGRADE_INTERFACE_VERSION() view returns (string) */
+  UPGRADE_INTERFACE_VERSION: BaseContractMethod<[], string, string>;
+  /** addOperator(address operator) nonpayable */
+  addOperator: BaseContractMethod<[operator: AddressLike], void, ContractTransactionResponse>;
+  /** batchCounter() view returns (uint256) */
+  batchCounter: BaseContractMethod<[], bigint, bigint>;
+  /** batchIds(uint256) view returns (bytes32) */
+  batchIds: BaseContractMethod<[arg0: BigNumberish], string, string>;
+  /** batchTraderPnL(bytes32, bytes32) view returns (bytes32 traderId, int256 totalPnL, uint256 tradeCount, bool verified) */
+  batchTraderPnL: BaseContractMethod<[arg0: BytesLike, arg1: BytesLike], [string, bigint, bigint, boolean] & { traderId: string; totalPnL: bigint; tradeCount: bigint; verified: boolean }, [string, bigint, bigint, boolean] & { traderId: string; totalPnL: bigint; tradeCount: bigint; verified: boolean }>;
+  /** batches(bytes32) view returns (bytes32 batchId, bytes32 batchHash, bytes32 merkleRoot, address operator, uint256 tradeCount, uint256 timestamp, string metadata, uint256 totalVolume, int256 netPnL) */
+  batches: BaseContractMethod<[arg0: BytesLike], [string, string, string, string, bigint, bigint, string, bigint, bigint] & { batchId: string; batchHash: string; merkleRoot: string; operator: string; tradeCount: bigint; timestamp: bigint; metadata: string; totalVolume: bigint; netPnL: bigint }, [string, string, string, string, bigint, bigint, string, bigint, bigint] & { batchId: string; batchHash: string; merkleRoot: string; operator: string; tradeCount: bigint; timestamp: bigint; metadata: string; totalVolume: bigint; netPnL: bigint }>;
+  /** cumulativePnL() view returns (int256) */
+  cumulativePnL: BaseContractMethod<[], bigint, bigint>;
+  /** getBatch(bytes32 batchId) view returns (tuple batch) */
+  getBatch: BaseContractMethod<[batchId: BytesLike], TradeLedger.BatchStructOutput, TradeLedger.BatchStructOutput>;
+  /** getBatchCount() view returns (uint256 count) */
+  getBatchCount: BaseContractMethod<[], bigint, bigint>;
+  /** getBatchIdByIndex(uint256 index) view returns (bytes32 batchId) */
+  getBatchIdByIndex: BaseContractMethod<[index: BigNumberish], string, string>;
+  /** getBatchesByOperator(address operator) view returns (bytes32[] operatorBatches) */
+  getBatchesByOperator: BaseContractMethod<[operator: AddressLike], string[], string[]>;
+  /** getRecentBatches(uint256 count) view returns (tuple[] recentBatches) */
+  getRecentBatches: BaseContractMethod<[count: BigNumberish], TradeLedger.BatchStructOutput[], TradeLedger.BatchStructOutput[]>;
+  /** getRoleAdmin(bytes32 role) view returns (bytes32) */
+  getRoleAdmin: BaseContractMethod<[role: BytesLike], string, string>;
+  /** getStatistics() view returns (uint256 batchCount, uint256 tradeCount, uint256 volume, int256 pnl) */
+  getStatistics: BaseContractMethod<[], [bigint, bigint, bigint, bigint] & { batchCount: bigint; tradeCount: bigint; volume: bigint; pnl: bigint }, [bigint, bigint, bigint, bigint] & { batchCount: bigint; tradeCount: bigint; volume: bigint; pnl: bigint }>;
+  /** getTraderPnL(bytes32 batchId, bytes32 traderId) view returns (tuple pnlData) */
+  getTraderPnL: BaseContractMethod<[batchId: BytesLike, traderId: BytesLike], TradeLedger.TraderPnLStructOutput, TradeLedger.TraderPnLStructOutput>;
+  /** grantRole(bytes32 role, address account) nonpayable */
+  grantRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** hasRole(bytes32 role, address account) view returns (bool) */
+  hasRole: BaseContractMethod<[role: BytesLike, account: AddressLike], boolean, boolean>;
+  /** initialize(address _admin, address _governance, address[] _operators) nonpayable */
+  initialize: BaseContractMethod<[_admin: AddressLike, _governance: AddressLike, _operators: AddressLike[]], void, ContractTransactionResponse>;
+  /** isTradeVerified(bytes32 tradeId) view returns (bool verified, bytes32 batchId) */
+  isTradeVerified: BaseContractMethod<[tradeId: BytesLike], [boolean, string] & { verified: boolean; batchId: string }, [boolean, string] & { verified: boolean; batchId: string }>;
+  /** pause() nonpayable */
+  pause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** paused() view returns (bool) */
+  paused: BaseContractMethod<[], boolean, boolean>;
+  /** proxiableUUID() view returns (bytes32) */
+  proxiableUUID: BaseContractMethod<[], string, string>;
+  /** removeOperator(address operator) nonpayable */
+  removeOperator: BaseContractMethod<[operator: AddressLike], void, ContractTransactionResponse>;
+  /** renounceRole(bytes32 role, address callerConfirmation) nonpayable */
+  renounceRole: BaseContractMethod<[role: BytesLike, callerConfirmation: AddressLike], void, ContractTransactionResponse>;
+  /** revokeRole(bytes32 role, address account) nonpayable */
+  revokeRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** setPayoutManager(address payoutManager) nonpayable */
+  setPayoutManager: BaseContractMethod<[payoutManager: AddressLike], void, ContractTransactionResponse>;
+  /** submitBatch(bytes32 batchHash, bytes32 merkleRoot, uint256 tradeCount, string metadata, uint256 batchVolume, int256 netPnL) nonpayable returns (bytes32 batchId) */
+  submitBatch: BaseContractMethod<[batchHash: BytesLike, merkleRoot: BytesLike, tradeCount: BigNumberish, metadata: string, batchVolume: BigNumberish, netPnL: BigNumberish], string, ContractTransactionResponse>;
+  /** supportsInterface(bytes4 interfaceId) view returns (bool) */
+  supportsInterface: BaseContractMethod<[interfaceId: BytesLike], boolean, boolean>;
+  /** totalTrades() view returns (uint256) */
+  totalTrades: BaseContractMethod<[], bigint, bigint>;
+  /** totalVolume() view returns (uint256) */
+  totalVolume: BaseContractMethod<[], bigint, bigint>;
+  /** tradeIdToBatchId(bytes32) view returns (bytes32) */
+  tradeIdToBatchId: BaseContractMethod<[arg0: BytesLike], string, string>;
+  /** unpause() nonpayable */
+  unpause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** upgradeToAndCall(address newImplementation, bytes data) payable */
+  upgradeToAndCall: BaseContractMethod<[newImplementation: AddressLike, data: BytesLike], void, ContractTransactionResponse>;
+  /** verifyAndRecordTraderPnL(bytes32 batchId, bytes32 traderId, bytes32[][] proof, tuple[] trades) nonpayable returns (int256 totalPnL) */
+  verifyAndRecordTraderPnL: BaseContractMethod<[batchId: BytesLike, traderId: BytesLike, proof: BytesLike[][], trades: TradeLedger.TradeStruct[]], bigint, ContractTransactionResponse>;
+  /** verifyTrade(bytes32 batchId, bytes32[] proof, tuple trade) view returns (bool valid, int256 pnl) */
+  verifyTrade: BaseContractMethod<[batchId: BytesLike, proof: BytesLike[], trade: TradeLedger.TradeStruct], [boolean, bigint] & { valid: boolean; pnl: bigint }, [boolean, bigint] & { valid: boolean; pnl: bigint }>;
+}
@@ -0,0 +1,254 @@
+// Generated by `npx hardhat sdk:generate` from the compiled artifacts. Do not edit.
+import type {
+  AddressLike,
+  BaseContract,
+  BaseContractMethod,
+  BigNumberish,
+  BytesLike,
+  ContractRunner,
+  ContractTransactionResponse,
+} from "ethers";
+
+export declare namespace TraderAccountRegistry {
+  /** struct TraderAccountRegistry.PerformanceMetrics */
+  type PerformanceMetricsStruct = {
+    winRate: BigNumberish;
+    avgWin: BigNumberish;
+    avgLoss: BigNumberish;
+    sharpeRatio: BigNumberish;
+    maxDrawdown: BigNumberish;
+    consistencyScore: BigNumberish;
+    lastUpdated: BigNumberish;
+  };
+  type PerformanceMetricsStructOutput = [bigint, bigint, bigint, bigint, bigint, bigint, bigint] & {
+    winRate: bigint;
+    avgWin: bigint;
+    avgLoss: bigint;
+    sharpeRatio: bigint;
+    maxDrawdown: bigint;
+    consistencyScore: bigint;
+    lastUpdated: bigint;
+  };
+  /** struct TraderAccountRegistry.TierConfig */
+  type TierConfigStruct = {
+    tier: BigNumberish;
+    capitalAllocation: BigNumberish;
+    maxDrawdownPct: BigNumberish;
+    profitSplitPct: BigNumberish;
+    minTradingDays: BigNumberish;
+    maxDailyLoss: BigNumberish;
+    active: boolean;
+  };
+  type TierConfigStructOutput = [bigint, bigint, bigint, bigint, bigint, bigint, boolean] & {
+    tier: bigint;
+    capitalAllocation: bigint;
+    maxDrawdownPct: bigint;
+    profitSplitPct: bigint;
+    minTradingDays: bigint;
+    maxDailyLoss: bigint;
+    active: boolean;
+  };
+  /** struct TraderAccountRegistry.TraderAccount */
+  type TraderAccountStruct = {
+    traderId: BytesLike;
+    traderAddress: AddressLike;
+    currentTier: BigNumberish;
+    status: BigNumberish;
+    registeredAt: BigNumberish;
+    activatedAt: BigNumberish;
+    lastTierUpdate: BigNumberish;
+    totalTrades: BigNumberish;
+    lifetimePnL: BigNumberish;
+    breachCount: BigNumberish;
+    kycVerified: boolean;
+    metadata: string;
+  };
+  type TraderAccountStructOutput = [string, string, bigint, bigint, bigint, bigint, bigint, bigint, bigint, bigint, boolean, string] & {
+    traderId: string;
+    traderAddress: string;
+    currentTier: bigint;
+    status: bigint;
+    registeredAt: bigint;
+    activatedAt: bigint;
+    lastTierUpdate: bigint;
+    totalTrades: bigint;
+    lifetimePnL: bigint;
+    breachCount: bigint;
+    kycVerified: boolean;
+    metadata: string;
+  };
+  /** event AccountBreached(bytes32 indexed traderId, string breachType, uint256 timestamp) */
+  type AccountBreachedEvent = {
+    traderId: string;
+    breachType: string;
+    timestamp: bigint;
+  };
+  /** event Initialized(uint64 version) */
+  type InitializedEvent = {
+    version: bigint;
+  };
+  /** event KYCUpdated(bytes32 indexed traderId, bool verified, uint256 timestamp) */
+  type KYCUpdatedEvent = {
+    traderId: string;
+    verified: boolean;
+    timestamp: bigint;
+  };
+  /** event Paused(address account) */
+  type PausedEvent = {
+    account: string;
+  };
+  /** event PerformanceUpdated(bytes32 indexed traderId, uint256 winRate, uint256 sharpeRatio, uint256 consistencyScore, uint256 timestamp) */
+  type PerformanceUpdatedEvent = {
+    traderId: string;
+    winRate: bigint;
+    sharpeRatio: bigint;
+    consistencyScore: bigint;
+    timestamp: bigint;
+  };
+  /** event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole) */
+  type RoleAdminChangedEvent = {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  };
+  /** event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleGrantedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleRevokedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event StatusChanged(bytes32 indexed traderId, uint8 oldStatus, uint8 newStatus, string reason, uint256 timestamp) */
+  type StatusChangedEvent = {
+    traderId: string;
+    oldStatus: bigint;
+    newStatus: bigint;
+    reason: string;
+    timestamp: bigint;
+  };
+  /** event TierConfigUpdated(uint8 indexed tier, uint256 capitalAllocation, uint256 maxDrawdownPct, uint256 profitSplitPct) */
+  type TierConfigUpdatedEvent = {
+    tier: bigint;
+    capitalAllocation: bigint;
+    maxDrawdownPct: bigint;
+    profitSplitPct: bigint;
+  };
+  /** event TierUpdated(bytes32 indexed traderId, uint8 oldTier, uint8 newTier, uint256 timestamp) */
+  type TierUpdatedEvent = {
+    traderId: string;
+    oldTier: bigint;
+    newTier: bigint;
+    timestamp: bigint;
+  };
+  /** event TraderRegistered(bytes32 indexed traderId, address indexed traderAddress, uint8 tier, uint256 timestamp) */
+  type TraderRegisteredEvent = {
+    traderId: string;
+    traderAddress: string;
+    tier: bigint;
+    timestamp: bigint;
+  };
+  /** event Unpaused(address account) */
+  type UnpausedEvent = {
+    account: string;
+  };
+  /** event Upgraded(address indexed implementation) */
+  type UpgradedEvent = {
+    implementation: string;
+  };
+  /** Custom errors TraderAccountRegistry can revert with (decoded by decodeError) */
+  type CustomError = "AccessControlBadConfirmation()" | "AccessControlUnauthorizedAccount(address,bytes32)" | "AddressEmptyCode(address)" | "ECDSAInvalidSignature()" | "ECDSAInvalidSignatureLength(uint256)" | "ECDSAInvalidSignatureS(bytes32)" | "ERC1967InvalidImplementation(address)" | "ERC1967NonPayable()" | "EnforcedPause()" | "ExpectedPause()" | "FailedCall()" | "InvalidInitialization()" | "NotInitializing()" | "ReentrancyGuardReentrantCall()" | "UUPSUnauthorizedCallContext()" | "UUPSUnsupportedProxiableUUID(bytes32)";
+}
+
+export interface TraderAccountRegistry extends BaseContract {
+  connect(runner: ContractRunner | null): TraderAccountRegistry;
+
+  /** ADMIN_ROLE() view returns (bytes32) */
+  ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** BASIS_POINTS() view returns (uint256) */
+  BASIS_POINTS: BaseContractMethod<[], bigint, bigint>;
+  /** DEFAULT_ADMIN_ROLE() view returns (bytes32) */
+  DEFAULT_ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** GOVERNANCE_ROLE() view returns (bytes32) */
+  GOVERNANCE_ROLE: BaseContractMethod<[], string, string>;
+  /** MAX_TIER() view returns (uint8) */
+  MAX_TIER: BaseContractMethod<[], bigint, bigint>;
+  /** OPERATOR_ROLE() view returns (bytes32) */
+  OPERATOR_ROLE: BaseContractMethod<[], string, string>;
+  /** PAYOUT_MANAGER_ROLE() view returns (bytes32) */
+  PAYOUT_MANAGER_ROLE: BaseContractMethod<[], string, string>;
+  /** UPGRADE_INTERFACE_VERSION() view returns (string) */
+  UPGRADE_INTERFACE_VERSION: BaseContractMethod<[], string, string>;
+  /** activateAccount(bytes32 traderId) nonpayable */
+  activateAccount: BaseContractMethod<[traderId: BytesLike], void, ContractTransactionResponse>;
+  /** activeTraders() view returns (uint256) */
+  activeTraders: BaseContractMethod<[], bigint, bigint>;
+  /** addressToTraderId(address) view returns (bytes32) */
+  addressToTraderId: BaseContractMethod<[arg0: AddressLike], string, string>;
+  /** getPerformanceMetrics(bytes32 traderId) view returns (tuple) */
+  getPerformanceMetrics: BaseContractMethod<[traderId: BytesLike], TraderAccountRegistry.PerformanceMetricsStructOutput, TraderAccountRegistry.PerformanceMetricsStructOutput>;
+  /** getRoleAdmin(bytes32 role) view returns (bytes32) */
+  getRoleAdmin: BaseContractMethod<[role: BytesLike], string, string>;
+  /** getTierConfig(uint8 tier) view returns (tuple) */
+  getTierConfig: BaseContractMethod<[tier: BigNumberish], TraderAccountRegistry.TierConfigStructOutput, TraderAccountRegistry.TierConfigStructOutput>;
+  /** getTraderIdByAddress(address traderAddress) view returns (bytes32) */
+  getTraderIdByAddress: BaseContractMethod<[traderAddress: AddressLike], string, string>;
+  /** getTraderInfo(bytes32 traderId) view returns (tuple) */
+  getTraderInfo: BaseContractMethod<[traderId: BytesLike], TraderAccountRegistry.TraderAccountStructOutput, TraderAccountRegistry.TraderAccountStructOutput>;
+  /** grantRole(bytes32 role, address account) nonpayable */
+  grantRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** hasRole(bytes32 role, address account) view returns (bool) */
+  hasRole: BaseContractMethod<[role: BytesLike, account: AddressLike], boolean, boolean>;
+  /** incrementTradeCount(bytes32 traderId) nonpayable */
+  incrementTradeCount: BaseContractMethod<[traderId: BytesLike], void, ContractTransactionResponse>;
+  /** initialize(address _admin, address _governance, address[] _operators) nonpayable */
+  initialize: BaseContractMethod<[_admin: AddressLike, _governance: AddressLike, _operators: AddressLike[]], void, ContractTransactionResponse>;
+  /** isActive(bytes32 traderId) view returns (bool) */
+  isActive: BaseContractMethod<[traderId: BytesLike], boolean, boolean>;
+  /** nonces(bytes32) view returns (uint256) */
+  nonces: BaseContractMethod<[arg0: BytesLike], bigint, bigint>;
+  /** pause() nonpayable */
+  pause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** paused() view returns (bool) */
+  paused: BaseContractMethod<[], boolean, boolean>;
+  /** performanceMetrics(bytes32) view returns (uint256 winRate, uint256 avgWin, uint256 avgLoss, uint256 sharpeRatio, uint256 maxDrawdown, uint256 consistencyScore, uint256 lastUpdated) */
+  performanceMetrics: BaseContractMethod<[arg0: BytesLike], [bigint, bigint, bigint, bigint, bigint, bigint, bigint] & { winRate: bigint; avgWin: bigint; avgLoss: bigint; sharpeRatio: bigint; maxDrawdown: bigint; consistencyScore: bigint; lastUpdated: bigint }, [bigint, bigint, bigint, bigint, bigint, bigint, bigint] & { winRate: bigint; avgWin: bigint; avgLoss: bigint; sharpeRatio: bigint; maxDrawdown: bigint; consistencyScore: bigint; lastUpdated: bigint }>;
+  /** proxiableUUID() view returns (bytes32) */
+  proxiableUUID: BaseContractMethod<[], string, string>;
+  /** registerTrader(bytes32 traderId, address traderAddress, uint8 initialTier, string metadata, bytes operatorSignature) nonpayable */
+  registerTrader: BaseContractMethod<[traderId: BytesLike, traderAddress: AddressLike, initialTier: BigNumberish, metadata: string, operatorSignature: BytesLike], void, ContractTransactionResponse>;
+  /** renounceRole(bytes32 role, address callerConfirmation) nonpayable */
+  renounceRole: BaseContractMethod<[role: BytesLike, callerConfirmation: AddressLike], void, ContractTransactionResponse>;
+  /** revokeRole(bytes32 role, address account) nonpayable */
+  revokeRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** setPayoutManager(address payoutManager) nonpayable */
+  setPayoutManager: BaseContractMethod<[payoutManager: AddressLike], void, ContractTransactionResponse>;
+  /** setTier(bytes32 traderId, uint8 newTier) nonpayable */
+  setTier: BaseContractMethod<[traderId: BytesLike, newTier: BigNumberish], void, ContractTransactionResponse>;
+  /** supportsInterface(bytes4 interfaceId) view returns (bool) */
+  supportsInterface: BaseContractMethod<[interfaceId: BytesLike], boolean, boolean>;
+  /** tierConfigs(uint8) view returns (uint8 tier, uint256 capitalAllocation, uint256 maxDrawdownPct, uint256 profitSplitPct, uint256 minTradingDays, uint256 maxDailyLoss, bool active) */
+  tierConfigs: BaseContractMethod<[arg0: BigNumberish], [bigint, bigint, bigint, bigint, bigint, bigint, boolean] & { tier: bigint; capitalAllocation: bigint; maxDrawdownPct: bigint; profitSplitPct: bigint; minTradingDays: bigint; maxDailyLoss: bigint; active: boolean }, [bigint, bigint, bigint, bigint, bigint, bigint, boolean] & { tier: bigint; capitalAllocation: bigint; maxDrawdownPct: bigint; profitSplitPct: bigint; minTradingDays: bigint; maxDailyLoss: bigint; active: boolean }>;
+  /** totalTraders() view returns (uint256) */
+  totalTraders: BaseContractMethod<[], bigint, bigint>;
+  /** traderAccounts(bytes32) view returns (bytes32 traderId, address traderAddress, uint8 currentTier, uint8 status, uint256 registeredAt, uint256 activatedAt, uint256 lastTierUpdate, uint256 totalTrades, int256 lifetimePnL, uint256 breachCount, bool kycVerified, string metadata) */
+  traderAccounts: BaseContractMethod<[arg0: BytesLike], [string, string, bigint, bigint, bigint, bigint, bigint, bigint, bigint, bigint, boolean, string] & { traderId: string; traderAddress: string; currentTier: bigint; status: bigint; registeredAt: bigint; activatedAt: bigint; lastTierUpdate: bigint; totalTrades: bigint; lifetimePnL: bigint; breachCount: bigint; kycVerified: boolean; metadata: string }, [string, string, bigint, bigint, bigint, bigint, bigint, bigint, bigint, bigint, boolean, string] & { traderId: string; traderAddress: string; currentTier: bigint; status: bigint; registeredAt: bigint; activatedAt: bigint; lastTierUpdate: bigint; totalTrades: bigint; lifetimePnL: bigint; breachCount: bigint; kycVerified: boolean; metadata: string }>;
+  /** traderIds(uint256) view returns (bytes32) */
+  traderIds: BaseContractMethod<[arg0: BigNumberish], string, string>;
+  /** unpause() nonpayable */
+  unpause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** updateLifetimePnL(bytes32 traderId, int256 pnl) nonpayable */
+  updateLifetimePnL: BaseContractMethod<[traderId: BytesLike, pnl: BigNumberish], void, ContractTransactionResponse>;
+  /** updatePerformanceMetrics(bytes32 traderId, uint256 winRate, uint256 avgWin, uint256 avgLoss, uint256 sharpeRatio, uint256 maxDrawdown, uint256 consistencyScore) nonpayable */
+  updatePerformanceMetrics: BaseContractMethod<[traderId: BytesLike, winRate: BigNumberish, avgWin: BigNumberish, avgLoss: BigNumberish, sharpeRatio: BigNumberish, maxDrawdown: BigNumberish, consistencyScore: BigNumberish], void, ContractTransactionResponse>;
+  /** updateStatus(bytes32 traderId, uint8 newStatus, string reason) nonpayable */
+  updateStatus: BaseContractMethod<[traderId: BytesLike, newStatus: BigNumberish, reason: string], void, ContractTransactionResponse>;
+  /** updateTierConfig(uint8 tier, uint256 capitalAllocation, uint256 maxDrawdownPct, uint256 profitSplitPct, uint256 minTradingDays, uint256 maxDailyLoss) nonpayable */
+  updateTierConfig: BaseContractMethod<[tier: BigNumberish, capitalAllocation: BigNumberish, maxDrawdownPct: BigNumberish, profitSplitPct: BigNumberish, minTradingDays: BigNumberish, maxDailyLoss: BigNumberish], void, ContractTransactionResponse>;
+  /** upgradeToAndCall(address newImplementation, bytes data) payable */
+  upgradeToAndCall: BaseContractMethod<[newImplementation: AddressLike, data: BytesLike], void, ContractTransactionResponse>;
+}
@@ -0,0 +1,211 @@
+// Generated by `npx hardhat sdk:generate` from the compiled artifacts. Do not edit.
+import type {
+  AddressLike,
+  BaseContract,
+  BaseContractMethod,
+  BigNumberish,
+  BytesLike,
+  ContractRunner,
+  ContractTransactionResponse,
+} from "ethers";
+
+export declare namespace Vault {
+  /** event AssetRemoved(address indexed token) */
+  type AssetRemovedEvent = {
+    token: string;
+  };
+  /** event AssetWhitelisted(address indexed token, uint256 dailyLimit) */
+  type AssetWhitelistedEvent = {
+    token: string;
+    dailyLimit: bigint;
+  };
+  /** event Deposited(address indexed token, address indexed from, uint256 amount, uint256 timestamp) */
+  type DepositedEvent = {
+    token: string;
+    from: string;
+    amount: bigint;
+    timestamp: bigint;
+  };
+  /** event EmergencyWithdrawal(address indexed token, address indexed to, uint256 amount, address admin) */
+  type EmergencyWithdrawalEvent = {
+    token: string;
+    to: string;
+    amount: bigint;
+    admin: string;
+  };
+  /** event Initialized(uint64 version) */
+  type InitializedEvent = {
+    version: bigint;
+  };
+  /** event ParameterUpdated(string parameter, uint256 oldValue, uint256 newValue) */
+  type ParameterUpdatedEvent = {
+    parameter: string;
+    oldValue: bigint;
+    newValue: bigint;
+  };
+  /** event Paused(address account) */
+  type PausedEvent = {
+    account: string;
+  };
+  /** event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole) */
+  type RoleAdminChangedEvent = {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+  };
+  /** event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleGrantedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender) */
+  type RoleRevokedEvent = {
+    role: string;
+    account: string;
+    sender: string;
+  };
+  /** event TransferApproved(bytes32 indexed requestId, address indexed guardian, uint256 approvals) */
+  type TransferApprovedEvent = {
+    requestId: string;
+    guardian: string;
+    approvals: bigint;
+  };
+  /** event TransferCancelled(bytes32 indexed requestId, address cancelledBy) */
+  type TransferCancelledEvent = {
+    requestId: string;
+    cancelledBy: string;
+  };
+  /** event TransferExecuted(bytes32 indexed requestId, address indexed token, address indexed to, uint256 amount, address executor) */
+  type TransferExecutedEvent = {
+    requestId: string;
+    token: string;
+    to: string;
+    amount: bigint;
+    executor: string;
+  };
+  /** event TransferRequested(bytes32 indexed requestId, address indexed token, address indexed to, uint256 amount, address requester, uint256 executeAfter) */
+  type TransferRequestedEvent = {
+    requestId: string;
+    token: string;
+    to: string;
+    amount: bigint;
+    requester: string;
+    executeAfter: bigint;
+  };
+  /** event Unpaused(address account) */
+  type UnpausedEvent = {
+    account: string;
+  };
+  /** event Upgraded(address indexed implementation) */
+  type UpgradedEvent = {
+    implementation: string;
+  };
+  /** Custom errors Vault can revert with (decoded by decodeError) */
+  type CustomError = "AccessControlBadConfirmation()" | "AccessControlUnauthorizedAccount(address,bytes32)" | "AddressEmptyCode(address)" | "ERC1967InvalidImplementation(address)" | "ERC1967NonPayable()" | "EnforcedPause()" | "ExpectedPause()" | "FailedCall()" | "InvalidInitialization()" | "NotInitializing()" | "ReentrancyGuardReentrantCall()" | "SafeERC20FailedOperation(address)" | "UUPSUnauthorizedCallContext()" | "UUPSUnsupportedProxiableUUID(bytes32)";
+}
+
+export interface Vault extends BaseContract {
+  connect(runner: ContractRunner | null): Vault;
+
+  /** CAPITAL_POOL_ROLE() view returns (bytes32) */
+  CAPITAL_POOL_ROLE: BaseContractMethod<[], string, string>;
+  /** DEFAULT_ADMIN_ROLE() view returns (bytes32) */
+  DEFAULT_ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** DEFAULT_LARGE_TRANSFER_THRESHOLD() view returns (uint256) */
+  DEFAULT_LARGE_TRANSFER_THRESHOLD: BaseContractMethod<[], bigint, bigint>;
+  /** EMERGENCY_ADMIN_ROLE() view returns (bytes32) */
+  EMERGENCY_ADMIN_ROLE: BaseContractMethod<[], string, string>;
+  /** GOVERNANCE_ROLE() view returns (bytes32) */
+  GOVERNANCE_ROLE: BaseContractMethod<[], string, string>;
+  /** GUARDIAN_ROLE() view returns (bytes32) */
+  GUARDIAN_ROLE: BaseContractMethod<[], string, string>;
+  /** MAX_TIMELOCK_DURATION() view returns (uint256) */
+  MAX_TIMELOCK_DURATION: BaseContractMethod<[], bigint, bigint>;
+  /** MIN_TIMELOCK_DURATION() view returns (uint256) */
+  MIN_TIMELOCK_DURATION: BaseContractMethod<[], bigint, bigint>;
+  /** UPGRADE_INTERFACE_VERSION() view returns (string) */
+  UPGRADE_INTERFACE_VERSION: BaseContractMethod<[], string, string>;
+  /** addGuardian(address guardian) nonpayable */
+  addGuardian: BaseContractMethod<[guardian: AddressLike], void, ContractTransactionResponse>;
+  /** approveTransfer(bytes32 requestId) nonpayable */
+  approveTransfer: BaseContractMethod<[requestId: BytesLike], void, ContractTransactionResponse>;
+  /** assetConfigs(address) view returns (address token, bool whitelisted, uint256 dailyLimit, uint256 withdrawnToday, uint256 lastResetTime) */
+  assetConfigs: BaseContractMethod<[arg0: AddressLike], [string, boolean, bigint, bigint, bigint] & { token: string; whitelisted: boolean; dailyLimit: bigint; withdrawnToday: bigint; lastResetTime: bigint }, [string, boolean, bigint, bigint, bigint] & { token: string; whitelisted: boolean; dailyLimit: bigint; withdrawnToday: bigint; lastResetTime: bigint }>;
+  /** cancelTransfer(bytes32 requestId) nonpayable */
+  cancelTransfer: BaseContractMethod<[requestId: BytesLike], void, ContractTransactionResponse>;
+  /** deposit(address token, uint256 amount) nonpayable */
+  deposit: BaseContractMethod<[token: AddressLike, amount: BigNumberish], void, ContractTransactionResponse>;
+  /** depositFromCapitalPool(address token, uint256 amount) nonpayable */
+  depositFromCapitalPool: BaseContractMethod<[token: AddressLike, amount: BigNumberish], void, ContractTransactionResponse>;
+  /** emergencyWithdraw(address token, address to, uint256 amount) nonpayable */
+  emergencyWithdraw: BaseContractMethod<[token: AddressLike, to: AddressLike, amount: BigNumberish], void, ContractTransactionResponse>;
+  /** executeTransfer(bytes32 requestId) nonpayable */
+  executeTransfer: BaseContractMethod<[requestId: BytesLike], void, ContractTransactionResponse>;
+  /** getBalance(address token) view returns (uint256 balance) */
+  getBalance: BaseContractMethod<[token: AddressLike], bigint, bigint>;
+  /** getRemainingDailyLimit(address token) view returns (uint256 remaining) */
+  getRemainingDailyLimit: BaseContractMethod<[token: AddressLike], bigint, bigint>;
+  /** getRoleAdmin(bytes32 role) view returns (bytes32) */
+  getRoleAdmin: BaseContractMethod<[role: BytesLike], string, string>;
+  /** getWhitelistedAssetCount() view returns (uint256 count) */
+  getWhitelistedAssetCount: BaseContractMethod<[], bigint, bigint>;
+  /** grantRole(bytes32 role, address account) nonpayable */
+  grantRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** guardianCount() view returns (uint256) */
+  guardianCount: BaseContractMethod<[], bigint, bigint>;
+  /** hasApproved(bytes32, address) view returns (bool) */
+  hasApproved: BaseContractMethod<[arg0: BytesLike, arg1: AddressLike], boolean, boolean>;
+  /** hasRole(bytes32 role, address account) view returns (bool) */
+  hasRole: BaseContractMethod<[role: BytesLike, account: AddressLike], boolean, boolean>;
+  /** initialize(address[] _guardians, uint256 _requiredApprovals, address _admin, address _governance) nonpayable */
+  initialize: BaseContractMethod<[_guardians: AddressLike[], _requiredApprovals: BigNumberish, _admin: AddressLike, _governance: AddressLike], void, ContractTransactionResponse>;
+  /** isExecutable(bytes32 requestId) view returns (bool executable) */
+  isExecutable: BaseContractMethod<[requestId: BytesLike], boolean, boolean>;
+  /** largeTransferThreshold() view returns (uint256) */
+  largeTransferThreshold: BaseContractMethod<[], bigint, bigint>;
+  /** pause() nonpayable */
+  pause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** paused() view returns (bool) */
+  paused: BaseContractMethod<[], boolean, boolean>;
+  /** proxiableUUID() view returns (bytes32) */
+  proxiableUUID: BaseContractMethod<[], string, string>;
+  /** removeAsset(address token) nonpayable */
+  removeAsset: BaseContractMethod<[token: AddressLike], void, ContractTransactionResponse>;
+  /** removeGuardian(address guardian) nonpayable */
+  removeGuardian: BaseContractMethod<[guardian: AddressLike], void, ContractTransactionResponse>;
+  /** renounceRole(bytes32 role, address callerConfirmation) nonpayable */
+  renounceRole: BaseContractMethod<[role: BytesLike, callerConfirmation: AddressLike], void, ContractTransactionResponse>;
+  /** requestCounter() view returns (uint256) */
+  requestCounter: BaseContractMethod<[], bigint, bigint>;
+  /** requestTransfer(address token, address to, uint256 amount) nonpayable returns (bytes32 requestId) */
+  requestTransfer: BaseContractMethod<[token: AddressLike, to: AddressLike, amount: BigNumberish], string, ContractTransactionResponse>;
+  /** requiredApprovals() view returns (uint256) */
+  requiredApprovals: BaseContractMethod<[], bigint, bigint>;
+  /** revokeRole(bytes32 role, address account) nonpayable */
+  revokeRole: BaseContractMethod<[role: BytesLike, account: AddressLike], void, ContractTransactionResponse>;
+  /** setCapitalPool(address capitalPool) nonpayable */
+  setCapitalPool: BaseContractMethod<[capitalPool: AddressLike], void, ContractTransactionResponse>;
+  /** supportsInterface(bytes4 interfaceId) view returns (bool) */
+  supportsInterface: BaseContractMethod<[interfaceId: BytesLike], boolean, boolean>;
+  /** timelockDuration() view returns (uint256) */
+  timelockDuration: BaseContractMethod<[], bigint, bigint>;
+  /** transferRequests(bytes32) view returns (bytes32 id, address token, address to, uint256 amount, address requester, uint256 approvals, bool executed, bool cancelled, uint256 createdAt, uint256 executeAfter) */
+  transferRequests: BaseContractMethod<[arg0: BytesLike], [string, string, string, bigint, string, bigint, boolean, boolean, bigint, bigint] & { id: string; token: string; to: string; amount: bigint; requester: string; approvals: bigint; executed: boolean; cancelled: boolean; createdAt: bigint; executeAfter: bigint }, [string, string, string, bigint, string, bigint, boolean, boolean, bigint, bigint] & { id: string; token: string; to: string; amount: bigint; requester: string; approvals: bigint; executed: boolean; cancelled: boolean; createdAt: bigint; executeAfter: bigint }>;
+  /** unpause() nonpayable */
+  unpause: BaseContractMethod<[], void, ContractTransactionResponse>;
+  /** updateDailyLimit(address token, uint256 newLimit) nonpayable */
+  updateDailyLimit: BaseContractMethod<[token: AddressLike, newLimit: BigNumberish], void, ContractTransactionResponse>;
+  /** updateLargeTransferThreshold(uint256 newThreshold) nonpayable */
+  updateLargeTransferThreshold: BaseContractMethod<[newThreshold: BigNumberish], void, ContractTransactionResponse>;
+  /** updateRequiredApprovals(uint256 newRequired) nonpayable */
+  updateRequiredApprovals: BaseContractMethod<[newRequired: BigNumberish], void, ContractTransactionResponse>;
+  /** updateTimelockDuration(uint256 newDuration) nonpayable */
+  updateTimelockDuration: BaseContractMethod<[newDuration: BigNumberish], void, ContractTransactionResponse>;
+  /** upgradeToAndCall(address newImplementation, bytes data) payable */
+  upgradeToAndCall: BaseContractMethod<[newImplementation: AddressLike, data: BytesLike], void, ContractTransactionResponse>;
+  /** whitelistAsset(address token, uint256 dailyLimit) nonpayable */
+  whitelistAsset: BaseContractMethod<[token: AddressLike, dailyLimit: BigNumberish], void, ContractTransactionResponse>;
+  /** whitelistedTokens(uint256) view returns (address) */
+  whitelistedTokens: BaseContractMethod<[arg0: BigNumberish], string, string>;
+}
@@ -0,0 +1,53 @@
+// Generated by `npx hardhat sdk:generate` from the compiled artifacts. Do not edit.
+import type { OperatorRegistry } from "./OperatorRegistry";
+import type { Vault } from "./Vault";
+import type { CapitalPool } from "./CapitalPool";
+import type { TraderAccountRegistry } from "./TraderAccountRegistry";
+import type { TradeLedger } from "./TradeLedger";
+import type { PayoutManager } from "./PayoutManager";
+import type { GovernanceManager } from "./GovernanceManager";
+import type { InsuranceFund } from "./InsuranceFund";
+import type { KeeperIncentive } from "./KeeperIncentive";
+import type { CryptoPriceOracle } from "./CryptoPriceOracle";
+import type { StockPriceOracle } from "./StockPriceOracle";
+import type { ForexPriceOracle } from "./ForexPriceOracle";
+import type { CommodityPriceOracle } from "./CommodityPriceOracle";
+import type { IndexPriceOracle } from "./IndexPriceOracle";
+import type { OracleRegistry } from "./OracleRegistry";
+
+export type { OperatorRegistry } from "./OperatorRegistry";
+export type { Vault } from "./Vault";
+export type { CapitalPool } from "./CapitalPool";
+export type { TraderAccountRegistry } from "./TraderAccountRegistry";
+export type { TradeLedger } from "./TradeLedger";
+export type { PayoutManager } from "./PayoutManager";
+export type { GovernanceManager } from "./GovernanceManager";
+export type { InsuranceFund } from "./InsuranceFund";
+export type { KeeperIncentive } from "./KeeperIncentive";
+export type { CryptoPriceOracle } from "./CryptoPriceOracle";
+export type { StockPriceOracle } from "./StockPriceOracle";
+export type { ForexPriceOracle } from "./ForexPriceOracle";
+export type { CommodityPriceOracle } from "./CommodityPriceOracle";
+export type { IndexPriceOracle } from "./IndexPriceOracle";
+export type { OracleRegistry } from "./OracleRegistry";
+
+/** Contracts of a deployment, by record name */
+export interface ChainFlowContracts {
+  operatorRegistry: OperatorRegistry;
+  vault: Vault;
+  capitalPool: CapitalPool;
+  traderRegistry: TraderAccountRegistry;
+  tradeLedger: TradeLedger;
+  payoutManager: PayoutManager;
+  governanceManager: GovernanceManager;
+  insuranceFund: InsuranceFund;
+  keeperIncentive: KeeperIncentive;
+  cryptoOracle: CryptoPriceOracle;
+  stockOracle: StockPriceOracle;
+  forexOracle: ForexPriceOracle;
+  commodityOracle: CommodityPriceOracle;
+  indexOracle: IndexPriceOracle;
+  oracleRegistry: OracleRegistry;
+}
+
+export type ContractName = keyof ChainFlowContracts;
@@ -0,0 +1,216 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/** Roles that can change other roles, upgrade a proxy, or move funds in an emergency */
+const ADMIN_ROLES = ["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE", "GOVERNANCE_ROLE", "EMERGENCY_ADMIN_ROLE", "UPGRADER_ROLE"];
+
+/** The part of OpenZeppelin AccessControl the audit relies on */
+const ACCESS_CONTROL_ABI = [
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+];
+
+/**
+ * Map role hashes to names using every `*_ROLE` constant in a set of ABIs
+ * @param {Array<object[]>} abis Contract ABIs
+ * @returns {Map<string, string>} Role hash → name (always includes DEFAULT_ADMIN_ROLE)
+ */
+function roleNamesFromAbis(abis) {
+  const names = new Map([[ethers.ZeroHash, "DEFAULT_ADMIN_ROLE"]]);
+  for (const abi of abis) {
+    for (const item of abi) {
+      const isRoleConstant =
+        item.type === "function" &&
+        item.name.endsWith("_ROLE") &&
+        item.inputs.length === 0 &&
+        item.outputs.length === 1 &&
+        item.outputs[0].type === "bytes32";
+      // Every role constant in this repo is keccak256 of its own name
+      if (isRoleConstant && item.name !== "DEFAULT_ADMIN_ROLE") {
+        names.set(ethers.id(item.name), item.name);
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Role names from the compiled ABIs under `artifacts/contracts`
+ * @param {string} artifactsDir Hardhat artifacts directory
+ * @returns {Map<string, string>} Role hash → name
+ */
+function loadRoleNames(artifactsDir) {
+  const abis = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(file);
+      else if (entry.name.endsWith(".json") && !entry.name.endsWith(".dbg.json")) {
+        abis.push(JSON.parse(fs.readFileSync(file, "utf8")).abi || []);
+      }
+    }
+  };
+  const contractsDir = path.join(artifactsDir, "contracts");
+  if (fs.existsSync(contractsDir)) walk(contractsDir);
+  return roleNamesFromAbis(abis);
+}
+
+/**
+ * Replay RoleGranted/RoleRevoked events into the current holders of each role
+ * @param {import("ethers").Contract} contract AccessControl contract
+ * @param {object} [options]
+ * @param {number} [options.fromBlock=0] First block to scan
+ * @param {number} options.toBlock Last block to scan
+ * @param {number} [options.blockRange] Maximum blocks per log query (for RPCs that cap ranges)
+ * @returns {Promise<Map<string, Set<string>>>} Role hash → holders
+ */
+async function replayRoleEvents(contract, { fromBlock = 0, toBlock, blockRange } = {}) {
+  const events = [];
+  const step = blockRange || toBlock - fromBlock + 1;
+
+  for (let start = fromBlock; start <= toBlock; start += step) {
+    const end = Math.min(start + step - 1, toBlock);
+    events.push(
+      ...(await contract.queryFilter(contract.filters.RoleGranted(), start, end)),
+      ...(await contract.queryFilter(contract.filters.RoleRevoked(), start, end)),
+    );
+  }
+  events.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const holders = new Map();
+  for (const event of events) {
+    const [role, account] = event.args;
+    if (!holders.has(role)) holders.set(role, new Set());
+    if (event.fragment.name === "RoleGranted") holders.get(role).add(account);
+    else holders.get(role).delete(account);
+  }
+  return holders;
+}
+
+/**
+ * Build the access-control matrix for every contract in a deployment record
+ *
+ * Holders come from replaying role events and are confirmed with `hasRole` at `toBlock`.
+ * Findings:
+ * - `eoa-admin`: an externally owned account holds an admin-level role (ADMIN_ROLES)
+ * - `deployer-retained`: the deploying account still holds a role
+ *
+ * @param {object} options
+ * @param {import("ethers").Provider} options.provider Connected provider
+ * @param {object} options.record Deployment record
+ * @param {Map<string, string>} options.roleNames Role hash → name (see loadRoleNames)
+ * @param {number} [options.fromBlock=0] First block to scan
+ * @param {number} [options.toBlock] Last block to scan (default: latest)
+ * @param {number} [options.blockRange] Maximum blocks per log query
+ * @returns {Promise<object>} Report ({ deployment, chainId, block, contracts, findings })
+ */
+async function auditAccessControl({ provider, record, roleNames, fromBlock = 0, toBlock, blockRange }) {
+  const block = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+  const labels = new Map(Object.entries(record.contracts).map(([name, address]) => [address.toLowerCase(), name]));
+  if (record.deployer) labels.set(record.deployer.toLowerCase(), "deployer");
+
+  const codeCache = new Map();
+  const isContract = async (account) => {
+    if (!codeCache.has(account)) {
+      codeCache.set(account, (await provider.getCode(account, block)) !== "0x");
+    }
+    return codeCache.get(account);
+  };
+
+  const contracts = [];
+  const findings = [];
+
+  for (const [name, address] of Object.entries(record.contracts)) {
+    const contract = new ethers.Contract(address, ACCESS_CONTROL_ABI, provider);
+    const replayed = await replayRoleEvents(contract, { fromBlock, toBlock: block, blockRange });
+    const roles = [];
+
+    for (const [roleHash, accounts] of replayed) {
+      const role = roleNames.get(roleHash) || roleHash;
+      const holders = [];
+
+      for (const account of accounts) {
+        if (!(await contract.hasRole(roleHash, account, { blockTag: block }))) continue;
+        const type = (await isContract(account)) ? "contract" : "eoa";
+        const label = labels.get(account.toLowerCase()) || null;
+        holders.push({ account, type, label });
+
+        if (type === "eoa" && ADMIN_ROLES.includes(role)) {
+          findings.push({
+            type: "eoa-admin",
+            contract: name,
+            role,
+            account,
+            message: `EOA ${label ? `${label} ` : ""}${account} holds ${role} on ${name}`,
+          });
+        }
+        if (label === "deployer") {
+          findings.push({
+            type: "deployer-retained",
+            contract: name,
+            role,
+            account,
+            message: `Deployer ${account} still holds ${role} on ${name}`,
+          });
+        }
+      }
+      if (holders.length > 0) roles.push({ role, roleHash, holders });
+    }
+
+    roles.sort((a, b) => a.role.localeCompare(b.role));
+    contracts.push({ name, address, roles });
+  }
+
+  return {
+    deployment: record.name,
+    chainId: record.chainId,
+    block,
+    generatedAt: new Date().toISOString(),
+    contracts,
+    findings,
+  };
+}
+
+/**
+ * Render an audit report as Markdown: one holder table per contract, then findings
+ * @param {object} report Report from auditAccessControl
+ * @returns {string} Markdown
+ */
+function formatAccessReport(report) {
+  const describe = (holder) =>
+    `\`${holder.account}\`${holder.label ? ` (${holder.label})` : ""}${holder.type === "eoa" ? " — EOA" : ""}`;
+  const lines = [
+    `# Access Control: ${report.deployment}`,
+    "",
+    `Chain ${report.chainId}, block ${report.block}, generated ${report.generatedAt}`,
+    "",
+  ];
+
+  for (const contract of report.contracts) {
+    lines.push(`## ${contract.name}`, "", `\`${contract.address}\``, "", "| Role | Holders |", "| --- | --- |");
+    for (const { role, holders } of contract.roles) {
+      lines.push(`| ${role} | ${holders.map(describe).join("<br>")} |`);
+    }
+    if (contract.roles.length === 0) lines.push("| — | — |");
+    lines.push("");
+  }
+
+  lines.push(`## Findings (${report.findings.length})`, "");
+  if (report.findings.length === 0) lines.push("None.");
+  for (const finding of report.findings) {
+    lines.push(`- **${finding.type}**: ${finding.message}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  ACCESS_CONTROL_ABI,
+  roleNamesFromAbis,
+  loadRoleNames,
+  replayRoleEvents,
+  auditAccessControl,
+  formatAccessReport,
+};
@@ -0,0 +1,19 @@
+const {
+  ADMIN_ROLES,
+  ACCESS_CONTROL_ABI,
+  roleNamesFromAbis,
+  loadRoleNames,
+  replayRoleEvents,
+  auditAccessControl,
+  formatAccessReport,
+} = require("./audit");
+
+module.exports = {
+  ADMIN_ROLES,
+  ACCESS_CONTROL_ABI,
+  roleNamesFromAbis,
+  loadRoleNames,
+  replayRoleEvents,
+  auditAccessControl,
+  formatAccessReport,
+};
@@ -0,0 +1,65 @@
+const axios = require("axios");
+const { ethers } = require("ethers");
+const { normalizeTrade, toTradeTuple } = require("../settlement");
+
+/**
+ * Fetch a trader's proof bundle for one batch from the ledger API
+ * @param {string} url Ledger API base URL
+ * @param {object} request
+ * @param {string} request.traderId Trader ID (bytes32)
+ * @param {string} request.batchId TradeLedger batch ID (bytes32)
+ * @param {object} [options]
+ * @param {number} [options.timeout=5000] Request timeout (ms)
+ * @returns {Promise<object>} Bundle from `GET /traders/{traderId}/batches/{batchId}/proof`, with trades normalized
+ *   to TradeLedger.Trade (bigint amounts) and gross PnL, shares and minimum payout as bigint
+ */
+async function fetchPayoutProof(url, { traderId, batchId }, { timeout = 5000 } = {}) {
+  let data;
+  try {
+    ({ data } = await axios.get(`${url.replace(/\/$/, "")}/traders/${traderId}/batches/${batchId}/proof`, { timeout }));
+  } catch (error) {
+    const message = error.response?.data?.error;
+    throw message ? new Error(`LedgerApi: ${message} (${error.response.status})`) : error;
+  }
+
+  const amount = (value) => (value === null ? null : BigInt(value));
+  return {
+    ...data,
+    trades: data.trades.map((item) => ({ ...item, trade: normalizeTrade(item.trade) })),
+    claimable: { trades: data.claimable.trades.map(normalizeTrade), proofs: data.claimable.proofs },
+    grossPnL: BigInt(data.grossPnL),
+    traderShare: amount(data.traderShare),
+    poolShare: amount(data.poolShare),
+    minPayout: BigInt(data.minPayout),
+  };
+}
+
+/**
+ * Arguments for PayoutManager.requestPayout from a proof bundle
+ * @param {object} proof Bundle from fetchPayoutProof (or the raw API response)
+ * @param {object} payout
+ * @param {string} payout.recipient Payout recipient
+ * @param {string} payout.signature Operator signature (see PayoutSigner.authorize)
+ * @returns {Array} [traderId, recipient, batchId, proofs, trades, operatorSignature]
+ */
+function requestPayoutArgs(proof, { recipient, signature }) {
+  if (proof.claimable.trades.length === 0) {
+    throw new Error("PayoutProof: Every trade in the batch is already verified");
+  }
+  if (!ethers.isAddress(recipient)) {
+    throw new Error("PayoutProof: Invalid recipient");
+  }
+  return [
+    proof.traderId,
+    ethers.getAddress(recipient),
+    proof.batchId,
+    proof.claimable.proofs,
+    proof.claimable.trades.map(toTradeTuple),
+    signature,
+  ];
+}
+
+module.exports = {
+  fetchPayoutProof,
+  requestPayoutArgs,
+};
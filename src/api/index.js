@@ -0,0 +1,19 @@
+const { MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE, openApiSpec } = require("./openapi");
+const { PayoutProofs, PayoutProofError } = require("./proofs");
+const { fetchPayoutProof, requestPayoutArgs } = require("./client");
+const { PAYOUT_STATUSES, CLAIM_STATUSES, LedgerApiError, encodeCursor, createLedgerApp } = require("./server");
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  DEFAULT_PAGE_SIZE,
+  openApiSpec,
+  PAYOUT_STATUSES,
+  CLAIM_STATUSES,
+  LedgerApiError,
+  encodeCursor,
+  createLedgerApp,
+  PayoutProofs,
+  PayoutProofError,
+  fetchPayoutProof,
+  requestPayoutArgs,
+};
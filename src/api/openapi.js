@@ -0,0 +1,291 @@
+/** Largest page the API serves */
+const MAX_PAGE_SIZE = 200;
+
+/** Page size when `limit` is not given */
+const DEFAULT_PAGE_SIZE = 50;
+
+const bytes32 = { type: "string", pattern: "^0x[0-9a-fA-F]{64}$" };
+const address = { type: "string", pattern: "^0x[0-9a-fA-F]{40}$" };
+const amount = { type: "string", pattern: "^-?[0-9]+$", description: "Integer in base units (18 decimals)" };
+const time = {
+  oneOf: [
+    { type: "integer", description: "Unix seconds" },
+    { type: "string", format: "date-time" },
+  ],
+};
+
+const path = (name, schema, description) => ({ name, in: "path", required: true, schema, description });
+const query = (name, schema, description) => ({ name, in: "query", schema, description });
+
+const PAGE_PARAMETERS = [
+  query("cursor", { type: "string" }, "nextCursor of the previous page"),
+  query("limit", { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE }),
+  query("from", time, "Earliest block time, inclusive"),
+  query("to", time, "Latest block time, inclusive"),
+];
+
+const EVENT_FIELDS = {
+  blockNumber: { type: "integer" },
+  logIndex: { type: "integer" },
+  txHash: bytes32,
+  blockTimestamp: { type: "integer", description: "Unix seconds" },
+  contractAddress: address,
+};
+
+const object = (properties) => ({ type: "object", properties });
+const event = (properties) => object({ ...EVENT_FIELDS, ...properties });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const SCHEMAS = {
+  Batch: event({
+    batchId: bytes32,
+    operator: address,
+    merkleRoot: bytes32,
+    tradeCount: amount,
+    timestamp: amount,
+    metadata: { type: "string" },
+    indexed: { type: "boolean", description: "False when served from the contract ahead of the indexer" },
+    batchHash: { ...bytes32, description: "Live from TradeLedger.getBatch" },
+    totalVolume: { ...amount, description: "Live from TradeLedger.getBatch" },
+    netPnL: { ...amount, description: "Live from TradeLedger.getBatch" },
+  }),
+  Trade: event({ batchId: bytes32, tradeId: bytes32, traderId: bytes32, pnl: amount, timestamp: amount }),
+  Payout: event({
+    requestId: bytes32,
+    traderId: bytes32,
+    recipient: address,
+    grossPnl: amount,
+    traderShare: amount,
+    status: { type: "string", enum: ["Pending", "Verified", "Executed", "Rejected", "Cancelled"] },
+    paidAmount: { ...amount, nullable: true },
+    rejectionReason: { type: "string", nullable: true },
+    batchId: { ...bytes32, description: "Live from PayoutManager.getPayoutRequest" },
+    poolShare: { ...amount, description: "Live from PayoutManager.getPayoutRequest" },
+    requestTime: { ...amount, description: "Live from PayoutManager.getPayoutRequest" },
+    executedTime: { ...amount, description: "Live from PayoutManager.getPayoutRequest" },
+  }),
+  PayoutProof: object({
+    traderId: bytes32,
+    batchId: bytes32,
+    merkleRoot: bytes32,
+    contentHash: { ...bytes32, description: "Batch artifact the proofs were rebuilt from" },
+    trades: {
+      type: "array",
+      items: object({
+        trade: ref("TradeStruct"),
+        leaf: bytes32,
+        proof: { type: "array", items: bytes32 },
+        verified: { type: "boolean", description: "Already consumed, from TradeLedger.isTradeVerified" },
+        verifiedBatchId: { ...bytes32, nullable: true },
+      }),
+    },
+    claimable: object({
+      trades: { type: "array", items: ref("TradeStruct") },
+      proofs: { type: "array", items: { type: "array", items: bytes32 } },
+    }),
+    grossPnL: { ...amount, description: "Sum of the claimable trades' PnL" },
+    traderShare: { ...amount, nullable: true, description: "From PayoutManager.calculateProfitSplit" },
+    poolShare: { ...amount, nullable: true, description: "From PayoutManager.calculateProfitSplit" },
+    minPayout: amount,
+    payable: { type: "boolean", description: "Claimable trades whose gross PnL reaches PayoutManager.MIN_PAYOUT" },
+  }),
+  TradeStruct: object({
+    traderId: bytes32,
+    tradeId: bytes32,
+    symbol: { type: "string" },
+    side: { type: "integer", enum: [0, 1] },
+    size: amount,
+    entryPrice: amount,
+    exitPrice: amount,
+    pnl: amount,
+    fee: amount,
+    timestamp: amount,
+  }),
+  LpPosition: object({
+    lp: address,
+    shares: amount,
+    deposited: amount,
+    value: amount,
+    lastDepositTime: amount,
+    withdrawalRequest: object({ amount, shares: amount, requestTime: amount, executed: { type: "boolean" } }),
+  }),
+  LpDeposit: event({ lp: address, amount, shares: amount, timestamp: amount }),
+  LpWithdrawal: event({ lp: address, amount, shares: amount, timestamp: amount }),
+  Claim: event({
+    claimId: bytes32,
+    claimant: address,
+    traderId: bytes32,
+    amount,
+    status: { type: "string", enum: ["Pending", "Approved", "Rejected", "Expired"] },
+    approvedAmount: { ...amount, nullable: true },
+    rejectionReason: { type: "string", nullable: true },
+    indexed: { type: "boolean" },
+    token: { ...address, description: "Live from InsuranceFund.getClaim" },
+    reason: { type: "string", description: "Live from InsuranceFund.getClaim" },
+    processedAt: { ...amount, description: "Live from InsuranceFund.getClaim" },
+  }),
+  Price: object({
+    symbol: { type: "string" },
+    key: bytes32,
+    price: { type: "string", description: "8 decimals" },
+    confidence: { type: "integer" },
+    timestamp: { type: "integer" },
+    blockNumber: { type: "integer", description: "Historical prices only" },
+    source: { ...address, description: "Historical prices only" },
+  }),
+  Error: object({ error: { type: "string" } }),
+};
+
+const page = (item) => ({
+  description: "One page, newest first",
+  content: {
+    "application/json": {
+      schema: object({ items: { type: "array", items: ref(item) }, nextCursor: { type: "string", nullable: true } }),
+    },
+  },
+});
+const single = (item) => ({ description: "OK", content: { "application/json": { schema: ref(item) } } });
+const error = (description) => ({ description, content: { "application/json": { schema: ref("Error") } } });
+
+const PATHS = {
+  "/batches": {
+    get: {
+      summary: "Settlement batches",
+      parameters: [query("operator", address), ...PAGE_PARAMETERS],
+      responses: { 200: page("Batch"), 400: error("Invalid parameter") },
+    },
+  },
+  "/batches/{batchId}": {
+    get: {
+      summary: "One batch, from the contract when not indexed yet",
+      parameters: [path("batchId", bytes32)],
+      responses: { 200: single("Batch"), 404: error("Unknown batch") },
+    },
+  },
+  "/batches/{batchId}/trades": {
+    get: {
+      summary: "Trades verified against a batch",
+      parameters: [path("batchId", bytes32), query("trader", bytes32), ...PAGE_PARAMETERS],
+      responses: { 200: page("Trade"), 400: error("Invalid parameter") },
+    },
+  },
+  "/traders/{traderId}/trades": {
+    get: {
+      summary: "A trader's verified trades",
+      parameters: [path("traderId", bytes32), ...PAGE_PARAMETERS],
+      responses: { 200: page("Trade"), 400: error("Invalid parameter") },
+    },
+  },
+  "/traders/{traderId}/payouts": {
+    get: {
+      summary: "A trader's payout history",
+      parameters: [path("traderId", bytes32), ...PAGE_PARAMETERS],
+      responses: { 200: page("Payout"), 400: error("Invalid parameter") },
+    },
+  },
+  "/traders/{traderId}/batches/{batchId}/proof": {
+    get: {
+      summary: "A trader's trades, Merkle proofs and profit split for PayoutManager.requestPayout",
+      parameters: [path("traderId", bytes32), path("batchId", bytes32)],
+      responses: {
+        200: single("PayoutProof"),
+        404: error("Unknown batch or trader, or no artifact stored"),
+        409: error("Stored artifact does not match the batch root"),
+        503: error("Batch artifacts, TradeLedger or PayoutManager not configured"),
+      },
+    },
+  },
+  "/lps/{address}": {
+    get: {
+      summary: "An LP's current position, live from CapitalPool",
+      parameters: [path("address", address)],
+      responses: { 200: single("LpPosition"), 503: error("CapitalPool not configured") },
+    },
+  },
+  "/lps/{address}/deposits": {
+    get: {
+      summary: "An LP's deposits",
+      parameters: [path("address", address), ...PAGE_PARAMETERS],
+      responses: { 200: page("LpDeposit"), 400: error("Invalid parameter") },
+    },
+  },
+  "/lps/{address}/withdrawals": {
+    get: {
+      summary: "An LP's completed withdrawals",
+      parameters: [path("address", address), ...PAGE_PARAMETERS],
+      responses: { 200: page("LpWithdrawal"), 400: error("Invalid parameter") },
+    },
+  },
+  "/claims": {
+    get: {
+      summary: "Insurance claims",
+      parameters: [query("trader", bytes32), query("claimant", address), ...PAGE_PARAMETERS],
+      responses: { 200: page("Claim"), 400: error("Invalid parameter") },
+    },
+  },
+  "/claims/{claimId}": {
+    get: {
+      summary: "One claim, from the contract when not indexed yet",
+      parameters: [path("claimId", bytes32)],
+      responses: { 200: single("Claim"), 404: error("Unknown claim") },
+    },
+  },
+  "/prices": {
+    get: {
+      summary: "Oracle price: live from OracleRegistry, or from the price history at a time or block",
+      parameters: [
+        { ...query("symbol", { type: "string" }, 'Name ("BTC/USD") or bytes32 key'), required: true },
+        query("timestamp", time),
+        query("block", { type: "integer" }),
+      ],
+      responses: {
+        200: single("Price"),
+        404: error("No price"),
+        503: error("OracleRegistry or price history not configured"),
+      },
+    },
+  },
+  "/health": {
+    get: {
+      summary: "Last indexed block",
+      responses: {
+        200: {
+          description: "OK",
+          content: {
+            "application/json": {
+              schema: object({ ok: { type: "boolean" }, indexedBlock: { type: "integer", nullable: true } }),
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * OpenAPI 3 description of the public ledger API
+ * @param {object} [options]
+ * @param {string} [options.serverUrl] Base URL to advertise
+ * @returns {object}
+ */
+function openApiSpec({ serverUrl } = {}) {
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "ChainFlow-v2 Public Ledger API",
+      version: "1.0.0",
+      description:
+        "Settlement batches, verified trades, payouts, LP flows, insurance claims and oracle prices from the indexed " +
+        "public ledger. Lists are newest first; pass nextCursor back as cursor for the next page.",
+    },
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    paths: PATHS,
+    components: { schemas: SCHEMAS },
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  DEFAULT_PAGE_SIZE,
+  openApiSpec,
+};
@@ -0,0 +1,119 @@
+const { ethers } = require("ethers");
+const { batchFromArtifact } = require("../settlement");
+
+/** A proof bundle that cannot be served, with the HTTP status to answer */
+class PayoutProofError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PayoutProofError";
+    this.status = status;
+  }
+}
+
+/**
+ * Everything a trader needs to call PayoutManager.requestPayout for one batch
+ *
+ * Trades and proofs are rebuilt from the batch artifact the operator stored (see
+ * `LocalBatchStore`), found by batch ID or by the metadata submitted with the batch, and
+ * checked against the Merkle root recorded on TradeLedger. Trades `isTradeVerified` already
+ * reports as consumed would make `verifyAndRecordTraderPnL` revert, so they are flagged and
+ * left out of `claimable`; gross PnL and the split cover the claimable trades only.
+ */
+class PayoutProofs {
+  /**
+   * @param {object} options
+   * @param {import("../settlement").LocalBatchStore} options.batchStore Batch artifacts
+   * @param {import("ethers").Contract} options.tradeLedger TradeLedger contract
+   * @param {import("ethers").Contract} options.payoutManager PayoutManager contract
+   */
+  constructor({ batchStore, tradeLedger, payoutManager }) {
+    if (!batchStore || !tradeLedger || !payoutManager) {
+      throw new Error("PayoutProofs: batchStore, tradeLedger and payoutManager are required");
+    }
+    this.batchStore = batchStore;
+    this.tradeLedger = tradeLedger;
+    this.payoutManager = payoutManager;
+  }
+
+  /**
+   * Proof bundle for one trader in one batch
+   * @param {object} request
+   * @param {string} request.traderId Trader ID (bytes32)
+   * @param {string} request.batchId TradeLedger batch ID (bytes32)
+   * @returns {Promise<object>} JSON-safe bundle (amounts as decimal strings)
+   */
+  async forTrader({ traderId, batchId }) {
+    if (!ethers.isHexString(traderId, 32)) {
+      throw new PayoutProofError("Invalid traderId");
+    }
+    if (!ethers.isHexString(batchId, 32)) {
+      throw new PayoutProofError("Invalid batchId");
+    }
+    traderId = traderId.toLowerCase();
+    batchId = batchId.toLowerCase();
+
+    const onChain = await this.tradeLedger.getBatch(batchId);
+    if (onChain.batchId === ethers.ZeroHash) {
+      throw new PayoutProofError(`Unknown batch ${batchId}`, 404);
+    }
+
+    const artifact =
+      (await this.batchStore.getByBatchId(batchId)) || (await this.batchStore.getByMetadata(onChain.metadata));
+    if (!artifact) {
+      throw new PayoutProofError(`No artifact stored for batch ${batchId}`, 404);
+    }
+    const batch = batchFromArtifact(artifact);
+    if (batch.root !== onChain.merkleRoot) {
+      throw new PayoutProofError(`Artifact ${artifact.contentHash} does not match the root of batch ${batchId}`, 409);
+    }
+
+    const entries = batch.entries.filter((entry) => entry.trade.traderId === traderId);
+    if (entries.length === 0) {
+      throw new PayoutProofError(`No trades for trader ${traderId} in batch ${batchId}`, 404);
+    }
+
+    const trades = [];
+    for (const entry of entries) {
+      const [verified, verifiedBatchId] = await this.tradeLedger.isTradeVerified(entry.trade.tradeId);
+      trades.push({
+        trade: artifact.content.leaves[entry.index].trade,
+        leaf: entry.leaf,
+        proof: entry.proof,
+        verified,
+        verifiedBatchId: verified ? verifiedBatchId : null,
+      });
+    }
+
+    const claimable = trades.filter((item) => !item.verified);
+    const grossPnL = claimable.reduce((sum, item) => sum + BigInt(item.trade.pnl), 0n);
+    const minPayout = await this.payoutManager.MIN_PAYOUT();
+
+    let split = null;
+    if (grossPnL > 0n) {
+      try {
+        split = await this.payoutManager.calculateProfitSplit(traderId, grossPnL);
+      } catch (error) {
+        throw new PayoutProofError(error.reason || error.shortMessage || error.message, 404);
+      }
+    }
+
+    return {
+      traderId,
+      batchId,
+      merkleRoot: batch.root,
+      contentHash: artifact.contentHash,
+      trades,
+      claimable: { trades: claimable.map((item) => item.trade), proofs: claimable.map((item) => item.proof) },
+      grossPnL: grossPnL.toString(),
+      traderShare: split ? split.traderShare.toString() : null,
+      poolShare: split ? split.poolShare.toString() : null,
+      minPayout: minPayout.toString(),
+      payable: claimable.length > 0 && grossPnL >= minPayout,
+    };
+  }
+}
+
+module.exports = {
+  PayoutProofs,
+  PayoutProofError,
+};
@@ -0,0 +1,362 @@
+const express = require("express");
+const cors = require("cors");
+const { ethers } = require("ethers");
+const { symbolKey } = require("../history");
+const { MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE, openApiSpec } = require("./openapi");
+const { PayoutProofs, PayoutProofError } = require("./proofs");
+
+/** PayoutManager.PayoutStatus */
+const PAYOUT_STATUSES = ["Pending", "Verified", "Executed", "Rejected", "Cancelled"];
+
+/** InsuranceFund.ClaimStatus */
+const CLAIM_STATUSES = ["Pending", "Approved", "Rejected", "Expired"];
+
+/** A request the API refuses, with the HTTP status to answer */
+class LedgerApiError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "LedgerApiError";
+    this.status = status;
+  }
+}
+
+function bytes32Param(value, name) {
+  if (!ethers.isHexString(value, 32)) throw new LedgerApiError(`Invalid ${name}: expected 0x and 64 hex digits`);
+  return value.toLowerCase();
+}
+
+function addressParam(value, name) {
+  if (!ethers.isAddress(value)) throw new LedgerApiError(`Invalid ${name}: expected an address`);
+  return ethers.getAddress(value);
+}
+
+/** Unix seconds from "1700000000" or an ISO date */
+function timeParam(value, name) {
+  if (value === undefined) return undefined;
+  const seconds = /^\d+$/.test(value) ? Number(value) : Date.parse(value) / 1000;
+  if (!Number.isFinite(seconds)) throw new LedgerApiError(`Invalid ${name}: expected unix seconds or an ISO date`);
+  return seconds;
+}
+
+function limitParam(value) {
+  if (value === undefined) return DEFAULT_PAGE_SIZE;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new LedgerApiError(`Invalid limit: expected 1 to ${MAX_PAGE_SIZE}`);
+  }
+  return limit;
+}
+
+/**
+ * Opaque page cursor: the (block, log index) of the last item served
+ * @param {object} row Store row
+ * @returns {string}
+ */
+function encodeCursor(row) {
+  return Buffer.from(`${row.block_number}:${row.log_index}`).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  if (cursor === undefined) return undefined;
+  const match = Buffer.from(String(cursor), "base64url")
+    .toString()
+    .match(/^(\d+):(\d+)$/);
+  if (!match) throw new LedgerApiError("Invalid cursor");
+  return { blockNumber: Number(match[1]), logIndex: Number(match[2]) };
+}
+
+const RENAMED_FIELDS = { from_address: "from", to_address: "to" };
+
+/** Store row as an API object: camelCase fields, block time in unix seconds */
+function toItem(row) {
+  const item = {};
+  for (const [column, value] of Object.entries(row)) {
+    const field = RENAMED_FIELDS[column] || column.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+    item[field] = value instanceof Date ? value.getTime() / 1000 : value;
+  }
+  return item;
+}
+
+/**
+ * One page of an event table, each item passed through `enrich`
+ * @returns {Promise<{items: object[], nextCursor: string|null}>}
+ */
+async function listPage(store, table, query, where, enrich = async (item) => item) {
+  const limit = limitParam(query.limit);
+  const rows = await store.page(table, {
+    where,
+    since: timeParam(query.from, "from"),
+    until: timeParam(query.to, "to"),
+    before: decodeCursor(query.cursor),
+    limit: limit + 1,
+  });
+  const page = rows.slice(0, limit);
+  return {
+    items: await Promise.all(page.map((row) => enrich(toItem(row)))),
+    nextCursor: rows.length > limit ? encodeCursor(page.at(-1)) : null,
+  };
+}
+
+/** The only row matching `where`, as an item, or null */
+async function findItem(store, table, where) {
+  const [row] = await store.page(table, { where, limit: 1 });
+  return row ? toItem(row) : null;
+}
+
+/**
+ * Express app serving the indexed public ledger
+ *
+ * Lists come from the ledger store (see docs/PUBLIC_LEDGER.md), newest first, paged by an
+ * opaque cursor over (block, log index). Fields that no event carries (a batch's volume and
+ * net PnL, a payout's pool share and status, a claim's token and reason, LP positions, live
+ * prices) are read from the contracts given in `contracts`, and left out when a contract is
+ * not configured. Single batches and claims the indexer has not reached yet are served from
+ * the contract with `indexed: false`. Payout proofs are rebuilt from the batch artifacts in
+ * `batchStore` (see `PayoutProofs`).
+ *
+ * **Routes:** see `openApiSpec()`, served at `GET /openapi.json`.
+ *
+ * @param {object} options
+ * @param {object} options.store PostgresLedgerStore or MemoryLedgerStore
+ * @param {object} [options.contracts] Live contracts: { tradeLedger, payoutManager, capitalPool, insuranceFund,
+ *   oracleRegistry }
+ * @param {import("../history").PriceHistory} [options.priceHistory] Price history, for prices at a time or block
+ * @param {import("../settlement").LocalBatchStore} [options.batchStore] Batch artifacts, for payout proofs
+ * @param {string} [options.checkpoint="public-ledger"] Indexer checkpoint reported by /health
+ * @param {string} [options.serverUrl] Base URL advertised in the OpenAPI spec
+ * @returns {import("express").Express} App (call `.listen()` to serve)
+ */
+function createLedgerApp({ store, contracts = {}, priceHistory, batchStore, checkpoint = "public-ledger", serverUrl }) {
+  if (!store) {
+    throw new Error("LedgerApi: store is required");
+  }
+  const { tradeLedger, payoutManager, capitalPool, insuranceFund, oracleRegistry } = contracts;
+  const spec = openApiSpec({ serverUrl });
+  const proofs =
+    batchStore && tradeLedger && payoutManager ? new PayoutProofs({ batchStore, tradeLedger, payoutManager }) : null;
+  const app = express();
+  app.use(cors());
+
+  const liveBatch = async (item) => {
+    if (!tradeLedger) return item;
+    const batch = await tradeLedger.getBatch(item.batchId);
+    return { ...item, batchHash: batch.batchHash, totalVolume: `${batch.totalVolume}`, netPnL: `${batch.netPnL}` };
+  };
+
+  const payoutOutcome = async (item) => {
+    const executed = await findItem(store, "payout_executions", { request_id: item.requestId });
+    const rejected = await findItem(store, "payout_rejections", { request_id: item.requestId });
+    const result = {
+      ...item,
+      status: executed ? "Executed" : rejected ? "Rejected" : "Pending",
+      paidAmount: executed ? executed.amount : null,
+      rejectionReason: rejected ? rejected.reason : null,
+    };
+    if (!payoutManager) return result;
+    const request = await payoutManager.getPayoutRequest(item.requestId);
+    return {
+      ...result,
+      status: PAYOUT_STATUSES[Number(request.status)],
+      batchId: request.batchId,
+      poolShare: `${request.poolShare}`,
+      requestTime: `${request.requestTime}`,
+      executedTime: `${request.executedTime}`,
+    };
+  };
+
+  const claimOutcome = async (item) => {
+    const approved = await findItem(store, "insurance_claim_approvals", { claim_id: item.claimId });
+    const rejected = await findItem(store, "insurance_claim_rejections", { claim_id: item.claimId });
+    const result = {
+      ...item,
+      status: approved ? "Approved" : rejected ? "Rejected" : "Pending",
+      approvedAmount: approved ? approved.amount : null,
+      rejectionReason: rejected ? rejected.reason : null,
+      indexed: true,
+    };
+    return insuranceFund ? { ...result, ...liveClaim(await insuranceFund.getClaim(item.claimId)) } : result;
+  };
+
+  app.get("/openapi.json", (req, res) => {
+    res.json(spec);
+  });
+
+  app.get("/health", async (req, res) => {
+    const indexed = await store.getCheckpoint(checkpoint);
+    res.json({ ok: true, indexedBlock: indexed ? indexed.blockNumber : null });
+  });
+
+  app.get("/batches", async (req, res) => {
+    const where = {};
+    if (req.query.operator !== undefined) where.operator = addressParam(req.query.operator, "operator");
+    res.json(
+      await listPage(store, "settlement_batches", req.query, where, async (item) =>
+        liveBatch({ ...item, indexed: true }),
+      ),
+    );
+  });
+
+  app.get("/batches/:batchId", async (req, res) => {
+    const batchId = bytes32Param(req.params.batchId, "batchId");
+    const item = await findItem(store, "settlement_batches", { batch_id: batchId });
+    if (item) return res.json(await liveBatch({ ...item, indexed: true }));
+
+    const batch = tradeLedger ? await tradeLedger.getBatch(batchId) : null;
+    if (!batch || batch.batchId === ethers.ZeroHash) throw new LedgerApiError(`Unknown batch ${batchId}`, 404);
+    res.json({
+      batchId: batch.batchId,
+      operator: batch.operator,
+      merkleRoot: batch.merkleRoot,
+      tradeCount: `${batch.tradeCount}`,
+      timestamp: `${batch.timestamp}`,
+      metadata: batch.metadata,
+      indexed: false,
+      batchHash: batch.batchHash,
+      totalVolume: `${batch.totalVolume}`,
+      netPnL: `${batch.netPnL}`,
+    });
+  });
+
+  app.get("/batches/:batchId/trades", async (req, res) => {
+    const where = { batch_id: bytes32Param(req.params.batchId, "batchId") };
+    if (req.query.trader !== undefined) where.trader_id = bytes32Param(req.query.trader, "trader");
+    res.json(await listPage(store, "verified_trades", req.query, where));
+  });
+
+  app.get("/traders/:traderId/trades", async (req, res) => {
+    const where = { trader_id: bytes32Param(req.params.traderId, "traderId") };
+    res.json(await listPage(store, "verified_trades", req.query, where));
+  });
+
+  app.get("/traders/:traderId/payouts", async (req, res) => {
+    const where = { trader_id: bytes32Param(req.params.traderId, "traderId") };
+    res.json(await listPage(store, "payout_requests", req.query, where, payoutOutcome));
+  });
+
+  app.get("/traders/:traderId/batches/:batchId/proof", async (req, res) => {
+    const traderId = bytes32Param(req.params.traderId, "traderId");
+    const batchId = bytes32Param(req.params.batchId, "batchId");
+    if (!proofs) throw new LedgerApiError("Batch artifacts, TradeLedger or PayoutManager not configured", 503);
+    res.json(await proofs.forTrader({ traderId, batchId }));
+  });
+
+  app.get("/lps/:address", async (req, res) => {
+    const lp = addressParam(req.params.address, "address");
+    if (!capitalPool) throw new LedgerApiError("CapitalPool is not configured", 503);
+    const info = await capitalPool.lpInfo(lp);
+    res.json({
+      lp,
+      shares: `${info.shares}`,
+      deposited: `${info.deposited}`,
+      value: `${await capitalPool.getLPValue(lp)}`,
+      lastDepositTime: `${info.lastDepositTime}`,
+      withdrawalRequest: {
+        amount: `${info.withdrawalRequest.amount}`,
+        shares: `${info.withdrawalRequest.shares}`,
+        requestTime: `${info.withdrawalRequest.requestTime}`,
+        executed: info.withdrawalRequest.executed,
+      },
+    });
+  });
+
+  app.get("/lps/:address/deposits", async (req, res) => {
+    const where = { lp: addressParam(req.params.address, "address") };
+    res.json(await listPage(store, "pool_deposits", req.query, where));
+  });
+
+  app.get("/lps/:address/withdrawals", async (req, res) => {
+    const where = { lp: addressParam(req.params.address, "address") };
+    res.json(await listPage(store, "pool_withdrawals", req.query, where));
+  });
+
+  app.get("/claims", async (req, res) => {
+    const where = {};
+    if (req.query.trader !== undefined) where.trader_id = bytes32Param(req.query.trader, "trader");
+    if (req.query.claimant !== undefined) where.claimant = addressParam(req.query.claimant, "claimant");
+    res.json(await listPage(store, "insurance_claims", req.query, where, claimOutcome));
+  });
+
+  app.get("/claims/:claimId", async (req, res) => {
+    const claimId = bytes32Param(req.params.claimId, "claimId");
+    const item = await findItem(store, "insurance_claims", { claim_id: claimId });
+    if (item) return res.json(await claimOutcome(item));
+
+    const claim = insuranceFund ? await insuranceFund.getClaim(claimId) : null;
+    if (!claim || claim.claimId === ethers.ZeroHash) throw new LedgerApiError(`Unknown claim ${claimId}`, 404);
+    res.json({
+      claimId: claim.claimId,
+      claimant: claim.claimant,
+      traderId: claim.traderId,
+      amount: `${claim.amount}`,
+      indexed: false,
+      ...liveClaim(claim),
+    });
+  });
+
+  app.get("/prices", async (req, res) => {
+    const { symbol } = req.query;
+    if (!symbol) throw new LedgerApiError("symbol is required");
+    const key = symbolKey(String(symbol));
+    const timestamp = timeParam(req.query.timestamp, "timestamp");
+    const block = req.query.block;
+
+    if (timestamp !== undefined || block !== undefined) {
+      if (!priceHistory) throw new LedgerApiError("Price history is not configured", 503);
+      if (block !== undefined && !/^\d+$/.test(block)) throw new LedgerApiError("Invalid block: expected a number");
+      const tick = await priceHistory.priceAt(key, block !== undefined ? { block: Number(block) } : { timestamp });
+      if (!tick) throw new LedgerApiError(`No price for ${symbol} at ${block ?? timestamp}`, 404);
+      return res.json({
+        symbol,
+        key,
+        price: `${tick.price}`,
+        confidence: tick.confidence,
+        timestamp: tick.timestamp,
+        blockNumber: tick.blockNumber,
+        source: tick.source,
+      });
+    }
+
+    if (!oracleRegistry) throw new LedgerApiError("OracleRegistry is not configured", 503);
+    let quote;
+    try {
+      quote = await oracleRegistry.getPriceWithConfidence(key);
+    } catch (error) {
+      throw new LedgerApiError(`No price for ${symbol}: ${error.reason || error.shortMessage || error.message}`, 404);
+    }
+    res.json({
+      symbol,
+      key,
+      price: `${quote.price}`,
+      confidence: Number(quote.confidence),
+      timestamp: Number(quote.timestamp),
+    });
+  });
+
+  app.use((error, req, res, next) => {
+    if (error instanceof LedgerApiError || error instanceof PayoutProofError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("❌ Ledger API error:", error);
+    res.status(500).json({ error: "Internal error" });
+  });
+
+  return app;
+}
+
+/** Fields of InsuranceFund.getClaim that no event carries */
+function liveClaim(claim) {
+  return {
+    status: CLAIM_STATUSES[Number(claim.status)],
+    token: claim.token,
+    reason: claim.reason,
+    processedAt: `${claim.processedAt}`,
+  };
+}
+
+module.exports = {
+  PAYOUT_STATUSES,
+  CLAIM_STATUSES,
+  LedgerApiError,
+  encodeCursor,
+  createLedgerApp,
+};
@@ -0,0 +1,160 @@
+const path = require("path");
+const { resolveValue } = require("./manifest");
+const { DeploymentRegistry, assertChain } = require("./registry");
+const { planRoles, applyRolePlan } = require("./roles");
+const { planParameters, applyParameterPlan } = require("./parameters");
+
+/**
+ * Deploy (or resume deploying) every contract in a manifest, reconcile its roles, then register
+ * its bound parameters in the GovernanceManager
+ *
+ * The record is rewritten after every proxy, role change and registration. Parameters already in the
+ * registry are not changed: drift is only reported, and `params:sync` resolves it. On a re-run, contracts already
+ * in the record are never redeployed: their address must still hold code, otherwise the run
+ * stops so the record can be fixed by hand.
+ *
+ * @param {object} options
+ * @param {object} options.hre Hardhat runtime (ethers, upgrades, network)
+ * @param {object} options.manifest Manifest from loadManifest
+ * @param {string} [options.name=hre.network.name] Deployment name in the registry
+ * @param {string[]} [options.tags] Tags added to the record
+ * @param {DeploymentRegistry} [options.registry] Registry (defaults to deployments/)
+ * @param {object} [options.params] Overrides for manifest params
+ * @param {object} [options.env=process.env] Environment for `${env.*}` references
+ * @param {function(string): void} [options.log=console.log] Progress output
+ * @returns {Promise<object>} Final deployment record
+ */
+async function runDeployment({
+  hre,
+  manifest,
+  name = hre.network.name,
+  tags = [],
+  registry = new DeploymentRegistry(),
+  params = {},
+  env = process.env,
+  log = console.log,
+}) {
+  const { ethers, upgrades } = hre;
+  const [deployer] = await ethers.getSigners();
+  const chainId = (await ethers.provider.getNetwork()).chainId.toString();
+
+  const record = registry.load(name) || {
+    name,
+    network: hre.network.name,
+    chainId,
+    deployer: deployer.address,
+    timestamp: new Date().toISOString(),
+    contracts: {},
+  };
+  await assertChain(record, ethers.provider);
+
+  record.manifest = manifest.file ? path.relative(registry.dir, manifest.file) : undefined;
+  record.status = "in-progress";
+  record.tags = [...new Set([...(record.tags || []), ...tags])];
+  record.implementations = record.implementations || {};
+  record.proxyAdmins = record.proxyAdmins || {};
+  record.artifacts = record.artifacts || {};
+  record.roles = record.roles || [];
+  record.parameters = record.parameters || [];
+
+  const context = {
+    deployer: deployer.address,
+    contracts: record.contracts,
+    params: { ...(manifest.params || {}), ...params },
+    env,
+  };
+  const save = () => {
+    record.updatedAt = new Date().toISOString();
+    registry.save(record);
+  };
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // CONTRACTS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  for (const [index, entry] of manifest.contracts.entries()) {
+    const step = `${index + 1}/${manifest.contracts.length}`;
+    const existing = record.contracts[entry.name];
+
+    if (existing) {
+      if (record.artifacts[entry.name] && record.artifacts[entry.name] !== entry.contract) {
+        throw new Error(
+          `Deployer: ${entry.name} is recorded as ${record.artifacts[entry.name]}, manifest says ${entry.contract}`,
+        );
+      }
+      if ((await ethers.provider.getCode(existing)) === "0x") {
+        throw new Error(`Deployer: ${entry.name} is recorded at ${existing} but has no code; refusing to redeploy`);
+      }
+      // Records from the old scripts only carry proxy addresses
+      if (!record.artifacts[entry.name]) {
+        record.artifacts[entry.name] = entry.contract;
+        record.implementations[entry.name] = await upgrades.erc1967.getImplementationAddress(existing);
+        record.proxyAdmins[entry.name] = await upgrades.erc1967.getAdminAddress(existing);
+        save();
+      }
+      log(`⏭️  ${step} ${entry.contract} already deployed: ${existing}`);
+      continue;
+    }
+
+    log(`${step} Deploying ${entry.contract}...`);
+    const args = resolveValue(entry.args || [], context);
+    const factory = await ethers.getContractFactory(entry.contract);
+    const proxy = await upgrades.deployProxy(factory, args, {
+      ...(entry.kind ? { kind: entry.kind } : {}),
+      ...(entry.initializer ? { initializer: entry.initializer } : {}),
+    });
+    await proxy.waitForDeployment();
+
+    const address = await proxy.getAddress();
+    record.contracts[entry.name] = address;
+    record.implementations[entry.name] = await upgrades.erc1967.getImplementationAddress(address);
+    record.proxyAdmins[entry.name] = await upgrades.erc1967.getAdminAddress(address);
+    record.artifacts[entry.name] = entry.contract;
+    save();
+    log(`✅ ${entry.contract}: ${address}`);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // ROLES
+  // ═══════════════════════════════════════════════════════════════════════
+
+  const plan = await planRoles({ ethers, manifest, record, context });
+  for (const entry of plan.filter((entry) => entry.action === "none")) {
+    log(`⏭️  ${entry.role} on ${entry.contract} → ${entry.account} already ${entry.desired}`);
+  }
+  await applyRolePlan({
+    ethers,
+    plan,
+    onApplied: (applied) => {
+      record.roles.push(applied);
+      save();
+      log(`✅ ${applied.action} ${applied.role} on ${applied.contract} → ${applied.account}`);
+    },
+  });
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // PARAMETERS
+  // ═══════════════════════════════════════════════════════════════════════
+
+  const parameters = manifest.parameters?.length ? await planParameters({ ethers, manifest, record }) : [];
+  for (const entry of parameters.filter((entry) => ["update", "fixed"].includes(entry.action))) {
+    log(`⚠️  ${entry.key}: ${entry.contract}.${entry.getter} is ${entry.current}, registry says ${entry.desired}`);
+  }
+  await applyParameterPlan({
+    ethers,
+    plan: parameters.filter((entry) => entry.action === "register"),
+    onApplied: (applied) => {
+      record.parameters.push(applied);
+      save();
+      log(`✅ registered ${applied.key} = ${applied.value}`);
+    },
+  });
+
+  record.status = "complete";
+  save();
+  return record;
+}
+
+module.exports = {
+  runDeployment,
+};
@@ -0,0 +1,59 @@
+const { MANIFEST_DIR, loadManifest, validateManifest, resolveValue } = require("./manifest");
+const {
+  DEPLOYMENTS_DIR,
+  RECORD_SCHEMA_VERSION,
+  DeploymentRegistry,
+  assertChain,
+  refreshProxyInfo,
+  resolveDeployment,
+  saveDeployment,
+} = require("./registry");
+const { planRoles, summarizeRolePlan, formatRolePlan, applyRolePlan } = require("./roles");
+const {
+  planParameters,
+  summarizeParameterPlan,
+  formatParameterPlan,
+  applyParameterPlan,
+  buildParameterProposal,
+} = require("./parameters");
+const {
+  UUPS_ABI,
+  stateGetters,
+  snapshotState,
+  diffSnapshots,
+  prepareProxyUpgrade,
+  canCall,
+  buildUpgradeProposal,
+} = require("./upgrade");
+const { runDeployment } = require("./deployer");
+
+module.exports = {
+  MANIFEST_DIR,
+  loadManifest,
+  validateManifest,
+  resolveValue,
+  DEPLOYMENTS_DIR,
+  RECORD_SCHEMA_VERSION,
+  DeploymentRegistry,
+  assertChain,
+  refreshProxyInfo,
+  resolveDeployment,
+  saveDeployment,
+  planRoles,
+  summarizeRolePlan,
+  formatRolePlan,
+  applyRolePlan,
+  planParameters,
+  summarizeParameterPlan,
+  formatParameterPlan,
+  applyParameterPlan,
+  buildParameterProposal,
+  UUPS_ABI,
+  stateGetters,
+  snapshotState,
+  diffSnapshots,
+  prepareProxyUpgrade,
+  canCall,
+  buildUpgradeProposal,
+  runDeployment,
+};
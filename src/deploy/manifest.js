@@ -0,0 +1,185 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/** Directory holding one manifest per network (`<network>.json`) */
+const MANIFEST_DIR = path.join(__dirname, "../../deploy");
+
+const REFERENCE = /\$\{([^}]+)\}/g;
+
+/**
+ * Load and validate the deployment manifest for a network
+ * @param {string} network Hardhat network name, or a path to a manifest file
+ * @returns {object} Manifest ({ network, params, contracts, roles, parameters })
+ */
+function loadManifest(network) {
+  const file = network.endsWith(".json") ? path.resolve(network) : path.join(MANIFEST_DIR, `${network}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Manifest: No manifest for network ${network} (expected ${file})`);
+  }
+  return validateManifest({ ...JSON.parse(fs.readFileSync(file, "utf8")), file });
+}
+
+/**
+ * Check a manifest's structure and that every `${contracts.x}` reference points at a contract
+ * deployed earlier in the list
+ * @param {object} manifest Manifest
+ * @returns {object} The manifest (throws on the first problem found)
+ */
+function validateManifest(manifest) {
+  const { contracts, roles = [], parameters = [], params = {} } = manifest;
+  if (!Array.isArray(contracts) || contracts.length === 0) {
+    throw new Error("Manifest: contracts must be a non-empty array");
+  }
+
+  const seen = new Set();
+  const checkReferences = (value, where) => {
+    for (const ref of collectReferences(value)) {
+      const [scope, name] = splitReference(ref);
+      if (scope === "contracts" && !seen.has(name)) {
+        throw new Error(`Manifest: ${where} references ${ref} before it is deployed`);
+      }
+      if (scope === "params" && !(name in params)) {
+        throw new Error(`Manifest: ${where} references unknown ${ref}`);
+      }
+      if (!["contracts", "params", "env", "deployer", "ether"].includes(scope)) {
+        throw new Error(`Manifest: ${where} has unknown reference ${ref}`);
+      }
+    }
+  };
+
+  for (const [name, value] of Object.entries(params)) {
+    checkReferences(value, `params.${name}`);
+  }
+
+  for (const entry of contracts) {
+    if (!entry.name || !entry.contract) {
+      throw new Error("Manifest: Every contract needs a name and a contract");
+    }
+    if (seen.has(entry.name)) {
+      throw new Error(`Manifest: Duplicate contract ${entry.name}`);
+    }
+    if (!Array.isArray(entry.args || [])) {
+      throw new Error(`Manifest: ${entry.name}.args must be an array`);
+    }
+    checkReferences(entry.args || [], entry.name);
+    seen.add(entry.name);
+  }
+
+  roles.forEach((grant, index) => {
+    if (!seen.has(grant.contract)) {
+      throw new Error(`Manifest: roles[${index}] targets unknown contract ${grant.contract}`);
+    }
+    if (!grant.role || !grant.account) {
+      throw new Error(`Manifest: roles[${index}] needs a role and an account`);
+    }
+    if (grant.revoke !== undefined && typeof grant.revoke !== "boolean") {
+      throw new Error(`Manifest: roles[${index}].revoke must be true or false`);
+    }
+    checkReferences(grant.account, `roles[${index}]`);
+  });
+
+  if (parameters.length > 0 && !seen.has("governanceManager")) {
+    throw new Error("Manifest: parameters need a governanceManager contract");
+  }
+  const bindings = new Set();
+  parameters.forEach((binding, index) => {
+    if (!seen.has(binding.contract)) {
+      throw new Error(`Manifest: parameters[${index}] targets unknown contract ${binding.contract}`);
+    }
+    if (!binding.key || !binding.getter) {
+      throw new Error(`Manifest: parameters[${index}] needs a key and a getter`);
+    }
+    // Registry keys are bytes32 short strings
+    if (Buffer.byteLength(binding.key) > 31) {
+      throw new Error(`Manifest: parameters[${index}].key ${binding.key} is longer than 31 bytes`);
+    }
+    if (bindings.has(`${binding.key}:${binding.contract}`)) {
+      throw new Error(`Manifest: parameters[${index}] binds ${binding.key} to ${binding.contract} twice`);
+    }
+    bindings.add(`${binding.key}:${binding.contract}`);
+  });
+
+  return manifest;
+}
+
+function collectReferences(value) {
+  if (Array.isArray(value)) return value.flatMap(collectReferences);
+  if (typeof value === "string") return [...value.matchAll(REFERENCE)].map((match) => match[1].trim());
+  return [];
+}
+
+function splitReference(ref) {
+  if (ref === "deployer") return ["deployer", null];
+  const separator = ref.search(/[.:]/);
+  return separator === -1 ? [ref, null] : [ref.slice(0, separator), ref.slice(separator + 1)];
+}
+
+/**
+ * Resolve `${...}` references in a manifest value
+ *
+ * Supported references:
+ * - `${deployer}`          deploying account
+ * - `${contracts.<name>}`  address of a contract already in the deployment record
+ * - `${params.<name>}`     manifest parameter (itself resolved)
+ * - `${env.<NAME>}`        environment variable (must be set)
+ * - `${ether:<amount>}`    amount in wei, e.g. `${ether:1000}`
+ *
+ * A string that is exactly one reference resolves to the referenced value; references
+ * embedded in longer strings are interpolated.
+ *
+ * @param {*} value Manifest value (string, number, boolean or array of these)
+ * @param {object} context { deployer, contracts, params, env }
+ * @returns {*} Resolved value
+ */
+function resolveValue(value, context) {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveValue(item, context));
+  }
+  if (typeof value !== "string") {
+    return value;
+  }
+
+  const whole = value.match(/^\$\{([^}]+)\}$/);
+  if (whole) {
+    return resolveReference(whole[1].trim(), context);
+  }
+  return value.replace(REFERENCE, (_, ref) => String(resolveReference(ref.trim(), context)));
+}
+
+function resolveReference(ref, context) {
+  const [scope, name] = splitReference(ref);
+
+  switch (scope) {
+    case "deployer":
+      return context.deployer;
+    case "contracts":
+      if (!context.contracts[name]) {
+        throw new Error(`Manifest: ${ref} is not deployed`);
+      }
+      return context.contracts[name];
+    case "params":
+      if (!(name in context.params)) {
+        throw new Error(`Manifest: Unknown ${ref}`);
+      }
+      return resolveValue(context.params[name], context);
+    case "env": {
+      const env = context.env || process.env;
+      if (env[name] === undefined || env[name] === "") {
+        throw new Error(`Manifest: Environment variable ${name} is not set`);
+      }
+      return env[name];
+    }
+    case "ether":
+      return ethers.parseEther(name).toString();
+    default:
+      throw new Error(`Manifest: Unknown reference ${ref}`);
+  }
+}
+
+module.exports = {
+  MANIFEST_DIR,
+  loadManifest,
+  validateManifest,
+  resolveValue,
+};
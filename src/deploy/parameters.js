@@ -0,0 +1,206 @@
+/**
+ * Compare the GovernanceManager parameter registry with the live values contracts act on
+ *
+ * Every manifest `parameters` entry binds a registry key to a view `getter` on `contract`, and
+ * optionally to the `setter` that changes it. One key may be bound to several contracts. The
+ * registry is the source of truth, with two exceptions:
+ * - a bound key missing from the registry is registered with the live value of its first binding
+ *   (`register`);
+ * - a binding without a setter (a constant) can only change with an upgrade (`fixed`).
+ *
+ * Registry keys that no binding reads are reported as `unbound`: changing them has no effect.
+ *
+ * @param {object} options
+ * @param {object} options.ethers Hardhat ethers
+ * @param {object} options.manifest Manifest (`parameters` is the spec, `contracts` names the artifacts)
+ * @param {object} options.record Deployment record (contracts)
+ * @returns {Promise<object[]>} One plan entry per binding, in spec order, then one per unbound key
+ */
+async function planParameters({ ethers, manifest, record }) {
+  const artifacts = Object.fromEntries(manifest.contracts.map((entry) => [entry.name, entry.contract]));
+  const governanceManager = record.contracts.governanceManager;
+  if (!governanceManager) {
+    throw new Error("Parameters: governanceManager is not deployed");
+  }
+  const governance = await ethers.getContractAt(artifacts.governanceManager || "GovernanceManager", governanceManager);
+
+  const registry = new Map();
+  for (const parameter of await governance.getAllParameters()) {
+    registry.set(decodeKey(ethers, parameter.key), parameter.value);
+  }
+
+  const plan = [];
+  const adopted = new Map();
+  for (const binding of manifest.parameters || []) {
+    const address = record.contracts[binding.contract];
+    if (!address) {
+      throw new Error(`Parameters: ${binding.contract} is not deployed`);
+    }
+    const artifact = artifacts[binding.contract];
+    const target = await ethers.getContractAt(artifact, address);
+    const current = await target[binding.getter]();
+    const registered = registry.has(binding.key);
+
+    let desired;
+    let action;
+    if (!registered && !adopted.has(binding.key)) {
+      adopted.set(binding.key, current);
+      desired = current;
+      action = "register";
+    } else {
+      desired = registered ? registry.get(binding.key) : adopted.get(binding.key);
+      action = current === desired ? "none" : binding.setter ? "update" : "fixed";
+    }
+
+    plan.push({
+      key: binding.key,
+      keyHash: ethers.encodeBytes32String(binding.key),
+      governanceManager,
+      contract: binding.contract,
+      artifact,
+      address,
+      getter: binding.getter,
+      setter: binding.setter || null,
+      registered,
+      current,
+      desired,
+      action,
+    });
+  }
+
+  const bound = new Set((manifest.parameters || []).map((binding) => binding.key));
+  for (const [key, value] of registry) {
+    if (bound.has(key)) continue;
+    plan.push({
+      key,
+      keyHash: key.startsWith("0x") ? key : ethers.encodeBytes32String(key),
+      governanceManager,
+      contract: null,
+      artifact: null,
+      address: null,
+      getter: null,
+      setter: null,
+      registered: true,
+      current: null,
+      desired: value,
+      action: "unbound",
+    });
+  }
+
+  return plan;
+}
+
+function decodeKey(ethers, key) {
+  try {
+    return ethers.decodeBytes32String(key);
+  } catch {
+    // Not a short string; keep the raw bytes32
+    return key;
+  }
+}
+
+/**
+ * Counts of entries by action
+ * @param {object[]} plan Plan from planParameters
+ * @returns {{register: number, update: number, fixed: number, unbound: number, none: number}}
+ */
+function summarizeParameterPlan(plan) {
+  const summary = { register: 0, update: 0, fixed: 0, unbound: 0, none: 0 };
+  for (const entry of plan) summary[entry.action]++;
+  return summary;
+}
+
+/**
+ * Render a plan as a diff: `+` register, `~` update, `!` fixed, `?` unbound, `=` in sync
+ * @param {object[]} plan Plan from planParameters
+ * @returns {string[]} One line per entry
+ */
+function formatParameterPlan(plan) {
+  const marks = { register: "+", update: "~", fixed: "!", unbound: "?", none: "=" };
+  return plan.map((entry) => {
+    const where = entry.contract ? `${entry.contract}.${entry.getter}` : "(read by no contract)";
+    const values = {
+      register: `${entry.current} (from the live value)`,
+      update: `${entry.current} → ${entry.desired}`,
+      fixed: `${entry.current}, registry ${entry.desired} (no setter; needs an upgrade)`,
+      unbound: `${entry.desired}`,
+      none: `${entry.current}`,
+    };
+    return `${marks[entry.action]} ${entry.key.padEnd(26)} ${where.padEnd(38)} ${values[entry.action]}`;
+  });
+}
+
+/**
+ * Register missing keys and call the setters of drifted bindings, as the first signer
+ *
+ * `register` entries need ADMIN_ROLE on the GovernanceManager; `update` entries need whatever role
+ * guards their setter. `fixed`, `unbound` and in-sync entries are skipped.
+ *
+ * @param {object} options
+ * @param {object} options.ethers Hardhat ethers
+ * @param {object[]} options.plan Plan from planParameters (or a subset of it)
+ * @param {function(object): void} [options.onApplied] Called after each confirmed transaction
+ * @returns {Promise<object[]>} Applied entries ({ key, contract, action, value, txHash })
+ */
+async function applyParameterPlan({ ethers, plan, onApplied = () => {} }) {
+  const applied = [];
+
+  for (const entry of plan) {
+    let tx;
+    if (entry.action === "register") {
+      const governance = await ethers.getContractAt("GovernanceManager", entry.governanceManager);
+      tx = await governance.setParam(entry.keyHash, entry.desired);
+    } else if (entry.action === "update") {
+      const target = await ethers.getContractAt(entry.artifact, entry.address);
+      tx = await target[entry.setter](entry.desired);
+    } else {
+      continue;
+    }
+    await tx.wait();
+
+    const result = {
+      key: entry.key,
+      contract: entry.action === "register" ? "governanceManager" : entry.contract,
+      action: entry.action,
+      value: entry.desired.toString(),
+      txHash: tx.hash,
+    };
+    applied.push(result);
+    onApplied(result);
+  }
+
+  return applied;
+}
+
+/**
+ * Turn a plan's `update` entries into a proposal for `gov:propose`
+ *
+ * Registrations are left out: `GovernanceManager.setParam` is `nonReentrant`, like `execute`, so it
+ * cannot run from a proposal (see docs/GOVERNANCE.md).
+ *
+ * @param {object[]} plan Plan from planParameters
+ * @param {string} [description] Proposal description (defaults to one listing the keys)
+ * @returns {{description: string, actions: object[]}|null} Proposal, or null when nothing drifted
+ */
+function buildParameterProposal(plan, description) {
+  const updates = plan.filter((entry) => entry.action === "update");
+  if (updates.length === 0) return null;
+
+  const keys = [...new Set(updates.map((entry) => entry.key))];
+  return {
+    description: description || `Bring ${keys.join(", ")} in line with the GovernanceManager registry`,
+    actions: updates.map((entry) => ({
+      contract: entry.contract,
+      function: entry.setter,
+      args: [entry.desired.toString()],
+    })),
+  };
+}
+
+module.exports = {
+  planParameters,
+  summarizeParameterPlan,
+  formatParameterPlan,
+  applyParameterPlan,
+  buildParameterProposal,
+};
@@ -0,0 +1,337 @@
+const fs = require("fs");
+const path = require("path");
+
+/** Directory holding deployment records */
+const DEPLOYMENTS_DIR = path.join(__dirname, "../../deployments");
+
+/** Current record layout (1 = flat records written by the old deploy-all.js) */
+const RECORD_SCHEMA_VERSION = 2;
+
+/** `<network>_<unix ms>.json` files written by the old deploy-all.js */
+const LEGACY_FILE = /^(.+)_(\d{13})\.json$/;
+
+const RECORD_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Deployment records on disk, one `<name>.json` per deployment
+ *
+ * A record's name defaults to its network name; additional deployments on the same network
+ * (staging copies, old systems) get their own names and can be tagged. The first load or list
+ * migrates legacy timestamped records and older layouts (see pendingMigrations) and logs every file
+ * it renames or rewrites. With `migrate: false` reads never change the directory: unversioned
+ * records are upgraded in memory and legacy records are left out until migrate() is called.
+ */
+class DeploymentRegistry {
+  /**
+   * @param {string} [dir=DEPLOYMENTS_DIR] Directory holding the records
+   * @param {object} [options]
+   * @param {boolean} [options.migrate=true] Migrate on the first load or list
+   * @param {Function} [options.log=console.log] Receives one line per migrated file
+   */
+  constructor(dir = DEPLOYMENTS_DIR, { migrate = true, log = console.log } = {}) {
+    this.dir = dir;
+    this.autoMigrate = migrate;
+    this.log = log;
+    this.migrated = false;
+  }
+
+  /**
+   * Record file for a deployment name
+   * @param {string} name Deployment name
+   * @returns {string} Path
+   */
+  pathFor(name) {
+    if (!RECORD_NAME.test(name)) {
+      throw new Error(`DeploymentRegistry: Invalid deployment name ${name}`);
+    }
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  _files() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs
+      .readdirSync(this.dir)
+      .filter((file) => file.endsWith(".json"))
+      .sort();
+  }
+
+  _read(file) {
+    return JSON.parse(fs.readFileSync(path.join(this.dir, file), "utf8"));
+  }
+
+  _write(file, record) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(record, null, 2) + "\n");
+    fs.renameSync(tmp, file);
+  }
+
+  /**
+   * Changes migrate() would make, without making them
+   *
+   * - `<network>_<ms>.json` becomes `<network>.json` (newest legacy file per network) or
+   *   `<network>-<ms>.json` (older ones, or when `<network>.json` already exists), tagged `legacy`
+   * - records missing `name`/`schemaVersion` are upgraded in place
+   *
+   * @returns {Array<{from: string, to: string}>} Files to move or rewrite
+   */
+  pendingMigrations() {
+    return this._migrationPlan().map(({ from, to }) => ({ from, to }));
+  }
+
+  _migrationPlan() {
+    const plan = [];
+    const files = this._files();
+    const taken = new Set(files.filter((file) => !LEGACY_FILE.test(file)).map((file) => file.slice(0, -5)));
+
+    // Newest first, so the latest legacy record claims the plain network name
+    const legacy = files.filter((file) => LEGACY_FILE.test(file)).reverse();
+    for (const file of legacy) {
+      const [, network, timestamp] = file.match(LEGACY_FILE);
+      const name = taken.has(network) ? `${network}-${timestamp}` : network;
+      taken.add(name);
+      plan.push({
+        from: file,
+        to: `${name}.json`,
+        record: upgradeRecord(this._read(file), name, { tags: ["legacy"], migratedFrom: file }),
+      });
+    }
+
+    for (const file of files) {
+      if (LEGACY_FILE.test(file)) continue;
+      const record = this._read(file);
+      if (record.schemaVersion === RECORD_SCHEMA_VERSION) continue;
+      plan.push({ from: file, to: file, record: upgradeRecord(record, file.slice(0, -5)) });
+    }
+
+    return plan;
+  }
+
+  /**
+   * Upgrade every record to the current layout, as listed by pendingMigrations()
+   * @returns {Array<{from: string, to: string}>} Files that were moved or rewritten
+   */
+  migrate() {
+    this.migrated = true;
+    return this._migrationPlan().map(({ from, to, record }) => {
+      this._write(this.pathFor(to.slice(0, -5)), record);
+      if (from !== to) fs.unlinkSync(path.join(this.dir, from));
+      return { from, to };
+    });
+  }
+
+  _migrateOnce() {
+    if (this.migrated || !this.autoMigrate) return;
+    for (const { from, to } of this.migrate()) {
+      this.log(
+        from === to
+          ? `📦 Upgraded ${path.join(this.dir, from)} to record schema v${RECORD_SCHEMA_VERSION}`
+          : `📦 Migrated ${path.join(this.dir, from)} → ${to}`,
+      );
+    }
+  }
+
+  /**
+   * Load a record by name
+   * @param {string} name Deployment name
+   * @returns {object|null} Record in the current layout, or null if there is none
+   */
+  load(name) {
+    const file = this.pathFor(name);
+    this._migrateOnce();
+    if (!fs.existsSync(file)) return null;
+    const record = this._read(path.basename(file));
+    return record.schemaVersion === RECORD_SCHEMA_VERSION ? record : upgradeRecord(record, name);
+  }
+
+  /**
+   * Write a record under its name, stamping it with the current schema version
+   * @param {object} record Deployment record (must have a name)
+   * @returns {string} Path written
+   */
+  save(record) {
+    const file = this.pathFor(record.name);
+    record.schemaVersion = RECORD_SCHEMA_VERSION;
+    this._write(file, record);
+    return file;
+  }
+
+  /**
+   * Index of all deployments; legacy timestamped records are left out until they are migrated
+   * @returns {Array<{name: string, network: string, chainId: string, tags: string[], status: string}>}
+   */
+  list() {
+    this._migrateOnce();
+    const files = this._files().filter((file) => !LEGACY_FILE.test(file));
+    return files.map((file) => {
+      const record = this.load(file.slice(0, -5));
+      return {
+        name: record.name,
+        network: record.network,
+        chainId: record.chainId,
+        tags: record.tags || [],
+        status: record.status || "unknown",
+      };
+    });
+  }
+
+  /**
+   * Pick exactly one deployment
+   *
+   * With a name, that record is returned. Otherwise records on `chainId` are filtered by
+   * tag; a record named after `network` wins, else the match must be unique.
+   *
+   * @param {object} criteria
+   * @param {string} [criteria.name] Deployment name
+   * @param {string} [criteria.network] Hardhat network name
+   * @param {bigint|string} [criteria.chainId] Connected chain ID
+   * @param {string} [criteria.tag] Required tag
+   * @returns {object} Record
+   */
+  select({ name, network, chainId, tag } = {}) {
+    if (name) {
+      const record = this.load(name);
+      if (!record) {
+        throw new Error(`DeploymentRegistry: No deployment named ${name}`);
+      }
+      if (tag && !(record.tags || []).includes(tag)) {
+        throw new Error(`DeploymentRegistry: Deployment ${name} is not tagged ${tag}`);
+      }
+      return record;
+    }
+
+    const candidates = this.list().filter(
+      (entry) => (chainId === undefined || entry.chainId === chainId.toString()) && (!tag || entry.tags.includes(tag)),
+    );
+    const preferred = candidates.find((entry) => entry.name === network);
+    if (preferred) return this.load(preferred.name);
+    if (candidates.length === 1) return this.load(candidates[0].name);
+
+    const where = `chain ${chainId}${tag ? ` tagged ${tag}` : ""}`;
+    if (candidates.length === 0) {
+      const legacy = this.pendingMigrations().filter(({ from, to }) => from !== to).length;
+      const hint = legacy > 0 ? ` (${legacy} legacy record(s) not migrated; run deployments:migrate)` : "";
+      throw new Error(`DeploymentRegistry: No deployment for ${where}${hint}`);
+    }
+    throw new Error(
+      `DeploymentRegistry: ${candidates.length} deployments for ${where} (${candidates
+        .map((entry) => entry.name)
+        .join(", ")}); select one by name`,
+    );
+  }
+}
+
+function upgradeRecord(record, name, extra = {}) {
+  return {
+    ...record,
+    ...extra,
+    name,
+    tags: [...new Set([...(record.tags || []), ...(extra.tags || [])])],
+    chainId: record.chainId === undefined ? undefined : record.chainId.toString(),
+    implementations: record.implementations || {},
+    proxyAdmins: record.proxyAdmins || {},
+    schemaVersion: RECORD_SCHEMA_VERSION,
+  };
+}
+
+/**
+ * Throw unless a record belongs to the chain the provider is connected to
+ * @param {object} record Deployment record
+ * @param {import("ethers").Provider} provider Connected provider
+ * @returns {Promise<bigint>} Connected chain ID
+ */
+async function assertChain(record, provider) {
+  const { chainId } = await provider.getNetwork();
+  if (record.chainId !== chainId.toString()) {
+    throw new Error(
+      `DeploymentRegistry: Deployment ${record.name} is for chain ${record.chainId}, connected to chain ${chainId}`,
+    );
+  }
+  return chainId;
+}
+
+/**
+ * Fill in implementation and proxy admin addresses for every proxy in a record
+ * @param {object} hre Hardhat runtime (upgrades, ethers)
+ * @param {object} record Deployment record (updated in place)
+ * @returns {Promise<boolean>} Whether anything changed
+ */
+async function refreshProxyInfo(hre, record) {
+  let changed = false;
+  record.implementations = record.implementations || {};
+  record.proxyAdmins = record.proxyAdmins || {};
+
+  for (const [name, address] of Object.entries(record.contracts || {})) {
+    const implementation = await hre.upgrades.erc1967.getImplementationAddress(address);
+    // UUPS proxies have no admin; the zero address records that explicitly
+    const admin = await hre.upgrades.erc1967.getAdminAddress(address);
+
+    if (record.implementations[name] !== implementation || record.proxyAdmins[name] !== admin) {
+      record.implementations[name] = implementation;
+      record.proxyAdmins[name] = admin;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Select the deployment for a script or task and check it matches the connected chain
+ *
+ * `selector` is a deployment name or a path to a record file; it defaults to the
+ * `DEPLOYMENT` environment variable, then to the record for the current network/chain.
+ *
+ * @param {object} hre Hardhat runtime
+ * @param {object} [options]
+ * @param {string} [options.selector] Deployment name or record file
+ * @param {string} [options.tag] Required tag
+ * @param {DeploymentRegistry} [options.registry] Registry (defaults to deployments/)
+ * @returns {Promise<object>} Record
+ */
+async function resolveDeployment(hre, { selector = process.env.DEPLOYMENT, tag, registry } = {}) {
+  let record;
+
+  if (selector && selector.endsWith(".json")) {
+    const raw = JSON.parse(fs.readFileSync(selector, "utf8"));
+    record = raw.schemaVersion === RECORD_SCHEMA_VERSION ? raw : upgradeRecord(raw, path.basename(selector, ".json"));
+  } else {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    record = (registry || new DeploymentRegistry()).select({
+      name: selector,
+      network: hre.network.name,
+      chainId,
+      tag,
+    });
+  }
+
+  await assertChain(record, hre.ethers.provider);
+  return record;
+}
+
+/**
+ * Write back a record obtained from resolveDeployment with the same selector
+ * @param {object} record Deployment record
+ * @param {object} [options]
+ * @param {string} [options.selector] Deployment name or record file
+ * @param {DeploymentRegistry} [options.registry] Registry (defaults to deployments/)
+ * @returns {string} Path written
+ */
+function saveDeployment(record, { selector = process.env.DEPLOYMENT, registry } = {}) {
+  record.updatedAt = new Date().toISOString();
+  if (selector && selector.endsWith(".json")) {
+    record.schemaVersion = RECORD_SCHEMA_VERSION;
+    fs.writeFileSync(selector, JSON.stringify(record, null, 2) + "\n");
+    return selector;
+  }
+  return (registry || new DeploymentRegistry()).save(record);
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  RECORD_SCHEMA_VERSION,
+  DeploymentRegistry,
+  assertChain,
+  refreshProxyInfo,
+  resolveDeployment,
+  saveDeployment,
+};
@@ -0,0 +1,123 @@
+const { resolveValue } = require("./manifest");
+
+/**
+ * Compare a manifest's role spec with on-chain `hasRole` state
+ *
+ * Every manifest `roles` entry states that `account` should hold `role` on `contract`, or,
+ * with `"revoke": true`, that it should not. `account` may resolve to a list of addresses.
+ * Roles and accounts the spec does not mention are left alone.
+ *
+ * @param {object} options
+ * @param {object} options.ethers Hardhat ethers
+ * @param {object} options.manifest Manifest (`roles` is the spec, `contracts` names the artifacts)
+ * @param {object} options.record Deployment record (contracts)
+ * @param {object} options.context Reference context for resolveValue ({ deployer, contracts, params, env })
+ * @returns {Promise<object[]>} One plan entry per (contract, role, account), in spec order
+ */
+async function planRoles({ ethers, manifest, record, context }) {
+  const artifacts = Object.fromEntries(manifest.contracts.map((entry) => [entry.name, entry.contract]));
+  const plan = [];
+  const seen = new Map();
+
+  for (const entry of manifest.roles || []) {
+    const address = record.contracts[entry.contract];
+    if (!address) {
+      throw new Error(`Roles: ${entry.contract} is not deployed`);
+    }
+    const artifact = artifacts[entry.contract];
+    const target = await ethers.getContractAt(artifact, address);
+    const roleHash = entry.role.startsWith("0x") ? entry.role : await target[entry.role]();
+    const desired = entry.revoke ? "revoked" : "granted";
+
+    for (const account of [resolveValue(entry.account, context)].flat()) {
+      const accountAddress = ethers.getAddress(account);
+      const key = `${entry.contract}:${roleHash}:${accountAddress}`;
+      if (seen.has(key) && seen.get(key) !== desired) {
+        throw new Error(`Roles: ${entry.role} on ${entry.contract} for ${accountAddress} is both granted and revoked`);
+      }
+      if (seen.has(key)) continue;
+      seen.set(key, desired);
+
+      const current = await target.hasRole(roleHash, accountAddress);
+      const action = desired === "granted" ? (current ? "none" : "grant") : current ? "revoke" : "none";
+      plan.push({
+        contract: entry.contract,
+        artifact,
+        address,
+        role: entry.role,
+        roleHash,
+        account: accountAddress,
+        current: current ? "granted" : "revoked",
+        desired,
+        action,
+      });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Counts of pending and unchanged entries
+ * @param {object[]} plan Plan from planRoles
+ * @returns {{grant: number, revoke: number, none: number}}
+ */
+function summarizeRolePlan(plan) {
+  const summary = { grant: 0, revoke: 0, none: 0 };
+  for (const entry of plan) summary[entry.action]++;
+  return summary;
+}
+
+/**
+ * Render a plan as a diff: `+` grant, `-` revoke, `=` already in the desired state
+ * @param {object[]} plan Plan from planRoles
+ * @returns {string[]} One line per entry
+ */
+function formatRolePlan(plan) {
+  const marks = { grant: "+", revoke: "-", none: "=" };
+  return plan.map(
+    (entry) => `${marks[entry.action]} ${entry.contract.padEnd(18)} ${entry.role.padEnd(22)} ${entry.account}`,
+  );
+}
+
+/**
+ * Send the grants and revocations in a plan
+ * @param {object} options
+ * @param {object} options.ethers Hardhat ethers
+ * @param {object[]} options.plan Plan from planRoles
+ * @param {function(object): void} [options.onApplied] Called after each confirmed transaction
+ * @returns {Promise<object[]>} Applied entries ({ contract, role, account, action, txHash })
+ */
+async function applyRolePlan({ ethers, plan, onApplied = () => {} }) {
+  const applied = [];
+
+  for (const entry of plan) {
+    if (entry.action === "none") continue;
+
+    const target = await ethers.getContractAt(entry.artifact, entry.address);
+    const tx =
+      entry.action === "grant"
+        ? await target.grantRole(entry.roleHash, entry.account)
+        : await target.revokeRole(entry.roleHash, entry.account);
+    await tx.wait();
+
+    const result = {
+      contract: entry.contract,
+      role: entry.role,
+      account: entry.account,
+      action: entry.action,
+      txHash: tx.hash,
+    };
+    applied.push(result);
+    onApplied(result);
+  }
+
+  return applied;
+}
+
+module.exports = {
+  planRoles,
+  summarizeRolePlan,
+  formatRolePlan,
+  applyRolePlan,
+};
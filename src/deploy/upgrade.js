@@ -0,0 +1,158 @@
+const { ethers } = require("ethers");
+
+/** UUPSUpgradeable entry point (OpenZeppelin v5) */
+const UUPS_ABI = ["function upgradeToAndCall(address newImplementation, bytes data) payable"];
+
+const uups = new ethers.Interface(UUPS_ABI);
+
+/**
+ * Public getters that read a single state value: view, no inputs, one elementary output.
+ * ALL_CAPS names are constants and roles, which belong to the code rather than the state.
+ * @param {import("ethers").Interface} iface Contract interface
+ * @returns {string[]} Function names
+ */
+function stateGetters(iface) {
+  const getters = [];
+  iface.forEachFunction((fragment) => {
+    const [output] = fragment.outputs;
+    if (
+      ["view", "pure"].includes(fragment.stateMutability) &&
+      fragment.inputs.length === 0 &&
+      fragment.outputs.length === 1 &&
+      output.baseType !== "tuple" &&
+      output.baseType !== "array" &&
+      !/^[A-Z0-9_]+$/.test(fragment.name)
+    ) {
+      getters.push(fragment.name);
+    }
+  });
+  return getters.sort();
+}
+
+/**
+ * Read every state getter of a contract
+ *
+ * Getters that revert (e.g. not present in the code behind the proxy yet) are left out.
+ *
+ * @param {import("ethers").Contract} contract Contract (the proxy, with the ABI to read)
+ * @returns {Promise<object>} Getter name → value (numbers as decimal strings)
+ */
+async function snapshotState(contract) {
+  const snapshot = {};
+  for (const name of stateGetters(contract.interface)) {
+    try {
+      const value = await contract[name]();
+      snapshot[name] = typeof value === "bigint" ? value.toString() : value;
+    } catch {
+      // Not readable through this proxy
+    }
+  }
+  return snapshot;
+}
+
+/**
+ * Compare two state snapshots
+ * @param {object} before Snapshot taken before the upgrade
+ * @param {object} after Snapshot taken after the upgrade
+ * @returns {Array<{name: string, before: *, after: *}>} Getters whose value changed or disappeared
+ */
+function diffSnapshots(before, after) {
+  return Object.keys(before)
+    .filter((name) => before[name] !== after[name])
+    .map((name) => ({ name, before: before[name], after: after[name] }));
+}
+
+/**
+ * Validate and deploy a new implementation for a proxy in a deployment record
+ *
+ * The new implementation is checked against the recorded one with `upgrades.validateUpgrade`
+ * (storage layout and upgrade safety) before anything is deployed. `upgrades.prepareUpgrade`
+ * reuses an identical implementation already on chain.
+ *
+ * @param {object} options
+ * @param {object} options.hre Hardhat runtime (ethers, upgrades)
+ * @param {object} options.record Deployment record
+ * @param {string} options.name Contract name in the record
+ * @param {string} options.artifact Contract to upgrade to
+ * @param {string} [options.call] Function to call on the new implementation during the upgrade
+ * @param {Array} [options.args] Arguments for `call`
+ * @returns {Promise<object>} { proxy, currentImplementation, newImplementation, data, calldata, factory }
+ */
+async function prepareProxyUpgrade({ hre, record, name, artifact, call, args = [] }) {
+  const { upgrades } = hre;
+  const proxy = record.contracts[name];
+  if (!proxy) {
+    throw new Error(`Upgrade: ${name} is not in deployment ${record.name}`);
+  }
+
+  const currentImplementation =
+    record.implementations?.[name] || (await upgrades.erc1967.getImplementationAddress(proxy));
+  const factory = await hre.ethers.getContractFactory(artifact);
+
+  await upgrades.validateUpgrade(currentImplementation, factory, { kind: "uups" });
+  const newImplementation = await upgrades.prepareUpgrade(proxy, factory, { kind: "uups" });
+
+  const data = call ? factory.interface.encodeFunctionData(call, args) : "0x";
+  return {
+    proxy,
+    currentImplementation,
+    newImplementation,
+    data,
+    calldata: uups.encodeFunctionData("upgradeToAndCall", [newImplementation, data]),
+    factory,
+  };
+}
+
+/**
+ * Whether `from` may send a call, judged by `eth_call`
+ * @param {import("ethers").Provider} provider Connected provider
+ * @param {object} tx { from, to, data }
+ * @returns {Promise<boolean>} False when the call reverts
+ */
+async function canCall(provider, tx) {
+  try {
+    await provider.call(tx);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Build a GovernanceManager.propose payload for an upgrade
+ * @param {object} options
+ * @param {string} options.governanceManager GovernanceManager address
+ * @param {string} options.proxy Proxy to upgrade
+ * @param {string} options.calldata `upgradeToAndCall` calldata
+ * @param {string} options.description Proposal description
+ * @returns {{proposal: object, transaction: {to: string, data: string}}} Proposal arguments and the propose transaction
+ */
+function buildUpgradeProposal({ governanceManager, proxy, calldata, description }) {
+  const proposal = { targets: [proxy], values: ["0"], calldatas: [calldata], description };
+  const governance = new ethers.Interface([
+    "function propose(address[] targets, uint256[] values, bytes[] calldatas, string description) returns (uint256)",
+  ]);
+
+  return {
+    proposal,
+    transaction: {
+      to: governanceManager,
+      data: governance.encodeFunctionData("propose", [
+        proposal.targets,
+        proposal.values,
+        proposal.calldatas,
+        description,
+      ]),
+    },
+  };
+}
+
+module.exports = {
+  UUPS_ABI,
+  stateGetters,
+  snapshotState,
+  diffSnapshots,
+  prepareProxyUpgrade,
+  canCall,
+  buildUpgradeProposal,
+};
@@ -0,0 +1,412 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/** Duration suffixes accepted for integer arguments, in seconds */
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/** Contract a bare `fn(args)` action calls, e.g. `updateQuorum(5000)` */
+const DEFAULT_CONTRACT = "governanceManager";
+
+/**
+ * GovernanceManager's own nonReentrant functions. `execute` holds the guard while it runs a proposal's
+ * calls, so a call to any of these always reverts with ReentrancyGuardReentrantCall
+ */
+const NON_REENTRANT = ["propose", "castVote", "queue", "execute", "setParam"];
+
+/**
+ * Parse an integer argument
+ *
+ * Accepts plain integers (`25`, `1_000_000`), scientific notation that lands on an integer (`100e18`,
+ * `1.5e18`) and durations (`30s`, `15m`, `12h`, `3d`, `2w`, also fractional like `1.5d`), which become seconds.
+ *
+ * @param {string|number|bigint} value Value from the proposal file
+ * @returns {bigint}
+ */
+function parseInteger(value) {
+  if (typeof value === "bigint") return value;
+  if (typeof value === "number") {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`Governance: ${value} is not a safe integer; quote it or use scientific notation`);
+    }
+    return BigInt(value);
+  }
+
+  const text = String(value).trim().replace(/_/g, "");
+  const duration = text.match(/^(\d+(?:\.\d+)?)(s|m|h|d|w)$/);
+  if (duration) {
+    const seconds = Number(duration[1]) * DURATION_UNITS[duration[2]];
+    if (!Number.isInteger(seconds)) throw new Error(`Governance: ${value} is not a whole number of seconds`);
+    return BigInt(seconds);
+  }
+
+  const scientific = text.match(/^(-?)(\d+)(?:\.(\d+))?e(\d+)$/i);
+  if (scientific) {
+    const [, sign, whole, fraction = "", exponent] = scientific;
+    if (fraction.length > Number(exponent)) throw new Error(`Governance: ${value} is not an integer`);
+    const digits = whole + fraction.padEnd(Number(exponent), "0");
+    return BigInt(sign + digits);
+  }
+
+  if (!/^-?\d+$/.test(text)) throw new Error(`Governance: ${value} is not an integer or a duration`);
+  return BigInt(text);
+}
+
+/** Split `text` on `separator` outside quotes and brackets, trimming each part */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = "";
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "(" || char === "[") {
+      depth++;
+    } else if (char === ")" || char === "]") {
+      depth--;
+    } else if (depth === 0 && (separator === " " ? /\s/.test(char) : char === separator)) {
+      if (current.trim() !== "") parts.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  if (quote || depth !== 0) throw new Error(`Governance: Unbalanced quotes or brackets in "${text}"`);
+  if (current.trim() !== "") parts.push(current.trim());
+  return parts;
+}
+
+/** Index of the parenthesis closing the one `text` starts with, or -1 */
+function closingParenthesis(text) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "(") {
+      depth++;
+    } else if (char === ")" && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/** Strip one level of matching quotes */
+function unquote(text) {
+  const match = text.match(/^(["'])(.*)\1$/s);
+  return match ? match[2] : text;
+}
+
+/**
+ * Parse a string action
+ *
+ *   PayoutManager.updatePayoutCooldown 3d
+ *   payoutManager.updatePayoutCooldown(3d)
+ *   OracleBase.updateMaxDeviation 300 on all oracles
+ *   updateQuorum(5000)
+ *
+ * Arguments follow the function either space-separated or in parentheses, comma-separated; quotes group
+ * text with spaces or commas. A trailing `on <targets>` picks the contracts to call (see encodeActions).
+ *
+ * @param {string} text Action
+ * @returns {{contract: ?string, function: string, args: string[], on: ?string}}
+ */
+function parseAction(text) {
+  const head = text.trim().match(/^(?:([A-Za-z_]\w*)\.)?([A-Za-z_]\w*)/);
+  if (!head) throw new Error(`Governance: Cannot parse action "${text}"`);
+
+  let rest = text.trim().slice(head[0].length).trim();
+  let args;
+  if (rest.startsWith("(")) {
+    const close = closingParenthesis(rest);
+    if (close === -1) throw new Error(`Governance: Unclosed parenthesis in "${text}"`);
+    args = splitTopLevel(rest.slice(1, close), ",");
+    rest = rest.slice(close + 1).trim();
+  } else {
+    const tokens = splitTopLevel(rest, " ");
+    const onIndex = tokens.indexOf("on");
+    args = onIndex === -1 ? tokens : tokens.slice(0, onIndex);
+    rest = onIndex === -1 ? "" : tokens.slice(onIndex).join(" ");
+  }
+
+  let on = null;
+  if (rest !== "") {
+    const targets = rest.match(/^on\s+(.+)$/s);
+    if (!targets) throw new Error(`Governance: Unexpected "${rest}" in "${text}" (expected "on <targets>")`);
+    on = targets[1].trim();
+  }
+
+  return { contract: head[1] || null, function: head[2], args: args.map(unquote), on };
+}
+
+/**
+ * Normalize an action from a proposal file: a string (see parseAction) or an object
+ * `{contract, function, args, on, value}`
+ * @param {string|object} action
+ * @returns {{contract: ?string, function: string, args: Array, on: ?string, value: *}}
+ */
+function normalizeAction(action) {
+  if (typeof action === "string") return { ...parseAction(action), value: 0 };
+  if (!action || typeof action !== "object" || !action.function) {
+    throw new Error(`Governance: Action needs a "function": ${JSON.stringify(action)}`);
+  }
+  const on = action.on ?? action.targets ?? null;
+  return {
+    contract: action.contract || null,
+    function: action.function,
+    args: action.args ?? [],
+    on: Array.isArray(on) ? on.join(",") : on,
+    value: action.value ?? 0,
+  };
+}
+
+/**
+ * Coerce a proposal-file argument to what ethers expects for an ABI parameter
+ *
+ * Integers go through parseInteger (durations included). Addresses may be a record name or `deployer`.
+ * `bytes32` takes 32-byte hex as is, a `*_ROLE` name as its keccak256 (every role in this repo is the hash
+ * of its name) and any other text as a short string, e.g. a GovernanceManager parameter key.
+ *
+ * @param {import("ethers").ParamType} param ABI parameter
+ * @param {*} value Value from the proposal file
+ * @param {object} record Deployment record
+ * @returns {*}
+ */
+function coerceArgument(param, value, record) {
+  if (param.baseType === "array") {
+    const items = Array.isArray(value) ? value : splitTopLevel(String(value).replace(/^\[(.*)\]$/s, "$1"), ",");
+    return items.map((item) =>
+      coerceArgument(param.arrayChildren, typeof item === "string" ? unquote(item) : item, record),
+    );
+  }
+  if (param.baseType === "tuple") {
+    throw new Error(`Governance: Tuple parameter ${param.name || param.type} is not supported in actions`);
+  }
+  if (/^u?int\d*$/.test(param.type)) {
+    const integer = parseInteger(value);
+    if (param.type.startsWith("u") && integer < 0n) throw new Error(`Governance: ${param.name} cannot be negative`);
+    return integer;
+  }
+  if (param.type === "address") {
+    const text = String(value);
+    if (ethers.isAddress(text)) return ethers.getAddress(text);
+    if (record.contracts[text]) return record.contracts[text];
+    if (text === "deployer" && record.deployer) return record.deployer;
+    throw new Error(`Governance: ${text} is not an address or a contract in deployment ${record.name}`);
+  }
+  if (param.type === "bytes32") {
+    const text = String(value);
+    if (ethers.isHexString(text, 32)) return text;
+    if (text === "DEFAULT_ADMIN_ROLE") return ethers.ZeroHash;
+    if (/^[A-Z0-9_]+_ROLE$/.test(text)) return ethers.id(text);
+    return ethers.encodeBytes32String(text);
+  }
+  if (param.type === "bool") {
+    if (value === true || value === "true") return true;
+    if (value === false || value === "false") return false;
+    throw new Error(`Governance: ${value} is not a bool`);
+  }
+  if (param.type === "string") return String(value);
+  if (/^bytes\d*$/.test(param.type)) {
+    if (!ethers.isHexString(value)) throw new Error(`Governance: ${value} is not hex bytes`);
+    return value;
+  }
+  return value;
+}
+
+/** An argument as it reads in an action: bytes32 keys as strings, integers in decimal */
+function formatArgument(param, value) {
+  if (param.baseType === "array")
+    return `[${value.map((item) => formatArgument(param.arrayChildren, item)).join(", ")}]`;
+  if (param.type === "bytes32") {
+    try {
+      return JSON.stringify(ethers.decodeBytes32String(value));
+    } catch {
+      return value;
+    }
+  }
+  return typeof value === "bigint" ? value.toString() : String(value);
+}
+
+/**
+ * A call as it reads in an action, e.g. `setParam("lp_fee_bps", 25)`
+ * @param {import("ethers").FunctionFragment} fragment
+ * @param {Array} args
+ * @returns {string}
+ */
+function formatCall(fragment, args) {
+  return `${fragment.name}(${fragment.inputs.map((param, i) => formatArgument(param, args[i])).join(", ")})`;
+}
+
+/**
+ * Record names an action calls
+ *
+ * Without `on`, a record name prefix calls that contract, an artifact name prefix calls every contract
+ * deployed from it, and no prefix calls the GovernanceManager. `on` takes a comma-separated list of
+ * record names, `all` (every contract whose ABI has the function) or `all oracles` (every record name
+ * ending in "Oracle").
+ */
+function resolveTargets(action, record, abis) {
+  const has = (name, selector) => abis[name].some((fragment) => fragment.selector === selector);
+
+  if (action.on) {
+    if (action.on === "all") return Object.keys(record.contracts).filter((name) => has(name, action.selector));
+    if (action.on === "all oracles") return Object.keys(record.contracts).filter((name) => /Oracle$/.test(name));
+    return splitTopLevel(action.on, ",");
+  }
+  if (!action.contract) return [DEFAULT_CONTRACT];
+  if (record.contracts[action.contract]) return [action.contract];
+  return Object.keys(record.contracts).filter((name) => record.artifacts?.[name] === action.contract);
+}
+
+/**
+ * Encode proposal actions against the ABIs of a deployment
+ *
+ * Each action is checked against every target's ABI, so a function missing on one of them (or a target
+ * that is not in the record) fails here rather than on execution. Calls to the GovernanceManager's own
+ * nonReentrant functions (NON_REENTRANT) are refused for the same reason.
+ *
+ * @param {object} options
+ * @param {Array<string|object>} options.actions Actions from the proposal file
+ * @param {object} options.record Deployment record
+ * @param {function(string): Promise<{abi: object[]}>} options.readArtifact Artifact reader (hre.artifacts.readArtifact)
+ * @returns {Promise<object[]>} One call per target: { action, contract, target, signature, call, args, value,
+ *   calldata }, `call` being the call as text
+ */
+async function encodeActions({ actions, record, readArtifact }) {
+  const interfaces = {};
+  const interfaceOf = async (artifact) => {
+    if (!interfaces[artifact]) interfaces[artifact] = new ethers.Interface((await readArtifact(artifact)).abi);
+    return interfaces[artifact];
+  };
+  const abis = {};
+  for (const name of Object.keys(record.contracts)) {
+    const artifact = record.artifacts?.[name];
+    abis[name] = artifact ? (await interfaceOf(artifact)).fragments.filter((f) => f.type === "function") : [];
+  }
+
+  const calls = [];
+  for (const [index, entry] of actions.entries()) {
+    const action = normalizeAction(entry);
+    const label =
+      typeof entry === "string" ? entry : `${action.contract ? `${action.contract}.` : ""}${action.function}`;
+
+    // The prefix's ABI defines the function; for abstract contracts (OracleBase) it is not a record entry
+    const known =
+      !action.contract ||
+      record.contracts[action.contract] ||
+      Object.values(record.artifacts || {}).includes(action.contract);
+    if (!known && !action.on) {
+      throw new Error(
+        `Governance: ${action.contract} is neither a contract nor an artifact in deployment ${record.name}`,
+      );
+    }
+    const artifact = !action.contract
+      ? record.artifacts?.[DEFAULT_CONTRACT]
+      : record.artifacts?.[action.contract] || action.contract;
+    if (!artifact)
+      throw new Error(`Governance: Action ${index + 1}: no ABI for ${action.contract || DEFAULT_CONTRACT}`);
+    let fragment;
+    try {
+      fragment = (await interfaceOf(artifact)).getFunction(action.function);
+    } catch (error) {
+      throw new Error(
+        `Governance: Action ${index + 1}: ${artifact}.${action.function}: ${error.shortMessage || error.message}`,
+      );
+    }
+    if (!fragment) throw new Error(`Governance: Action ${index + 1}: ${artifact} has no function ${action.function}`);
+    if (action.args.length !== fragment.inputs.length) {
+      throw new Error(
+        `Governance: Action ${index + 1}: ${fragment.format("sighash")} takes ${fragment.inputs.length} ` +
+          `argument(s), got ${action.args.length}`,
+      );
+    }
+
+    const args = fragment.inputs.map((param, i) => coerceArgument(param, action.args[i], record));
+    const calldata = new ethers.Interface([fragment]).encodeFunctionData(fragment, args);
+    const targets = resolveTargets({ ...action, selector: fragment.selector }, record, abis);
+    if (targets.length === 0) throw new Error(`Governance: Action ${index + 1}: no contract matches "on ${action.on}"`);
+
+    for (const name of targets) {
+      if (!record.contracts[name])
+        throw new Error(`Governance: Action ${index + 1}: ${name} is not in deployment ${record.name}`);
+      if (!abis[name].some((f) => f.selector === fragment.selector)) {
+        throw new Error(`Governance: Action ${index + 1}: ${name} has no ${fragment.format("sighash")}`);
+      }
+      if (name === DEFAULT_CONTRACT && NON_REENTRANT.includes(fragment.name)) {
+        throw new Error(
+          `Governance: Action ${index + 1}: ${name}.${fragment.name} is nonReentrant, like execute, ` +
+            "so it always reverts inside a proposal",
+        );
+      }
+      calls.push({
+        action: label,
+        contract: name,
+        target: record.contracts[name],
+        signature: fragment.format("sighash"),
+        call: formatCall(fragment, args),
+        args,
+        value: parseInteger(action.value),
+        calldata,
+      });
+    }
+  }
+  return calls;
+}
+
+/**
+ * Read a proposal file: YAML (`.yaml`/`.yml`) or JSON with `description` and `actions`
+ * @param {string} file Path
+ * @returns {{description: string, actions: Array<string|object>}}
+ */
+function loadProposalFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  // Only YAML proposals need the parser
+  const proposal = [".yaml", ".yml"].includes(path.extname(file)) ? require("js-yaml").load(text) : JSON.parse(text);
+
+  if (!proposal || typeof proposal.description !== "string" || proposal.description.trim() === "") {
+    throw new Error(`Governance: ${file} needs a description`);
+  }
+  if (!Array.isArray(proposal.actions) || proposal.actions.length === 0) {
+    throw new Error(`Governance: ${file} needs at least one action`);
+  }
+  return proposal;
+}
+
+/**
+ * Encode a proposal into GovernanceManager.propose arguments
+ * @param {object} options
+ * @param {{description: string, actions: Array<string|object>}} options.proposal Proposal (see loadProposalFile)
+ * @param {object} options.record Deployment record
+ * @param {function(string): Promise<{abi: object[]}>} options.readArtifact Artifact reader
+ * @returns {Promise<{description: string, calls: object[], targets: string[], values: bigint[], calldatas: string[]}>}
+ */
+async function buildProposal({ proposal, record, readArtifact }) {
+  const calls = await encodeActions({ actions: proposal.actions, record, readArtifact });
+  return {
+    description: proposal.description.trim(),
+    calls,
+    targets: calls.map((call) => call.target),
+    values: calls.map((call) => call.value),
+    calldatas: calls.map((call) => call.calldata),
+  };
+}
+
+module.exports = {
+  DURATION_UNITS,
+  parseInteger,
+  parseAction,
+  normalizeAction,
+  coerceArgument,
+  formatCall,
+  encodeActions,
+  loadProposalFile,
+  buildProposal,
+};
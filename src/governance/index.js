@@ -0,0 +1,41 @@
+const {
+  DURATION_UNITS,
+  parseInteger,
+  parseAction,
+  normalizeAction,
+  coerceArgument,
+  formatCall,
+  encodeActions,
+  loadProposalFile,
+  buildProposal,
+} = require("./actions");
+const {
+  PROPOSAL_STATES,
+  VOTE_SUPPORT,
+  EXECUTION_WINDOW,
+  simulateCalls,
+  proposalIdFromReceipt,
+  decodeProposalCalls,
+  getProposalStatus,
+  formatProposalStatus,
+} = require("./lifecycle");
+
+module.exports = {
+  DURATION_UNITS,
+  parseInteger,
+  parseAction,
+  normalizeAction,
+  coerceArgument,
+  formatCall,
+  encodeActions,
+  loadProposalFile,
+  buildProposal,
+  PROPOSAL_STATES,
+  VOTE_SUPPORT,
+  EXECUTION_WINDOW,
+  simulateCalls,
+  proposalIdFromReceipt,
+  decodeProposalCalls,
+  getProposalStatus,
+  formatProposalStatus,
+};
@@ -0,0 +1,260 @@
+const { ethers } = require("ethers");
+const ABIS = require("../../sdk/abi");
+const { decodeError } = require("../../sdk/lib/errors");
+const { roleNamesFromAbis } = require("../access");
+const { formatDuration } = require("../keeper");
+const { formatCall } = require("./actions");
+
+/** GovernanceManager.ProposalState, by value */
+const PROPOSAL_STATES = ["Pending", "Active", "Defeated", "Succeeded", "Queued", "Expired", "Executed", "Cancelled"];
+
+/** castVote `support` values */
+const VOTE_SUPPORT = { against: 0, for: 1, abstain: 2 };
+
+/** How long after its ETA a queued proposal can still execute (GovernanceManager hard-codes 14 days) */
+const EXECUTION_WINDOW = 14 * 86400;
+
+/**
+ * OpenZeppelin's ReentrancyGuardUpgradeable status slot (ERC-7201) and its "entered" value. `execute` is
+ * nonReentrant, so its calls run with the GovernanceManager's guard entered; calls back into its own
+ * nonReentrant functions (e.g. `setParam`) revert
+ */
+const REENTRANCY_GUARD_SLOT = "0x9b779b17422d0df92223018b32b4d1fa46e071723d6817e2486d003becc55f00";
+const REENTRANCY_ENTERED = ethers.toBeHex(2, 32);
+
+let roleNames;
+
+/** Readable reason for a failed call: the decoded revert when there is one, with role hashes named */
+function describeFailure(error) {
+  roleNames ??= roleNamesFromAbis(Object.values(ABIS));
+  const reason = decodeError(error)?.message ?? error.shortMessage ?? error.message;
+  return reason.replace(/0x[0-9a-f]{64}/g, (hash) => roleNames.get(hash) || hash);
+}
+
+/**
+ * Run proposal calls as the GovernanceManager, without changing the chain
+ *
+ * With `fork`, the calls run as transactions in order on a Hardhat network (in-process, or forking the live
+ * chain through FORK_URL) with the GovernanceManager impersonated and its reentrancy guard entered, so they
+ * see what they would inside `execute`, earlier calls included; the network is reverted to a snapshot
+ * afterwards. Without it, each call is estimated on its own with `eth_estimateGas` from the GovernanceManager,
+ * which misses dependencies between calls and the guard.
+ *
+ * @param {object} options
+ * @param {import("ethers").JsonRpcApiProvider} options.provider Provider (Hardhat's for `fork`)
+ * @param {string} options.governanceManager GovernanceManager address, the sender of every call
+ * @param {object[]} options.calls Calls from encodeActions
+ * @param {boolean} [options.fork=false] Execute on the Hardhat network and revert
+ * @returns {Promise<object[]>} One result per call: the call plus { ok, gasUsed } or { ok: false, reason }
+ */
+async function simulateCalls({ provider, governanceManager, calls, fork = false }) {
+  const results = [];
+  const request = (call) => ({ from: governanceManager, to: call.target, data: call.calldata, value: call.value });
+
+  if (!fork) {
+    for (const call of calls) {
+      try {
+        results.push({ ...call, ok: true, gasUsed: await provider.estimateGas(request(call)) });
+      } catch (error) {
+        results.push({ ...call, ok: false, reason: describeFailure(error) });
+      }
+    }
+    return results;
+  }
+
+  const snapshot = await provider.send("evm_snapshot", []);
+  try {
+    const total = calls.reduce((sum, call) => sum + call.value, 0n);
+    await provider.send("hardhat_impersonateAccount", [governanceManager]);
+    await provider.send("hardhat_setBalance", [governanceManager, ethers.toQuantity(total + ethers.WeiPerEther)]);
+    await provider.send("hardhat_setStorageAt", [governanceManager, REENTRANCY_GUARD_SLOT, REENTRANCY_ENTERED]);
+
+    for (const call of calls) {
+      const { from, to, data, value } = request(call);
+      try {
+        const hash = await provider.send("eth_sendTransaction", [{ from, to, data, value: ethers.toQuantity(value) }]);
+        // Hardhat mines each transaction as it is sent
+        const receipt = await provider.getTransactionReceipt(hash);
+        results.push(
+          receipt.status === 1
+            ? { ...call, ok: true, gasUsed: receipt.gasUsed }
+            : { ...call, ok: false, reason: "Reverted" },
+        );
+      } catch (error) {
+        results.push({ ...call, ok: false, reason: describeFailure(error) });
+      }
+    }
+  } finally {
+    await provider.send("hardhat_stopImpersonatingAccount", [governanceManager]);
+    await provider.send("evm_revert", [snapshot]);
+  }
+  return results;
+}
+
+/**
+ * Proposal id from a `propose` receipt
+ * @param {import("ethers").Contract} governance GovernanceManager
+ * @param {import("ethers").TransactionReceipt} receipt
+ * @returns {bigint}
+ */
+function proposalIdFromReceipt(governance, receipt) {
+  const event = receipt.logs
+    .map((log) => governance.interface.parseLog(log))
+    .find((parsed) => parsed?.name === "ProposalCreated");
+  if (!event) throw new Error("Governance: No ProposalCreated event in the receipt");
+  return event.args.proposalId;
+}
+
+/**
+ * Decode a proposal's calls against the ABIs of a deployment
+ * @param {object} options
+ * @param {{targets: string[], values: bigint[], calldatas: string[]}} options.proposal
+ * @param {object} options.record Deployment record
+ * @param {function(string): Promise<{abi: object[]}>} options.readArtifact Artifact reader
+ * @returns {Promise<object[]>} { contract, target, value, signature, call } per call; `contract` is null
+ *   for targets outside the deployment, and `signature` null with `call` the raw calldata when it cannot be decoded
+ */
+async function decodeProposalCalls({ proposal, record, readArtifact }) {
+  const byAddress = new Map(Object.entries(record.contracts).map(([name, address]) => [address.toLowerCase(), name]));
+  const calls = [];
+  for (const [i, target] of proposal.targets.entries()) {
+    const contract = byAddress.get(target.toLowerCase()) || null;
+    const data = proposal.calldatas[i];
+    let parsed = null;
+    if (contract && record.artifacts?.[contract] && ethers.dataLength(data) >= 4) {
+      const iface = new ethers.Interface((await readArtifact(record.artifacts[contract])).abi);
+      parsed = iface.parseTransaction({ data, value: proposal.values[i] });
+    }
+    calls.push({
+      contract,
+      target,
+      value: proposal.values[i],
+      signature: parsed ? parsed.fragment.format("sighash") : null,
+      call: parsed ? formatCall(parsed.fragment, parsed.args) : data,
+    });
+  }
+  return calls;
+}
+
+/**
+ * Where a proposal stands and what can happen to it next
+ *
+ * `state` is `getProposalState`, which reports a queued proposal past its execution window as Expired.
+ * Voting is judged against the next block, the earliest a vote or queue transaction can land in.
+ *
+ * @param {object} options
+ * @param {import("ethers").Contract} options.governance GovernanceManager
+ * @param {bigint|number} options.id Proposal id
+ * @returns {Promise<object>} Status; times are Unix seconds
+ */
+async function getProposalStatus({ governance, id }) {
+  const proposal = await governance.getProposal(id);
+  if (proposal.proposalId === 0n) throw new Error(`Governance: Proposal ${id} does not exist`);
+
+  const [stateIndex, quorumBps, totalVotingPower, block] = await Promise.all([
+    governance.getProposalState(id),
+    governance.quorumBps(),
+    governance.totalVotingPower(),
+    governance.runner.provider.getBlock("latest"),
+  ]);
+  const state = PROPOSAL_STATES[Number(stateIndex)];
+  const nextBlock = BigInt(block.number) + 1n;
+  const now = block.timestamp;
+
+  const total = proposal.forVotes + proposal.againstVotes + proposal.abstainVotes;
+  const quorum = (totalVotingPower * quorumBps) / 10000n;
+  const votes = {
+    for: proposal.forVotes,
+    against: proposal.againstVotes,
+    abstain: proposal.abstainVotes,
+    total,
+    quorum,
+    quorumReached: total >= quorum,
+  };
+
+  const eta = proposal.eta === 0n ? null : Number(proposal.eta);
+  let next;
+  if (state === "Pending" || state === "Active") {
+    if (nextBlock < proposal.startBlock) {
+      next = `Voting opens at block ${proposal.startBlock}`;
+    } else if (nextBlock <= proposal.endBlock) {
+      next = `Voting open for ${proposal.endBlock - nextBlock + 1n} more block(s), until block ${proposal.endBlock}`;
+    } else if (state === "Pending") {
+      next = "Voting ended without votes; it cannot be queued";
+    } else if (!votes.quorumReached) {
+      next = "Voting ended below quorum; queue will revert";
+    } else {
+      next = votes.for > votes.against ? "Ready to queue" : "Ready to queue, which will mark it Defeated";
+    }
+  } else if (state === "Queued") {
+    next =
+      now < eta
+        ? `Executable in ${formatDuration(eta - now)}, at ${new Date(eta * 1000).toISOString()}`
+        : `Ready to execute until ${new Date((eta + EXECUTION_WINDOW) * 1000).toISOString()}`;
+  } else {
+    next = "Final";
+  }
+
+  return {
+    id: proposal.proposalId,
+    proposer: proposal.proposer,
+    description: proposal.description,
+    state,
+    votes,
+    startBlock: proposal.startBlock,
+    endBlock: proposal.endBlock,
+    blockNumber: block.number,
+    eta,
+    expiresAt: eta === null ? null : eta + EXECUTION_WINDOW,
+    executedAt: proposal.executedAt === 0n ? null : Number(proposal.executedAt),
+    now,
+    next,
+    targets: [...proposal.targets],
+    // `values` would be Result's array method
+    values: [...proposal.getValue("values")],
+    calldatas: [...proposal.calldatas],
+  };
+}
+
+/**
+ * Proposal status as text for the CLI
+ * @param {object} status From getProposalStatus, optionally with `calls` from decodeProposalCalls
+ * @returns {string}
+ */
+function formatProposalStatus(status) {
+  const { votes } = status;
+  const iso = (seconds) => new Date(seconds * 1000).toISOString();
+  const lines = [
+    `Proposal ${status.id}: ${status.state}`,
+    `  ${status.description}`,
+    `  Proposer:  ${status.proposer}`,
+    `  Voting:    blocks ${status.startBlock}–${status.endBlock} (now ${status.blockNumber})`,
+    `  Votes:     for ${votes.for}, against ${votes.against}, abstain ${votes.abstain}` +
+      ` (quorum ${votes.total}/${votes.quorum}${votes.quorumReached ? " ✓" : ""})`,
+  ];
+  if (status.eta !== null) {
+    const relative = status.eta > status.now ? `in ${formatDuration(status.eta - status.now)}` : "passed";
+    lines.push(`  ETA:       ${iso(status.eta)} (${relative}), expires ${iso(status.expiresAt)}`);
+  }
+  if (status.executedAt !== null) lines.push(`  Executed:  ${iso(status.executedAt)}`);
+  lines.push(`  Next:      ${status.next}`);
+
+  for (const [i, call] of (status.calls || []).entries()) {
+    const value = call.value > 0n ? ` {value: ${call.value}}` : "";
+    lines.push(
+      `  ${i + 1}. ${call.contract ? `${call.contract}.${call.call}` : `${call.target} ${call.call}`}${value}`,
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  PROPOSAL_STATES,
+  VOTE_SUPPORT,
+  EXECUTION_WINDOW,
+  simulateCalls,
+  proposalIdFromReceipt,
+  decodeProposalCalls,
+  getProposalStatus,
+  formatProposalStatus,
+};
@@ -0,0 +1,112 @@
+/** Candle intervals the indexer can build, in seconds */
+const CANDLE_INTERVALS = {
+  "1m": 60,
+  "5m": 300,
+  "15m": 900,
+  "1h": 3600,
+  "4h": 14400,
+  "1d": 86400,
+};
+
+/**
+ * Seconds in a candle interval
+ * @param {string} interval Interval name, e.g. "1h"
+ * @returns {number}
+ */
+function intervalSeconds(interval) {
+  const seconds = CANDLE_INTERVALS[interval];
+  if (!seconds) {
+    throw new Error(`Candles: Unknown interval ${interval} (use ${Object.keys(CANDLE_INTERVALS).join(", ")})`);
+  }
+  return seconds;
+}
+
+/**
+ * Open time of the candle a timestamp falls in
+ * @param {number} timestamp Unix seconds
+ * @param {string} interval Interval name
+ * @returns {number} Unix seconds, aligned to the interval (UTC)
+ */
+function candleOpenTime(timestamp, interval) {
+  const seconds = intervalSeconds(interval);
+  return Math.floor(timestamp / seconds) * seconds;
+}
+
+/** Whether a tick comes after the last one folded into a candle, in chain order */
+function isAfter(tick, candle) {
+  return (
+    tick.blockNumber > candle.lastBlock ||
+    (tick.blockNumber === candle.lastBlock && tick.logIndex > candle.lastLogIndex)
+  );
+}
+
+/**
+ * Fold a tick into a candle
+ *
+ * Ticks must arrive in chain order. A tick at or before the candle's last
+ * (block, log index) was already counted and is ignored, so replaying a block
+ * range after a crash does not double count.
+ *
+ * @param {object|null} candle Existing candle, or null to open one
+ * @param {object} tick Tick ({ symbol, price, timestamp, blockNumber, logIndex })
+ * @param {string} interval Interval name
+ * @returns {object} The updated candle
+ */
+function mergeCandle(candle, tick, interval) {
+  if (!candle) {
+    return {
+      symbol: tick.symbol,
+      interval,
+      openTime: candleOpenTime(tick.timestamp, interval),
+      open: tick.price,
+      high: tick.price,
+      low: tick.price,
+      close: tick.price,
+      ticks: 1,
+      closeTime: tick.timestamp,
+      lastBlock: tick.blockNumber,
+      lastLogIndex: tick.logIndex,
+    };
+  }
+  if (candleOpenTime(tick.timestamp, interval) !== candle.openTime) {
+    throw new Error(`Candles: Tick at ${tick.timestamp} is outside the ${interval} candle at ${candle.openTime}`);
+  }
+  if (!isAfter(tick, candle)) return candle;
+
+  return {
+    ...candle,
+    high: tick.price > candle.high ? tick.price : candle.high,
+    low: tick.price < candle.low ? tick.price : candle.low,
+    close: tick.price,
+    ticks: candle.ticks + 1,
+    closeTime: tick.timestamp,
+    lastBlock: tick.blockNumber,
+    lastLogIndex: tick.logIndex,
+  };
+}
+
+/**
+ * Build candles from ticks in chain order
+ * @param {object[]} ticks Ticks for any number of symbols
+ * @param {string} interval Interval name
+ * @param {function(string, number): object|null} [existing] Candle already stored for (symbol, openTime)
+ * @returns {object[]} Candles touched by the ticks
+ */
+function buildCandles(ticks, interval, existing = () => null) {
+  const candles = new Map();
+  for (const tick of ticks) {
+    const openTime = candleOpenTime(tick.timestamp, interval);
+    const key = `${tick.symbol}:${openTime}`;
+    const current = candles.has(key) ? candles.get(key) : existing(tick.symbol, openTime);
+    candles.set(key, mergeCandle(current, tick, interval));
+  }
+  return [...candles.values()];
+}
+
+module.exports = {
+  CANDLE_INTERVALS,
+  intervalSeconds,
+  candleOpenTime,
+  mergeCandle,
+  buildCandles,
+};
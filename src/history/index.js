@@ -0,0 +1,23 @@
+const { CANDLE_INTERVALS, intervalSeconds, candleOpenTime, mergeCandle, buildCandles } = require("./candles");
+const { KEYSPACE, SCHEMA, BLOCK_BUCKET, ScyllaPriceStore, MemoryPriceStore, scyllaConfigFromEnv } = require("./store");
+const { PRICE_UPDATED_ABI, DEFAULT_INTERVALS, PriceIndexer } = require("./indexer");
+const { symbolKey, PriceHistory } = require("./query");
+
+module.exports = {
+  CANDLE_INTERVALS,
+  intervalSeconds,
+  candleOpenTime,
+  mergeCandle,
+  buildCandles,
+  KEYSPACE,
+  SCHEMA,
+  BLOCK_BUCKET,
+  ScyllaPriceStore,
+  MemoryPriceStore,
+  scyllaConfigFromEnv,
+  PRICE_UPDATED_ABI,
+  DEFAULT_INTERVALS,
+  PriceIndexer,
+  symbolKey,
+  PriceHistory,
+};
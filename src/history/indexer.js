@@ -0,0 +1,164 @@
+const { ethers } = require("ethers");
+const { buildCandles } = require("./candles");
+const { createPoller } = require("../poller");
+
+/** The OracleBase event the indexer reads */
+const PRICE_UPDATED_ABI = [
+  "event PriceUpdated(bytes32 indexed symbol, int64 price, uint32 confidence, uint64 timestamp, address indexed source)",
+];
+
+/** Candle intervals built by default */
+const DEFAULT_INTERVALS = ["1m", "1h", "1d"];
+
+/**
+ * Copies oracle PriceUpdated events into a price store
+ *
+ * Each `sync` reads from the block after the stored cursor up to the head minus
+ * `confirmations`, one `blockRange` at a time. A range is written as ticks, folded
+ * into the stored candles, and only then committed by moving the cursor, so a crash
+ * replays the range; tick writes are keyed by (block, log index) and candles skip
+ * ticks they already hold, which makes the replay harmless.
+ */
+class PriceIndexer {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Provider} options.provider Provider
+   * @param {Array<{name: string, address: string}>} options.oracles Oracles to index
+   * @param {object} options.store ScyllaPriceStore or MemoryPriceStore
+   * @param {string[]} [options.symbols=[]] Symbol names, to label ticks (e.g. "BTC/USD")
+   * @param {string[]} [options.intervals] Candle intervals to build
+   * @param {number} [options.fromBlock=0] First block when there is no cursor yet
+   * @param {number} [options.confirmations=0] Blocks to stay behind the head
+   * @param {number} [options.blockRange=2000] Blocks per getLogs request
+   * @param {string} [options.cursor="oracle-prices"] Cursor name in the store
+   * @param {function(string): void} [options.log=console.log] Progress output
+   */
+  constructor({
+    provider,
+    oracles,
+    store,
+    symbols = [],
+    intervals = DEFAULT_INTERVALS,
+    fromBlock = 0,
+    confirmations = 0,
+    blockRange = 2000,
+    cursor = "oracle-prices",
+    log = console.log,
+  }) {
+    if (!provider || !oracles || !store) {
+      throw new Error("Indexer: provider, oracles and store are required");
+    }
+    this.provider = provider;
+    this.oracles = oracles.map(({ name, address }) => ({
+      name,
+      address: ethers.getAddress(address),
+      contract: new ethers.Contract(address, PRICE_UPDATED_ABI, provider),
+    }));
+    this.store = store;
+    this.names = new Map(symbols.map((symbol) => [ethers.id(symbol), symbol]));
+    this.intervals = intervals;
+    this.fromBlock = fromBlock;
+    this.confirmations = confirmations;
+    this.blockRange = blockRange;
+    this.cursor = cursor;
+    this.log = log;
+  }
+
+  /**
+   * Index every confirmed block since the cursor
+   * @returns {Promise<{from: number, to: number, ticks: number, candles: number}>} Blocks covered (to < from when
+   *   there was nothing to do), ticks and candles written
+   */
+  async sync() {
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const last = await this.store.getCursor(this.cursor);
+    const from = last === null ? this.fromBlock : last + 1;
+    const result = { from, to: from - 1, ticks: 0, candles: 0 };
+
+    for (let start = from; start <= head; start += this.blockRange) {
+      const end = Math.min(start + this.blockRange - 1, head);
+      const ticks = await this.readTicks(start, end);
+      await this.store.putTicks(ticks);
+      for (const interval of this.intervals) {
+        const candles = await this.mergeCandles(ticks, interval);
+        await this.store.putCandles(candles);
+        result.candles += candles.length;
+      }
+      await this.store.setCursor(this.cursor, end);
+      result.to = end;
+      result.ticks += ticks.length;
+    }
+    return result;
+  }
+
+  /**
+   * PriceUpdated events from every oracle in a block range, in chain order
+   * @param {number} fromBlock First block
+   * @param {number} toBlock Last block
+   * @returns {Promise<object[]>} Ticks
+   */
+  async readTicks(fromBlock, toBlock) {
+    const ticks = [];
+    for (const { name, contract } of this.oracles) {
+      const events = await contract.queryFilter(contract.filters.PriceUpdated(), fromBlock, toBlock);
+      for (const event of events) {
+        ticks.push({
+          symbol: event.args.symbol,
+          name: this.names.get(event.args.symbol),
+          oracle: name,
+          price: BigInt(event.args.price),
+          confidence: Number(event.args.confidence),
+          timestamp: Number(event.args.timestamp),
+          blockNumber: event.blockNumber,
+          logIndex: event.index,
+          txHash: event.transactionHash,
+          source: ethers.getAddress(event.args.source),
+        });
+      }
+    }
+    return ticks.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  /**
+   * Fold ticks into the candles already stored for their periods
+   * @param {object[]} ticks Ticks in chain order
+   * @param {string} interval Interval name
+   * @returns {Promise<object[]>} Updated candles
+   */
+  async mergeCandles(ticks, interval) {
+    const stored = new Map();
+    for (const candle of buildCandles(ticks, interval)) {
+      const key = `${candle.symbol}:${candle.openTime}`;
+      stored.set(key, await this.store.getCandle(candle.symbol, interval, candle.openTime));
+    }
+    return buildCandles(ticks, interval, (symbol, openTime) => stored.get(`${symbol}:${openTime}`));
+  }
+
+  /**
+   * Sync every `interval` milliseconds until stop() is called
+   * @param {object} [options]
+   * @param {number} [options.interval=5000] Milliseconds between syncs
+   * @param {function(object): void} [options.onSync] Called with each sync result
+   * @returns {Promise<void>} Resolves once stopped
+   */
+  run({ interval = 5000, onSync } = {}) {
+    this.poller = createPoller({
+      step: () => this.sync(),
+      interval,
+      onResult: onSync,
+      onError: (error) => this.log(`❌ Indexer sync failed: ${error.shortMessage || error.message}`),
+    });
+    return this.poller.run();
+  }
+
+  /** Stop run() after the current sync */
+  stop() {
+    if (this.poller) this.poller.stop();
+  }
+}
+
+module.exports = {
+  PRICE_UPDATED_ABI,
+  DEFAULT_INTERVALS,
+  PriceIndexer,
+};
@@ -0,0 +1,96 @@
+const { ethers } = require("ethers");
+const { deviationBps, fromOracleUnits } = require("../oracles");
+const { intervalSeconds } = require("./candles");
+
+/**
+ * bytes32 oracle key for a symbol name or key
+ * @param {string} symbol "BTC/USD" or its ethers.id hash
+ * @returns {string}
+ */
+function symbolKey(symbol) {
+  return ethers.isHexString(symbol, 32) ? symbol.toLowerCase() : ethers.id(symbol);
+}
+
+/**
+ * Read side of the price history
+ *
+ * Answers "what was the oracle price of X at time/block T" the way the chain saw it:
+ * the newest PriceUpdated at or before T, whether or not it is still in the oracle's
+ * 100-entry ring.
+ */
+class PriceHistory {
+  /**
+   * @param {object} options
+   * @param {object} options.store ScyllaPriceStore or MemoryPriceStore
+   */
+  constructor({ store }) {
+    if (!store) {
+      throw new Error("PriceHistory: store is required");
+    }
+    this.store = store;
+  }
+
+  /**
+   * Oracle price in effect at a time or block
+   * @param {string} symbol Symbol name or bytes32 key
+   * @param {object} at Exactly one of { timestamp } (Unix seconds) or { block }
+   * @returns {Promise<object|null>} Tick ({ price (oracle units), confidence, timestamp, blockNumber, txHash, ... }),
+   *   or null when nothing was indexed before T
+   */
+  async priceAt(symbol, { timestamp, block } = {}) {
+    if ((timestamp === undefined) === (block === undefined)) {
+      throw new Error("PriceHistory: Pass either timestamp or block");
+    }
+    const key = symbolKey(symbol);
+    return timestamp !== undefined
+      ? this.store.tickAt(key, Number(timestamp))
+      : this.store.tickAtBlock(key, Number(block));
+  }
+
+  /**
+   * OHLC candles, oldest first
+   * @param {string} symbol Symbol name or bytes32 key
+   * @param {string} interval Interval name, e.g. "1h"
+   * @param {number} from Unix seconds (inclusive)
+   * @param {number} to Unix seconds (inclusive)
+   * @returns {Promise<object[]>}
+   */
+  async candles(symbol, interval, from, to) {
+    intervalSeconds(interval);
+    return this.store.candles(symbolKey(symbol), interval, Number(from), Number(to));
+  }
+
+  /**
+   * Check a settled price against the oracle price at the time it was taken
+   *
+   * For a TradeLedger trade, `exitPrice` is checked at the trade's `timestamp`;
+   * `entryPrice` needs the entry time from the venue's records.
+   *
+   * @param {object} options
+   * @param {string} options.symbol Symbol name or bytes32 key
+   * @param {bigint|string|number} options.price Price in oracle units (8 decimals, as in TradeLedger)
+   * @param {number} [options.timestamp] Unix seconds the price was taken
+   * @param {number} [options.block] Or the block
+   * @param {number} [options.toleranceBps=0] Accepted deviation from the oracle price (0: exact)
+   * @returns {Promise<{matches: boolean, deviationBps: number|null, oraclePrice: string|null, tick: object|null}>}
+   */
+  async checkPrice({ symbol, price, timestamp, block, toleranceBps = 0 }) {
+    const tick = await this.priceAt(symbol, { timestamp, block });
+    if (!tick) {
+      return { matches: false, deviationBps: null, oraclePrice: null, tick: null };
+    }
+    const deviation = Number(deviationBps(BigInt(price), tick.price));
+    return {
+      // deviationBps rounds down, so without a tolerance only the exact price matches
+      matches: toleranceBps > 0 ? deviation <= toleranceBps : BigInt(price) === tick.price,
+      deviationBps: deviation,
+      oraclePrice: fromOracleUnits(tick.price),
+      tick,
+    };
+  }
+}
+
+module.exports = {
+  symbolKey,
+  PriceHistory,
+};
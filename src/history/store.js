@@ -0,0 +1,438 @@
+const { intervalSeconds } = require("./candles");
+
+/** Keyspace from docs/DATABASE_SETUP.md */
+const KEYSPACE = "chainflow_market_data";
+
+/** Tick partitions hold one UTC day per symbol */
+const DAY = 86400;
+
+/** Tick-by-block partitions hold this many blocks per symbol */
+const BLOCK_BUCKET = 100000;
+
+/** Candle partitions hold this many candles per symbol and interval */
+const CANDLES_PER_BUCKET = 1000;
+
+/**
+ * Tables in the market data keyspace
+ *
+ * - `oracle_ticks`: every PriceUpdated, partitioned by symbol and day, newest first, for time lookups
+ * - `oracle_ticks_by_block`: the same ticks partitioned by block range, for block lookups
+ * - `oracle_candles`: OHLC candles per symbol and interval
+ * - `indexer_cursors`: last indexed block per indexer
+ *
+ * Symbols are the oracles' bytes32 keys (hex); `symbol_name` holds the readable name when known.
+ */
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS oracle_ticks (
+    symbol text,
+    day int,
+    timestamp bigint,
+    block_number bigint,
+    log_index int,
+    symbol_name text,
+    oracle text,
+    price bigint,
+    confidence int,
+    source text,
+    tx_hash text,
+    PRIMARY KEY ((symbol, day), timestamp, block_number, log_index)
+  ) WITH CLUSTERING ORDER BY (timestamp DESC, block_number DESC, log_index DESC)`,
+  `CREATE TABLE IF NOT EXISTS oracle_ticks_by_block (
+    symbol text,
+    block_bucket bigint,
+    block_number bigint,
+    log_index int,
+    timestamp bigint,
+    symbol_name text,
+    oracle text,
+    price bigint,
+    confidence int,
+    source text,
+    tx_hash text,
+    PRIMARY KEY ((symbol, block_bucket), block_number, log_index)
+  ) WITH CLUSTERING ORDER BY (block_number DESC, log_index DESC)`,
+  `CREATE TABLE IF NOT EXISTS oracle_candles (
+    symbol text,
+    interval text,
+    bucket bigint,
+    open_time bigint,
+    open bigint,
+    high bigint,
+    low bigint,
+    close bigint,
+    ticks int,
+    close_time bigint,
+    last_block bigint,
+    last_log_index int,
+    PRIMARY KEY ((symbol, interval, bucket), open_time)
+  ) WITH CLUSTERING ORDER BY (open_time DESC)`,
+  `CREATE TABLE IF NOT EXISTS indexer_cursors (
+    name text PRIMARY KEY,
+    block_number bigint,
+    updated_at timestamp
+  )`,
+];
+
+const TICK_COLUMNS =
+  "symbol, timestamp, block_number, log_index, symbol_name, oracle, price, confidence, source, tx_hash";
+
+function candleBucket(openTime, interval) {
+  return Math.floor(openTime / (intervalSeconds(interval) * CANDLES_PER_BUCKET));
+}
+
+/** Tick in chain order: (timestamp, block, log index) */
+function compareTicks(a, b) {
+  return a.timestamp - b.timestamp || a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+/**
+ * Price history in Scylla (or Cassandra)
+ *
+ * Every read is bounded to a known partition: time lookups walk back one day
+ * partition at a time, block lookups one block bucket at a time.
+ */
+class ScyllaPriceStore {
+  /**
+   * @param {object} options
+   * @param {import("cassandra-driver").Client} options.client Connected client, created with
+   *   `encoding: { useBigIntAsLong: true }` so bigint columns read back as BigInt
+   * @param {string} [options.keyspace=KEYSPACE] Keyspace
+   */
+  constructor({ client, keyspace = KEYSPACE }) {
+    this.client = client;
+    this.keyspace = keyspace;
+  }
+
+  /**
+   * Connect with cassandra-driver
+   * @param {object} options
+   * @param {string[]} options.contactPoints Hosts, e.g. ["localhost:9042"]
+   * @param {string} [options.localDataCenter="datacenter1"] Local data center
+   * @param {string} [options.keyspace=KEYSPACE] Keyspace
+   * @param {object} [options.credentials] { username, password }
+   * @returns {Promise<ScyllaPriceStore>}
+   */
+  static async connect({ contactPoints, localDataCenter = "datacenter1", keyspace = KEYSPACE, credentials }) {
+    const cassandra = require("cassandra-driver");
+    const client = new cassandra.Client({
+      contactPoints,
+      localDataCenter,
+      credentials,
+      encoding: { useBigIntAsLong: true },
+    });
+    await client.connect();
+    return new ScyllaPriceStore({ client, keyspace });
+  }
+
+  table(name) {
+    return `${this.keyspace}.${name}`;
+  }
+
+  async execute(query, params) {
+    return this.client.execute(query, params, { prepare: true });
+  }
+
+  /**
+   * Create the keyspace (when asked) and tables
+   * @param {object} [options]
+   * @param {object} [options.replication] Replication map; the keyspace is only created when given,
+   *   e.g. `{ class: "NetworkTopologyStrategy", datacenter1: 3 }`
+   */
+  async migrate({ replication } = {}) {
+    if (replication) {
+      const map = Object.entries(replication)
+        .map(([key, value]) => `'${key}': ${typeof value === "number" ? value : `'${value}'`}`)
+        .join(", ");
+      await this.client.execute(`CREATE KEYSPACE IF NOT EXISTS ${this.keyspace} WITH replication = {${map}}`);
+    }
+    for (const statement of SCHEMA) {
+      await this.client.execute(
+        statement.replace(
+          /CREATE TABLE IF NOT EXISTS (\w+)/,
+          (_, name) => `CREATE TABLE IF NOT EXISTS ${this.table(name)}`,
+        ),
+      );
+    }
+  }
+
+  /**
+   * Write ticks (idempotent: the primary key is the event's position)
+   * @param {object[]} ticks Ticks
+   */
+  async putTicks(ticks) {
+    if (ticks.length === 0) return;
+    const { concurrent } = require("cassandra-driver");
+    const byTime = `INSERT INTO ${this.table("oracle_ticks")} (day, ${TICK_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+    const byBlock = `INSERT INTO ${this.table("oracle_ticks_by_block")} (block_bucket, ${TICK_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+    const values = (tick) => [
+      tick.symbol,
+      BigInt(tick.timestamp),
+      BigInt(tick.blockNumber),
+      tick.logIndex,
+      tick.name || null,
+      tick.oracle,
+      BigInt(tick.price),
+      tick.confidence,
+      tick.source,
+      tick.txHash,
+    ];
+    await concurrent.executeConcurrent(this.client, [
+      ...ticks.map((tick) => ({ query: byTime, params: [Math.floor(tick.timestamp / DAY), ...values(tick)] })),
+      ...ticks.map((tick) => ({
+        query: byBlock,
+        params: [BigInt(Math.floor(tick.blockNumber / BLOCK_BUCKET)), ...values(tick)],
+      })),
+    ]);
+  }
+
+  /**
+   * Newest tick at or before a time
+   * @param {string} symbol bytes32 symbol
+   * @param {number} timestamp Unix seconds
+   * @param {object} [options]
+   * @param {number} [options.lookbackDays=30] Day partitions to search
+   * @returns {Promise<object|null>}
+   */
+  async tickAt(symbol, timestamp, { lookbackDays = 30 } = {}) {
+    const day = Math.floor(timestamp / DAY);
+    for (let d = day; d > day - lookbackDays; d--) {
+      const { rows } = await this.execute(
+        `SELECT ${TICK_COLUMNS} FROM ${this.table("oracle_ticks")} WHERE symbol = ? AND day = ? AND timestamp <= ? LIMIT 1`,
+        [symbol, d, BigInt(timestamp)],
+      );
+      if (rows.length > 0) return rowToTick(rows[0]);
+    }
+    return null;
+  }
+
+  /**
+   * Newest tick at or before a block
+   * @param {string} symbol bytes32 symbol
+   * @param {number} blockNumber Block number
+   * @param {object} [options]
+   * @param {number} [options.lookbackBuckets=10] Block buckets (of 100k blocks) to search
+   * @returns {Promise<object|null>}
+   */
+  async tickAtBlock(symbol, blockNumber, { lookbackBuckets = 10 } = {}) {
+    const bucket = Math.floor(blockNumber / BLOCK_BUCKET);
+    for (let b = bucket; b > bucket - lookbackBuckets && b >= 0; b--) {
+      const { rows } = await this.execute(
+        `SELECT ${TICK_COLUMNS} FROM ${this.table("oracle_ticks_by_block")} WHERE symbol = ? AND block_bucket = ? AND block_number <= ? LIMIT 1`,
+        [symbol, BigInt(b), BigInt(blockNumber)],
+      );
+      if (rows.length > 0) return rowToTick(rows[0]);
+    }
+    return null;
+  }
+
+  /**
+   * One stored candle
+   * @param {string} symbol bytes32 symbol
+   * @param {string} interval Interval name
+   * @param {number} openTime Candle open time
+   * @returns {Promise<object|null>}
+   */
+  async getCandle(symbol, interval, openTime) {
+    const { rows } = await this.execute(
+      `SELECT * FROM ${this.table("oracle_candles")} WHERE symbol = ? AND interval = ? AND bucket = ? AND open_time = ?`,
+      [symbol, interval, BigInt(candleBucket(openTime, interval)), BigInt(openTime)],
+    );
+    return rows.length > 0 ? rowToCandle(rows[0]) : null;
+  }
+
+  /**
+   * Write candles (replacing stored ones)
+   * @param {object[]} candles Candles from mergeCandle
+   */
+  async putCandles(candles) {
+    if (candles.length === 0) return;
+    const { concurrent } = require("cassandra-driver");
+    const query = `INSERT INTO ${this.table("oracle_candles")} (symbol, interval, bucket, open_time, open, high, low, close, ticks, close_time, last_block, last_log_index) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+    await concurrent.executeConcurrent(
+      this.client,
+      query,
+      candles.map((candle) => [
+        candle.symbol,
+        candle.interval,
+        BigInt(candleBucket(candle.openTime, candle.interval)),
+        BigInt(candle.openTime),
+        BigInt(candle.open),
+        BigInt(candle.high),
+        BigInt(candle.low),
+        BigInt(candle.close),
+        candle.ticks,
+        BigInt(candle.closeTime),
+        BigInt(candle.lastBlock),
+        candle.lastLogIndex,
+      ]),
+    );
+  }
+
+  /**
+   * Candles with open time in [from, to], oldest first
+   * @param {string} symbol bytes32 symbol
+   * @param {string} interval Interval name
+   * @param {number} from Unix seconds
+   * @param {number} to Unix seconds
+   * @returns {Promise<object[]>}
+   */
+  async candles(symbol, interval, from, to) {
+    const candles = [];
+    for (let bucket = candleBucket(from, interval); bucket <= candleBucket(to, interval); bucket++) {
+      const { rows } = await this.execute(
+        `SELECT * FROM ${this.table("oracle_candles")} WHERE symbol = ? AND interval = ? AND bucket = ? AND open_time >= ? AND open_time <= ?`,
+        [symbol, interval, BigInt(bucket), BigInt(from), BigInt(to)],
+      );
+      candles.push(...rows.map(rowToCandle));
+    }
+    return candles.sort((a, b) => a.openTime - b.openTime);
+  }
+
+  /**
+   * Last block an indexer finished
+   * @param {string} name Indexer name
+   * @returns {Promise<number|null>}
+   */
+  async getCursor(name) {
+    const { rows } = await this.execute(`SELECT block_number FROM ${this.table("indexer_cursors")} WHERE name = ?`, [
+      name,
+    ]);
+    return rows.length > 0 ? Number(rows[0].block_number) : null;
+  }
+
+  /**
+   * Record the last block an indexer finished
+   * @param {string} name Indexer name
+   * @param {number} blockNumber Block number
+   */
+  async setCursor(name, blockNumber) {
+    await this.execute(
+      `INSERT INTO ${this.table("indexer_cursors")} (name, block_number, updated_at) VALUES (?, ?, ?)`,
+      [name, BigInt(blockNumber), new Date()],
+    );
+  }
+
+  async close() {
+    await this.client.shutdown();
+  }
+}
+
+function rowToTick(row) {
+  return {
+    symbol: row.symbol,
+    name: row.symbol_name || undefined,
+    oracle: row.oracle,
+    price: BigInt(row.price),
+    confidence: row.confidence,
+    timestamp: Number(row.timestamp),
+    blockNumber: Number(row.block_number),
+    logIndex: row.log_index,
+    txHash: row.tx_hash,
+    source: row.source,
+  };
+}
+
+function rowToCandle(row) {
+  return {
+    symbol: row.symbol,
+    interval: row.interval,
+    openTime: Number(row.open_time),
+    open: BigInt(row.open),
+    high: BigInt(row.high),
+    low: BigInt(row.low),
+    close: BigInt(row.close),
+    ticks: row.ticks,
+    closeTime: Number(row.close_time),
+    lastBlock: Number(row.last_block),
+    lastLogIndex: row.last_log_index,
+  };
+}
+
+/**
+ * Scylla connection options from the environment
+ * @param {object} [env=process.env] Environment
+ * @returns {object} Options for ScyllaPriceStore.connect
+ */
+function scyllaConfigFromEnv(env = process.env) {
+  const config = {
+    contactPoints: (env.SCYLLA_CONTACT_POINTS || "localhost:9042").split(",").map((host) => host.trim()),
+    localDataCenter: env.SCYLLA_LOCAL_DC || "datacenter1",
+    keyspace: env.SCYLLA_KEYSPACE || KEYSPACE,
+  };
+  if (env.SCYLLA_USERNAME) {
+    config.credentials = { username: env.SCYLLA_USERNAME, password: env.SCYLLA_PASSWORD || "" };
+  }
+  return config;
+}
+
+/**
+ * In-process price history with the ScyllaPriceStore interface
+ *
+ * For local nodes, tests and one-off replays; nothing is persisted.
+ */
+class MemoryPriceStore {
+  constructor() {
+    this.ticks = new Map();
+    this.candleMap = new Map();
+    this.cursors = new Map();
+  }
+
+  async migrate() {}
+
+  async putTicks(ticks) {
+    for (const tick of ticks) {
+      if (!this.ticks.has(tick.symbol)) this.ticks.set(tick.symbol, new Map());
+      this.ticks.get(tick.symbol).set(`${tick.blockNumber}:${tick.logIndex}`, tick);
+    }
+  }
+
+  sorted(symbol) {
+    return [...(this.ticks.get(symbol)?.values() || [])].sort(compareTicks);
+  }
+
+  async tickAt(symbol, timestamp) {
+    return this.sorted(symbol).findLast((tick) => tick.timestamp <= timestamp) || null;
+  }
+
+  async tickAtBlock(symbol, blockNumber) {
+    return this.sorted(symbol).findLast((tick) => tick.blockNumber <= blockNumber) || null;
+  }
+
+  async getCandle(symbol, interval, openTime) {
+    return this.candleMap.get(`${symbol}:${interval}:${openTime}`) || null;
+  }
+
+  async putCandles(candles) {
+    for (const candle of candles) {
+      this.candleMap.set(`${candle.symbol}:${candle.interval}:${candle.openTime}`, candle);
+    }
+  }
+
+  async candles(symbol, interval, from, to) {
+    return [...this.candleMap.values()]
+      .filter(
+        (candle) =>
+          candle.symbol === symbol && candle.interval === interval && candle.openTime >= from && candle.openTime <= to,
+      )
+      .sort((a, b) => a.openTime - b.openTime);
+  }
+
+  async getCursor(name) {
+    return this.cursors.has(name) ? this.cursors.get(name) : null;
+  }
+
+  async setCursor(name, blockNumber) {
+    this.cursors.set(name, blockNumber);
+  }
+
+  async close() {}
+}
+
+module.exports = {
+  KEYSPACE,
+  SCHEMA,
+  BLOCK_BUCKET,
+  ScyllaPriceStore,
+  MemoryPriceStore,
+  scyllaConfigFromEnv,
+};
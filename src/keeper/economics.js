@@ -0,0 +1,620 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { parseCsv } = require("../traders");
+const { KEEPER_STATUSES, ActionType } = require("./keeper");
+
+/** KeeperIncentive parameters a proposal may set; amounts are in whole reward tokens */
+const ECONOMICS_PARAMETERS = [
+  "baseReward",
+  "riskMultiplierBps",
+  "speedBonusBps",
+  "reputationBonusBps",
+  "slashPercentage",
+  "minStake",
+];
+
+/** Columns of the per-attempt CSV */
+const ECONOMICS_COLUMNS = [
+  "proposal",
+  "event",
+  "attempt",
+  "elapsed",
+  "keeper",
+  "profile",
+  "positionSize",
+  "outcome",
+  "reward",
+  "slashed",
+  "reputation",
+  "stake",
+  "status",
+  "rewardPool",
+];
+
+/** How the executing keeper is picked among the eligible ones */
+const SELECTION_MODES = ["reputation", "uniform"];
+
+/** Above this reliability a keeper profile counts as honest unless it says otherwise */
+const HONEST_RELIABILITY = 0.95;
+
+/**
+ * Seeded PRNG (mulberry32), so a scenario replays the same stream and keeper luck
+ * @param {number|string} seed Seed
+ * @returns {function(): number} Uniform numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = typeof seed === "number" ? seed >>> 0 : Number(BigInt(ethers.id(String(seed))) & 0xffffffffn);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Synthetic liquidation stream: Poisson arrivals, log-uniform position sizes
+ * @param {object} options
+ * @param {number} options.count Liquidations
+ * @param {number} [options.meanInterval=900] Mean seconds between liquidations
+ * @param {string|number} [options.minSize="1000"] Smallest position (tokens)
+ * @param {string|number} [options.maxSize="100000"] Largest position (tokens)
+ * @param {number|string} [options.seed=1] Seed
+ * @returns {Array<{at: number, positionSize: bigint}>} Seconds from the start, size in 18 decimals
+ */
+function syntheticStream({ count, meanInterval = 900, minSize = "1000", maxSize = "100000", seed = 1 }) {
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error("Economics: Synthetic stream needs a positive count");
+  }
+  if (!(Number(minSize) > 0) || Number(maxSize) < Number(minSize)) {
+    throw new Error(`Economics: Invalid size range ${minSize}-${maxSize}`);
+  }
+  const random = createRandom(seed);
+  const [low, high] = [Math.log(Number(minSize)), Math.log(Number(maxSize))];
+  const stream = [];
+  let at = 0;
+  for (let i = 0; i < count; i++) {
+    at += Math.max(1, Math.round(-Math.log(1 - random()) * meanInterval));
+    const size = Math.exp(low + (high - low) * random());
+    stream.push({ at, positionSize: ethers.parseEther(size.toFixed(2)) });
+  }
+  return stream;
+}
+
+/**
+ * Parse a recorded liquidation stream
+ * @param {string} text CSV with header `timestamp,positionSize` (unix seconds, tokens); other columns are ignored
+ * @returns {Array<{at: number, positionSize: bigint}>} Oldest first, in seconds from the first liquidation
+ */
+function parseStream(text) {
+  const [header, ...rows] = parseCsv(text);
+  const columns = (header || []).map((name) => name.trim());
+  const [timestampAt, sizeAt] = [columns.indexOf("timestamp"), columns.indexOf("positionSize")];
+  if (timestampAt < 0 || sizeAt < 0) {
+    throw new Error("Economics: Stream needs timestamp and positionSize columns");
+  }
+
+  const events = rows.map((fields, index) => {
+    const timestamp = Number(fields[timestampAt]);
+    if (!Number.isInteger(timestamp) || timestamp < 0) {
+      throw new Error(`Economics: line ${index + 2}: invalid timestamp ${fields[timestampAt]}`);
+    }
+    let positionSize;
+    try {
+      positionSize = ethers.parseEther(fields[sizeAt].trim());
+    } catch {
+      throw new Error(`Economics: line ${index + 2}: invalid positionSize ${fields[sizeAt]}`);
+    }
+    return { timestamp, positionSize };
+  });
+  if (events.length === 0) {
+    throw new Error("Economics: Stream is empty");
+  }
+
+  events.sort((a, b) => a.timestamp - b.timestamp);
+  return events.map(({ timestamp, positionSize }) => ({ at: timestamp - events[0].timestamp, positionSize }));
+}
+
+/**
+ * Build a scenario's stream
+ * @param {object} config { type: "synthetic", count, ... } or { type: "recorded", path }
+ * @param {object} [options]
+ * @param {string} [options.baseDir] Directory recorded paths are relative to
+ * @param {number|string} [options.seed] Seed for synthetic streams without their own
+ * @returns {Array<{at: number, positionSize: bigint}>}
+ */
+function loadStream({ type = "synthetic", path: file, ...options }, { baseDir = ".", seed } = {}) {
+  if (type === "recorded") {
+    if (!file) throw new Error("Economics: Recorded stream needs a path");
+    return parseStream(fs.readFileSync(path.resolve(baseDir, file), "utf8"));
+  }
+  if (type === "synthetic") {
+    return syntheticStream({ seed, ...options });
+  }
+  throw new Error(`Economics: Unknown stream type ${type}`);
+}
+
+/**
+ * Check a scenario file before anything is deployed
+ * @param {object} scenario Parsed scenario
+ * @returns {object} The scenario with defaults applied
+ */
+function validateScenario(scenario) {
+  const {
+    keepers,
+    proposals = [{ name: "current" }],
+    rewardPool,
+    selection = "reputation",
+    maxAttempts = 3,
+    seed = 1,
+  } = scenario;
+  if (!Array.isArray(keepers) || keepers.length === 0) {
+    throw new Error("Economics: Scenario needs keepers");
+  }
+  keepers.forEach(({ profile, count = 1, reliability, stake }, index) => {
+    if (!profile) throw new Error(`Economics: keepers[${index}] needs a profile name`);
+    if (!Number.isInteger(count) || count < 1) throw new Error(`Economics: ${profile}: invalid count ${count}`);
+    if (!(reliability >= 0 && reliability <= 1)) {
+      throw new Error(`Economics: ${profile}: reliability must be between 0 and 1`);
+    }
+    if (stake !== undefined && !(Number(stake) > 0)) throw new Error(`Economics: ${profile}: invalid stake ${stake}`);
+  });
+  if (!(Number(rewardPool) >= 0)) {
+    throw new Error("Economics: Scenario needs a rewardPool");
+  }
+  if (!SELECTION_MODES.includes(selection)) {
+    throw new Error(`Economics: Unknown selection ${selection} (${SELECTION_MODES.join(", ")})`);
+  }
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+    throw new Error(`Economics: Invalid maxAttempts ${maxAttempts}`);
+  }
+  const names = new Set();
+  proposals.forEach(({ name, ...parameters }, index) => {
+    if (!name || names.has(name)) throw new Error(`Economics: proposals[${index}] needs a unique name`);
+    names.add(name);
+    for (const key of Object.keys(parameters)) {
+      if (!ECONOMICS_PARAMETERS.includes(key)) throw new Error(`Economics: ${name}: unknown parameter ${key}`);
+    }
+  });
+  return { ...scenario, keepers, proposals, selection, maxAttempts, seed };
+}
+
+/**
+ * Gini coefficient of a distribution (0 = even, 1 = one holder takes everything)
+ * @param {bigint[]} values Non-negative amounts
+ * @returns {number}
+ */
+function giniCoefficient(values) {
+  const sorted = values.map((value) => Number(ethers.formatEther(value))).sort((a, b) => a - b);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  if (sorted.length === 0 || total === 0) return 0;
+  const weighted = sorted.reduce((sum, value, index) => sum + (index + 1) * value, 0);
+  return (2 * weighted) / (sorted.length * total) - (sorted.length + 1) / sorted.length;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Replay a liquidation stream against a fresh KeeperIncentive on the in-process Hardhat network
+ *
+ * Every liquidation goes to an eligible keeper (Active and out of cooldown), picked by
+ * reputation or uniformly. It succeeds with the keeper's reliability; a failure is slashed by
+ * the contract and the liquidation passes to another keeper, up to `maxAttempts`. The deployer
+ * holds PROTOCOL_ROLE and stands in for the protocol contract calling `rewardKeeper`. Block
+ * timestamps follow the stream, so cooldowns apply as they would on-chain.
+ *
+ * @param {object} options
+ * @param {object} options.hre Hardhat runtime on the in-process `hardhat` network
+ * @param {string} [options.name="current"] Proposal name
+ * @param {object} [options.parameters] Overrides of the contract defaults (see ECONOMICS_PARAMETERS)
+ * @param {object[]} options.keepers Profiles `{ profile, count, reliability, stake, honest, restake }`
+ * @param {Array<{at: number, positionSize: bigint}>} options.stream Liquidations
+ * @param {string|number} options.rewardPool Initial reward pool (tokens)
+ * @param {string} [options.selection="reputation"] "reputation" or "uniform"
+ * @param {number} [options.maxAttempts=3] Keepers tried per liquidation
+ * @param {number|string} [options.seed=1] Seed for keeper selection and outcomes
+ * @returns {Promise<{rows: object[], summary: object}>}
+ */
+async function simulateEconomics({
+  hre,
+  name = "current",
+  parameters = {},
+  keepers: profiles,
+  stream,
+  rewardPool,
+  selection = "reputation",
+  maxAttempts = 3,
+  seed = 1,
+}) {
+  if (hre.network.name !== "hardhat") {
+    // Keeper wallets are funded with hardhat_setBalance and block times are set by hand
+    throw new Error(`Economics: Runs on the in-process hardhat network only, not ${hre.network.name}`);
+  }
+  const { provider } = hre.ethers;
+  const [admin] = await hre.ethers.getSigners();
+  const random = createRandom(seed);
+  const tokens = (value) => ethers.parseEther(String(value));
+
+  let clock;
+  const at = async (timestamp) => {
+    clock = Math.max(timestamp, clock + 1);
+    await provider.send("evm_setNextBlockTimestamp", [clock]);
+  };
+
+  // Contracts, with the proposal applied on top of the contract defaults
+  const minStake = tokens(parameters.minStake ?? 1000);
+  const token = await (await hre.ethers.getContractFactory("MockERC20")).deploy("Reward Token", "RWD", 18);
+  const incentive = await hre.upgrades.deployProxy(await hre.ethers.getContractFactory("KeeperIncentive"), [
+    admin.address,
+    admin.address,
+    await token.getAddress(),
+    minStake,
+  ]);
+  await incentive.grantRole(await incentive.PROTOCOL_ROLE(), admin.address);
+  const defaults = await incentive.rewardConfigs(ActionType.Liquidation);
+  const config = {
+    baseReward: parameters.baseReward === undefined ? defaults.baseReward : tokens(parameters.baseReward),
+    riskMultiplierBps: BigInt(parameters.riskMultiplierBps ?? defaults.riskMultiplierBps),
+    speedBonusBps: BigInt(parameters.speedBonusBps ?? defaults.speedBonusBps),
+    reputationBonusBps: BigInt(parameters.reputationBonusBps ?? defaults.reputationBonusBps),
+  };
+  await incentive.updateRewardConfig(
+    ActionType.Liquidation,
+    config.baseReward,
+    config.riskMultiplierBps,
+    config.speedBonusBps,
+    config.reputationBonusBps,
+    true,
+  );
+  if (parameters.slashPercentage !== undefined) {
+    await incentive.updateSlashPercentage(parameters.slashPercentage);
+  }
+  const cooldown = Number(await incentive.actionCooldown());
+
+  const poolStart = tokens(rewardPool);
+  if (poolStart > 0n) {
+    await token.mint(admin.address, poolStart);
+    await token.approve(await incentive.getAddress(), poolStart);
+    await incentive.depositRewardPool(poolStart);
+  }
+
+  // Keepers: deterministic wallets, funded and registered
+  const keepers = [];
+  for (const { profile, count = 1, reliability, stake, honest, restake = false } of profiles) {
+    for (let i = 0; i < count; i++) {
+      const wallet = new ethers.Wallet(ethers.id(`keeper-economics:${keepers.length}`), provider);
+      const amount = stake === undefined ? minStake * 2n : tokens(stake);
+      await provider.send("hardhat_setBalance", [wallet.address, ethers.toQuantity(ethers.parseEther("100"))]);
+      await token.mint(wallet.address, amount);
+      await token.connect(wallet).approve(await incentive.getAddress(), ethers.MaxUint256);
+      await incentive.connect(wallet).registerKeeper(amount);
+      keepers.push({
+        address: wallet.address,
+        wallet,
+        profile,
+        reliability,
+        honest: honest ?? reliability >= HONEST_RELIABILITY,
+        restake,
+        targetStake: amount,
+        status: "Active",
+        reputation: 5000,
+        stakedAmount: amount,
+        totalRewards: 0n,
+        lastActionTime: 0,
+        recovering: null,
+      });
+    }
+  }
+
+  // Setup mined at wall-clock time; the stream starts right after it
+  clock = (await provider.getBlock("latest")).timestamp;
+  const start = clock + 1;
+  const rows = [];
+  const recoveries = [];
+  const stats = { executed: 0, failedAttempts: 0, unpaid: 0, restakes: 0, slashed: 0n, depletedAfter: null };
+
+  const refresh = async (keeper) => {
+    const info = await incentive.getKeeperInfo(keeper.address);
+    const before = { totalRewards: keeper.totalRewards, stakedAmount: keeper.stakedAmount };
+    Object.assign(keeper, {
+      status: KEEPER_STATUSES[Number(info.status)],
+      reputation: Number(info.reputation),
+      stakedAmount: info.stakedAmount,
+      totalRewards: info.totalRewards,
+      lastActionTime: Number(info.lastActionTime),
+    });
+    return {
+      reward: keeper.totalRewards - before.totalRewards,
+      stakeChange: keeper.stakedAmount - before.stakedAmount,
+    };
+  };
+  const record = async (fields, keeper) =>
+    rows.push({
+      proposal: name,
+      elapsed: clock - start,
+      keeper: keeper?.address ?? "",
+      profile: keeper?.profile ?? "",
+      reward: 0n,
+      slashed: 0n,
+      reputation: keeper?.reputation ?? "",
+      stake: keeper?.stakedAmount ?? "",
+      status: keeper?.status ?? "",
+      rewardPool: await incentive.rewardPoolBalance(),
+      ...fields,
+    });
+  const pick = (eligible) => {
+    const weights = eligible.map((keeper) => (selection === "uniform" ? 1 : keeper.reputation + 1));
+    let target = random() * weights.reduce((sum, weight) => sum + weight, 0);
+    for (let i = 0; i < eligible.length; i++) {
+      target -= weights[i];
+      if (target < 0) return eligible[i];
+    }
+    return eligible[eligible.length - 1];
+  };
+
+  for (const [index, { at: offset, positionSize }] of stream.entries()) {
+    const event = { event: index + 1, positionSize };
+    const tried = new Set();
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const time = Math.max(start + offset, clock + 1);
+      const eligible = keepers.filter(
+        (keeper) => keeper.status === "Active" && !tried.has(keeper) && time >= keeper.lastActionTime + cooldown,
+      );
+      if (eligible.length === 0) {
+        stats.unpaid++;
+        await record({ ...event, attempt, outcome: "no_keeper" });
+        break;
+      }
+      const keeper = pick(eligible);
+      tried.add(keeper);
+      const successful = random() < keeper.reliability;
+      const reputationBefore = keeper.reputation;
+
+      await at(time);
+      try {
+        await (await incentive.rewardKeeper(keeper.address, ActionType.Liquidation, positionSize, successful)).wait();
+      } catch (error) {
+        if (!/Insufficient pool/.test(error.message)) throw error;
+        stats.unpaid++;
+        stats.depletedAfter ??= clock - start;
+        await record({ ...event, attempt, outcome: "pool_empty" }, keeper);
+        break;
+      }
+      const { reward, stakeChange } = await refresh(keeper);
+
+      if (successful) {
+        stats.executed++;
+        if (keeper.recovering) {
+          keeper.recovering.actions++;
+          if (keeper.reputation >= keeper.recovering.target) {
+            recoveries.push({
+              profile: keeper.profile,
+              honest: keeper.honest,
+              seconds: clock - keeper.recovering.since,
+              actions: keeper.recovering.actions,
+            });
+            keeper.recovering = null;
+          }
+        }
+        await record({ ...event, attempt, outcome: "success", reward }, keeper);
+        break;
+      }
+
+      stats.failedAttempts++;
+      stats.slashed -= stakeChange;
+      // Recovery is measured back to the reputation held before the first of a run of failures
+      keeper.recovering ??= { since: clock, target: reputationBefore, actions: 0 };
+      await record({ ...event, attempt, outcome: "failed", slashed: -stakeChange }, keeper);
+
+      if (keeper.status === "Slashed" && keeper.restake) {
+        // The operator tops the stake back up and governance reactivates the keeper
+        await at(clock);
+        await token.mint(keeper.address, keeper.targetStake - keeper.stakedAmount);
+        await at(clock);
+        await incentive.connect(keeper.wallet).increaseStake(keeper.targetStake - keeper.stakedAmount);
+        await at(clock);
+        await incentive.reactivateKeeper(keeper.address);
+        await refresh(keeper);
+        stats.restakes++;
+        await record({ event: index + 1, attempt, positionSize, outcome: "restake" }, keeper);
+      }
+    }
+  }
+
+  const poolEnd = await incentive.rewardPoolBalance();
+  const duration = stream.length > 0 ? stream[stream.length - 1].at : 0;
+  let projectedDepletion = null;
+  if (stats.depletedAfter === null && poolEnd < poolStart && duration > 0) {
+    // Net outflow (rewards minus slashes flowing back) continued at the replayed rate
+    const perSecond = Number(ethers.formatEther(poolStart - poolEnd)) / duration;
+    projectedDepletion = Math.round(duration + Number(ethers.formatEther(poolEnd)) / perSecond);
+  }
+
+  const rewards = keepers.map((keeper) => keeper.totalRewards);
+  const rewardsPaid = rewards.reduce((sum, value) => sum + value, 0n);
+  const topReward = rewards.reduce((max, value) => (value > max ? value : max), 0n);
+  const honest = recoveries.filter((recovery) => recovery.honest);
+
+  return {
+    rows,
+    summary: {
+      name,
+      parameters: {
+        ...config,
+        slashPercentage: Number(await incentive.slashPercentage()),
+        minStake,
+        cooldown,
+      },
+      keepers: keepers.length,
+      liquidations: stream.length,
+      duration,
+      executed: stats.executed,
+      failedAttempts: stats.failedAttempts,
+      unpaid: stats.unpaid,
+      rewardsPaid,
+      slashed: stats.slashed,
+      restakes: stats.restakes,
+      poolStart,
+      poolEnd,
+      depletedAfter: stats.depletedAfter,
+      projectedDepletion,
+      gini: giniCoefficient(rewards),
+      topShare: rewardsPaid > 0n ? Number((topReward * 10000n) / rewardsPaid) / 10000 : 0,
+      rewardedKeepers: rewards.filter((value) => value > 0n).length,
+      slashedOut: keepers.filter((keeper) => keeper.status === "Slashed").length,
+      honestRecovery: {
+        recovered: honest.length,
+        unrecovered: keepers.filter((keeper) => keeper.honest && keeper.recovering).length,
+        medianSeconds: median(honest.map((recovery) => recovery.seconds)),
+        maxSeconds: honest.length > 0 ? Math.max(...honest.map((recovery) => recovery.seconds)) : null,
+        medianActions: median(honest.map((recovery) => recovery.actions)),
+      },
+    },
+  };
+}
+
+/**
+ * Run every proposal of a scenario on the same stream and keeper population
+ * @param {object} options
+ * @param {object} options.hre Hardhat runtime on the in-process `hardhat` network
+ * @param {object} options.scenario Scenario (see docs/KEEPER_ECONOMICS.md)
+ * @param {string} [options.baseDir="."] Directory recorded stream paths are relative to
+ * @param {function(string): void} [options.log] Progress output
+ * @returns {Promise<{rows: object[], summaries: object[]}>}
+ */
+async function runScenario({ hre, scenario, baseDir = ".", log = () => {} }) {
+  const {
+    keepers,
+    proposals,
+    rewardPool,
+    selection,
+    maxAttempts,
+    seed,
+    stream: streamConfig,
+  } = validateScenario(scenario);
+  const stream = loadStream(streamConfig || {}, { baseDir, seed });
+  const rows = [];
+  const summaries = [];
+  for (const { name, ...parameters } of proposals) {
+    log(`⚙️  ${name}: replaying ${stream.length} liquidations`);
+    const result = await simulateEconomics({
+      hre,
+      name,
+      parameters,
+      keepers,
+      stream,
+      rewardPool,
+      selection,
+      maxAttempts,
+      seed,
+    });
+    rows.push(...result.rows);
+    summaries.push(result.summary);
+  }
+  return { rows, summaries };
+}
+
+function csvField(value) {
+  const text = typeof value === "bigint" ? ethers.formatEther(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Per-attempt rows as CSV (amounts in tokens)
+ * @param {object[]} rows Rows from simulateEconomics / runScenario
+ * @returns {string}
+ */
+function toEconomicsCsv(rows) {
+  const lines = rows.map((row) => ECONOMICS_COLUMNS.map((column) => csvField(row[column] ?? "")).join(","));
+  return [ECONOMICS_COLUMNS.join(","), ...lines].join("\n") + "\n";
+}
+
+/**
+ * Human-readable duration
+ * @param {number|null} seconds Seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return "-";
+  if (seconds >= 86400) return `${(seconds / 86400).toFixed(1)}d`;
+  if (seconds >= 3600) return `${(seconds / 3600).toFixed(1)}h`;
+  return `${Math.round(seconds / 60)}m`;
+}
+
+/**
+ * Proposal comparison as a markdown table, ready for a governance proposal
+ * @param {object[]} summaries Summaries from runScenario
+ * @returns {string}
+ */
+function formatSummaryTable(summaries) {
+  const tokens = (value) => Number(ethers.formatEther(value)).toLocaleString("en-US", { maximumFractionDigits: 0 });
+  const headers = [
+    "Proposal",
+    "Base",
+    "Risk bps",
+    "Rep bps",
+    "Slash bps",
+    "Paid",
+    "Unpaid",
+    "Rewards",
+    "Pool left",
+    "Pool empty after",
+    "Gini",
+    "Top share",
+    "Slashed out",
+    "Honest recovery (median / max)",
+  ];
+  const rows = summaries.map((summary) => {
+    const { parameters, honestRecovery } = summary;
+    let depletion = "never";
+    if (summary.depletedAfter !== null) depletion = formatDuration(summary.depletedAfter);
+    else if (summary.projectedDepletion !== null)
+      depletion = `~${formatDuration(summary.projectedDepletion)} (projected)`;
+    return [
+      summary.name,
+      tokens(parameters.baseReward),
+      String(parameters.riskMultiplierBps),
+      String(parameters.reputationBonusBps),
+      String(parameters.slashPercentage),
+      `${summary.executed}/${summary.liquidations}`,
+      String(summary.unpaid),
+      tokens(summary.rewardsPaid),
+      tokens(summary.poolEnd),
+      depletion,
+      summary.gini.toFixed(2),
+      `${(summary.topShare * 100).toFixed(1)}%`,
+      `${summary.slashedOut}/${summary.keepers}`,
+      honestRecovery.recovered > 0
+        ? `${formatDuration(honestRecovery.medianSeconds)} / ${formatDuration(honestRecovery.maxSeconds)}` +
+          ` (${honestRecovery.medianActions} actions)`
+        : "-",
+    ];
+  });
+  const widths = headers.map((header, column) => Math.max(header.length, ...rows.map((row) => row[column].length)));
+  const line = (cells) => `| ${cells.map((cell, column) => cell.padEnd(widths[column])).join(" | ")} |`;
+  return [line(headers), line(widths.map((width) => "-".repeat(width))), ...rows.map(line)].join("\n");
+}
+
+module.exports = {
+  ECONOMICS_PARAMETERS,
+  ECONOMICS_COLUMNS,
+  SELECTION_MODES,
+  createRandom,
+  syntheticStream,
+  parseStream,
+  loadStream,
+  validateScenario,
+  giniCoefficient,
+  simulateEconomics,
+  runScenario,
+  toEconomicsCsv,
+  formatDuration,
+  formatSummaryTable,
+};
@@ -0,0 +1,41 @@
+const { POSITION_SOURCES, createPositionSource, positionSourceConfig } = require("./positions");
+const { KEEPER_STATUSES, ActionType, LiquidationKeeper } = require("./keeper");
+const {
+  ECONOMICS_PARAMETERS,
+  ECONOMICS_COLUMNS,
+  SELECTION_MODES,
+  createRandom,
+  syntheticStream,
+  parseStream,
+  loadStream,
+  validateScenario,
+  giniCoefficient,
+  simulateEconomics,
+  runScenario,
+  toEconomicsCsv,
+  formatDuration,
+  formatSummaryTable,
+} = require("./economics");
+
+module.exports = {
+  POSITION_SOURCES,
+  createPositionSource,
+  positionSourceConfig,
+  KEEPER_STATUSES,
+  ActionType,
+  LiquidationKeeper,
+  ECONOMICS_PARAMETERS,
+  ECONOMICS_COLUMNS,
+  SELECTION_MODES,
+  createRandom,
+  syntheticStream,
+  parseStream,
+  loadStream,
+  validateScenario,
+  giniCoefficient,
+  simulateEconomics,
+  runScenario,
+  toEconomicsCsv,
+  formatDuration,
+  formatSummaryTable,
+};
@@ -0,0 +1,449 @@
+const { ethers } = require("ethers");
+const { ACCOUNT_STATUSES } = require("../traders");
+const { createPositionSource } = require("./positions");
+const { createPoller } = require("../poller");
+
+/** KeeperIncentive.KeeperStatus, in enum order */
+const KEEPER_STATUSES = ["Inactive", "Active", "Suspended", "Slashed"];
+
+/** KeeperIncentive.ActionType values */
+const ActionType = Object.freeze({ Liquidation: 0, OracleUpdate: 1, BatchValidation: 2, SettlementChallenge: 3 });
+
+/** Account statuses the keeper watches; breached, suspended and liquidated accounts are done */
+const WATCHED_STATUSES = ["Active", "Promoted"];
+
+/** What else the TraderAccountRegistry roles that allow a breach let their holder do */
+const BREACH_ROLES = {
+  PAYOUT_MANAGER_ROLE: "activateAccount, setTier, updatePerformanceMetrics and updateLifetimePnL",
+  ADMIN_ROLE: "setPayoutManager and pause",
+};
+
+/** The part of the reward token the keeper uses to stake */
+const ERC20_ABI = [
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+/** OracleBase.PRICE_DECIMALS: position PnL is size × price move / 1e8 */
+const PRICE_SCALE = 10n ** 8n;
+
+const BASIS_POINTS = 10000n;
+const DAY = 86400;
+
+/**
+ * Liquidation keeper
+ *
+ * Every `tick` keeps the keeper's stake in KeeperIncentive at `targetStake` (registering
+ * first if needed), then walks the trader allocations in CapitalPool. An allocation's equity is
+ * the PnL booked in CapitalPool plus its open positions marked to OracleRegistry prices. A
+ * trader is breached when the loss reaches the tier's `maxDrawdownPct` of the allocation, or
+ * when the loss since the first look of the UTC day reaches `maxDailyLoss`. The breach action
+ * is `TraderAccountRegistry.updateStatus(traderId, Breached, reason)`, which needs the
+ * keeper to hold PAYOUT_MANAGER_ROLE (or ADMIN_ROLE) on the registry. Either role can set any
+ * status and more (see BREACH_ROLES), so `status` warns about what the keeper key can do.
+ *
+ * In simulation mode nothing is sent: every write is run with `staticCall` and `estimateGas`
+ * against the current (usually forked) state and reported as it would have happened.
+ */
+class LiquidationKeeper {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Contract} options.keeperIncentive KeeperIncentive
+   * @param {import("ethers").Contract} options.capitalPool CapitalPool
+   * @param {import("ethers").Contract} options.traderRegistry TraderAccountRegistry
+   * @param {import("ethers").Contract} options.oracleRegistry OracleRegistry
+   * @param {import("ethers").Signer} options.signer Keeper signer (a VoidSigner is enough when simulating)
+   * @param {object} [options.positions] Open-position source, or its config (see createPositionSource)
+   * @param {bigint} [options.targetStake] Stake to keep in KeeperIncentive (default: twice minStakeAmount)
+   * @param {boolean} [options.simulate=false] Simulate writes instead of sending them
+   * @param {function(): Promise<number>} [options.clock] Current time in seconds (defaults to the latest block)
+   * @param {number} [options.blockRange=2000] Blocks per log query in history()
+   * @param {function(string): void} [options.log=console.log] Progress output
+   */
+  constructor({
+    keeperIncentive,
+    capitalPool,
+    traderRegistry,
+    oracleRegistry,
+    signer,
+    positions,
+    targetStake,
+    simulate = false,
+    clock,
+    blockRange = 2000,
+    log = console.log,
+  }) {
+    if (!keeperIncentive || !capitalPool || !traderRegistry || !oracleRegistry || !signer) {
+      throw new Error("Keeper: keeperIncentive, capitalPool, traderRegistry, oracleRegistry and signer are required");
+    }
+    this.keeperIncentive = keeperIncentive.connect(signer);
+    this.capitalPool = capitalPool.connect(signer);
+    this.traderRegistry = traderRegistry.connect(signer);
+    this.oracleRegistry = oracleRegistry.connect(signer);
+    this.signer = signer;
+    this.positions = typeof positions?.open === "function" ? positions : createPositionSource(positions);
+    this.targetStake = targetStake === undefined ? undefined : BigInt(targetStake);
+    this.simulate = simulate;
+    this.clock = clock || (async () => (await signer.provider.getBlock("latest")).timestamp);
+    this.blockRange = blockRange;
+    this.log = log;
+
+    this.traders = [];
+    this.dayOpen = new Map();
+    this.tiers = new Map();
+    this.prices = new Map();
+  }
+
+  async address() {
+    return this.signer.getAddress();
+  }
+
+  /**
+   * The keeper's record in KeeperIncentive
+   * @returns {Promise<object>} { address, registered, status, stakedAmount, reputation, totalActions, ... }
+   */
+  async keeperInfo() {
+    const address = await this.address();
+    const info = await this.keeperIncentive.getKeeperInfo(address);
+    return {
+      address,
+      registered: info.keeper !== ethers.ZeroAddress,
+      status: KEEPER_STATUSES[Number(info.status)],
+      stakedAmount: info.stakedAmount,
+      reputation: Number(info.reputation),
+      totalActions: Number(info.totalActions),
+      successfulActions: Number(info.successfulActions),
+      totalRewards: info.totalRewards,
+      lastActionTime: Number(info.lastActionTime),
+      joinedAt: Number(info.joinedAt),
+    };
+  }
+
+  /**
+   * Keeper record, pool-wide stats, whether the keeper may breach accounts and warnings about what
+   * else its registry roles allow
+   * @returns {Promise<object>} { keeper, minStake, targetStake, authorized, warnings, pool }
+   */
+  async status() {
+    const address = await this.address();
+    const [keeper, minStake, stats] = await Promise.all([
+      this.keeperInfo(),
+      this.keeperIncentive.minStakeAmount(),
+      this.keeperIncentive.getKeeperStats(),
+    ]);
+    const registry = this.traderRegistry;
+    const warnings = [];
+    for (const [role, also] of Object.entries(BREACH_ROLES)) {
+      if (await registry.hasRole(await registry[role](), address)) {
+        warnings.push(`${role} on traderRegistry also allows any updateStatus, ${also}`);
+      }
+    }
+    const authorized = warnings.length > 0;
+    return {
+      keeper,
+      minStake,
+      targetStake: this.stakeTarget(minStake),
+      authorized,
+      warnings,
+      pool: {
+        totalKeepers: Number(stats.totalKeepers),
+        activeKeepers: Number(stats.activeKeepers),
+        totalActions: Number(stats.totalActionsExecuted),
+        totalRewards: stats.totalRewards,
+        rewardPool: await this.keeperIncentive.rewardPoolBalance(),
+      },
+    };
+  }
+
+  stakeTarget(minStake) {
+    const target = this.targetStake ?? minStake * 2n;
+    return target > minStake ? target : minStake;
+  }
+
+  /**
+   * Register, or top the stake back up to the target after slashes and withdrawals
+   * @returns {Promise<object|null>} { action: "register" | "topUp", amount, txHash? | simulated }, or null
+   */
+  async ensureStake() {
+    const [info, minStake] = await Promise.all([this.keeperInfo(), this.keeperIncentive.minStakeAmount()]);
+    const target = this.stakeTarget(minStake);
+    let action;
+    let amount;
+    if (!info.registered) {
+      [action, amount] = ["register", target];
+    } else if (info.stakedAmount < target) {
+      [action, amount] = ["topUp", target - info.stakedAmount];
+    } else {
+      return null;
+    }
+
+    const token = new ethers.Contract(await this.keeperIncentive.rewardToken(), ERC20_ABI, this.signer);
+    const spender = await this.keeperIncentive.getAddress();
+    const balance = await token.balanceOf(info.address);
+    if (balance < amount) {
+      throw new Error(
+        `Keeper: ${action} needs ${ethers.formatEther(amount)} of the reward token, ${info.address} holds ${ethers.formatEther(balance)}`,
+      );
+    }
+
+    const method = action === "register" ? "registerKeeper" : "increaseStake";
+    if ((await token.allowance(info.address, spender)) < amount) {
+      if (this.simulate) {
+        // The stake call would revert without the allowance, so there is nothing to dry-run
+        return { action, amount, simulated: true, approve: amount };
+      }
+      await (await token.approve(spender, amount)).wait();
+    }
+    return { action, amount, ...(await this.execute(this.keeperIncentive, method, [amount])) };
+  }
+
+  /**
+   * Send a write, or dry-run it in simulation mode
+   * @param {import("ethers").Contract} contract Contract connected to the keeper
+   * @param {string} method Method name
+   * @param {Array} args Arguments
+   * @returns {Promise<object>} { txHash, gasUsed } or { simulated: true, gasEstimate }
+   */
+  async execute(contract, method, args) {
+    const fn = contract.getFunction(method);
+    if (this.simulate) {
+      await fn.staticCall(...args);
+      return { simulated: true, gasEstimate: await fn.estimateGas(...args) };
+    }
+    const receipt = await (await fn(...args)).wait();
+    return { txHash: receipt.hash, gasUsed: receipt.gasUsed };
+  }
+
+  /**
+   * Every trader CapitalPool has allocated to, reading only ids added since the last call
+   * @returns {Promise<string[]>}
+   */
+  async traderIds() {
+    for (let index = this.traders.length; ; index++) {
+      let traderId;
+      try {
+        traderId = await this.capitalPool.traderIds(index);
+      } catch (error) {
+        // Past the end of the array: an empty revert (the in-process Hardhat network raises it undecoded)
+        if (error.code === "CALL_EXCEPTION" || error.data === "0x") break;
+        throw error;
+      }
+      this.traders.push(traderId);
+    }
+    // Re-allocating to a trader whose allocation went inactive pushes the id again
+    return [...new Set(this.traders)];
+  }
+
+  async tierConfig(tier) {
+    if (!this.tiers.has(tier)) {
+      const config = await this.traderRegistry.getTierConfig(tier);
+      this.tiers.set(tier, { maxDrawdownBps: config.maxDrawdownPct, maxDailyLoss: config.maxDailyLoss });
+    }
+    return this.tiers.get(tier);
+  }
+
+  async price(symbol) {
+    if (!this.prices.has(symbol)) {
+      this.prices.set(
+        symbol,
+        this.oracleRegistry.getPriceWithConfidence(ethers.id(symbol)).then(([price]) => BigInt(price)),
+      );
+    }
+    return this.prices.get(symbol);
+  }
+
+  /**
+   * Unrealized PnL of a trader's open positions at oracle prices
+   * @param {string} traderId Trader
+   * @returns {Promise<{unrealized: bigint, missing: string[]}>} PnL (18 decimals) and symbols without a usable price
+   */
+  async markToMarket(traderId) {
+    let unrealized = 0n;
+    const missing = [];
+    for (const position of await this.positions.open(traderId)) {
+      let price;
+      try {
+        price = await this.price(position.symbol);
+      } catch (error) {
+        missing.push(`${position.symbol} (${error.reason || error.shortMessage || error.message})`);
+        continue;
+      }
+      const move = ((price - BigInt(position.entryPrice)) * BigInt(position.size)) / PRICE_SCALE;
+      unrealized += Number(position.side) === 1 ? -move : move;
+    }
+    return { unrealized, missing };
+  }
+
+  /**
+   * Check one allocation against its tier limits
+   * @param {string} traderId Trader
+   * @param {number} now Current time in seconds
+   * @returns {Promise<object|null>} Account state with `breach` set when a limit is reached; null when not active
+   */
+  async evaluate(traderId, now) {
+    const allocation = await this.capitalPool.traderAllocations(traderId);
+    if (!allocation.active) return null;
+    const account = await this.traderRegistry.getTraderInfo(traderId);
+    if (account.traderId === ethers.ZeroHash) {
+      return { traderId, skipped: "not registered in TraderAccountRegistry" };
+    }
+    const status = ACCOUNT_STATUSES[Number(account.status)];
+    if (!WATCHED_STATUSES.includes(status)) return { traderId, status, skipped: `account is ${status}` };
+
+    const tier = Number(account.currentTier);
+    const { maxDrawdownBps, maxDailyLoss } = await this.tierConfig(tier);
+    const { unrealized, missing } = await this.markToMarket(traderId);
+    // Without every price the mark is incomplete, so only the booked PnL counts
+    const pnl = allocation.pnl + (missing.length > 0 ? 0n : unrealized);
+    const loss = pnl < 0n ? -pnl : 0n;
+    const drawdownBps = allocation.allocated > 0n ? (loss * BASIS_POINTS) / allocation.allocated : 0n;
+
+    const day = Math.floor(now / DAY);
+    if (this.dayOpen.get(traderId)?.day !== day) this.dayOpen.set(traderId, { day, pnl });
+    const dailyLoss = this.dayOpen.get(traderId).pnl > pnl ? this.dayOpen.get(traderId).pnl - pnl : 0n;
+
+    const state = {
+      traderId,
+      status,
+      tier,
+      allocated: allocation.allocated,
+      realizedPnL: allocation.pnl,
+      unrealizedPnL: missing.length > 0 ? null : unrealized,
+      drawdownBps: Number(drawdownBps),
+      maxDrawdownBps: Number(maxDrawdownBps),
+      dailyLoss,
+      maxDailyLoss,
+    };
+    if (drawdownBps >= maxDrawdownBps) {
+      state.breach = "drawdown";
+      state.reason = `Drawdown ${drawdownBps} bps reached the tier ${tier} limit of ${maxDrawdownBps} bps`;
+    } else if (maxDailyLoss > 0n && dailyLoss >= maxDailyLoss) {
+      state.breach = "daily_loss";
+      state.reason = `Daily loss ${ethers.formatEther(dailyLoss)} reached the tier ${tier} limit of ${ethers.formatEther(maxDailyLoss)}`;
+    }
+    if (missing.length > 0) state.missingPrices = missing;
+    return state;
+  }
+
+  /**
+   * Run one keeper cycle
+   * @returns {Promise<object>} { timestamp, simulated, keeper, stake, accounts, breaches, failed }
+   */
+  async tick() {
+    const now = Number(await this.clock());
+    const report = { timestamp: now, simulated: this.simulate, stake: null, accounts: [], breaches: [], failed: [] };
+    this.tiers = new Map();
+    this.prices = new Map();
+
+    try {
+      report.stake = await this.ensureStake();
+    } catch (error) {
+      report.failed.push({ stage: "stake", error: error.reason || error.shortMessage || error.message });
+    }
+    report.keeper = await this.keeperInfo();
+
+    for (const traderId of await this.traderIds()) {
+      let state;
+      try {
+        state = await this.evaluate(traderId, now);
+      } catch (error) {
+        report.failed.push({ stage: "evaluate", traderId, error: error.reason || error.shortMessage || error.message });
+        continue;
+      }
+      if (!state) continue;
+      report.accounts.push(state);
+      if (state.missingPrices) {
+        report.failed.push({ stage: "prices", traderId, error: `No price for ${state.missingPrices.join(", ")}` });
+      }
+      if (!state.breach) continue;
+
+      try {
+        const result = await this.execute(this.traderRegistry, "updateStatus", [
+          traderId,
+          ACCOUNT_STATUSES.indexOf("Breached"),
+          state.reason,
+        ]);
+        report.breaches.push({ traderId, breach: state.breach, reason: state.reason, ...result });
+      } catch (error) {
+        report.failed.push({ stage: "breach", traderId, error: error.reason || error.shortMessage || error.message });
+      }
+    }
+    return report;
+  }
+
+  /**
+   * The keeper's rewards, slashes and status changes from KeeperIncentive events
+   * @param {object} [options]
+   * @param {number} [options.fromBlock=0] First block
+   * @param {number} [options.toBlock] Last block (defaults to the latest)
+   * @returns {Promise<object>} { rewards, slashes, statusChanges, totalRewards, totalSlashed }
+   */
+  async history({ fromBlock = 0, toBlock } = {}) {
+    const address = await this.address();
+    const last = toBlock ?? (await this.signer.provider.getBlockNumber());
+    const { filters } = this.keeperIncentive;
+    const history = { rewards: [], slashes: [], statusChanges: [], totalRewards: 0n, totalSlashed: 0n };
+
+    for (let start = fromBlock; start <= last; start += this.blockRange) {
+      const end = Math.min(start + this.blockRange - 1, last);
+      const query = (filter) => this.keeperIncentive.queryFilter(filter, start, end);
+      for (const event of await query(filters.KeeperRewarded(address))) {
+        history.rewards.push({
+          blockNumber: event.blockNumber,
+          txHash: event.transactionHash,
+          actionType: Number(event.args.actionType),
+          reward: event.args.reward,
+          timestamp: Number(event.args.timestamp),
+        });
+        history.totalRewards += event.args.reward;
+      }
+      for (const event of await query(filters.KeeperSlashed(address))) {
+        history.slashes.push({
+          blockNumber: event.blockNumber,
+          txHash: event.transactionHash,
+          amount: event.args.slashAmount,
+          reason: event.args.reason,
+        });
+        history.totalSlashed += event.args.slashAmount;
+      }
+      for (const event of await query(filters.KeeperStatusChanged(address))) {
+        history.statusChanges.push({
+          blockNumber: event.blockNumber,
+          txHash: event.transactionHash,
+          from: KEEPER_STATUSES[Number(event.args.oldStatus)],
+          to: KEEPER_STATUSES[Number(event.args.newStatus)],
+        });
+      }
+    }
+    return history;
+  }
+
+  /**
+   * Tick every `interval` milliseconds until stop() is called
+   * @param {object} [options]
+   * @param {number} [options.interval=15000] Milliseconds between ticks
+   * @param {function(object): void} [options.onTick] Called with each tick report
+   * @returns {Promise<void>} Resolves once stopped
+   */
+  run({ interval = 15000, onTick } = {}) {
+    this.poller = createPoller({
+      step: () => this.tick(),
+      interval,
+      onResult: onTick,
+      onError: (error) => this.log(`❌ Keeper tick failed: ${error.shortMessage || error.message}`),
+    });
+    return this.poller.run();
+  }
+
+  /** Stop run() after the current tick */
+  stop() {
+    if (this.poller) this.poller.stop();
+  }
+}
+
+module.exports = {
+  KEEPER_STATUSES,
+  ActionType,
+  LiquidationKeeper,
+};
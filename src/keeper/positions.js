@@ -0,0 +1,87 @@
+const fs = require("fs/promises");
+const axios = require("axios");
+
+/**
+ * Open-position sources. A source returns a trader's open positions so the keeper can mark
+ * them to oracle prices; without one, only the PnL booked in CapitalPool counts.
+ *
+ * A position is `{ symbol, side, size, entryPrice }`: side 0 = Long, 1 = Short (as in
+ * TradeLedger), size in 18 decimals, entryPrice in oracle units (8 decimals).
+ */
+const POSITION_SOURCES = {
+  /**
+   * No open positions
+   */
+  none() {
+    return {
+      async open() {
+        return [];
+      },
+    };
+  },
+
+  /**
+   * JSON file `{ "<traderId>": [position, ...] }`, re-read on every call
+   * @param {object} config
+   * @param {string} config.path File path
+   */
+  file({ path }) {
+    if (!path) {
+      throw new Error("PositionSource: Missing file path");
+    }
+    return {
+      async open(traderId) {
+        const positions = JSON.parse(await fs.readFile(path, "utf8"));
+        return positions[traderId] || [];
+      },
+    };
+  },
+
+  /**
+   * HTTP endpoint `GET <url>/<traderId>` answering `[position, ...]` or `{ positions: [...] }`
+   * @param {object} config
+   * @param {string} config.url Base URL
+   * @param {object} [config.headers] Request headers
+   * @param {number} [config.timeout=5000] Request timeout (ms)
+   */
+  http({ url, headers, timeout = 5000 }) {
+    if (!url) {
+      throw new Error("PositionSource: Missing url");
+    }
+    return {
+      async open(traderId) {
+        const { data } = await axios.get(`${url.replace(/\/$/, "")}/${traderId}`, { headers, timeout });
+        return Array.isArray(data) ? data : data.positions || [];
+      },
+    };
+  },
+};
+
+/**
+ * Create a position source from its config
+ * @param {object} [config] { type: "none" | "file" | "http", ...options }
+ * @returns {{open: function(string): Promise<object[]>}}
+ */
+function createPositionSource({ type = "none", ...options } = {}) {
+  const factory = POSITION_SOURCES[type];
+  if (!factory) {
+    throw new Error(`PositionSource: Unknown type ${type}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Position source config from a KEEPER_POSITIONS-style value: an http(s) URL or a file path
+ * @param {string} [value] URL or path
+ * @returns {object} Config for createPositionSource
+ */
+function positionSourceConfig(value) {
+  if (!value) return { type: "none" };
+  return /^https?:\/\//.test(value) ? { type: "http", url: value } : { type: "file", path: value };
+}
+
+module.exports = {
+  POSITION_SOURCES,
+  createPositionSource,
+  positionSourceConfig,
+};
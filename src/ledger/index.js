@@ -0,0 +1,18 @@
+const { DATABASE, EVENT_TABLES, MIGRATIONS, columnName, tableColumns } = require("./schema");
+const { BLOCK_TABLES, PostgresLedgerStore, MemoryLedgerStore, ledgerConfigFromEnv } = require("./store");
+const { loadLedgerContracts, decodeEvent, LedgerIndexer } = require("./indexer");
+
+module.exports = {
+  DATABASE,
+  EVENT_TABLES,
+  MIGRATIONS,
+  columnName,
+  tableColumns,
+  BLOCK_TABLES,
+  PostgresLedgerStore,
+  MemoryLedgerStore,
+  ledgerConfigFromEnv,
+  loadLedgerContracts,
+  decodeEvent,
+  LedgerIndexer,
+};
@@ -0,0 +1,247 @@
+const { ethers } = require("ethers");
+const { EVENT_TABLES, columnName } = require("./schema");
+const { createPoller } = require("../poller");
+
+/**
+ * Contracts of a deployment record with the ABIs of their compiled artifacts
+ * @param {object} options
+ * @param {object} options.artifacts Hardhat artifacts (hre.artifacts)
+ * @param {object} options.record Deployment record
+ * @param {object} [options.manifest] Deployment manifest, for records without `artifacts`
+ * @returns {Promise<Array<{name: string, address: string, artifact: string, abi: object[]}>>}
+ */
+async function loadLedgerContracts({ artifacts, record, manifest }) {
+  const contracts = [];
+  for (const [name, address] of Object.entries(record.contracts)) {
+    const artifact = record.artifacts?.[name] || manifest?.contracts.find((entry) => entry.name === name)?.contract;
+    if (!artifact) {
+      throw new Error(`Ledger: No artifact recorded for ${name}`);
+    }
+    const { abi } = await artifacts.readArtifact(artifact);
+    contracts.push({ name, address, artifact, abi });
+  }
+  return contracts;
+}
+
+/** Event argument as JSON: integers become decimal strings */
+function jsonValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return [...value].map(jsonValue);
+  return value;
+}
+
+/** Event argument as a column value: small integers (enums, tiers) stay numbers, the rest is NUMERIC text */
+function columnValue(type, value) {
+  if (/^u?int(8|16|32)$/.test(type)) return Number(value);
+  if (/^u?int/.test(type)) return value.toString();
+  if (type === "address") return ethers.getAddress(value);
+  return jsonValue(value);
+}
+
+/**
+ * Copies every event of a deployment into a ledger store
+ *
+ * Each `sync` first checks that the checkpoint block is still on the chain. If its hash
+ * changed, the indexer walks back through the block hashes it recorded until one matches,
+ * and rolls the store back to that block. It then reads from the block after the checkpoint
+ * up to the head minus `confirmations`, one `blockRange` at a time, with a single getLogs over
+ * every contract. Each range (events, block hashes, checkpoint) is written atomically, so a
+ * crash replays at most one range and a resumed indexer never skips or duplicates rows.
+ */
+class LedgerIndexer {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Provider} options.provider Provider
+   * @param {Array<{name: string, address: string, abi: object[]}>} options.contracts Contracts to index
+   *   (from loadLedgerContracts)
+   * @param {object} options.store PostgresLedgerStore or MemoryLedgerStore
+   * @param {number} [options.fromBlock=0] First block when there is no checkpoint yet
+   * @param {number} [options.confirmations=0] Blocks to stay behind the head
+   * @param {number} [options.blockRange=2000] Blocks per getLogs request
+   * @param {string} [options.checkpoint="public-ledger"] Checkpoint name in the store
+   * @param {function(string): void} [options.log=console.log] Progress output
+   */
+  constructor({
+    provider,
+    contracts,
+    store,
+    fromBlock = 0,
+    confirmations = 0,
+    blockRange = 2000,
+    checkpoint = "public-ledger",
+    log = console.log,
+  }) {
+    if (!provider || !contracts || !store) {
+      throw new Error("Ledger: provider, contracts and store are required");
+    }
+    this.provider = provider;
+    this.contracts = new Map(
+      contracts.map(({ name, address, abi }) => [
+        ethers.getAddress(address),
+        { name, iface: abi instanceof ethers.Interface ? abi : new ethers.Interface(abi) },
+      ]),
+    );
+    this.store = store;
+    this.fromBlock = fromBlock;
+    this.confirmations = confirmations;
+    this.blockRange = blockRange;
+    this.checkpoint = checkpoint;
+    this.log = log;
+  }
+
+  /**
+   * Roll back, then index every confirmed block since the checkpoint
+   * @returns {Promise<{from: number, to: number, events: number, undecoded: number, reorg: object|null}>}
+   *   Blocks covered (to < from when there was nothing to do), events written, logs no ABI could
+   *   decode, and the rollback if there was one ({ from: old checkpoint, to: fork block })
+   */
+  async sync() {
+    const reorg = await this.rollbackReorg();
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const checkpoint = await this.store.getCheckpoint(this.checkpoint);
+    const from = checkpoint ? checkpoint.blockNumber + 1 : this.fromBlock;
+    const result = { from, to: from - 1, events: 0, undecoded: 0, reorg };
+
+    for (let start = from; start <= head; start += this.blockRange) {
+      const end = Math.min(start + this.blockRange - 1, head);
+      const { events, blocks, undecoded } = await this.readEvents(start, end);
+      const last = await this.provider.getBlock(end);
+      await this.store.writeRange({
+        checkpoint: this.checkpoint,
+        events,
+        blocks: [...blocks, { number: end, hash: last.hash }],
+        head: { number: end, hash: last.hash },
+      });
+      result.to = end;
+      result.events += events.length;
+      result.undecoded += undecoded;
+    }
+    return result;
+  }
+
+  /**
+   * If the checkpoint block was reorganized away, roll the store back to the newest recorded
+   * block that is still on the chain (or to the start when none is)
+   * @returns {Promise<{from: number, to: number}|null>} Old checkpoint and fork block
+   */
+  async rollbackReorg() {
+    const checkpoint = await this.store.getCheckpoint(this.checkpoint);
+    if (!checkpoint) return null;
+    const current = await this.provider.getBlock(checkpoint.blockNumber);
+    if (current && current.hash === checkpoint.blockHash) return null;
+
+    let fork = null;
+    let below = checkpoint.blockNumber;
+    search: while (below >= this.fromBlock) {
+      const recorded = await this.store.recordedBlocks({ below });
+      if (recorded.length === 0) break;
+      for (const block of recorded) {
+        const onChain = await this.provider.getBlock(block.number);
+        if (onChain && onChain.hash === block.hash) {
+          fork = block;
+          break search;
+        }
+      }
+      below = recorded.at(-1).number - 1;
+    }
+
+    await this.store.rollback(this.checkpoint, fork);
+    const to = fork ? fork.number : this.fromBlock - 1;
+    this.log(`⚠️  Reorg: block ${checkpoint.blockNumber} changed, rolled back to block ${to}`);
+    return { from: checkpoint.blockNumber, to };
+  }
+
+  /**
+   * Decoded events of every contract in a block range, in chain order
+   * @param {number} fromBlock First block
+   * @param {number} toBlock Last block
+   * @returns {Promise<{events: object[], blocks: Array<{number: number, hash: string}>, undecoded: number}>}
+   *   Events, the blocks they are in, and logs no ABI could decode
+   */
+  async readEvents(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({ address: [...this.contracts.keys()], fromBlock, toBlock });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const blocks = new Map();
+    const events = [];
+    let undecoded = 0;
+    for (const log of logs) {
+      if (!blocks.has(log.blockNumber)) {
+        const block = await this.provider.getBlock(log.blockNumber);
+        if (!block || block.hash !== log.blockHash) {
+          throw new Error(`Ledger: Block ${log.blockNumber} changed while indexing; retrying on the next sync`);
+        }
+        blocks.set(log.blockNumber, block);
+      }
+      const { name, iface } = this.contracts.get(ethers.getAddress(log.address));
+      const parsed = iface.parseLog({ topics: [...log.topics], data: log.data });
+      if (!parsed) {
+        undecoded++;
+        continue;
+      }
+      events.push({
+        ...decodeEvent(parsed),
+        contract: name,
+        address: ethers.getAddress(log.address),
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        blockTimestamp: blocks.get(log.blockNumber).timestamp,
+        logIndex: log.index,
+        txHash: log.transactionHash,
+      });
+    }
+    return {
+      events,
+      blocks: [...blocks.values()].map((block) => ({ number: block.number, hash: block.hash })),
+      undecoded,
+    };
+  }
+
+  /**
+   * Sync every `interval` milliseconds until stop() is called
+   * @param {object} [options]
+   * @param {number} [options.interval=5000] Milliseconds between syncs
+   * @param {function(object): void} [options.onSync] Called with each sync result
+   * @returns {Promise<void>} Resolves once stopped
+   */
+  run({ interval = 5000, onSync } = {}) {
+    this.poller = createPoller({
+      step: () => this.sync(),
+      interval,
+      onResult: onSync,
+      onError: (error) => this.log(`❌ Ledger sync failed: ${error.shortMessage || error.message}`),
+    });
+    return this.poller.run();
+  }
+
+  /** Stop run() after the current sync */
+  stop() {
+    if (this.poller) this.poller.stop();
+  }
+}
+
+/**
+ * An event's name, signature, JSON arguments and, for events with a normalized table, its
+ * table and column values
+ * @param {import("ethers").LogDescription} parsed Parsed log
+ * @returns {{event: string, signature: string, args: object, table?: string, columns?: object}}
+ */
+function decodeEvent(parsed) {
+  const { inputs } = parsed.fragment;
+  const args = Object.fromEntries(inputs.map((input, i) => [input.name, jsonValue(parsed.args[i])]));
+  const event = { event: parsed.name, signature: parsed.signature, args };
+  const table = EVENT_TABLES[parsed.signature];
+  if (table) {
+    event.table = table;
+    event.columns = Object.fromEntries(
+      inputs.map((input, i) => [columnName(input.name), columnValue(input.type, parsed.args[i])]),
+    );
+  }
+  return event;
+}
+
+module.exports = {
+  loadLedgerContracts,
+  decodeEvent,
+  LedgerIndexer,
+};
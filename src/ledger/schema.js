@@ -0,0 +1,345 @@
+/** Database from docs/DATABASE_SETUP.md */
+const DATABASE = "chainflow_public_ledger";
+
+/**
+ * Normalized tables, keyed by event signature so a renamed or upgraded artifact keeps its
+ * tables. Each row holds the event's arguments as snake_case columns (see columnName) next to
+ * block_number, log_index, tx_hash, block_timestamp and contract_address.
+ */
+const EVENT_TABLES = {
+  // TradeLedger
+  "BatchSubmitted(bytes32,address,bytes32,uint256,uint256,string)": "settlement_batches",
+  "TradeVerified(bytes32,bytes32,bytes32,int256,uint256)": "verified_trades",
+  "TraderPnLVerified(bytes32,bytes32,int256,uint256)": "trader_pnl_verifications",
+  // PayoutManager
+  "PayoutRequested(bytes32,bytes32,address,int256,uint256)": "payout_requests",
+  "PayoutExecuted(bytes32,bytes32,address,uint256,uint256)": "payout_executions",
+  "PayoutRejected(bytes32,bytes32,string)": "payout_rejections",
+  // CapitalPool
+  "Deposited(address,uint256,uint256,uint256)": "pool_deposits",
+  "WithdrawalRequested(address,uint256,uint256,uint256)": "pool_withdrawal_requests",
+  "Withdrawn(address,uint256,uint256,uint256)": "pool_withdrawals",
+  "AllocatedToTrader(bytes32,uint256,uint256)": "trader_allocations",
+  "DeallocatedFromTrader(bytes32,uint256,int256,uint256)": "trader_deallocations",
+  "PnLUpdated(bytes32,int256,int256,uint256)": "trader_pnl_updates",
+  // InsuranceFund
+  "ClaimSubmitted(bytes32,address,bytes32,uint256)": "insurance_claims",
+  "ClaimApproved(bytes32,address,uint256)": "insurance_claim_approvals",
+  "ClaimRejected(bytes32,address,string)": "insurance_claim_rejections",
+  "ReserveAdded(address,address,uint256,uint256)": "insurance_reserve_additions",
+  "ReserveUsed(bytes32,address,uint256,string)": "insurance_reserve_uses",
+  // Vault
+  "Deposited(address,address,uint256,uint256)": "vault_deposits",
+  "TransferRequested(bytes32,address,address,uint256,address,uint256)": "vault_transfer_requests",
+  "TransferApproved(bytes32,address,uint256)": "vault_transfer_approvals",
+  "TransferExecuted(bytes32,address,address,uint256,address)": "vault_transfer_executions",
+  "TransferCancelled(bytes32,address)": "vault_transfer_cancellations",
+  // TraderAccountRegistry
+  "TraderRegistered(bytes32,address,uint8,uint256)": "trader_registrations",
+  "TierUpdated(bytes32,uint8,uint8,uint256)": "trader_tier_changes",
+  "StatusChanged(bytes32,uint8,uint8,string,uint256)": "trader_status_changes",
+  "AccountBreached(bytes32,string,uint256)": "trader_breaches",
+  // KeeperIncentive
+  "KeeperRewarded(address,uint8,uint256,uint256)": "keeper_rewards",
+  "KeeperSlashed(address,uint256,string)": "keeper_slashes",
+};
+
+/** Argument names that are SQL keywords */
+const RENAMED_COLUMNS = { from: "from_address", to: "to_address" };
+
+/**
+ * Column for an event argument: `traderId` → `trader_id`, `grossPnL` → `gross_pnl`, `to` → `to_address`
+ * @param {string} name Argument name
+ * @returns {string}
+ */
+function columnName(name) {
+  if (RENAMED_COLUMNS[name]) return RENAMED_COLUMNS[name];
+  return name
+    .replace(/PnL/g, "Pnl")
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .toLowerCase();
+}
+
+const EVENT_COLUMNS = `block_number BIGINT NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    block_timestamp TIMESTAMPTZ NOT NULL,
+    contract_address TEXT NOT NULL`;
+
+const eventTable = (name, columns) => `CREATE TABLE IF NOT EXISTS ${name} (
+    ${EVENT_COLUMNS},
+    ${columns.join(",\n    ")},
+    PRIMARY KEY (block_number, log_index)
+  )`;
+
+const AMOUNT = "NUMERIC(78, 0)";
+
+/**
+ * Schema migrations, applied in order and recorded in `schema_migrations`. Never edit a
+ * migration that has shipped; add a new one.
+ *
+ * Every table carries `block_number`, so a reorg rolls back by deleting rows above the fork.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "chain_events",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS chain_events (
+    ${EVENT_COLUMNS},
+    block_hash TEXT NOT NULL,
+    contract TEXT NOT NULL,
+    event TEXT NOT NULL,
+    signature TEXT NOT NULL,
+    args JSONB NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  )`,
+      "CREATE INDEX IF NOT EXISTS chain_events_contract_event ON chain_events (contract, event, block_number)",
+      `CREATE TABLE IF NOT EXISTS indexed_blocks (
+    block_number BIGINT PRIMARY KEY,
+    block_hash TEXT NOT NULL
+  )`,
+      `CREATE TABLE IF NOT EXISTS indexer_checkpoints (
+    name TEXT PRIMARY KEY,
+    block_number BIGINT NOT NULL,
+    block_hash TEXT NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`,
+    ],
+  },
+  {
+    version: 2,
+    name: "normalized_events",
+    statements: [
+      eventTable("settlement_batches", [
+        "batch_id TEXT NOT NULL",
+        "operator TEXT NOT NULL",
+        "merkle_root TEXT NOT NULL",
+        `trade_count ${AMOUNT} NOT NULL`,
+        `timestamp ${AMOUNT} NOT NULL`,
+        "metadata TEXT NOT NULL",
+      ]),
+      eventTable("verified_trades", [
+        "batch_id TEXT NOT NULL",
+        "trade_id TEXT NOT NULL",
+        "trader_id TEXT NOT NULL",
+        `pnl ${AMOUNT} NOT NULL`,
+        `timestamp ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("trader_pnl_verifications", [
+        "batch_id TEXT NOT NULL",
+        "trader_id TEXT NOT NULL",
+        `total_pnl ${AMOUNT} NOT NULL`,
+        `trade_count ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("payout_requests", [
+        "request_id TEXT NOT NULL",
+        "trader_id TEXT NOT NULL",
+        "recipient TEXT NOT NULL",
+        `gross_pnl ${AMOUNT} NOT NULL`,
+        `trader_share ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("payout_executions", [
+        "request_id TEXT NOT NULL",
+        "trader_id TEXT NOT NULL",
+        "recipient TEXT NOT NULL",
+        `amount ${AMOUNT} NOT NULL`,
+        `timestamp ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("payout_rejections", ["request_id TEXT NOT NULL", "trader_id TEXT NOT NULL", "reason TEXT NOT NULL"]),
+      eventTable("pool_deposits", [
+        "lp TEXT NOT NULL",
+        `amount ${AMOUNT} NOT NULL`,
+        `shares ${AMOUNT} NOT NULL`,
+        `timestamp ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("pool_withdrawal_requests", [
+        "lp TEXT NOT NULL",
+        `amount ${AMOUNT} NOT NULL`,
+        `shares ${AMOUNT} NOT NULL`,
+        `available_at ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("pool_withdrawals", [
+        "lp TEXT NOT NULL",
+        `amount ${AMOUNT} NOT NULL`,
+        `shares ${AMOUNT} NOT NULL`,
+        `timestamp ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("trader_allocations", [
+        "trader_id TEXT NOT NULL",
+        `amount ${AMOUNT} NOT NULL`,
+        `timestamp ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("trader_deallocations", [
+        "trader_id TEXT NOT NULL",
+        `amount ${AMOUNT} NOT NULL`,
+        `pnl ${AMOUNT} NOT NULL`,
+        `timestamp ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("trader_pnl_updates", [
+        "trader_id TEXT NOT NULL",
+        `previous_pnl ${AMOUNT} NOT NULL`,
+        `new_pnl ${AMOUNT} NOT NULL`,
+        `timestamp ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("insurance_claims", [
+        "claim_id TEXT NOT NULL",
+        "claimant TEXT NOT NULL",
+        "trader_id TEXT NOT NULL",
+        `amount ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("insurance_claim_approvals", [
+        "claim_id TEXT NOT NULL",
+        "approver TEXT NOT NULL",
+        `amount ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("insurance_claim_rejections", [
+        "claim_id TEXT NOT NULL",
+        "rejector TEXT NOT NULL",
+        "reason TEXT NOT NULL",
+      ]),
+      eventTable("insurance_reserve_additions", [
+        "token TEXT NOT NULL",
+        "from_address TEXT NOT NULL",
+        `amount ${AMOUNT} NOT NULL`,
+        `new_balance ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("insurance_reserve_uses", [
+        "claim_id TEXT NOT NULL",
+        "token TEXT NOT NULL",
+        `amount ${AMOUNT} NOT NULL`,
+        "reason TEXT NOT NULL",
+      ]),
+      eventTable("vault_deposits", [
+        "token TEXT NOT NULL",
+        "from_address TEXT NOT NULL",
+        `amount ${AMOUNT} NOT NULL`,
+        `timestamp ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("vault_transfer_requests", [
+        "request_id TEXT NOT NULL",
+        "token TEXT NOT NULL",
+        "to_address TEXT NOT NULL",
+        `amount ${AMOUNT} NOT NULL`,
+        "requester TEXT NOT NULL",
+        `execute_after ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("vault_transfer_approvals", [
+        "request_id TEXT NOT NULL",
+        "guardian TEXT NOT NULL",
+        `approvals ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("vault_transfer_executions", [
+        "request_id TEXT NOT NULL",
+        "token TEXT NOT NULL",
+        "to_address TEXT NOT NULL",
+        `amount ${AMOUNT} NOT NULL`,
+        "executor TEXT NOT NULL",
+      ]),
+      eventTable("vault_transfer_cancellations", ["request_id TEXT NOT NULL", "cancelled_by TEXT NOT NULL"]),
+      eventTable("trader_registrations", [
+        "trader_id TEXT NOT NULL",
+        "trader_address TEXT NOT NULL",
+        "tier SMALLINT NOT NULL",
+        `timestamp ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("trader_tier_changes", [
+        "trader_id TEXT NOT NULL",
+        "old_tier SMALLINT NOT NULL",
+        "new_tier SMALLINT NOT NULL",
+        `timestamp ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("trader_status_changes", [
+        "trader_id TEXT NOT NULL",
+        "old_status SMALLINT NOT NULL",
+        "new_status SMALLINT NOT NULL",
+        "reason TEXT NOT NULL",
+        `timestamp ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("trader_breaches", [
+        "trader_id TEXT NOT NULL",
+        "breach_type TEXT NOT NULL",
+        `timestamp ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("keeper_rewards", [
+        "keeper TEXT NOT NULL",
+        "action_type SMALLINT NOT NULL",
+        `reward ${AMOUNT} NOT NULL`,
+        `timestamp ${AMOUNT} NOT NULL`,
+      ]),
+      eventTable("keeper_slashes", ["keeper TEXT NOT NULL", `slash_amount ${AMOUNT} NOT NULL`, "reason TEXT NOT NULL"]),
+      "CREATE INDEX IF NOT EXISTS settlement_batches_batch ON settlement_batches (batch_id)",
+      "CREATE INDEX IF NOT EXISTS verified_trades_trader ON verified_trades (trader_id, block_number)",
+      "CREATE INDEX IF NOT EXISTS verified_trades_batch ON verified_trades (batch_id)",
+      "CREATE INDEX IF NOT EXISTS trader_pnl_verifications_trader ON trader_pnl_verifications (trader_id)",
+      "CREATE INDEX IF NOT EXISTS payout_requests_request ON payout_requests (request_id)",
+      "CREATE INDEX IF NOT EXISTS payout_requests_trader ON payout_requests (trader_id)",
+      "CREATE INDEX IF NOT EXISTS pool_deposits_lp ON pool_deposits (lp)",
+      "CREATE INDEX IF NOT EXISTS pool_withdrawals_lp ON pool_withdrawals (lp)",
+      "CREATE INDEX IF NOT EXISTS trader_allocations_trader ON trader_allocations (trader_id)",
+      "CREATE INDEX IF NOT EXISTS insurance_claims_claim ON insurance_claims (claim_id)",
+      "CREATE INDEX IF NOT EXISTS vault_transfer_requests_request ON vault_transfer_requests (request_id)",
+      "CREATE INDEX IF NOT EXISTS trader_registrations_trader ON trader_registrations (trader_id)",
+    ],
+  },
+  {
+    version: 3,
+    name: "state_views",
+    statements: [
+      `CREATE OR REPLACE VIEW payouts AS
+  SELECT r.request_id, r.trader_id, r.recipient, r.gross_pnl, r.trader_share,
+    CASE WHEN e.request_id IS NOT NULL THEN 'executed' WHEN j.request_id IS NOT NULL THEN 'rejected' ELSE 'pending' END
+      AS status,
+    e.amount AS paid_amount, j.reason AS rejection_reason,
+    r.block_timestamp AS requested_at, COALESCE(e.block_timestamp, j.block_timestamp) AS settled_at
+  FROM payout_requests r
+  LEFT JOIN payout_executions e ON e.request_id = r.request_id
+  LEFT JOIN payout_rejections j ON j.request_id = r.request_id`,
+      `CREATE OR REPLACE VIEW insurance_claim_status AS
+  SELECT c.claim_id, c.claimant, c.trader_id, c.amount AS requested_amount,
+    CASE WHEN a.claim_id IS NOT NULL THEN 'approved' WHEN j.claim_id IS NOT NULL THEN 'rejected' ELSE 'pending' END
+      AS status,
+    a.amount AS approved_amount, j.reason AS rejection_reason, c.block_timestamp AS submitted_at
+  FROM insurance_claims c
+  LEFT JOIN insurance_claim_approvals a ON a.claim_id = c.claim_id
+  LEFT JOIN insurance_claim_rejections j ON j.claim_id = c.claim_id`,
+      `CREATE OR REPLACE VIEW vault_transfers AS
+  SELECT r.request_id, r.token, r.to_address, r.amount, r.requester, r.execute_after,
+    (SELECT COUNT(*) FROM vault_transfer_approvals a WHERE a.request_id = r.request_id) AS approvals,
+    CASE WHEN e.request_id IS NOT NULL THEN 'executed' WHEN c.request_id IS NOT NULL THEN 'cancelled' ELSE 'pending' END
+      AS status,
+    r.block_timestamp AS requested_at
+  FROM vault_transfer_requests r
+  LEFT JOIN vault_transfer_executions e ON e.request_id = r.request_id
+  LEFT JOIN vault_transfer_cancellations c ON c.request_id = r.request_id`,
+    ],
+  },
+];
+
+/**
+ * Columns of every table the migrations create, read from their CREATE TABLE statements
+ * @returns {Map<string, string[]>} Table name → columns
+ */
+function tableColumns() {
+  const tables = new Map();
+  for (const { statements } of MIGRATIONS) {
+    for (const statement of statements) {
+      const match = statement.match(/^CREATE TABLE IF NOT EXISTS (\w+) \(([\s\S]*)\)$/);
+      if (!match) continue;
+      const columns = match[2]
+        .split(",\n")
+        .map((line) => line.trim().split(/\s+/)[0])
+        .filter((column) => column !== "PRIMARY");
+      tables.set(match[1], columns);
+    }
+  }
+  return tables;
+}
+
+module.exports = {
+  DATABASE,
+  EVENT_TABLES,
+  MIGRATIONS,
+  columnName,
+  tableColumns,
+};
@@ -0,0 +1,119 @@
+const axios = require("axios");
+
+/** Notifications kept for retry while every webhook is failing */
+const MAX_PENDING = 1000;
+
+/**
+ * Tracks firing alerts and posts their transitions to webhooks
+ *
+ * The monitor reports every condition on every poll through `evaluate`; the manager turns that
+ * into notifications: `firing` when a condition starts, again every `repeatInterval` while it
+ * lasts, and `resolved` when it clears. Notifications from one poll are sent together in `flush`
+ * as one JSON POST per webhook:
+ *
+ *   { "source": "oracle-monitor", "alerts": [{ status, key, rule, severity, oracle, symbol, summary,
+ *     value, threshold, startsAt, endsAt? }] }
+ *
+ * Timestamps are Unix seconds. Notifications that no webhook accepted are retried on the next flush.
+ */
+class AlertManager {
+  /**
+   * @param {object} [options]
+   * @param {Array<string|{url: string, headers?: object}>} [options.webhooks=[]] Webhook endpoints
+   * @param {number} [options.repeatInterval=3600] Seconds between reminders for an alert that keeps firing
+   * @param {number} [options.timeout=5000] Webhook request timeout in milliseconds
+   * @param {function(string): void} [options.log=console.log] Progress output
+   */
+  constructor({ webhooks = [], repeatInterval = 3600, timeout = 5000, log = console.log } = {}) {
+    this.webhooks = webhooks.map((webhook) => (typeof webhook === "string" ? { url: webhook } : webhook));
+    this.repeatInterval = repeatInterval;
+    this.timeout = timeout;
+    this.log = log;
+    this.active = new Map();
+    this.pending = [];
+    this.failures = 0;
+  }
+
+  /**
+   * Report whether a condition holds now
+   * @param {string} key Stable identity, e.g. `stale:stockOracle:AAPL/USD`
+   * @param {boolean} firing Whether the condition holds
+   * @param {object} alert `{ rule, severity, oracle?, symbol?, summary, value?, threshold? }` (used when firing)
+   * @param {number} now Unix seconds
+   */
+  evaluate(key, firing, alert, now) {
+    const current = this.active.get(key);
+    if (firing) {
+      if (!current) {
+        const started = { ...alert, key, startsAt: now, lastSent: now };
+        this.active.set(key, started);
+        this.queue("firing", started);
+      } else {
+        Object.assign(current, alert);
+        if (now - current.lastSent >= this.repeatInterval) {
+          current.lastSent = now;
+          this.queue("firing", current);
+        }
+      }
+    } else if (current) {
+      this.active.delete(key);
+      this.queue("resolved", { ...current, endsAt: now });
+    }
+  }
+
+  /**
+   * Resolve every active alert whose key starts with a prefix and was not reported this poll
+   * @param {string} prefix Key prefix, e.g. `stale:`
+   * @param {Set<string>} seen Keys reported this poll
+   * @param {number} now Unix seconds
+   */
+  retain(prefix, seen, now) {
+    for (const key of [...this.active.keys()]) {
+      if (key.startsWith(prefix) && !seen.has(key)) this.evaluate(key, false, undefined, now);
+    }
+  }
+
+  /**
+   * Alerts currently firing
+   * @returns {object[]}
+   */
+  firing() {
+    return [...this.active.values()].map(({ lastSent: _, ...alert }) => alert);
+  }
+
+  queue(status, { lastSent: _, ...alert }) {
+    this.pending.push({ status, ...alert });
+    if (this.pending.length > MAX_PENDING) this.pending.splice(0, this.pending.length - MAX_PENDING);
+  }
+
+  /**
+   * Send queued notifications
+   * @returns {Promise<{sent: number, failed: string[]}>} Notifications sent and webhooks that failed
+   */
+  async flush() {
+    // Without webhooks alerts are only logged and exposed through the monitor's endpoints
+    if (this.webhooks.length === 0) return { sent: this.pending.splice(0).length, failed: [] };
+    if (this.pending.length === 0) return { sent: 0, failed: [] };
+
+    const alerts = this.pending.splice(0);
+    const failed = [];
+    for (const { url, headers } of this.webhooks) {
+      try {
+        await axios.post(url, { source: "oracle-monitor", alerts }, { headers, timeout: this.timeout });
+      } catch (error) {
+        failed.push(url);
+        this.failures++;
+        this.log(`❌ Alert webhook ${url} failed: ${error.message}`);
+      }
+    }
+    if (failed.length === this.webhooks.length) {
+      this.pending.unshift(...alerts);
+      return { sent: 0, failed };
+    }
+    return { sent: alerts.length, failed };
+  }
+}
+
+module.exports = {
+  AlertManager,
+};
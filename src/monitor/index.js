@@ -0,0 +1,16 @@
+const { MetricsRegistry, Metric } = require("./metrics");
+const { AlertManager } = require("./alerts");
+const { ASSET_CLASSES, REGISTRY_ABI, ORACLE_ABI, MONITOR_DEFAULTS, OracleMonitor } = require("./monitor");
+const { createMonitorApp } = require("./server");
+
+module.exports = {
+  MetricsRegistry,
+  Metric,
+  AlertManager,
+  ASSET_CLASSES,
+  REGISTRY_ABI,
+  ORACLE_ABI,
+  MONITOR_DEFAULTS,
+  OracleMonitor,
+  createMonitorApp,
+};
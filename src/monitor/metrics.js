@@ -0,0 +1,150 @@
+/**
+ * Minimal Prometheus registry
+ *
+ * Gauges and counters with labels, rendered in the text exposition format (version 0.0.4)
+ * that Prometheus scrapes from `/metrics`.
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Define (or fetch) a gauge
+   * @param {string} name Metric name
+   * @param {string} help Description
+   * @returns {Metric}
+   */
+  gauge(name, help) {
+    return this.define(name, help, "gauge");
+  }
+
+  /**
+   * Define (or fetch) a counter
+   * @param {string} name Metric name, conventionally ending in `_total`
+   * @param {string} help Description
+   * @returns {Metric}
+   */
+  counter(name, help) {
+    return this.define(name, help, "counter");
+  }
+
+  define(name, help, type) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new Error(`Metrics: Invalid metric name ${name}`);
+    }
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`Metrics: ${name} is already a ${existing.type}`);
+      }
+      return existing;
+    }
+    const metric = new Metric(name, help, type);
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  /**
+   * Current value of a series, for tests and health output
+   * @param {string} name Metric name
+   * @param {object} [labels={}] Label values
+   * @returns {number|undefined}
+   */
+  value(name, labels = {}) {
+    return this.metrics.get(name)?.get(labels);
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   * @returns {string}
+   */
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const { labels, value } of metric.series.values()) {
+        lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+}
+
+/** One metric and its labelled series */
+class Metric {
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.series = new Map();
+  }
+
+  /**
+   * Set a gauge series
+   * @param {object} labels Label values
+   * @param {number|bigint|boolean} value New value
+   */
+  set(labels, value) {
+    if (this.type !== "gauge") {
+      throw new Error(`Metrics: ${this.name} is a counter; use inc`);
+    }
+    this.series.set(seriesKey(labels), { labels, value: Number(value) });
+  }
+
+  /**
+   * Increase a series
+   * @param {object} labels Label values
+   * @param {number} [by=1] Amount (counters only go up)
+   */
+  inc(labels, by = 1) {
+    if (this.type === "counter" && by < 0) {
+      throw new Error(`Metrics: ${this.name} is a counter and cannot decrease`);
+    }
+    const key = seriesKey(labels);
+    this.series.set(key, { labels, value: (this.series.get(key)?.value || 0) + by });
+  }
+
+  /**
+   * Value of a series
+   * @param {object} labels Label values
+   * @returns {number|undefined}
+   */
+  get(labels) {
+    return this.series.get(seriesKey(labels))?.value;
+  }
+
+  /**
+   * Drop a series, e.g. for a symbol that is no longer tracked
+   * @param {object} labels Label values
+   */
+  remove(labels) {
+    this.series.delete(seriesKey(labels));
+  }
+}
+
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  const escaped = entries.map(
+    ([key, value]) => `${key}="${String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')}"`,
+  );
+  return `{${escaped.join(",")}}`;
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return "NaN";
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+module.exports = {
+  MetricsRegistry,
+  Metric,
+};
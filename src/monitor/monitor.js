@@ -0,0 +1,410 @@
+const { ethers } = require("ethers");
+const { createPriceSource, aggregateReadings, deviationBps, fromOracleUnits } = require("../oracles");
+const { MetricsRegistry } = require("./metrics");
+const { AlertManager } = require("./alerts");
+const { createPoller } = require("../poller");
+
+/** OracleRegistry.AssetClass, in enum order; `<class>Oracle` is the oracle's name in deployment records */
+const ASSET_CLASSES = ["crypto", "stock", "forex", "commodity", "index"];
+
+/** The part of OracleRegistry the monitor reads */
+const REGISTRY_ABI = [
+  "function getAllSymbols() view returns (bytes32[])",
+  "function getOracleHealth() view returns (tuple(uint8 assetClass, address oracleAddress, bool isActive, uint256 lastUpdate, uint256 symbolCount)[])",
+  "function symbolToAssetClass(bytes32 symbol) view returns (uint8)",
+];
+
+/** The part of OracleBase the monitor reads */
+const ORACLE_ABI = [
+  "event PriceUpdated(bytes32 indexed symbol, int64 price, uint32 confidence, uint64 timestamp, address indexed source)",
+  "function prices(bytes32 symbol) view returns (int64 price, uint32 confidence, uint64 timestamp, address source)",
+  "function isStale(bytes32 symbol) view returns (bool)",
+];
+
+/** Alert thresholds; a feed config's `monitor` section overrides them */
+const MONITOR_DEFAULTS = {
+  deviationBps: 100,
+  maxConfidenceBps: 100,
+  feederTimeout: 300,
+  repeatInterval: 3600,
+};
+
+/**
+ * Watches the oracle system through OracleRegistry
+ *
+ * Every `poll` reads `getOracleHealth` and each symbol from `getAllSymbols`, replays new
+ * `PriceUpdated` events to see which feeders are alive, optionally prices each symbol from the
+ * feed config's sources as a reference, then updates the metrics and raises or resolves alerts:
+ *
+ * - `oracle_inactive`: the registry has no oracle for an asset class
+ * - `stale`: the oracle's `isStale` is true while the symbol's market is open
+ * - `confidence_wide`: the confidence interval reaches `maxConfidenceBps`
+ * - `reference_deviation`: the oracle price is `deviationBps` away from the reference sources
+ * - `feeder_silent`: a feeder sent nothing for `feederTimeout` seconds while a market it feeds is open
+ */
+class OracleMonitor {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Contract} options.registry OracleRegistry (REGISTRY_ABI is enough)
+   * @param {import("ethers").Provider} options.provider Provider for oracle reads and events
+   * @param {object} [options.config] Feed config (from loadFeedConfig): symbol names, reference sources, thresholds
+   * @param {boolean} [options.reference=true] Price symbols from the config's sources for the deviation check
+   * @param {import("../oracles").MarketScheduler} [options.scheduler] Market calendars, to hold stale alerts while closed
+   * @param {string[]} [options.feeders=[]] Feeder addresses expected to be live even before their first event
+   * @param {object} [options.thresholds] Overrides for MONITOR_DEFAULTS
+   * @param {AlertManager} [options.alerts] Alert manager (defaults to one without webhooks)
+   * @param {MetricsRegistry} [options.metrics] Metrics registry
+   * @param {function(): Promise<number>} [options.clock] Current time in seconds (defaults to the latest block)
+   * @param {number} [options.lookbackBlocks=5000] Blocks of events to replay on the first poll
+   * @param {number} [options.blockRange=2000] Blocks per event query
+   * @param {function(string): void} [options.log=console.log] Progress output
+   */
+  constructor({
+    registry,
+    provider,
+    config,
+    reference = true,
+    scheduler,
+    feeders = [],
+    thresholds,
+    alerts,
+    metrics,
+    clock,
+    lookbackBlocks = 5000,
+    blockRange = 2000,
+    log = console.log,
+  }) {
+    if (!registry || !provider) {
+      throw new Error("Monitor: registry and provider are required");
+    }
+    this.registry = registry;
+    this.provider = provider;
+    this.config = config;
+    this.scheduler = scheduler;
+    this.thresholds = { ...MONITOR_DEFAULTS, ...config?.monitor, ...thresholds };
+    this.alerts = alerts || new AlertManager({ repeatInterval: this.thresholds.repeatInterval, log });
+    this.metrics = metrics || new MetricsRegistry();
+    this.clock = clock || (async () => (await provider.getBlock("latest")).timestamp);
+    this.lookbackBlocks = lookbackBlocks;
+    this.blockRange = blockRange;
+    this.log = log;
+
+    this.names = new Map();
+    for (const feed of config?.feeds || []) this.names.set(ethers.id(feed.symbol), feed.symbol);
+    this.sources =
+      reference && config
+        ? Object.fromEntries(Object.entries(config.sources).map(([name, source]) => [name, createPriceSource(source)]))
+        : {};
+
+    this.contracts = new Map();
+    this.feeders = new Map(
+      feeders.map((address) => [ethers.getAddress(address), { lastUpdate: 0, updates: 0, feeds: new Set() }]),
+    );
+    this.lastBlock = undefined;
+    this.lastPoll = undefined;
+
+    const gauge = (name, help) => this.metrics.gauge(name, help);
+    const counter = (name, help) => this.metrics.counter(name, help);
+    this.gauges = {
+      active: gauge("oracle_active", "1 when the registry has an oracle for the asset class"),
+      lastUpdate: gauge("oracle_last_update_timestamp", "Newest price timestamp across the asset class"),
+      symbolCount: gauge("oracle_symbols", "Symbols mapped to the asset class"),
+      price: gauge("oracle_price", "Current oracle price"),
+      confidence: gauge("oracle_confidence_bps", "Confidence interval in basis points"),
+      age: gauge("oracle_price_age_seconds", "Seconds since the price was updated"),
+      stale: gauge("oracle_stale", "1 when the oracle reports the price as stale"),
+      marketOpen: gauge("oracle_market_open", "1 when the symbol's market is open by its calendar"),
+      reference: gauge("oracle_reference_price", "Price aggregated from the reference sources"),
+      deviation: gauge("oracle_reference_deviation_bps", "Distance between oracle and reference price in basis points"),
+      feederLastUpdate: gauge("oracle_feeder_last_update_timestamp", "Timestamp of the feeder's newest PriceUpdated"),
+      firing: gauge("oracle_monitor_alerts_firing", "Alerts currently firing, by rule"),
+      lastPoll: gauge("oracle_monitor_last_poll_timestamp", "Chain time of the last completed poll"),
+    };
+    this.counters = {
+      feederUpdates: counter("oracle_feeder_updates_total", "PriceUpdated events seen, by feeder and oracle"),
+      errors: counter("oracle_monitor_errors_total", "Failed reads, by stage"),
+      webhookFailures: counter("oracle_monitor_webhook_failures_total", "Alert webhook requests that failed"),
+    };
+  }
+
+  /**
+   * Label for a symbol hash: its name from the feed config, or the hash itself
+   * @param {string} symbolHash bytes32 symbol
+   * @returns {string}
+   */
+  symbolName(symbolHash) {
+    return this.names.get(symbolHash) || symbolHash;
+  }
+
+  oracleContract(address) {
+    if (!this.contracts.has(address)) {
+      this.contracts.set(address, new ethers.Contract(address, ORACLE_ABI, this.provider));
+    }
+    return this.contracts.get(address);
+  }
+
+  /**
+   * Run one check of every oracle and symbol
+   * @returns {Promise<object>} { timestamp, oracles, symbols, feeders, firing, notifications }
+   */
+  async poll() {
+    const now = Number(await this.clock());
+    const report = { timestamp: now, oracles: [], symbols: [], feeders: [], firing: [], notifications: 0 };
+    const seen = new Set();
+    const raise = (key, firing, alert) => {
+      seen.add(key);
+      this.alerts.evaluate(key, firing, alert, now);
+    };
+
+    const oracles = new Map();
+    for (const health of await this.registry.getOracleHealth()) {
+      const assetClass = ASSET_CLASSES[Number(health.assetClass)];
+      const name = `${assetClass}Oracle`;
+      const labels = { asset_class: assetClass };
+      this.gauges.active.set(labels, health.isActive);
+      this.gauges.lastUpdate.set(labels, health.lastUpdate);
+      this.gauges.symbolCount.set(labels, health.symbolCount);
+      report.oracles.push({
+        name,
+        address: health.oracleAddress,
+        active: health.isActive,
+        lastUpdate: Number(health.lastUpdate),
+      });
+      raise(`oracle_inactive:${name}`, !health.isActive, {
+        rule: "oracle_inactive",
+        severity: "critical",
+        oracle: name,
+        summary: `No ${assetClass} oracle is registered`,
+      });
+      if (health.isActive) {
+        oracles.set(Number(health.assetClass), {
+          name,
+          assetClass,
+          contract: this.oracleContract(health.oracleAddress),
+        });
+      }
+    }
+
+    await this.scanEvents([...oracles.values()]);
+
+    for (const symbolHash of await this.registry.getAllSymbols()) {
+      const oracle = oracles.get(Number(await this.registry.symbolToAssetClass(symbolHash)));
+      if (!oracle) continue;
+      try {
+        report.symbols.push(await this.checkSymbol(oracle, symbolHash, now, raise));
+      } catch (error) {
+        // A failed read says nothing new, so the symbol's alerts stay as they were
+        const symbol = this.symbolName(symbolHash);
+        for (const key of this.alerts.active.keys()) {
+          if (key.endsWith(`:${oracle.name}:${symbol}`)) seen.add(key);
+        }
+        this.counters.errors.inc({ stage: "symbol" });
+        this.log(`❌ ${oracle.name}.${this.symbolName(symbolHash)}: ${error.shortMessage || error.message}`);
+      }
+    }
+
+    for (const [address, feeder] of this.feeders) {
+      const feeds = [...feeder.feeds].map((key) => key.split(":"));
+      const busy = feeds.length === 0 || feeds.some(([oracle, symbol]) => this.isOpen(oracle, symbol, now));
+      const silentFor = now - feeder.lastUpdate;
+      this.gauges.feederLastUpdate.set({ feeder: address }, feeder.lastUpdate);
+      report.feeders.push({ address, lastUpdate: feeder.lastUpdate, updates: feeder.updates });
+      raise(`feeder_silent:${address}`, busy && silentFor > this.thresholds.feederTimeout, {
+        rule: "feeder_silent",
+        severity: "critical",
+        feeder: address,
+        summary:
+          feeder.lastUpdate === 0
+            ? `Feeder ${address} has sent no price updates`
+            : `Feeder ${address} has been silent for ${silentFor}s`,
+        value: silentFor,
+        threshold: this.thresholds.feederTimeout,
+      });
+    }
+
+    // Symbols and feeders that disappeared take their alerts with them
+    this.alerts.retain("", seen, now);
+    report.firing = this.alerts.firing();
+    const byRule = {};
+    for (const alert of report.firing) byRule[alert.rule] = (byRule[alert.rule] || 0) + 1;
+    for (const rule of ["oracle_inactive", "stale", "confidence_wide", "reference_deviation", "feeder_silent"]) {
+      this.gauges.firing.set({ rule }, byRule[rule] || 0);
+    }
+
+    const failuresBefore = this.alerts.failures;
+    report.notifications = (await this.alerts.flush()).sent;
+    this.counters.webhookFailures.inc({}, this.alerts.failures - failuresBefore);
+
+    this.gauges.lastPoll.set({}, now);
+    this.lastPoll = { timestamp: now, at: Date.now() };
+    return report;
+  }
+
+  /**
+   * Check one symbol and report its alert conditions
+   * @param {{name: string, assetClass: string, contract: import("ethers").Contract}} oracle Oracle
+   * @param {string} symbolHash bytes32 symbol
+   * @param {number} now Unix seconds
+   * @param {function(string, boolean, object): void} raise Alert callback
+   * @returns {Promise<object>} Symbol status
+   */
+  async checkSymbol(oracle, symbolHash, now, raise) {
+    const symbol = this.symbolName(symbolHash);
+    const labels = { oracle: oracle.name, symbol };
+    const [price, confidence, updatedAt] = await oracle.contract.prices(symbolHash);
+    const stale = await oracle.contract.isStale(symbolHash);
+    const timestamp = Number(updatedAt);
+    const open = this.isOpen(oracle.name, symbol, now);
+    const status = { oracle: oracle.name, symbol, price: null, confidence: Number(confidence), stale, open };
+
+    this.gauges.stale.set(labels, stale);
+    this.gauges.marketOpen.set(labels, open);
+    if (timestamp > 0) {
+      status.price = fromOracleUnits(price);
+      status.age = now - timestamp;
+      this.gauges.price.set(labels, status.price);
+      this.gauges.confidence.set(labels, confidence);
+      this.gauges.age.set(labels, status.age);
+    }
+
+    raise(`stale:${oracle.name}:${symbol}`, stale && open, {
+      rule: "stale",
+      severity: "critical",
+      oracle: oracle.name,
+      symbol,
+      summary: timestamp > 0 ? `${symbol} is stale (${status.age}s old)` : `${symbol} has no price yet`,
+      value: timestamp > 0 ? status.age : null,
+    });
+    raise(`confidence_wide:${oracle.name}:${symbol}`, timestamp > 0 && confidence >= this.thresholds.maxConfidenceBps, {
+      rule: "confidence_wide",
+      severity: "warning",
+      oracle: oracle.name,
+      symbol,
+      summary: `${symbol} confidence is ±${confidence} bps`,
+      value: Number(confidence),
+      threshold: this.thresholds.maxConfidenceBps,
+    });
+
+    const feed = this.config?.feeds.find((entry) => entry.oracle === oracle.name && entry.symbol === symbol);
+    if (feed && timestamp > 0 && open && Object.keys(this.sources).length > 0) {
+      const referencePrice = await this.referencePrice(feed, now);
+      if (referencePrice !== null) {
+        const deviation = Number(deviationBps(price, referencePrice));
+        status.reference = fromOracleUnits(referencePrice);
+        status.deviationBps = deviation;
+        this.gauges.reference.set(labels, status.reference);
+        this.gauges.deviation.set(labels, deviation);
+        raise(`reference_deviation:${oracle.name}:${symbol}`, deviation >= this.thresholds.deviationBps, {
+          rule: "reference_deviation",
+          severity: "warning",
+          oracle: oracle.name,
+          symbol,
+          summary: `${symbol} is ${deviation} bps from its reference price ${status.reference}`,
+          value: deviation,
+          threshold: this.thresholds.deviationBps,
+        });
+      }
+    }
+    return status;
+  }
+
+  /**
+   * Aggregate a feed's sources like the feeder does
+   * @param {object} feed Feed config entry
+   * @param {number} now Unix seconds
+   * @returns {Promise<bigint|null>} Price in oracle units, or null when the sources did not answer
+   */
+  async referencePrice(feed, now) {
+    const readings = [];
+    for (const name of feed.sources) {
+      try {
+        const reading = await this.sources[name].read(feed.symbol, now);
+        if (reading) readings.push({ ...reading, source: name });
+      } catch {
+        this.counters.errors.inc({ stage: "reference" });
+      }
+    }
+    try {
+      return aggregateReadings(readings, feed).price;
+    } catch {
+      return null;
+    }
+  }
+
+  isOpen(oracle, symbol, now) {
+    return this.scheduler ? this.scheduler.isOpen(oracle, symbol, now) : true;
+  }
+
+  /**
+   * Replay PriceUpdated events since the last poll into feeder liveness
+   *
+   * A block range is applied only once every oracle's events for it have been read, so a failed
+   * read retries the whole range next poll without counting the other oracles' events twice.
+   * @param {Array<{name: string, contract: import("ethers").Contract}>} oracles Active oracles
+   */
+  async scanEvents(oracles) {
+    const latest = await this.provider.getBlockNumber();
+    const from = this.lastBlock === undefined ? Math.max(0, latest - this.lookbackBlocks) : this.lastBlock + 1;
+
+    for (let start = from; start <= latest; start += this.blockRange) {
+      const end = Math.min(start + this.blockRange - 1, latest);
+      const chunk = [];
+      for (const { name, contract } of oracles) {
+        try {
+          chunk.push({ name, events: await contract.queryFilter(contract.filters.PriceUpdated(), start, end) });
+        } catch (error) {
+          this.counters.errors.inc({ stage: "events" });
+          this.log(`❌ ${name}: reading PriceUpdated ${start}-${end} failed: ${error.shortMessage || error.message}`);
+          return; // retry the same range next poll
+        }
+      }
+      for (const { name, events } of chunk) {
+        for (const event of events) {
+          const address = ethers.getAddress(event.args.source);
+          if (!this.feeders.has(address)) {
+            this.feeders.set(address, { lastUpdate: 0, updates: 0, feeds: new Set() });
+          }
+          const feeder = this.feeders.get(address);
+          feeder.lastUpdate = Math.max(feeder.lastUpdate, Number(event.args.timestamp));
+          feeder.updates++;
+          feeder.feeds.add(`${name}:${this.symbolName(event.args.symbol)}`);
+          this.counters.feederUpdates.inc({ feeder: address, oracle: name });
+        }
+      }
+      this.lastBlock = end;
+    }
+  }
+
+  /**
+   * Poll every `interval` milliseconds until stop() is called
+   * @param {object} [options]
+   * @param {number} [options.interval=15000] Milliseconds between polls
+   * @param {function(object): void} [options.onReport] Called with each poll report
+   * @returns {Promise<void>} Resolves once stopped
+   */
+  run({ interval = 15000, onReport } = {}) {
+    this.poller = createPoller({
+      step: () => this.poll(),
+      interval,
+      onResult: onReport,
+      onError: (error) => {
+        this.counters.errors.inc({ stage: "poll" });
+        this.log(`❌ Monitor poll failed: ${error.message}`);
+      },
+    });
+    return this.poller.run();
+  }
+
+  /** Stop run() after the current poll */
+  stop() {
+    if (this.poller) this.poller.stop();
+  }
+}
+
+module.exports = {
+  ASSET_CLASSES,
+  REGISTRY_ABI,
+  ORACLE_ABI,
+  MONITOR_DEFAULTS,
+  OracleMonitor,
+};
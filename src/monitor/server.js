@@ -0,0 +1,41 @@
+const express = require("express");
+
+/**
+ * Express app exposing an OracleMonitor
+ *
+ * **Routes:**
+ * - `GET /metrics` Prometheus text format
+ * - `GET /alerts`  alerts currently firing
+ * - `GET /health`  200 once a poll has completed within `maxPollAge` milliseconds, 503 otherwise
+ *
+ * @param {import("./monitor").OracleMonitor} monitor Monitor to expose
+ * @param {object} [options]
+ * @param {number} [options.maxPollAge=60000] Milliseconds after which the monitor counts as stuck
+ * @returns {import("express").Express} App (call `.listen()` to serve)
+ */
+function createMonitorApp(monitor, { maxPollAge = 60000 } = {}) {
+  const app = express();
+
+  app.get("/metrics", (req, res) => {
+    res.type("text/plain; version=0.0.4").send(monitor.metrics.render());
+  });
+
+  app.get("/alerts", (req, res) => {
+    res.json({ alerts: monitor.alerts.firing() });
+  });
+
+  app.get("/health", (req, res) => {
+    const ok = Boolean(monitor.lastPoll) && Date.now() - monitor.lastPoll.at <= maxPollAge;
+    res.status(ok ? 200 : 503).json({
+      ok,
+      lastPoll: monitor.lastPoll?.timestamp ?? null,
+      firing: monitor.alerts.firing().length,
+    });
+  });
+
+  return app;
+}
+
+module.exports = {
+  createMonitorApp,
+};
@@ -0,0 +1,122 @@
+const { ethers } = require("ethers");
+
+/** OracleBase.PRICE_DECIMALS */
+const PRICE_DECIMALS = 8;
+
+/** OracleBase confidence is in basis points, capped at 10000 */
+const MAX_CONFIDENCE_BPS = 10000n;
+
+/** Oracle prices are int64 on chain */
+const MAX_ORACLE_UNITS = 2n ** 63n - 1n;
+const MIN_ORACLE_UNITS = -(2n ** 63n);
+
+/**
+ * Convert a decimal price to oracle units (8 decimals)
+ * @param {number|string|bigint} value Decimal price, or a bigint already in oracle units
+ * @returns {bigint}
+ * @throws When the price does not fit the oracles' int64 (about ±92 billion)
+ */
+function toOracleUnits(value) {
+  let units;
+  if (typeof value === "bigint") {
+    units = value;
+  } else {
+    const text = typeof value === "number" ? value.toFixed(PRICE_DECIMALS) : String(value).trim();
+    const [whole, fraction = ""] = text.split(".");
+    units = ethers.parseUnits(fraction ? `${whole}.${fraction.slice(0, PRICE_DECIMALS)}` : whole, PRICE_DECIMALS);
+  }
+  if (units > MAX_ORACLE_UNITS || units < MIN_ORACLE_UNITS) {
+    const limit = ethers.formatUnits(MAX_ORACLE_UNITS, PRICE_DECIMALS);
+    throw new Error(`Aggregate: Price ${value} does not fit the oracles' int64 (±${limit})`);
+  }
+  return units;
+}
+
+/**
+ * Convert oracle units back to a decimal string
+ * @param {bigint} units Price with 8 decimals
+ * @returns {string}
+ */
+function fromOracleUnits(units) {
+  return ethers.formatUnits(units, PRICE_DECIMALS);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2n;
+}
+
+/**
+ * Distance between two prices in basis points of the reference, rounded down like
+ * OracleBase._checkPriceDeviation
+ * @param {bigint} price New price
+ * @param {bigint} reference Reference price
+ * @returns {bigint}
+ */
+function deviationBps(price, reference) {
+  if (reference === 0n) return 0n;
+  const diff = price > reference ? price - reference : reference - price;
+  return (diff * 10000n) / (reference < 0n ? -reference : reference);
+}
+
+/**
+ * Combine readings from several sources into one oracle update
+ *
+ * The price is the median. Readings further than `outlierBps` from it are dropped, as
+ * long as `minSources` remain. Confidence is the half-range of the remaining readings
+ * in basis points of the median, never below `minConfidenceBps`: sources that agree
+ * give a tight interval, sources that disagree widen it.
+ *
+ * @param {Array<{source: string, price: *, bid?: *, ask?: *, volume?: *}>} readings Readings with their source names
+ * @param {object} [options]
+ * @param {number} [options.minSources=1] Readings needed for an update
+ * @param {number} [options.outlierBps] Drop readings this far from the median
+ * @param {number} [options.minConfidenceBps=10] Confidence floor
+ * @returns {{price: bigint, confidence: number, bid?: bigint, ask?: bigint, volume?: bigint, sources: string[], dropped: string[]}}
+ */
+function aggregateReadings(readings, { minSources = 1, outlierBps, minConfidenceBps = 10 } = {}) {
+  let usable = readings.map((reading) => ({ ...reading, units: toOracleUnits(reading.price) }));
+  usable = usable.filter((reading) => reading.units > 0n);
+  if (usable.length < minSources || usable.length === 0) {
+    throw new Error(`Aggregate: ${usable.length} reading(s), ${minSources} required`);
+  }
+
+  let dropped = [];
+  if (outlierBps !== undefined) {
+    const mid = median(usable.map((reading) => reading.units));
+    const kept = usable.filter((reading) => deviationBps(reading.units, mid) <= BigInt(outlierBps));
+    if (kept.length >= minSources && kept.length > 0) {
+      dropped = usable.filter((reading) => !kept.includes(reading)).map((reading) => reading.source);
+      usable = kept;
+    }
+  }
+
+  const units = usable.map((reading) => reading.units);
+  const price = median(units);
+  const high = units.reduce((a, b) => (a > b ? a : b));
+  const low = units.reduce((a, b) => (a < b ? a : b));
+  let confidence = ((high - low) * 10000n) / (2n * price);
+  if (confidence < BigInt(minConfidenceBps)) confidence = BigInt(minConfidenceBps);
+  if (confidence > MAX_CONFIDENCE_BPS) confidence = MAX_CONFIDENCE_BPS;
+
+  const result = { price, confidence: Number(confidence), sources: usable.map((reading) => reading.source), dropped };
+  const quoted = usable.filter((reading) => reading.bid !== undefined && reading.ask !== undefined);
+  if (quoted.length > 0) {
+    result.bid = median(quoted.map((reading) => toOracleUnits(reading.bid)));
+    result.ask = median(quoted.map((reading) => toOracleUnits(reading.ask)));
+  }
+  const volumes = usable.filter((reading) => reading.volume !== undefined && reading.volume !== null);
+  if (volumes.length > 0) {
+    result.volume = median(volumes.map((reading) => BigInt(Math.round(Number(reading.volume)))));
+  }
+  return result;
+}
+
+module.exports = {
+  PRICE_DECIMALS,
+  toOracleUnits,
+  fromOracleUnits,
+  deviationBps,
+  aggregateReadings,
+};
@@ -0,0 +1,232 @@
+const fs = require("fs");
+const path = require("path");
+
+/** Directory holding one calendar per market (`<name>.json`) */
+const CALENDARS_DIR = path.join(__dirname, "../../deploy/calendars");
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const formatters = new Map();
+
+/**
+ * Wall-clock parts of a timestamp in a time zone
+ * @param {number} timestamp Unix seconds
+ * @param {string} timeZone IANA zone, e.g. America/New_York
+ * @returns {{date: string, year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   `weekday` is 0 for Sunday
+ */
+function zonedParts(timestamp, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+    );
+  }
+  const parts = Object.fromEntries(
+    formatters
+      .get(timeZone)
+      .formatToParts(new Date(timestamp * 1000))
+      .map(({ type, value }) => [type, value]),
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+/**
+ * Unix timestamp of a wall-clock time in a time zone
+ * @param {string} date Local date, YYYY-MM-DD
+ * @param {string} time Local time, HH:MM
+ * @param {string} timeZone IANA zone
+ * @returns {number} Unix seconds
+ */
+function zonedTimestamp(date, time, timeZone) {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+  const target = Date.UTC(year, month - 1, day, hour, minute) / 1000;
+
+  // Shift by the zone's offset; the second pass settles DST transition days
+  let guess = target;
+  for (let i = 0; i < 2; i++) {
+    const local = zonedParts(guess, timeZone);
+    guess += target - Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) / 1000;
+  }
+  return guess;
+}
+
+function minutesOf(time) {
+  const [hour, minute] = time.split(":").map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Trading calendar for one market
+ *
+ * Two shapes are supported:
+ * - **Daily sessions** (exchanges): `open`/`close` local times on `days`, minus `holidays`,
+ *   with `earlyCloses` (date → local close time) for half days.
+ * - **Weekly** (FX): `weekly.open` and `weekly.close` as `{ day, time }` in local time, open
+ *   continuously in between, minus `holidays`.
+ *
+ * A holiday table covers the years it lists. Past its last year, lookups throw rather than treat that
+ * year's holidays as trading days. A calendar without holidays never runs out.
+ */
+class MarketCalendar {
+  /**
+   * @param {object} definition
+   * @param {string} definition.name Calendar name
+   * @param {string} definition.timeZone IANA zone the times are in
+   * @param {string} [definition.open] Session open, HH:MM
+   * @param {string} [definition.close] Session close, HH:MM
+   * @param {number[]} [definition.days=[1,2,3,4,5]] Trading weekdays (0 = Sunday)
+   * @param {{open: {day: number, time: string}, close: {day: number, time: string}}} [definition.weekly] Weekly window
+   * @param {string[]} [definition.holidays=[]] Closed dates, YYYY-MM-DD
+   * @param {object} [definition.earlyCloses={}] Date → close time
+   */
+  constructor({ name, timeZone, open, close, days = [1, 2, 3, 4, 5], weekly, holidays = [], earlyCloses = {} }) {
+    if (!timeZone) {
+      throw new Error(`Calendar: ${name} needs a timeZone`);
+    }
+    if (!weekly && (!open || !close)) {
+      throw new Error(`Calendar: ${name} needs open and close times or a weekly window`);
+    }
+    zonedParts(0, timeZone); // throws on an unknown zone
+    this.name = name;
+    this.timeZone = timeZone;
+    this.open = open;
+    this.close = close;
+    this.days = days;
+    this.weekly = weekly;
+    this.holidays = new Set(holidays);
+    this.holidaysThrough = holidays.length > 0 ? Math.max(...holidays.map((date) => Number(date.slice(0, 4)))) : null;
+    this.earlyCloses = earlyCloses;
+  }
+
+  /**
+   * Whether the local date of a timestamp is a trading day
+   * @param {number} timestamp Unix seconds
+   * @returns {boolean}
+   * @throws When the date is past the last year of the holiday table
+   */
+  isTradingDay(timestamp) {
+    const { date, year, weekday } = zonedParts(timestamp, this.timeZone);
+    if (this.holidaysThrough !== null && year > this.holidaysThrough) {
+      throw new Error(
+        `Calendar: ${this.name} lists holidays through ${this.holidaysThrough} only; add ${year}'s to its calendar file`,
+      );
+    }
+    if (this.holidays.has(date)) return false;
+    if (this.weekly) {
+      const { open, close } = this.weekly;
+      return open.day <= close.day
+        ? weekday >= open.day && weekday <= close.day
+        : weekday >= open.day || weekday <= close.day;
+    }
+    return this.days.includes(weekday);
+  }
+
+  /**
+   * The daily session on the local date of a timestamp
+   * @param {number} timestamp Unix seconds
+   * @returns {{date: string, open: number, close: number}|null} Session bounds (Unix seconds), or null when closed all day
+   */
+  session(timestamp) {
+    if (this.weekly || !this.isTradingDay(timestamp)) return null;
+    const { date } = zonedParts(timestamp, this.timeZone);
+    return {
+      date,
+      open: zonedTimestamp(date, this.open, this.timeZone),
+      close: zonedTimestamp(date, this.earlyCloses[date] || this.close, this.timeZone),
+    };
+  }
+
+  /**
+   * The latest daily session that has closed by a timestamp: today's once past its close, otherwise
+   * the previous trading day's
+   * @param {number} timestamp Unix seconds
+   * @returns {{date: string, open: number, close: number}|null} Session bounds, or null for weekly calendars
+   *   and when no session closed in the two weeks before
+   */
+  lastSession(timestamp) {
+    if (this.weekly) return null;
+    // Step back from local noon, so DST changes never skip or repeat a date
+    let noon = zonedTimestamp(zonedParts(timestamp, this.timeZone).date, "12:00", this.timeZone);
+    for (let day = 0; day < 14; day++, noon -= 86400) {
+      const session = this.session(noon);
+      if (session && session.close <= timestamp) return session;
+    }
+    return null;
+  }
+
+  /**
+   * Whether the market is open at a timestamp
+   * @param {number} timestamp Unix seconds
+   * @returns {boolean}
+   */
+  isOpen(timestamp) {
+    if (!this.isTradingDay(timestamp)) return false;
+    if (!this.weekly) {
+      const { open, close } = this.session(timestamp);
+      return timestamp >= open && timestamp < close;
+    }
+
+    const { weekday, hour, minute } = zonedParts(timestamp, this.timeZone);
+    const now = weekday * 1440 + hour * 60 + minute;
+    const open = this.weekly.open.day * 1440 + minutesOf(this.weekly.open.time);
+    const close = this.weekly.close.day * 1440 + minutesOf(this.weekly.close.time);
+    return open < close ? now >= open && now < close : now >= open || now < close;
+  }
+}
+
+/**
+ * Load a calendar definition
+ *
+ * `"extends": "<name>"` starts from another calendar in the same directory, e.g. NASDAQ
+ * sharing the NYSE holiday table.
+ *
+ * @param {string} name Calendar name in deploy/calendars, or a path to a file
+ * @param {string} [dir=CALENDARS_DIR] Directory for names
+ * @returns {MarketCalendar}
+ */
+function loadCalendar(name, dir = CALENDARS_DIR) {
+  const file = name.endsWith(".json") ? path.resolve(name) : path.join(dir, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Calendar: No calendar ${name} (expected ${file})`);
+  }
+  const definition = JSON.parse(fs.readFileSync(file, "utf8"));
+  const base = definition.extends ? loadCalendar(definition.extends, path.dirname(file)) : {};
+  const { extends: _, ...own } = definition;
+
+  return new MarketCalendar({
+    ...base,
+    ...own,
+    holidays: [...(base.holidays || []), ...(own.holidays || [])],
+    earlyCloses: { ...base.earlyCloses, ...own.earlyCloses },
+    name: own.name || path.basename(file, ".json"),
+  });
+}
+
+module.exports = {
+  CALENDARS_DIR,
+  zonedParts,
+  zonedTimestamp,
+  MarketCalendar,
+  loadCalendar,
+};
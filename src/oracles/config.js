@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+const { SOURCE_TYPES } = require("./sources");
+const { loadCalendar } = require("./calendar");
+
+/** Directory holding one feed config per network (`<network>.json`) */
+const FEEDS_DIR = path.join(__dirname, "../../deploy/feeds");
+
+/** Update calls the feeder knows how to make */
+const UPDATE_METHODS = ["batch", "forex", "stock", "index"];
+
+/** Alert thresholds the oracle monitor reads from the `monitor` section */
+const MONITOR_SETTINGS = ["deviationBps", "maxConfidenceBps", "feederTimeout", "repeatInterval"];
+
+/** Per-feed settings that may be given once under `defaults` */
+const FEED_SETTINGS = [
+  "heartbeat",
+  "deviationBps",
+  "minSources",
+  "outlierBps",
+  "minConfidenceBps",
+  "update",
+  "isCashIndex",
+];
+
+/**
+ * Load and validate the oracle feed config for a network
+ * @param {string} network Hardhat network name, or a path to a config file
+ * @returns {object} Config ({ file, sources, feeds }) with defaults applied to every feed
+ */
+function loadFeedConfig(network) {
+  const file = network.endsWith(".json") ? path.resolve(network) : path.join(FEEDS_DIR, `${network}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`FeedConfig: No feed config for network ${network} (expected ${file})`);
+  }
+  return validateFeedConfig({ ...JSON.parse(fs.readFileSync(file, "utf8")), file });
+}
+
+/**
+ * Check a feed config and apply `defaults` to each feed
+ *
+ * **Shape:**
+ * - `sources`: name → `{ type: "http" | "file" | "mock", ...adapter options }`
+ * - `defaults`: any of the per-feed settings below
+ * - `feeds`: `[{ symbol, oracle, sources, heartbeat?, deviationBps?, minSources?, outlierBps?,
+ *   minConfidenceBps?, update?, isCashIndex? }]`, where `oracle` is a contract name in the deployment record,
+ *   `heartbeat` defaults to the oracle's on-chain `heartbeatInterval` and `isCashIndex` (index feeds, default
+ *   true) picks whether `updateIndexPrice` sets the index's cash or futures value
+ * - `markets` (optional): `[{ oracle, calendar, symbols?, halts?, circuitBreakerBps? }]`, where `calendar`
+ *   names a file in deploy/calendars, `symbols` defaults to the oracle's feeds and `halts` lists scheduled
+ *   `{ symbol, from, to }` trading halts (ISO times)
+ * - `monitor` (optional): oracle monitor thresholds, any of `deviationBps`, `maxConfidenceBps`,
+ *   `feederTimeout` and `repeatInterval`
+ *
+ * @param {object} config Parsed config
+ * @returns {object} The config with defaults applied (throws on the first problem found)
+ */
+function validateFeedConfig(config) {
+  const { sources = {}, defaults = {}, feeds } = config;
+  const baseDir = config.file ? path.dirname(config.file) : process.cwd();
+
+  for (const [name, source] of Object.entries(sources)) {
+    if (!SOURCE_TYPES[source.type]) {
+      throw new Error(`FeedConfig: Source ${name} has unknown type ${source.type}`);
+    }
+  }
+  for (const key of Object.keys(defaults)) {
+    if (!FEED_SETTINGS.includes(key)) {
+      throw new Error(`FeedConfig: Unknown default ${key}`);
+    }
+  }
+  if (!Array.isArray(feeds) || feeds.length === 0) {
+    throw new Error("FeedConfig: feeds must be a non-empty array");
+  }
+
+  const seen = new Set();
+  const resolved = feeds.map((entry) => {
+    const feed = { ...defaults, ...entry };
+    const where = `${feed.oracle}.${feed.symbol}`;
+    if (!feed.symbol || !feed.oracle) {
+      throw new Error("FeedConfig: Every feed needs a symbol and an oracle");
+    }
+    if (seen.has(where)) {
+      throw new Error(`FeedConfig: Duplicate feed ${where}`);
+    }
+    seen.add(where);
+
+    if (!Array.isArray(feed.sources) || feed.sources.length === 0) {
+      throw new Error(`FeedConfig: ${where} needs at least one source`);
+    }
+    for (const source of feed.sources) {
+      if (!sources[source]) {
+        throw new Error(`FeedConfig: ${where} uses unknown source ${source}`);
+      }
+    }
+    for (const key of ["heartbeat", "deviationBps", "minSources", "outlierBps", "minConfidenceBps"]) {
+      if (feed[key] !== undefined && !(Number.isFinite(feed[key]) && feed[key] >= 0)) {
+        throw new Error(`FeedConfig: ${where}.${key} must be a non-negative number`);
+      }
+    }
+    if ((feed.minSources || 1) > feed.sources.length) {
+      throw new Error(`FeedConfig: ${where} requires ${feed.minSources} sources but lists ${feed.sources.length}`);
+    }
+    if (feed.update !== undefined && !UPDATE_METHODS.includes(feed.update)) {
+      throw new Error(`FeedConfig: ${where}.update must be one of ${UPDATE_METHODS.join(", ")}`);
+    }
+    if (feed.isCashIndex !== undefined && typeof feed.isCashIndex !== "boolean") {
+      throw new Error(`FeedConfig: ${where}.isCashIndex must be true or false`);
+    }
+    return feed;
+  });
+
+  const markets = (config.markets || []).map((market) => validateMarket(market, resolved));
+  for (const [key, value] of Object.entries(config.monitor || {})) {
+    if (!MONITOR_SETTINGS.includes(key)) {
+      throw new Error(`FeedConfig: Unknown monitor setting ${key}`);
+    }
+    if (!(Number.isFinite(value) && value >= 0)) {
+      throw new Error(`FeedConfig: monitor.${key} must be a non-negative number`);
+    }
+  }
+
+  const namedSources = Object.fromEntries(
+    Object.entries(sources).map(([name, source]) => [name, { ...source, name, baseDir }]),
+  );
+  return { ...config, sources: namedSources, defaults, feeds: resolved, markets };
+}
+
+function validateMarket(market, feeds) {
+  const where = `markets.${market.oracle}`;
+  if (!market.oracle || !market.calendar) {
+    throw new Error("FeedConfig: Every market needs an oracle and a calendar");
+  }
+  if (!feeds.some((feed) => feed.oracle === market.oracle)) {
+    throw new Error(`FeedConfig: ${where} has no feeds`);
+  }
+  try {
+    loadCalendar(market.calendar);
+  } catch (error) {
+    throw new Error(`FeedConfig: ${where}: ${error.message}`);
+  }
+  if (market.symbols !== undefined && !Array.isArray(market.symbols)) {
+    throw new Error(`FeedConfig: ${where}.symbols must be an array`);
+  }
+  if (
+    market.circuitBreakerBps !== undefined &&
+    !(Number.isInteger(market.circuitBreakerBps) && market.circuitBreakerBps > 0)
+  ) {
+    throw new Error(`FeedConfig: ${where}.circuitBreakerBps must be a positive integer`);
+  }
+  for (const halt of market.halts || []) {
+    if (!halt.symbol || Number.isNaN(Date.parse(halt.from)) || Number.isNaN(Date.parse(halt.to))) {
+      throw new Error(`FeedConfig: ${where} halts need a symbol and ISO from/to times`);
+    }
+  }
+  return market;
+}
+
+module.exports = {
+  FEEDS_DIR,
+  UPDATE_METHODS,
+  loadFeedConfig,
+  validateFeedConfig,
+};
@@ -0,0 +1,322 @@
+const { ethers } = require("ethers");
+const { createPriceSource } = require("./sources");
+const { aggregateReadings, deviationBps, fromOracleUnits } = require("./aggregate");
+const { createPoller } = require("../poller");
+
+/** Asset-specific update call per oracle contract; everything else goes through updatePriceBatch */
+const ORACLE_UPDATE_METHODS = { ForexPriceOracle: "forex", StockPriceOracle: "stock", IndexPriceOracle: "index" };
+
+/**
+ * Connect the oracles named in a feed config to the feeder's signer
+ * @param {object} options
+ * @param {object} options.ethers Hardhat ethers (for getContractAt)
+ * @param {object} options.record Deployment record
+ * @param {import("ethers").Signer} options.signer Feeder signer
+ * @param {string[]} options.names Oracle contract names in the record
+ * @param {object} [options.manifest] Deployment manifest, for records without `artifacts`
+ * @returns {Promise<object>} Name → { contract, artifact }
+ */
+async function connectOracles({ ethers: hardhatEthers, record, signer, names, manifest }) {
+  const oracles = {};
+  for (const name of new Set(names)) {
+    const address = record.contracts[name];
+    const artifact = record.artifacts?.[name] || manifest?.contracts.find((entry) => entry.name === name)?.contract;
+    if (!address) {
+      throw new Error(`Feeder: ${name} is not in deployment ${record.name}`);
+    }
+    if (!artifact) {
+      throw new Error(`Feeder: No artifact recorded for ${name}`);
+    }
+    oracles[name] = { contract: await hardhatEthers.getContractAt(artifact, address, signer), artifact };
+  }
+  return oracles;
+}
+
+/**
+ * Keeps oracle prices fresh from a feed config
+ *
+ * Every `tick` reads each feed's sources, aggregates them, and decides against the on-chain
+ * price whether an update is due: no price yet, the heartbeat has elapsed, or the price moved
+ * by `deviationBps`. Updates that `_checkPriceDeviation` would reject are skipped here rather
+ * than sent, so one bad tick cannot revert a whole batch. Due updates are grouped per oracle
+ * into `updatePriceBatch`, or sent one by one through `updateForexPrice` (bid/ask),
+ * `updateStockPrice` (volume, market open) and `updateIndexPrice` (daily stats, cash or futures
+ * value per the feed's `isCashIndex`).
+ *
+ * With a MarketScheduler, each tick first brings the oracles' market flags in line with their
+ * calendars, and feeds whose market is closed are skipped.
+ */
+class OracleFeeder {
+  /**
+   * @param {object} options
+   * @param {object} options.config Feed config (from loadFeedConfig)
+   * @param {object} options.oracles Oracle name → { contract, artifact } (from connectOracles)
+   * @param {import("ethers").Provider} options.provider Provider (for the chain clock)
+   * @param {function(): Promise<number>} [options.clock] Current time in seconds (defaults to the latest block)
+   * @param {number} [options.maxBatchSize=20] Symbols per updatePriceBatch transaction
+   * @param {import("./scheduler").MarketScheduler} [options.scheduler] Market-hours scheduler
+   * @param {function(string): void} [options.log=console.log] Progress output
+   */
+  constructor({ config, oracles, provider, clock, maxBatchSize = 20, scheduler, log = console.log }) {
+    if (!config || !oracles || !provider) {
+      throw new Error("Feeder: config, oracles and provider are required");
+    }
+    for (const feed of config.feeds) {
+      if (!oracles[feed.oracle]) {
+        throw new Error(`Feeder: No oracle connected for ${feed.oracle}`);
+      }
+    }
+    this.config = config;
+    this.oracles = oracles;
+    this.provider = provider;
+    this.clock = clock || (async () => (await provider.getBlock("latest")).timestamp);
+    this.maxBatchSize = maxBatchSize;
+    this.scheduler = scheduler;
+    this.log = log;
+    this.sources = Object.fromEntries(
+      Object.entries(config.sources).map(([name, source]) => [name, createPriceSource(source)]),
+    );
+  }
+
+  /**
+   * Whether the feeder's signer holds FEEDER_ROLE on every oracle it feeds
+   * @returns {Promise<{feeder: string, oracles: Array<{name: string, authorized: boolean}>}>}
+   */
+  async status() {
+    const entries = Object.entries(this.oracles);
+    const feeder = await entries[0][1].contract.runner.getAddress();
+    const oracles = [];
+    for (const [name, { contract }] of entries) {
+      oracles.push({ name, authorized: await contract.hasRole(await contract.FEEDER_ROLE(), feeder) });
+    }
+    return { feeder, oracles };
+  }
+
+  /**
+   * Run one feed cycle
+   * @returns {Promise<object>} { timestamp, updates, skipped, failed, transactions, sessions? }
+   */
+  async tick() {
+    const now = Number(await this.clock());
+    const report = { timestamp: now, updates: [], skipped: [], failed: [], transactions: [] };
+    const states = new Map();
+    const due = new Map();
+
+    if (this.scheduler) {
+      const feedSymbols = (oracle) =>
+        this.config.feeds.filter((feed) => feed.oracle === oracle).map((feed) => feed.symbol);
+      report.sessions = await this.scheduler.tick(now, feedSymbols);
+    }
+
+    for (const feed of this.config.feeds) {
+      try {
+        if (!states.has(feed.oracle)) {
+          states.set(feed.oracle, await this.readOracleState(feed.oracle));
+        }
+        const update = await this.evaluate(feed, now, states.get(feed.oracle));
+        if (update.skip) {
+          report.skipped.push({ oracle: feed.oracle, symbol: feed.symbol, reason: update.skip });
+          continue;
+        }
+        if (!due.has(feed.oracle)) due.set(feed.oracle, []);
+        due.get(feed.oracle).push(update);
+      } catch (error) {
+        report.failed.push({ oracle: feed.oracle, symbol: feed.symbol, error: error.message });
+      }
+    }
+
+    for (const [name, updates] of due) {
+      await this.submit(name, updates, states.get(name), report);
+    }
+    return report;
+  }
+
+  /**
+   * Oracle-wide values the update decisions depend on
+   * @param {string} name Oracle name
+   * @returns {Promise<object>} { paused, maxDeviationBps, heartbeat, marketOpen }
+   */
+  async readOracleState(name) {
+    const { contract, artifact } = this.oracles[name];
+    return {
+      paused: await contract.paused(),
+      maxDeviationBps: await contract.maxPriceDeviationBps(),
+      heartbeat: Number(await contract.heartbeatInterval()),
+      marketOpen: artifact === "StockPriceOracle" ? await contract.isMarketOpen() : undefined,
+    };
+  }
+
+  /**
+   * Aggregate one feed and decide whether to update it
+   * @param {object} feed Feed config entry
+   * @param {number} now Current time in seconds
+   * @param {object} state Oracle state (from readOracleState)
+   * @returns {Promise<object>} `{ skip: reason }` or the update to send
+   */
+  async evaluate(feed, now, state) {
+    const { contract, artifact } = this.oracles[feed.oracle];
+    const symbolHash = ethers.id(feed.symbol);
+    const method = feed.update || ORACLE_UPDATE_METHODS[artifact] || "batch";
+
+    if (state.paused) return { skip: "oracle paused" };
+    if (this.scheduler && !this.scheduler.isOpen(feed.oracle, feed.symbol, now)) return { skip: "market closed" };
+    if (!(await contract.isSupported(symbolHash))) return { skip: "symbol not supported by the oracle" };
+
+    const readings = [];
+    const errors = [];
+    await Promise.all(
+      feed.sources.map(async (name) => {
+        try {
+          const reading = await this.sources[name].read(feed.symbol, now);
+          if (reading) readings.push({ ...reading, source: name });
+        } catch (error) {
+          errors.push(`${name}: ${error.message}`);
+        }
+      }),
+    );
+    if (readings.length < (feed.minSources || 1) || readings.length === 0) {
+      return { skip: `${readings.length} source(s) answered${errors.length ? ` (${errors.join("; ")})` : ""}` };
+    }
+    const aggregate = aggregateReadings(readings, feed);
+
+    let { price } = aggregate;
+    if (method === "forex") {
+      aggregate.bid = aggregate.bid ?? price;
+      aggregate.ask = aggregate.ask ?? price;
+      if (aggregate.ask < aggregate.bid) [aggregate.bid, aggregate.ask] = [aggregate.ask, aggregate.bid];
+      // The oracle stores the mid of bid and ask, rounded down
+      price = (aggregate.bid + aggregate.ask) / 2n;
+    }
+
+    const [current, , updatedAt] = await contract.prices(symbolHash);
+    const lastUpdate = Number(updatedAt);
+    const heartbeat = feed.heartbeat ?? state.heartbeat;
+    const moved = lastUpdate > 0 ? deviationBps(price, current) : 0n;
+
+    // Mirrors OracleBase._checkPriceDeviation, which reverts the whole transaction
+    if (lastUpdate > 0 && moved > state.maxDeviationBps) {
+      return {
+        skip: `moved ${moved} bps from ${fromOracleUnits(current)}, above the oracle's ${state.maxDeviationBps} bps limit`,
+      };
+    }
+
+    let reason;
+    if (lastUpdate === 0) reason = "initial";
+    else if (now - lastUpdate >= heartbeat) reason = "heartbeat";
+    else if (feed.deviationBps !== undefined && moved >= BigInt(feed.deviationBps)) reason = "deviation";
+    else return { skip: "fresh" };
+
+    return { feed, symbolHash, method, reason, ...aggregate, price };
+  }
+
+  /**
+   * Send the due updates for one oracle
+   * @param {string} name Oracle name
+   * @param {object[]} updates Updates from evaluate
+   * @param {object} state Oracle state (from readOracleState)
+   * @param {object} report Tick report to add results to
+   */
+  async submit(name, updates, state, report) {
+    const { contract } = this.oracles[name];
+    const send = async (entries, call) => {
+      try {
+        const tx = await call();
+        await tx.wait();
+        report.transactions.push(tx.hash);
+        for (const update of entries) {
+          report.updates.push({
+            oracle: name,
+            symbol: update.feed.symbol,
+            price: fromOracleUnits(update.price),
+            confidence: update.confidence,
+            reason: update.reason,
+            method: update.method,
+            txHash: tx.hash,
+          });
+        }
+        return true;
+      } catch (error) {
+        return error;
+      }
+    };
+    const fail = (update, error) =>
+      report.failed.push({ oracle: name, symbol: update.feed.symbol, error: error.shortMessage || error.message });
+
+    const batched = updates.filter((update) => update.method === "batch");
+    for (let i = 0; i < batched.length; i += this.maxBatchSize) {
+      const chunk = batched.slice(i, i + this.maxBatchSize);
+      const result = await send(chunk, () =>
+        contract.updatePriceBatch(
+          chunk.map((update) => update.symbolHash),
+          chunk.map((update) => update.price),
+          chunk.map((update) => update.confidence),
+        ),
+      );
+      if (result === true) continue;
+
+      // Something changed between evaluation and sending; retry one by one so the rest still land
+      this.log(
+        `⚠️  ${name}: batch of ${chunk.length} reverted (${result.shortMessage || result.message}), retrying singly`,
+      );
+      for (const update of chunk) {
+        const single = await send([update], () =>
+          contract.updatePrice(update.symbolHash, update.price, update.confidence),
+        );
+        if (single !== true) fail(update, single);
+      }
+    }
+
+    const calls = {
+      forex: (update) =>
+        contract.updateForexPrice(update.symbolHash, update.bid, update.ask, update.confidence, update.volume ?? 0n),
+      stock: (update) =>
+        contract.updateStockPrice(
+          update.symbolHash,
+          update.price,
+          update.confidence,
+          update.volume ?? 0n,
+          Boolean(state.marketOpen),
+        ),
+      index: (update) =>
+        contract.updateIndexPrice(
+          update.symbolHash,
+          update.price,
+          update.confidence,
+          update.volume ?? 0n,
+          update.feed.isCashIndex ?? true,
+        ),
+    };
+    for (const update of updates.filter((entry) => entry.method !== "batch")) {
+      const result = await send([update], () => calls[update.method](update));
+      if (result !== true) fail(update, result);
+    }
+  }
+
+  /**
+   * Tick every `interval` milliseconds until stop() is called
+   * @param {object} [options]
+   * @param {number} [options.interval=5000] Milliseconds between ticks
+   * @param {function(object): void} [options.onReport] Called with each tick report
+   * @returns {Promise<void>} Resolves once stopped
+   */
+  run({ interval = 5000, onReport } = {}) {
+    this.poller = createPoller({
+      step: () => this.tick(),
+      interval,
+      onResult: onReport,
+      onError: (error) => this.log(`❌ Feeder tick failed: ${error.message}`),
+    });
+    return this.poller.run();
+  }
+
+  /** Stop run() after the current tick */
+  stop() {
+    if (this.poller) this.poller.stop();
+  }
+}
+
+module.exports = {
+  ORACLE_UPDATE_METHODS,
+  connectOracles,
+  OracleFeeder,
+};
@@ -0,0 +1,30 @@
+const { SOURCE_TYPES, registerPriceSource, createPriceSource } = require("./sources");
+const { PRICE_DECIMALS, toOracleUnits, fromOracleUnits, deviationBps, aggregateReadings } = require("./aggregate");
+const { FEEDS_DIR, UPDATE_METHODS, loadFeedConfig, validateFeedConfig } = require("./config");
+const { ORACLE_UPDATE_METHODS, connectOracles, OracleFeeder } = require("./feeder");
+const { CALENDARS_DIR, zonedParts, zonedTimestamp, MarketCalendar, loadCalendar } = require("./calendar");
+const { MarketScheduler } = require("./scheduler");
+
+module.exports = {
+  SOURCE_TYPES,
+  registerPriceSource,
+  createPriceSource,
+  PRICE_DECIMALS,
+  toOracleUnits,
+  fromOracleUnits,
+  deviationBps,
+  aggregateReadings,
+  FEEDS_DIR,
+  UPDATE_METHODS,
+  loadFeedConfig,
+  validateFeedConfig,
+  ORACLE_UPDATE_METHODS,
+  connectOracles,
+  OracleFeeder,
+  CALENDARS_DIR,
+  zonedParts,
+  zonedTimestamp,
+  MarketCalendar,
+  loadCalendar,
+  MarketScheduler,
+};
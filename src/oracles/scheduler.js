@@ -0,0 +1,254 @@
+const { ethers } = require("ethers");
+const { loadCalendar } = require("./calendar");
+
+const DAY = 86400;
+
+/** Seconds since UTC midnight, the unit the oracles keep trading hours in */
+function utcTimeOfDay(timestamp) {
+  return ((timestamp % DAY) + DAY) % DAY;
+}
+
+/**
+ * Drives the oracles' market-state flags from exchange calendars
+ *
+ * Each `tick` compares what the calendar says with what the oracle holds and sends only the
+ * differences, so restarts and missed ticks are harmless:
+ *
+ * - **StockPriceOracle**: `setWeekend` on weekends and holidays, `updateMarketHours` to the day's
+ *   session in UTC (DST and early closes), scheduled `haltTrading`/`resumeTrading` windows, and
+ *   `recordDailyClose` + `resetDailyStats` once the session has closed.
+ * - **ForexPriceOracle**: `setWeekendStatus` when the weekly FX window opens or closes.
+ * - **IndexPriceOracle**: `setTradingHours` per symbol, `triggerCircuitBreaker` when the price falls
+ *   `circuitBreakerBps` below the day's open, and `resetDailyStats` + `clearCircuitBreaker` after the close.
+ * - **CommodityPriceOracle**: `recordSettlement` once the session has closed.
+ *
+ * Whether a session is closed out is read from the oracle too, for the latest session that has closed
+ * (`calendar.lastSession`): a symbol still needs its close while its price was last updated before the
+ * close and the day's stats are not reset yet (`lastSettlement` before the close for commodities). A
+ * close missed while the process was down is therefore made up on the next tick, up to the moment
+ * the next session's first update lands.
+ *
+ * Flags and hours need ADMIN_ROLE; daily closes and settlements need FEEDER_ROLE.
+ */
+class MarketScheduler {
+  /**
+   * @param {object} options
+   * @param {object[]} options.markets Market entries from the feed config:
+   *   `{ oracle, calendar, symbols?, halts?, circuitBreakerBps? }`
+   * @param {object} options.oracles Oracle name → { contract, artifact } connected to the feeder signer
+   * @param {import("ethers").Signer} [options.admin] Signer holding ADMIN_ROLE (flags are only read without it)
+   * @param {function(string): MarketCalendar} [options.calendars=loadCalendar] Calendar lookup
+   * @param {function(string): void} [options.log=console.log] Progress output
+   */
+  constructor({ markets, oracles, admin, calendars = loadCalendar, log = console.log }) {
+    this.oracles = oracles;
+    this.admin = admin;
+    this.log = log;
+    this.markets = markets.map((market) => {
+      if (!oracles[market.oracle]) {
+        throw new Error(`Scheduler: No oracle connected for ${market.oracle}`);
+      }
+      return {
+        ...market,
+        calendar: typeof market.calendar === "string" ? calendars(market.calendar) : market.calendar,
+        halts: (market.halts || []).map((halt) => ({
+          ...halt,
+          from: Date.parse(halt.from) / 1000,
+          to: Date.parse(halt.to) / 1000,
+        })),
+      };
+    });
+  }
+
+  /**
+   * The market entry covering a symbol, if any
+   * @param {string} oracle Oracle name
+   * @param {string} symbol Symbol, e.g. AAPL/USD
+   * @returns {object|undefined}
+   */
+  marketFor(oracle, symbol) {
+    return this.markets.find(
+      (market) => market.oracle === oracle && (!market.symbols || market.symbols.includes(symbol)),
+    );
+  }
+
+  /**
+   * Whether a symbol's market is open; symbols without a calendar trade around the clock
+   * @param {string} oracle Oracle name
+   * @param {string} symbol Symbol
+   * @param {number} timestamp Unix seconds
+   * @returns {boolean}
+   */
+  isOpen(oracle, symbol, timestamp) {
+    const market = this.marketFor(oracle, symbol);
+    return market ? market.calendar.isOpen(timestamp) : true;
+  }
+
+  /**
+   * Whether a stale price should raise an alert: not while its market is legitimately closed
+   * @param {string} oracle Oracle name
+   * @param {string} symbol Symbol
+   * @param {number} timestamp Unix seconds
+   * @returns {boolean}
+   */
+  shouldAlertStale(oracle, symbol, timestamp) {
+    return this.isOpen(oracle, symbol, timestamp);
+  }
+
+  /**
+   * Bring every oracle's market state in line with its calendar
+   * @param {number} now Unix seconds (chain time)
+   * @param {function(string): string[]} symbolsFor Oracle name → symbols to manage when a market lists none
+   * @returns {Promise<{actions: object[], failed: object[]}>}
+   */
+  async tick(now, symbolsFor = () => []) {
+    const result = { actions: [], failed: [] };
+    for (const market of this.markets) {
+      const { artifact } = this.oracles[market.oracle];
+      const symbols = market.symbols || symbolsFor(market.oracle);
+      const run = async (action, symbol, call) => {
+        try {
+          const tx = await call();
+          await tx.wait();
+          result.actions.push({ oracle: market.oracle, action, symbol, txHash: tx.hash });
+          this.log(`🕒 ${market.oracle}${symbol ? `.${symbol}` : ""}: ${action}`);
+        } catch (error) {
+          result.failed.push({ oracle: market.oracle, action, symbol, error: error.shortMessage || error.message });
+        }
+      };
+
+      if (artifact === "StockPriceOracle") await this.syncStocks(market, symbols, now, run);
+      else if (artifact === "ForexPriceOracle") await this.syncForex(market, symbols, now, run);
+      else if (artifact === "IndexPriceOracle") await this.syncIndices(market, symbols, now, run);
+      else if (artifact === "CommodityPriceOracle") await this.syncCommodities(market, symbols, now, run);
+    }
+    return result;
+  }
+
+  adminContract(oracle) {
+    return this.admin ? this.oracles[oracle].contract.connect(this.admin) : null;
+  }
+
+  /**
+   * A symbol's price and whether it was last updated during a session, i.e. before its close
+   * @returns {Promise<{price: bigint, beforeClose: boolean}>}
+   */
+  async priceAt(contract, symbolHash, session) {
+    const { price, timestamp } = await contract.prices(symbolHash);
+    return { price, beforeClose: timestamp < BigInt(session.close) };
+  }
+
+  async syncStocks(market, symbols, now, run) {
+    const { contract } = this.oracles[market.oracle];
+    const admin = this.adminContract(market.oracle);
+    const { calendar } = market;
+
+    const closedToday = !calendar.isTradingDay(now);
+    if (admin && (await contract.isWeekend()) !== closedToday) {
+      await run(closedToday ? "setWeekend(true)" : "setWeekend(false)", null, () => admin.setWeekend(closedToday));
+    }
+
+    const session = calendar.session(now);
+    if (admin && session) {
+      const open = BigInt(utcTimeOfDay(session.open));
+      const close = BigInt(utcTimeOfDay(session.close));
+      const current = [await contract.marketOpen(), await contract.marketClose()];
+      if (open < close && (current[0] !== open || current[1] !== close)) {
+        await run(`updateMarketHours(${open}, ${close})`, null, () => admin.updateMarketHours(open, close));
+      }
+    }
+
+    for (const halt of market.halts) {
+      const symbolHash = ethers.id(halt.symbol);
+      const active = now >= halt.from && now < halt.to;
+      const { isHalted } = await contract.stockData(symbolHash);
+      if (admin && active && !isHalted) {
+        await run("haltTrading", halt.symbol, () => admin.haltTrading(symbolHash));
+      } else if (admin && !active && isHalted && now >= halt.to) {
+        await run("resumeTrading", halt.symbol, () => admin.resumeTrading(symbolHash));
+      }
+    }
+
+    // The reset marks the session closed out, so without it the close would be recorded every tick
+    const last = calendar.lastSession(now);
+    if (!last || !admin) return;
+    for (const symbol of symbols) {
+      const symbolHash = ethers.id(symbol);
+      const { price, beforeClose } = await this.priceAt(contract, symbolHash, last);
+      const { volume, dayHigh } = await contract.stockData(symbolHash);
+      if (!beforeClose || dayHigh === 0n) continue;
+      await run("recordDailyClose", symbol, () => contract.recordDailyClose(symbolHash, price, volume));
+      await run("resetDailyStats", symbol, () => admin.resetDailyStats(symbolHash));
+    }
+  }
+
+  async syncForex(market, symbols, now, run) {
+    const { contract } = this.oracles[market.oracle];
+    const admin = this.adminContract(market.oracle);
+    const [probe] =
+      symbols.length > 0 ? symbols.map((symbol) => ethers.id(symbol)) : await contract.getSupportedSymbols();
+    if (!admin || !probe) return;
+
+    const weekend = !market.calendar.isOpen(now);
+    if ((await contract.forexData(probe)).isWeekend !== weekend) {
+      await run(`setWeekendStatus(${weekend})`, null, () => admin.setWeekendStatus(weekend));
+    }
+  }
+
+  async syncIndices(market, symbols, now, run) {
+    const { contract } = this.oracles[market.oracle];
+    const admin = this.adminContract(market.oracle);
+    if (!admin) return;
+    const session = market.calendar.session(now);
+
+    for (const symbol of symbols) {
+      const symbolHash = ethers.id(symbol);
+      if (session) {
+        const open = BigInt(utcTimeOfDay(session.open));
+        const close = BigInt(utcTimeOfDay(session.close));
+        const current = [await contract.indexTradingHours(symbolHash), await contract.indexCloseTimes(symbolHash)];
+        if (open < close && (current[0] !== open || current[1] !== close)) {
+          await run(`setTradingHours(${open}, ${close})`, symbol, () => admin.setTradingHours(symbolHash, open, close));
+        }
+      }
+
+      if (market.circuitBreakerBps) {
+        const { dayOpen, circuitBreakerActive } = await contract.indexData(symbolHash);
+        const [price] = await contract.prices(symbolHash);
+        const drop = dayOpen > 0n && price < dayOpen ? ((dayOpen - price) * 10000n) / dayOpen : 0n;
+        if (!circuitBreakerActive && drop >= BigInt(market.circuitBreakerBps)) {
+          await run(`triggerCircuitBreaker (down ${drop} bps)`, symbol, () => admin.triggerCircuitBreaker(symbolHash));
+        }
+      }
+    }
+
+    const last = market.calendar.lastSession(now);
+    if (!last) return;
+    for (const symbol of symbols) {
+      const symbolHash = ethers.id(symbol);
+      const { beforeClose } = await this.priceAt(contract, symbolHash, last);
+      const { dayOpen, circuitBreakerActive } = await contract.indexData(symbolHash);
+      if (!beforeClose) continue;
+      if (dayOpen !== 0n) await run("resetDailyStats", symbol, () => admin.resetDailyStats(symbolHash));
+      if (circuitBreakerActive) {
+        await run("clearCircuitBreaker", symbol, () => admin.clearCircuitBreaker(symbolHash));
+      }
+    }
+  }
+
+  async syncCommodities(market, symbols, now, run) {
+    const { contract } = this.oracles[market.oracle];
+    const last = market.calendar.lastSession(now);
+    if (!last) return;
+    for (const symbol of symbols) {
+      const symbolHash = ethers.id(symbol);
+      const { price, beforeClose } = await this.priceAt(contract, symbolHash, last);
+      const { lastSettlement } = await contract.commodityData(symbolHash);
+      if (price > 0n && beforeClose && lastSettlement < BigInt(last.close)) {
+        await run("recordSettlement", symbol, () => contract.recordSettlement(symbolHash, price));
+      }
+    }
+  }
+}
+
+module.exports = { MarketScheduler };
@@ -0,0 +1,192 @@
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+/**
+ * Price source adapters. Each type turns a source config into an object with
+ * `read(symbol, now)` resolving to a reading or null when the source has nothing:
+ *
+ *   { price, bid?, ask?, volume?, timestamp? }
+ *
+ * Prices are plain decimal numbers (or strings) in the quote currency; the feeder
+ * converts them to the oracles' 8 decimals. Additional adapters can be added with
+ * registerPriceSource.
+ */
+const SOURCE_TYPES = {
+  /**
+   * JSON over HTTP
+   * @param {object} config
+   * @param {string} config.url URL template; `${symbol}`, `${base}`, `${quote}` and `${env.NAME}` are filled in
+   * @param {string} config.price Dot path to the price in the response, e.g. `data.amount` (templated too)
+   * @param {string} [config.bid] Dot path to the bid
+   * @param {string} [config.ask] Dot path to the ask
+   * @param {string} [config.volume] Dot path to the volume
+   * @param {object} [config.symbols] Oracle symbol → source symbol, e.g. { "BTC/USD": "BTC-USD" }
+   * @param {object} [config.headers] Request headers (templated like the URL)
+   * @param {number} [config.timeout=5000] Request timeout in milliseconds
+   */
+  http(config) {
+    if (!config.url || !config.price) {
+      throw new Error(`PriceSource: http source ${config.name} needs url and price`);
+    }
+    return {
+      name: config.name,
+      async read(symbol) {
+        const vars = symbolVars(config.symbols?.[symbol] || symbol);
+        const headers = Object.fromEntries(
+          Object.entries(config.headers || {}).map(([key, value]) => [key, interpolate(value, vars)]),
+        );
+        const { data } = await axios.get(interpolate(config.url, vars), { headers, timeout: config.timeout || 5000 });
+
+        const reading = {};
+        for (const field of ["price", "bid", "ask", "volume"]) {
+          if (config[field]) reading[field] = valueAt(data, interpolate(config[field], vars));
+        }
+        return reading.price === undefined || reading.price === null ? null : reading;
+      },
+    };
+  },
+
+  /**
+   * Recorded readings, replayed by time
+   *
+   * The file is a JSON array (or JSON lines) of `{ symbol, timestamp, price, bid?, ask?, volume? }`;
+   * `read` returns the newest entry at or before `now`.
+   *
+   * @param {object} config
+   * @param {string} config.path File path (relative to the feed config)
+   */
+  file(config) {
+    if (!config.path) {
+      throw new Error(`PriceSource: file source ${config.name} needs a path`);
+    }
+    const text = fs.readFileSync(path.resolve(config.baseDir || ".", config.path), "utf8").trim();
+    const entries = text.startsWith("[")
+      ? JSON.parse(text)
+      : text
+          .split("\n")
+          .filter(Boolean)
+          .map((line) => JSON.parse(line));
+
+    const bySymbol = new Map();
+    for (const entry of entries) {
+      if (!bySymbol.has(entry.symbol)) bySymbol.set(entry.symbol, []);
+      bySymbol.get(entry.symbol).push(entry);
+    }
+    for (const list of bySymbol.values()) list.sort((a, b) => a.timestamp - b.timestamp);
+
+    return {
+      name: config.name,
+      async read(symbol, now) {
+        const list = bySymbol.get(symbol) || [];
+        let latest = null;
+        for (const entry of list) {
+          if (entry.timestamp > now) break;
+          latest = entry;
+        }
+        if (!latest) return null;
+        const { symbol: _, ...reading } = latest;
+        return reading;
+      },
+    };
+  },
+
+  /**
+   * Deterministic prices for tests and local nodes
+   *
+   * Each symbol oscillates around its base price as a sine of `now`, so two sources with
+   * different phases disagree by a predictable amount. `set` pins a price.
+   *
+   * @param {object} config
+   * @param {object} config.prices Symbol → base price
+   * @param {number} [config.amplitudeBps=0] Swing around the base price
+   * @param {number} [config.period=3600] Seconds per full swing
+   * @param {number} [config.phase=0] Seconds added to `now`
+   * @param {number} [config.spreadBps] Adds bid/ask this far apart around the price
+   * @param {number} [config.volume] Volume reported with every reading
+   */
+  mock(config) {
+    const pinned = new Map();
+    const { prices = {}, amplitudeBps = 0, period = 3600, phase = 0, spreadBps, volume } = config;
+
+    return {
+      name: config.name,
+      set(symbol, price) {
+        if (price === null || price === undefined) pinned.delete(symbol);
+        else pinned.set(symbol, price);
+      },
+      async read(symbol, now) {
+        const base = pinned.has(symbol) ? pinned.get(symbol) : prices[symbol];
+        if (base === undefined || base === null) return null;
+
+        const swing = pinned.has(symbol)
+          ? 0
+          : (amplitudeBps / 10000) * Math.sin((2 * Math.PI * (now + phase)) / period);
+        const price = Number(base) * (1 + swing);
+        const reading = { price };
+        if (spreadBps !== undefined) {
+          reading.bid = price * (1 - spreadBps / 20000);
+          reading.ask = price * (1 + spreadBps / 20000);
+        }
+        if (volume !== undefined) reading.volume = volume;
+        return reading;
+      },
+    };
+  },
+};
+
+/**
+ * Register an additional price source type
+ * @param {string} type Type name used in feed configs
+ * @param {function(object): {name: string, read: function(string, number): Promise<object|null>}} factory Adapter factory
+ */
+function registerPriceSource(type, factory) {
+  if (typeof factory !== "function") {
+    throw new Error("PriceSource: Factory must be a function");
+  }
+  SOURCE_TYPES[type] = factory;
+}
+
+/**
+ * Create a price source from its config
+ * @param {object} config Source config ({ name, type, ...type options })
+ * @returns {object} Source with `read(symbol, now)`
+ */
+function createPriceSource(config) {
+  const factory = SOURCE_TYPES[config.type];
+  if (!factory) {
+    throw new Error(`PriceSource: Unknown type ${config.type} for ${config.name}`);
+  }
+  return factory(config);
+}
+
+function symbolVars(symbol) {
+  const [base, quote = ""] = symbol.split(/[/-]/);
+  return { symbol, base, quote };
+}
+
+function interpolate(template, vars) {
+  return String(template).replace(/\$\{([^}]+)\}/g, (_, key) => {
+    if (key.startsWith("env.")) {
+      const value = process.env[key.slice(4)];
+      if (value === undefined || value === "") {
+        throw new Error(`PriceSource: Environment variable ${key.slice(4)} is not set`);
+      }
+      return value;
+    }
+    if (!(key in vars)) {
+      throw new Error(`PriceSource: Unknown placeholder ${key}`);
+    }
+    return encodeURIComponent(vars[key]);
+  });
+}
+
+function valueAt(data, dotPath) {
+  return dotPath.split(".").reduce((value, key) => (value === undefined || value === null ? value : value[key]), data);
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  registerPriceSource,
+  createPriceSource,
+};
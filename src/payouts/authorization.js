@@ -0,0 +1,57 @@
+const { ethers } = require("ethers");
+
+/**
+ * Solidity types of the message signed for PayoutManager.requestPayout.
+ * Must stay in sync with PayoutManager._verifyOperatorSignature (abi.encodePacked).
+ */
+const PAYOUT_AUTHORIZATION_TYPES = ["bytes32", "address", "bytes32", "uint256", "uint256", "address"];
+
+/**
+ * Hash a payout authorization exactly like PayoutManager._verifyOperatorSignature
+ * (before the EIP-191 prefix is applied)
+ * @param {object} params Authorization fields
+ * @param {string} params.traderId Trader ID (bytes32)
+ * @param {string} params.recipient Payout recipient
+ * @param {string} params.batchId TradeLedger batch ID (bytes32)
+ * @param {bigint|number|string} params.nonce PayoutManager.payoutNonces(traderId)
+ * @param {bigint|number|string} params.chainId Chain ID
+ * @param {string} params.payoutManager PayoutManager address
+ * @returns {string} Message hash (bytes32 hex)
+ */
+function hashPayoutAuthorization({ traderId, recipient, batchId, nonce, chainId, payoutManager }) {
+  return ethers.solidityPackedKeccak256(PAYOUT_AUTHORIZATION_TYPES, [
+    ethers.zeroPadValue(traderId, 32),
+    ethers.getAddress(recipient),
+    ethers.zeroPadValue(batchId, 32),
+    BigInt(nonce),
+    BigInt(chainId),
+    ethers.getAddress(payoutManager),
+  ]);
+}
+
+/**
+ * Sign a payout authorization with an operator key (EIP-191 personal_sign)
+ * @param {import("ethers").Signer} signer Operator signer
+ * @param {object} params Same fields as hashPayoutAuthorization
+ * @returns {Promise<string>} 65-byte signature
+ */
+async function signPayoutAuthorization(signer, params) {
+  return signer.signMessage(ethers.getBytes(hashPayoutAuthorization(params)));
+}
+
+/**
+ * Recover the operator address from a payout authorization signature
+ * @param {object} params Same fields as hashPayoutAuthorization
+ * @param {string} signature Operator signature
+ * @returns {string} Signer address
+ */
+function recoverPayoutSigner(params, signature) {
+  return ethers.verifyMessage(ethers.getBytes(hashPayoutAuthorization(params)), signature);
+}
+
+module.exports = {
+  PAYOUT_AUTHORIZATION_TYPES,
+  hashPayoutAuthorization,
+  signPayoutAuthorization,
+  recoverPayoutSigner,
+};
@@ -0,0 +1,23 @@
+const {
+  PAYOUT_AUTHORIZATION_TYPES,
+  hashPayoutAuthorization,
+  signPayoutAuthorization,
+  recoverPayoutSigner,
+} = require("./authorization");
+const { KEY_BACKENDS, registerKeyBackend, loadSigner, keyConfigFromEnv } = require("./keys");
+const { PayoutSigner, PayoutAuthorizationError } = require("./signer");
+const { createPayoutSignerApp } = require("./server");
+
+module.exports = {
+  PAYOUT_AUTHORIZATION_TYPES,
+  hashPayoutAuthorization,
+  signPayoutAuthorization,
+  recoverPayoutSigner,
+  KEY_BACKENDS,
+  registerKeyBackend,
+  loadSigner,
+  keyConfigFromEnv,
+  PayoutSigner,
+  PayoutAuthorizationError,
+  createPayoutSignerApp,
+};
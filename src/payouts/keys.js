@@ -0,0 +1,111 @@
+const fs = require("fs/promises");
+const { ethers } = require("ethers");
+
+/**
+ * Operator key backends. Each backend turns a config object into an ethers Signer;
+ * additional backends (HSM, KMS, ...) can be added with registerKeyBackend.
+ */
+const KEY_BACKENDS = {
+  /**
+   * Raw private key, usually from .env
+   * @param {object} config
+   * @param {string} config.privateKey Hex private key
+   */
+  async privateKey({ privateKey }, provider) {
+    if (!privateKey) {
+      throw new Error("KeyBackend: Missing private key");
+    }
+    return new ethers.Wallet(privateKey, provider);
+  },
+
+  /**
+   * Encrypted JSON keystore (geth / ethers format)
+   * @param {object} config
+   * @param {string} config.keystorePath Path to the keystore file
+   * @param {string} config.password Keystore password
+   */
+  async keystore({ keystorePath, password }, provider) {
+    if (!keystorePath) {
+      throw new Error("KeyBackend: Missing keystore path");
+    }
+    if (password === undefined || password === null) {
+      throw new Error("KeyBackend: Missing keystore password");
+    }
+    const json = await fs.readFile(keystorePath, "utf8");
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+    return provider ? wallet.connect(provider) : wallet;
+  },
+};
+
+/**
+ * Prefixes whose private key never falls back to `PRIVATE_KEY`: the manifest revokes the
+ * deployer's FEEDER_ROLE, so the deployer key cannot post prices
+ */
+const OWN_KEY_PREFIXES = ["FEEDER"];
+
+/**
+ * Register an additional key backend
+ * @param {string} name Backend name
+ * @param {function(object, import("ethers").Provider): Promise<import("ethers").Signer>} loader Backend loader
+ */
+function registerKeyBackend(name, loader) {
+  if (typeof loader !== "function") {
+    throw new Error("KeyBackend: Loader must be a function");
+  }
+  KEY_BACKENDS[name] = loader;
+}
+
+/**
+ * Load an operator signer from a backend config
+ * @param {object} config Backend config ({ backend, ...backend options })
+ * @param {import("ethers").Provider} [provider] Provider to connect the signer to
+ * @returns {Promise<import("ethers").Signer>} Operator signer
+ */
+async function loadSigner({ backend, ...config }, provider) {
+  const loader = KEY_BACKENDS[backend];
+  if (!loader) {
+    throw new Error(`KeyBackend: Unknown backend ${backend}`);
+  }
+  return loader(config, provider);
+}
+
+/**
+ * Build a backend config from environment variables
+ *
+ * - `OPERATOR_KEY_BACKEND`: "privateKey" (default) or "keystore"
+ * - `OPERATOR_PRIVATE_KEY`: operator key (falls back to `PRIVATE_KEY`)
+ * - `OPERATOR_KEYSTORE_PATH`, `OPERATOR_KEYSTORE_PASSWORD`: keystore backend
+ *
+ * Other services pass their own prefix, e.g. `FEEDER` for `FEEDER_PRIVATE_KEY`. The feeder's key
+ * must be set: it does not fall back to `PRIVATE_KEY`.
+ *
+ * @param {object} [env=process.env] Environment
+ * @param {string} [prefix="OPERATOR"] Variable prefix
+ * @returns {object} Backend config for loadSigner
+ * @throws When a prefix that needs its own key has none
+ */
+function keyConfigFromEnv(env = process.env, prefix = "OPERATOR") {
+  const backend = env[`${prefix}_KEY_BACKEND`] || "privateKey";
+
+  if (backend === "keystore") {
+    return {
+      backend,
+      keystorePath: env[`${prefix}_KEYSTORE_PATH`],
+      password: env[`${prefix}_KEYSTORE_PASSWORD`],
+    };
+  }
+  if (backend === "privateKey") {
+    if (OWN_KEY_PREFIXES.includes(prefix) && !env[`${prefix}_PRIVATE_KEY`]) {
+      throw new Error(`KeyBackend: ${prefix}_PRIVATE_KEY is not set (PRIVATE_KEY is not used for ${prefix})`);
+    }
+    return { backend, privateKey: env[`${prefix}_PRIVATE_KEY`] || env.PRIVATE_KEY };
+  }
+  return { backend };
+}
+
+module.exports = {
+  KEY_BACKENDS,
+  registerKeyBackend,
+  loadSigner,
+  keyConfigFromEnv,
+};
@@ -0,0 +1,48 @@
+const express = require("express");
+const { PayoutAuthorizationError } = require("./signer");
+
+/**
+ * Express app exposing a PayoutSigner
+ *
+ * **Routes:**
+ * - `GET  /health`            operator address and whether it holds OPERATOR_ROLE
+ * - `POST /payouts/authorize` body `{ traderId, recipient?, batchId, trades?, proofs? }`
+ *                             returns the signature bundle from PayoutSigner.authorize
+ *
+ * There is no authentication: anyone who reaches the app can have payouts signed to the traders'
+ * own addresses. Listen on localhost or behind an authenticating proxy.
+ *
+ * @param {import("./signer").PayoutSigner} payoutSigner Signer service
+ * @returns {import("express").Express} App (call `.listen()` to serve)
+ */
+function createPayoutSignerApp(payoutSigner) {
+  const app = express();
+  app.use(express.json({ limit: "1mb" }));
+
+  app.get("/health", async (req, res) => {
+    const { operator, authorized } = await payoutSigner.status();
+    res.status(authorized ? 200 : 503).json({ ok: authorized, operator });
+  });
+
+  app.post("/payouts/authorize", async (req, res) => {
+    const { traderId, recipient, batchId, trades, proofs } = req.body || {};
+    res.json(await payoutSigner.authorize({ traderId, recipient, batchId, trades, proofs }));
+  });
+
+  app.use((error, req, res, next) => {
+    if (error instanceof PayoutAuthorizationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.type === "entity.parse.failed") {
+      return res.status(400).json({ error: "Invalid JSON body" });
+    }
+    console.error("❌ Payout signer error:", error);
+    res.status(500).json({ error: "Internal error" });
+  });
+
+  return app;
+}
+
+module.exports = {
+  createPayoutSignerApp,
+};
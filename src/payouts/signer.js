@@ -0,0 +1,156 @@
+const { ethers } = require("ethers");
+const { toTradeTuple } = require("../settlement");
+const { signPayoutAuthorization } = require("./authorization");
+
+/** TraderAccountRegistry.AccountStatus values that may request payouts */
+const PAYABLE_STATUSES = [1n, 4n]; // Active, Promoted
+
+/**
+ * Rejected payout authorization (carries an HTTP-style status for the API layer)
+ */
+class PayoutAuthorizationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PayoutAuthorizationError";
+    this.status = status;
+  }
+}
+
+/**
+ * Issues operator signatures for PayoutManager.requestPayout
+ *
+ * `requestPayout` can be sent by anyone, and the operator signature is the only thing that binds the
+ * recipient, so the signer only pays out to the trader's registered address. Callers cannot choose
+ * where another trader's share goes.
+ *
+ * The signature commits to the trader's current `payoutNonces` value, so only one
+ * outstanding authorization per trader can be used; signing again before the first
+ * one is submitted yields a signature for the same nonce.
+ */
+class PayoutSigner {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Contract} options.payoutManager PayoutManager contract
+   * @param {import("ethers").Contract} options.traderRegistry TraderAccountRegistry contract
+   * @param {import("ethers").Signer} options.signer Operator signer (from a key backend)
+   */
+  constructor({ payoutManager, traderRegistry, signer }) {
+    if (!payoutManager || !traderRegistry || !signer) {
+      throw new Error("PayoutSigner: payoutManager, traderRegistry and signer are required");
+    }
+    this.payoutManager = payoutManager;
+    this.traderRegistry = traderRegistry;
+    this.signer = signer;
+  }
+
+  /**
+   * Operator address and whether it currently holds OPERATOR_ROLE on PayoutManager
+   * @returns {Promise<{operator: string, authorized: boolean}>}
+   */
+  async status() {
+    const operator = await this.signer.getAddress();
+    const role = await this.payoutManager.OPERATOR_ROLE();
+    return { operator, authorized: await this.payoutManager.hasRole(role, operator) };
+  }
+
+  /**
+   * Validate a payout request and sign it
+   * @param {object} request
+   * @param {string} request.traderId Trader ID (bytes32)
+   * @param {string} [request.recipient] Payout recipient; must be the trader's registered address (the default)
+   * @param {string} request.batchId TradeLedger batch ID (bytes32)
+   * @param {Array} [request.trades] TradeLedger.Trade objects (to build calldata)
+   * @param {string[][]} [request.proofs] Merkle proofs per trade (to build calldata)
+   * @returns {Promise<object>} JSON-safe bundle with signature and optional transaction
+   */
+  async authorize({ traderId, recipient, batchId, trades, proofs }) {
+    if (!ethers.isHexString(traderId, 32)) {
+      throw new PayoutAuthorizationError("Invalid traderId");
+    }
+    if (recipient !== undefined && (!ethers.isAddress(recipient) || BigInt(recipient) === 0n)) {
+      throw new PayoutAuthorizationError("Invalid recipient");
+    }
+    if (!ethers.isHexString(batchId, 32)) {
+      throw new PayoutAuthorizationError("Invalid batchId");
+    }
+    if ((trades === undefined) !== (proofs === undefined)) {
+      throw new PayoutAuthorizationError("trades and proofs must be provided together");
+    }
+    if (
+      trades !== undefined &&
+      (!Array.isArray(trades) || trades.length === 0 || !Array.isArray(proofs) || trades.length !== proofs.length)
+    ) {
+      throw new PayoutAuthorizationError("trades and proofs must be non-empty arrays of equal length");
+    }
+
+    let tradeTuples = null;
+    if (trades !== undefined) {
+      try {
+        tradeTuples = trades.map(toTradeTuple);
+      } catch (error) {
+        throw new PayoutAuthorizationError(error.message);
+      }
+    }
+
+    const trader = await this.traderRegistry.getTraderInfo(traderId);
+    if (trader.traderId === ethers.ZeroHash) {
+      throw new PayoutAuthorizationError("Trader not found", 404);
+    }
+    if (!PAYABLE_STATUSES.includes(BigInt(trader.status))) {
+      throw new PayoutAuthorizationError("Trader not active", 409);
+    }
+    if (recipient !== undefined && ethers.getAddress(recipient) !== trader.traderAddress) {
+      throw new PayoutAuthorizationError("Recipient is not the trader's registered address", 403);
+    }
+
+    const [eligible, reason] = await this.payoutManager.canRequestPayout(traderId);
+    if (!eligible) {
+      throw new PayoutAuthorizationError(reason, 409);
+    }
+
+    const { operator, authorized } = await this.status();
+    if (!authorized) {
+      throw new PayoutAuthorizationError("Signer does not hold OPERATOR_ROLE", 503);
+    }
+
+    const payoutManager = await this.payoutManager.getAddress();
+    const runner = this.payoutManager.runner;
+    const { chainId } = await (runner.provider || runner).getNetwork();
+    const nonce = await this.payoutManager.payoutNonces(traderId);
+
+    const params = { traderId, recipient: trader.traderAddress, batchId, nonce, chainId, payoutManager };
+    const signature = await signPayoutAuthorization(this.signer, params);
+
+    let transaction = null;
+    if (tradeTuples) {
+      transaction = {
+        to: payoutManager,
+        data: this.payoutManager.interface.encodeFunctionData("requestPayout", [
+          traderId,
+          params.recipient,
+          batchId,
+          proofs,
+          tradeTuples,
+          signature,
+        ]),
+      };
+    }
+
+    return {
+      traderId,
+      recipient: params.recipient,
+      batchId,
+      nonce: nonce.toString(),
+      chainId: chainId.toString(),
+      payoutManager,
+      operator,
+      signature,
+      transaction,
+    };
+  }
+}
+
+module.exports = {
+  PayoutSigner,
+  PayoutAuthorizationError,
+};
@@ -0,0 +1,5 @@
+const { createPoller } = require("./poller");
+
+module.exports = {
+  createPoller,
+};
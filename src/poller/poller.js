@@ -0,0 +1,48 @@
+/**
+ * Loop behind the long-running services (oracle feeder and monitor, price and ledger indexers, keeper)
+ *
+ * `step` runs, then the loop sleeps `interval` milliseconds and runs it again, until stop(). A failed
+ * step goes to `onError` and the loop carries on; stop() cuts the sleep short but lets a running step
+ * finish.
+ *
+ * @param {object} options
+ * @param {function(): Promise<object>} options.step One iteration (a tick, poll or sync)
+ * @param {number} options.interval Milliseconds between steps
+ * @param {function(object): void} [options.onResult] Called with each step's result
+ * @param {function(Error): void} options.onError Called with each step's error
+ * @returns {{run: function(): Promise<void>, stop: function(): void}} run() resolves once stopped
+ */
+function createPoller({ step, interval, onResult, onError }) {
+  let running = false;
+  let timer = null;
+  let wake = null;
+
+  return {
+    async run() {
+      running = true;
+      while (running) {
+        try {
+          const result = await step();
+          if (onResult) onResult(result);
+        } catch (error) {
+          onError(error);
+        }
+        if (!running) break;
+        await new Promise((resolve) => {
+          wake = resolve;
+          timer = setTimeout(resolve, interval);
+        });
+      }
+    },
+
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      if (wake) wake();
+    },
+  };
+}
+
+module.exports = {
+  createPoller,
+};
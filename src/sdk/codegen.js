@@ -0,0 +1,270 @@
+const fs = require("fs");
+const path = require("path");
+const { CONTRACTS } = require("../../sdk/lib/contracts");
+
+/** Root of the SDK package */
+const SDK_DIR = path.join(__dirname, "../../sdk");
+
+/** BaseContract members a function of the same name would shadow; ethers does not expose those either */
+const BASE_CONTRACT_MEMBERS = new Set([
+  "target",
+  "interface",
+  "runner",
+  "filters",
+  "fallback",
+  "connect",
+  "attach",
+  "getAddress",
+  "getDeployedCode",
+  "waitForDeployment",
+  "deploymentTransaction",
+  "getFunction",
+  "getEvent",
+  "queryTransaction",
+  "queryFilter",
+  "on",
+  "once",
+  "emit",
+  "listenerCount",
+  "listeners",
+  "removeAllListeners",
+  "addListener",
+  "removeListener",
+  "off",
+]);
+
+const RESERVED_WORDS = new Set(["new", "delete", "default", "function", "class", "in", "for", "if", "return", "var"]);
+
+const HEADER = "// Generated by `npx hardhat sdk:generate` from the compiled artifacts. Do not edit.\n";
+
+function identifier(name, index) {
+  if (!name) return `arg${index}`;
+  return RESERVED_WORDS.has(name) ? `${name}_` : name;
+}
+
+/** "struct TradeLedger.Trade[]" → { owner: "TradeLedger", struct: "Trade" } */
+function structOf(param) {
+  const match = /^struct ([A-Za-z0-9_]+)\.([A-Za-z0-9_]+)/.exec(param.internalType || "");
+  return match ? { owner: match[1], struct: match[2] } : null;
+}
+
+/**
+ * TypeScript type of an ABI parameter
+ * @param {object} param ABI parameter (JSON fragment)
+ * @param {"input"|"output"} mode Argument accepted by ethers, or value returned by ethers
+ * @param {function(object, string): string} structName Name of a struct's declaration
+ * @returns {string}
+ */
+function tsType(param, mode, structName) {
+  const array = /^(.*)\[(\d*)\]$/.exec(param.type);
+  if (array) {
+    return `${tsType({ ...param, type: array[1], internalType: (param.internalType || "").replace(/\[\d*\]$/, "") }, mode, structName)}[]`;
+  }
+  if (param.type === "tuple") {
+    const struct = structOf(param);
+    return struct ? structName(struct, mode) : inlineTuple(param.components, mode, structName);
+  }
+  if (/^u?int\d*$/.test(param.type)) return mode === "input" ? "BigNumberish" : "bigint";
+  if (param.type === "address") return mode === "input" ? "AddressLike" : "string";
+  if (param.type === "bool") return "boolean";
+  if (param.type === "string") return "string";
+  if (/^bytes\d*$/.test(param.type)) return mode === "input" ? "BytesLike" : "string";
+  return "unknown";
+}
+
+function inlineTuple(components, mode, structName) {
+  const fields = components.map((c, i) => `${identifier(c.name, i)}: ${tsType(c, mode, structName)}`);
+  if (mode === "input") return `{ ${fields.join("; ")} }`;
+  return `[${components.map((c) => tsType(c, mode, structName)).join(", ")}] & { ${fields.join("; ")} }`;
+}
+
+/** Result type of a call: the value for one output, a Result-like tuple for several */
+function resultType(outputs, structName) {
+  if (outputs.length === 0) return "void";
+  if (outputs.length === 1) return tsType(outputs[0], "output", structName);
+  if (outputs.every((output) => output.name)) return inlineTuple(outputs, "output", structName);
+  return `[${outputs.map((output) => tsType(output, "output", structName)).join(", ")}]`;
+}
+
+function formatParams(params) {
+  return params.map((p) => `${p.type}${p.indexed ? " indexed" : ""}${p.name ? ` ${p.name}` : ""}`).join(", ");
+}
+
+/**
+ * TypeScript declaration of a contract's ethers wrapper
+ * @param {string} name Contract (artifact) name
+ * @param {object[]} abi Contract ABI
+ * @returns {string} Contents of `<name>.d.ts`
+ */
+function declarationFor(name, abi) {
+  const structs = new Map();
+  const structName = ({ owner, struct }, mode) => {
+    const base = owner === name ? struct : `${owner}_${struct}`;
+    return `${name}.${base}${mode === "input" ? "Struct" : "StructOutput"}`;
+  };
+
+  const collect = (params) => {
+    for (const param of params) {
+      if (param.type.startsWith("tuple")) {
+        const struct = structOf(param);
+        if (struct) structs.set(`${struct.owner}.${struct.struct}`, { ...struct, components: param.components });
+        collect(param.components);
+      }
+    }
+  };
+  for (const fragment of abi) {
+    collect(fragment.inputs || []);
+    collect(fragment.outputs || []);
+  }
+
+  const namespace = [];
+  for (const [qualified, { owner, struct, components }] of [...structs].sort(([a], [b]) => a.localeCompare(b))) {
+    const base = owner === name ? struct : `${owner}_${struct}`;
+    const fields = (mode) => components.map((c, i) => `    ${identifier(c.name, i)}: ${tsType(c, mode, structName)};`);
+    const outputs = components.map((c) => tsType(c, "output", structName)).join(", ");
+    namespace.push(
+      `  /** struct ${qualified} */`,
+      `  type ${base}Struct = {`,
+      ...fields("input"),
+      "  };",
+      `  type ${base}StructOutput = [${outputs}] & {`,
+      ...fields("output"),
+      "  };",
+    );
+  }
+  for (const event of abi.filter((fragment) => fragment.type === "event")) {
+    namespace.push(
+      `  /** event ${event.name}(${formatParams(event.inputs)}) */`,
+      `  type ${event.name}Event = {`,
+      ...event.inputs.map((input, i) => `    ${identifier(input.name, i)}: ${tsType(input, "output", structName)};`),
+      "  };",
+    );
+  }
+
+  const functions = abi.filter((fragment) => fragment.type === "function");
+  const overloaded = new Set(
+    functions.map((f) => f.name).filter((fname, i, names) => names.indexOf(fname) !== names.lastIndexOf(fname)),
+  );
+  const methods = [];
+  for (const fn of functions) {
+    const signature = `${fn.name}(${fn.inputs.map((input) => input.type).join(",")})`;
+    const key = overloaded.has(fn.name) ? JSON.stringify(signature) : fn.name;
+    if (BASE_CONTRACT_MEMBERS.has(key)) continue;
+
+    const args = fn.inputs.map((input, i) => `${identifier(input.name, i)}: ${tsType(input, "input", structName)}`);
+    const result = resultType(fn.outputs, structName);
+    const view = fn.stateMutability === "view" || fn.stateMutability === "pure";
+    const returns = fn.outputs.length ? ` returns (${formatParams(fn.outputs)})` : "";
+    methods.push(
+      `  /** ${fn.name}(${formatParams(fn.inputs)}) ${fn.stateMutability}${returns} */`,
+      `  ${key}: BaseContractMethod<[${args.join(", ")}], ${result}, ${view ? result : "ContractTransactionResponse"}>;`,
+    );
+  }
+
+  const errors = abi
+    .filter((fragment) => fragment.type === "error")
+    .map((error) => `${error.name}(${error.inputs.map((input) => input.type).join(",")})`);
+
+  return [
+    HEADER.trimEnd(),
+    "import type {",
+    "  AddressLike,",
+    "  BaseContract,",
+    "  BaseContractMethod,",
+    "  BigNumberish,",
+    "  BytesLike,",
+    "  ContractRunner,",
+    "  ContractTransactionResponse,",
+    '} from "ethers";',
+    "",
+    `export declare namespace ${name} {`,
+    ...namespace,
+    `  /** Custom errors ${name} can revert with (decoded by decodeError) */`,
+    `  type CustomError = ${errors.length ? errors.map((error) => JSON.stringify(error)).join(" | ") : "never"};`,
+    "}",
+    "",
+    `export interface ${name} extends BaseContract {`,
+    `  connect(runner: ContractRunner | null): ${name};`,
+    "",
+    ...methods,
+    "}",
+    "",
+  ].join("\n");
+}
+
+/**
+ * All generated SDK files
+ * @param {function(string): Promise<{abi: object[]}>} readArtifact Artifact reader (hre.artifacts.readArtifact)
+ * @returns {Promise<Map<string, string>>} Path relative to the SDK root → contents
+ */
+async function renderSdk(readArtifact) {
+  const files = new Map();
+  const artifacts = [...new Set(Object.values(CONTRACTS))];
+
+  for (const artifact of artifacts) {
+    const { abi } = await readArtifact(artifact);
+    files.set(`abi/${artifact}.json`, JSON.stringify(abi, null, 2) + "\n");
+    files.set(`types/${artifact}.d.ts`, declarationFor(artifact, abi));
+  }
+
+  files.set(
+    "abi/index.js",
+    [
+      HEADER.trimEnd(),
+      "module.exports = {",
+      ...artifacts.map((artifact) => `  ${artifact}: require("./${artifact}.json"),`),
+      "};",
+      "",
+    ].join("\n"),
+  );
+
+  files.set(
+    "types/index.d.ts",
+    [
+      HEADER.trimEnd(),
+      ...artifacts.map((artifact) => `import type { ${artifact} } from "./${artifact}";`),
+      "",
+      ...artifacts.map((artifact) => `export type { ${artifact} } from "./${artifact}";`),
+      "",
+      "/** Contracts of a deployment, by record name */",
+      "export interface ChainFlowContracts {",
+      ...Object.entries(CONTRACTS).map(([key, artifact]) => `  ${key}: ${artifact};`),
+      "}",
+      "",
+      "export type ContractName = keyof ChainFlowContracts;",
+      "",
+    ].join("\n"),
+  );
+
+  return files;
+}
+
+/**
+ * Write the SDK's ABIs and declarations, or list the ones that are out of date
+ * @param {object} options
+ * @param {function(string): Promise<{abi: object[]}>} options.readArtifact Artifact reader (hre.artifacts.readArtifact)
+ * @param {string} [options.outDir] SDK root (defaults to sdk/)
+ * @param {boolean} [options.check=false] Only compare, write nothing
+ * @returns {Promise<string[]>} Files written (or, with check, files that differ from the artifacts)
+ */
+async function generateSdk({ readArtifact, outDir = SDK_DIR, check = false }) {
+  const changed = [];
+  for (const [file, contents] of await renderSdk(readArtifact)) {
+    const target = path.join(outDir, file);
+    const current = fs.existsSync(target) ? fs.readFileSync(target, "utf8") : null;
+    if (current === contents) continue;
+    changed.push(file);
+    if (!check) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, contents);
+    }
+  }
+  return changed;
+}
+
+module.exports = {
+  SDK_DIR,
+  declarationFor,
+  renderSdk,
+  generateSdk,
+};
@@ -0,0 +1,8 @@
+const { SDK_DIR, declarationFor, renderSdk, generateSdk } = require("./codegen");
+
+module.exports = {
+  SDK_DIR,
+  declarationFor,
+  renderSdk,
+  generateSdk,
+};
@@ -0,0 +1,293 @@
+const zlib = require("zlib");
+const { ethers } = require("ethers");
+const { MerkleTree } = require("./merkle");
+const { TRADE_FIELDS, hashTrade, normalizeTrade } = require("./trade");
+const { buildSettlementBatch, computeBatchHash } = require("./batch-builder");
+
+/** Artifact format identifier */
+const ARTIFACT_FORMAT = "chainflow.settlement-batch";
+
+/** Current artifact schema version (bump on any breaking change to `content`) */
+const ARTIFACT_VERSION = 1;
+
+/** Prefix of the TradeLedger metadata string pointing at an artifact */
+const METADATA_PREFIX = `chainflow-batch:v${ARTIFACT_VERSION}:`;
+
+const BIGINT_FIELDS = ["size", "entryPrice", "exitPrice", "pnl", "fee", "timestamp"];
+
+/**
+ * Serialize a value to JSON with object keys sorted recursively
+ * @param {*} value JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+function canonicalStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Content-addressed hash of an artifact (keccak256 of the canonical `content` JSON)
+ * @param {object} content Artifact content
+ * @returns {string} bytes32 hex
+ */
+function computeContentHash(content) {
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalStringify(content)));
+}
+
+function serializeTrade(trade) {
+  const normalized = normalizeTrade(trade);
+  const serialized = {};
+  for (const field of TRADE_FIELDS) {
+    serialized[field] = BIGINT_FIELDS.includes(field) ? normalized[field].toString() : normalized[field];
+  }
+  return serialized;
+}
+
+function deserializeTrade(trade) {
+  return normalizeTrade(trade);
+}
+
+/**
+ * Create a batch artifact from a built settlement batch
+ * @param {object} batch Result of buildSettlementBatch
+ * @param {object} context Where the batch is submitted
+ * @param {string} context.operator Operator address submitting the batch
+ * @param {bigint|number|string} context.chainId Chain ID
+ * @param {string} context.tradeLedger TradeLedger address
+ * @returns {object} Artifact (submission is filled in later via attachSubmission)
+ */
+function createBatchArtifact(batch, { operator, chainId, tradeLedger }) {
+  if (!ethers.isAddress(operator)) {
+    throw new Error("BatchArtifact: Invalid operator");
+  }
+  if (!ethers.isAddress(tradeLedger)) {
+    throw new Error("BatchArtifact: Invalid tradeLedger");
+  }
+
+  const content = {
+    format: ARTIFACT_FORMAT,
+    version: ARTIFACT_VERSION,
+    chainId: BigInt(chainId).toString(),
+    tradeLedger: ethers.getAddress(tradeLedger),
+    operator: ethers.getAddress(operator),
+    merkleRoot: batch.root,
+    batchHash: batch.batchHash,
+    tradeCount: batch.tradeCount,
+    totalVolume: batch.volume.toString(),
+    netPnL: batch.netPnL.toString(),
+    leaves: batch.entries.map((entry) => ({ leaf: entry.leaf, trade: serializeTrade(entry.trade) })),
+    layers: batch.tree.getLayers(),
+  };
+
+  return {
+    contentHash: computeContentHash(content),
+    content,
+    submission: null,
+  };
+}
+
+/**
+ * TradeLedger metadata string referencing an artifact
+ * @param {string} contentHash Artifact content hash
+ * @returns {string} Metadata for submitBatch
+ */
+function toMetadata(contentHash) {
+  return `${METADATA_PREFIX}${contentHash}`;
+}
+
+/**
+ * Extract the content hash from a TradeLedger metadata string
+ * @param {string} metadata Batch metadata
+ * @returns {string|null} Content hash, or null if metadata is not an artifact reference
+ */
+function parseMetadata(metadata) {
+  if (typeof metadata !== "string" || !metadata.startsWith(METADATA_PREFIX)) {
+    return null;
+  }
+  const hash = metadata.slice(METADATA_PREFIX.length);
+  return ethers.isHexString(hash, 32) ? hash.toLowerCase() : null;
+}
+
+/**
+ * Record the on-chain submission of an artifact
+ * @param {object} artifact Batch artifact
+ * @param {object} submission Submission details
+ * @param {string} submission.batchId TradeLedger batch ID
+ * @param {string} [submission.txHash] Submission transaction hash
+ * @param {number} [submission.blockNumber] Submission block
+ * @returns {object} New artifact with submission attached
+ */
+function attachSubmission(artifact, { batchId, txHash, blockNumber }) {
+  if (!ethers.isHexString(batchId, 32)) {
+    throw new Error("BatchArtifact: Invalid batchId");
+  }
+  return {
+    ...artifact,
+    submission: {
+      batchId,
+      txHash: txHash || null,
+      blockNumber: blockNumber === undefined || blockNumber === null ? null : Number(blockNumber),
+    },
+  };
+}
+
+/**
+ * Check an artifact is self-consistent: content hash, leaf hashes, tree layers, batch hash and totals
+ *
+ * Everything passed to `submitBatch` (batchHash, merkleRoot, tradeCount, totalVolume, netPnL) is
+ * recomputed from the leaves, so a tampered artifact cannot carry the right root with wrong arguments.
+ * @param {object} artifact Batch artifact
+ * @returns {object} The artifact (throws on any mismatch)
+ */
+function validateBatchArtifact(artifact) {
+  const { content } = artifact;
+
+  if (!content || content.format !== ARTIFACT_FORMAT) {
+    throw new Error("BatchArtifact: Unknown format");
+  }
+  if (content.version !== ARTIFACT_VERSION) {
+    throw new Error(`BatchArtifact: Unsupported version ${content.version}`);
+  }
+  if (computeContentHash(content) !== artifact.contentHash) {
+    throw new Error("BatchArtifact: Content hash mismatch");
+  }
+
+  const trades = content.leaves.map(({ trade }) => deserializeTrade(trade));
+  content.leaves.forEach(({ leaf }, index) => {
+    if (hashTrade(trades[index]) !== leaf) {
+      throw new Error(`BatchArtifact: Leaf ${index} does not match trade`);
+    }
+  });
+
+  const tree = MerkleTree.fromLayers(content.layers);
+  if (content.layers[0].join() !== content.leaves.map(({ leaf }) => leaf).join()) {
+    throw new Error("BatchArtifact: Layers do not match leaves");
+  }
+  if (tree.getRoot() !== content.merkleRoot) {
+    throw new Error("BatchArtifact: Merkle root mismatch");
+  }
+  if (content.tradeCount !== content.leaves.length) {
+    throw new Error("BatchArtifact: Trade count mismatch");
+  }
+  if (computeBatchHash(content.layers[0]) !== content.batchHash) {
+    throw new Error("BatchArtifact: Batch hash mismatch");
+  }
+
+  if (trades.reduce((sum, trade) => sum + trade.size, 0n).toString() !== content.totalVolume) {
+    throw new Error("BatchArtifact: Total volume mismatch");
+  }
+  if (trades.reduce((sum, trade) => sum + trade.pnl, 0n).toString() !== content.netPnL) {
+    throw new Error("BatchArtifact: Net PnL mismatch");
+  }
+
+  return artifact;
+}
+
+/**
+ * Rebuild a settlement batch (proofs, per-trader slices) from an artifact alone
+ * @param {object} artifact Batch artifact
+ * @returns {object} Same shape as buildSettlementBatch, plus batchId when submitted
+ */
+function batchFromArtifact(artifact) {
+  validateBatchArtifact(artifact);
+
+  const batch = buildSettlementBatch(artifact.content.leaves.map(({ trade }) => deserializeTrade(trade)));
+  if (batch.root !== artifact.content.merkleRoot || batch.batchHash !== artifact.content.batchHash) {
+    throw new Error("BatchArtifact: Rebuilt batch does not match artifact");
+  }
+
+  batch.batchId = artifact.submission ? artifact.submission.batchId : null;
+  batch.contentHash = artifact.contentHash;
+  return batch;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// ENCODINGS
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Encode an artifact as pretty-printed JSON
+ */
+function encodeJson(artifact) {
+  return Buffer.from(JSON.stringify(artifact, null, 2) + "\n");
+}
+
+function decodeJson(buffer) {
+  return JSON.parse(buffer.toString("utf8"));
+}
+
+/**
+ * Encode an artifact as gzip-compressed NDJSON
+ * @dev Line 1 is the header (everything except leaves and layers), then one line per
+ * leaf in order, then one line per tree layer above the leaves.
+ */
+function encodeNdjsonGz(artifact) {
+  const { leaves, layers, ...header } = artifact.content;
+  const lines = [
+    JSON.stringify({
+      type: "header",
+      contentHash: artifact.contentHash,
+      submission: artifact.submission,
+      content: header,
+    }),
+    ...leaves.map((entry, index) => JSON.stringify({ type: "leaf", index, ...entry })),
+    ...layers.slice(1).map((layer, index) => JSON.stringify({ type: "layer", level: index + 1, nodes: layer })),
+  ];
+  return zlib.gzipSync(Buffer.from(lines.join("\n") + "\n"));
+}
+
+function decodeNdjsonGz(buffer) {
+  const lines = zlib.gunzipSync(buffer).toString("utf8").split("\n").filter(Boolean).map(JSON.parse);
+
+  const header = lines.find((line) => line.type === "header");
+  if (!header) {
+    throw new Error("BatchArtifact: Missing NDJSON header");
+  }
+
+  const leaves = lines
+    .filter((line) => line.type === "leaf")
+    .sort((a, b) => a.index - b.index)
+    .map(({ leaf, trade }) => ({ leaf, trade }));
+  const upper = lines
+    .filter((line) => line.type === "layer")
+    .sort((a, b) => a.level - b.level)
+    .map((line) => line.nodes);
+
+  return {
+    contentHash: header.contentHash,
+    content: { ...header.content, leaves, layers: [leaves.map(({ leaf }) => leaf), ...upper] },
+    submission: header.submission,
+  };
+}
+
+const ENCODINGS = {
+  json: { extension: ".json", encode: encodeJson, decode: decodeJson },
+  "ndjson.gz": { extension: ".ndjson.gz", encode: encodeNdjsonGz, decode: decodeNdjsonGz },
+};
+
+module.exports = {
+  ARTIFACT_FORMAT,
+  ARTIFACT_VERSION,
+  METADATA_PREFIX,
+  ENCODINGS,
+  canonicalStringify,
+  computeContentHash,
+  createBatchArtifact,
+  attachSubmission,
+  validateBatchArtifact,
+  batchFromArtifact,
+  toMetadata,
+  parseMetadata,
+  encodeJson,
+  decodeJson,
+  encodeNdjsonGz,
+  decodeNdjsonGz,
+};
@@ -0,0 +1,92 @@
+const { ethers } = require("ethers");
+const { MerkleTree } = require("./merkle");
+const { normalizeTrade, hashTrade } = require("./trade");
+
+/**
+ * Hash the ordered list of leaves into the batch hash submitted to TradeLedger
+ * @param {string[]} leaves Leaf hashes in batch order
+ * @returns {string} keccak256(abi.encodePacked(leaves))
+ */
+function computeBatchHash(leaves) {
+  return ethers.solidityPackedKeccak256(["bytes32[]"], [leaves]);
+}
+
+/**
+ * Build a settlement batch ready for TradeLedger.submitBatch
+ * @param {object[]} trades TradeLedger.Trade objects, in batch order
+ * @returns {object} Batch with root, per-trade proofs, totals and batchHash
+ *
+ * Totals:
+ * - tradeCount: number of trades
+ * - volume: sum of trade sizes
+ * - netPnL: sum of trade pnl (can be negative)
+ */
+function buildSettlementBatch(trades) {
+  if (!Array.isArray(trades) || trades.length === 0) {
+    throw new Error("SettlementBatch: No trades");
+  }
+
+  const normalized = trades.map(normalizeTrade);
+
+  const seen = new Set();
+  for (const trade of normalized) {
+    if (seen.has(trade.tradeId)) {
+      throw new Error(`SettlementBatch: Duplicate tradeId ${trade.tradeId}`);
+    }
+    seen.add(trade.tradeId);
+  }
+
+  const leaves = normalized.map(hashTrade);
+  const tree = new MerkleTree(leaves);
+  const root = tree.getRoot();
+
+  const entries = normalized.map((trade, index) => ({
+    index,
+    trade,
+    leaf: leaves[index],
+    proof: tree.getProof(index),
+  }));
+
+  return {
+    root,
+    batchHash: computeBatchHash(leaves),
+    tradeCount: normalized.length,
+    volume: normalized.reduce((sum, trade) => sum + trade.size, 0n),
+    netPnL: normalized.reduce((sum, trade) => sum + trade.pnl, 0n),
+    leaves,
+    tree,
+    entries,
+
+    /**
+     * Arguments for TradeLedger.submitBatch
+     * @param {string} metadata Off-chain data reference
+     * @returns {Array} [batchHash, merkleRoot, tradeCount, metadata, batchVolume, netPnL]
+     */
+    submitBatchArgs(metadata) {
+      if (!metadata) {
+        throw new Error("SettlementBatch: Empty metadata");
+      }
+      return [this.batchHash, this.root, this.tradeCount, metadata, this.volume, this.netPnL];
+    },
+
+    /**
+     * Trades and proofs for one trader, as expected by verifyAndRecordTraderPnL / requestPayout
+     * @param {string} traderId Trader identifier
+     * @returns {{trades: object[], proofs: string[][], totalPnL: bigint}} Trader slice
+     */
+    forTrader(traderId) {
+      const id = ethers.zeroPadValue(traderId, 32);
+      const selected = entries.filter((entry) => entry.trade.traderId === id);
+      return {
+        trades: selected.map((entry) => entry.trade),
+        proofs: selected.map((entry) => entry.proof),
+        totalPnL: selected.reduce((sum, entry) => sum + entry.trade.pnl, 0n),
+      };
+    },
+  };
+}
+
+module.exports = {
+  buildSettlementBatch,
+  computeBatchHash,
+};
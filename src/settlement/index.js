@@ -0,0 +1,32 @@
+const { MerkleTree, hashPair } = require("./merkle");
+const { TRADE_TYPES, TRADE_FIELDS, Side, normalizeTrade, hashTrade, toTradeTuple } = require("./trade");
+const { buildSettlementBatch, computeBatchHash } = require("./batch-builder");
+const artifact = require("./artifact");
+const { LocalBatchStore } = require("./store");
+
+module.exports = {
+  MerkleTree,
+  hashPair,
+  TRADE_TYPES,
+  TRADE_FIELDS,
+  Side,
+  normalizeTrade,
+  hashTrade,
+  toTradeTuple,
+  buildSettlementBatch,
+  computeBatchHash,
+  ARTIFACT_FORMAT: artifact.ARTIFACT_FORMAT,
+  ARTIFACT_VERSION: artifact.ARTIFACT_VERSION,
+  createBatchArtifact: artifact.createBatchArtifact,
+  attachSubmission: artifact.attachSubmission,
+  validateBatchArtifact: artifact.validateBatchArtifact,
+  batchFromArtifact: artifact.batchFromArtifact,
+  computeContentHash: artifact.computeContentHash,
+  toMetadata: artifact.toMetadata,
+  parseMetadata: artifact.parseMetadata,
+  encodeJson: artifact.encodeJson,
+  decodeJson: artifact.decodeJson,
+  encodeNdjsonGz: artifact.encodeNdjsonGz,
+  decodeNdjsonGz: artifact.decodeNdjsonGz,
+  LocalBatchStore,
+};
@@ -0,0 +1,130 @@
+const { ethers } = require("ethers");
+
+/**
+ * Hash a pair of nodes the way OpenZeppelin MerkleProof does (sorted, packed)
+ * @param {string} a bytes32 hex
+ * @param {string} b bytes32 hex
+ * @returns {string} Parent node
+ */
+function hashPair(a, b) {
+  const [left, right] = BigInt(a) < BigInt(b) ? [a, b] : [b, a];
+  return ethers.keccak256(ethers.concat([left, right]));
+}
+
+/**
+ * Merkle tree over pre-hashed leaves, compatible with OpenZeppelin MerkleProof.verify
+ * @dev Leaves keep their input order. When a layer has an odd number of nodes the
+ * last node is carried up unchanged and simply contributes no sibling to the proof,
+ * which MerkleProof.processProof handles since it only folds the siblings it is given.
+ */
+class MerkleTree {
+  /**
+   * @param {string[]} leaves Leaf hashes (bytes32 hex)
+   */
+  constructor(leaves) {
+    if (leaves.length === 0) {
+      throw new Error("MerkleTree: No leaves");
+    }
+
+    this.leaves = leaves.map((leaf) => ethers.hexlify(ethers.getBytes(leaf)));
+    for (const leaf of this.leaves) {
+      if (ethers.dataLength(leaf) !== 32) {
+        throw new Error(`MerkleTree: Leaf is not bytes32 (${leaf})`);
+      }
+    }
+
+    this.layers = MerkleTree.buildLayers(this.leaves);
+  }
+
+  /**
+   * Build all layers from leaves (layer 0) up to the root (last layer)
+   * @param {string[]} leaves Leaf hashes
+   * @returns {string[][]} Tree layers
+   */
+  static buildLayers(leaves) {
+    const layers = [leaves];
+
+    while (layers[layers.length - 1].length > 1) {
+      const current = layers[layers.length - 1];
+      const next = [];
+
+      for (let i = 0; i < current.length; i += 2) {
+        next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+      }
+
+      layers.push(next);
+    }
+
+    return layers;
+  }
+
+  /**
+   * Rebuild a tree from previously exported layers, checking they are consistent
+   * @param {string[][]} layers Layers as returned by getLayers()
+   * @returns {MerkleTree} Tree
+   */
+  static fromLayers(layers) {
+    const tree = new MerkleTree(layers[0]);
+    const rebuilt = tree.getLayers();
+
+    if (rebuilt.length !== layers.length || rebuilt.some((layer, i) => layer.join() !== layers[i].join())) {
+      throw new Error("MerkleTree: Layers do not match leaves");
+    }
+
+    return tree;
+  }
+
+  /**
+   * Verify a proof off-chain (mirrors MerkleProof.verify)
+   * @param {string[]} proof Sibling hashes
+   * @param {string} root Expected root
+   * @param {string} leaf Leaf hash
+   * @returns {boolean} Whether the proof is valid
+   */
+  static verify(proof, root, leaf) {
+    let computed = leaf;
+    for (const sibling of proof) {
+      computed = hashPair(computed, sibling);
+    }
+    return computed.toLowerCase() === root.toLowerCase();
+  }
+
+  getRoot() {
+    return this.layers[this.layers.length - 1][0];
+  }
+
+  getLayers() {
+    return this.layers.map((layer) => [...layer]);
+  }
+
+  /**
+   * Get the proof for the leaf at `index`
+   * @param {number} index Leaf index
+   * @returns {string[]} Sibling hashes from leaf to root
+   */
+  getProof(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.leaves.length) {
+      throw new Error("MerkleTree: Index out of bounds");
+    }
+
+    const proof = [];
+    let current = index;
+
+    for (let level = 0; level < this.layers.length - 1; level++) {
+      const sibling = current % 2 === 1 ? current - 1 : current + 1;
+
+      if (sibling < this.layers[level].length) {
+        proof.push(this.layers[level][sibling]);
+      }
+
+      current = Math.floor(current / 2);
+    }
+
+    return proof;
+  }
+}
+
+module.exports = {
+  MerkleTree,
+  hashPair,
+};
@@ -0,0 +1,148 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { ENCODINGS, validateBatchArtifact, parseMetadata } = require("./artifact");
+
+const INDEX_FILE = "index.json";
+
+/**
+ * File-system store for batch artifacts, keyed by content hash
+ *
+ * **Layout:**
+ * ```
+ * <rootDir>/
+ *   index.json                      { batches: { <batchId>: <contentHash> } }
+ *   <contentHash>.json              JSON encoding
+ *   <contentHash>.ndjson.gz         compressed NDJSON encoding
+ * ```
+ *
+ * Artifacts are validated on every read and write, so anything returned by the
+ * store can be used directly to regenerate proofs.
+ */
+class LocalBatchStore {
+  /**
+   * @param {string} rootDir Directory holding the artifacts
+   */
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  _pathFor(contentHash, encoding) {
+    return path.join(this.rootDir, `${contentHash.toLowerCase()}${ENCODINGS[encoding].extension}`);
+  }
+
+  async _readIndex() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.rootDir, INDEX_FILE), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return { batches: {} };
+      throw error;
+    }
+  }
+
+  async _writeIndex(index) {
+    await this._write(path.join(this.rootDir, INDEX_FILE), JSON.stringify(index, null, 2) + "\n");
+  }
+
+  async _write(filePath, data) {
+    // Write then rename so readers never observe a partial artifact or index
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, data);
+    await fs.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Store an artifact
+   * @param {object} artifact Batch artifact
+   * @param {object} [options]
+   * @param {string} [options.encoding="json"] "json" or "ndjson.gz"
+   * @returns {Promise<string>} Path of the written file
+   */
+  async put(artifact, { encoding = "json" } = {}) {
+    if (!ENCODINGS[encoding]) {
+      throw new Error(`BatchStore: Unknown encoding ${encoding}`);
+    }
+    validateBatchArtifact(artifact);
+
+    await fs.mkdir(this.rootDir, { recursive: true });
+    const filePath = this._pathFor(artifact.contentHash, encoding);
+    await this._write(filePath, ENCODINGS[encoding].encode(artifact));
+
+    if (artifact.submission) {
+      const index = await this._readIndex();
+      index.batches[artifact.submission.batchId.toLowerCase()] = artifact.contentHash;
+      await this._writeIndex(index);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Load an artifact by content hash (any encoding)
+   * @param {string} contentHash Artifact content hash
+   * @returns {Promise<object|null>} Artifact, or null if not stored
+   */
+  async get(contentHash) {
+    for (const encoding of Object.keys(ENCODINGS)) {
+      let data;
+      try {
+        data = await fs.readFile(this._pathFor(contentHash, encoding));
+      } catch (error) {
+        if (error.code === "ENOENT") continue;
+        throw error;
+      }
+
+      const artifact = validateBatchArtifact(ENCODINGS[encoding].decode(data));
+      if (artifact.contentHash !== contentHash.toLowerCase()) {
+        throw new Error("BatchStore: Stored artifact does not match requested hash");
+      }
+      return artifact;
+    }
+    return null;
+  }
+
+  /**
+   * Load an artifact from a TradeLedger metadata string
+   * @param {string} metadata Batch metadata
+   * @returns {Promise<object|null>} Artifact, or null if unknown
+   */
+  async getByMetadata(metadata) {
+    const contentHash = parseMetadata(metadata);
+    return contentHash ? this.get(contentHash) : null;
+  }
+
+  /**
+   * Load an artifact by on-chain batch ID
+   * @param {string} batchId TradeLedger batch ID
+   * @returns {Promise<object|null>} Artifact, or null if unknown
+   */
+  async getByBatchId(batchId) {
+    const index = await this._readIndex();
+    const contentHash = index.batches[batchId.toLowerCase()];
+    return contentHash ? this.get(contentHash) : null;
+  }
+
+  /**
+   * List stored content hashes
+   * @returns {Promise<string[]>} Content hashes
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.rootDir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const hashes = new Set();
+    for (const file of files) {
+      const match = file.match(/^(0x[0-9a-f]{64})\.(json|ndjson\.gz)$/);
+      if (match) hashes.add(match[1]);
+    }
+    return [...hashes].sort();
+  }
+}
+
+module.exports = {
+  LocalBatchStore,
+};
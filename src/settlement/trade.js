@@ -0,0 +1,105 @@
+const { ethers } = require("ethers");
+
+/**
+ * Solidity types of TradeLedger.Trade in declaration order.
+ * Must stay in sync with TradeLedger._hashTrade (abi.encodePacked).
+ */
+const TRADE_TYPES = [
+  "bytes32",
+  "bytes32",
+  "string",
+  "uint8",
+  "uint256",
+  "uint256",
+  "uint256",
+  "int256",
+  "uint256",
+  "uint256",
+];
+
+const TRADE_FIELDS = [
+  "traderId",
+  "tradeId",
+  "symbol",
+  "side",
+  "size",
+  "entryPrice",
+  "exitPrice",
+  "pnl",
+  "fee",
+  "timestamp",
+];
+
+/** Trade side values accepted by TradeLedger (0=Long, 1=Short) */
+const Side = Object.freeze({ Long: 0, Short: 1 });
+
+/**
+ * Normalize a trade object into the exact shape of TradeLedger.Trade
+ * @param {object} trade Trade with TradeLedger.Trade fields
+ * @returns {object} Trade with bytes32 ids, numeric side and bigint amounts
+ */
+function normalizeTrade(trade) {
+  for (const field of TRADE_FIELDS) {
+    if (trade[field] === undefined || trade[field] === null) {
+      throw new Error(`Trade: Missing field ${field}`);
+    }
+  }
+
+  const side = Number(trade.side);
+  if (side !== Side.Long && side !== Side.Short) {
+    throw new Error(`Trade: Invalid side ${trade.side}`);
+  }
+
+  const normalized = {
+    traderId: ethers.zeroPadValue(trade.traderId, 32),
+    tradeId: ethers.zeroPadValue(trade.tradeId, 32),
+    symbol: String(trade.symbol),
+    side,
+    size: BigInt(trade.size),
+    entryPrice: BigInt(trade.entryPrice),
+    exitPrice: BigInt(trade.exitPrice),
+    pnl: BigInt(trade.pnl),
+    fee: BigInt(trade.fee),
+    timestamp: BigInt(trade.timestamp),
+  };
+
+  for (const field of ["size", "entryPrice", "exitPrice", "fee", "timestamp"]) {
+    if (normalized[field] < 0n) {
+      throw new Error(`Trade: Negative ${field}`);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Hash a trade exactly like TradeLedger._hashTrade
+ * @param {object} trade TradeLedger.Trade fields
+ * @returns {string} Merkle leaf (bytes32 hex)
+ */
+function hashTrade(trade) {
+  const normalized = normalizeTrade(trade);
+  return ethers.solidityPackedKeccak256(
+    TRADE_TYPES,
+    TRADE_FIELDS.map((field) => normalized[field]),
+  );
+}
+
+/**
+ * Convert a normalized trade into the positional tuple ethers expects for calldata
+ * @param {object} trade TradeLedger.Trade fields
+ * @returns {Array} Tuple in struct order
+ */
+function toTradeTuple(trade) {
+  const normalized = normalizeTrade(trade);
+  return TRADE_FIELDS.map((field) => normalized[field]);
+}
+
+module.exports = {
+  TRADE_TYPES,
+  TRADE_FIELDS,
+  Side,
+  normalizeTrade,
+  hashTrade,
+  toTradeTuple,
+};
@@ -0,0 +1,129 @@
+const { ethers } = require("ethers");
+
+/** Columns of a trader import file (header row required, extra columns ignored) */
+const IMPORT_COLUMNS = ["accountId", "traderAddress", "tier", "metadata"];
+
+/**
+ * Parse RFC 4180 CSV (quoted fields, escaped quotes, CRLF or LF line endings)
+ * @param {string} text CSV text
+ * @returns {string[][]} Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("CSV: Unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Parse and validate a trader import file
+ *
+ * Every row is checked before anything is returned so a bad file never causes a partial import.
+ *
+ * @param {string} text CSV with header `accountId,traderAddress,tier,metadata` (tier and metadata optional)
+ * @returns {Array<{line: number, accountId: string, traderAddress: string, tier: number, metadata: string}>}
+ */
+function parseTraderImport(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw new Error("TraderImport: Empty file");
+  }
+
+  const columns = header.map((name) => name.trim());
+  for (const required of ["accountId", "traderAddress"]) {
+    if (!columns.includes(required)) {
+      throw new Error(`TraderImport: Missing column ${required}`);
+    }
+  }
+
+  const errors = [];
+  const seenAccounts = new Set();
+  const seenAddresses = new Set();
+
+  const records = rows.map((fields, index) => {
+    const line = index + 2;
+    const value = (name) => (columns.includes(name) ? (fields[columns.indexOf(name)] || "").trim() : "");
+
+    const record = {
+      line,
+      accountId: value("accountId"),
+      traderAddress: value("traderAddress"),
+      tier: value("tier") === "" ? 1 : Number(value("tier")),
+      metadata: value("metadata"),
+    };
+
+    if (!record.accountId) {
+      errors.push(`line ${line}: missing accountId`);
+    } else if (seenAccounts.has(record.accountId)) {
+      errors.push(`line ${line}: duplicate accountId ${record.accountId}`);
+    }
+    seenAccounts.add(record.accountId);
+
+    if (!ethers.isAddress(record.traderAddress)) {
+      errors.push(`line ${line}: invalid traderAddress ${record.traderAddress}`);
+    } else {
+      record.traderAddress = ethers.getAddress(record.traderAddress);
+      if (seenAddresses.has(record.traderAddress)) {
+        errors.push(`line ${line}: duplicate traderAddress ${record.traderAddress}`);
+      }
+      seenAddresses.add(record.traderAddress);
+    }
+
+    if (!Number.isInteger(record.tier) || record.tier < 1 || record.tier > 5) {
+      errors.push(`line ${line}: invalid tier ${value("tier")}`);
+    }
+
+    return record;
+  });
+
+  if (errors.length > 0) {
+    const invalidRows = new Set(errors.map((error) => error.split(":")[0])).size;
+    throw new Error(`TraderImport: ${invalidRows} invalid row(s)\n  ${errors.join("\n  ")}`);
+  }
+
+  return records;
+}
+
+module.exports = {
+  IMPORT_COLUMNS,
+  parseCsv,
+  parseTraderImport,
+};
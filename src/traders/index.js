@@ -0,0 +1,35 @@
+const {
+  TRADER_ID_NAMESPACE,
+  REGISTRATION_TYPES,
+  deriveTraderId,
+  hashRegistration,
+  signRegistration,
+} = require("./signatures");
+const {
+  ACCOUNT_STATUSES,
+  MIN_SCALING_CONSISTENCY,
+  registerTrader,
+  checkScalingEligibility,
+  scaleTrader,
+  getTraderStatus,
+  importTraders,
+} = require("./onboarding");
+const { IMPORT_COLUMNS, parseCsv, parseTraderImport } = require("./csv");
+
+module.exports = {
+  TRADER_ID_NAMESPACE,
+  REGISTRATION_TYPES,
+  deriveTraderId,
+  hashRegistration,
+  signRegistration,
+  ACCOUNT_STATUSES,
+  MIN_SCALING_CONSISTENCY,
+  registerTrader,
+  checkScalingEligibility,
+  scaleTrader,
+  getTraderStatus,
+  importTraders,
+  IMPORT_COLUMNS,
+  parseCsv,
+  parseTraderImport,
+};
@@ -0,0 +1,218 @@
+const { ethers } = require("ethers");
+const { deriveTraderId, signRegistration } = require("./signatures");
+
+/** TraderAccountRegistry.AccountStatus names, indexed by enum value */
+const ACCOUNT_STATUSES = ["Inactive", "Active", "Breached", "Suspended", "Promoted", "Liquidated"];
+
+/** Minimum consistency score PayoutManager.authorizeScaling requires (basis points) */
+const MIN_SCALING_CONSISTENCY = 8000n;
+
+async function chainIdOf(contract) {
+  const runner = contract.runner;
+  const { chainId } = await (runner.provider || runner).getNetwork();
+  return chainId;
+}
+
+function resolveTraderId({ traderId, accountId }) {
+  if (traderId) {
+    if (!ethers.isHexString(traderId, 32)) {
+      throw new Error(`Trader: Invalid traderId ${traderId}`);
+    }
+    return traderId;
+  }
+  return deriveTraderId(accountId);
+}
+
+/**
+ * Register a trader with an operator signature
+ * @param {object} params
+ * @param {import("ethers").Contract} params.registry TraderAccountRegistry
+ * @param {import("ethers").Signer} params.operator Signer holding OPERATOR_ROLE on the registry
+ * @param {string} [params.accountId] Off-chain account ID (traderId is derived from it)
+ * @param {string} [params.traderId] Explicit traderId (overrides accountId)
+ * @param {string} params.traderAddress Trader wallet
+ * @param {number} [params.tier=1] Initial tier
+ * @param {string} [params.metadata=""] Registry metadata
+ * @returns {Promise<{traderId: string, txHash: string, blockNumber: number}>}
+ */
+async function registerTrader({ registry, operator, accountId, traderId, traderAddress, tier = 1, metadata = "" }) {
+  const id = resolveTraderId({ traderId, accountId });
+  const signature = await signRegistration(operator, {
+    traderId: id,
+    traderAddress,
+    tier,
+    nonce: await registry.nonces(id),
+    chainId: await chainIdOf(registry),
+    registry: await registry.getAddress(),
+  });
+
+  const tx = await registry.connect(operator).registerTrader(id, traderAddress, tier, metadata, signature);
+  const receipt = await tx.wait();
+  return { traderId: id, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+/**
+ * Check the conditions PayoutManager.authorizeScaling enforces, without sending a transaction
+ * @param {import("ethers").Contract} registry TraderAccountRegistry
+ * @param {string} traderId Trader ID
+ * @param {number} newTier Target tier
+ * @returns {Promise<{eligible: boolean, reason: string}>}
+ */
+async function checkScalingEligibility(registry, traderId, newTier) {
+  const trader = await registry.getTraderInfo(traderId);
+  if (trader.traderId === ethers.ZeroHash) return { eligible: false, reason: "Trader not found" };
+  if (ACCOUNT_STATUSES[Number(trader.status)] !== "Active") return { eligible: false, reason: "Not active" };
+  if (BigInt(newTier) <= trader.currentTier) return { eligible: false, reason: "Not an upgrade" };
+  if (BigInt(newTier) > 5n) return { eligible: false, reason: "Invalid tier" };
+
+  const metrics = await registry.getPerformanceMetrics(traderId);
+  if (metrics.consistencyScore < MIN_SCALING_CONSISTENCY) return { eligible: false, reason: "Low consistency" };
+  if (trader.breachCount > 0n) return { eligible: false, reason: "Has breaches" };
+  if (trader.lifetimePnL <= 0n) return { eligible: false, reason: "Negative PnL" };
+
+  return { eligible: true, reason: "Eligible" };
+}
+
+/**
+ * Upgrade a trader's tier through PayoutManager.authorizeScaling
+ * @param {object} params
+ * @param {import("ethers").Contract} params.payoutManager PayoutManager
+ * @param {import("ethers").Contract} params.registry TraderAccountRegistry
+ * @param {import("ethers").Signer} params.operator Signer holding OPERATOR_ROLE on PayoutManager
+ * @param {string} [params.accountId] Off-chain account ID
+ * @param {string} [params.traderId] Explicit traderId (overrides accountId)
+ * @param {number} params.newTier Target tier
+ * @returns {Promise<{traderId: string, oldTier: number, newTier: number, txHash: string, blockNumber: number}>}
+ */
+async function scaleTrader({ payoutManager, registry, operator, accountId, traderId, newTier }) {
+  const id = resolveTraderId({ traderId, accountId });
+
+  const { eligible, reason } = await checkScalingEligibility(registry, id, newTier);
+  if (!eligible) {
+    throw new Error(`Trader: Not eligible for scaling (${reason})`);
+  }
+
+  const { currentTier } = await registry.getTraderInfo(id);
+
+  // authorizeScaling takes an operatorSignature but never checks it; OPERATOR_ROLE is the only gate
+  const tx = await payoutManager.connect(operator).authorizeScaling(id, newTier, "0x");
+  const receipt = await tx.wait();
+  return {
+    traderId: id,
+    oldTier: Number(currentTier),
+    newTier: Number(newTier),
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+  };
+}
+
+/**
+ * Snapshot of a trader's account, tier config and performance metrics
+ * @param {import("ethers").Contract} registry TraderAccountRegistry
+ * @param {string} traderId Trader ID
+ * @returns {Promise<object>} JSON-safe status (amounts as decimal strings)
+ */
+async function getTraderStatus(registry, traderId) {
+  const trader = await registry.getTraderInfo(traderId);
+  if (trader.traderId === ethers.ZeroHash) {
+    return { traderId, registered: false };
+  }
+
+  const [tierConfig, metrics] = await Promise.all([
+    registry.getTierConfig(trader.currentTier),
+    registry.getPerformanceMetrics(traderId),
+  ]);
+
+  return {
+    traderId,
+    registered: true,
+    traderAddress: trader.traderAddress,
+    tier: Number(trader.currentTier),
+    status: ACCOUNT_STATUSES[Number(trader.status)],
+    registeredAt: Number(trader.registeredAt),
+    activatedAt: Number(trader.activatedAt),
+    lastTierUpdate: Number(trader.lastTierUpdate),
+    totalTrades: trader.totalTrades.toString(),
+    lifetimePnL: trader.lifetimePnL.toString(),
+    breachCount: Number(trader.breachCount),
+    kycVerified: trader.kycVerified,
+    metadata: trader.metadata,
+    tierConfig: {
+      capitalAllocation: tierConfig.capitalAllocation.toString(),
+      maxDrawdownPct: Number(tierConfig.maxDrawdownPct),
+      profitSplitPct: Number(tierConfig.profitSplitPct),
+      minTradingDays: Number(tierConfig.minTradingDays),
+      maxDailyLoss: tierConfig.maxDailyLoss.toString(),
+      active: tierConfig.active,
+    },
+    metrics: {
+      winRate: Number(metrics.winRate),
+      avgWin: metrics.avgWin.toString(),
+      avgLoss: metrics.avgLoss.toString(),
+      sharpeRatio: metrics.sharpeRatio.toString(),
+      maxDrawdown: metrics.maxDrawdown.toString(),
+      consistencyScore: Number(metrics.consistencyScore),
+      lastUpdated: Number(metrics.lastUpdated),
+    },
+  };
+}
+
+/**
+ * Register many traders (e.g. from parseTraderImport)
+ *
+ * Safe to re-run: accounts already registered to the same wallet are skipped, so an
+ * interrupted import can simply be started again. A failing row does not stop the import.
+ *
+ * @param {object} params
+ * @param {import("ethers").Contract} params.registry TraderAccountRegistry
+ * @param {import("ethers").Signer} params.operator Signer holding OPERATOR_ROLE on the registry
+ * @param {Array<object>} params.records Rows with accountId, traderAddress, tier, metadata
+ * @param {boolean} [params.dryRun=false] Only report what would happen
+ * @param {function(object): void} [params.onResult] Called after each row
+ * @returns {Promise<Array<object>>} One result per row: { line, accountId, traderId, result, reason?, txHash? }
+ */
+async function importTraders({ registry, operator, records, dryRun = false, onResult = () => {} }) {
+  const results = [];
+
+  for (const record of records) {
+    const traderId = deriveTraderId(record.accountId);
+    const base = { line: record.line, accountId: record.accountId, traderId };
+    let outcome;
+
+    try {
+      const existing = await registry.getTraderInfo(traderId);
+      const addressOwner = await registry.getTraderIdByAddress(record.traderAddress);
+
+      if (existing.traderId !== ethers.ZeroHash) {
+        outcome =
+          existing.traderAddress === record.traderAddress
+            ? { ...base, result: "skipped", reason: "Already registered" }
+            : { ...base, result: "failed", reason: `Registered to ${existing.traderAddress}` };
+      } else if (addressOwner !== ethers.ZeroHash) {
+        outcome = { ...base, result: "failed", reason: `Address registered to ${addressOwner}` };
+      } else if (dryRun) {
+        outcome = { ...base, result: "planned" };
+      } else {
+        const { txHash } = await registerTrader({ registry, operator, traderId, ...record });
+        outcome = { ...base, result: "registered", txHash };
+      }
+    } catch (error) {
+      outcome = { ...base, result: "failed", reason: error.shortMessage || error.message };
+    }
+
+    results.push(outcome);
+    onResult(outcome);
+  }
+
+  return results;
+}
+
+module.exports = {
+  ACCOUNT_STATUSES,
+  MIN_SCALING_CONSISTENCY,
+  registerTrader,
+  checkScalingEligibility,
+  scaleTrader,
+  getTraderStatus,
+  importTraders,
+};
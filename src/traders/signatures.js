@@ -0,0 +1,63 @@
+const { ethers } = require("ethers");
+
+/** Namespace prefixed to off-chain account IDs before hashing into a traderId */
+const TRADER_ID_NAMESPACE = "chainflow.trader:";
+
+/**
+ * Solidity types of the message signed for TraderAccountRegistry.registerTrader.
+ * Must stay in sync with TraderAccountRegistry._verifyOperatorSignature (abi.encodePacked).
+ */
+const REGISTRATION_TYPES = ["bytes32", "address", "uint8", "uint256", "uint256", "address"];
+
+/**
+ * Derive the on-chain traderId for an off-chain account ID
+ * @param {string} accountId Off-chain account ID (e.g. evaluation account number)
+ * @returns {string} traderId (bytes32 hex)
+ */
+function deriveTraderId(accountId) {
+  const id = String(accountId).trim();
+  if (!id) {
+    throw new Error("Trader: Empty account ID");
+  }
+  return ethers.keccak256(ethers.toUtf8Bytes(`${TRADER_ID_NAMESPACE}${id}`));
+}
+
+/**
+ * Hash a registration exactly like TraderAccountRegistry._verifyOperatorSignature
+ * @param {object} params
+ * @param {string} params.traderId Trader ID (bytes32)
+ * @param {string} params.traderAddress Trader wallet
+ * @param {number} params.tier Initial tier (1-5)
+ * @param {bigint|number|string} params.nonce TraderAccountRegistry.nonces(traderId)
+ * @param {bigint|number|string} params.chainId Chain ID
+ * @param {string} params.registry TraderAccountRegistry address
+ * @returns {string} Message hash (bytes32 hex)
+ */
+function hashRegistration({ traderId, traderAddress, tier, nonce, chainId, registry }) {
+  return ethers.solidityPackedKeccak256(REGISTRATION_TYPES, [
+    traderId,
+    ethers.getAddress(traderAddress),
+    Number(tier),
+    BigInt(nonce),
+    BigInt(chainId),
+    ethers.getAddress(registry),
+  ]);
+}
+
+/**
+ * Sign a registration with an operator key (EIP-191)
+ * @param {import("ethers").Signer} signer Operator signer
+ * @param {object} params Same fields as hashRegistration
+ * @returns {Promise<string>} Signature
+ */
+async function signRegistration(signer, params) {
+  return signer.signMessage(ethers.getBytes(hashRegistration(params)));
+}
+
+module.exports = {
+  TRADER_ID_NAMESPACE,
+  REGISTRATION_TYPES,
+  deriveTraderId,
+  hashRegistration,
+  signRegistration,
+};
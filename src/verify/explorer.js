@@ -0,0 +1,132 @@
+/**
+ * Client for an Etherscan-compatible explorer API (Etherscan, Blockscout, Paxscan)
+ *
+ * Only the contract module calls needed to verify a UUPS deployment are implemented:
+ * source verification from standard JSON input, and proxy → implementation linking.
+ */
+class ExplorerClient {
+  /**
+   * @param {object} options
+   * @param {string} options.apiUrl API endpoint, e.g. https://paxscan.paxeer.app/api
+   * @param {string} [options.apiKey] API key (Blockscout-based explorers accept any value)
+   * @param {number} [options.pollInterval=5000] Milliseconds between status checks
+   * @param {number} [options.maxPolls=60] Status checks before giving up on a submission
+   */
+  constructor({ apiUrl, apiKey = "", pollInterval = 5000, maxPolls = 60 }) {
+    if (!apiUrl) {
+      throw new Error("Explorer: apiUrl is required");
+    }
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+    this.pollInterval = pollInterval;
+    this.maxPolls = maxPolls;
+  }
+
+  async request(method, params) {
+    const body = new URLSearchParams({ apikey: this.apiKey, module: "contract", ...params });
+    const url = method === "GET" ? `${this.apiUrl}?${body}` : this.apiUrl;
+    const response = await fetch(url, method === "GET" ? {} : { method, body });
+    if (!response.ok) {
+      throw new Error(`Explorer: ${params.action} returned HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Whether the explorer already has source code for an address
+   * @param {string} address Contract address
+   * @returns {Promise<boolean>}
+   */
+  async isVerified(address) {
+    const { status, result } = await this.request("GET", { action: "getsourcecode", address });
+    return status === "1" && Array.isArray(result) && Boolean(result[0]?.SourceCode);
+  }
+
+  /**
+   * Submit source code as standard JSON input
+   * @param {object} options
+   * @param {string} options.address Contract address
+   * @param {string} options.contractName Fully qualified name, e.g. contracts/TradeLedger.sol:TradeLedger
+   * @param {string} options.compilerVersion Long compiler version, e.g. v0.8.27+commit.40a35a09
+   * @param {object} options.input Solidity standard JSON input
+   * @param {string} [options.constructorArguments=""] ABI-encoded arguments without 0x
+   * @returns {Promise<{guid: string}|{alreadyVerified: true}>}
+   */
+  async submitSource({ address, contractName, compilerVersion, input, constructorArguments = "" }) {
+    const { status, result } = await this.request("POST", {
+      action: "verifysourcecode",
+      contractaddress: address,
+      codeformat: "solidity-standard-json-input",
+      sourceCode: JSON.stringify(input),
+      contractname: contractName,
+      compilerversion: compilerVersion,
+      // Misspelt in the Etherscan API itself
+      constructorArguements: constructorArguments,
+    });
+    if (status === "1") {
+      return { guid: result };
+    }
+    if (/already verified/i.test(result)) {
+      return { alreadyVerified: true };
+    }
+    throw new Error(`Explorer: verification of ${address} rejected: ${result}`);
+  }
+
+  /**
+   * Ask the explorer to treat a proxy as pointing at an implementation
+   * @param {object} options
+   * @param {string} options.proxy Proxy address
+   * @param {string} options.implementation Expected implementation address
+   * @returns {Promise<{guid: string}>}
+   */
+  async submitProxy({ proxy, implementation }) {
+    const { status, result } = await this.request("POST", {
+      action: "verifyproxycontract",
+      address: proxy,
+      expectedimplementation: implementation,
+    });
+    if (status !== "1") {
+      throw new Error(`Explorer: proxy link for ${proxy} rejected: ${result}`);
+    }
+    return { guid: result };
+  }
+
+  /**
+   * Poll a submission until the explorer reports a result
+   * @param {"checkverifystatus"|"checkproxyverification"} action Status action for the submission type
+   * @param {string} guid Submission id
+   * @returns {Promise<{ok: boolean, message: string}>}
+   */
+  async waitFor(action, guid) {
+    for (let attempt = 0; attempt < this.maxPolls; attempt++) {
+      const { status, result } = await this.request("GET", { action, guid });
+      if (!/pending|in progress|queue/i.test(result)) {
+        return { ok: status === "1" || /already verified/i.test(result), message: result };
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.pollInterval));
+    }
+    throw new Error(`Explorer: ${guid} still pending after ${this.maxPolls} checks`);
+  }
+}
+
+/**
+ * Explorer client for the connected network from `etherscan` in hardhat.config.js
+ * @param {object} hre Hardhat runtime
+ * @param {object} [options] Overrides passed to ExplorerClient (e.g. apiUrl)
+ * @returns {Promise<ExplorerClient>}
+ */
+async function explorerFor(hre, options = {}) {
+  const { etherscan = {} } = hre.config;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const chain = (etherscan.customChains || []).find((entry) => BigInt(entry.chainId) === chainId);
+  const apiUrl = options.apiUrl || chain?.urls.apiURL;
+  if (!apiUrl) {
+    throw new Error(`Explorer: no etherscan.customChains entry for chain ${chainId}; pass an API URL`);
+  }
+
+  const { apiKey } = etherscan;
+  const key = typeof apiKey === "string" ? apiKey : apiKey?.[chain?.network || hre.network.name];
+  return new ExplorerClient({ apiKey: key, ...options, apiUrl });
+}
+
+module.exports = { ExplorerClient, explorerFor };
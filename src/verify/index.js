@@ -0,0 +1,10 @@
+const { ExplorerClient, explorerFor } = require("./explorer");
+const { compilerProfile, bytecodeMatches, verifyDeployment } = require("./verifier");
+
+module.exports = {
+  ExplorerClient,
+  explorerFor,
+  compilerProfile,
+  bytecodeMatches,
+  verifyDeployment,
+};
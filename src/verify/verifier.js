@@ -0,0 +1,169 @@
+/**
+ * Compiler profile and sources an artifact was built with
+ *
+ * hardhat.config.js has three profiles (0.8.20 without viaIR, 0.8.21 and 0.8.27 with it), and
+ * Hardhat builds each source with the newest one its pragma allows. The build info records the
+ * exact solc version and settings used, which is what the explorer has to reproduce.
+ *
+ * @param {object} hre Hardhat runtime
+ * @param {string} artifact Contract name or fully qualified name
+ * @returns {Promise<object>} { contractName, compilerVersion, settings, input, deployedBytecode, immutableReferences }
+ */
+async function compilerProfile(hre, artifact) {
+  const { sourceName, contractName } = await hre.artifacts.readArtifact(artifact);
+  const fullyQualifiedName = `${sourceName}:${contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  if (!buildInfo) {
+    throw new Error(`Verify: no build info for ${fullyQualifiedName}; run npx hardhat compile`);
+  }
+
+  const { evm } = buildInfo.output.contracts[sourceName][contractName];
+  const { optimizer, viaIR = false } = buildInfo.input.settings;
+  return {
+    contractName: fullyQualifiedName,
+    compilerVersion: `v${buildInfo.solcLongVersion}`,
+    settings: { optimizer, viaIR },
+    input: buildInfo.input,
+    deployedBytecode: evm.deployedBytecode.object,
+    immutableReferences: evm.deployedBytecode.immutableReferences || {},
+  };
+}
+
+/**
+ * Whether on-chain code was produced by a compiler profile
+ *
+ * Immutables (UUPS keeps its own address in one) are set at deployment, so those
+ * byte ranges are masked on both sides. The metadata hash is compared, so edited
+ * sources no longer match even when the logic compiles the same.
+ *
+ * @param {string} code Deployed code (0x-prefixed)
+ * @param {object} profile Result of compilerProfile
+ * @returns {boolean}
+ */
+function bytecodeMatches(code, { deployedBytecode, immutableReferences }) {
+  const mask = (hex) => {
+    const bytes = Buffer.from(hex.replace(/^0x/, ""), "hex");
+    for (const ranges of Object.values(immutableReferences)) {
+      for (const { start, length } of ranges) {
+        bytes.fill(0, start, start + length);
+      }
+    }
+    return bytes;
+  };
+  return mask(code).equals(mask(deployedBytecode));
+}
+
+/**
+ * Whether a recorded verification still covers a contract
+ * @param {object} [entry] record.verification[name]
+ * @param {string} implementation Current implementation
+ * @returns {boolean}
+ */
+function isComplete(entry, implementation) {
+  return entry?.implementation === implementation && entry.status === "verified" && entry.proxy === "linked";
+}
+
+/**
+ * Verify every proxy in a deployment record on an explorer
+ *
+ * For each proxy: read the implementation from the ERC-1967 slot, check its code against the
+ * recorded artifact's build, submit the implementation source with that build's compiler
+ * profile, then link the proxy to it. The outcome is written to `record.verification[name]`
+ * and `onUpdate` is called after each contract so an interrupted run keeps its progress;
+ * entries already verified and linked for the current implementation are skipped.
+ *
+ * @param {object} options
+ * @param {object} options.hre Hardhat runtime (artifacts, upgrades, ethers)
+ * @param {object} options.record Deployment record (`verification` is updated in place)
+ * @param {import("./explorer").ExplorerClient} options.explorer Explorer client
+ * @param {object} [options.manifest] Deployment manifest, for records without `artifacts`
+ * @param {string[]} [options.only] Contract names to verify (defaults to every contract)
+ * @param {boolean} [options.force=false] Re-submit contracts already recorded as verified
+ * @param {function(object): void} [options.onUpdate] Called with the record after each contract
+ * @param {function(string): void} [options.log=console.log] Progress output
+ * @returns {Promise<object>} record.verification
+ */
+async function verifyDeployment({
+  hre,
+  record,
+  explorer,
+  manifest,
+  only,
+  force = false,
+  onUpdate = () => {},
+  log = console.log,
+}) {
+  record.verification = record.verification || {};
+  const names = only || Object.keys(record.contracts || {});
+
+  for (const name of names) {
+    const proxy = record.contracts[name];
+    if (!proxy) {
+      throw new Error(`Verify: ${name} is not in deployment ${record.name}`);
+    }
+
+    const implementation = await hre.upgrades.erc1967.getImplementationAddress(proxy);
+    if (!force && isComplete(record.verification[name], implementation)) {
+      log(`⏭️  ${name} already verified`);
+      continue;
+    }
+
+    const entry = { implementation, status: "pending", proxy: "pending" };
+    try {
+      const artifact =
+        record.artifacts?.[name] || manifest?.contracts.find((contract) => contract.name === name)?.contract;
+      if (!artifact) {
+        throw new Error(`no artifact recorded for ${name}`);
+      }
+      const profile = await compilerProfile(hre, artifact);
+      entry.contractName = profile.contractName;
+      entry.compiler = { version: profile.compilerVersion, ...profile.settings };
+
+      if (!bytecodeMatches(await hre.ethers.provider.getCode(implementation), profile)) {
+        entry.status = "mismatch";
+        entry.error = `on-chain code at ${implementation} was not built from the local ${profile.contractName}`;
+      } else if (await explorer.isVerified(implementation)) {
+        entry.status = "verified";
+      } else {
+        log(
+          `📤 ${name}: submitting ${profile.contractName} (${profile.compilerVersion}, viaIR ${profile.settings.viaIR})`,
+        );
+        const submission = await explorer.submitSource({ address: implementation, ...profile });
+        if (submission.guid) {
+          entry.guid = submission.guid;
+          const { ok, message } = await explorer.waitFor("checkverifystatus", submission.guid);
+          entry.status = ok ? "verified" : "failed";
+          if (!ok) entry.error = message;
+        } else {
+          entry.status = "verified";
+        }
+      }
+
+      if (entry.status === "verified") {
+        const { guid } = await explorer.submitProxy({ proxy, implementation });
+        const { ok, message } = await explorer.waitFor("checkproxyverification", guid);
+        entry.proxy = ok ? "linked" : "failed";
+        if (!ok) entry.error = message;
+      } else {
+        entry.proxy = "skipped";
+      }
+    } catch (error) {
+      if (entry.status === "pending") entry.status = "failed";
+      if (entry.proxy === "pending") entry.proxy = entry.status === "verified" ? "failed" : "skipped";
+      entry.error = error.message;
+    }
+
+    entry.updatedAt = new Date().toISOString();
+    record.verification[name] = entry;
+    onUpdate(record);
+
+    const icon = isComplete(entry, implementation) ? "✅" : "❌";
+    log(
+      `${icon} ${name}: implementation ${entry.status}, proxy ${entry.proxy}${entry.error ? ` (${entry.error})` : ""}`,
+    );
+  }
+
+  return record.verification;
+}
+
+module.exports = { compilerProfile, bytecodeMatches, verifyDeployment };
@@ -0,0 +1,50 @@
+const { task, types } = require("hardhat/config");
+const fs = require("fs");
+const { resolveDeployment } = require("../src/deploy");
+const { loadRoleNames, auditAccessControl, formatAccessReport } = require("../src/access");
+
+/**
+ * Access-control audit task
+ *
+ *   npx hardhat access:audit --network paxeer-network
+ *   npx hardhat access:audit --format json --out access.json --block-range 5000 --network paxeer-network
+ *
+ * Replays RoleGranted/RoleRevoked for every contract in the deployment and prints who
+ * holds which role, flagging EOAs with admin-level roles and privileges the deployer kept.
+ */
+
+task("access:audit", "Report role holders for every contract in a deployment")
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the connected network)")
+  .addOptionalParam("format", "markdown or json", "markdown")
+  .addOptionalParam("out", "Write the report to a file instead of stdout")
+  .addOptionalParam("fromBlock", "First block to scan", 0, types.int)
+  .addOptionalParam("blockRange", "Maximum blocks per log query", undefined, types.int)
+  .addFlag("strict", "Exit with an error when there are findings")
+  .setAction(async ({ deployment, format, out, fromBlock, blockRange, strict }, hre) => {
+    if (!["markdown", "json"].includes(format)) {
+      throw new Error(`Unknown format ${format} (use markdown or json)`);
+    }
+
+    await hre.run("compile", { quiet: true });
+    const record = await resolveDeployment(hre, { selector: deployment });
+    const report = await auditAccessControl({
+      provider: hre.ethers.provider,
+      record,
+      roleNames: loadRoleNames(hre.config.paths.artifacts),
+      fromBlock,
+      blockRange,
+    });
+
+    const output = format === "json" ? JSON.stringify(report, null, 2) + "\n" : formatAccessReport(report);
+    if (out) {
+      fs.writeFileSync(out, output);
+      console.log(`📝 Wrote ${out}: ${report.findings.length} finding(s)`);
+    } else {
+      process.stdout.write(output);
+    }
+
+    if (strict && report.findings.length > 0) {
+      throw new Error(`Access audit: ${report.findings.length} finding(s)`);
+    }
+    return report;
+  });
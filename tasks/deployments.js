@@ -0,0 +1,114 @@
+const { task } = require("hardhat/config");
+const {
+  DeploymentRegistry,
+  loadManifest,
+  refreshProxyInfo,
+  resolveDeployment,
+  saveDeployment,
+} = require("../src/deploy");
+const { explorerFor, verifyDeployment } = require("../src/verify");
+
+/**
+ * Deployment registry tasks
+ *
+ *   npx hardhat deployments:list
+ *   npx hardhat deployments:migrate [--dry-run]
+ *   npx hardhat deployments:refresh [--deployment <name>] --network paxeer-network
+ *   npx hardhat deployments:verify [--deployment <name>] [--contracts a,b] [--force] --network paxeer-network
+ *
+ * Timestamped records from the old deploy script are migrated on the registry's first read, which
+ * logs each rename; deployments:migrate --dry-run shows what that would change.
+ */
+
+task("deployments:list", "List deployment records")
+  .addFlag("json", "Print JSON instead of a table")
+  .setAction(async ({ json }) => {
+    // Migration notes go to stderr so --json output stays parseable
+    const registry = new DeploymentRegistry(undefined, { log: json ? console.error : console.log });
+    const deployments = registry.list();
+    if (json) {
+      console.log(JSON.stringify(deployments, null, 2));
+      return deployments;
+    }
+
+    if (deployments.length === 0) {
+      console.log("No deployments recorded");
+      return deployments;
+    }
+    for (const { name, network, chainId, tags, status } of deployments) {
+      console.log(
+        `  ${name.padEnd(28)} ${String(network).padEnd(18)} chain ${String(chainId).padEnd(8)} ${status.padEnd(12)} ${tags.join(", ")}`,
+      );
+    }
+    return deployments;
+  });
+
+task("deployments:migrate", "Rename timestamped records from the old deploy script and upgrade old record layouts")
+  .addFlag("dryRun", "Only print what would change")
+  .setAction(async ({ dryRun }) => {
+    const registry = new DeploymentRegistry(undefined, { migrate: false });
+    const changes = dryRun ? registry.pendingMigrations() : registry.migrate();
+    if (changes.length === 0) {
+      console.log("⏭️  All records are up to date");
+    }
+    for (const { from, to } of changes) {
+      const change = from === to ? from : `${from} → ${to}`;
+      console.log(dryRun ? `🔎 Would migrate ${change}` : `📦 Migrated ${change}`);
+    }
+    return changes;
+  });
+
+task("deployments:refresh", "Record implementation and proxy admin addresses for every proxy in a deployment")
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the connected network)")
+  .setAction(async ({ deployment }, hre) => {
+    const record = await resolveDeployment(hre, { selector: deployment });
+
+    if (!(await refreshProxyInfo(hre, record))) {
+      console.log(`⏭️  ${record.name} is up to date`);
+      return record;
+    }
+
+    console.log(`✅ Updated ${saveDeployment(record, { selector: deployment })}`);
+    for (const [name, implementation] of Object.entries(record.implementations)) {
+      console.log(`  ${name.padEnd(20)}: ${implementation} (admin ${record.proxyAdmins[name]})`);
+    }
+    return record;
+  });
+
+task("deployments:verify", "Verify implementations on the block explorer and link their proxies")
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the connected network)")
+  .addOptionalParam("contracts", "Comma-separated contract names (defaults to all)")
+  .addOptionalParam("apiUrl", "Explorer API URL (defaults to etherscan.customChains in hardhat.config.js)")
+  .addFlag("force", "Re-submit contracts already recorded as verified")
+  .setAction(async ({ deployment, contracts, apiUrl, force }, hre) => {
+    const record = await resolveDeployment(hre, { selector: deployment });
+    const explorer = await explorerFor(hre, apiUrl ? { apiUrl } : {});
+    console.log(`🔍 Verifying ${record.name} on ${explorer.apiUrl}\n`);
+
+    let manifest;
+    try {
+      manifest = loadManifest(record.network);
+    } catch {
+      // Records written by the deployer carry their artifacts
+    }
+
+    const verification = await verifyDeployment({
+      hre,
+      record,
+      explorer,
+      manifest,
+      only: contracts ? contracts.split(",").map((name) => name.trim()) : undefined,
+      force,
+      onUpdate: () => saveDeployment(record, { selector: deployment }),
+    });
+
+    const incomplete = Object.entries(verification).filter(
+      ([, entry]) => entry.status !== "verified" || entry.proxy !== "linked",
+    );
+    console.log(
+      incomplete.length === 0
+        ? "\n✅ All contracts verified and linked"
+        : `\n⚠️  ${incomplete.length} contract(s) incomplete: ${incomplete.map(([name]) => name).join(", ")}`,
+    );
+    return verification;
+  });
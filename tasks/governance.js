@@ -0,0 +1,233 @@
+const { task, types } = require("hardhat/config");
+const fs = require("fs");
+const { resolveDeployment } = require("../src/deploy");
+const {
+  VOTE_SUPPORT,
+  loadProposalFile,
+  buildProposal,
+  simulateCalls,
+  proposalIdFromReceipt,
+  decodeProposalCalls,
+  getProposalStatus,
+  formatProposalStatus,
+} = require("../src/governance");
+
+/**
+ * GovernanceManager proposal tasks
+ *
+ *   npx hardhat gov:propose --proposal deploy/governance/payout-cooldown.yaml --network paxeer-network
+ *   FORK_URL=<rpc> npx hardhat gov:propose --proposal <file> --dry-run --network hardhat
+ *   npx hardhat gov:vote --id 3 --support for --reason "LGTM" --network paxeer-network
+ *   npx hardhat gov:queue --id 3 --network paxeer-network
+ *   npx hardhat gov:execute --id 3 --network paxeer-network
+ *   npx hardhat gov:status [--id 3] [--json] --network paxeer-network
+ *
+ * gov:propose encodes the proposal file's actions against the deployment's ABIs and runs them as the
+ * GovernanceManager before submitting; on the hardhat network (in-process or forked) they run in order
+ * and are rolled back, elsewhere each is only estimated. A proposal with a reverting action is not
+ * submitted unless --force is given. See docs/GOVERNANCE.md.
+ */
+
+const toJson = (value) => JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+
+async function connect(hre, deployment) {
+  const record = await resolveDeployment(hre, { selector: deployment });
+  const address = record.contracts.governanceManager;
+  if (!address) throw new Error(`Deployment ${record.name} has no governanceManager`);
+  const [sender] = await hre.ethers.getSigners();
+  const governance = await hre.ethers.getContractAt(
+    record.artifacts?.governanceManager || "GovernanceManager",
+    address,
+    sender,
+  );
+  return { record, governance, sender };
+}
+
+async function requireRole(governance, role, account) {
+  if (!(await governance.hasRole(await governance[role](), account))) {
+    throw new Error(`${account} does not hold ${role} on GovernanceManager`);
+  }
+}
+
+task("gov:propose", "Encode, simulate and submit a governance proposal")
+  .addParam("proposal", "Proposal file (YAML or JSON) with a description and actions")
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the connected network)")
+  .addOptionalParam("out", "Write the encoded proposal and simulation to a JSON file")
+  .addFlag("dryRun", "Encode and simulate only")
+  .addFlag("force", "Submit even if an action reverts in simulation")
+  .setAction(async ({ proposal: file, deployment, out, dryRun, force }, hre) => {
+    const { record, governance, sender } = await connect(hre, deployment);
+    const readArtifact = (name) => hre.artifacts.readArtifact(name);
+    const proposal = await buildProposal({ proposal: loadProposalFile(file), record, readArtifact });
+
+    console.log(`📝 ${proposal.description}`);
+    const fork = hre.network.name === "hardhat";
+    if (!fork) {
+      console.log("⚠️  Not on a fork: each action is estimated on its own, without the ones before it.");
+      console.log(`   For a full run: FORK_URL=<rpc> npx hardhat gov:propose --proposal ${file} --network hardhat`);
+    }
+
+    console.log(`\n🔍 Simulating ${proposal.calls.length} call(s) as GovernanceManager...`);
+    const simulation = await simulateCalls({
+      provider: hre.ethers.provider,
+      governanceManager: await governance.getAddress(),
+      calls: proposal.calls,
+      fork,
+    });
+    for (const [i, result] of simulation.entries()) {
+      const outcome = result.ok ? `✅ gas ${result.gasUsed}` : `❌ ${result.reason}`;
+      console.log(`  ${i + 1}. ${result.contract}.${result.call}  ${outcome}`);
+    }
+    const failed = simulation.filter((result) => !result.ok);
+
+    if (out) {
+      const payload = {
+        deployment: record.name,
+        chainId: record.chainId,
+        governanceManager: await governance.getAddress(),
+        description: proposal.description,
+        calls: simulation.map(
+          ({ action, contract, target, signature, call, args, value, calldata, ok, gasUsed, reason }) => ({
+            action,
+            contract,
+            target,
+            signature,
+            call,
+            args,
+            value,
+            calldata,
+            simulation: ok ? { ok, gasUsed } : { ok, reason },
+          }),
+        ),
+        transaction: {
+          to: await governance.getAddress(),
+          data: governance.interface.encodeFunctionData("propose", [
+            proposal.targets,
+            proposal.values,
+            proposal.calldatas,
+            proposal.description,
+          ]),
+        },
+      };
+      fs.writeFileSync(out, toJson(payload) + "\n");
+      console.log(`\n📝 Wrote ${out}`);
+    }
+
+    if (failed.length > 0 && !force) {
+      throw new Error(`${failed.length} action(s) would revert on execution; fix the proposal or pass --force`);
+    }
+    if (dryRun) {
+      console.log(failed.length > 0 ? "\n⚠️  Dry run: actions revert" : "\n✅ Dry run: every action succeeds");
+      return { proposal, simulation };
+    }
+
+    await requireRole(governance, "PROPOSER_ROLE", sender.address);
+    const tx = await governance.propose(proposal.targets, proposal.values, proposal.calldatas, proposal.description);
+    const id = proposalIdFromReceipt(governance, await tx.wait());
+    const status = await getProposalStatus({ governance, id });
+
+    console.log(`\n🏛️  Proposal ${id} created (tx ${tx.hash})`);
+    console.log(`   Voting: blocks ${status.startBlock}–${status.endBlock}`);
+    console.log(`   Next:   npx hardhat gov:vote --id ${id} --support for --network ${hre.network.name}`);
+    return { id, txHash: tx.hash, proposal, simulation };
+  });
+
+task("gov:vote", "Vote on a governance proposal")
+  .addParam("id", "Proposal id", undefined, types.int)
+  .addParam("support", "for, against or abstain")
+  .addOptionalParam("reason", "Reason recorded with the vote", "")
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the connected network)")
+  .setAction(async ({ id, support, reason, deployment }, hre) => {
+    if (!(support in VOTE_SUPPORT)) {
+      throw new Error(`Unknown support ${support} (use ${Object.keys(VOTE_SUPPORT).join(", ")})`);
+    }
+    const { governance, sender } = await connect(hre, deployment);
+
+    if ((await governance.getVotingPower(sender.address)) === 0n) {
+      throw new Error(`${sender.address} has no voting power`);
+    }
+    if (await governance.hasVotedOnProposal(id, sender.address)) {
+      throw new Error(`${sender.address} already voted on proposal ${id}`);
+    }
+
+    const tx = await governance.castVote(id, VOTE_SUPPORT[support], reason);
+    await tx.wait();
+    const status = await getProposalStatus({ governance, id });
+    const { votes } = status;
+
+    console.log(`🗳️  Voted ${support} on proposal ${id} (tx ${tx.hash})`);
+    console.log(
+      `   For ${votes.for}, against ${votes.against}, abstain ${votes.abstain}; quorum ${votes.total}/${votes.quorum}`,
+    );
+    console.log(`   Next: ${status.next}`);
+    return status;
+  });
+
+task("gov:queue", "Queue a proposal whose vote has ended, starting its timelock")
+  .addParam("id", "Proposal id", undefined, types.int)
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the connected network)")
+  .setAction(async ({ id, deployment }, hre) => {
+    const { governance } = await connect(hre, deployment);
+
+    const tx = await governance.queue(id);
+    await tx.wait();
+    const status = await getProposalStatus({ governance, id });
+
+    if (status.state === "Defeated") {
+      console.log(`⚠️  Proposal ${id} was defeated (tx ${tx.hash})`);
+    } else {
+      console.log(`⏳ Proposal ${id} queued (tx ${tx.hash})`);
+      console.log(`   ${status.next}`);
+    }
+    return status;
+  });
+
+task("gov:execute", "Execute a queued proposal once its timelock has passed")
+  .addParam("id", "Proposal id", undefined, types.int)
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the connected network)")
+  .setAction(async ({ id, deployment }, hre) => {
+    const { governance, sender } = await connect(hre, deployment);
+    const before = await getProposalStatus({ governance, id });
+
+    if (before.state !== "Queued") {
+      throw new Error(`Proposal ${id} is ${before.state}, not Queued`);
+    }
+    if (before.now < before.eta) {
+      throw new Error(`Proposal ${id} is timelocked: ${before.next}`);
+    }
+    await requireRole(governance, "EXECUTOR_ROLE", sender.address);
+
+    const value = before.values.reduce((sum, v) => sum + v, 0n);
+    const tx = await governance.execute(id, { value });
+    await tx.wait();
+
+    console.log(`✅ Proposal ${id} executed (tx ${tx.hash})`);
+    return getProposalStatus({ governance, id });
+  });
+
+task("gov:status", "Show a proposal's state, votes, ETA and decoded calls (or list every proposal)")
+  .addOptionalParam("id", "Proposal id (defaults to every proposal)", undefined, types.int)
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the connected network)")
+  .addFlag("json", "Print JSON instead of a summary")
+  .setAction(async ({ id, deployment, json }, hre) => {
+    const { record, governance } = await connect(hre, deployment);
+    const readArtifact = (name) => hre.artifacts.readArtifact(name);
+
+    const count = await governance.proposalCount();
+    const ids = id === undefined ? Array.from({ length: Number(count) }, (_, i) => i + 1) : [id];
+    const statuses = [];
+    for (const proposalId of ids) {
+      const status = await getProposalStatus({ governance, id: proposalId });
+      status.calls = await decodeProposalCalls({ proposal: status, record, readArtifact });
+      statuses.push(status);
+    }
+
+    if (json) {
+      console.log(toJson(id === undefined ? statuses : statuses[0]));
+    } else if (statuses.length === 0) {
+      console.log("No proposals yet");
+    } else {
+      console.log(statuses.map(formatProposalStatus).join("\n"));
+    }
+    return id === undefined ? statuses : statuses[0];
+  });
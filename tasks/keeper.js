@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { resolveDeployment } = require("../src/deploy");
+const { LiquidationKeeper, runScenario, toEconomicsCsv, formatSummaryTable } = require("../src/keeper");
+
+/**
+ * Keeper tasks
+ *
+ *   npx hardhat keeper:status [--address 0x…] [--from-block 0] --network paxeer-network
+ *   npx hardhat keeper:economics --scenario deploy/economics/keepers.json [--out keeper-economics.csv]
+ *
+ * keeper:status shows a keeper's stake, reputation and rewards in KeeperIncentive, with its reward
+ * and slash history. Without --address, the first configured account is used.
+ *
+ * keeper:economics replays a liquidation stream against fresh KeeperIncentive deployments on the
+ * in-process network, one per parameter proposal (see docs/KEEPER_ECONOMICS.md).
+ */
+
+task("keeper:status", "Show a keeper's stake, reputation, rewards and slash history")
+  .addOptionalParam("address", "Keeper address (defaults to the first configured account)")
+  .addOptionalParam("fromBlock", "First block of the history", 0, types.int)
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the connected network)")
+  .addFlag("json", "Print JSON instead of a summary")
+  .setAction(async ({ address, fromBlock, deployment, json }, hre) => {
+    const { ethers } = hre;
+    const { contracts } = await resolveDeployment(hre, { selector: deployment });
+    const signer = address ? new ethers.VoidSigner(address, ethers.provider) : (await ethers.getSigners())[0];
+
+    const keeper = new LiquidationKeeper({
+      keeperIncentive: await ethers.getContractAt("KeeperIncentive", contracts.keeperIncentive),
+      capitalPool: await ethers.getContractAt("CapitalPool", contracts.capitalPool),
+      traderRegistry: await ethers.getContractAt("TraderAccountRegistry", contracts.traderRegistry),
+      oracleRegistry: await ethers.getContractAt("OracleRegistry", contracts.oracleRegistry),
+      signer,
+    });
+    const status = { ...(await keeper.status()), history: await keeper.history({ fromBlock }) };
+
+    if (json) {
+      console.log(JSON.stringify(status, (_, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+      return status;
+    }
+
+    const { keeper: info, history, pool } = status;
+    if (!info.registered) {
+      console.log(`❌ ${info.address} is not a registered keeper`);
+    } else {
+      console.log(`🛡️  Keeper ${info.address}`);
+      console.log(`   Status:         ${info.status}`);
+      console.log(
+        `   Stake:          ${ethers.formatEther(info.stakedAmount)} (minimum ${ethers.formatEther(status.minStake)})`,
+      );
+      console.log(`   Reputation:     ${info.reputation / 100}%`);
+      console.log(`   Actions:        ${info.successfulActions}/${info.totalActions} successful`);
+      console.log(`   Rewards:        ${ethers.formatEther(info.totalRewards)}`);
+      console.log(
+        `   Slashed:        ${ethers.formatEther(history.totalSlashed)} in ${history.slashes.length} slash(es)`,
+      );
+      console.log(
+        `   Can breach:     ${status.authorized ? "yes" : "no (needs PAYOUT_MANAGER_ROLE on traderRegistry)"}`,
+      );
+      for (const warning of status.warnings) {
+        console.log(`   ⚠️  Also holds:  ${warning}`);
+      }
+      for (const slash of history.slashes) {
+        console.log(`   ⚔️  block ${slash.blockNumber}: -${ethers.formatEther(slash.amount)} (${slash.reason})`);
+      }
+    }
+    console.log(
+      `\n👥 ${pool.activeKeepers}/${pool.totalKeepers} keepers active, ${pool.totalActions} actions, reward pool ${ethers.formatEther(pool.rewardPool)}`,
+    );
+    return status;
+  });
+
+task("keeper:economics", "Simulate KeeperIncentive reward economics for parameter proposals")
+  .addParam("scenario", "Scenario JSON file")
+  .addOptionalParam("out", "CSV file for every simulated keeper action", "keeper-economics.csv")
+  .addFlag("json", "Print the summaries as JSON instead of a table")
+  .setAction(async ({ scenario: file, out, json }, hre) => {
+    const scenario = JSON.parse(fs.readFileSync(file, "utf8"));
+    const { rows, summaries } = await runScenario({
+      hre,
+      scenario,
+      baseDir: path.dirname(path.resolve(file)),
+      log: json ? () => {} : console.log,
+    });
+    fs.writeFileSync(out, toEconomicsCsv(rows));
+
+    if (json) {
+      console.log(JSON.stringify(summaries, (_, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+      return summaries;
+    }
+    console.log(`\n${formatSummaryTable(summaries)}\n`);
+    console.log(`📄 ${rows.length} keeper actions written to ${out}`);
+    return summaries;
+  });
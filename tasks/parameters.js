@@ -0,0 +1,166 @@
+const { task } = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+const {
+  DeploymentRegistry,
+  loadManifest,
+  resolveDeployment,
+  canCall,
+  planParameters,
+  summarizeParameterPlan,
+  formatParameterPlan,
+  applyParameterPlan,
+  buildParameterProposal,
+} = require("../src/deploy");
+const { buildProposal, simulateCalls } = require("../src/governance");
+
+/**
+ * Parameter sync task
+ *
+ *   npx hardhat params:sync --dry-run --json --network paxeer-network > parameter-plan.json
+ *   npx hardhat params:sync --network localhost
+ *   npx hardhat params:sync --mode governance --out deploy/governance/params.json --network paxeer-network
+ *
+ * Compares the GovernanceManager parameter registry with the live values bound to it by the
+ * manifest's `parameters`, then brings the contracts in line: directly when the sender may call every
+ * setter (dev networks, where the deployer still holds the roles), otherwise as a proposal file for
+ * `gov:propose`. Keys missing from the registry are always registered directly, by an ADMIN_ROLE holder.
+ * See docs/GOVERNANCE.md.
+ */
+
+const toJson = (value) => JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+
+task("params:sync", "Report and fix drift between the GovernanceManager registry and the contracts using it")
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the connected network)")
+  .addOptionalParam("manifest", "Manifest file (defaults to the one the deployment was made from)")
+  .addOptionalParam("mode", "auto, direct or governance", "auto")
+  .addOptionalParam("description", "Governance proposal description")
+  .addOptionalParam("out", "Write the governance proposal to a file instead of stdout")
+  .addFlag("dryRun", "Only print the plan")
+  .addFlag("json", "Print the plan as JSON (nothing else is written to stdout)")
+  .setAction(async ({ deployment, manifest: manifestFile, mode, description, out, dryRun, json }, hre) => {
+    if (!["auto", "direct", "governance"].includes(mode)) {
+      throw new Error(`Unknown mode ${mode} (use auto, direct or governance)`);
+    }
+    const { ethers } = hre;
+    const log = json ? () => {} : console.log;
+
+    const registry = new DeploymentRegistry();
+    const record = await resolveDeployment(hre, { selector: deployment, registry });
+    // Records store the manifest path relative to their own directory
+    const recordDir =
+      deployment && deployment.endsWith(".json") ? path.dirname(path.resolve(deployment)) : registry.dir;
+    const manifest = loadManifest(
+      manifestFile || (record.manifest ? path.resolve(recordDir, record.manifest) : hre.network.name),
+    );
+    const [sender] = await ethers.getSigners();
+
+    const plan = await planParameters({ ethers, manifest, record });
+    const summary = summarizeParameterPlan(plan);
+
+    if (json) {
+      console.log(toJson({ deployment: record.name, chainId: record.chainId, manifest: manifest.file, summary, plan }));
+    }
+    log(`📄 Deployment: ${record.name} (chain ${record.chainId})`);
+    log(`📄 Manifest:   ${manifest.file}\n`);
+    for (const line of formatParameterPlan(plan)) log(`  ${line}`);
+    log(
+      `\n${summary.register} to register, ${summary.update} to update, ${summary.fixed} fixed in code, ` +
+        `${summary.unbound} unbound, ${summary.none} in sync`,
+    );
+    if (summary.fixed > 0) {
+      log("⚠️  Constants differ from the registry; they only change with an upgrade (or by changing the registry)");
+    }
+
+    const result = { plan, summary, applied: [], proposal: null };
+    if (dryRun || summary.register + summary.update === 0) {
+      return result;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // REGISTER
+    // ═══════════════════════════════════════════════════════════════════════
+
+    const registrations = plan.filter((entry) => entry.action === "register");
+    if (registrations.length > 0) {
+      const governance = await ethers.getContractAt("GovernanceManager", record.contracts.governanceManager);
+      const [first] = registrations;
+      const data = governance.interface.encodeFunctionData("setParam", [first.keyHash, first.desired]);
+      if (!(await canCall(ethers.provider, { from: sender.address, to: first.governanceManager, data }))) {
+        throw new Error(
+          `${sender.address} cannot setParam on GovernanceManager; registering keys needs ADMIN_ROLE ` +
+            "and cannot go through a proposal",
+        );
+      }
+      log(`\n📝 Registering ${registrations.length} key(s) as ${sender.address}...`);
+      result.applied.push(
+        ...(await applyParameterPlan({
+          ethers,
+          plan: registrations,
+          onApplied: (entry) => log(`✅ registered ${entry.key} = ${entry.value}`),
+        })),
+      );
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // UPDATE
+    // ═══════════════════════════════════════════════════════════════════════
+
+    const updates = plan.filter((entry) => entry.action === "update");
+    if (updates.length === 0) {
+      return result;
+    }
+
+    const txs = await Promise.all(
+      updates.map(async (entry) => {
+        const target = await ethers.getContractAt(entry.artifact, entry.address);
+        return { to: entry.address, data: target.interface.encodeFunctionData(entry.setter, [entry.desired]) };
+      }),
+    );
+    let direct = mode === "direct";
+    if (mode === "auto") {
+      direct = true;
+      for (const tx of txs) {
+        if (!(await canCall(ethers.provider, { ...tx, from: sender.address }))) {
+          direct = false;
+          break;
+        }
+      }
+    }
+
+    if (direct) {
+      log(`\n🔧 Updating ${updates.length} binding(s) as ${sender.address}...`);
+      result.applied.push(
+        ...(await applyParameterPlan({
+          ethers,
+          plan: updates,
+          onApplied: (entry) => log(`✅ ${entry.contract}: ${entry.key} = ${entry.value}`),
+        })),
+      );
+      return result;
+    }
+
+    result.proposal = buildParameterProposal(plan, description);
+    const readArtifact = (name) => hre.artifacts.readArtifact(name);
+    const { calls } = await buildProposal({ proposal: result.proposal, record, readArtifact });
+    const simulation = await simulateCalls({
+      provider: ethers.provider,
+      governanceManager: record.contracts.governanceManager,
+      calls,
+      fork: hre.network.name === "hardhat",
+    });
+    const failed = simulation.filter((call) => !call.ok);
+    if (failed.length > 0) {
+      log(`\n⚠️  ${failed.length} call(s) revert as GovernanceManager; the proposal would fail on execution:`);
+      for (const call of failed) log(`  ${call.contract}.${call.call}  ❌ ${call.reason}`);
+    }
+
+    if (out) {
+      fs.writeFileSync(out, toJson(result.proposal) + "\n");
+      log(`\n🏛️  Proposal written to ${out}`);
+      log(`Next: npx hardhat gov:propose --proposal ${out} --network ${hre.network.name}`);
+    } else if (!json) {
+      log("\n🏛️  Proposal:\n" + toJson(result.proposal));
+    }
+    return { ...result, simulation };
+  });
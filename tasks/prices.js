@@ -0,0 +1,87 @@
+const { task } = require("hardhat/config");
+const { fromOracleUnits, toOracleUnits } = require("../src/oracles");
+const { ScyllaPriceStore, PriceHistory, scyllaConfigFromEnv } = require("../src/history");
+
+/**
+ * Price history tasks (read from the Scylla store filled by scripts/price-indexer.js)
+ *
+ *   npx hardhat prices:at --symbol BTC/USD --timestamp 1700000000
+ *   npx hardhat prices:at --symbol BTC/USD --block 123456 --price 45000.5
+ *   npx hardhat prices:candles --symbol BTC/USD --interval 1h --from 1700000000 --to 1700086400
+ *
+ * Connection settings come from SCYLLA_CONTACT_POINTS, SCYLLA_LOCAL_DC and SCYLLA_KEYSPACE.
+ */
+
+async function withHistory(action) {
+  const store = await ScyllaPriceStore.connect(scyllaConfigFromEnv(process.env));
+  try {
+    return await action(new PriceHistory({ store }));
+  } finally {
+    await store.close();
+  }
+}
+
+task("prices:at", "Oracle price of a symbol at a time or block")
+  .addParam("symbol", "Symbol name (e.g. BTC/USD) or bytes32 key")
+  .addOptionalParam("timestamp", "Unix seconds")
+  .addOptionalParam("block", "Block number")
+  .addOptionalParam("price", "Price to check against the oracle price (decimal, e.g. 45000.5)")
+  .addOptionalParam("toleranceBps", "Accepted deviation for --price", "0")
+  .setAction(async ({ symbol, timestamp, block, price, toleranceBps }) =>
+    withHistory(async (history) => {
+      if ((timestamp === undefined) === (block === undefined)) {
+        throw new Error("Pass either --timestamp or --block");
+      }
+      const at = timestamp !== undefined ? { timestamp: Number(timestamp) } : { block: Number(block) };
+      if (price === undefined) {
+        const tick = await history.priceAt(symbol, at);
+        if (!tick) {
+          console.log(`No price indexed for ${symbol} before ${JSON.stringify(at)}`);
+          return null;
+        }
+        console.log(`💲 ${symbol}: ${fromOracleUnits(tick.price)} ±${tick.confidence}bps`);
+        console.log(
+          `   set at ${new Date(tick.timestamp * 1000).toISOString()} in block ${tick.blockNumber} (${tick.txHash})`,
+        );
+        return tick;
+      }
+
+      const check = await history.checkPrice({
+        symbol,
+        price: toOracleUnits(price),
+        ...at,
+        toleranceBps: Number(toleranceBps),
+      });
+      if (!check.tick) {
+        console.log(`❌ No price indexed for ${symbol} before ${JSON.stringify(at)}`);
+      } else {
+        console.log(
+          `${check.matches ? "✅" : "❌"} ${price} vs oracle ${check.oraclePrice} (${check.deviationBps} bps, block ${check.tick.blockNumber})`,
+        );
+      }
+      return check;
+    }),
+  );
+
+task("prices:candles", "OHLC candles for a symbol")
+  .addParam("symbol", "Symbol name (e.g. BTC/USD) or bytes32 key")
+  .addOptionalParam("interval", "Candle interval", "1h")
+  .addParam("from", "Unix seconds")
+  .addOptionalParam("to", "Unix seconds (defaults to now)")
+  .setAction(async ({ symbol, interval, from, to }) =>
+    withHistory(async (history) => {
+      const candles = await history.candles(
+        symbol,
+        interval,
+        Number(from),
+        Number(to || Math.floor(Date.now() / 1000)),
+      );
+      for (const candle of candles) {
+        console.log(
+          `  ${new Date(candle.openTime * 1000).toISOString()}  O ${fromOracleUnits(candle.open)}  H ${fromOracleUnits(candle.high)}  L ${fromOracleUnits(candle.low)}  C ${fromOracleUnits(candle.close)}  (${candle.ticks} ticks)`,
+        );
+      }
+      console.log(`${candles.length} ${interval} candles`);
+      return candles;
+    }),
+  );
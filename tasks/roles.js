@@ -0,0 +1,81 @@
+const { task } = require("hardhat/config");
+const path = require("path");
+const {
+  DeploymentRegistry,
+  loadManifest,
+  resolveDeployment,
+  planRoles,
+  summarizeRolePlan,
+  formatRolePlan,
+  applyRolePlan,
+} = require("../src/deploy");
+
+/**
+ * Role reconciliation task
+ *
+ *   npx hardhat roles:reconcile --dry-run --json --network paxeer-network > role-plan.json
+ *   npx hardhat roles:reconcile --network paxeer-network
+ *
+ * The desired roles are the `roles` of the deployment's manifest (deploy/<network>.json).
+ * The first configured account sends; it must hold each target contract's admin role.
+ */
+
+task("roles:reconcile", "Grant and revoke roles until on-chain state matches the manifest")
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the connected network)")
+  .addOptionalParam("manifest", "Manifest file (defaults to the one the deployment was made from)")
+  .addFlag("dryRun", "Only print the plan")
+  .addFlag("json", "Print the plan as JSON (nothing else is written to stdout)")
+  .setAction(async ({ deployment, manifest: manifestFile, dryRun, json }, hre) => {
+    const { ethers } = hre;
+    const log = json ? () => {} : console.log;
+
+    const registry = new DeploymentRegistry();
+    const record = await resolveDeployment(hre, { selector: deployment, registry });
+    // Records store the manifest path relative to their own directory
+    const recordDir =
+      deployment && deployment.endsWith(".json") ? path.dirname(path.resolve(deployment)) : registry.dir;
+    const manifest = loadManifest(
+      manifestFile || (record.manifest ? path.resolve(recordDir, record.manifest) : hre.network.name),
+    );
+    const [sender] = await ethers.getSigners();
+
+    const plan = await planRoles({
+      ethers,
+      manifest,
+      record,
+      context: {
+        // `${deployer}` is the account that deployed this system, not necessarily the sender
+        deployer: record.deployer || sender.address,
+        contracts: record.contracts,
+        params: manifest.params || {},
+        env: process.env,
+      },
+    });
+    const summary = summarizeRolePlan(plan);
+
+    if (json) {
+      console.log(
+        JSON.stringify(
+          { deployment: record.name, chainId: record.chainId, manifest: manifest.file, summary, plan },
+          null,
+          2,
+        ),
+      );
+    }
+    log(`📄 Deployment: ${record.name} (chain ${record.chainId})`);
+    log(`📄 Manifest:   ${manifest.file}\n`);
+    for (const line of formatRolePlan(plan)) log(`  ${line}`);
+    log(`\n${summary.grant} to grant, ${summary.revoke} to revoke, ${summary.none} unchanged`);
+
+    if (dryRun || summary.grant + summary.revoke === 0) {
+      return { plan, summary, applied: [] };
+    }
+
+    log(`\n🔐 Applying as ${sender.address}...`);
+    const applied = await applyRolePlan({
+      ethers,
+      plan,
+      onApplied: (entry) => log(`✅ ${entry.action} ${entry.role} on ${entry.contract} → ${entry.account}`),
+    });
+    return { plan, summary, applied };
+  });
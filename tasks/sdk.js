@@ -0,0 +1,35 @@
+const path = require("path");
+const { task } = require("hardhat/config");
+const { SDK_DIR, generateSdk } = require("../src/sdk");
+
+/**
+ * SDK tasks
+ *
+ *   npx hardhat sdk:generate [--check]
+ *
+ * Compiles, then writes sdk/abi/*.json and sdk/types/*.d.ts from the artifacts of the contracts
+ * listed in sdk/lib/contracts.js. With --check nothing is written and the task fails when the
+ * committed files differ from the artifacts (see docs/SDK.md).
+ */
+
+task("sdk:generate", "Generate the SDK's ABIs and TypeScript declarations from the compiled artifacts")
+  .addFlag("check", "Fail if the generated files are out of date instead of writing them")
+  .setAction(async ({ check }, hre) => {
+    await hre.run("compile", { quiet: true });
+    const changed = await generateSdk({ readArtifact: (name) => hre.artifacts.readArtifact(name), check });
+    const root = path.relative(process.cwd(), SDK_DIR);
+
+    if (check) {
+      if (changed.length > 0) {
+        throw new Error(`SDK is out of date, run npx hardhat sdk:generate: ${changed.join(", ")}`);
+      }
+      console.log("✅ SDK matches the artifacts");
+      return changed;
+    }
+
+    for (const file of changed) {
+      console.log(`📝 ${path.join(root, file)}`);
+    }
+    console.log(changed.length ? `✅ Wrote ${changed.length} files` : "✅ SDK already up to date");
+    return changed;
+  });
@@ -0,0 +1,158 @@
+const { task, types } = require("hardhat/config");
+const fs = require("fs");
+const { resolveDeployment } = require("../src/deploy");
+const {
+  deriveTraderId,
+  registerTrader,
+  scaleTrader,
+  getTraderStatus,
+  parseTraderImport,
+  importTraders,
+} = require("../src/traders");
+
+/**
+ * Trader onboarding tasks
+ *
+ *   npx hardhat trader:register --account-id EVAL-1001 --address 0x… --tier 1 --network paxeer-network
+ *   npx hardhat trader:scale    --account-id EVAL-1001 --tier 2 --network paxeer-network
+ *   npx hardhat trader:status   --account-id EVAL-1001 --network paxeer-network
+ *   npx hardhat trader:import   --file traders.csv [--dry-run] --network paxeer-network
+ *
+ * Contracts come from the deployment registry: --deployment takes a deployment name or a record
+ * file, otherwise the record for the connected network is used.
+ * The first configured account signs and sends; it must hold OPERATOR_ROLE.
+ */
+
+async function loadContext(hre, { deployment }) {
+  const { contracts } = await resolveDeployment(hre, { selector: deployment });
+  const [operator] = await hre.ethers.getSigners();
+
+  return {
+    operator,
+    registry: await hre.ethers.getContractAt("TraderAccountRegistry", contracts.traderRegistry),
+    payoutManager: await hre.ethers.getContractAt("PayoutManager", contracts.payoutManager),
+  };
+}
+
+function traderIdFrom({ accountId, traderId }) {
+  if (!accountId && !traderId) {
+    throw new Error("Provide --account-id or --trader-id");
+  }
+  return traderId || deriveTraderId(accountId);
+}
+
+function printStatus(status) {
+  if (!status.registered) {
+    console.log(`❌ Trader ${status.traderId} is not registered`);
+    return;
+  }
+  console.log(`👤 Trader ${status.traderId}`);
+  console.log(`   Address:        ${status.traderAddress}`);
+  console.log(`   Status:         ${status.status}`);
+  console.log(`   Tier:           ${status.tier}`);
+  console.log(`   Lifetime PnL:   ${status.lifetimePnL}`);
+  console.log(`   Breaches:       ${status.breachCount}`);
+  console.log(`   Allocation:     ${status.tierConfig.capitalAllocation}`);
+  console.log(`   Profit split:   ${status.tierConfig.profitSplitPct / 100}%`);
+  console.log(`   Max drawdown:   ${status.tierConfig.maxDrawdownPct / 100}%`);
+  console.log(`   Win rate:       ${status.metrics.winRate / 100}%`);
+  console.log(`   Consistency:    ${status.metrics.consistencyScore / 100}%`);
+  console.log(`   Sharpe ratio:   ${status.metrics.sharpeRatio}`);
+}
+
+task("trader:register", "Register a trader with an operator signature")
+  .addOptionalParam("accountId", "Off-chain account ID (traderId is derived from it)")
+  .addOptionalParam("traderId", "Explicit bytes32 traderId")
+  .addParam("address", "Trader wallet address")
+  .addOptionalParam("tier", "Initial tier (1-5)", 1, types.int)
+  .addOptionalParam("metadata", "Registry metadata", "")
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the connected network)")
+  .setAction(async (args, hre) => {
+    const { registry, operator } = await loadContext(hre, args);
+
+    const result = await registerTrader({
+      registry,
+      operator,
+      traderId: traderIdFrom(args),
+      traderAddress: args.address,
+      tier: args.tier,
+      metadata: args.metadata,
+    });
+    console.log(`✅ Registered (tx ${result.txHash})\n`);
+
+    const status = await getTraderStatus(registry, result.traderId);
+    printStatus(status);
+    return status;
+  });
+
+task("trader:scale", "Upgrade a trader's tier via PayoutManager.authorizeScaling")
+  .addOptionalParam("accountId", "Off-chain account ID")
+  .addOptionalParam("traderId", "Explicit bytes32 traderId")
+  .addParam("tier", "New tier", undefined, types.int)
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the connected network)")
+  .setAction(async (args, hre) => {
+    const { registry, payoutManager, operator } = await loadContext(hre, args);
+
+    const result = await scaleTrader({
+      payoutManager,
+      registry,
+      operator,
+      traderId: traderIdFrom(args),
+      newTier: args.tier,
+    });
+    console.log(`✅ Tier ${result.oldTier} → ${result.newTier} (tx ${result.txHash})\n`);
+
+    const status = await getTraderStatus(registry, result.traderId);
+    printStatus(status);
+    return status;
+  });
+
+task("trader:status", "Show a trader's account, tier config and performance metrics")
+  .addOptionalParam("accountId", "Off-chain account ID")
+  .addOptionalParam("traderId", "Explicit bytes32 traderId")
+  .addFlag("json", "Print JSON instead of a summary")
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the connected network)")
+  .setAction(async (args, hre) => {
+    const { registry } = await loadContext(hre, args);
+
+    const status = await getTraderStatus(registry, traderIdFrom(args));
+    if (args.json) {
+      console.log(JSON.stringify(status, null, 2));
+    } else {
+      printStatus(status);
+    }
+    return status;
+  });
+
+task("trader:import", "Bulk-register traders from a CSV file (accountId,traderAddress,tier,metadata)")
+  .addParam("file", "CSV file")
+  .addFlag("dryRun", "Validate and report without sending transactions")
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the connected network)")
+  .setAction(async (args, hre) => {
+    const records = parseTraderImport(fs.readFileSync(args.file, "utf8"));
+    const { registry, operator } = await loadContext(hre, args);
+
+    console.log(`📥 Importing ${records.length} trader(s)${args.dryRun ? " (dry run)" : ""}...\n`);
+
+    const icons = { registered: "✅", planned: "📝", skipped: "⏭️ ", failed: "❌" };
+    const results = await importTraders({
+      registry,
+      operator,
+      records,
+      dryRun: args.dryRun,
+      onResult: (r) =>
+        console.log(`${icons[r.result]} line ${r.line} ${r.accountId}: ${r.result}${r.reason ? ` (${r.reason})` : ""}`),
+    });
+
+    const counts = results.reduce((acc, r) => ({ ...acc, [r.result]: (acc[r.result] || 0) + 1 }), {});
+    console.log(
+      `\n📊 ${Object.entries(counts)
+        .map(([result, count]) => `${count} ${result}`)
+        .join(", ")}`,
+    );
+
+    if (counts.failed) {
+      process.exitCode = 1;
+    }
+    return results;
+  });
@@ -0,0 +1,162 @@
+const { task, types } = require("hardhat/config");
+const fs = require("fs");
+const {
+  resolveDeployment,
+  saveDeployment,
+  snapshotState,
+  diffSnapshots,
+  prepareProxyUpgrade,
+  canCall,
+  buildUpgradeProposal,
+} = require("../src/deploy");
+
+/**
+ * UUPS upgrade tasks
+ *
+ *   npx hardhat upgrade --contract tradeLedger --network paxeer-network
+ *   npx hardhat upgrade --contract tradeLedger --artifact TradeLedgerV2 --mode governance --out upgrade.json
+ *   npx hardhat upgrade:check --payload upgrade.json --network paxeer-network
+ *
+ * `upgrade` validates the storage layout against the recorded implementation, deploys the new
+ * implementation, then upgrades directly when the sender may, or writes a GovernanceManager
+ * proposal otherwise. `upgrade:check` finishes a governance upgrade once it has executed.
+ */
+
+function printChanges(changes) {
+  if (changes.length === 0) {
+    console.log("✅ State unchanged across the upgrade");
+    return;
+  }
+  console.log(`⚠️  ${changes.length} getter(s) changed:`);
+  for (const { name, before, after } of changes) {
+    console.log(`  ${name.padEnd(24)} ${before} → ${after === undefined ? "(unreadable)" : after}`);
+  }
+}
+
+task("upgrade", "Validate, prepare and execute (or propose) a UUPS upgrade")
+  .addParam("contract", "Contract name in the deployment record, e.g. tradeLedger")
+  .addOptionalParam("artifact", "Contract to upgrade to (defaults to the recorded artifact)")
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the connected network)")
+  .addOptionalParam("mode", "auto, direct or governance", "auto")
+  .addOptionalParam("call", "Function to call on the new implementation during the upgrade")
+  .addOptionalParam("args", "JSON array of arguments for --call", [], types.json)
+  .addOptionalParam("description", "Governance proposal description")
+  .addOptionalParam("out", "Write the governance payload to a file instead of stdout")
+  .setAction(async ({ contract: name, artifact, deployment, mode, call, args, description, out }, hre) => {
+    if (!["auto", "direct", "governance"].includes(mode)) {
+      throw new Error(`Unknown mode ${mode} (use auto, direct or governance)`);
+    }
+
+    const { ethers, upgrades } = hre;
+    const [sender] = await ethers.getSigners();
+    const record = await resolveDeployment(hre, { selector: deployment });
+    const target = artifact || record.artifacts?.[name];
+    if (!target) {
+      throw new Error(`No artifact recorded for ${name}; pass --artifact`);
+    }
+
+    console.log(`🔍 Validating ${name} → ${target}...`);
+    const prepared = await prepareProxyUpgrade({ hre, record, name, artifact: target, call, args });
+    console.log(`   Proxy:           ${prepared.proxy}`);
+    console.log(`   Current impl:    ${prepared.currentImplementation}`);
+    console.log(`   New impl:        ${prepared.newImplementation}`);
+
+    if (prepared.newImplementation === prepared.currentImplementation && !call) {
+      console.log("⏭️  Already running this implementation");
+      return { mode: "none", ...prepared };
+    }
+
+    const proxy = prepared.factory.attach(prepared.proxy);
+    const stateBefore = await snapshotState(proxy);
+    const upgradeTx = { to: prepared.proxy, data: prepared.calldata };
+    const direct =
+      mode === "direct" ||
+      (mode === "auto" && (await canCall(ethers.provider, { ...upgradeTx, from: sender.address })));
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // DIRECT
+    // ═══════════════════════════════════════════════════════════════════════
+
+    if (direct) {
+      console.log(`\n🚀 Upgrading as ${sender.address}...`);
+      const tx = await sender.sendTransaction(upgradeTx);
+      await tx.wait();
+
+      const implementation = await upgrades.erc1967.getImplementationAddress(prepared.proxy);
+      if (implementation !== prepared.newImplementation) {
+        throw new Error(`Upgrade: ${name} points at ${implementation}, expected ${prepared.newImplementation}`);
+      }
+
+      const changes = diffSnapshots(stateBefore, await snapshotState(proxy));
+      printChanges(changes);
+
+      record.implementations[name] = implementation;
+      record.artifacts = { ...record.artifacts, [name]: target };
+      console.log(`📝 Updated ${saveDeployment(record, { selector: deployment })}`);
+      return { mode: "direct", txHash: tx.hash, ...prepared, stateBefore, changes };
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // GOVERNANCE
+    // ═══════════════════════════════════════════════════════════════════════
+
+    const governanceManager = record.contracts.governanceManager;
+    if (!governanceManager) {
+      throw new Error(`${sender.address} cannot upgrade ${name} and the deployment has no governanceManager`);
+    }
+
+    const governanceCanExecute = await canCall(ethers.provider, { ...upgradeTx, from: governanceManager });
+    const payload = {
+      deployment: record.name,
+      chainId: record.chainId,
+      contract: name,
+      artifact: target,
+      proxy: prepared.proxy,
+      currentImplementation: prepared.currentImplementation,
+      newImplementation: prepared.newImplementation,
+      governanceCanExecute,
+      ...buildUpgradeProposal({
+        governanceManager,
+        proxy: prepared.proxy,
+        calldata: prepared.calldata,
+        description: description || `Upgrade ${name} to ${target} at ${prepared.newImplementation}`,
+      }),
+      stateBefore,
+    };
+
+    if (!governanceCanExecute) {
+      console.log(`⚠️  GovernanceManager cannot upgrade ${name} either; the proposal would revert on execution`);
+    }
+    if (out) {
+      fs.writeFileSync(out, JSON.stringify(payload, null, 2) + "\n");
+      console.log(`\n🏛️  Governance payload written to ${out}`);
+    } else {
+      console.log("\n🏛️  Governance payload:\n" + JSON.stringify(payload, null, 2));
+    }
+    console.log(`After execution: npx hardhat upgrade:check --payload <file> --network ${hre.network.name}`);
+    return { mode: "governance", ...prepared, payload };
+  });
+
+task("upgrade:check", "Confirm an executed governance upgrade, compare state and update the record")
+  .addParam("payload", "Payload file written by `upgrade --mode governance`")
+  .addOptionalParam("deployment", "Deployment name or record file (defaults to the payload's deployment)")
+  .setAction(async ({ payload: file, deployment }, hre) => {
+    const payload = JSON.parse(fs.readFileSync(file, "utf8"));
+    const selector = deployment || payload.deployment;
+    const record = await resolveDeployment(hre, { selector });
+
+    const implementation = await hre.upgrades.erc1967.getImplementationAddress(payload.proxy);
+    if (implementation !== payload.newImplementation) {
+      throw new Error(`${payload.contract} still points at ${implementation}; the proposal has not executed`);
+    }
+
+    const proxy = await hre.ethers.getContractAt(payload.artifact, payload.proxy);
+    // State keeps moving between proposal and execution, so differences here need a human look
+    const changes = diffSnapshots(payload.stateBefore, await snapshotState(proxy));
+    printChanges(changes);
+
+    record.implementations[payload.contract] = implementation;
+    record.artifacts = { ...record.artifacts, [payload.contract]: payload.artifact };
+    console.log(`📝 Updated ${saveDeployment(record, { selector })}`);
+    return { changes };
+  });
@@ -1,210 +1,192 @@
 const { expect } = require("chai");
-const { ethers, upgrades } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploySystemFixture } = require("./helpers/system");
 
 describe("CapitalPool", function () {
-  async function deployCapitalPoolFixture() {
-    const [owner, admin, governance, lp1, lp2, vault, trader] = await ethers.getSigners();
-
-    // Deploy mock USDT
-    const MockERC20 = await ethers.getContractFactory("MockERC20");
-    const usdt = await MockERC20.deploy("Tether USD", "USDT", 6);
-    await usdt.waitForDeployment();
-
-    // Deploy CapitalPool
-    const CapitalPool = await ethers.getContractFactory("CapitalPool");
-    const capitalPool = await upgrades.deployProxy(CapitalPool, [
-      admin.address,
-      governance.address,
-      await vault.getAddress(),
-      await usdt.getAddress()
-    ]);
-    await capitalPool.waitForDeployment();
-
-    // Mint USDT to LPs
-    await usdt.mint(lp1.address, ethers.parseUnits("1000000", 6));
-    await usdt.mint(lp2.address, ethers.parseUnits("1000000", 6));
-
-    return { capitalPool, usdt, owner, admin, governance, lp1, lp2, vault, trader };
+  const DEPOSIT = ethers.parseEther("10000");
+  const anyValue = () => true;
+
+  async function depositedFixture() {
+    const system = await deploySystemFixture();
+    await system.capitalPool.connect(system.lp).deposit(DEPOSIT);
+    return system;
   }
 
   describe("Deployment", function () {
     it("Should set the correct roles", async function () {
-      const { capitalPool, admin, governance } = await loadFixture(deployCapitalPoolFixture);
-
-      const ADMIN_ROLE = await capitalPool.ADMIN_ROLE();
-      const GOVERNANCE_ROLE = await capitalPool.GOVERNANCE_ROLE();
+      const { capitalPool, payoutManager, deployer } = await loadFixture(deploySystemFixture);
 
-      expect(await capitalPool.hasRole(ADMIN_ROLE, admin.address)).to.be.true;
-      expect(await capitalPool.hasRole(GOVERNANCE_ROLE, governance.address)).to.be.true;
+      expect(await capitalPool.hasRole(await capitalPool.ADMIN_ROLE(), deployer.address)).to.be.true;
+      expect(await capitalPool.hasRole(await capitalPool.GOVERNANCE_ROLE(), deployer.address)).to.be.true;
+      expect(await capitalPool.hasRole(await capitalPool.PAYOUT_MANAGER_ROLE(), await payoutManager.getAddress())).to.be
+        .true;
     });
 
     it("Should initialize with correct parameters", async function () {
-      const { capitalPool, usdt } = await loadFixture(deployCapitalPoolFixture);
+      const { capitalPool, usdc } = await loadFixture(deploySystemFixture);
 
-      expect(await capitalPool.primaryToken()).to.equal(await usdt.getAddress());
-      expect(await capitalPool.totalPoolValue()).to.equal(0);
+      expect(await capitalPool.depositToken()).to.equal(await usdc.getAddress());
+      expect(await capitalPool.vestingPeriod()).to.equal(await capitalPool.DEFAULT_VESTING_PERIOD());
+      expect(await capitalPool.getTotalAssets()).to.equal(0);
+      expect(await capitalPool.totalShares()).to.equal(0);
     });
   });
 
   describe("LP Deposits", function () {
     it("Should allow LP to deposit", async function () {
-      const { capitalPool, usdt, lp1 } = await loadFixture(deployCapitalPoolFixture);
+      const { capitalPool, usdc, lp } = await loadFixture(deploySystemFixture);
 
-      const depositAmount = ethers.parseUnits("10000", 6);
-      
-      await usdt.connect(lp1).approve(await capitalPool.getAddress(), depositAmount);
-      await expect(capitalPool.connect(lp1).depositLP(await usdt.getAddress(), depositAmount))
-        .to.emit(capitalPool, "LPDeposited")
-        .withArgs(lp1.address, await usdt.getAddress(), depositAmount);
+      await expect(capitalPool.connect(lp).deposit(DEPOSIT))
+        .to.emit(capitalPool, "Deposited")
+        .withArgs(lp.address, DEPOSIT, DEPOSIT, anyValue);
+      expect(await usdc.balanceOf(await capitalPool.getAddress())).to.equal(DEPOSIT);
 
-      const lpInfo = await capitalPool.getLPInfo(lp1.address);
-      expect(lpInfo.totalDeposited).to.equal(depositAmount);
+      const info = await capitalPool.lpInfo(lp.address);
+      expect(info.deposited).to.equal(DEPOSIT);
     });
 
-    it("Should mint LP shares correctly", async function () {
-      const { capitalPool, usdt, lp1 } = await loadFixture(deployCapitalPoolFixture);
+    it("Should mint LP shares 1:1 first, then in proportion to pool value", async function () {
+      const { capitalPool, usdc, lp, stranger } = await loadFixture(depositedFixture);
+
+      expect((await capitalPool.lpInfo(lp.address)).shares).to.equal(DEPOSIT);
 
-      const depositAmount = ethers.parseUnits("10000", 6);
-      
-      await usdt.connect(lp1).approve(await capitalPool.getAddress(), depositAmount);
-      await capitalPool.connect(lp1).depositLP(await usdt.getAddress(), depositAmount);
+      // Profit held by the pool raises the share price for later depositors
+      await usdc.mint(await capitalPool.getAddress(), DEPOSIT);
+      await usdc.mint(stranger.address, DEPOSIT);
+      await usdc.connect(stranger).approve(await capitalPool.getAddress(), DEPOSIT);
+      await capitalPool.connect(stranger).deposit(DEPOSIT);
 
-      const lpInfo = await capitalPool.getLPInfo(lp1.address);
-      expect(lpInfo.shares).to.be.gt(0);
+      expect((await capitalPool.lpInfo(stranger.address)).shares).to.equal(DEPOSIT / 2n);
+      expect(await capitalPool.totalShares()).to.equal(DEPOSIT + DEPOSIT / 2n);
     });
 
-    it("Should reject zero deposit", async function () {
-      const { capitalPool, usdt, lp1 } = await loadFixture(deployCapitalPoolFixture);
+    it("Should reject deposits below the minimum", async function () {
+      const { capitalPool, lp } = await loadFixture(deploySystemFixture);
 
-      await expect(
-        capitalPool.connect(lp1).depositLP(await usdt.getAddress(), 0)
-      ).to.be.revertedWith("CapitalPool: Zero amount");
+      const minimum = await capitalPool.MIN_DEPOSIT();
+      await expect(capitalPool.connect(lp).deposit(minimum - 1n)).to.be.revertedWith(
+        "CapitalPool: Below minimum deposit",
+      );
+      await expect(capitalPool.connect(lp).deposit(0)).to.be.revertedWith("CapitalPool: Below minimum deposit");
     });
   });
 
   describe("LP Withdrawals", function () {
-    it("Should allow LP to withdraw", async function () {
-      const { capitalPool, usdt, lp1 } = await loadFixture(deployCapitalPoolFixture);
+    it("Should allow LP to withdraw after the vesting period", async function () {
+      const { capitalPool, usdc, lp } = await loadFixture(depositedFixture);
 
-      const depositAmount = ethers.parseUnits("10000", 6);
-      
-      await usdt.connect(lp1).approve(await capitalPool.getAddress(), depositAmount);
-      await capitalPool.connect(lp1).depositLP(await usdt.getAddress(), depositAmount);
+      const shares = DEPOSIT / 2n;
+      await expect(capitalPool.connect(lp).requestWithdrawal(shares))
+        .to.emit(capitalPool, "WithdrawalRequested")
+        .withArgs(lp.address, shares, shares, anyValue);
 
-      const lpInfo = await capitalPool.getLPInfo(lp1.address);
-      const sharesToWithdraw = lpInfo.shares / 2n;
+      await time.increase(await capitalPool.vestingPeriod());
+      await expect(capitalPool.connect(lp).executeWithdrawal()).to.changeTokenBalance(usdc, lp, shares);
 
-      await expect(capitalPool.connect(lp1).withdrawLP(await usdt.getAddress(), sharesToWithdraw))
-        .to.emit(capitalPool, "LPWithdrawn");
+      expect((await capitalPool.lpInfo(lp.address)).shares).to.equal(DEPOSIT - shares);
+      expect(await capitalPool.totalShares()).to.equal(DEPOSIT - shares);
     });
 
     it("Should respect vesting period", async function () {
-      const { capitalPool, usdt, lp1 } = await loadFixture(deployCapitalPoolFixture);
+      const { capitalPool, lp } = await loadFixture(depositedFixture);
 
-      const depositAmount = ethers.parseUnits("10000", 6);
-      
-      await usdt.connect(lp1).approve(await capitalPool.getAddress(), depositAmount);
-      await capitalPool.connect(lp1).depositLP(await usdt.getAddress(), depositAmount);
+      await capitalPool.connect(lp).requestWithdrawal(DEPOSIT);
 
-      const lpInfo = await capitalPool.getLPInfo(lp1.address);
+      await expect(capitalPool.connect(lp).executeWithdrawal()).to.be.revertedWith(
+        "CapitalPool: Vesting period not passed",
+      );
+    });
+
+    it("Should reject withdrawing more shares than held", async function () {
+      const { capitalPool, lp, stranger } = await loadFixture(depositedFixture);
 
-      // Try to withdraw immediately (should fail if vesting enabled)
-      // Note: Default vesting might be 0, adjust test based on configuration
-      // await expect(
-      //   capitalPool.connect(lp1).withdrawLP(await usdt.getAddress(), lpInfo.shares)
-      // ).to.be.revertedWith("CapitalPool: Vesting period");
+      await expect(capitalPool.connect(lp).requestWithdrawal(DEPOSIT + 1n)).to.be.revertedWith(
+        "CapitalPool: Insufficient shares",
+      );
+      await expect(capitalPool.connect(stranger).executeWithdrawal()).to.be.revertedWith(
+        "CapitalPool: No withdrawal request",
+      );
     });
   });
 
   describe("Trader Allocations", function () {
-    it("Should allow admin to allocate to trader", async function () {
-      const { capitalPool, usdt, lp1, trader, admin } = await loadFixture(deployCapitalPoolFixture);
-
-      // LP deposits first
-      const depositAmount = ethers.parseUnits("100000", 6);
-      await usdt.connect(lp1).approve(await capitalPool.getAddress(), depositAmount);
-      await capitalPool.connect(lp1).depositLP(await usdt.getAddress(), depositAmount);
-
-      // Allocate to trader
-      const allocationAmount = ethers.parseUnits("50000", 6);
-      const traderId = ethers.keccak256(ethers.toUtf8Bytes("trader1"));
-
-      await expect(
-        capitalPool.connect(admin).allocateToTrader(
-          traderId,
-          await usdt.getAddress(),
-          allocationAmount
-        )
-      ).to.emit(capitalPool, "TraderAllocated");
+    it("Should only let the payout manager allocate to traders", async function () {
+      const { capitalPool, deployer, traderId } = await loadFixture(depositedFixture);
+
+      await expect(capitalPool.connect(deployer).allocateToTrader(traderId, DEPOSIT / 2n))
+        .to.be.revertedWithCustomError(capitalPool, "AccessControlUnauthorizedAccount")
+        .withArgs(deployer.address, await capitalPool.PAYOUT_MANAGER_ROLE());
     });
 
-    it("Should track total allocated", async function () {
-      const { capitalPool, usdt, lp1, trader, admin } = await loadFixture(deployCapitalPoolFixture);
+    it("Should allocate to a trader and track total allocated", async function () {
+      const { capitalPool, deployer, traderId } = await loadFixture(depositedFixture);
+      await capitalPool.setPayoutManager(deployer.address);
+
+      const amount = DEPOSIT / 2n;
+      await expect(capitalPool.allocateToTrader(traderId, amount))
+        .to.emit(capitalPool, "AllocatedToTrader")
+        .withArgs(traderId, amount, anyValue);
 
-      const depositAmount = ethers.parseUnits("100000", 6);
-      await usdt.connect(lp1).approve(await capitalPool.getAddress(), depositAmount);
-      await capitalPool.connect(lp1).depositLP(await usdt.getAddress(), depositAmount);
+      expect(await capitalPool.totalAllocated()).to.equal(amount);
+      expect((await capitalPool.traderAllocations(traderId)).allocated).to.equal(amount);
+      expect(await capitalPool.getActiveTraderCount()).to.equal(1);
+    });
 
-      const allocationAmount = ethers.parseUnits("50000", 6);
-      const traderId = ethers.keccak256(ethers.toUtf8Bytes("trader1"));
+    it("Should cap allocations at 95% of pool assets", async function () {
+      const { capitalPool, deployer, traderId } = await loadFixture(depositedFixture);
+      await capitalPool.setPayoutManager(deployer.address);
 
-      await capitalPool.connect(admin).allocateToTrader(
-        traderId,
-        await usdt.getAddress(),
-        allocationAmount
+      const cap = (DEPOSIT * (await capitalPool.MAX_ALLOCATION_PCT())) / (await capitalPool.BASIS_POINTS());
+      await expect(capitalPool.allocateToTrader(traderId, cap + 1n)).to.be.revertedWith(
+        "CapitalPool: Exceeds allocation limit",
       );
-
-      expect(await capitalPool.totalAllocated()).to.equal(allocationAmount);
+      await capitalPool.allocateToTrader(traderId, cap);
     });
   });
 
   describe("Emergency Functions", function () {
     it("Should allow admin to pause", async function () {
-      const { capitalPool, admin } = await loadFixture(deployCapitalPoolFixture);
+      const { capitalPool, deployer, stranger } = await loadFixture(deploySystemFixture);
 
-      await capitalPool.connect(admin).pause();
+      await expect(capitalPool.connect(stranger).pause()).to.be.revertedWithCustomError(
+        capitalPool,
+        "AccessControlUnauthorizedAccount",
+      );
+      await capitalPool.connect(deployer).pause();
       expect(await capitalPool.paused()).to.be.true;
     });
 
     it("Should prevent deposits when paused", async function () {
-      const { capitalPool, usdt, lp1, admin } = await loadFixture(deployCapitalPoolFixture);
-
-      await capitalPool.connect(admin).pause();
+      const { capitalPool, lp } = await loadFixture(deploySystemFixture);
 
-      const depositAmount = ethers.parseUnits("10000", 6);
-      await usdt.connect(lp1).approve(await capitalPool.getAddress(), depositAmount);
+      await capitalPool.pause();
 
-      await expect(
-        capitalPool.connect(lp1).depositLP(await usdt.getAddress(), depositAmount)
-      ).to.be.revertedWithCustomError(capitalPool, "EnforcedPause");
+      await expect(capitalPool.connect(lp).deposit(DEPOSIT)).to.be.revertedWithCustomError(
+        capitalPool,
+        "EnforcedPause",
+      );
     });
   });
 
   describe("View Functions", function () {
     it("Should return correct LP info", async function () {
-      const { capitalPool, usdt, lp1 } = await loadFixture(deployCapitalPoolFixture);
-
-      const depositAmount = ethers.parseUnits("10000", 6);
-      await usdt.connect(lp1).approve(await capitalPool.getAddress(), depositAmount);
-      await capitalPool.connect(lp1).depositLP(await usdt.getAddress(), depositAmount);
+      const { capitalPool, lp } = await loadFixture(depositedFixture);
 
-      const lpInfo = await capitalPool.getLPInfo(lp1.address);
-      expect(lpInfo.totalDeposited).to.equal(depositAmount);
-      expect(lpInfo.shares).to.be.gt(0);
+      const info = await capitalPool.lpInfo(lp.address);
+      expect(info.shares).to.equal(DEPOSIT);
+      expect(info.deposited).to.equal(DEPOSIT);
+      expect(info.lastDepositTime).to.equal(await time.latest());
     });
 
-    it("Should calculate share value correctly", async function () {
-      const { capitalPool, usdt, lp1 } = await loadFixture(deployCapitalPoolFixture);
+    it("Should value LP shares at the pool's assets", async function () {
+      const { capitalPool, usdc, lp } = await loadFixture(depositedFixture);
 
-      const depositAmount = ethers.parseUnits("10000", 6);
-      await usdt.connect(lp1).approve(await capitalPool.getAddress(), depositAmount);
-      await capitalPool.connect(lp1).depositLP(await usdt.getAddress(), depositAmount);
+      expect(await capitalPool.getLPValue(lp.address)).to.equal(DEPOSIT);
+      expect(await capitalPool.getAvailableLiquidity()).to.equal(DEPOSIT);
 
-      const lpInfo = await capitalPool.getLPInfo(lp1.address);
-      const shareValue = await capitalPool.calculateShareValue(lpInfo.shares);
-      
-      expect(shareValue).to.be.closeTo(depositAmount, ethers.parseUnits("1", 6));
+      await usdc.mint(await capitalPool.getAddress(), DEPOSIT / 10n);
+      expect(await capitalPool.getLPValue(lp.address)).to.equal(DEPOSIT + DEPOSIT / 10n);
     });
   });
 });
@@ -1,249 +1,167 @@
 const { expect } = require("chai");
-const { ethers, upgrades } = require("hardhat");
+const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploySystemFixture } = require("./helpers/system");
+const { buildSettlementBatch } = require("./helpers/merkle");
+const { makeTrade } = require("./helpers/trades");
 
 describe("TradeLedger", function () {
-  async function deployTradeLedgerFixture() {
-    const [owner, admin, governance, operator, trader] = await ethers.getSigners();
-
-    // Deploy OperatorRegistry first
-    const OperatorRegistry = await ethers.getContractFactory("OperatorRegistry");
-    const operatorRegistry = await upgrades.deployProxy(OperatorRegistry, [
-      admin.address,
-      governance.address,
-      [operator.address]
-    ]);
-    await operatorRegistry.waitForDeployment();
-
-    // Deploy TradeLedger
-    const TradeLedger = await ethers.getContractFactory("TradeLedger");
-    const tradeLedger = await upgrades.deployProxy(TradeLedger, [
-      admin.address,
-      governance.address,
-      await operatorRegistry.getAddress(),
-      [operator.address]
-    ]);
-    await tradeLedger.waitForDeployment();
-
-    return { tradeLedger, operatorRegistry, owner, admin, governance, operator, trader };
+  const anyValue = () => true;
+
+  const batchArgs = (overrides = {}) => {
+    const args = {
+      batchHash: ethers.keccak256(ethers.toUtf8Bytes("batch1")),
+      merkleRoot: ethers.keccak256(ethers.toUtf8Bytes("root1")),
+      tradeCount: 100,
+      metadata: "ipfs://QmTest123",
+      volume: ethers.parseEther("1000000"),
+      pnl: ethers.parseEther("50000"),
+      ...overrides,
+    };
+    return [args.batchHash, args.merkleRoot, args.tradeCount, args.metadata, args.volume, args.pnl];
+  };
+
+  async function submit(tradeLedger, signer, args) {
+    const receipt = await (await tradeLedger.connect(signer).submitBatch(...args)).wait();
+    const event = receipt.logs
+      .map((log) => tradeLedger.interface.parseLog(log))
+      .find((parsed) => parsed?.name === "BatchSubmitted");
+    return event.args.batchId;
   }
 
   describe("Deployment", function () {
     it("Should set the correct roles", async function () {
-      const { tradeLedger, admin, operator } = await loadFixture(deployTradeLedgerFixture);
+      const { tradeLedger, payoutManager, deployer, operator } = await loadFixture(deploySystemFixture);
 
-      const ADMIN_ROLE = await tradeLedger.ADMIN_ROLE();
       const OPERATOR_ROLE = await tradeLedger.OPERATOR_ROLE();
-
-      expect(await tradeLedger.hasRole(ADMIN_ROLE, admin.address)).to.be.true;
+      expect(await tradeLedger.hasRole(await tradeLedger.ADMIN_ROLE(), deployer.address)).to.be.true;
+      expect(await tradeLedger.hasRole(OPERATOR_ROLE, deployer.address)).to.be.true;
       expect(await tradeLedger.hasRole(OPERATOR_ROLE, operator.address)).to.be.true;
+      const PAYOUT_MANAGER_ROLE = await tradeLedger.PAYOUT_MANAGER_ROLE();
+      expect(await tradeLedger.hasRole(PAYOUT_MANAGER_ROLE, await payoutManager.getAddress())).to.be.true;
     });
 
     it("Should initialize with zero batches", async function () {
-      const { tradeLedger } = await loadFixture(deployTradeLedgerFixture);
+      const { tradeLedger } = await loadFixture(deploySystemFixture);
 
       expect(await tradeLedger.batchCounter()).to.equal(0);
       expect(await tradeLedger.totalTrades()).to.equal(0);
+      expect(await tradeLedger.getBatchCount()).to.equal(0);
     });
   });
 
   describe("Batch Submission", function () {
     it("Should allow operator to submit batch", async function () {
-      const { tradeLedger, operator } = await loadFixture(deployTradeLedgerFixture);
-
-      const batchHash = ethers.keccak256(ethers.toUtf8Bytes("batch1"));
-      const merkleRoot = ethers.keccak256(ethers.toUtf8Bytes("root1"));
-      const tradeCount = 100;
-      const metadata = "ipfs://QmTest123";
-      const volume = ethers.parseEther("1000000");
-      const pnl = ethers.parseEther("50000");
-
-      await expect(
-        tradeLedger.connect(operator).submitBatch(
-          batchHash,
-          merkleRoot,
-          tradeCount,
-          metadata,
-          volume,
-          pnl
-        )
-      ).to.emit(tradeLedger, "BatchSubmitted");
+      const { tradeLedger, operator } = await loadFixture(deploySystemFixture);
+
+      const args = batchArgs();
+      await expect(tradeLedger.connect(operator).submitBatch(...args))
+        .to.emit(tradeLedger, "BatchSubmitted")
+        .withArgs(anyValue, operator.address, args[1], args[2], anyValue, args[3]);
     });
 
     it("Should increment batch counter", async function () {
-      const { tradeLedger, operator } = await loadFixture(deployTradeLedgerFixture);
-
-      const batchHash = ethers.keccak256(ethers.toUtf8Bytes("batch1"));
-      const merkleRoot = ethers.keccak256(ethers.toUtf8Bytes("root1"));
-
-      await tradeLedger.connect(operator).submitBatch(
-        batchHash,
-        merkleRoot,
-        100,
-        "ipfs://test",
-        ethers.parseEther("1000000"),
-        ethers.parseEther("50000")
-      );
+      const { tradeLedger, operator } = await loadFixture(deploySystemFixture);
+
+      await submit(tradeLedger, operator, batchArgs());
 
       expect(await tradeLedger.batchCounter()).to.equal(1);
     });
 
     it("Should update total trades", async function () {
-      const { tradeLedger, operator } = await loadFixture(deployTradeLedgerFixture);
-
-      const tradeCount = 150;
+      const { tradeLedger, operator } = await loadFixture(deploySystemFixture);
 
-      await tradeLedger.connect(operator).submitBatch(
-        ethers.keccak256(ethers.toUtf8Bytes("batch1")),
-        ethers.keccak256(ethers.toUtf8Bytes("root1")),
-        tradeCount,
-        "ipfs://test",
-        ethers.parseEther("1000000"),
-        ethers.parseEther("50000")
-      );
+      await submit(tradeLedger, operator, batchArgs({ tradeCount: 150 }));
+      await submit(tradeLedger, operator, batchArgs({ batchHash: ethers.id("batch2"), tradeCount: 50 }));
 
-      expect(await tradeLedger.totalTrades()).to.equal(tradeCount);
+      expect(await tradeLedger.totalTrades()).to.equal(200);
     });
 
     it("Should reject non-operator submission", async function () {
-      const { tradeLedger, trader } = await loadFixture(deployTradeLedgerFixture);
-
-      await expect(
-        tradeLedger.connect(trader).submitBatch(
-          ethers.keccak256(ethers.toUtf8Bytes("batch1")),
-          ethers.keccak256(ethers.toUtf8Bytes("root1")),
-          100,
-          "ipfs://test",
-          ethers.parseEther("1000000"),
-          ethers.parseEther("50000")
-        )
-      ).to.be.reverted;
+      const { tradeLedger, stranger } = await loadFixture(deploySystemFixture);
+
+      await expect(tradeLedger.connect(stranger).submitBatch(...batchArgs()))
+        .to.be.revertedWithCustomError(tradeLedger, "AccessControlUnauthorizedAccount")
+        .withArgs(stranger.address, await tradeLedger.OPERATOR_ROLE());
     });
 
     it("Should reject zero trade count", async function () {
-      const { tradeLedger, operator } = await loadFixture(deployTradeLedgerFixture);
-
-      await expect(
-        tradeLedger.connect(operator).submitBatch(
-          ethers.keccak256(ethers.toUtf8Bytes("batch1")),
-          ethers.keccak256(ethers.toUtf8Bytes("root1")),
-          0,
-          "ipfs://test",
-          ethers.parseEther("1000000"),
-          ethers.parseEther("50000")
-        )
-      ).to.be.revertedWith("TradeLedger: Zero trades");
+      const { tradeLedger, operator } = await loadFixture(deploySystemFixture);
+
+      await expect(tradeLedger.connect(operator).submitBatch(...batchArgs({ tradeCount: 0 }))).to.be.revertedWith(
+        "TradeLedger: Zero trades",
+      );
     });
   });
 
   describe("Trade Verification", function () {
     it("Should verify valid Merkle proof", async function () {
-      const { tradeLedger, operator } = await loadFixture(deployTradeLedgerFixture);
-
-      // Submit batch first
-      const merkleRoot = ethers.keccak256(ethers.toUtf8Bytes("root1"));
-      const tx = await tradeLedger.connect(operator).submitBatch(
-        ethers.keccak256(ethers.toUtf8Bytes("batch1")),
-        merkleRoot,
-        1,
-        "ipfs://test",
-        ethers.parseEther("1000000"),
-        ethers.parseEther("50000")
-      );
-
-      const receipt = await tx.wait();
-      const event = receipt.logs.find(log => {
-        try {
-          return tradeLedger.interface.parseLog(log).name === "BatchSubmitted";
-        } catch {
-          return false;
-        }
-      });
-      const batchId = tradeLedger.interface.parseLog(event).args.batchId;
-
-      // Create simple Merkle proof (for testing)
-      const tradeData = ethers.AbiCoder.defaultAbiCoder().encode(
-        ["bytes32", "address", "int256"],
-        [ethers.keccak256(ethers.toUtf8Bytes("trade1")), operator.address, ethers.parseEther("1000")]
-      );
-
-      const proof = [merkleRoot]; // Simplified proof
-
-      // Note: Actual Merkle proof verification would require proper tree construction
-      // This is a simplified test
+      const { tradeLedger, operator, traderId } = await loadFixture(deploySystemFixture);
+
+      const trades = [
+        makeTrade({ traderId }),
+        makeTrade({ traderId, tradeId: ethers.id("trade-2"), pnl: ethers.parseEther("-40") }),
+        makeTrade({ tradeId: ethers.id("trade-3") }),
+      ];
+      const batch = buildSettlementBatch(trades);
+      const batchId = await submit(tradeLedger, operator, batch.submitBatchArgs("ipfs://test"));
+
+      for (const entry of batch.entries) {
+        const [valid, pnl] = await tradeLedger.verifyTrade(batchId, entry.proof, entry.trade);
+        expect(valid).to.be.true;
+        expect(pnl).to.equal(entry.trade.pnl);
+      }
+
+      // A proof only holds for the trade it was built for
+      const [valid] = await tradeLedger.verifyTrade(batchId, batch.entries[0].proof, batch.entries[1].trade);
+      expect(valid).to.be.false;
     });
   });
 
   describe("View Functions", function () {
     it("Should return batch info", async function () {
-      const { tradeLedger, operator } = await loadFixture(deployTradeLedgerFixture);
-
-      const merkleRoot = ethers.keccak256(ethers.toUtf8Bytes("root1"));
-      const tx = await tradeLedger.connect(operator).submitBatch(
-        ethers.keccak256(ethers.toUtf8Bytes("batch1")),
-        merkleRoot,
-        100,
-        "ipfs://test",
-        ethers.parseEther("1000000"),
-        ethers.parseEther("50000")
-      );
+      const { tradeLedger, operator } = await loadFixture(deploySystemFixture);
 
-      const receipt = await tx.wait();
-      const event = receipt.logs.find(log => {
-        try {
-          return tradeLedger.interface.parseLog(log).name === "BatchSubmitted";
-        } catch {
-          return false;
-        }
-      });
-      const batchId = tradeLedger.interface.parseLog(event).args.batchId;
+      const args = batchArgs();
+      const batchId = await submit(tradeLedger, operator, args);
 
       const batch = await tradeLedger.getBatch(batchId);
       expect(batch.tradeCount).to.equal(100);
-      expect(batch.merkleRoot).to.equal(merkleRoot);
+      expect(batch.merkleRoot).to.equal(args[1]);
+      expect(batch.operator).to.equal(operator.address);
+      expect(await tradeLedger.getBatchesByOperator(operator.address)).to.deep.equal([batchId]);
     });
 
     it("Should return global statistics", async function () {
-      const { tradeLedger, operator } = await loadFixture(deployTradeLedgerFixture);
-
-      await tradeLedger.connect(operator).submitBatch(
-        ethers.keccak256(ethers.toUtf8Bytes("batch1")),
-        ethers.keccak256(ethers.toUtf8Bytes("root1")),
-        100,
-        "ipfs://test",
-        ethers.parseEther("1000000"),
-        ethers.parseEther("50000")
-      );
+      const { tradeLedger, operator } = await loadFixture(deploySystemFixture);
+
+      await submit(tradeLedger, operator, batchArgs());
 
-      const stats = await tradeLedger.getGlobalStatistics();
-      expect(stats.totalBatches).to.equal(1);
-      expect(stats.totalTrades).to.equal(100);
+      const stats = await tradeLedger.getStatistics();
+      expect(stats.batchCount).to.equal(1);
+      expect(stats.tradeCount).to.equal(100);
+      expect(stats.volume).to.equal(ethers.parseEther("1000000"));
+      expect(stats.pnl).to.equal(ethers.parseEther("50000"));
     });
   });
 
   describe("Emergency Functions", function () {
     it("Should allow admin to pause", async function () {
-      const { tradeLedger, admin } = await loadFixture(deployTradeLedgerFixture);
+      const { tradeLedger, deployer } = await loadFixture(deploySystemFixture);
 
-      await tradeLedger.connect(admin).pause();
+      await tradeLedger.connect(deployer).pause();
       expect(await tradeLedger.paused()).to.be.true;
     });
 
     it("Should prevent submissions when paused", async function () {
-      const { tradeLedger, admin, operator } = await loadFixture(deployTradeLedgerFixture);
-
-      await tradeLedger.connect(admin).pause();
-
-      await expect(
-        tradeLedger.connect(operator).submitBatch(
-          ethers.keccak256(ethers.toUtf8Bytes("batch1")),
-          ethers.keccak256(ethers.toUtf8Bytes("root1")),
-          100,
-          "ipfs://test",
-          ethers.parseEther("1000000"),
-          ethers.parseEther("50000")
-        )
-      ).to.be.revertedWithCustomError(tradeLedger, "EnforcedPause");
+      const { tradeLedger, operator } = await loadFixture(deploySystemFixture);
+
+      await tradeLedger.pause();
+
+      await expect(tradeLedger.connect(operator).submitBatch(...batchArgs())).to.be.revertedWithCustomError(
+        tradeLedger,
+        "EnforcedPause",
+      );
     });
   });
 });
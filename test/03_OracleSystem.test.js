@@ -1,58 +1,13 @@
 const { expect } = require("chai");
-const { ethers, upgrades } = require("hardhat");
+const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deploySystem } = require("./helpers/system");
 
 describe("Oracle System", function () {
+  // The oracles and OracleRegistry as the manifest deploys them, before any price is posted
   async function deployOracleSystemFixture() {
-    const [owner, admin, feeder1, feeder2] = await ethers.getSigners();
-
-    // Deploy all oracle contracts
-    const CryptoPriceOracle = await ethers.getContractFactory("CryptoPriceOracle");
-    const cryptoOracle = await upgrades.deployProxy(CryptoPriceOracle, [
-      admin.address,
-      [feeder1.address]
-    ]);
-    await cryptoOracle.waitForDeployment();
-
-    const StockPriceOracle = await ethers.getContractFactory("StockPriceOracle");
-    const stockOracle = await upgrades.deployProxy(StockPriceOracle, [
-      admin.address,
-      [feeder1.address]
-    ]);
-    await stockOracle.waitForDeployment();
-
-    const ForexPriceOracle = await ethers.getContractFactory("ForexPriceOracle");
-    const forexOracle = await upgrades.deployProxy(ForexPriceOracle, [
-      admin.address,
-      [feeder1.address]
-    ]);
-    await forexOracle.waitForDeployment();
-
-    const CommodityPriceOracle = await ethers.getContractFactory("CommodityPriceOracle");
-    const commodityOracle = await upgrades.deployProxy(CommodityPriceOracle, [
-      admin.address,
-      [feeder1.address]
-    ]);
-    await commodityOracle.waitForDeployment();
-
-    const IndexPriceOracle = await ethers.getContractFactory("IndexPriceOracle");
-    const indexOracle = await upgrades.deployProxy(IndexPriceOracle, [
-      admin.address,
-      [feeder1.address]
-    ]);
-    await indexOracle.waitForDeployment();
-
-    // Deploy OracleRegistry
-    const OracleRegistry = await ethers.getContractFactory("OracleRegistry");
-    const oracleRegistry = await upgrades.deployProxy(OracleRegistry, [
-      admin.address,
-      await cryptoOracle.getAddress(),
-      await stockOracle.getAddress(),
-      await forexOracle.getAddress(),
-      await commodityOracle.getAddress(),
-      await indexOracle.getAddress()
-    ]);
-    await oracleRegistry.waitForDeployment();
+    const { cryptoOracle, stockOracle, forexOracle, commodityOracle, indexOracle, oracleRegistry, ...system } =
+      await deploySystem({ seedPrices: false });
 
     return {
       cryptoOracle,
@@ -61,10 +16,9 @@ describe("Oracle System", function () {
       commodityOracle,
       indexOracle,
       oracleRegistry,
-      owner,
-      admin,
-      feeder1,
-      feeder2
+      owner: system.stranger,
+      admin: system.deployer,
+      feeder1: system.feeder,
     };
   }
 
@@ -76,9 +30,10 @@ describe("Oracle System", function () {
       const price = 45000_00000000n; // $45,000 with 8 decimals
       const confidence = 50; // 0.5% confidence interval
 
-      await expect(
-        cryptoOracle.connect(feeder1).updatePrice(symbol, price, confidence)
-      ).to.emit(cryptoOracle, "PriceUpdated");
+      await expect(cryptoOracle.connect(feeder1).updatePrice(symbol, price, confidence)).to.emit(
+        cryptoOracle,
+        "PriceUpdated",
+      );
     });
 
     it("Should return current price", async function () {
@@ -102,12 +57,7 @@ describe("Oracle System", function () {
       const confidence = 50;
       const volume = ethers.parseEther("1000000");
 
-      await cryptoOracle.connect(feeder1).updatePriceWithVolume(
-        symbol,
-        price,
-        confidence,
-        volume
-      );
+      await cryptoOracle.connect(feeder1).updatePriceWithVolume(symbol, price, confidence, volume);
 
       const cryptoData = await cryptoOracle.getCryptoPrice(symbol);
       expect(cryptoData.price).to.equal(price);
@@ -145,13 +95,7 @@ describe("Oracle System", function () {
       const liquidity = 1000000n;
 
       await expect(
-        forexOracle.connect(feeder1).updateForexPrice(
-          symbol,
-          bidPrice,
-          askPrice,
-          confidence,
-          liquidity
-        )
+        forexOracle.connect(feeder1).updateForexPrice(symbol, bidPrice, askPrice, confidence, liquidity),
       ).to.emit(forexOracle, "PriceUpdated");
     });
 
@@ -162,13 +106,7 @@ describe("Oracle System", function () {
       const bidPrice = 1_08000000n;
       const askPrice = 1_08050000n;
 
-      await forexOracle.connect(feeder1).updateForexPrice(
-        symbol,
-        bidPrice,
-        askPrice,
-        10,
-        1000000n
-      );
+      await forexOracle.connect(feeder1).updateForexPrice(symbol, bidPrice, askPrice, 10, 1000000n);
 
       const forexData = await forexOracle.getForexPrice(symbol);
       expect(forexData.bidPrice).to.equal(bidPrice);
@@ -214,7 +152,7 @@ describe("Oracle System", function () {
 
       const healthReports = await oracleRegistry.getOracleHealth();
       expect(healthReports.length).to.equal(5);
-      
+
       // All oracles should be active
       for (const report of healthReports) {
         expect(report.isActive).to.be.true;
@@ -228,23 +166,21 @@ describe("Oracle System", function () {
 
       const symbol = ethers.keccak256(ethers.toUtf8Bytes("BTC/USD"));
 
-      await expect(
-        cryptoOracle.connect(feeder1).updatePrice(symbol, 0, 50)
-      ).to.be.revertedWith("Invalid price");
+      await expect(cryptoOracle.connect(feeder1).updatePrice(symbol, 0, 50)).to.be.revertedWith("Invalid price");
     });
 
     it("Should reject price with excessive deviation", async function () {
       const { cryptoOracle, feeder1 } = await loadFixture(deployOracleSystemFixture);
 
       const symbol = ethers.keccak256(ethers.toUtf8Bytes("BTC/USD"));
-      
+
       // Set initial price
       await cryptoOracle.connect(feeder1).updatePrice(symbol, 45000_00000000n, 50);
 
       // Try to update with 20% deviation (should fail if max deviation is 10%)
-      await expect(
-        cryptoOracle.connect(feeder1).updatePrice(symbol, 54000_00000000n, 50)
-      ).to.be.revertedWith("Price deviation too high");
+      await expect(cryptoOracle.connect(feeder1).updatePrice(symbol, 54000_00000000n, 50)).to.be.revertedWith(
+        "Price deviation too high",
+      );
     });
   });
 
@@ -254,9 +190,7 @@ describe("Oracle System", function () {
 
       const symbol = ethers.keccak256(ethers.toUtf8Bytes("BTC/USD"));
 
-      await expect(
-        cryptoOracle.connect(owner).updatePrice(symbol, 45000_00000000n, 50)
-      ).to.be.reverted;
+      await expect(cryptoOracle.connect(owner).updatePrice(symbol, 45000_00000000n, 50)).to.be.reverted;
     });
 
     it("Should allow admin to add symbols", async function () {
@@ -264,9 +198,7 @@ describe("Oracle System", function () {
 
       const newSymbol = ethers.keccak256(ethers.toUtf8Bytes("LINK/USD"));
 
-      await expect(
-        cryptoOracle.connect(admin).addSymbol(newSymbol, "Chainlink")
-      ).to.emit(cryptoOracle, "SymbolAdded");
+      await expect(cryptoOracle.connect(admin).addSymbol(newSymbol, "Chainlink")).to.emit(cryptoOracle, "SymbolAdded");
     });
   });
 });
@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildSettlementBatch, hashTrade, MerkleTree } = require("../src/settlement");
+const { createRng, makeTrade, randomTrades } = require("./helpers/trades");
+
+describe("Settlement Batch Builder", function () {
+  async function deployTradeLedgerFixture() {
+    const [owner, admin, governance, operator, payoutManager] = await ethers.getSigners();
+
+    const TradeLedger = await ethers.getContractFactory("TradeLedger");
+    const tradeLedger = await upgrades.deployProxy(TradeLedger, [
+      admin.address,
+      governance.address,
+      [operator.address],
+    ]);
+    await tradeLedger.waitForDeployment();
+
+    await tradeLedger.connect(admin).setPayoutManager(payoutManager.address);
+
+    return { tradeLedger, owner, admin, governance, operator, payoutManager };
+  }
+
+  async function submit(tradeLedger, operator, batch) {
+    const tx = await tradeLedger.connect(operator).submitBatch(...batch.submitBatchArgs("ipfs://batch"));
+    const receipt = await tx.wait();
+    const log = receipt.logs
+      .map((entry) => tradeLedger.interface.parseLog(entry))
+      .find((parsed) => parsed && parsed.name === "BatchSubmitted");
+    return log.args.batchId;
+  }
+
+  const traderIds = ["alice", "bob", "carol"].map((name) => ethers.keccak256(ethers.toUtf8Bytes(name)));
+
+  describe("Leaf hashing", function () {
+    it("Should match TradeLedger._hashTrade", async function () {
+      const { tradeLedger, operator } = await loadFixture(deployTradeLedgerFixture);
+
+      // A single-leaf tree has root == leaf, so verifyTrade with an empty proof checks the hash
+      const trade = makeTrade({ pnl: -123n, side: 1 });
+      const batch = buildSettlementBatch([trade]);
+      expect(batch.root).to.equal(hashTrade(trade));
+
+      const batchId = await submit(tradeLedger, operator, batch);
+      const [valid, pnl] = await tradeLedger.verifyTrade(batchId, [], batch.entries[0].trade);
+      expect(valid).to.be.true;
+      expect(pnl).to.equal(-123n);
+    });
+  });
+
+  describe("On-chain proof verification", function () {
+    it("Should verify every leaf of randomly sized batches", async function () {
+      const { tradeLedger, operator } = await loadFixture(deployTradeLedgerFixture);
+      const rng = createRng(0xc4a1f10);
+
+      const sizes = [1, 2, 3, 5, 7, 8, 13];
+      for (let i = 0; i < 4; i++) {
+        sizes.push(1 + Math.floor(rng() * 40));
+      }
+
+      for (const size of sizes) {
+        const batch = buildSettlementBatch(randomTrades(rng, size, traderIds, `size-${size}`));
+        const batchId = await submit(tradeLedger, operator, batch);
+
+        for (const entry of batch.entries) {
+          const [valid, pnl] = await tradeLedger.verifyTrade(batchId, entry.proof, entry.trade);
+          expect(valid, `batch of ${size}, leaf ${entry.index}`).to.be.true;
+          expect(pnl).to.equal(entry.trade.pnl);
+          expect(MerkleTree.verify(entry.proof, batch.root, entry.leaf)).to.be.true;
+        }
+      }
+    });
+
+    it("Should reject a tampered trade", async function () {
+      const { tradeLedger, operator } = await loadFixture(deployTradeLedgerFixture);
+
+      const batch = buildSettlementBatch(randomTrades(createRng(7), 6, traderIds));
+      const batchId = await submit(tradeLedger, operator, batch);
+
+      const { trade, proof } = batch.entries[2];
+      const [valid] = await tradeLedger.verifyTrade(batchId, proof, { ...trade, pnl: trade.pnl + 1n });
+      expect(valid).to.be.false;
+    });
+
+    it("Should record trader PnL with per-trader proofs", async function () {
+      const { tradeLedger, operator, payoutManager } = await loadFixture(deployTradeLedgerFixture);
+
+      const batch = buildSettlementBatch(randomTrades(createRng(42), 11, traderIds));
+      const batchId = await submit(tradeLedger, operator, batch);
+
+      for (const traderId of traderIds) {
+        const { trades, proofs, totalPnL } = batch.forTrader(traderId);
+        if (trades.length === 0) continue;
+
+        await expect(tradeLedger.connect(payoutManager).verifyAndRecordTraderPnL(batchId, traderId, proofs, trades))
+          .to.emit(tradeLedger, "TraderPnLVerified")
+          .withArgs(batchId, traderId, totalPnL, trades.length);
+      }
+    });
+  });
+
+  describe("Batch totals", function () {
+    it("Should compute count, volume, net PnL and batch hash", async function () {
+      const trades = [
+        makeTrade({ tradeId: ethers.id("t1"), size: 10n, pnl: 100n }),
+        makeTrade({ tradeId: ethers.id("t2"), size: 5n, pnl: -40n }),
+      ];
+      const batch = buildSettlementBatch(trades);
+
+      expect(batch.tradeCount).to.equal(2);
+      expect(batch.volume).to.equal(15n);
+      expect(batch.netPnL).to.equal(60n);
+      expect(batch.batchHash).to.equal(ethers.keccak256(ethers.concat(batch.leaves)));
+    });
+
+    it("Should store totals on submission", async function () {
+      const { tradeLedger, operator } = await loadFixture(deployTradeLedgerFixture);
+
+      const batch = buildSettlementBatch(randomTrades(createRng(3), 9, traderIds));
+      const batchId = await submit(tradeLedger, operator, batch);
+
+      const stored = await tradeLedger.getBatch(batchId);
+      expect(stored.merkleRoot).to.equal(batch.root);
+      expect(stored.batchHash).to.equal(batch.batchHash);
+      expect(stored.tradeCount).to.equal(batch.tradeCount);
+      expect(stored.totalVolume).to.equal(batch.volume);
+      expect(stored.netPnL).to.equal(batch.netPnL);
+    });
+
+    it("Should reject duplicate trade IDs", function () {
+      const trade = makeTrade();
+      expect(() => buildSettlementBatch([trade, trade])).to.throw("Duplicate tradeId");
+    });
+
+    it("Should reject an empty batch", function () {
+      expect(() => buildSettlementBatch([])).to.throw("No trades");
+    });
+  });
+});
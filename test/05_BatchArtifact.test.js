@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  buildSettlementBatch,
+  createBatchArtifact,
+  attachSubmission,
+  batchFromArtifact,
+  validateBatchArtifact,
+  computeContentHash,
+  toMetadata,
+  parseMetadata,
+  encodeNdjsonGz,
+  decodeNdjsonGz,
+  LocalBatchStore,
+} = require("../src/settlement");
+const { createRng, randomTrades } = require("./helpers/trades");
+
+describe("Batch Artifacts", function () {
+  const traderIds = ["alice", "bob"].map((name) => ethers.keccak256(ethers.toUtf8Bytes(name)));
+
+  async function deployFixture() {
+    const [owner, admin, governance, operator, payoutManager] = await ethers.getSigners();
+
+    const TradeLedger = await ethers.getContractFactory("TradeLedger");
+    const tradeLedger = await upgrades.deployProxy(TradeLedger, [
+      admin.address,
+      governance.address,
+      [operator.address],
+    ]);
+    await tradeLedger.waitForDeployment();
+    await tradeLedger.connect(admin).setPayoutManager(payoutManager.address);
+
+    const batch = buildSettlementBatch(randomTrades(createRng(11), 9, traderIds));
+    const artifact = createBatchArtifact(batch, {
+      operator: operator.address,
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      tradeLedger: await tradeLedger.getAddress(),
+    });
+
+    return { tradeLedger, operator, payoutManager, batch, artifact };
+  }
+
+  async function submitArtifact(tradeLedger, operator, batch, artifact) {
+    const tx = await tradeLedger
+      .connect(operator)
+      .submitBatch(...batch.submitBatchArgs(toMetadata(artifact.contentHash)));
+    const receipt = await tx.wait();
+    const parsed = receipt.logs
+      .map((log) => tradeLedger.interface.parseLog(log))
+      .find((log) => log && log.name === "BatchSubmitted");
+
+    return attachSubmission(artifact, {
+      batchId: parsed.args.batchId,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    });
+  }
+
+  let storeDir;
+
+  beforeEach(function () {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "chainflow-batches-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  describe("Format", function () {
+    it("Should reference the artifact from on-chain metadata", async function () {
+      const { tradeLedger, operator, batch, artifact } = await loadFixture(deployFixture);
+
+      const submitted = await submitArtifact(tradeLedger, operator, batch, artifact);
+      const stored = await tradeLedger.getBatch(submitted.submission.batchId);
+
+      expect(parseMetadata(stored.metadata)).to.equal(artifact.contentHash);
+      expect(stored.merkleRoot).to.equal(artifact.content.merkleRoot);
+      expect(stored.batchHash).to.equal(artifact.content.batchHash);
+    });
+
+    it("Should keep the content hash stable after submission is attached", async function () {
+      const { tradeLedger, operator, batch, artifact } = await loadFixture(deployFixture);
+
+      const submitted = await submitArtifact(tradeLedger, operator, batch, artifact);
+      expect(submitted.contentHash).to.equal(artifact.contentHash);
+      expect(() => validateBatchArtifact(submitted)).to.not.throw();
+    });
+
+    it("Should round-trip through compressed NDJSON", async function () {
+      const { artifact } = await loadFixture(deployFixture);
+
+      const decoded = decodeNdjsonGz(encodeNdjsonGz(artifact));
+      expect(decoded).to.deep.equal(artifact);
+    });
+
+    it("Should detect tampered trades", async function () {
+      const { artifact } = await loadFixture(deployFixture);
+
+      const tampered = structuredClone(artifact);
+      tampered.content.leaves[0].trade.pnl = "1";
+      expect(() => validateBatchArtifact(tampered)).to.throw("Content hash mismatch");
+    });
+
+    it("Should recompute the submitBatch arguments from the leaves", async function () {
+      const { artifact } = await loadFixture(deployFixture);
+
+      // Re-hashed so only the recomputed fields can give the tampering away
+      const tamper = (field, value) => {
+        const tampered = structuredClone(artifact);
+        tampered.content[field] = value;
+        tampered.contentHash = computeContentHash(tampered.content);
+        return tampered;
+      };
+      expect(() => validateBatchArtifact(tamper("batchHash", ethers.ZeroHash))).to.throw("Batch hash mismatch");
+      expect(() => validateBatchArtifact(tamper("totalVolume", "1"))).to.throw("Total volume mismatch");
+      expect(() => validateBatchArtifact(tamper("netPnL", "1"))).to.throw("Net PnL mismatch");
+    });
+
+    it("Should reject unknown versions", async function () {
+      const { artifact } = await loadFixture(deployFixture);
+
+      const future = structuredClone(artifact);
+      future.content.version = 99;
+      expect(() => validateBatchArtifact(future)).to.throw("Unsupported version");
+    });
+  });
+
+  describe("LocalBatchStore", function () {
+    for (const encoding of ["json", "ndjson.gz"]) {
+      it(`Should regenerate payout proofs from a stored ${encoding} artifact`, async function () {
+        const { tradeLedger, operator, payoutManager, batch, artifact } = await loadFixture(deployFixture);
+
+        const submitted = await submitArtifact(tradeLedger, operator, batch, artifact);
+        const store = new LocalBatchStore(storeDir);
+        await store.put(submitted, { encoding });
+
+        // A fresh store instance only has the files on disk to work from
+        const loaded = await new LocalBatchStore(storeDir).getByBatchId(submitted.submission.batchId);
+        const rebuilt = batchFromArtifact(loaded);
+        expect(rebuilt.batchId).to.equal(submitted.submission.batchId);
+
+        for (const traderId of traderIds) {
+          const { trades, proofs, totalPnL } = rebuilt.forTrader(traderId);
+          if (trades.length === 0) continue;
+
+          expect(
+            await tradeLedger
+              .connect(payoutManager)
+              .verifyAndRecordTraderPnL.staticCall(rebuilt.batchId, traderId, proofs, trades),
+          ).to.equal(totalPnL);
+        }
+      });
+    }
+
+    it("Should look up artifacts by metadata and list them", async function () {
+      const { artifact } = await loadFixture(deployFixture);
+
+      const store = new LocalBatchStore(storeDir);
+      await store.put(artifact, { encoding: "ndjson.gz" });
+
+      expect(await store.list()).to.deep.equal([artifact.contentHash]);
+      expect((await store.getByMetadata(toMetadata(artifact.contentHash))).contentHash).to.equal(artifact.contentHash);
+      expect(await store.get(ethers.ZeroHash)).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,279 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildSettlementBatch } = require("../src/settlement");
+const {
+  PayoutSigner,
+  PayoutAuthorizationError,
+  createPayoutSignerApp,
+  loadSigner,
+  keyConfigFromEnv,
+  recoverPayoutSigner,
+} = require("../src/payouts");
+const { makeTrade } = require("./helpers/trades");
+
+describe("Payout Signer", function () {
+  const traderId = ethers.keccak256(ethers.toUtf8Bytes("alice"));
+  const inactiveTraderId = ethers.keccak256(ethers.toUtf8Bytes("bob"));
+
+  async function registerTrader(registry, operator, id, traderAddress) {
+    const nonce = await registry.nonces(id);
+    const { chainId } = await ethers.provider.getNetwork();
+    const hash = ethers.solidityPackedKeccak256(
+      ["bytes32", "address", "uint8", "uint256", "uint256", "address"],
+      [id, traderAddress, 1, nonce, chainId, await registry.getAddress()],
+    );
+    const signature = await operator.signMessage(ethers.getBytes(hash));
+    await registry.connect(operator).registerTrader(id, traderAddress, 1, "", signature);
+  }
+
+  async function deployFixture() {
+    const [owner, admin, governance, operator, trader, otherTrader, recipient] = await ethers.getSigners();
+
+    const TradeLedger = await ethers.getContractFactory("TradeLedger");
+    const tradeLedger = await upgrades.deployProxy(TradeLedger, [
+      admin.address,
+      governance.address,
+      [operator.address],
+    ]);
+
+    const Registry = await ethers.getContractFactory("TraderAccountRegistry");
+    const traderRegistry = await upgrades.deployProxy(Registry, [
+      admin.address,
+      governance.address,
+      [operator.address],
+    ]);
+
+    // The signer never touches the pool token; any non-zero address satisfies initialize
+    const CapitalPool = await ethers.getContractFactory("CapitalPool");
+    const capitalPool = await upgrades.deployProxy(CapitalPool, [admin.address, admin.address, governance.address]);
+
+    // Signing key lives only in the key backend, not in the Hardhat accounts
+    const operatorWallet = ethers.Wallet.createRandom();
+
+    const PayoutManager = await ethers.getContractFactory("PayoutManager");
+    const payoutManager = await upgrades.deployProxy(PayoutManager, [
+      admin.address,
+      governance.address,
+      [operatorWallet.address],
+      await tradeLedger.getAddress(),
+      await traderRegistry.getAddress(),
+      await capitalPool.getAddress(),
+    ]);
+
+    await tradeLedger.connect(admin).setPayoutManager(await payoutManager.getAddress());
+
+    await registerTrader(traderRegistry, operator, traderId, trader.address);
+    await registerTrader(traderRegistry, operator, inactiveTraderId, otherTrader.address);
+    await traderRegistry.connect(admin).grantRole(await traderRegistry.PAYOUT_MANAGER_ROLE(), admin.address);
+    await traderRegistry.connect(admin).activateAccount(traderId);
+
+    // Below MIN_PAYOUT, so a correctly signed request passes the signature and proof checks
+    // and stops at the minimum-payout check
+    const batch = buildSettlementBatch([
+      makeTrade({ traderId, tradeId: ethers.id("t-1"), pnl: ethers.parseEther("30") }),
+      makeTrade({ traderId, tradeId: ethers.id("t-2"), pnl: ethers.parseEther("20") }),
+    ]);
+    const tx = await tradeLedger.connect(operator).submitBatch(...batch.submitBatchArgs("payout-signer"));
+    const receipt = await tx.wait();
+    const batchId = receipt.logs
+      .map((log) => tradeLedger.interface.parseLog(log))
+      .find((log) => log && log.name === "BatchSubmitted").args.batchId;
+
+    const payoutSigner = new PayoutSigner({
+      payoutManager,
+      traderRegistry,
+      signer: await loadSigner({ backend: "privateKey", privateKey: operatorWallet.privateKey }, ethers.provider),
+    });
+
+    return {
+      admin,
+      trader,
+      recipient,
+      payoutManager,
+      traderRegistry,
+      operatorWallet,
+      payoutSigner,
+      batch,
+      batchId,
+    };
+  }
+
+  describe("Signing", function () {
+    it("Should produce a signature PayoutManager accepts", async function () {
+      const { trader, payoutManager, operatorWallet, payoutSigner, batch, batchId } = await loadFixture(deployFixture);
+
+      const bundle = await payoutSigner.authorize({ traderId, recipient: trader.address, batchId });
+      expect(bundle.operator).to.equal(operatorWallet.address);
+      expect(bundle.nonce).to.equal("0");
+      expect(recoverPayoutSigner(bundle, bundle.signature)).to.equal(operatorWallet.address);
+
+      const { trades, proofs } = batch.forTrader(traderId);
+      await expect(
+        payoutManager
+          .connect(trader)
+          .requestPayout(traderId, trader.address, batchId, proofs, trades, bundle.signature),
+      ).to.be.revertedWith("PayoutManager: Below minimum");
+    });
+
+    it("Should only sign for the trader's registered address", async function () {
+      const { trader, recipient, payoutSigner, batchId } = await loadFixture(deployFixture);
+
+      await expect(payoutSigner.authorize({ traderId, recipient: recipient.address, batchId })).to.be.rejectedWith(
+        PayoutAuthorizationError,
+        "Recipient is not the trader's registered address",
+      );
+
+      const bundle = await payoutSigner.authorize({ traderId, batchId });
+      expect(bundle.recipient).to.equal(trader.address);
+    });
+
+    it("Should be rejected by PayoutManager when signed for another recipient", async function () {
+      const { trader, recipient, payoutManager, payoutSigner, batch, batchId } = await loadFixture(deployFixture);
+
+      const bundle = await payoutSigner.authorize({ traderId, recipient: trader.address, batchId });
+
+      const { trades, proofs } = batch.forTrader(traderId);
+      await expect(
+        payoutManager
+          .connect(trader)
+          .requestPayout(traderId, recipient.address, batchId, proofs, trades, bundle.signature),
+      ).to.be.revertedWith("PayoutManager: Invalid operator signature");
+    });
+
+    it("Should load the operator key from an encrypted keystore", async function () {
+      const { trader, payoutManager, traderRegistry, operatorWallet, batchId } = await loadFixture(deployFixture);
+
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chainflow-keystore-"));
+      try {
+        const keystorePath = path.join(dir, "operator.json");
+        fs.writeFileSync(
+          keystorePath,
+          ethers.encryptKeystoreJsonSync(
+            { address: operatorWallet.address, privateKey: operatorWallet.privateKey },
+            "hunter2",
+            { scrypt: { N: 1 << 10 } },
+          ),
+        );
+
+        const config = keyConfigFromEnv({
+          OPERATOR_KEY_BACKEND: "keystore",
+          OPERATOR_KEYSTORE_PATH: keystorePath,
+          OPERATOR_KEYSTORE_PASSWORD: "hunter2",
+        });
+        const signer = await loadSigner(config, ethers.provider);
+        expect(signer.address).to.equal(operatorWallet.address);
+
+        const payoutSigner = new PayoutSigner({ payoutManager, traderRegistry, signer });
+        const bundle = await payoutSigner.authorize({ traderId, recipient: trader.address, batchId });
+        expect(recoverPayoutSigner(bundle, bundle.signature)).to.equal(operatorWallet.address);
+
+        await expect(loadSigner({ ...config, password: "wrong" })).to.be.rejected;
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("Should require the feeder's own key instead of falling back to PRIVATE_KEY", function () {
+      const deployerKey = ethers.Wallet.createRandom().privateKey;
+      const feederKey = ethers.Wallet.createRandom().privateKey;
+
+      expect(keyConfigFromEnv({ PRIVATE_KEY: deployerKey }).privateKey).to.equal(deployerKey);
+      expect(keyConfigFromEnv({ PRIVATE_KEY: deployerKey }, "KEEPER").privateKey).to.equal(deployerKey);
+      expect(() => keyConfigFromEnv({ PRIVATE_KEY: deployerKey }, "FEEDER")).to.throw(
+        "FEEDER_PRIVATE_KEY is not set (PRIVATE_KEY is not used for FEEDER)",
+      );
+      expect(
+        keyConfigFromEnv({ PRIVATE_KEY: deployerKey, FEEDER_PRIVATE_KEY: feederKey }, "FEEDER").privateKey,
+      ).to.equal(feederKey);
+    });
+
+    it("Should refuse ineligible traders", async function () {
+      const { recipient, payoutSigner, batchId } = await loadFixture(deployFixture);
+
+      await expect(
+        payoutSigner.authorize({ traderId: ethers.id("nobody"), recipient: recipient.address, batchId }),
+      ).to.be.rejectedWith(PayoutAuthorizationError, "Trader not found");
+      await expect(
+        payoutSigner.authorize({ traderId: inactiveTraderId, recipient: recipient.address, batchId }),
+      ).to.be.rejectedWith(PayoutAuthorizationError, "Trader not active");
+      await expect(payoutSigner.authorize({ traderId, recipient: ethers.ZeroAddress, batchId })).to.be.rejectedWith(
+        PayoutAuthorizationError,
+        "Invalid recipient",
+      );
+    });
+  });
+
+  describe("HTTP endpoint", function () {
+    let server;
+    let baseUrl;
+
+    async function serve(payoutSigner) {
+      server = createPayoutSignerApp(payoutSigner).listen(0, "127.0.0.1");
+      await new Promise((resolve) => server.once("listening", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    }
+
+    async function post(body) {
+      const res = await fetch(`${baseUrl}/payouts/authorize`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: typeof body === "string" ? body : JSON.stringify(body),
+      });
+      return { status: res.status, body: await res.json() };
+    }
+
+    afterEach(async function () {
+      if (server) await new Promise((resolve) => server.close(resolve));
+      server = undefined;
+    });
+
+    it("Should return a ready-to-submit requestPayout transaction", async function () {
+      const { trader, payoutSigner, batch, batchId } = await loadFixture(deployFixture);
+      await serve(payoutSigner);
+
+      const { trades, proofs } = batch.forTrader(traderId);
+      const { status, body } = await post({
+        traderId,
+        recipient: trader.address,
+        batchId,
+        proofs,
+        trades: trades.map((trade) =>
+          Object.fromEntries(Object.entries(trade).map(([key, value]) => [key, value.toString()])),
+        ),
+      });
+
+      expect(status).to.equal(200);
+      expect(body.transaction.to).to.equal(body.payoutManager);
+      await expect(trader.sendTransaction(body.transaction)).to.be.revertedWith("PayoutManager: Below minimum");
+    });
+
+    it("Should map rejections to HTTP status codes", async function () {
+      const { recipient, payoutSigner, batchId } = await loadFixture(deployFixture);
+      await serve(payoutSigner);
+
+      expect((await post({ traderId: ethers.id("nobody"), recipient: recipient.address, batchId })).status).to.equal(
+        404,
+      );
+      expect((await post({ traderId: inactiveTraderId, recipient: recipient.address, batchId })).status).to.equal(409);
+      expect((await post({ traderId, recipient: recipient.address, batchId })).status).to.equal(403);
+      expect((await post({ traderId: "0x1234", recipient: recipient.address, batchId })).status).to.equal(400);
+      expect((await post("{not json")).status).to.equal(400);
+    });
+
+    it("Should report unhealthy when the signer lacks OPERATOR_ROLE", async function () {
+      const { admin, payoutManager, operatorWallet, payoutSigner } = await loadFixture(deployFixture);
+      await serve(payoutSigner);
+
+      expect((await fetch(`${baseUrl}/health`)).status).to.equal(200);
+
+      await payoutManager.connect(admin).revokeRole(await payoutManager.OPERATOR_ROLE(), operatorWallet.address);
+      const res = await fetch(`${baseUrl}/health`);
+      expect(res.status).to.equal(503);
+      expect((await res.json()).operator).to.equal(operatorWallet.address);
+    });
+  });
+});
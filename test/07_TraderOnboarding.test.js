@@ -0,0 +1,245 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deriveTraderId,
+  registerTrader,
+  scaleTrader,
+  checkScalingEligibility,
+  getTraderStatus,
+  parseCsv,
+  parseTraderImport,
+  importTraders,
+} = require("../src/traders");
+
+describe("Trader Onboarding", function () {
+  async function deployFixture() {
+    // The tasks sign with the first account, so it doubles as the operator
+    const [operator, admin, governance, alice, bob, carol] = await ethers.getSigners();
+
+    const Registry = await ethers.getContractFactory("TraderAccountRegistry");
+    const registry = await upgrades.deployProxy(Registry, [admin.address, governance.address, [operator.address]]);
+
+    const TradeLedger = await ethers.getContractFactory("TradeLedger");
+    const tradeLedger = await upgrades.deployProxy(TradeLedger, [
+      admin.address,
+      governance.address,
+      [operator.address],
+    ]);
+
+    // Scaling below never allocates, so the pool token is never touched
+    const CapitalPool = await ethers.getContractFactory("CapitalPool");
+    const capitalPool = await upgrades.deployProxy(CapitalPool, [admin.address, admin.address, governance.address]);
+
+    const PayoutManager = await ethers.getContractFactory("PayoutManager");
+    const payoutManager = await upgrades.deployProxy(PayoutManager, [
+      admin.address,
+      governance.address,
+      [operator.address],
+      await tradeLedger.getAddress(),
+      await registry.getAddress(),
+      await capitalPool.getAddress(),
+    ]);
+
+    await registry.connect(admin).setPayoutManager(await payoutManager.getAddress());
+    await registry.connect(admin).setPayoutManager(admin.address);
+    // Same allocation for tier 2 so authorizeScaling does not need pool liquidity
+    await registry.connect(governance).updateTierConfig(2, ethers.parseEther("50000"), 600, 7500, 15, 6000n);
+
+    return { operator, admin, alice, bob, carol, registry, payoutManager };
+  }
+
+  async function makeScalable(registry, admin, traderId) {
+    await registry.connect(admin).activateAccount(traderId);
+    await registry.connect(admin).updatePerformanceMetrics(traderId, 6000, 0, 0, 0, 0, 9000);
+    await registry.connect(admin).updateLifetimePnL(traderId, ethers.parseEther("1000"));
+  }
+
+  let fixture;
+
+  beforeEach(async function () {
+    fixture = await loadFixture(deployFixture);
+  });
+
+  describe("Registration", function () {
+    it("Should derive stable, namespaced trader IDs", function () {
+      expect(deriveTraderId("EVAL-1001")).to.equal(deriveTraderId(" EVAL-1001 "));
+      expect(deriveTraderId("EVAL-1001")).to.not.equal(deriveTraderId("EVAL-1002"));
+      expect(deriveTraderId("EVAL-1001")).to.not.equal(ethers.id("EVAL-1001"));
+      expect(() => deriveTraderId("")).to.throw("Empty account ID");
+    });
+
+    it("Should register a trader and report its status", async function () {
+      const { operator, alice, registry } = fixture;
+
+      const { traderId } = await registerTrader({
+        registry,
+        operator,
+        accountId: "EVAL-1001",
+        traderAddress: alice.address,
+        tier: 1,
+        metadata: "migrated",
+      });
+      expect(traderId).to.equal(deriveTraderId("EVAL-1001"));
+      expect(await registry.nonces(traderId)).to.equal(1n);
+
+      const status = await getTraderStatus(registry, traderId);
+      expect(status).to.include({ registered: true, traderAddress: alice.address, tier: 1, status: "Inactive" });
+      expect(status.tierConfig.profitSplitPct).to.equal(7000);
+      expect(status.metrics.consistencyScore).to.equal(0);
+
+      expect((await getTraderStatus(registry, deriveTraderId("EVAL-404"))).registered).to.be.false;
+    });
+  });
+
+  describe("Scaling", function () {
+    it("Should refuse ineligible traders before sending a transaction", async function () {
+      const { operator, admin, alice, registry, payoutManager } = fixture;
+      const { traderId } = await registerTrader({
+        registry,
+        operator,
+        accountId: "EVAL-1",
+        traderAddress: alice.address,
+      });
+
+      expect((await checkScalingEligibility(registry, traderId, 2)).reason).to.equal("Not active");
+      await registry.connect(admin).activateAccount(traderId);
+      expect((await checkScalingEligibility(registry, traderId, 2)).reason).to.equal("Low consistency");
+      expect((await checkScalingEligibility(registry, traderId, 1)).reason).to.equal("Not an upgrade");
+
+      await expect(scaleTrader({ payoutManager, registry, operator, traderId, newTier: 2 })).to.be.rejectedWith(
+        "Not eligible for scaling (Low consistency)",
+      );
+    });
+
+    it("Should upgrade an eligible trader through PayoutManager", async function () {
+      const { operator, admin, alice, registry, payoutManager } = fixture;
+      const { traderId } = await registerTrader({
+        registry,
+        operator,
+        accountId: "EVAL-2",
+        traderAddress: alice.address,
+      });
+      await makeScalable(registry, admin, traderId);
+
+      const result = await scaleTrader({ payoutManager, registry, operator, accountId: "EVAL-2", newTier: 2 });
+      expect(result).to.include({ traderId, oldTier: 1, newTier: 2 });
+
+      const status = await getTraderStatus(registry, traderId);
+      expect(status).to.include({ tier: 2, status: "Promoted" });
+    });
+  });
+
+  describe("CSV import", function () {
+    it("Should parse quoted CSV fields", function () {
+      expect(parseCsv('a,b\r\n"x, y","say ""hi"""\n\n')).to.deep.equal([
+        ["a", "b"],
+        ["x, y", 'say "hi"'],
+      ]);
+    });
+
+    it("Should reject a file with any invalid row", function () {
+      const { alice } = fixture;
+      const csv = [
+        "accountId,traderAddress,tier",
+        `EVAL-1,${alice.address},1`,
+        `EVAL-1,${alice.address},2`,
+        "EVAL-2,0x1234,1",
+        `EVAL-3,${ethers.Wallet.createRandom().address},7`,
+      ].join("\n");
+
+      expect(() => parseTraderImport(csv)).to.throw(/3 invalid row\(s\)[\s\S]*line 3[\s\S]*line 4[\s\S]*line 5/);
+      expect(() => parseTraderImport("traderAddress\n")).to.throw("Missing column accountId");
+    });
+
+    it("Should import traders and skip them on a re-run", async function () {
+      const { operator, alice, bob, carol, registry } = fixture;
+      const records = parseTraderImport(
+        [
+          "accountId,traderAddress,tier,metadata",
+          `EVAL-1,${alice.address},1,"{""source"":""legacy""}"`,
+          `EVAL-2,${bob.address},3,`,
+          `EVAL-3,${carol.address}`,
+        ].join("\n"),
+      );
+
+      const planned = await importTraders({ registry, operator, records, dryRun: true });
+      expect(planned.map((r) => r.result)).to.deep.equal(["planned", "planned", "planned"]);
+      expect(await registry.totalTraders()).to.equal(0n);
+
+      const first = await importTraders({ registry, operator, records: records.slice(0, 2) });
+      expect(first.map((r) => r.result)).to.deep.equal(["registered", "registered"]);
+
+      const second = await importTraders({ registry, operator, records });
+      expect(second.map((r) => r.result)).to.deep.equal(["skipped", "skipped", "registered"]);
+
+      const status = await getTraderStatus(registry, deriveTraderId("EVAL-2"));
+      expect(status.tier).to.equal(3);
+      expect((await getTraderStatus(registry, deriveTraderId("EVAL-1"))).metadata).to.equal('{"source":"legacy"}');
+    });
+
+    it("Should keep going past rows that conflict with existing accounts", async function () {
+      const { operator, alice, bob, carol, registry } = fixture;
+      await registerTrader({ registry, operator, accountId: "EVAL-1", traderAddress: alice.address });
+
+      const results = await importTraders({
+        registry,
+        operator,
+        records: parseTraderImport(
+          [
+            "accountId,traderAddress",
+            `EVAL-1,${carol.address}`,
+            `EVAL-9,${alice.address}`,
+            `EVAL-2,${bob.address}`,
+          ].join("\n"),
+        ),
+      });
+
+      expect(results.map((r) => r.result)).to.deep.equal(["failed", "failed", "registered"]);
+      expect(results[0].reason).to.equal(`Registered to ${alice.address}`);
+    });
+  });
+
+  describe("Tasks", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "chainflow-onboarding-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should import from CSV and report status through Hardhat tasks", async function () {
+      const { alice, admin, registry, payoutManager } = fixture;
+      const deployment = path.join(dir, "deployment.json");
+      fs.writeFileSync(
+        deployment,
+        JSON.stringify({
+          network: "hardhat",
+          chainId: (await ethers.provider.getNetwork()).chainId.toString(),
+          contracts: { traderRegistry: await registry.getAddress(), payoutManager: await payoutManager.getAddress() },
+        }),
+      );
+      const file = path.join(dir, "traders.csv");
+      fs.writeFileSync(file, `accountId,traderAddress\nEVAL-7,${alice.address}\n`);
+
+      const log = console.log;
+      console.log = () => {};
+      try {
+        await hre.run("trader:import", { file, deployment });
+        await makeScalable(registry, admin, deriveTraderId("EVAL-7"));
+        await hre.run("trader:scale", { accountId: "EVAL-7", tier: 2, deployment });
+        const status = await hre.run("trader:status", { accountId: "EVAL-7", deployment });
+        expect(status).to.include({ traderAddress: alice.address, tier: 2, status: "Promoted" });
+      } finally {
+        console.log = log;
+      }
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadManifest, validateManifest, resolveValue, runDeployment, DeploymentRegistry } = require("../src/deploy");
+
+describe("Manifest Deployer", function () {
+  const manifest = loadManifest(path.join(__dirname, "../deploy/paxeer-network.json"));
+
+  // Token contracts are only stored at initialization, so any non-zero address will do
+  const token = ethers.Wallet.createRandom().address;
+  const feeder = ethers.Wallet.createRandom().address;
+  const params = { depositToken: token, rewardToken: token, oracleFeeder: feeder };
+  const quiet = () => {};
+
+  let dir;
+  let registry;
+  let recordPath;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "chainflow-deploy-"));
+    registry = new DeploymentRegistry(dir, { log: () => {} });
+    recordPath = registry.pathFor("hardhat");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Manifest", function () {
+    it("Should resolve deployer, contract, param, env and ether references", function () {
+      const context = {
+        deployer: "0xdeployer",
+        contracts: { tradeLedger: "0xledger" },
+        params: { token: "${env.TOKEN}" },
+        env: { TOKEN: "0xtoken" },
+      };
+
+      expect(
+        resolveValue(["${deployer}", ["${contracts.tradeLedger}"], "${params.token}", "${ether:1.5}", 2], context),
+      ).to.deep.equal(["0xdeployer", ["0xledger"], "0xtoken", "1500000000000000000", 2]);
+      expect(resolveValue("batch-${contracts.tradeLedger}", context)).to.equal("batch-0xledger");
+      expect(() => resolveValue("${env.MISSING}", context)).to.throw("MISSING is not set");
+    });
+
+    it("Should reject references to contracts deployed later", function () {
+      expect(() =>
+        validateManifest({
+          contracts: [
+            { name: "payoutManager", contract: "PayoutManager", args: ["${contracts.tradeLedger}"] },
+            { name: "tradeLedger", contract: "TradeLedger", args: [] },
+          ],
+        }),
+      ).to.throw("references contracts.tradeLedger before it is deployed");
+      expect(() => validateManifest({ contracts: [{ name: "a", contract: "A", args: ["${params.nope}"] }] })).to.throw(
+        "unknown params.nope",
+      );
+      expect(() =>
+        validateManifest({
+          contracts: [{ name: "a", contract: "A" }],
+          roles: [{ contract: "b", role: "X_ROLE", account: "${deployer}" }],
+        }),
+      ).to.throw("unknown contract b");
+    });
+  });
+
+  describe("Deployment", function () {
+    it("Should deploy every manifest contract and wire roles", async function () {
+      const record = await runDeployment({ hre, manifest, registry, params, log: quiet });
+
+      expect(record.status).to.equal("complete");
+      expect(Object.keys(record.contracts)).to.deep.equal(manifest.contracts.map((c) => c.name));
+      expect(registry.load("hardhat")).to.deep.equal(record);
+
+      for (const name of Object.keys(record.contracts)) {
+        expect(await ethers.provider.getCode(record.implementations[name])).to.not.equal("0x");
+        expect(record.proxyAdmins[name]).to.equal(ethers.ZeroAddress);
+      }
+
+      const payoutManager = await ethers.getContractAt("PayoutManager", record.contracts.payoutManager);
+      expect(await payoutManager.tradeLedger()).to.equal(record.contracts.tradeLedger);
+
+      const capitalPool = await ethers.getContractAt("CapitalPool", record.contracts.capitalPool);
+      expect(await capitalPool.depositToken()).to.equal(token);
+
+      const context = { deployer: record.deployer, contracts: record.contracts, params };
+      for (const grant of manifest.roles) {
+        const target = await ethers.getContractAt(record.artifacts[grant.contract], record.contracts[grant.contract]);
+        const account = resolveValue(grant.account, context);
+        expect(await target.hasRole(await target[grant.role](), account), grant.role).to.equal(!grant.revoke);
+      }
+    });
+
+    it("Should resume after a failed step without redeploying earlier contracts", async function () {
+      // CapitalPool (step 3) rejects a zero deposit token
+      await expect(
+        runDeployment({
+          hre,
+          manifest,
+          registry,
+          params: { ...params, depositToken: ethers.ZeroAddress },
+          log: quiet,
+        }),
+      ).to.be.rejectedWith("CapitalPool: Zero deposit token");
+
+      const partial = registry.load("hardhat");
+      expect(partial.status).to.equal("in-progress");
+      expect(Object.keys(partial.contracts)).to.deep.equal(["operatorRegistry", "vault"]);
+
+      const record = await runDeployment({ hre, manifest, registry, params, log: quiet });
+      expect(record.status).to.equal("complete");
+      expect(record.contracts.operatorRegistry).to.equal(partial.contracts.operatorRegistry);
+      expect(record.contracts.vault).to.equal(partial.contracts.vault);
+      expect(Object.keys(record.contracts)).to.have.lengthOf(manifest.contracts.length);
+    });
+
+    it("Should do nothing when re-run on a complete record", async function () {
+      const first = await runDeployment({ hre, manifest, registry, params, log: quiet });
+      const blockBefore = await ethers.provider.getBlockNumber();
+
+      const second = await runDeployment({ hre, manifest, registry, params, log: quiet });
+      expect(second.contracts).to.deep.equal(first.contracts);
+      expect(second.roles).to.deep.equal(first.roles);
+      expect(second.parameters).to.deep.equal(first.parameters);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    });
+
+    it("Should refuse to redeploy a recorded contract that has no code", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      fs.writeFileSync(
+        recordPath,
+        JSON.stringify({
+          network: "hardhat",
+          chainId: chainId.toString(),
+          contracts: { operatorRegistry: ethers.Wallet.createRandom().address },
+        }),
+      );
+
+      await expect(runDeployment({ hre, manifest, registry, params, log: quiet })).to.be.rejectedWith(
+        "has no code; refusing to redeploy",
+      );
+      expect(Object.keys(registry.load("hardhat").contracts)).to.deep.equal(["operatorRegistry"]);
+    });
+
+    it("Should refuse a record from another chain", async function () {
+      fs.writeFileSync(recordPath, JSON.stringify({ network: "paxeer-network", chainId: "229", contracts: {} }));
+
+      await expect(runDeployment({ hre, manifest, registry, params, log: quiet })).to.be.rejectedWith(
+        "is for chain 229",
+      );
+    });
+  });
+});
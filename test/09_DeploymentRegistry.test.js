@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { RECORD_SCHEMA_VERSION, DeploymentRegistry, refreshProxyInfo, resolveDeployment } = require("../src/deploy");
+
+describe("Deployment Registry", function () {
+  let dir;
+  let registry;
+  let chainId;
+
+  const write = (file, record) => fs.writeFileSync(path.join(dir, file), JSON.stringify(record));
+  const legacyRecord = (timestamp) => ({
+    network: "paxeer-network",
+    chainId: "229",
+    deployer: ethers.ZeroAddress,
+    timestamp,
+    contracts: { vault: ethers.Wallet.createRandom().address },
+  });
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "chainflow-registry-"));
+    registry = new DeploymentRegistry(dir);
+    chainId = (await ethers.provider.getNetwork()).chainId.toString();
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Migration", function () {
+    it("Should migrate timestamped records to named records", function () {
+      write("paxeer-network_1763196053348.json", legacyRecord("2025-11-15T08:40:53.346Z"));
+      write("paxeer-network_1760000000000.json", legacyRecord("2025-10-09T08:53:20.000Z"));
+      const expected = [
+        { from: "paxeer-network_1763196053348.json", to: "paxeer-network.json" },
+        { from: "paxeer-network_1760000000000.json", to: "paxeer-network-1760000000000.json" },
+      ];
+      expect(registry.pendingMigrations()).to.deep.equal(expected);
+
+      const migrated = registry.migrate();
+      expect(migrated).to.deep.equal(expected);
+      expect(fs.readdirSync(dir).sort()).to.deep.equal(["paxeer-network-1760000000000.json", "paxeer-network.json"]);
+
+      const record = registry.load("paxeer-network");
+      expect(record).to.include({
+        name: "paxeer-network",
+        network: "paxeer-network",
+        chainId: "229",
+        migratedFrom: "paxeer-network_1763196053348.json",
+        schemaVersion: RECORD_SCHEMA_VERSION,
+      });
+      expect(record.tags).to.deep.equal(["legacy"]);
+      expect(record.proxyAdmins).to.deep.equal({});
+
+      // Already migrated
+      expect(registry.migrate()).to.deep.equal([]);
+    });
+
+    it("Should not let a legacy record replace an existing named record", function () {
+      registry.save({ name: "paxeer-network", network: "paxeer-network", chainId: "229", contracts: {} });
+      write("paxeer-network_1763196053348.json", legacyRecord("2025-11-15T08:40:53.346Z"));
+
+      registry.migrate();
+      expect(registry.load("paxeer-network").tags).to.be.undefined;
+      expect(registry.load("paxeer-network-1763196053348").tags).to.deep.equal(["legacy"]);
+    });
+
+    it("Should migrate legacy records on the first read and log each rename", function () {
+      write("hardhat_1763196053348.json", { ...legacyRecord("2025-11-15T08:40:53.346Z"), network: "hardhat", chainId });
+      const logged = [];
+      registry = new DeploymentRegistry(dir, { log: (line) => logged.push(line) });
+
+      expect(registry.select({ network: "hardhat", chainId }).tags).to.deep.equal(["legacy"]);
+      expect(fs.readdirSync(dir)).to.deep.equal(["hardhat.json"]);
+      expect(logged).to.deep.equal([`📦 Migrated ${path.join(dir, "hardhat_1763196053348.json")} → hardhat.json`]);
+
+      registry.list();
+      expect(logged).to.have.length(1);
+    });
+
+    it("Should only report legacy records when automatic migration is off", function () {
+      write("hardhat_1763196053348.json", { ...legacyRecord("2025-11-15T08:40:53.346Z"), network: "hardhat", chainId });
+      registry = new DeploymentRegistry(dir, { migrate: false });
+
+      expect(registry.list()).to.deep.equal([]);
+      expect(registry.load("hardhat")).to.be.null;
+      expect(() => registry.select({ network: "hardhat", chainId })).to.throw(
+        `No deployment for chain ${chainId} (1 legacy record(s) not migrated; run deployments:migrate)`,
+      );
+      expect(fs.readdirSync(dir)).to.deep.equal(["hardhat_1763196053348.json"]);
+    });
+
+    it("Should upgrade unversioned records in the current layout", function () {
+      write("hardhat.json", { network: "hardhat", chainId: 31337, contracts: {} });
+      const stored = () => JSON.parse(fs.readFileSync(path.join(dir, "hardhat.json"), "utf8"));
+
+      const readOnly = new DeploymentRegistry(dir, { migrate: false });
+      expect(readOnly.list()).to.deep.equal([
+        { name: "hardhat", network: "hardhat", chainId: "31337", tags: [], status: "unknown" },
+      ]);
+      expect(readOnly.load("hardhat")).to.include({ name: "hardhat", schemaVersion: RECORD_SCHEMA_VERSION });
+      expect(stored()).not.to.have.property("name");
+
+      registry = new DeploymentRegistry(dir, { log: () => {} });
+      expect(registry.load("hardhat")).to.include({ name: "hardhat", schemaVersion: RECORD_SCHEMA_VERSION });
+      expect(stored()).to.include({ name: "hardhat" });
+    });
+  });
+
+  describe("Selection", function () {
+    beforeEach(function () {
+      registry.save({ name: "hardhat", network: "hardhat", chainId, tags: ["staging"], contracts: {} });
+      registry.save({ name: "hardhat-canary", network: "hardhat", chainId, tags: ["canary"], contracts: {} });
+      registry.save({ name: "paxeer-network", network: "paxeer-network", chainId: "229", contracts: {} });
+    });
+
+    it("Should select by name, network and tag", function () {
+      expect(registry.select({ name: "hardhat-canary" }).name).to.equal("hardhat-canary");
+      expect(registry.select({ network: "hardhat", chainId }).name).to.equal("hardhat");
+      expect(registry.select({ network: "hardhat", chainId, tag: "canary" }).name).to.equal("hardhat-canary");
+      expect(registry.select({ network: "other", chainId: 229n }).name).to.equal("paxeer-network");
+    });
+
+    it("Should refuse ambiguous or missing selections", function () {
+      expect(() => registry.select({ network: "localhost", chainId })).to.throw(
+        "2 deployments for chain 31337 (hardhat-canary, hardhat); select one by name",
+      );
+      expect(() => registry.select({ network: "hardhat", chainId: "1" })).to.throw("No deployment for chain 1");
+      expect(() => registry.select({ name: "mainnet" })).to.throw("No deployment named mainnet");
+      expect(() => registry.select({ name: "hardhat", tag: "canary" })).to.throw("is not tagged canary");
+      expect(() => registry.pathFor("../hardhat")).to.throw("Invalid deployment name");
+    });
+
+    it("Should refuse a deployment for another chain", async function () {
+      await expect(resolveDeployment(hre, { selector: "paxeer-network", registry })).to.be.rejectedWith(
+        "Deployment paxeer-network is for chain 229, connected to chain 31337",
+      );
+      expect((await resolveDeployment(hre, { registry })).name).to.equal("hardhat");
+    });
+
+    it("Should accept a record file path", async function () {
+      const file = path.join(dir, "copy.json");
+      fs.writeFileSync(file, JSON.stringify({ network: "hardhat", chainId, contracts: {} }));
+
+      const record = await resolveDeployment(hre, { selector: file });
+      expect(record).to.include({ name: "copy", chainId });
+    });
+  });
+
+  describe("Proxy info", function () {
+    it("Should record implementation and admin addresses", async function () {
+      const [admin] = await ethers.getSigners();
+      const proxy = await upgrades.deployProxy(await ethers.getContractFactory("OperatorRegistry"), [
+        admin.address,
+        admin.address,
+        [admin.address],
+        ["Primary Operator"],
+      ]);
+      const record = { name: "hardhat", chainId, contracts: { operatorRegistry: await proxy.getAddress() } };
+
+      expect(await refreshProxyInfo(hre, record)).to.be.true;
+      expect(record.implementations.operatorRegistry).to.equal(
+        await upgrades.erc1967.getImplementationAddress(await proxy.getAddress()),
+      );
+      // UUPS: no admin contract
+      expect(record.proxyAdmins.operatorRegistry).to.equal(ethers.ZeroAddress);
+
+      expect(await refreshProxyInfo(hre, record)).to.be.false;
+    });
+  });
+});
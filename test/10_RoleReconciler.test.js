@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  loadManifest,
+  runDeployment,
+  DeploymentRegistry,
+  planRoles,
+  summarizeRolePlan,
+  formatRolePlan,
+  applyRolePlan,
+} = require("../src/deploy");
+
+describe("Role Reconciler", function () {
+  const manifest = loadManifest(path.join(__dirname, "../deploy/paxeer-network.json"));
+  const token = ethers.Wallet.createRandom().address;
+  const feeder = ethers.Wallet.createRandom().address;
+  const params = { depositToken: token, rewardToken: token, oracleFeeder: feeder };
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chainflow-roles-"));
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [deployer] = await ethers.getSigners();
+    const registry = new DeploymentRegistry(dir);
+    const record = await runDeployment({ hre, manifest, registry, params, log: () => {} });
+    const context = { deployer: deployer.address, contracts: record.contracts, params, env: {} };
+    const plan = () => planRoles({ ethers, manifest, record, context });
+
+    return { deployer, registry, record, plan };
+  }
+
+  it("Should cover every cross-contract role and find nothing to do after deployment", async function () {
+    const { plan } = await loadFixture(deployFixture);
+    const entries = await plan();
+
+    expect(summarizeRolePlan(entries)).to.deep.equal({ grant: 0, revoke: 0, none: entries.length });
+    expect(entries.map((entry) => `${entry.contract}.${entry.role}`)).to.include.members([
+      "vault.CAPITAL_POOL_ROLE",
+      "traderRegistry.PAYOUT_MANAGER_ROLE",
+      "capitalPool.PAYOUT_MANAGER_ROLE",
+      "tradeLedger.PAYOUT_MANAGER_ROLE",
+      "insuranceFund.CLAIMER_ROLE",
+      "keeperIncentive.PROTOCOL_ROLE",
+      "cryptoOracle.FEEDER_ROLE",
+      "indexOracle.FEEDER_ROLE",
+    ]);
+  });
+
+  it("Should plan and apply only the changes needed to undo drift", async function () {
+    const { deployer, record, plan } = await loadFixture(deployFixture);
+    const vault = await ethers.getContractAt("Vault", record.contracts.vault);
+    const cryptoOracle = await ethers.getContractAt("CryptoPriceOracle", record.contracts.cryptoOracle);
+    await vault.revokeRole(await vault.CAPITAL_POOL_ROLE(), record.contracts.capitalPool);
+    await cryptoOracle.grantRole(await cryptoOracle.FEEDER_ROLE(), deployer.address);
+
+    const entries = await plan();
+    expect(summarizeRolePlan(entries)).to.include({ grant: 1, revoke: 1 });
+    const lines = formatRolePlan(entries).filter((line) => !line.startsWith("="));
+    expect(lines).to.have.lengthOf(2);
+    expect(lines[0]).to.match(/^\+ vault\s+CAPITAL_POOL_ROLE\s+0x/);
+    expect(lines[1]).to.match(/^- cryptoOracle\s+FEEDER_ROLE\s+0x/);
+
+    const applied = await applyRolePlan({ ethers, plan: entries });
+    expect(applied.map(({ contract, action }) => `${action} ${contract}`)).to.deep.equal([
+      "grant vault",
+      "revoke cryptoOracle",
+    ]);
+    expect(await vault.hasRole(await vault.CAPITAL_POOL_ROLE(), record.contracts.capitalPool)).to.be.true;
+    expect(await cryptoOracle.hasRole(await cryptoOracle.FEEDER_ROLE(), deployer.address)).to.be.false;
+
+    expect(summarizeRolePlan(await plan())).to.include({ grant: 0, revoke: 0 });
+  });
+
+  it("Should reject a spec that both grants and revokes the same role", async function () {
+    const { deployer, record } = await loadFixture(deployFixture);
+    const conflicting = {
+      ...manifest,
+      roles: [
+        { contract: "cryptoOracle", role: "FEEDER_ROLE", account: "${deployer}" },
+        { contract: "cryptoOracle", role: "FEEDER_ROLE", account: "${deployer}", revoke: true },
+      ],
+    };
+
+    await expect(
+      planRoles({ ethers, manifest: conflicting, record, context: { deployer: deployer.address } }),
+    ).to.be.rejectedWith("is both granted and revoked");
+  });
+
+  it("Should print a JSON plan without sending transactions in dry-run mode", async function () {
+    const { registry, record } = await loadFixture(deployFixture);
+    const keeperIncentive = await ethers.getContractAt("KeeperIncentive", record.contracts.keeperIncentive);
+    const PROTOCOL_ROLE = await keeperIncentive.PROTOCOL_ROLE();
+    await keeperIncentive.revokeRole(PROTOCOL_ROLE, record.contracts.payoutManager);
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    const output = [];
+    const log = console.log;
+    process.env.ORACLE_FEEDER_ADDRESS = feeder;
+    console.log = (line) => output.push(line);
+    try {
+      await hre.run("roles:reconcile", { deployment: registry.pathFor("hardhat"), dryRun: true, json: true });
+    } finally {
+      console.log = log;
+      delete process.env.ORACLE_FEEDER_ADDRESS;
+    }
+
+    expect(output).to.have.lengthOf(1);
+    const report = JSON.parse(output[0]);
+    expect(report).to.include({ deployment: "hardhat", chainId: "31337" });
+    expect(report.summary).to.include({ grant: 1, revoke: 0 });
+    expect(report.plan.find((entry) => entry.action === "grant")).to.include({
+      contract: "keeperIncentive",
+      role: "PROTOCOL_ROLE",
+      account: record.contracts.payoutManager,
+      current: "revoked",
+      desired: "granted",
+    });
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    expect(await keeperIncentive.hasRole(PROTOCOL_ROLE, record.contracts.payoutManager)).to.be.false;
+  });
+});
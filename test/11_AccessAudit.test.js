@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadManifest, runDeployment, DeploymentRegistry } = require("../src/deploy");
+const { roleNamesFromAbis, loadRoleNames, auditAccessControl, formatAccessReport } = require("../src/access");
+
+describe("Access Control Audit", function () {
+  const manifest = loadManifest(path.join(__dirname, "../deploy/paxeer-network.json"));
+  const token = ethers.Wallet.createRandom().address;
+  const params = { depositToken: token, rewardToken: token, oracleFeeder: ethers.Wallet.createRandom().address };
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chainflow-access-"));
+
+  after(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [deployer] = await ethers.getSigners();
+    const registry = new DeploymentRegistry(dir);
+    const record = await runDeployment({ hre, manifest, registry, params, log: () => {} });
+    const roleNames = loadRoleNames(hre.config.paths.artifacts);
+    const audit = (options = {}) => auditAccessControl({ provider: ethers.provider, record, roleNames, ...options });
+
+    return { deployer, registry, record, audit };
+  }
+
+  const holdersOf = (report, contract, role) =>
+    report.contracts.find((entry) => entry.name === contract).roles.find((entry) => entry.role === role)?.holders || [];
+
+  it("Should resolve role hashes to names from ABIs", async function () {
+    const { abi } = await hre.artifacts.readArtifact("TraderAccountRegistry");
+    const names = roleNamesFromAbis([abi]);
+
+    expect(names.get(ethers.ZeroHash)).to.equal("DEFAULT_ADMIN_ROLE");
+    expect(names.get(ethers.id("PAYOUT_MANAGER_ROLE"))).to.equal("PAYOUT_MANAGER_ROLE");
+    expect(names.has(ethers.id("FEEDER_ROLE"))).to.be.false;
+    expect(loadRoleNames(hre.config.paths.artifacts).get(ethers.id("FEEDER_ROLE"))).to.equal("FEEDER_ROLE");
+  });
+
+  it("Should list current holders per role and flag deployer and EOA admins", async function () {
+    const { deployer, record, audit } = await loadFixture(deployFixture);
+    const report = await audit();
+
+    expect(report.contracts.map((entry) => entry.name)).to.deep.equal(Object.keys(record.contracts));
+    expect(holdersOf(report, "traderRegistry", "PAYOUT_MANAGER_ROLE")).to.deep.equal([
+      { account: record.contracts.payoutManager, type: "contract", label: "payoutManager" },
+    ]);
+    expect(holdersOf(report, "vault", "DEFAULT_ADMIN_ROLE")).to.deep.equal([
+      { account: deployer.address, type: "eoa", label: "deployer" },
+    ]);
+    // The deployer's placeholder feeder role is revoked by the manifest
+    expect(holdersOf(report, "cryptoOracle", "FEEDER_ROLE").map((holder) => holder.account)).to.deep.equal([
+      params.oracleFeeder,
+    ]);
+
+    const flagged = (type) => report.findings.filter((finding) => finding.type === type);
+    expect(flagged("eoa-admin").map((finding) => `${finding.contract}.${finding.role}`)).to.include.members([
+      "vault.DEFAULT_ADMIN_ROLE",
+      "payoutManager.GOVERNANCE_ROLE",
+      "oracleRegistry.ADMIN_ROLE",
+    ]);
+    expect(flagged("deployer-retained").map((finding) => `${finding.contract}.${finding.role}`)).to.include(
+      "traderRegistry.OPERATOR_ROLE",
+    );
+  });
+
+  it("Should stop flagging a contract once the deployer has handed over", async function () {
+    const { deployer, record, audit } = await loadFixture(deployFixture);
+    const traderRegistry = await ethers.getContractAt("TraderAccountRegistry", record.contracts.traderRegistry);
+
+    for (const role of ["GOVERNANCE_ROLE", "ADMIN_ROLE", "DEFAULT_ADMIN_ROLE"]) {
+      await traderRegistry.grantRole(await traderRegistry[role](), record.contracts.governanceManager);
+    }
+    const before = await audit();
+    for (const { roleHash, holders } of before.contracts.find((entry) => entry.name === "traderRegistry").roles) {
+      if (holders.some((holder) => holder.account === deployer.address)) {
+        await traderRegistry.renounceRole(roleHash, deployer.address);
+      }
+    }
+
+    const after = await audit();
+    expect(after.findings.filter((finding) => finding.contract === "traderRegistry")).to.be.empty;
+    expect(holdersOf(after, "traderRegistry", "DEFAULT_ADMIN_ROLE")).to.deep.equal([
+      { account: record.contracts.governanceManager, type: "contract", label: "governanceManager" },
+    ]);
+    expect(after.findings.filter((finding) => finding.contract === "vault")).to.not.be.empty;
+  });
+
+  it("Should give the same result when log queries are split into ranges", async function () {
+    const { audit } = await loadFixture(deployFixture);
+    const whole = await audit();
+    const chunked = await audit({ blockRange: 3 });
+
+    expect(chunked.contracts).to.deep.equal(whole.contracts);
+    expect(chunked.findings).to.deep.equal(whole.findings);
+  });
+
+  it("Should write Markdown and JSON reports from the Hardhat task", async function () {
+    const { registry } = await loadFixture(deployFixture);
+    const markdownFile = path.join(dir, "access.md");
+    const jsonFile = path.join(dir, "access.json");
+    const deployment = registry.pathFor("hardhat");
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+      await hre.run("access:audit", { deployment, out: markdownFile });
+      await hre.run("access:audit", { deployment, format: "json", out: jsonFile });
+      await expect(hre.run("access:audit", { deployment, out: markdownFile, strict: true })).to.be.rejectedWith(
+        "finding(s)",
+      );
+    } finally {
+      console.log = log;
+    }
+
+    const markdown = fs.readFileSync(markdownFile, "utf8");
+    expect(markdown).to.include("# Access Control: hardhat");
+    expect(markdown).to.include("## payoutManager");
+    expect(markdown).to.match(/\| DEFAULT_ADMIN_ROLE \| `0x[0-9a-fA-F]{40}` \(deployer\) — EOA \|/);
+    expect(markdown).to.include("- **eoa-admin**: EOA deployer");
+
+    const report = JSON.parse(fs.readFileSync(jsonFile, "utf8"));
+    expect(report).to.include({ deployment: "hardhat", chainId: "31337" });
+    expect(report.findings).to.not.be.empty;
+    expect(formatAccessReport(report)).to.include(`block ${report.block}`);
+  });
+});
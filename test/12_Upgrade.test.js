@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, impersonateAccount, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { DeploymentRegistry, UUPS_ABI, stateGetters } = require("../src/deploy");
+const { registerTrader } = require("../src/traders");
+
+describe("UUPS Upgrade Workflow", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "chainflow-upgrade-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [admin, trader] = await ethers.getSigners();
+
+    const governanceManager = await upgrades.deployProxy(await ethers.getContractFactory("GovernanceManager"), [
+      admin.address,
+      admin.address,
+      [admin.address],
+      [admin.address],
+    ]);
+    // Upgrades are gated by GOVERNANCE_ROLE, held by GovernanceManager only
+    const traderRegistry = await upgrades.deployProxy(await ethers.getContractFactory("TraderAccountRegistry"), [
+      admin.address,
+      await governanceManager.getAddress(),
+      [admin.address],
+    ]);
+    await registerTrader({
+      registry: traderRegistry,
+      operator: admin,
+      accountId: "EVAL-1",
+      traderAddress: trader.address,
+    });
+
+    const contracts = {
+      governanceManager: await governanceManager.getAddress(),
+      traderRegistry: await traderRegistry.getAddress(),
+    };
+    const record = {
+      name: "hardhat",
+      network: "hardhat",
+      chainId: (await ethers.provider.getNetwork()).chainId.toString(),
+      deployer: admin.address,
+      contracts,
+      implementations: {
+        governanceManager: await upgrades.erc1967.getImplementationAddress(contracts.governanceManager),
+        traderRegistry: await upgrades.erc1967.getImplementationAddress(contracts.traderRegistry),
+      },
+      artifacts: { governanceManager: "GovernanceManager", traderRegistry: "TraderAccountRegistry" },
+    };
+
+    return { admin, traderRegistry, record };
+  }
+
+  function saveRecord(record) {
+    const registry = new DeploymentRegistry(dir);
+    registry.save(structuredClone(record));
+    return { registry, deployment: registry.pathFor(record.name) };
+  }
+
+  async function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await fn();
+    } finally {
+      console.log = log;
+    }
+  }
+
+  it("Should snapshot state getters but not constants or roles", async function () {
+    const { interface: iface } = await ethers.getContractFactory("TraderAccountRegistry");
+    const getters = stateGetters(iface);
+
+    expect(getters).to.include.members(["totalTraders", "activeTraders", "paused"]);
+    expect(getters).to.not.include.members(["BASIS_POINTS", "ADMIN_ROLE", "MAX_TIER"]);
+  });
+
+  it("Should upgrade directly when the sender holds the upgrade role", async function () {
+    const { admin, traderRegistry, record } = await loadFixture(deployFixture);
+    await traderRegistry.grantRole(await traderRegistry.GOVERNANCE_ROLE(), admin.address);
+    const { registry, deployment } = saveRecord(record);
+
+    const result = await quietly(() =>
+      hre.run("upgrade", {
+        contract: "traderRegistry",
+        artifact: "TraderAccountRegistryV2Mock",
+        deployment,
+        call: "initializeV2",
+        args: [42],
+      }),
+    );
+
+    expect(result.mode).to.equal("direct");
+    expect(result.changes).to.deep.equal([]);
+    expect(result.stateBefore.totalTraders).to.equal("1");
+    expect(result.newImplementation).to.not.equal(record.implementations.traderRegistry);
+
+    const upgraded = await ethers.getContractAt("TraderAccountRegistryV2Mock", record.contracts.traderRegistry);
+    expect(await upgraded.totalTraders()).to.equal(1n);
+    expect(await upgraded.upgradeMarker()).to.equal(42n);
+
+    const saved = registry.load("hardhat");
+    expect(saved.implementations.traderRegistry).to.equal(result.newImplementation);
+    expect(saved.artifacts.traderRegistry).to.equal("TraderAccountRegistryV2Mock");
+  });
+
+  it("Should refuse a storage-incompatible implementation before deploying it", async function () {
+    const { record } = await loadFixture(deployFixture);
+    const { registry, deployment } = saveRecord(record);
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    await expect(
+      quietly(() =>
+        hre.run("upgrade", { contract: "traderRegistry", artifact: "TraderAccountRegistryClashMock", deployment }),
+      ),
+    ).to.be.rejectedWith(/New storage layout is incompatible|Deleted `tierConfigs`/);
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    expect(registry.load("hardhat").implementations).to.deep.equal(record.implementations);
+  });
+
+  it("Should emit a governance proposal when only GovernanceManager can upgrade", async function () {
+    const { record } = await loadFixture(deployFixture);
+    const { registry, deployment } = saveRecord(record);
+    const payloadFile = path.join(dir, "upgrade.json");
+
+    const { mode, payload } = await quietly(() =>
+      hre.run("upgrade", {
+        contract: "traderRegistry",
+        artifact: "TraderAccountRegistryV2Mock",
+        deployment,
+        out: payloadFile,
+      }),
+    );
+
+    expect(mode).to.equal("governance");
+    expect(JSON.parse(fs.readFileSync(payloadFile, "utf8"))).to.deep.equal(payload);
+    expect(payload.governanceCanExecute).to.be.true;
+    expect(payload.proposal.targets).to.deep.equal([record.contracts.traderRegistry]);
+    expect(payload.transaction.to).to.equal(record.contracts.governanceManager);
+
+    const uups = new ethers.Interface(UUPS_ABI);
+    const [implementation, data] = uups.decodeFunctionData("upgradeToAndCall", payload.proposal.calldatas[0]);
+    expect(implementation).to.equal(payload.newImplementation);
+    expect(data).to.equal("0x");
+
+    const governanceManager = await ethers.getContractAt("GovernanceManager", record.contracts.governanceManager);
+    const propose = governanceManager.interface.decodeFunctionData("propose", payload.transaction.data);
+    expect(propose.description).to.equal(payload.proposal.description);
+
+    await expect(quietly(() => hre.run("upgrade:check", { payload: payloadFile, deployment }))).to.be.rejectedWith(
+      "the proposal has not executed",
+    );
+
+    // Stand in for proposal execution
+    await impersonateAccount(record.contracts.governanceManager);
+    await setBalance(record.contracts.governanceManager, ethers.parseEther("1"));
+    const governance = await ethers.getSigner(record.contracts.governanceManager);
+    await governance.sendTransaction({ to: payload.proxy, data: payload.proposal.calldatas[0] });
+
+    const { changes } = await quietly(() => hre.run("upgrade:check", { payload: payloadFile, deployment }));
+    expect(changes).to.deep.equal([]);
+    expect(registry.load("hardhat").implementations.traderRegistry).to.equal(payload.newImplementation);
+  });
+});
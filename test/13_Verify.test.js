@@ -0,0 +1,254 @@
+const { expect } = require("chai");
+const express = require("express");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { DeploymentRegistry, loadManifest } = require("../src/deploy");
+const { ExplorerClient, compilerProfile, verifyDeployment } = require("../src/verify");
+
+/**
+ * Etherscan-compatible API stub: every submission is pending for `pendingChecks` status checks,
+ * then passes unless its address is in `rejected`.
+ */
+function startExplorerStub() {
+  const state = { verified: new Set(), submissions: [], proxyLinks: [], rejected: new Set(), pendingChecks: 1 };
+  const jobs = new Map();
+  const app = express();
+  app.use(express.urlencoded({ extended: false, limit: "50mb" }));
+
+  const reply = (res, status, result) => res.json({ status, message: status === "1" ? "OK" : "NOTOK", result });
+  const queue = (job) => {
+    const guid = `guid-${jobs.size + 1}`;
+    jobs.set(guid, { ...job, checks: 0 });
+    return guid;
+  };
+
+  app.get("/api", (req, res) => {
+    const { action, address, guid } = req.query;
+    if (action === "getsourcecode") {
+      return reply(res, "1", [{ SourceCode: state.verified.has(address.toLowerCase()) ? "contract {}" : "" }]);
+    }
+    const job = jobs.get(guid);
+    if (!job) return reply(res, "0", "Unknown GUID");
+    if (job.checks++ < state.pendingChecks) return reply(res, "0", "Pending in queue");
+
+    if (action === "checkverifystatus") {
+      if (state.rejected.has(job.address.toLowerCase())) return reply(res, "0", "Fail - Unable to verify");
+      state.verified.add(job.address.toLowerCase());
+      return reply(res, "1", "Pass - Verified");
+    }
+    return reply(res, "1", `The proxy's (${job.address}) implementation contract is found and successfully updated.`);
+  });
+
+  app.post("/api", (req, res) => {
+    const { action, contractaddress, address, expectedimplementation } = req.body;
+    if (action === "verifysourcecode") {
+      state.submissions.push(req.body);
+      return reply(res, "1", queue({ address: contractaddress }));
+    }
+    if (action === "verifyproxycontract") {
+      state.proxyLinks.push({ proxy: address, implementation: expectedimplementation });
+      return reply(res, "1", queue({ address }));
+    }
+    reply(res, "0", `Unknown action ${action}`);
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      resolve({ server, state, apiUrl: `http://127.0.0.1:${server.address().port}/api` });
+    });
+  });
+}
+
+describe("Explorer Verification", function () {
+  let dir;
+  let stub;
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "chainflow-verify-"));
+    stub = await startExplorerStub();
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => stub.server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function deployFixture() {
+    const [admin] = await ethers.getSigners();
+
+    const governanceManager = await upgrades.deployProxy(await ethers.getContractFactory("GovernanceManager"), [
+      admin.address,
+      admin.address,
+      [admin.address],
+      [admin.address],
+    ]);
+    const traderRegistry = await upgrades.deployProxy(await ethers.getContractFactory("TraderAccountRegistry"), [
+      admin.address,
+      admin.address,
+      [admin.address],
+    ]);
+
+    const record = {
+      name: "hardhat",
+      network: "hardhat",
+      chainId: (await ethers.provider.getNetwork()).chainId.toString(),
+      deployer: admin.address,
+      contracts: {
+        governanceManager: await governanceManager.getAddress(),
+        traderRegistry: await traderRegistry.getAddress(),
+      },
+      artifacts: { governanceManager: "GovernanceManager", traderRegistry: "TraderAccountRegistry" },
+    };
+    return { record };
+  }
+
+  const implementationOf = (proxy) => upgrades.erc1967.getImplementationAddress(proxy);
+
+  function verify(record, options = {}) {
+    const explorer = new ExplorerClient({ apiUrl: stub.apiUrl, pollInterval: 0 });
+    return verifyDeployment({ hre, record, explorer, log: () => {}, ...options });
+  }
+
+  it("Should submit implementations with their build's compiler profile and link the proxies", async function () {
+    const { record } = await loadFixture(deployFixture);
+    const verification = await verify(structuredClone(record));
+
+    const implementations = await Promise.all(Object.values(record.contracts).map(implementationOf));
+    expect(stub.state.submissions.map((submission) => submission.contractaddress)).to.deep.equal(implementations);
+    expect(stub.state.proxyLinks).to.deep.equal(
+      Object.values(record.contracts).map((proxy, i) => ({ proxy, implementation: implementations[i] })),
+    );
+
+    const { sourceName, contractName } = await hre.artifacts.readArtifact("TraderAccountRegistry");
+    const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+    const submission = stub.state.submissions[1];
+    expect(submission).to.include({
+      codeformat: "solidity-standard-json-input",
+      contractname: "contracts/TraderAccountRegistry.sol:TraderAccountRegistry",
+      compilerversion: `v${buildInfo.solcLongVersion}`,
+    });
+    expect(JSON.parse(submission.sourceCode).settings).to.deep.equal(buildInfo.input.settings);
+
+    expect(verification.traderRegistry).to.include({
+      implementation: implementations[1],
+      status: "verified",
+      proxy: "linked",
+      guid: "guid-3",
+    });
+    expect(verification.traderRegistry.compiler).to.deep.equal({
+      version: `v${buildInfo.solcLongVersion}`,
+      optimizer: buildInfo.input.settings.optimizer,
+      viaIR: buildInfo.input.settings.viaIR,
+    });
+  });
+
+  it("Should skip completed contracts and pick up a new implementation after an upgrade", async function () {
+    const { record } = await loadFixture(deployFixture);
+    const copy = structuredClone(record);
+    await verify(copy);
+    const submitted = stub.state.submissions.length;
+
+    await verify(copy);
+    expect(stub.state.submissions).to.have.length(submitted);
+    expect(stub.state.proxyLinks).to.have.length(2);
+
+    const registry = await ethers.getContractAt("TraderAccountRegistry", record.contracts.traderRegistry);
+    await registry.grantRole(await registry.GOVERNANCE_ROLE(), (await ethers.getSigners())[0].address);
+    await upgrades.upgradeProxy(
+      record.contracts.traderRegistry,
+      await ethers.getContractFactory("TraderAccountRegistryV2Mock"),
+    );
+    copy.artifacts.traderRegistry = "TraderAccountRegistryV2Mock";
+
+    const verification = await verify(copy);
+    const upgraded = await implementationOf(record.contracts.traderRegistry);
+    expect(stub.state.submissions.slice(submitted).map((submission) => submission.contractaddress)).to.deep.equal([
+      upgraded,
+    ]);
+    expect(verification.traderRegistry).to.include({ implementation: upgraded, status: "verified", proxy: "linked" });
+    expect(verification.traderRegistry.contractName).to.equal(
+      "contracts/mocks/UpgradeMocks.sol:TraderAccountRegistryV2Mock",
+    );
+  });
+
+  it("Should record rejected and mismatched implementations without linking them", async function () {
+    const { record } = await loadFixture(deployFixture);
+    const copy = {
+      ...structuredClone(record),
+      artifacts: { ...record.artifacts, traderRegistry: "TraderAccountRegistryClashMock" },
+    };
+    stub.state.rejected.add((await implementationOf(record.contracts.governanceManager)).toLowerCase());
+
+    const verification = await verify(copy);
+
+    expect(verification.governanceManager).to.include({
+      status: "failed",
+      proxy: "skipped",
+      error: "Fail - Unable to verify",
+    });
+    expect(verification.traderRegistry).to.include({ status: "mismatch", proxy: "skipped" });
+    expect(stub.state.submissions.map((submission) => submission.contractname)).to.deep.equal([
+      "contracts/GovernanceManager.sol:GovernanceManager",
+    ]);
+    expect(stub.state.proxyLinks).to.be.empty;
+
+    // A failed entry is retried on the next run
+    stub.state.rejected.clear();
+    expect((await verify(copy, { only: ["governanceManager"] })).governanceManager).to.include({
+      status: "verified",
+      proxy: "linked",
+    });
+  });
+
+  it("Should take the artifacts of migrated records, which have none, from the manifest", async function () {
+    const { record } = await loadFixture(deployFixture);
+    const { artifacts, ...migrated } = structuredClone(record);
+
+    const unresolved = await verify(structuredClone(migrated));
+    expect(unresolved.governanceManager).to.include({
+      status: "failed",
+      proxy: "skipped",
+      error: "no artifact recorded for governanceManager",
+    });
+
+    const verification = await verify(migrated, { manifest: loadManifest("paxeer-network") });
+    for (const name of Object.keys(artifacts)) {
+      expect(verification[name]).to.include({ status: "verified", proxy: "linked" });
+    }
+    expect(stub.state.submissions.map((submission) => submission.contractname)).to.deep.equal([
+      "contracts/GovernanceManager.sol:GovernanceManager",
+      "contracts/TraderAccountRegistry.sol:TraderAccountRegistry",
+    ]);
+  });
+
+  it("Should write verification status to the record from the Hardhat task", async function () {
+    const { record } = await loadFixture(deployFixture);
+    const registry = new DeploymentRegistry(dir);
+    registry.save(structuredClone(record));
+    const deployment = registry.pathFor("hardhat");
+    stub.state.pendingChecks = 0;
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+      await hre.run("deployments:verify", { deployment, apiUrl: stub.apiUrl, contracts: "traderRegistry" });
+    } finally {
+      console.log = log;
+    }
+
+    const saved = registry.load("hardhat");
+    expect(Object.keys(saved.verification)).to.deep.equal(["traderRegistry"]);
+    expect(saved.verification.traderRegistry).to.include({
+      implementation: await implementationOf(record.contracts.traderRegistry),
+      status: "verified",
+      proxy: "linked",
+    });
+    expect((await compilerProfile(hre, "TraderAccountRegistry")).contractName).to.equal(
+      saved.verification.traderRegistry.contractName,
+    );
+  });
+});
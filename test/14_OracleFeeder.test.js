@@ -0,0 +1,275 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  aggregateReadings,
+  toOracleUnits,
+  loadFeedConfig,
+  validateFeedConfig,
+  createPriceSource,
+  connectOracles,
+  OracleFeeder,
+} = require("../src/oracles");
+const { deploySystem } = require("./helpers/system");
+
+describe("Oracle Feeder", function () {
+  const ORACLES = {
+    cryptoOracle: "CryptoPriceOracle",
+    forexOracle: "ForexPriceOracle",
+    stockOracle: "StockPriceOracle",
+    indexOracle: "IndexPriceOracle",
+  };
+
+  const feedConfig = () =>
+    validateFeedConfig({
+      sources: {
+        primary: {
+          type: "mock",
+          prices: { "BTC/USD": 45000, "ETH/USD": 2500, "EUR/USD": 1.08, "AAPL/USD": 175 },
+          spreadBps: 10,
+          volume: 1000,
+        },
+        secondary: { type: "mock", prices: { "BTC/USD": 45450, "ETH/USD": 2500 } },
+      },
+      defaults: { deviationBps: 50 },
+      feeds: [
+        { symbol: "BTC/USD", oracle: "cryptoOracle", sources: ["primary", "secondary"] },
+        { symbol: "ETH/USD", oracle: "cryptoOracle", sources: ["primary", "secondary"] },
+        { symbol: "EUR/USD", oracle: "forexOracle", sources: ["primary"] },
+        { symbol: "AAPL/USD", oracle: "stockOracle", sources: ["primary"] },
+      ],
+    });
+
+  async function deployFixture() {
+    const { deployer: admin, feeder, record } = await deploySystem({ seedPrices: false });
+    const oracles = await connectOracles({ ethers, record, signer: feeder, names: Object.keys(ORACLES) });
+    const contracts = Object.fromEntries(Object.entries(oracles).map(([name, { contract }]) => [name, contract]));
+    return { admin, oracles, ...contracts };
+  }
+
+  // A fresh feeder per test: mock sources keep pinned prices
+  async function deployFeeder() {
+    const fixture = await loadFixture(deployFixture);
+    const feeder = new OracleFeeder({
+      config: feedConfig(),
+      oracles: fixture.oracles,
+      provider: ethers.provider,
+      log: () => {},
+    });
+    return { feeder, ...fixture };
+  }
+
+  const reasons = (report) =>
+    Object.fromEntries(report.updates.map((update) => [`${update.oracle}.${update.symbol}`, update.reason]));
+
+  describe("Aggregation", function () {
+    it("Should take the median and widen confidence with source dispersion", function () {
+      const tight = aggregateReadings([
+        { source: "a", price: 100 },
+        { source: "b", price: 100.02 },
+        { source: "c", price: "99.99" },
+      ]);
+      expect(tight.price).to.equal(toOracleUnits(100));
+      expect(tight.confidence).to.equal(10); // floor
+
+      const wide = aggregateReadings([
+        { source: "a", price: 100 },
+        { source: "b", price: 102 },
+      ]);
+      expect(wide.price).to.equal(toOracleUnits(101));
+      expect(wide.confidence).to.equal(99); // half of a 2-point range, in bps of 101
+    });
+
+    it("Should drop outliers while enough sources remain", function () {
+      const readings = [
+        { source: "a", price: 100 },
+        { source: "b", price: 100.5 },
+        { source: "c", price: 150 },
+      ];
+      const result = aggregateReadings(readings, { outlierBps: 200, minSources: 2 });
+      expect(result.dropped).to.deep.equal(["c"]);
+      expect(result.sources).to.deep.equal(["a", "b"]);
+
+      expect(() => aggregateReadings(readings, { minSources: 4 })).to.throw("3 reading(s), 4 required");
+    });
+
+    it("Should refuse prices outside the oracles' int64", function () {
+      expect(toOracleUnits("92233720368.54775807")).to.equal(2n ** 63n - 1n);
+      expect(toOracleUnits("-92233720368.54775808")).to.equal(-(2n ** 63n));
+      expect(() => toOracleUnits("92233720368.54775808")).to.throw(
+        "Price 92233720368.54775808 does not fit the oracles' int64 (±92233720368.54775807)",
+      );
+      expect(() => toOracleUnits(2n ** 63n)).to.throw("does not fit the oracles' int64");
+      expect(() => aggregateReadings([{ source: "a", price: 1e12 }])).to.throw("does not fit the oracles' int64");
+    });
+
+    it("Should replay recorded readings by time and validate feed configs", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chainflow-feeds-"));
+      try {
+        fs.writeFileSync(
+          path.join(dir, "ticks.jsonl"),
+          ['{"symbol":"BTC/USD","timestamp":100,"price":1}', '{"symbol":"BTC/USD","timestamp":200,"price":2}'].join(
+            "\n",
+          ),
+        );
+        const replay = createPriceSource({ name: "replay", type: "file", path: "ticks.jsonl", baseDir: dir });
+        expect(await replay.read("BTC/USD", 50)).to.be.null;
+        expect(await replay.read("BTC/USD", 199)).to.deep.equal({ timestamp: 100, price: 1 });
+        expect(await replay.read("BTC/USD", 200)).to.deep.equal({ timestamp: 200, price: 2 });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+
+      expect(loadFeedConfig("paxeer-network").feeds).to.not.be.empty;
+      expect(() =>
+        validateFeedConfig({ sources: {}, feeds: [{ symbol: "BTC/USD", oracle: "cryptoOracle", sources: ["x"] }] }),
+      ).to.throw("uses unknown source x");
+    });
+  });
+
+  describe("Updates", function () {
+    it("Should batch crypto prices and use the forex and stock update calls", async function () {
+      const { feeder, cryptoOracle, forexOracle, stockOracle } = await deployFeeder();
+      const report = await feeder.tick();
+
+      expect(report.failed).to.be.empty;
+      expect(Object.values(reasons(report))).to.deep.equal(["initial", "initial", "initial", "initial"]);
+      // One updatePriceBatch for both crypto symbols, then one call each for forex and stock
+      expect(report.transactions).to.have.length(3);
+
+      const [btc, confidence] = await cryptoOracle.getPriceWithConfidence(ethers.id("BTC/USD"));
+      expect(btc).to.equal(toOracleUnits(45225));
+      expect(confidence).to.equal(49n);
+
+      const forex = await forexOracle.getForexPrice(ethers.id("EUR/USD"));
+      expect(forex.bidPrice).to.equal(toOracleUnits(1.08 * (1 - 10 / 20000)));
+      expect(forex.askPrice).to.equal(toOracleUnits(1.08 * (1 + 10 / 20000)));
+
+      const stock = await stockOracle.getStockPrice(ethers.id("AAPL/USD"));
+      expect(stock.currentPrice).to.equal(toOracleUnits(175));
+      expect(stock.volume).to.equal(1000n);
+    });
+
+    it("Should only update on deviation or heartbeat", async function () {
+      const { feeder } = await deployFeeder();
+      await feeder.tick();
+
+      const quiet = await feeder.tick();
+      expect(quiet.transactions).to.be.empty;
+      expect(quiet.skipped.map((entry) => entry.reason)).to.deep.equal(["fresh", "fresh", "fresh", "fresh"]);
+
+      feeder.sources.primary.set("ETH/USD", 2525);
+      feeder.sources.secondary.set("ETH/USD", 2525);
+      expect(reasons(await feeder.tick())).to.deep.equal({ "cryptoOracle.ETH/USD": "deviation" });
+
+      // Crypto heartbeat is 10s and forex 60s on chain; stocks wait 300s
+      await time.increase(60);
+      expect(reasons(await feeder.tick())).to.deep.equal({
+        "cryptoOracle.BTC/USD": "heartbeat",
+        "cryptoOracle.ETH/USD": "heartbeat",
+        "forexOracle.EUR/USD": "heartbeat",
+      });
+    });
+
+    it("Should skip a tick the oracle would reject without blocking the rest of the batch", async function () {
+      const { feeder, cryptoOracle } = await deployFeeder();
+      await feeder.tick();
+
+      feeder.sources.primary.set("BTC/USD", 60000);
+      feeder.sources.secondary.set("BTC/USD", 60000);
+      feeder.sources.primary.set("ETH/USD", 2550);
+      feeder.sources.secondary.set("ETH/USD", 2550);
+      const report = await feeder.tick();
+
+      expect(report.failed).to.be.empty;
+      expect(report.skipped.find((entry) => entry.symbol === "BTC/USD").reason).to.match(
+        /moved 3266 bps .* above the oracle's 1000 bps limit/,
+      );
+      expect(reasons(report)).to.deep.equal({ "cryptoOracle.ETH/USD": "deviation" });
+      expect((await cryptoOracle.getPriceUnsafe(ethers.id("ETH/USD"))).price).to.equal(toOracleUnits(2550));
+    });
+
+    it("Should retry symbols singly when a batch reverts anyway", async function () {
+      const { admin, feeder, cryptoOracle } = await deployFeeder();
+      await feeder.tick();
+
+      // The limit is tightened after the feeder read it
+      const readOracleState = feeder.readOracleState.bind(feeder);
+      feeder.readOracleState = async (name) => {
+        const state = await readOracleState(name);
+        if (name === "cryptoOracle") await cryptoOracle.connect(admin).updateMaxDeviation(100);
+        return state;
+      };
+      feeder.sources.primary.set("BTC/USD", 46500);
+      feeder.sources.secondary.set("BTC/USD", 46500);
+      feeder.sources.primary.set("ETH/USD", 2520);
+      feeder.sources.secondary.set("ETH/USD", 2520);
+      const report = await feeder.tick();
+
+      expect(reasons(report)).to.deep.equal({ "cryptoOracle.ETH/USD": "deviation" });
+      expect(report.failed).to.have.length(1);
+      expect(report.failed[0]).to.include({ oracle: "cryptoOracle", symbol: "BTC/USD" });
+      expect(report.failed[0].error).to.include("Price deviation too high");
+      expect((await cryptoOracle.getPriceUnsafe(ethers.id("BTC/USD"))).price).to.equal(toOracleUnits(45225));
+    });
+  });
+
+  describe("Indices", function () {
+    it("Should set the cash or futures value of an index per feed", async function () {
+      const { oracles, indexOracle } = await loadFixture(deployFixture);
+      const config = (feed) =>
+        validateFeedConfig({
+          sources: { primary: { type: "mock", prices: { "SPX/USD": 5000, "NDX/USD": 17500 } } },
+          feeds: [{ symbol: "SPX/USD", oracle: "indexOracle", sources: ["primary"] }, feed],
+        });
+      expect(() => config({ symbol: "NDX/USD", oracle: "indexOracle", sources: ["primary"], isCashIndex: 0 })).to.throw(
+        "indexOracle.NDX/USD.isCashIndex must be true or false",
+      );
+
+      const feeder = new OracleFeeder({
+        config: config({ symbol: "NDX/USD", oracle: "indexOracle", sources: ["primary"], isCashIndex: false }),
+        oracles,
+        provider: ethers.provider,
+        log: () => {},
+      });
+      expect((await feeder.tick()).failed).to.be.empty;
+
+      const spx = await indexOracle.indexData(ethers.id("SPX/USD"));
+      expect([spx.cashValue, spx.futuresValue]).to.deep.equal([toOracleUnits(5000), 0n]);
+      const ndx = await indexOracle.indexData(ethers.id("NDX/USD"));
+      expect([ndx.cashValue, ndx.futuresValue]).to.deep.equal([0n, toOracleUnits(17500)]);
+    });
+  });
+
+  describe("Run", function () {
+    it("Should keep ticking past a failed tick until stopped", async function () {
+      const { feeder } = await deployFeeder();
+      const logged = [];
+      feeder.log = (line) => logged.push(line);
+      const tick = feeder.tick.bind(feeder);
+      let ticks = 0;
+      feeder.tick = async () => {
+        if (++ticks === 1) throw new Error("RPC down");
+        return tick();
+      };
+
+      const reports = [];
+      const running = feeder.run({
+        interval: 10,
+        onReport: (report) => {
+          reports.push(report);
+          // Stopping from inside a tick lets that tick finish and cancels the next one
+          if (reports.length === 2) feeder.stop();
+        },
+      });
+      await running;
+
+      expect(ticks).to.equal(3);
+      expect(reports).to.have.length(2);
+      expect(logged).to.include("❌ Feeder tick failed: RPC down");
+    });
+  });
+});
@@ -0,0 +1,360 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  zonedTimestamp,
+  loadCalendar,
+  validateFeedConfig,
+  connectOracles,
+  OracleFeeder,
+  MarketScheduler,
+  toOracleUnits,
+} = require("../src/oracles");
+const { deploySystem } = require("./helpers/system");
+const { DAY, NEW_YORK, addDays, withoutHolidays, nextMonday, travelTo } = require("./helpers/calendar");
+
+const at = (iso) => Date.parse(iso) / 1000;
+
+describe("Market Schedule", function () {
+  const ORACLES = {
+    stockOracle: "StockPriceOracle",
+    forexOracle: "ForexPriceOracle",
+    indexOracle: "IndexPriceOracle",
+    commodityOracle: "CommodityPriceOracle",
+  };
+
+  async function deployFixture() {
+    const { deployer: admin, feeder, record } = await deploySystem({ seedPrices: false });
+    const oracles = await connectOracles({ ethers, record, signer: feeder, names: Object.keys(ORACLES) });
+    const contracts = Object.fromEntries(Object.entries(oracles).map(([name, { contract }]) => [name, contract]));
+    return { admin, feeder, oracles, ...contracts };
+  }
+
+  /** The calendar's session hours on a day, as the oracles store them (seconds after midnight UTC) */
+  function hoursOf(calendar, timestamp) {
+    const { open, close } = calendar.session(timestamp);
+    return `${open % DAY}, ${close % DAY}`;
+  }
+
+  const actions = (result) => result.actions.map((entry) => `${entry.symbol || "*"} ${entry.action}`);
+
+  describe("Calendars", function () {
+    const nyse = loadCalendar("nyse");
+    const fx = loadCalendar("fx");
+
+    it("Should follow NYSE sessions across DST, holidays and early closes", function () {
+      // 09:30 New York is 14:30 UTC in winter and 13:30 UTC once DST starts (2027-03-14)
+      expect(nyse.isOpen(at("2027-03-12T14:00:00Z"))).to.be.false;
+      expect(nyse.isOpen(at("2027-03-12T14:30:00Z"))).to.be.true;
+      expect(nyse.isOpen(at("2027-03-15T13:30:00Z"))).to.be.true;
+      expect(nyse.isOpen(at("2027-03-15T20:00:00Z"))).to.be.false;
+
+      expect(nyse.isTradingDay(at("2027-03-13T15:00:00Z"))).to.be.false; // Saturday
+      expect(nyse.isTradingDay(at("2027-03-26T15:00:00Z"))).to.be.false; // Good Friday
+      expect(nyse.session(at("2026-11-27T15:00:00Z"))).to.deep.equal({
+        date: "2026-11-27",
+        open: at("2026-11-27T14:30:00Z"),
+        close: at("2026-11-27T18:00:00Z"), // 13:00 early close
+      });
+
+      // The session to close out: today's once closed, else the last trading day's (Thursday before Good Friday)
+      expect(nyse.lastSession(at("2026-11-27T18:30:00Z")).date).to.equal("2026-11-27");
+      expect(nyse.lastSession(at("2027-03-29T14:00:00Z"))).to.deep.equal({
+        date: "2027-03-25",
+        open: at("2027-03-25T13:30:00Z"),
+        close: at("2027-03-25T20:00:00Z"),
+      });
+
+      const nasdaq = loadCalendar("nasdaq");
+      expect(nasdaq.name).to.equal("nasdaq");
+      expect(nasdaq.isTradingDay(at("2027-03-26T15:00:00Z"))).to.be.false;
+    });
+
+    it("Should keep FX open from Sunday to Friday 17:00 New York time", function () {
+      expect(fx.isOpen(at("2027-03-12T21:59:00Z"))).to.be.true; // Friday 16:59 EST
+      expect(fx.isOpen(at("2027-03-12T22:00:00Z"))).to.be.false;
+      expect(fx.isOpen(at("2027-03-13T12:00:00Z"))).to.be.false; // Saturday
+      expect(fx.isOpen(at("2027-03-14T20:59:00Z"))).to.be.false; // Sunday 16:59 EDT
+      expect(fx.isOpen(at("2027-03-14T21:00:00Z"))).to.be.true;
+      expect(fx.isOpen(at("2026-12-25T15:00:00Z"))).to.be.false; // Christmas
+    });
+
+    it("Should refuse dates past the last year of the holiday table", function () {
+      const year = nyse.holidaysThrough + 1;
+      expect(() => nyse.isOpen(at(`${year}-01-05T15:00:00Z`))).to.throw(
+        `nyse lists holidays through ${nyse.holidaysThrough} only; add ${year}'s`,
+      );
+      expect(() => loadCalendar("nasdaq").session(at(`${year}-01-05T15:00:00Z`))).to.throw("nasdaq lists holidays");
+      expect(() => fx.isOpen(at(`${fx.holidaysThrough + 1}-01-05T15:00:00Z`))).to.throw("fx lists holidays");
+      expect(withoutHolidays("nyse").holidaysThrough).to.be.null;
+      expect(() => withoutHolidays("nyse").isOpen(at(`${year}-01-05T15:00:00Z`))).not.to.throw();
+    });
+
+    it("Should validate markets in feed configs", function () {
+      const config = (markets) =>
+        validateFeedConfig({
+          sources: { primary: { type: "mock", prices: {} } },
+          feeds: [{ symbol: "AAPL/USD", oracle: "stockOracle", sources: ["primary"] }],
+          markets,
+        });
+
+      expect(config(undefined).markets).to.deep.equal([]);
+      expect(() => config([{ oracle: "stockOracle", calendar: "lse" }])).to.throw("No calendar lse");
+      expect(() => config([{ oracle: "indexOracle", calendar: "nyse" }])).to.throw("markets.indexOracle has no feeds");
+      expect(() =>
+        config([{ oracle: "stockOracle", calendar: "nyse", halts: [{ symbol: "AAPL/USD", from: "soon" }] }]),
+      ).to.throw("halts need a symbol and ISO from/to times");
+    });
+  });
+
+  describe("Scheduler", function () {
+    it("Should drive stock market hours, weekends, halts and the daily close", async function () {
+      const { admin, oracles, stockOracle } = await loadFixture(deployFixture);
+      const aapl = ethers.id("AAPL/USD");
+      const monday = await nextMonday();
+      const halt = (localTime) => new Date(zonedTimestamp(monday, localTime, NEW_YORK) * 1000).toISOString();
+      const scheduler = new MarketScheduler({
+        markets: [
+          {
+            oracle: "stockOracle",
+            calendar: "nyse",
+            symbols: ["AAPL/USD"],
+            halts: [{ symbol: "AAPL/USD", from: halt("11:00"), to: halt("12:00") }],
+          },
+        ],
+        oracles,
+        admin,
+        calendars: withoutHolidays,
+        log: () => {},
+      });
+      // Hours the calendar never has, so the first session always corrects them
+      await stockOracle.connect(admin).updateMarketHours(0, 3600);
+
+      let now = await travelTo(monday, "10:00");
+      expect(actions(await scheduler.tick(now))).to.deep.equal([
+        `* updateMarketHours(${hoursOf(withoutHolidays("nyse"), now)})`,
+      ]);
+      expect(await stockOracle.isMarketOpen()).to.be.true;
+      await stockOracle.updateStockPrice(aapl, toOracleUnits(175), 10, 5000, true);
+
+      now = await travelTo(monday, "11:30");
+      expect(actions(await scheduler.tick(now))).to.deep.equal(["AAPL/USD haltTrading"]);
+      expect((await stockOracle.stockData(aapl)).isHalted).to.be.true;
+      now = await travelTo(monday, "12:00");
+      expect(actions(await scheduler.tick(now))).to.deep.equal(["AAPL/USD resumeTrading"]);
+
+      now = await travelTo(monday, "16:05");
+      const close = await scheduler.tick(now);
+      expect(actions(close)).to.deep.equal(["AAPL/USD recordDailyClose", "AAPL/USD resetDailyStats"]);
+      const data = await stockOracle.stockData(aapl);
+      expect(data.closePrice).to.equal(toOracleUnits(175));
+      expect(data.openPrice).to.equal(0n);
+      expect(data.volume).to.equal(5000n);
+      // Each session is closed out once
+      expect((await scheduler.tick(await time.latest())).actions).to.be.empty;
+
+      now = await travelTo(addDays(monday, 5), "11:00"); // Saturday
+      expect(actions(await scheduler.tick(now))).to.deep.equal(["* setWeekend(true)"]);
+      expect(await stockOracle.isMarketOpen()).to.be.false;
+      expect(scheduler.shouldAlertStale("stockOracle", "AAPL/USD", now)).to.be.false;
+      expect(scheduler.shouldAlertStale("cryptoOracle", "BTC/USD", now)).to.be.true;
+
+      now = await travelTo(addDays(monday, 7), "10:00");
+      expect(actions(await scheduler.tick(now))).to.deep.equal(["* setWeekend(false)"]);
+      expect(await stockOracle.isMarketOpen()).to.be.true;
+    });
+
+    it("Should toggle the forex weekend with the weekly FX window", async function () {
+      const { admin, oracles, forexOracle } = await loadFixture(deployFixture);
+      const scheduler = new MarketScheduler({
+        markets: [{ oracle: "forexOracle", calendar: "fx", symbols: ["EUR/USD"] }],
+        oracles,
+        admin,
+        calendars: withoutHolidays,
+        log: () => {},
+      });
+      const friday = addDays(await nextMonday(), 4);
+
+      let now = await travelTo(friday, "16:00");
+      expect((await scheduler.tick(now)).actions).to.be.empty;
+
+      now = await travelTo(friday, "17:30");
+      expect(actions(await scheduler.tick(now))).to.deep.equal(["* setWeekendStatus(true)"]);
+      expect((await forexOracle.forexData(ethers.id("GBP/USD"))).isWeekend).to.be.true;
+
+      now = await travelTo(addDays(friday, 2), "17:00"); // Sunday
+      expect(actions(await scheduler.tick(now))).to.deep.equal(["* setWeekendStatus(false)"]);
+      expect((await forexOracle.forexData(ethers.id("EUR/USD"))).isWeekend).to.be.false;
+    });
+
+    it("Should trip index circuit breakers and settle at the close", async function () {
+      const { admin, oracles, indexOracle, commodityOracle } = await loadFixture(deployFixture);
+      const spx = ethers.id("SPX/USD");
+      const gold = ethers.id("XAU/USD");
+      const scheduler = new MarketScheduler({
+        markets: [
+          { oracle: "indexOracle", calendar: "nyse", symbols: ["SPX/USD"], circuitBreakerBps: 700 },
+          { oracle: "commodityOracle", calendar: "nyse", symbols: ["XAU/USD"] },
+        ],
+        oracles,
+        admin,
+        calendars: withoutHolidays,
+        log: () => {},
+      });
+      const tuesday = addDays(await nextMonday(), 1);
+
+      let now = await travelTo(tuesday, "10:00");
+      await indexOracle.updateIndexPrice(spx, toOracleUnits(5000), 10, 0, true);
+      await commodityOracle.updatePrice(gold, toOracleUnits(2400), 10);
+      expect(actions(await scheduler.tick(now))).to.deep.equal([
+        `SPX/USD setTradingHours(${hoursOf(withoutHolidays("nyse"), now)})`,
+      ]);
+      expect(await indexOracle.isTrading(spx)).to.be.true;
+
+      await indexOracle.updateIndexPrice(spx, toOracleUnits(4625), 10, 0, true);
+      expect(actions(await scheduler.tick(await time.latest()))).to.deep.equal([
+        "SPX/USD triggerCircuitBreaker (down 750 bps)",
+      ]);
+      expect((await indexOracle.indexData(spx)).circuitBreakerActive).to.be.true;
+
+      now = await travelTo(tuesday, "16:00");
+      expect(actions(await scheduler.tick(now))).to.deep.equal([
+        "SPX/USD resetDailyStats",
+        "SPX/USD clearCircuitBreaker",
+        "XAU/USD recordSettlement",
+      ]);
+      const index = await indexOracle.indexData(spx);
+      expect(index.dayOpen).to.equal(0n);
+      expect(index.circuitBreakerActive).to.be.false;
+      expect((await commodityOracle.commodityData(gold)).lastSettlement).to.be.greaterThan(0n);
+    });
+
+    describe("Close-outs", function () {
+      const MARKETS = [
+        { oracle: "stockOracle", calendar: "nyse", symbols: ["AAPL/USD"] },
+        { oracle: "indexOracle", calendar: "nyse", symbols: ["SPX/USD"] },
+        { oracle: "commodityOracle", calendar: "nyse", symbols: ["XAU/USD"] },
+      ];
+      const CLOSE_OUT = [
+        "AAPL/USD recordDailyClose",
+        "AAPL/USD resetDailyStats",
+        "SPX/USD resetDailyStats",
+        "SPX/USD clearCircuitBreaker",
+        "XAU/USD recordSettlement",
+      ];
+      const symbol = { aapl: ethers.id("AAPL/USD"), spx: ethers.id("SPX/USD"), gold: ethers.id("XAU/USD") };
+
+      /** A scheduler process, as the feeder script starts one */
+      const start = (oracles, admin) =>
+        new MarketScheduler({ markets: MARKETS, oracles, admin, calendars: withoutHolidays, log: () => {} });
+
+      /** A day's session: every symbol priced and the index circuit breaker tripped */
+      async function trade(admin, { stockOracle, indexOracle, commodityOracle }, scheduler) {
+        await scheduler.tick(await time.latest());
+        await stockOracle.updateStockPrice(symbol.aapl, toOracleUnits(175), 10, 5000, true);
+        await indexOracle.updateIndexPrice(symbol.spx, toOracleUnits(5000), 10, 0, true);
+        await commodityOracle.updatePrice(symbol.gold, toOracleUnits(2400), 10);
+        await indexOracle.connect(admin).triggerCircuitBreaker(symbol.spx);
+      }
+
+      it("Should not close a session out again after a restart", async function () {
+        const fixture = await loadFixture(deployFixture);
+        const { admin, oracles, stockOracle } = fixture;
+        const monday = await nextMonday();
+
+        await travelTo(monday, "10:00");
+        await trade(admin, fixture, start(oracles, admin));
+        let now = await travelTo(monday, "16:05");
+        expect(actions(await start(oracles, admin).tick(now))).to.deep.equal(CLOSE_OUT);
+
+        // Restarted after the close, the scheduler reads the close from the oracles
+        now = await travelTo(monday, "16:30");
+        expect((await start(oracles, admin).tick(now)).actions).to.be.empty;
+        now = await travelTo(addDays(monday, 1), "09:00");
+        expect((await start(oracles, admin).tick(now)).actions).to.be.empty;
+        expect((await stockOracle.stockData(symbol.aapl)).closePrice).to.equal(toOracleUnits(175));
+      });
+
+      it("Should make up a close missed while the scheduler was down", async function () {
+        const fixture = await loadFixture(deployFixture);
+        const { admin, oracles, stockOracle, indexOracle, commodityOracle } = fixture;
+        const monday = await nextMonday();
+
+        await travelTo(monday, "10:00");
+        await trade(admin, fixture, start(oracles, admin));
+
+        // Down from Monday's session until before Tuesday's open
+        let now = await travelTo(addDays(monday, 1), "09:00");
+        expect(actions(await start(oracles, admin).tick(now))).to.deep.equal(CLOSE_OUT);
+        expect((await stockOracle.stockData(symbol.aapl)).closePrice).to.equal(toOracleUnits(175));
+        expect((await indexOracle.indexData(symbol.spx)).circuitBreakerActive).to.be.false;
+        const { lastSettlement } = await commodityOracle.commodityData(symbol.gold);
+        expect(lastSettlement).to.be.greaterThanOrEqual(BigInt(withoutHolidays("nyse").session(now - DAY).close));
+
+        // Tuesday's prices belong to Tuesday's session, which closes on its own
+        await travelTo(addDays(monday, 1), "10:00");
+        const scheduler = start(oracles, admin);
+        await trade(admin, fixture, scheduler);
+        expect((await scheduler.tick(await time.latest())).actions).to.be.empty;
+        now = await travelTo(addDays(monday, 1), "16:00");
+        expect(actions(await scheduler.tick(now))).to.deep.equal(CLOSE_OUT);
+      });
+    });
+
+    it("Should report calls the scheduler is not allowed to make", async function () {
+      const { feeder, oracles, stockOracle } = await loadFixture(deployFixture);
+      // The feeder signer lacks ADMIN_ROLE
+      const scheduler = new MarketScheduler({
+        markets: [{ oracle: "stockOracle", calendar: "nyse", symbols: ["AAPL/USD"] }],
+        oracles,
+        admin: feeder,
+        calendars: withoutHolidays,
+        log: () => {},
+      });
+
+      const now = await travelTo(addDays(await nextMonday(), 5), "11:00"); // Saturday
+      const result = await scheduler.tick(now);
+      expect(result.actions).to.be.empty;
+      expect(result.failed).to.have.length(1);
+      expect(result.failed[0]).to.include({ oracle: "stockOracle", action: "setWeekend(true)" });
+      expect(await stockOracle.isWeekend()).to.be.false;
+    });
+  });
+
+  describe("Feeder", function () {
+    it("Should skip feeds while their market is closed and open the day with the first update", async function () {
+      const { admin, oracles, stockOracle, indexOracle } = await loadFixture(deployFixture);
+      const config = validateFeedConfig({
+        sources: { primary: { type: "mock", prices: { "AAPL/USD": 175, "SPX/USD": 5000 }, volume: 100 } },
+        feeds: [
+          { symbol: "AAPL/USD", oracle: "stockOracle", sources: ["primary"] },
+          { symbol: "SPX/USD", oracle: "indexOracle", sources: ["primary"] },
+        ],
+        markets: [{ oracle: "stockOracle", calendar: "nyse" }],
+      });
+      const calendars = withoutHolidays;
+      const scheduler = new MarketScheduler({ markets: config.markets, oracles, admin, calendars, log: () => {} });
+      const feeder = new OracleFeeder({ config, oracles, provider: ethers.provider, scheduler, log: () => {} });
+      await stockOracle.connect(admin).updateMarketHours(0, 3600);
+      const monday = await nextMonday();
+
+      await travelTo(addDays(monday, 5), "11:00"); // Saturday
+      let report = await feeder.tick();
+      expect(actions(report.sessions)).to.deep.equal(["* setWeekend(true)"]);
+      expect(report.skipped).to.deep.equal([{ oracle: "stockOracle", symbol: "AAPL/USD", reason: "market closed" }]);
+      // Indices without a market entry keep feeding, through updateIndexPrice
+      expect(report.updates.map((update) => `${update.symbol} ${update.method}`)).to.deep.equal(["SPX/USD index"]);
+      expect((await indexOracle.indexData(ethers.id("SPX/USD"))).dayOpen).to.equal(toOracleUnits(5000));
+
+      const now = await travelTo(addDays(monday, 7), "10:00");
+      report = await feeder.tick();
+      expect(actions(report.sessions)).to.deep.equal([
+        "* setWeekend(false)",
+        `* updateMarketHours(${hoursOf(calendars("nyse"), now)})`,
+      ]);
+      expect(report.updates.map((update) => update.symbol)).to.include("AAPL/USD");
+      // The oracle saw the market open, so the update set the day's open price
+      expect((await stockOracle.getStockPrice(ethers.id("AAPL/USD"))).openPrice).to.equal(toOracleUnits(175));
+    });
+  });
+});
@@ -0,0 +1,293 @@
+const { expect } = require("chai");
+const express = require("express");
+const axios = require("axios");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { validateFeedConfig, connectOracles, MarketScheduler, toOracleUnits } = require("../src/oracles");
+const { AlertManager, MetricsRegistry, OracleMonitor, createMonitorApp } = require("../src/monitor");
+const { deploySystem } = require("./helpers/system");
+const { addDays, withoutHolidays, nextMonday, travelTo } = require("./helpers/calendar");
+
+describe("Oracle Monitor", function () {
+  const ORACLES = {
+    cryptoOracle: "CryptoPriceOracle",
+    stockOracle: "StockPriceOracle",
+    forexOracle: "ForexPriceOracle",
+    commodityOracle: "CommodityPriceOracle",
+    indexOracle: "IndexPriceOracle",
+  };
+  const BTC = ethers.id("BTC/USD");
+  const ETH = ethers.id("ETH/USD");
+  const AAPL = ethers.id("AAPL/USD");
+
+  // Fake webhook sink collecting every POST
+  let sink;
+  let received;
+  let failNext = 0;
+
+  before(async function () {
+    const app = express();
+    app.use(express.json());
+    app.post("/hook", (req, res) => {
+      if (failNext > 0) {
+        failNext--;
+        return res.status(500).end();
+      }
+      received.push(...req.body.alerts);
+      res.json({ ok: true });
+    });
+    await new Promise((resolve) => {
+      sink = app.listen(0, resolve);
+    });
+  });
+
+  after(function () {
+    sink.close();
+  });
+
+  beforeEach(function () {
+    received = [];
+    failNext = 0;
+  });
+
+  async function deployFixture() {
+    const {
+      deployer: admin,
+      feeder: feederAccount,
+      record,
+      oracleRegistry,
+    } = await deploySystem({ seedPrices: false });
+    const oracles = await connectOracles({ ethers, record, signer: feederAccount, names: Object.keys(ORACLES) });
+    const contracts = Object.fromEntries(Object.entries(oracles).map(([name, { contract }]) => [name, contract]));
+    return { admin, feederAccount, registry: oracleRegistry, oracles, ...contracts };
+  }
+
+  // Monday, an hour into the NYSE session, with fresh crypto and stock prices
+  async function deployMonitor(options = {}) {
+    const fixture = await loadFixture(deployFixture);
+    const monday = await nextMonday();
+    await travelTo(monday, "10:30");
+    await fixture.cryptoOracle.updatePriceBatch([BTC, ETH], [toOracleUnits(45000), toOracleUnits(2500)], [10, 10]);
+    await fixture.stockOracle.updateStockPrice(AAPL, toOracleUnits(175), 10, 1000, true);
+
+    const config = validateFeedConfig({
+      sources: { reference: { type: "mock", prices: { "BTC/USD": 45000, "ETH/USD": 2500, "AAPL/USD": 175 } } },
+      feeds: [
+        { symbol: "BTC/USD", oracle: "cryptoOracle", sources: ["reference"] },
+        { symbol: "ETH/USD", oracle: "cryptoOracle", sources: ["reference"] },
+        { symbol: "AAPL/USD", oracle: "stockOracle", sources: ["reference"] },
+      ],
+      markets: [{ oracle: "stockOracle", calendar: "nyse" }],
+      monitor: { feederTimeout: 600 },
+    });
+    const monitor = new OracleMonitor({
+      registry: fixture.registry,
+      provider: ethers.provider,
+      config,
+      scheduler: new MarketScheduler({
+        markets: config.markets,
+        oracles: fixture.oracles,
+        calendars: withoutHolidays,
+        log: () => {},
+      }),
+      alerts: new AlertManager({ webhooks: [`http://127.0.0.1:${sink.address().port}/hook`], log: () => {} }),
+      log: () => {},
+      ...options,
+    });
+    return { monitor, monday, ...fixture };
+  }
+
+  // Alerts for the symbols the test feeds; the registry's other default symbols never get a price
+  const tracked = (alerts) =>
+    alerts
+      .filter((alert) => !alert.symbol || ["BTC/USD", "ETH/USD", "AAPL/USD"].includes(alert.symbol))
+      .map((alert) => `${alert.status ? `${alert.status} ` : ""}${alert.key}`)
+      .sort();
+
+  describe("Metrics", function () {
+    it("Should export oracle health, prices and feeder activity", async function () {
+      const { monitor, feederAccount } = await deployMonitor();
+      const report = await monitor.poll();
+
+      expect(report.oracles.map((oracle) => oracle.name)).to.deep.equal(Object.keys(ORACLES));
+      expect(tracked(report.firing)).to.be.empty;
+      const btc = report.symbols.find((entry) => entry.symbol === "BTC/USD");
+      expect(btc).to.include({ price: "45000.0", confidence: 10, stale: false, open: true, deviationBps: 0 });
+
+      const labels = { oracle: "cryptoOracle", symbol: "BTC/USD" };
+      expect(monitor.metrics.value("oracle_price", labels)).to.equal(45000);
+      expect(monitor.metrics.value("oracle_stale", { oracle: "indexOracle", symbol: ethers.id("SPX/USD") })).to.equal(
+        1,
+      );
+      expect(monitor.metrics.value("oracle_symbols", { asset_class: "crypto" })).to.equal(3);
+      expect(
+        monitor.metrics.value("oracle_feeder_updates_total", { feeder: feederAccount.address, oracle: "cryptoOracle" }),
+      ).to.equal(2);
+
+      // Events are only counted once
+      await monitor.poll();
+      expect(
+        monitor.metrics.value("oracle_feeder_updates_total", { feeder: feederAccount.address, oracle: "cryptoOracle" }),
+      ).to.equal(2);
+
+      const server = createMonitorApp(monitor).listen(0);
+      try {
+        const base = `http://127.0.0.1:${server.address().port}`;
+        const { data, headers } = await axios.get(`${base}/metrics`);
+        expect(headers["content-type"]).to.include("text/plain");
+        expect(data).to.include("# TYPE oracle_price gauge");
+        expect(data).to.include('oracle_price{oracle="cryptoOracle",symbol="BTC/USD"} 45000');
+        expect((await axios.get(`${base}/health`)).data).to.include({ ok: true });
+      } finally {
+        server.close();
+      }
+    });
+
+    it("Should count a block range only once every oracle's events in it were read", async function () {
+      const { monitor, feederAccount, cryptoOracle, stockOracle } = await deployMonitor();
+      const count = () =>
+        monitor.metrics.value("oracle_feeder_updates_total", { feeder: feederAccount.address, oracle: "cryptoOracle" });
+      const failing = {
+        filters: stockOracle.filters,
+        queryFilter: async () => {
+          throw new Error("RPC unavailable");
+        },
+      };
+
+      await monitor.scanEvents([
+        { name: "cryptoOracle", contract: cryptoOracle },
+        { name: "stockOracle", contract: failing },
+      ]);
+      expect(monitor.lastBlock).to.be.undefined;
+      expect(monitor.feeders.has(feederAccount.address)).to.be.false;
+      expect(monitor.metrics.value("oracle_monitor_errors_total", { stage: "events" })).to.equal(1);
+
+      await monitor.scanEvents([
+        { name: "cryptoOracle", contract: cryptoOracle },
+        { name: "stockOracle", contract: stockOracle },
+      ]);
+      expect(count()).to.equal(2);
+      expect(monitor.feeders.get(feederAccount.address).updates).to.equal(3);
+    });
+
+    it("Should render the Prometheus text format", function () {
+      const metrics = new MetricsRegistry();
+      metrics.gauge("queue_depth", "Items waiting").set({ queue: 'a"b' }, 3);
+      metrics.counter("jobs_total", "Jobs run").inc({});
+      metrics.counter("jobs_total", "Jobs run").inc({}, 2);
+
+      expect(metrics.render()).to.equal(
+        [
+          "# HELP queue_depth Items waiting",
+          "# TYPE queue_depth gauge",
+          'queue_depth{queue="a\\"b"} 3',
+          "# HELP jobs_total Jobs run",
+          "# TYPE jobs_total counter",
+          "jobs_total 3",
+          "",
+        ].join("\n"),
+      );
+      expect(() => metrics.gauge("jobs_total", "Jobs run")).to.throw("already a counter");
+      expect(() => metrics.counter("jobs_total", "Jobs run").inc({}, -1)).to.throw("cannot decrease");
+    });
+  });
+
+  describe("Alerts", function () {
+    it("Should post stale alerts to the webhook and resolve them after an update", async function () {
+      const { monitor, cryptoOracle } = await deployMonitor();
+      await monitor.poll();
+      expect(tracked(received)).to.be.empty;
+
+      // Crypto prices go stale after 60 seconds
+      await time.increase(120);
+      const report = await monitor.poll();
+      expect(tracked(report.firing)).to.deep.equal(["stale:cryptoOracle:BTC/USD", "stale:cryptoOracle:ETH/USD"]);
+      expect(tracked(received)).to.deep.equal([
+        "firing stale:cryptoOracle:BTC/USD",
+        "firing stale:cryptoOracle:ETH/USD",
+      ]);
+      expect(received.find((alert) => alert.symbol === "BTC/USD")).to.include({
+        rule: "stale",
+        severity: "critical",
+        oracle: "cryptoOracle",
+      });
+
+      // Still firing: nothing new until the repeat interval
+      received = [];
+      await monitor.poll();
+      expect(tracked(received)).to.be.empty;
+
+      await cryptoOracle.updatePriceBatch([BTC, ETH], [toOracleUnits(45100), toOracleUnits(2505)], [10, 10]);
+      await monitor.poll();
+      expect(tracked(received)).to.deep.equal([
+        "resolved stale:cryptoOracle:BTC/USD",
+        "resolved stale:cryptoOracle:ETH/USD",
+      ]);
+      expect(received[0].endsAt).to.be.greaterThan(received[0].startsAt);
+    });
+
+    it("Should hold stale alerts while the market is closed", async function () {
+      const { monitor, monday, cryptoOracle, stockOracle } = await deployMonitor();
+      await monitor.poll();
+
+      // Saturday: the AAPL price is days old, but NYSE is closed
+      await travelTo(addDays(monday, 5), "11:00");
+      await cryptoOracle.updatePriceBatch([BTC, ETH], [toOracleUnits(45000), toOracleUnits(2500)], [10, 10]);
+      let report = await monitor.poll();
+      expect(await stockOracle.isStale(AAPL)).to.be.true;
+      expect(report.symbols.find((entry) => entry.symbol === "AAPL/USD")).to.include({ stale: true, open: false });
+      expect(tracked(report.firing)).to.be.empty;
+
+      // Monday open: the same price now alerts until the feeder catches up
+      await travelTo(addDays(monday, 7), "09:45");
+      await cryptoOracle.updatePriceBatch([BTC, ETH], [toOracleUnits(45000), toOracleUnits(2500)], [10, 10]);
+      report = await monitor.poll();
+      expect(tracked(report.firing)).to.deep.equal(["stale:stockOracle:AAPL/USD"]);
+    });
+
+    it("Should alert on reference deviation, wide confidence and silent feeders", async function () {
+      const { monitor, cryptoOracle } = await deployMonitor();
+      await monitor.poll();
+
+      monitor.sources.reference.set("BTC/USD", 46000); // 217 bps away
+      await cryptoOracle.updatePrice(ETH, toOracleUnits(2500), 150);
+      let report = await monitor.poll();
+      expect(tracked(report.firing)).to.deep.equal([
+        "confidence_wide:cryptoOracle:ETH/USD",
+        "reference_deviation:cryptoOracle:BTC/USD",
+      ]);
+      expect(report.firing.find((alert) => alert.rule === "reference_deviation")).to.include({
+        value: 217,
+        threshold: 100,
+      });
+      expect(monitor.metrics.value("oracle_monitor_alerts_firing", { rule: "reference_deviation" })).to.equal(1);
+
+      // Ten minutes without a single update from the feeder, while crypto trades
+      await time.increase(900);
+      report = await monitor.poll();
+      const silent = report.firing.find((alert) => alert.rule === "feeder_silent");
+      expect(silent.summary).to.match(/has been silent for 9\d\ds/);
+    });
+
+    it("Should retry notifications after a webhook failure and repeat long-running alerts", async function () {
+      const webhook = `http://127.0.0.1:${sink.address().port}/hook`;
+      const alerts = new AlertManager({ webhooks: [webhook], repeatInterval: 600, log: () => {} });
+      const alert = { rule: "stale", severity: "critical", summary: "BTC/USD is stale" };
+
+      failNext = 1;
+      alerts.evaluate("stale:cryptoOracle:BTC/USD", true, alert, 1000);
+      expect(await alerts.flush()).to.deep.equal({ sent: 0, failed: [webhook] });
+      expect(await alerts.flush()).to.deep.equal({ sent: 1, failed: [] });
+      expect(received.map((entry) => entry.status)).to.deep.equal(["firing"]);
+
+      alerts.evaluate("stale:cryptoOracle:BTC/USD", true, alert, 1300);
+      expect(await alerts.flush()).to.deep.equal({ sent: 0, failed: [] });
+      alerts.evaluate("stale:cryptoOracle:BTC/USD", true, alert, 1600);
+      await alerts.flush();
+      alerts.evaluate("stale:cryptoOracle:BTC/USD", false, undefined, 1700);
+      await alerts.flush();
+      expect(received.map((entry) => entry.status)).to.deep.equal(["firing", "firing", "resolved"]);
+      expect(received[2]).to.include({ startsAt: 1000, endsAt: 1700 });
+    });
+  });
+});
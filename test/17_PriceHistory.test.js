@@ -0,0 +1,222 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { toOracleUnits } = require("../src/oracles");
+const {
+  mergeCandle,
+  buildCandles,
+  intervalSeconds,
+  MemoryPriceStore,
+  ScyllaPriceStore,
+  PriceIndexer,
+  PriceHistory,
+  scyllaConfigFromEnv,
+} = require("../src/history");
+const { deploySystem } = require("./helpers/system");
+
+const at = (iso) => Date.parse(iso) / 1000;
+
+describe("Price History", function () {
+  const BTC = ethers.id("BTC/USD");
+  const ETH = ethers.id("ETH/USD");
+  const AAPL = ethers.id("AAPL/USD");
+  const START = at("2028-01-03T00:00:00Z");
+  const UPDATES = 120;
+
+  const btcPrice = (i) => toOracleUnits(45000 + i);
+
+  // 120 BTC/ETH batch updates 30 seconds apart: more than the oracle's 100-entry history
+  async function deployFixture() {
+    const system = await deploySystem({ seedPrices: false });
+    const { feeder } = system;
+    const oracles = [];
+    const contracts = {};
+    for (const name of ["cryptoOracle", "stockOracle"]) {
+      contracts[name] = system[name].connect(feeder);
+      oracles.push({ name, address: system.record.contracts[name] });
+    }
+    const fromBlock = await ethers.provider.getBlockNumber();
+
+    const updates = [];
+    for (let i = 0; i < UPDATES; i++) {
+      await time.setNextBlockTimestamp(START + i * 30);
+      const tx = await contracts.cryptoOracle.updatePriceBatch(
+        [BTC, ETH],
+        [btcPrice(i), toOracleUnits(2500 + i)],
+        [10, 10],
+      );
+      updates.push({ timestamp: START + i * 30, blockNumber: (await tx.wait()).blockNumber });
+    }
+    await time.setNextBlockTimestamp(START + UPDATES * 30);
+    await contracts.stockOracle.updateStockPrice(AAPL, toOracleUnits(175), 10, 1000, true);
+
+    return { feeder, oracles, fromBlock, updates, ...contracts };
+  }
+
+  async function indexFixture(store = new MemoryPriceStore()) {
+    const fixture = await loadFixture(deployFixture);
+    const indexer = new PriceIndexer({
+      provider: ethers.provider,
+      oracles: fixture.oracles,
+      store,
+      symbols: ["BTC/USD", "ETH/USD", "AAPL/USD"],
+      intervals: ["1m", "1h"],
+      fromBlock: fixture.fromBlock,
+      blockRange: 50,
+      log: () => {},
+    });
+    const result = await indexer.sync();
+    return { ...fixture, store, indexer, result, history: new PriceHistory({ store }) };
+  }
+
+  describe("Candles", function () {
+    const tick = (price, timestamp, blockNumber, logIndex = 0) => ({
+      symbol: BTC,
+      price: BigInt(price),
+      timestamp,
+      blockNumber,
+      logIndex,
+    });
+
+    it("Should build OHLC candles aligned to the interval", function () {
+      const candles = buildCandles(
+        [tick(100, 3600, 1), tick(120, 3610, 2), tick(90, 3650, 3), tick(110, 3700, 4), tick(105, 7200, 5)],
+        "1h",
+      );
+      expect(candles).to.have.length(2);
+      expect(candles[0]).to.include({ openTime: 3600, open: 100n, high: 120n, low: 90n, close: 110n, ticks: 4 });
+      expect(candles[0]).to.include({ closeTime: 3700, lastBlock: 4 });
+      expect(candles[1]).to.include({ openTime: 7200, open: 105n, close: 105n, ticks: 1 });
+    });
+
+    it("Should ignore ticks already folded into a candle", function () {
+      let candle = mergeCandle(null, tick(100, 60, 1, 0), "1m");
+      candle = mergeCandle(candle, tick(120, 70, 1, 3), "1m");
+      expect(mergeCandle(candle, tick(120, 70, 1, 3), "1m")).to.equal(candle);
+      expect(mergeCandle(candle, tick(200, 65, 1, 2), "1m")).to.equal(candle);
+      expect(mergeCandle(candle, tick(130, 80, 2, 0), "1m")).to.include({ ticks: 3, high: 130n });
+
+      expect(() => mergeCandle(candle, tick(130, 120, 2, 0), "1m")).to.throw("outside the 1m candle");
+      expect(() => intervalSeconds("2m")).to.throw("Unknown interval");
+    });
+  });
+
+  describe("Indexer", function () {
+    it("Should keep prices that fell out of the on-chain history", async function () {
+      const { cryptoOracle, updates, result, history } = await indexFixture();
+      expect(result.ticks).to.equal(UPDATES * 2 + 1);
+
+      // The oracle only remembers the last 100 updates
+      const onChain = await cryptoOracle.getHistoricalPrices(BTC, 200);
+      expect(onChain).to.have.length(100);
+      expect(onChain[0].price).to.equal(btcPrice(UPDATES - 100));
+
+      // The first update, by time and by block
+      let tick = await history.priceAt("BTC/USD", { timestamp: updates[0].timestamp });
+      expect(tick).to.include({ price: btcPrice(0), confidence: 10, name: "BTC/USD", oracle: "cryptoOracle" });
+      expect(tick.blockNumber).to.equal(updates[0].blockNumber);
+      tick = await history.priceAt(BTC, { block: updates[5].blockNumber });
+      expect(tick.price).to.equal(btcPrice(5));
+
+      // Between updates the older price is in effect; before any update there is none
+      tick = await history.priceAt("BTC/USD", { timestamp: updates[10].timestamp + 29 });
+      expect(tick.price).to.equal(btcPrice(10));
+      expect(await history.priceAt("BTC/USD", { timestamp: START - 1 })).to.be.null;
+      expect((await history.priceAt("AAPL/USD", { timestamp: START + UPDATES * 30 })).oracle).to.equal("stockOracle");
+    });
+
+    it("Should check a trade's price against the oracle at its timestamp", async function () {
+      const { updates, history } = await indexFixture();
+      const trade = { symbol: "BTC/USD", exitPrice: btcPrice(3), timestamp: updates[3].timestamp + 10 };
+
+      let check = await history.checkPrice({
+        symbol: trade.symbol,
+        price: trade.exitPrice,
+        timestamp: trade.timestamp,
+      });
+      expect(check).to.include({ matches: true, deviationBps: 0, oraclePrice: "45003.0" });
+
+      // 1 unit off is under 1 bps, but not the oracle price
+      check = await history.checkPrice({
+        symbol: trade.symbol,
+        price: trade.exitPrice + 1n,
+        timestamp: trade.timestamp,
+      });
+      expect(check).to.include({ matches: false, deviationBps: 0 });
+
+      check = await history.checkPrice({
+        symbol: trade.symbol,
+        price: toOracleUnits(45048),
+        timestamp: trade.timestamp,
+        toleranceBps: 10,
+      });
+      expect(check).to.include({ matches: true, deviationBps: 9 });
+      const error = await history.priceAt("BTC/USD", {}).catch((error) => error);
+      expect(error.message).to.include("either timestamp or block");
+    });
+
+    it("Should build candles across sync ranges and not double count a replay", async function () {
+      const { indexer, store, fromBlock, history } = await indexFixture();
+
+      const minutes = await history.candles("BTC/USD", "1m", START, START + 600);
+      expect(minutes).to.have.length(11);
+      expect(minutes[1]).to.include({ openTime: START + 60, open: btcPrice(2), close: btcPrice(3), ticks: 2 });
+
+      const [hour] = await history.candles("BTC/USD", "1h", START, START);
+      expect(hour).to.include({ open: btcPrice(0), high: btcPrice(UPDATES - 1), low: btcPrice(0), ticks: UPDATES });
+
+      // Lose the cursor, as after a crash between the candle write and the cursor write
+      await store.setCursor(indexer.cursor, fromBlock + 20);
+      expect((await indexer.sync()).ticks).to.be.greaterThan(0);
+      expect((await history.candles("BTC/USD", "1h", START, START))[0]).to.deep.equal(hour);
+
+      // Nothing new
+      expect(await indexer.sync()).to.include({ ticks: 0, candles: 0 });
+    });
+
+    it("Should stay behind the head by the confirmation count", async function () {
+      const { oracles, fromBlock } = await loadFixture(deployFixture);
+      const store = new MemoryPriceStore();
+      const head = await ethers.provider.getBlockNumber();
+      const indexer = new PriceIndexer({
+        provider: ethers.provider,
+        oracles,
+        store,
+        fromBlock,
+        confirmations: 5,
+        log: () => {},
+      });
+      expect(await indexer.sync()).to.include({ to: head - 5 });
+      expect(await store.getCursor(indexer.cursor)).to.equal(head - 5);
+    });
+  });
+
+  // Needs a running Scylla, e.g. from ./scripts/setup-databases.sh: SCYLLA_CONTACT_POINTS=localhost:9042
+  (process.env.SCYLLA_CONTACT_POINTS ? describe : describe.skip)("Scylla", function () {
+    const keyspace = `chainflow_price_history_test_${Date.now()}`;
+    let store;
+
+    before(async function () {
+      this.timeout(120000);
+      store = await ScyllaPriceStore.connect({ ...scyllaConfigFromEnv(), keyspace });
+      await store.migrate({ replication: { class: "SimpleStrategy", replication_factor: 1 } });
+    });
+
+    after(async function () {
+      this.timeout(60000);
+      await store.client.execute(`DROP KEYSPACE IF EXISTS ${keyspace}`);
+      await store.close();
+    });
+
+    it("Should answer the same queries from Scylla", async function () {
+      this.timeout(120000);
+      const { updates, history } = await indexFixture(store);
+
+      const tick = await history.priceAt("BTC/USD", { timestamp: updates[0].timestamp + 10 });
+      expect(tick).to.include({ price: btcPrice(0), name: "BTC/USD", blockNumber: updates[0].blockNumber });
+      expect((await history.priceAt("ETH/USD", { block: updates[7].blockNumber })).price).to.equal(toOracleUnits(2507));
+      const [hour] = await history.candles("BTC/USD", "1h", START, START);
+      expect(hour).to.include({ open: btcPrice(0), close: btcPrice(UPDATES - 1), ticks: UPDATES });
+    });
+  });
+});
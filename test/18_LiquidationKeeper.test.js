@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { registerTrader } = require("../src/traders");
+const { toOracleUnits } = require("../src/oracles");
+const { LiquidationKeeper, ActionType } = require("../src/keeper");
+const { SIGNER_NAMES, deploySystem } = require("./helpers/system");
+
+describe("Liquidation Keeper", function () {
+  const MIN_STAKE = ethers.parseEther("1000");
+  const ALLOCATION = ethers.parseEther("50000"); // tier 1: 5% max drawdown, 2,500 max daily loss
+  const BTC = ethers.id("BTC/USD");
+
+  // The seeded system, with `stranger` as a second keeper that still has to register and two funded
+  // traders on the accounts after the named signers
+  async function deployFixture() {
+    const system = await deploySystem();
+    const { deployer: admin, operator, stranger: keeperAccount, lp, usdc: token } = system;
+    const [alice, bob, outsider] = (await ethers.getSigners()).slice(SIGNER_NAMES.length);
+    const { keeperIncentive, capitalPool, traderRegistry, oracleRegistry } = system;
+    for (const account of [admin, keeperAccount]) {
+      await token.mint(account.address, ethers.parseEther("1000000"));
+    }
+
+    // The keeper breaches through TraderAccountRegistry.updateStatus; admin stands in for PayoutManager
+    await traderRegistry.grantRole(await traderRegistry.PAYOUT_MANAGER_ROLE(), admin.address);
+    await traderRegistry.grantRole(await traderRegistry.PAYOUT_MANAGER_ROLE(), keeperAccount.address);
+    await capitalPool.grantRole(await capitalPool.PAYOUT_MANAGER_ROLE(), admin.address);
+    await keeperIncentive.grantRole(await keeperIncentive.PROTOCOL_ROLE(), admin.address);
+
+    await capitalPool.connect(lp).deposit(ethers.parseEther("500000"));
+
+    const traders = {};
+    for (const [name, account] of Object.entries({ alice, bob })) {
+      const { traderId } = await registerTrader({
+        registry: traderRegistry,
+        operator,
+        accountId: `EVAL-${name}`,
+        traderAddress: account.address,
+      });
+      await traderRegistry.activateAccount(traderId);
+      await capitalPool.allocateToTrader(traderId, ALLOCATION);
+      traders[name] = traderId;
+    }
+
+    const contracts = { keeperIncentive, capitalPool, traderRegistry, oracleRegistry };
+    const createKeeper = (options = {}) =>
+      new LiquidationKeeper({ ...contracts, signer: keeperAccount, log: () => {}, ...options });
+    return { admin, keeperAccount, outsider, token, traders, createKeeper, ...contracts };
+  }
+
+  describe("Stake", function () {
+    it("Should register, top the stake up after a slash and track rewards", async function () {
+      const { admin, keeperAccount, token, keeperIncentive, createKeeper } = await loadFixture(deployFixture);
+      const keeper = createKeeper();
+
+      let report = await keeper.tick();
+      expect(report.stake).to.include({ action: "register", amount: MIN_STAKE * 2n });
+      expect(report.keeper).to.include({ registered: true, status: "Active", reputation: 5000 });
+      expect(report.keeper.stakedAmount).to.equal(MIN_STAKE * 2n);
+      expect((await keeper.tick()).stake).to.be.null;
+
+      // A failed action slashes 10% of the stake
+      await keeperIncentive.rewardKeeper(keeperAccount.address, ActionType.Liquidation, 0, false);
+      report = await keeper.tick();
+      expect(report.stake).to.include({ action: "topUp", amount: ethers.parseEther("200") });
+      expect(report.keeper.stakedAmount).to.equal(MIN_STAKE * 2n);
+
+      await token.approve(await keeperIncentive.getAddress(), ethers.MaxUint256);
+      await keeperIncentive.depositRewardPool(ethers.parseEther("10000"));
+      await time.increase(60);
+      await keeperIncentive
+        .connect(admin)
+        .rewardKeeper(keeperAccount.address, ActionType.Liquidation, ethers.parseEther("10000"), true);
+
+      const status = await keeper.status();
+      const history = await keeper.history();
+      expect(status.authorized).to.be.true;
+      expect(status.warnings).to.have.length(1);
+      expect(status.warnings[0]).to.match(/^PAYOUT_MANAGER_ROLE .* setTier/);
+      // The fixture's own keeper is registered too
+      expect(status.pool).to.include({ totalKeepers: 2, activeKeepers: 2, totalActions: 2 });
+      expect(history.slashes).to.have.length(1);
+      expect(history.slashes[0]).to.include({ amount: ethers.parseEther("200"), reason: "Failed action" });
+      expect(history.rewards).to.have.length(1);
+      expect(history.totalRewards).to.equal(status.keeper.totalRewards);
+      expect(status.keeper).to.include({ totalActions: 2, successfulActions: 1 });
+    });
+
+    it("Should report a stake it cannot afford", async function () {
+      const { outsider, createKeeper } = await loadFixture(deployFixture);
+      const report = await createKeeper({ signer: outsider }).tick();
+      expect(report.stake).to.be.null;
+      expect(report.failed[0]).to.include({ stage: "stake" });
+      expect(report.failed[0].error).to.match(/register needs 2000\.0 of the reward token, .* holds 0\.0/);
+    });
+  });
+
+  describe("Breaches", function () {
+    it("Should breach an allocation at its tier's drawdown limit", async function () {
+      const { traders, capitalPool, traderRegistry, createKeeper } = await loadFixture(deployFixture);
+      await capitalPool.updateTraderPnL(traders.alice, ethers.parseEther("-2500"));
+      await capitalPool.updateTraderPnL(traders.bob, ethers.parseEther("-1000"));
+
+      const keeper = createKeeper();
+      const report = await keeper.tick();
+      expect(report.accounts.map((account) => account.drawdownBps)).to.deep.equal([500, 200]);
+      expect(report.breaches).to.have.length(1);
+      expect(report.breaches[0]).to.include({ traderId: traders.alice, breach: "drawdown" });
+      expect(report.breaches[0].reason).to.equal("Drawdown 500 bps reached the tier 1 limit of 500 bps");
+
+      const alice = await traderRegistry.getTraderInfo(traders.alice);
+      expect(alice.status).to.equal(2); // Breached
+      expect(alice.breachCount).to.equal(1);
+
+      // Breached accounts are not touched again
+      const next = await keeper.tick();
+      expect(next.breaches).to.be.empty;
+      expect(next.accounts.find((account) => account.traderId === traders.alice)).to.include({
+        skipped: "account is Breached",
+      });
+    });
+
+    it("Should mark open positions to oracle prices", async function () {
+      const { traders, capitalPool, createKeeper } = await loadFixture(deployFixture);
+      await capitalPool.updateTraderPnL(traders.bob, ethers.parseEther("-1000"));
+      await capitalPool.updateTraderPnL(traders.alice, ethers.parseEther("-2000"));
+
+      const positions = {
+        // 1 BTC long from 47,000 with BTC at 45,000: another 2,000 down
+        [traders.bob]: [{ symbol: "BTC/USD", side: 0, size: ethers.parseEther("1"), entryPrice: toOracleUnits(47000) }],
+        // No oracle has a price for this one
+        [traders.alice]: [{ symbol: "XYZ/USD", side: 1, size: ethers.parseEther("1"), entryPrice: toOracleUnits(10) }],
+      };
+      const report = await createKeeper({ positions: { open: async (traderId) => positions[traderId] || [] } }).tick();
+
+      const bob = report.accounts.find((account) => account.traderId === traders.bob);
+      expect(bob).to.include({ unrealizedPnL: ethers.parseEther("-2000"), drawdownBps: 600, breach: "drawdown" });
+      expect(report.breaches.map((breach) => breach.traderId)).to.deep.equal([traders.bob]);
+
+      // Alice is judged on her booked PnL alone, and the missing price is reported
+      const alice = report.accounts.find((account) => account.traderId === traders.alice);
+      expect(alice).to.include({ unrealizedPnL: null, drawdownBps: 400 });
+      expect(report.failed).to.have.length(1);
+      expect(report.failed[0]).to.include({ stage: "prices", traderId: traders.alice });
+    });
+
+    it("Should breach on the tier's daily loss limit", async function () {
+      const { traders, capitalPool, createKeeper } = await loadFixture(deployFixture);
+      let now = Date.parse("2027-03-01T08:00:00Z") / 1000;
+      const keeper = createKeeper({ clock: async () => now });
+
+      await capitalPool.updateTraderPnL(traders.alice, ethers.parseEther("3000"));
+      expect((await keeper.tick()).breaches).to.be.empty;
+
+      // Still in profit overall, but 2,600 down since the day started
+      now += 3600;
+      await capitalPool.updateTraderPnL(traders.alice, ethers.parseEther("400"));
+      const report = await keeper.tick();
+      expect(report.breaches).to.have.length(1);
+      expect(report.breaches[0]).to.include({ traderId: traders.alice, breach: "daily_loss" });
+      expect(report.breaches[0].reason).to.equal("Daily loss 2600.0 reached the tier 1 limit of 2500.0");
+    });
+  });
+
+  describe("Simulation", function () {
+    it("Should dry-run every write without sending a transaction", async function () {
+      const { keeperAccount, outsider, traders, capitalPool, traderRegistry, createKeeper } =
+        await loadFixture(deployFixture);
+      await capitalPool.updateTraderPnL(traders.alice, ethers.parseEther("-3000"));
+      const block = await ethers.provider.getBlockNumber();
+
+      const keeper = createKeeper({
+        signer: new ethers.VoidSigner(keeperAccount.address, ethers.provider),
+        simulate: true,
+      });
+      const report = await keeper.tick();
+      expect(report.simulated).to.be.true;
+      expect(report.stake).to.include({ action: "register", simulated: true, approve: MIN_STAKE * 2n });
+      expect(report.breaches).to.have.length(1);
+      expect(report.breaches[0]).to.include({ traderId: traders.alice, simulated: true });
+      expect(report.breaches[0].gasEstimate).to.be.greaterThan(0n);
+
+      expect(await ethers.provider.getBlockNumber()).to.equal(block);
+      expect((await traderRegistry.getTraderInfo(traders.alice)).status).to.equal(1); // still Active
+
+      // A keeper without the registry role sees the revert it would hit
+      const unauthorized = await createKeeper({
+        signer: new ethers.VoidSigner(outsider.address, ethers.provider),
+        simulate: true,
+      }).tick();
+      expect(unauthorized.breaches).to.be.empty;
+      const failure = unauthorized.failed.find((entry) => entry.stage === "breach");
+      expect(failure.traderId).to.equal(traders.alice);
+      expect(failure.error).to.match(/Registry: Not authorized/);
+    });
+  });
+});
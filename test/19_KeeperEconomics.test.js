@@ -0,0 +1,233 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const {
+  syntheticStream,
+  parseStream,
+  validateScenario,
+  giniCoefficient,
+  simulateEconomics,
+  toEconomicsCsv,
+  formatSummaryTable,
+  ECONOMICS_COLUMNS,
+} = require("../src/keeper");
+
+describe("Keeper Economics", function () {
+  const tokens = (value) => ethers.parseEther(String(value));
+  const everyTwoMinutes = (count, size = "10000") =>
+    Array.from({ length: count }, (_, i) => ({ at: i * 120, positionSize: tokens(size) }));
+
+  describe("Streams and scenarios", function () {
+    it("Should generate the same synthetic stream for the same seed", function () {
+      const options = { count: 50, meanInterval: 600, minSize: "1000", maxSize: "50000" };
+      const stream = syntheticStream({ ...options, seed: 7 });
+
+      expect(syntheticStream({ ...options, seed: 7 })).to.deep.equal(stream);
+      expect(syntheticStream({ ...options, seed: 8 })).to.not.deep.equal(stream);
+      expect(stream).to.have.length(50);
+      for (let i = 0; i < stream.length; i++) {
+        expect(stream[i].at).to.be.greaterThan(i === 0 ? 0 : stream[i - 1].at);
+        expect(stream[i].positionSize).to.be.within(tokens(1000), tokens(50000));
+      }
+    });
+
+    it("Should parse recorded streams relative to the first liquidation", function () {
+      const stream = parseStream("timestamp,traderId,positionSize\n1700000600,b,2500.5\n1700000000,a,10000\n");
+      expect(stream).to.deep.equal([
+        { at: 0, positionSize: tokens(10000) },
+        { at: 600, positionSize: tokens("2500.5") },
+      ]);
+
+      expect(() => parseStream("time,size\n1,2\n")).to.throw("timestamp and positionSize columns");
+      expect(() => parseStream("timestamp,positionSize\n1,abc\n")).to.throw("line 2: invalid positionSize abc");
+    });
+
+    it("Should reject invalid scenarios", function () {
+      const scenario = { rewardPool: "1000", keepers: [{ profile: "honest", reliability: 0.99 }] };
+      expect(validateScenario(scenario)).to.include({ selection: "reputation", maxAttempts: 3 });
+
+      expect(() => validateScenario({ ...scenario, keepers: [] })).to.throw("Scenario needs keepers");
+      expect(() => validateScenario({ ...scenario, selection: "fastest" })).to.throw("Unknown selection fastest");
+      expect(() => validateScenario({ ...scenario, keepers: [{ profile: "honest", reliability: 1.5 }] })).to.throw(
+        "reliability must be between 0 and 1",
+      );
+      expect(() => validateScenario({ ...scenario, proposals: [{ name: "x", cooldown: 30 }] })).to.throw(
+        "x: unknown parameter cooldown",
+      );
+    });
+
+    it("Should measure reward concentration with the Gini coefficient", function () {
+      expect(giniCoefficient([tokens(1), tokens(1), tokens(1), tokens(1)])).to.equal(0);
+      expect(giniCoefficient([0n, 0n, 0n, tokens(4)])).to.be.closeTo(0.75, 1e-9);
+      expect(giniCoefficient([0n, 0n])).to.equal(0);
+    });
+  });
+
+  describe("Simulation", function () {
+    it("Should pay rewards exactly as KeeperIncentive computes them", async function () {
+      const { rows, summary } = await simulateEconomics({
+        hre,
+        keepers: [{ profile: "solo", reliability: 1 }],
+        stream: [
+          { at: 0, positionSize: tokens(10000) },
+          { at: 120, positionSize: 0n },
+        ],
+        rewardPool: "10000",
+      });
+
+      // (100 base + 1% of 10,000) × (1 + 50% reputation × 10% bonus), then 100 × (1 + 52.5% × 10%)
+      expect(rows.map((row) => [row.outcome, row.reward, row.reputation])).to.deep.equal([
+        ["success", tokens(210), 5250],
+        ["success", tokens("105.25"), 5487],
+      ]);
+      expect(summary).to.include({ executed: 2, failedAttempts: 0, unpaid: 0, depletedAfter: null });
+      expect(summary.rewardsPaid).to.equal(tokens("315.25"));
+      expect(summary.poolEnd).to.equal(tokens("9684.75"));
+      expect(summary.projectedDepletion).to.equal(120 + Math.round(9684.75 / (315.25 / 120)));
+    });
+
+    it("Should slash failing keepers and hand the liquidation on", async function () {
+      const keepers = [
+        { profile: "reliable", reliability: 1, stake: "2000" },
+        { profile: "broken", reliability: 0, stake: "1000" },
+      ];
+      const { rows, summary } = await simulateEconomics({
+        hre,
+        keepers,
+        stream: everyTwoMinutes(10),
+        rewardPool: "100000",
+        selection: "uniform",
+        seed: 3,
+      });
+
+      // One failure drops the broken keeper's 1,000 stake below the minimum, which takes it out
+      expect(summary).to.include({ executed: 10, failedAttempts: 1, unpaid: 0, slashedOut: 1, rewardedKeepers: 1 });
+      expect(summary.slashed).to.equal(tokens(100));
+      expect(summary.gini).to.equal(0.5);
+      expect(summary.topShare).to.equal(1);
+      const failure = rows.find((row) => row.outcome === "failed");
+      expect(failure).to.include({ profile: "broken", slashed: tokens(100), status: "Slashed" });
+      expect(rows[rows.indexOf(failure) + 1]).to.include({ event: failure.event, attempt: 2, outcome: "success" });
+
+      // An operator who restakes keeps failing and keeps paying into the pool
+      const restaked = await simulateEconomics({
+        hre,
+        keepers: [keepers[0], { ...keepers[1], restake: true }],
+        stream: everyTwoMinutes(10),
+        rewardPool: "100000",
+        selection: "uniform",
+        seed: 3,
+      });
+      expect(restaked.summary.failedAttempts).to.be.greaterThan(1);
+      expect(restaked.summary).to.include({ restakes: restaked.summary.failedAttempts, slashedOut: 0 });
+    });
+
+    it("Should report pool depletion and unpaid liquidations", async function () {
+      const { rows, summary } = await simulateEconomics({
+        hre,
+        keepers: [{ profile: "reliable", count: 3, reliability: 1 }],
+        stream: everyTwoMinutes(10),
+        rewardPool: "500",
+      });
+
+      // Each liquidation pays about 210, so the third one finds the pool short
+      expect(summary.executed).to.equal(2);
+      expect(summary.unpaid).to.equal(8);
+      expect(summary.depletedAfter).to.equal(240);
+      expect(summary.projectedDepletion).to.be.null;
+      expect(rows[2]).to.include({ event: 3, outcome: "pool_empty" });
+    });
+
+    it("Should measure how long honest keepers take to recover their reputation", async function () {
+      const { rows, summary } = await simulateEconomics({
+        hre,
+        keepers: [{ profile: "honest", count: 2, reliability: 0.8, honest: true }],
+        stream: everyTwoMinutes(40),
+        rewardPool: "100000",
+        seed: 11,
+      });
+
+      const { honestRecovery } = summary;
+      expect(summary.failedAttempts).to.be.greaterThan(0);
+      expect(honestRecovery.recovered).to.be.greaterThan(0);
+      expect(honestRecovery.medianActions).to.be.at.least(1);
+      expect(honestRecovery.maxSeconds).to.be.at.least(honestRecovery.medianSeconds);
+
+      // Replay one keeper's log: every recovery ends on the first success back at the pre-failure reputation
+      const keeper = rows.find((row) => row.outcome === "failed").keeper;
+      const own = rows.filter((row) => row.keeper === keeper);
+      const failedAt = own.findIndex((row) => row.outcome === "failed");
+      const target = failedAt === 0 ? 5000 : own[failedAt - 1].reputation;
+      const recoveredAt = own.findIndex(
+        (row, i) => i > failedAt && row.outcome === "success" && row.reputation >= target,
+      );
+      if (recoveredAt > 0) {
+        expect(own.slice(failedAt + 1, recoveredAt).every((row) => row.reputation < target)).to.be.true;
+      }
+    });
+
+    it("Should refuse to run outside the in-process network", async function () {
+      const error = await simulateEconomics({
+        hre: { ...hre, network: { name: "paxeer-network" } },
+        keepers: [{ profile: "solo", reliability: 1 }],
+        stream: everyTwoMinutes(1),
+        rewardPool: "1000",
+      }).catch((e) => e);
+      expect(error.message).to.equal("Economics: Runs on the in-process hardhat network only, not paxeer-network");
+    });
+  });
+
+  describe("Reports", function () {
+    it("Should compare proposals in a CSV and a summary table", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "keeper-economics-"));
+      const scenarioFile = path.join(dir, "scenario.json");
+      fs.writeFileSync(
+        path.join(dir, "liquidations.csv"),
+        "timestamp,positionSize\n1700000000,20000\n1700000300,5000\n",
+      );
+      fs.writeFileSync(
+        scenarioFile,
+        JSON.stringify({
+          rewardPool: "10000",
+          keepers: [{ profile: "honest", count: 2, reliability: 1 }],
+          stream: { type: "recorded", path: "liquidations.csv" },
+          proposals: [{ name: "current" }, { name: "lower-base", baseReward: "50", riskMultiplierBps: 50 }],
+        }),
+      );
+      const out = path.join(dir, "actions.csv");
+
+      const output = [];
+      const log = console.log;
+      console.log = (line) => output.push(line);
+      let summaries;
+      try {
+        summaries = await hre.run("keeper:economics", { scenario: scenarioFile, out });
+      } finally {
+        console.log = log;
+      }
+      expect(output).to.include("⚙️  lower-base: replaying 2 liquidations");
+      expect(output).to.include(`\n${formatSummaryTable(summaries)}\n`);
+      expect(output.at(-1)).to.equal(`📄 4 keeper actions written to ${out}`);
+
+      expect(summaries.map((summary) => summary.name)).to.deep.equal(["current", "lower-base"]);
+      expect(summaries[1].parameters.baseReward).to.equal(tokens(50));
+      expect(summaries[1].rewardsPaid).to.be.lessThan(summaries[0].rewardsPaid);
+
+      const lines = fs.readFileSync(out, "utf8").trim().split("\n");
+      expect(lines[0]).to.equal(ECONOMICS_COLUMNS.join(","));
+      expect(lines).to.have.length(5);
+      expect(lines[1]).to.match(
+        /^current,1,1,0,0x[0-9a-fA-F]{40},honest,20000\.0,success,315\.0,0\.0,5250,2000\.0,Active,/,
+      );
+
+      const table = formatSummaryTable(summaries).split("\n");
+      expect(table).to.have.length(4);
+      expect(table[0]).to.match(/^\| Proposal +\| Base +\| Risk bps/);
+      expect(table[3]).to.match(/^\| lower-base +\| 50 +\| 50 /);
+      expect(toEconomicsCsv([])).to.equal(`${ECONOMICS_COLUMNS.join(",")}\n`);
+    });
+  });
+});
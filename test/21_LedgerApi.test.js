@@ -0,0 +1,298 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildSettlementBatch } = require("../src/settlement");
+const { MemoryLedgerStore, LedgerIndexer, loadLedgerContracts, decodeEvent } = require("../src/ledger");
+const { MemoryPriceStore, PriceHistory } = require("../src/history");
+const { createLedgerApp } = require("../src/api");
+const { createRng, randomTrades } = require("./helpers/trades");
+
+describe("Ledger API", function () {
+  const tokens = (value) => ethers.parseEther(String(value));
+  const ALICE = ethers.id("alice");
+  const BOB = ethers.id("bob");
+
+  async function submit(tradeLedger, operator, batch, metadata) {
+    const receipt = await (await tradeLedger.connect(operator).submitBatch(...batch.submitBatchArgs(metadata))).wait();
+    return receipt.logs
+      .map((log) => tradeLedger.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "BatchSubmitted").args.batchId;
+  }
+
+  // Two batches from two operators, five LP deposits and one withdrawal, indexed into memory
+  async function deployFixture() {
+    const [admin, governance, operator, otherOperator, payoutManager, lp] = await ethers.getSigners();
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    const usdc = await (await ethers.getContractFactory("MockERC20")).deploy("USD Coin", "USDC", 18);
+    const tradeLedger = await upgrades.deployProxy(await ethers.getContractFactory("TradeLedger"), [
+      admin.address,
+      governance.address,
+      [operator.address, otherOperator.address],
+    ]);
+    const capitalPool = await upgrades.deployProxy(await ethers.getContractFactory("CapitalPool"), [
+      await usdc.getAddress(),
+      admin.address,
+      governance.address,
+    ]);
+    await tradeLedger.connect(admin).setPayoutManager(payoutManager.address);
+
+    await usdc.mint(lp.address, tokens(100000));
+    await usdc.connect(lp).approve(await capitalPool.getAddress(), ethers.MaxUint256);
+    const depositTimes = [];
+    for (let i = 1; i <= 5; i++) {
+      await time.increase(3600);
+      const receipt = await (await capitalPool.connect(lp).deposit(tokens(1000 * i))).wait();
+      depositTimes.push((await ethers.provider.getBlock(receipt.blockNumber)).timestamp);
+    }
+    await capitalPool.connect(lp).requestWithdrawal(tokens(1000));
+    await time.increase(Number(await capitalPool.vestingPeriod()));
+    await capitalPool.connect(lp).executeWithdrawal();
+
+    const first = buildSettlementBatch(randomTrades(createRng(5), 6, [ALICE, BOB], "first"));
+    const second = buildSettlementBatch(randomTrades(createRng(6), 4, [ALICE, BOB], "second"));
+    const firstId = await submit(tradeLedger, operator, first, "ipfs://first");
+    const secondId = await submit(tradeLedger, otherOperator, second, "ipfs://second");
+    const alice = first.forTrader(ALICE);
+    await tradeLedger.connect(payoutManager).verifyAndRecordTraderPnL(firstId, ALICE, alice.proofs, alice.trades);
+
+    const store = new MemoryLedgerStore();
+    const contracts = await loadLedgerContracts({
+      artifacts: hre.artifacts,
+      record: {
+        contracts: { tradeLedger: await tradeLedger.getAddress(), capitalPool: await capitalPool.getAddress() },
+        artifacts: { tradeLedger: "TradeLedger", capitalPool: "CapitalPool" },
+      },
+    });
+    await new LedgerIndexer({ provider: ethers.provider, contracts, store, fromBlock, log: () => {} }).sync();
+
+    return {
+      operator,
+      otherOperator,
+      lp,
+      tradeLedger,
+      capitalPool,
+      store,
+      first,
+      firstId,
+      secondId,
+      alice,
+      depositTimes,
+    };
+  }
+
+  // PayoutManager and InsuranceFund are not deployed here: their events are decoded from the
+  // compiled ABIs and written to the store the way the indexer writes them
+  async function writeEvents(store, artifact, events) {
+    const iface = new ethers.Interface((await hre.artifacts.readArtifact(artifact)).abi);
+    const head = await ethers.provider.getBlock("latest");
+    const after = Math.max(head.number, ...(await store.rows("chain_events")).map((row) => row.block_number));
+    await store.writeRange({
+      checkpoint: "seeded",
+      events: events.map(([name, values], i) => ({
+        ...decodeEvent(iface.parseLog(iface.encodeEventLog(name, values))),
+        contract: artifact,
+        address: ethers.ZeroAddress,
+        blockNumber: after + 1 + i,
+        blockHash: ethers.id(`block-${i}`),
+        blockTimestamp: head.timestamp + 60 * (after + 1 + i - head.number),
+        logIndex: 0,
+        txHash: ethers.id(`tx-${artifact}-${i}`),
+      })),
+      blocks: [],
+      head: { number: head.number, hash: head.hash },
+    });
+  }
+
+  let server;
+  let baseUrl;
+
+  async function serve(options) {
+    server = createLedgerApp(options).listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  async function get(path) {
+    const res = await fetch(`${baseUrl}${path}`);
+    return { status: res.status, type: res.headers.get("content-type"), body: await res.json().catch(() => null) };
+  }
+
+  afterEach(async function () {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    server = undefined;
+  });
+
+  describe("Batches and trades", function () {
+    it("Should page batches newest first and filter them by operator", async function () {
+      const { operator, tradeLedger, store, first, firstId, secondId } = await loadFixture(deployFixture);
+      await serve({ store, contracts: { tradeLedger } });
+
+      const page = await get("/batches?limit=1");
+      expect(page.body.items.map((batch) => batch.batchId)).to.deep.equal([secondId]);
+      expect(page.body.nextCursor).to.be.a("string");
+
+      const next = await get(`/batches?limit=1&cursor=${page.body.nextCursor}`);
+      expect(next.body.nextCursor).to.be.null;
+      expect(next.body.items[0]).to.include({
+        batchId: firstId,
+        operator: operator.address,
+        merkleRoot: first.root,
+        tradeCount: "6",
+        metadata: "ipfs://first",
+        indexed: true,
+        totalVolume: first.volume.toString(),
+        netPnL: first.netPnL.toString(),
+      });
+      expect(next.body.items[0].blockTimestamp).to.be.a("number");
+
+      const byOperator = await get(`/batches?operator=${operator.address.toLowerCase()}`);
+      expect(byOperator.body.items.map((batch) => batch.batchId)).to.deep.equal([firstId]);
+
+      expect((await get("/batches?operator=0x1234")).status).to.equal(400);
+      expect((await get("/batches?limit=0")).status).to.equal(400);
+      expect((await get("/batches?cursor=nope")).body).to.deep.equal({ error: "Invalid cursor" });
+    });
+
+    it("Should serve the trades verified per batch and per trader", async function () {
+      const { store, firstId, secondId, alice } = await loadFixture(deployFixture);
+      await serve({ store });
+
+      const expected = alice.trades.map((trade) => [trade.tradeId, trade.pnl.toString()]).reverse();
+      const { body } = await get(`/batches/${firstId}/trades?trader=${ALICE}`);
+      expect(body.items.map((trade) => [trade.tradeId, trade.pnl])).to.deep.equal(expected);
+      expect((await get(`/traders/${ALICE}/trades`)).body.items).to.deep.equal(body.items);
+      expect((await get(`/batches/${secondId}/trades`)).body.items).to.have.length(0);
+      expect((await get(`/traders/${BOB}/trades`)).body.items).to.have.length(0);
+    });
+
+    it("Should serve a batch the indexer has not reached from the contract", async function () {
+      const { operator, tradeLedger, store, firstId } = await loadFixture(deployFixture);
+      const late = buildSettlementBatch(randomTrades(createRng(9), 3, [ALICE], "late"));
+      const lateId = await submit(tradeLedger, operator, late, "ipfs://late");
+      await serve({ store, contracts: { tradeLedger } });
+
+      expect((await get(`/batches/${firstId}`)).body).to.include({ indexed: true, tradeCount: "6" });
+      const { body } = await get(`/batches/${lateId}`);
+      expect(body).to.include({ batchId: lateId, indexed: false, merkleRoot: late.root, tradeCount: "3" });
+
+      expect((await get(`/batches/${ethers.id("missing")}`)).status).to.equal(404);
+      expect((await get("/batches/0x12")).status).to.equal(400);
+    });
+  });
+
+  describe("LPs", function () {
+    it("Should filter deposits by time and read the position from the pool", async function () {
+      const { lp, capitalPool, store, depositTimes } = await loadFixture(deployFixture);
+      await serve({ store, contracts: { capitalPool } });
+
+      const { body } = await get(`/lps/${lp.address}/deposits?from=${depositTimes[2]}&to=${depositTimes[3]}`);
+      expect(body.items.map((deposit) => deposit.amount)).to.deep.equal([tokens(4000), tokens(3000)].map(String));
+      const iso = new Date(depositTimes[4] * 1000).toISOString();
+      expect((await get(`/lps/${lp.address}/deposits?from=${iso}`)).body.items).to.have.length(1);
+      expect((await get(`/lps/${lp.address}/deposits?from=yesterday`)).status).to.equal(400);
+
+      const withdrawals = (await get(`/lps/${lp.address}/withdrawals`)).body.items;
+      expect(withdrawals).to.have.length(1);
+      expect(withdrawals[0]).to.include({ lp: lp.address, shares: tokens(1000).toString() });
+
+      const position = (await get(`/lps/${lp.address.toLowerCase()}`)).body;
+      expect(position).to.include({
+        lp: lp.address,
+        shares: tokens(14000).toString(),
+        value: (await capitalPool.getLPValue(lp.address)).toString(),
+      });
+      expect(position.withdrawalRequest.executed).to.be.true;
+
+      await new Promise((resolve) => server.close(resolve));
+      await serve({ store });
+      expect((await get(`/lps/${lp.address}`)).status).to.equal(503);
+    });
+  });
+
+  describe("Payouts and claims", function () {
+    it("Should join payout requests and claims with their outcome", async function () {
+      const { store } = await loadFixture(deployFixture);
+      const recipient = ethers.Wallet.createRandom().address;
+      const [paid, rejected, pending] = ["paid", "rejected", "pending"].map((name) => ethers.id(name));
+      await writeEvents(store, "PayoutManager", [
+        ["PayoutRequested", [paid, ALICE, recipient, tokens(500), tokens(400)]],
+        ["PayoutRequested", [rejected, ALICE, recipient, tokens(50), tokens(40)]],
+        ["PayoutExecuted", [paid, ALICE, recipient, tokens(400), 1700000000]],
+        ["PayoutRejected", [rejected, ALICE, "Below minimum"]],
+        ["PayoutRequested", [pending, ALICE, recipient, tokens(-1), 0]],
+      ]);
+      const claimant = ethers.Wallet.createRandom().address;
+      const [approvedClaim, openClaim] = ["approved-claim", "open-claim"].map((name) => ethers.id(name));
+      await writeEvents(store, "InsuranceFund", [
+        ["ClaimSubmitted", [approvedClaim, claimant, BOB, tokens(100)]],
+        ["ClaimSubmitted", [openClaim, claimant, ALICE, tokens(200)]],
+        ["ClaimApproved", [approvedClaim, claimant, tokens(100)]],
+      ]);
+      await serve({ store });
+
+      const payouts = (await get(`/traders/${ALICE}/payouts?limit=2`)).body;
+      expect(payouts.items.map((payout) => [payout.requestId, payout.status])).to.deep.equal([
+        [pending, "Pending"],
+        [rejected, "Rejected"],
+      ]);
+      expect(payouts.items[0].grossPnl).to.equal(tokens(-1).toString());
+      expect(payouts.items[1].rejectionReason).to.equal("Below minimum");
+      const rest = (await get(`/traders/${ALICE}/payouts?limit=2&cursor=${payouts.nextCursor}`)).body;
+      expect(rest.items[0]).to.include({ requestId: paid, status: "Executed", paidAmount: tokens(400).toString() });
+      expect(rest.nextCursor).to.be.null;
+
+      const claims = (await get(`/claims?claimant=${claimant}`)).body.items;
+      expect(claims.map((claim) => [claim.claimId, claim.status])).to.deep.equal([
+        [openClaim, "Pending"],
+        [approvedClaim, "Approved"],
+      ]);
+      expect((await get(`/claims?trader=${BOB}`)).body.items[0]).to.include({ approvedAmount: tokens(100).toString() });
+      expect((await get(`/claims/${openClaim}`)).body).to.include({ traderId: ALICE, indexed: true });
+      expect((await get(`/claims/${ethers.id("unknown")}`)).status).to.equal(404);
+    });
+  });
+
+  describe("Prices and spec", function () {
+    it("Should serve historical prices from the price history", async function () {
+      const { store } = await loadFixture(deployFixture);
+      const prices = new MemoryPriceStore();
+      const tick = { symbol: ethers.id("BTC/USD"), price: 4500000000000n, confidence: 10, logIndex: 0 };
+      await prices.putTicks([
+        { ...tick, timestamp: 1700000000, blockNumber: 10, source: ethers.ZeroAddress },
+        { ...tick, price: 4600000000000n, timestamp: 1700000600, blockNumber: 20, source: ethers.ZeroAddress },
+      ]);
+      await serve({ store, priceHistory: new PriceHistory({ store: prices }) });
+
+      const { body } = await get("/prices?symbol=BTC/USD&timestamp=1700000300");
+      expect(body).to.include({ symbol: "BTC/USD", price: "4500000000000", timestamp: 1700000000, blockNumber: 10 });
+      expect((await get("/prices?symbol=BTC/USD&block=25")).body.price).to.equal("4600000000000");
+      expect((await get("/prices?symbol=BTC/USD&timestamp=1600000000")).status).to.equal(404);
+      expect((await get("/prices")).body).to.deep.equal({ error: "symbol is required" });
+      expect((await get("/prices?symbol=BTC/USD")).status).to.equal(503);
+    });
+
+    it("Should describe every route in the OpenAPI spec", async function () {
+      const { store } = await loadFixture(deployFixture);
+      await serve({ store, serverUrl: "https://ledger.example" });
+
+      const { body: spec } = await get("/openapi.json");
+      expect(spec.openapi).to.equal("3.0.3");
+      expect(spec.servers).to.deep.equal([{ url: "https://ledger.example" }]);
+      const samples = { batchId: ethers.id("b"), traderId: ALICE, claimId: ethers.id("c"), address: BOB.slice(0, 42) };
+      for (const path of Object.keys(spec.paths)) {
+        const url = path.replace(/\{(\w+)\}/g, (_, name) => samples[name]) + (path === "/prices" ? "?symbol=X" : "");
+        // Unknown routes get Express's HTML 404; every documented one answers JSON
+        expect((await get(url)).type, path).to.match(/^application\/json/);
+        for (const parameter of spec.paths[path].get.parameters || []) {
+          if (parameter.in === "path") expect(path).to.include(`{${parameter.name}}`);
+        }
+      }
+      expect((await get("/health")).body).to.deep.equal({
+        ok: true,
+        indexedBlock: await ethers.provider.getBlockNumber(),
+      });
+    });
+  });
+});
@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  MerkleTree,
+  buildSettlementBatch,
+  createBatchArtifact,
+  attachSubmission,
+  toMetadata,
+  LocalBatchStore,
+} = require("../src/settlement");
+const { PayoutSigner } = require("../src/payouts");
+const { createLedgerApp, PayoutProofs, fetchPayoutProof, requestPayoutArgs } = require("../src/api");
+const { MemoryLedgerStore } = require("../src/ledger");
+const { makeTrade } = require("./helpers/trades");
+
+describe("Payout Proofs", function () {
+  const tokens = (value) => ethers.parseEther(String(value));
+  const ALICE = ethers.id("alice");
+  const BOB = ethers.id("bob");
+  const storeDirs = [];
+
+  function tempStore() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chainflow-proofs-"));
+    storeDirs.push(dir);
+    return new LocalBatchStore(dir);
+  }
+
+  async function registerTrader(registry, operator, id, traderAddress) {
+    const nonce = await registry.nonces(id);
+    const { chainId } = await ethers.provider.getNetwork();
+    const hash = ethers.solidityPackedKeccak256(
+      ["bytes32", "address", "uint8", "uint256", "uint256", "address"],
+      [id, traderAddress, 1, nonce, chainId, await registry.getAddress()],
+    );
+    const signature = await operator.signMessage(ethers.getBytes(hash));
+    await registry.connect(operator).registerTrader(id, traderAddress, 1, "", signature);
+  }
+
+  // Submit a batch whose metadata points at its artifact, and store the artifact
+  async function submitWithArtifact(tradeLedger, operator, batchStore, trades, { index = true } = {}) {
+    const batch = buildSettlementBatch(trades);
+    const artifact = createBatchArtifact(batch, {
+      operator: operator.address,
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      tradeLedger: await tradeLedger.getAddress(),
+    });
+    const tx = await tradeLedger
+      .connect(operator)
+      .submitBatch(...batch.submitBatchArgs(toMetadata(artifact.contentHash)));
+    const receipt = await tx.wait();
+    const batchId = receipt.logs
+      .map((log) => tradeLedger.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "BatchSubmitted").args.batchId;
+    // Without a submission the store cannot index the batch ID, so lookups go through the metadata
+    await batchStore.put(index ? attachSubmission(artifact, { batchId, txHash: tx.hash }) : artifact);
+    return { batch, batchId };
+  }
+
+  // Alice is active with a pool allocation; her batch nets 200 across three trades
+  async function deployFixture() {
+    const [admin, governance, operator, alice, bob, lp] = await ethers.getSigners();
+
+    const usdc = await (await ethers.getContractFactory("MockERC20")).deploy("USD Coin", "USDC", 18);
+    const tradeLedger = await upgrades.deployProxy(await ethers.getContractFactory("TradeLedger"), [
+      admin.address,
+      governance.address,
+      [operator.address],
+    ]);
+    const traderRegistry = await upgrades.deployProxy(await ethers.getContractFactory("TraderAccountRegistry"), [
+      admin.address,
+      governance.address,
+      [operator.address],
+    ]);
+    const capitalPool = await upgrades.deployProxy(await ethers.getContractFactory("CapitalPool"), [
+      await usdc.getAddress(),
+      admin.address,
+      governance.address,
+    ]);
+    const payoutManager = await upgrades.deployProxy(await ethers.getContractFactory("PayoutManager"), [
+      admin.address,
+      governance.address,
+      [operator.address],
+      await tradeLedger.getAddress(),
+      await traderRegistry.getAddress(),
+      await capitalPool.getAddress(),
+    ]);
+    for (const contract of [tradeLedger, traderRegistry, capitalPool]) {
+      await contract.connect(admin).setPayoutManager(await payoutManager.getAddress());
+    }
+
+    await registerTrader(traderRegistry, operator, ALICE, alice.address);
+    await registerTrader(traderRegistry, operator, BOB, bob.address);
+    await traderRegistry.connect(admin).grantRole(await traderRegistry.PAYOUT_MANAGER_ROLE(), admin.address);
+    await traderRegistry.connect(admin).activateAccount(ALICE);
+
+    await usdc.mint(lp.address, tokens(10000));
+    await usdc.connect(lp).approve(await capitalPool.getAddress(), ethers.MaxUint256);
+    await capitalPool.connect(lp).deposit(tokens(10000));
+    await capitalPool.connect(admin).setPayoutManager(admin.address);
+    await capitalPool.connect(admin).allocateToTrader(ALICE, tokens(1000));
+
+    const batchStore = tempStore();
+    const trades = [
+      makeTrade({ traderId: ALICE, tradeId: ethers.id("a-1"), pnl: tokens(150) }),
+      makeTrade({ traderId: BOB, tradeId: ethers.id("b-1"), pnl: tokens(40) }),
+      makeTrade({ traderId: ALICE, tradeId: ethers.id("a-2"), pnl: tokens(80) }),
+      makeTrade({ traderId: ALICE, tradeId: ethers.id("a-3"), pnl: tokens(-30) }),
+    ];
+    const { batch, batchId } = await submitWithArtifact(tradeLedger, operator, batchStore, trades);
+
+    const payoutSigner = new PayoutSigner({ payoutManager, traderRegistry, signer: operator });
+
+    return {
+      admin,
+      operator,
+      alice,
+      usdc,
+      tradeLedger,
+      payoutManager,
+      payoutSigner,
+      batchStore,
+      batch,
+      batchId,
+    };
+  }
+
+  let server;
+  let baseUrl;
+
+  async function serve(options) {
+    server = createLedgerApp({ store: new MemoryLedgerStore(), ...options }).listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  async function get(path) {
+    const res = await fetch(`${baseUrl}${path}`);
+    return { status: res.status, body: await res.json() };
+  }
+
+  afterEach(async function () {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    server = undefined;
+  });
+
+  after(function () {
+    for (const dir of storeDirs) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Bundle", function () {
+    it("Should return the trader's trades, proofs and profit split", async function () {
+      const { tradeLedger, payoutManager, batchStore, batch, batchId } = await loadFixture(deployFixture);
+
+      const proof = await new PayoutProofs({ batchStore, tradeLedger, payoutManager }).forTrader({
+        traderId: ALICE,
+        batchId,
+      });
+      expect(proof.merkleRoot).to.equal(batch.root);
+      expect(proof.trades.map((item) => item.trade.tradeId)).to.deep.equal(
+        ["a-1", "a-2", "a-3"].map((id) => ethers.id(id)),
+      );
+      for (const item of proof.trades) {
+        expect(item.verified).to.equal(false);
+        expect(MerkleTree.verify(item.proof, batch.root, item.leaf)).to.equal(true);
+      }
+      expect(proof.claimable.proofs).to.deep.equal(batch.forTrader(ALICE).proofs);
+
+      const [traderShare, poolShare] = await payoutManager.calculateProfitSplit(ALICE, tokens(200));
+      expect(proof.grossPnL).to.equal(tokens(200).toString());
+      expect(proof.traderShare).to.equal(traderShare.toString());
+      expect(proof.poolShare).to.equal(poolShare.toString());
+      expect(proof.minPayout).to.equal(tokens(100).toString());
+      expect(proof.payable).to.equal(true);
+    });
+
+    it("Should build a payout transaction PayoutManager executes", async function () {
+      const { alice, usdc, tradeLedger, payoutManager, payoutSigner, batchStore, batchId } =
+        await loadFixture(deployFixture);
+      await serve({ contracts: { tradeLedger, payoutManager }, batchStore });
+
+      const proof = await fetchPayoutProof(baseUrl, { traderId: ALICE, batchId });
+      expect(proof.grossPnL).to.equal(tokens(200));
+      expect(proof.claimable.trades[0].pnl).to.equal(tokens(150));
+
+      const { recipient, signature } = await payoutSigner.authorize({ traderId: ALICE, batchId });
+      const args = requestPayoutArgs(proof, { recipient, signature });
+      await expect(payoutManager.connect(alice).requestPayout(...args)).to.changeTokenBalance(
+        usdc,
+        alice,
+        proof.traderShare,
+      );
+
+      const consumed = await fetchPayoutProof(baseUrl, { traderId: ALICE, batchId });
+      expect(consumed.trades.every((item) => item.verified && item.verifiedBatchId === batchId)).to.equal(true);
+      expect(consumed.claimable.trades).to.deep.equal([]);
+      expect(consumed.grossPnL).to.equal(0n);
+      expect(consumed.traderShare).to.equal(null);
+      expect(consumed.payable).to.equal(false);
+      expect(() => requestPayoutArgs(consumed, { recipient, signature })).to.throw("already verified");
+    });
+
+    it("Should leave trades verified earlier out of the claimable set", async function () {
+      const { admin, tradeLedger, payoutManager, batchStore, batch, batchId } = await loadFixture(deployFixture);
+      await tradeLedger.connect(admin).setPayoutManager(admin.address);
+      const first = batch.entries.find((entry) => entry.trade.tradeId === ethers.id("a-1"));
+      await tradeLedger.connect(admin).verifyAndRecordTraderPnL(batchId, ALICE, [first.proof], [first.trade]);
+
+      const proof = await new PayoutProofs({ batchStore, tradeLedger, payoutManager }).forTrader({
+        traderId: ALICE,
+        batchId,
+      });
+      expect(proof.trades.map((item) => item.verified)).to.deep.equal([true, false, false]);
+      expect(proof.claimable.trades.map((trade) => trade.tradeId)).to.deep.equal([ethers.id("a-2"), ethers.id("a-3")]);
+      expect(proof.grossPnL).to.equal(tokens(50).toString());
+      expect(proof.payable).to.equal(false);
+    });
+
+    it("Should find artifacts through the batch metadata", async function () {
+      const { operator, tradeLedger, payoutManager, batchStore } = await loadFixture(deployFixture);
+      const trades = [makeTrade({ traderId: BOB, tradeId: ethers.id("b-2"), pnl: tokens(-5) })];
+      const { batchId } = await submitWithArtifact(tradeLedger, operator, batchStore, trades, { index: false });
+      expect(await batchStore.getByBatchId(batchId)).to.equal(null);
+
+      const proof = await new PayoutProofs({ batchStore, tradeLedger, payoutManager }).forTrader({
+        traderId: BOB,
+        batchId,
+      });
+      expect(proof.trades).to.have.length(1);
+      expect(proof.grossPnL).to.equal(tokens(-5).toString());
+      expect(proof.traderShare).to.equal(null);
+      expect(proof.payable).to.equal(false);
+    });
+  });
+
+  describe("Errors", function () {
+    it("Should answer 400, 404 and 409 for requests it cannot serve", async function () {
+      const { operator, tradeLedger, payoutManager, batchStore, batchId } = await loadFixture(deployFixture);
+
+      // Stored under a batch ID whose on-chain root belongs to another artifact
+      const otherStore = tempStore();
+      const other = buildSettlementBatch([makeTrade({ traderId: ALICE, tradeId: ethers.id("x-1") })]);
+      const otherArtifact = createBatchArtifact(other, {
+        operator: operator.address,
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        tradeLedger: await tradeLedger.getAddress(),
+      });
+      await otherStore.put(attachSubmission(otherArtifact, { batchId }));
+
+      await serve({ contracts: { tradeLedger, payoutManager }, batchStore });
+      expect((await get(`/traders/0x12/batches/${batchId}/proof`)).status).to.equal(400);
+      expect((await get(`/traders/${ethers.id("carol")}/batches/${batchId}/proof`)).status).to.equal(404);
+      const unknown = await get(`/traders/${ALICE}/batches/${ethers.id("nope")}/proof`);
+      expect(unknown).to.deep.equal({ status: 404, body: { error: `Unknown batch ${ethers.id("nope")}` } });
+
+      const error = await fetchPayoutProof(baseUrl, { traderId: ethers.id("carol"), batchId }).catch((e) => e);
+      expect(error.message).to.match(/^LedgerApi: No trades for trader .* \(404\)$/);
+
+      const empty = tempStore();
+      const proofs = (store) => new PayoutProofs({ batchStore: store, tradeLedger, payoutManager });
+      const missing = await proofs(empty)
+        .forTrader({ traderId: ALICE, batchId })
+        .catch((e) => e);
+      expect(missing.status).to.equal(404);
+      expect(missing.message).to.equal(`No artifact stored for batch ${batchId.toLowerCase()}`);
+      const mismatch = await proofs(otherStore)
+        .forTrader({ traderId: ALICE, batchId })
+        .catch((e) => e);
+      expect(mismatch.status).to.equal(409);
+    });
+
+    it("Should answer 503 without batch artifacts", async function () {
+      const { tradeLedger, payoutManager, batchId } = await loadFixture(deployFixture);
+      await serve({ contracts: { tradeLedger, payoutManager } });
+
+      expect((await get(`/traders/${ALICE}/batches/${batchId}/proof`)).status).to.equal(503);
+    });
+  });
+});
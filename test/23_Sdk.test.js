@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { generateSdk, declarationFor } = require("../src/sdk");
+const { buildSettlementBatch } = require("../src/settlement");
+const {
+  ABIS,
+  CONTRACTS,
+  connect,
+  ChainFlowError,
+  decodeError,
+  decodeRevertData,
+  PANIC_SELECTOR,
+  symbolKey,
+  toPrice,
+  fromPrice,
+  toUsd,
+  fromUsd,
+} = require("../sdk");
+const { makeTrade } = require("./helpers/trades");
+
+describe("SDK", function () {
+  async function deployFixture() {
+    const [admin, governance, operator, stranger] = await ethers.getSigners();
+
+    const usdc = await (await ethers.getContractFactory("MockERC20")).deploy("USD Coin", "USDC", 18);
+    const tradeLedger = await upgrades.deployProxy(await ethers.getContractFactory("TradeLedger"), [
+      admin.address,
+      governance.address,
+      [operator.address],
+    ]);
+    const capitalPool = await upgrades.deployProxy(await ethers.getContractFactory("CapitalPool"), [
+      await usdc.getAddress(),
+      admin.address,
+      governance.address,
+    ]);
+
+    const record = {
+      name: "sdk-test",
+      network: "hardhat",
+      chainId: (await ethers.provider.getNetwork()).chainId.toString(),
+      contracts: {
+        tradeLedger: await tradeLedger.getAddress(),
+        capitalPool: await capitalPool.getAddress(),
+        usdc: await usdc.getAddress(),
+      },
+    };
+    const batch = buildSettlementBatch([makeTrade()]);
+
+    return { admin, operator, stranger, record, batch };
+  }
+
+  describe("Generated files", function () {
+    it("Should match the compiled artifacts", async function () {
+      const readArtifact = (name) => hre.artifacts.readArtifact(name);
+      expect(await generateSdk({ readArtifact, check: true })).to.deep.equal([]);
+
+      for (const artifact of Object.values(CONTRACTS)) {
+        expect(ABIS[artifact]).to.deep.equal((await readArtifact(artifact)).abi);
+      }
+      // Formatting the declarations would make them differ from the generator's output
+      const ignored = fs.readFileSync(path.join(__dirname, "../.prettierignore"), "utf8").split("\n");
+      expect(ignored).to.include("sdk/types/");
+    });
+
+    it("Should declare every function with typed arguments and results", async function () {
+      const { abi } = await hre.artifacts.readArtifact("PayoutManager");
+      const declaration = declarationFor("PayoutManager", abi);
+
+      for (const fragment of abi.filter((entry) => entry.type === "function")) {
+        expect(declaration).to.include(`  ${fragment.name}: BaseContractMethod<`);
+      }
+      expect(declaration).to.include(
+        "  calculateProfitSplit: BaseContractMethod<[traderId: BytesLike, grossPnL: BigNumberish], " +
+          "[bigint, bigint] & { traderShare: bigint; poolShare: bigint }",
+      );
+      expect(declaration).to.include("trades: PayoutManager.TradeLedger_TradeStruct[]");
+      expect(declaration).to.include("type TradeLedger_TradeStructOutput = [string, string, string, bigint");
+      expect(declaration).to.match(/requestPayout: BaseContractMethod<\[.*\], string, ContractTransactionResponse>;/);
+      expect(declaration).to.include('"AccessControlUnauthorizedAccount(address,bytes32)"');
+    });
+  });
+
+  describe("Contracts", function () {
+    it("Should write through a Hardhat signer and read through a plain ethers provider", async function () {
+      const { operator, record, batch } = await loadFixture(deployFixture);
+
+      const chainflow = await connect(record, operator);
+      expect(Object.keys(chainflow.contracts)).to.deep.equal(["tradeLedger", "capitalPool"]);
+      await chainflow.tradeLedger.submitBatch(...batch.submitBatchArgs("sdk"));
+
+      const provider = new ethers.BrowserProvider(hre.network.provider);
+      const reader = await connect(record, provider);
+      const [latest] = await reader.tradeLedger.getRecentBatches(1);
+      const stored = await reader.tradeLedger.getBatch(latest.batchId);
+      expect(stored.merkleRoot).to.equal(batch.root);
+      expect(stored.operator).to.equal(operator.address);
+      expect(await reader.get("capitalPool").MIN_DEPOSIT()).to.equal(toUsd(1000));
+    });
+
+    it("Should refuse a runner on another chain and name missing contracts", async function () {
+      const { operator, record } = await loadFixture(deployFixture);
+
+      const error = await connect({ ...record, chainId: "229" }, operator).catch((e) => e);
+      expect(error.message).to.equal("ChainFlow: Deployment sdk-test is on chain 229, the runner is on chain 31337");
+      const unchecked = await connect({ ...record, chainId: "229" }, operator, { checkChain: false });
+
+      expect(unchecked.has("vault")).to.equal(false);
+      expect(() => unchecked.vault).to.throw("ChainFlow: No vault in deployment sdk-test");
+    });
+
+    it("Should prefer the artifacts a record names", async function () {
+      const { operator, record } = await loadFixture(deployFixture);
+
+      const chainflow = await connect({ ...record, artifacts: { usdc: "TradeLedger" } }, operator);
+      expect(chainflow.contracts.usdc.interface.getFunction("getBatch")).to.not.equal(null);
+    });
+  });
+
+  describe("Errors", function () {
+    it("Should decode custom errors from a Hardhat signer", async function () {
+      const { stranger, record, batch } = await loadFixture(deployFixture);
+      const chainflow = await connect(record, stranger);
+
+      const { trades, proofs } = batch.forTrader(makeTrade().traderId);
+      const thrown = await chainflow.tradeLedger
+        .verifyAndRecordTraderPnL(ethers.ZeroHash, trades[0].traderId, proofs, trades)
+        .catch((e) => e);
+      const error = chainflow.decodeError(thrown);
+
+      expect(error).to.be.instanceOf(ChainFlowError);
+      expect(error.kind).to.equal("custom");
+      expect(error.errorName).to.equal("AccessControlUnauthorizedAccount");
+      expect(error.signature).to.equal("AccessControlUnauthorizedAccount(address,bytes32)");
+      expect(error.args.account).to.equal(stranger.address);
+      expect(error.args.neededRole).to.equal(ethers.id("PAYOUT_MANAGER_ROLE"));
+      expect(error.cause).to.equal(thrown);
+    });
+
+    it("Should decode require strings from a plain ethers signer", async function () {
+      const { operator, record } = await loadFixture(deployFixture);
+      const provider = new ethers.BrowserProvider(hre.network.provider);
+      const chainflow = await connect(record, await provider.getSigner(operator.address));
+
+      const thrown = await chainflow.tradeLedger
+        .submitBatch(ethers.id("hash"), ethers.id("root"), 0, "sdk", 0, 0)
+        .catch((e) => e);
+      const error = decodeError(thrown);
+
+      expect(error.kind).to.equal("revert");
+      expect(error.reason).to.equal("TradeLedger: Zero trades");
+      expect(error.message).to.equal("TradeLedger: Zero trades");
+    });
+
+    it("Should decode panics and keep unknown revert data", function () {
+      const panic = decodeRevertData(ethers.concat([PANIC_SELECTOR, ethers.toBeHex(0x11, 32)]));
+      expect(panic.kind).to.equal("panic");
+      expect(panic.code).to.equal(0x11);
+      expect(panic.message).to.equal("Panic 0x11: Arithmetic overflow or underflow");
+
+      const unknown = decodeError({ code: "CALL_EXCEPTION", info: { error: { data: "0xdeadbeef" } } });
+      expect(unknown.kind).to.equal("unknown");
+      expect(unknown.data).to.equal("0xdeadbeef");
+      expect(decodeError({ code: "CALL_EXCEPTION", data: "0x" }).message).to.equal("Reverted without a reason");
+      expect(decodeError(new Error("network down"))).to.equal(null);
+    });
+  });
+
+  describe("Units", function () {
+    it("Should hash symbols and convert prices and USD amounts", function () {
+      expect(symbolKey("BTC/USD")).to.equal(ethers.keccak256(ethers.toUtf8Bytes("BTC/USD")));
+      expect(symbolKey(ethers.id("BTC/USD").toUpperCase().replace("0X", "0x"))).to.equal(ethers.id("BTC/USD"));
+
+      expect(toPrice("45000")).to.equal(45000_00000000n);
+      expect(toPrice("45000.123456789")).to.equal(45000_12345678n);
+      expect(toPrice(0.1)).to.equal(10000000n);
+      expect(toPrice(1n)).to.equal(1n);
+      expect(fromPrice(45000_50000000n)).to.equal("45000.5");
+
+      expect(toUsd("100.5")).to.equal(ethers.parseEther("100.5"));
+      expect(toUsd(0.1)).to.equal(ethers.parseEther("0.1"));
+      expect(toUsd(-12.25)).to.equal(-ethers.parseEther("12.25"));
+      expect(fromUsd(ethers.parseEther("1500"))).to.equal("1500.0");
+      expect(() => toUsd(1e21)).to.throw("Pass 1e+21 as a string or bigint");
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadManifest, planRoles } = require("../src/deploy");
+const { deriveTraderId } = require("../src/traders");
+const { MANIFEST, SEED_PRICES, LP_BALANCE, deploySystemFixture } = require("./helpers/system");
+
+describe("System Fixture", function () {
+  it("Should deploy every manifest contract behind its recorded artifact", async function () {
+    const { record, contracts } = await loadFixture(deploySystemFixture);
+    const manifest = loadManifest(MANIFEST);
+
+    expect(record.status).to.equal("complete");
+    expect(Object.keys(contracts)).to.deep.equal(manifest.contracts.map((entry) => entry.name));
+    for (const entry of manifest.contracts) {
+      expect(record.artifacts[entry.name]).to.equal(entry.contract);
+      expect(await contracts[entry.name].getAddress()).to.equal(record.contracts[entry.name]);
+    }
+  });
+
+  it("Should leave no manifest role grant or revocation outstanding", async function () {
+    const { record, usdc, feeder, deployer } = await loadFixture(deploySystemFixture);
+    const manifest = loadManifest(MANIFEST);
+    const context = {
+      deployer: deployer.address,
+      contracts: record.contracts,
+      params: {
+        depositToken: await usdc.getAddress(),
+        rewardToken: await usdc.getAddress(),
+        oracleFeeder: feeder.address,
+      },
+      env: {},
+    };
+
+    const plan = await planRoles({ ethers, manifest, record, context });
+    expect(plan.filter((entry) => entry.action !== "none")).to.deep.equal([]);
+  });
+
+  it("Should give each named signer its role", async function () {
+    const system = await loadFixture(deploySystemFixture);
+    const { operator, feeder, guardian, keeper, lp, trader, deployer, usdc, traderId } = system;
+    const { operatorRegistry, tradeLedger, traderRegistry, payoutManager, vault, keeperIncentive, capitalPool } =
+      system;
+
+    expect((await operatorRegistry.getOperatorInfo(operator.address)).operator).to.equal(operator.address);
+    for (const contract of [tradeLedger, traderRegistry, payoutManager]) {
+      expect(await contract.hasRole(await contract.OPERATOR_ROLE(), operator.address)).to.be.true;
+    }
+
+    // The manifest hands feeding to the feeder and revokes it from the deployer
+    for (const name of Object.keys(SEED_PRICES)) {
+      const oracle = system[name];
+      expect(await oracle.hasRole(await oracle.FEEDER_ROLE(), feeder.address)).to.be.true;
+      expect(await oracle.hasRole(await oracle.FEEDER_ROLE(), deployer.address)).to.be.false;
+    }
+
+    expect(await vault.hasRole(await vault.GUARDIAN_ROLE(), guardian.address)).to.be.true;
+    expect((await keeperIncentive.keepers(keeper.address)).stakedAmount).to.equal(
+      await keeperIncentive.minStakeAmount(),
+    );
+
+    expect(await usdc.balanceOf(lp.address)).to.equal(LP_BALANCE);
+    expect(await usdc.allowance(lp.address, await capitalPool.getAddress())).to.equal(ethers.MaxUint256);
+
+    expect(traderId).to.equal(deriveTraderId("fixture-trader"));
+    expect(await traderRegistry.addressToTraderId(trader.address)).to.equal(traderId);
+  });
+
+  it("Should seed every symbol OracleRegistry maps by default", async function () {
+    const { oracleRegistry } = await loadFixture(deploySystemFixture);
+
+    for (const prices of Object.values(SEED_PRICES)) {
+      for (const [symbol, price] of Object.entries(prices)) {
+        expect((await oracleRegistry.getPrice(ethers.id(symbol))).price).to.equal(price);
+      }
+    }
+  });
+});
@@ -0,0 +1,260 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildSettlementBatch } = require("../src/settlement");
+const { PayoutSigner, signPayoutAuthorization } = require("../src/payouts");
+const { registerTrader, deriveTraderId } = require("../src/traders");
+const { deploySystemFixture } = require("./helpers/system");
+const { makeTrade } = require("./helpers/trades");
+
+describe("Protocol Lifecycle", function () {
+  const tokens = (value) => ethers.parseEther(String(value));
+  const anyValue = () => true;
+  const POOL_DEPOSIT = tokens(500000);
+  const BOB = deriveTraderId("fixture-bob");
+
+  let tradeCounter = 0;
+  const trade = (traderId, pnl) => makeTrade({ traderId, tradeId: ethers.id(`lifecycle-${++tradeCounter}`), pnl });
+
+  async function submitBatch({ tradeLedger, operator }, trades) {
+    const batch = buildSettlementBatch(trades);
+    const receipt = await (
+      await tradeLedger.connect(operator).submitBatch(...batch.submitBatchArgs("lifecycle"))
+    ).wait();
+    const batchId = receipt.logs
+      .map((log) => tradeLedger.interface.parseLog(log))
+      .find((parsed) => parsed?.name === "BatchSubmitted").args.batchId;
+    return { batch, batchId };
+  }
+
+  async function sign(system, { traderId, recipient, batchId, signer = system.operator }) {
+    return signPayoutAuthorization(signer, {
+      traderId,
+      recipient,
+      batchId,
+      nonce: await system.payoutManager.payoutNonces(traderId),
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      payoutManager: await system.payoutManager.getAddress(),
+    });
+  }
+
+  // requestPayout for the trader's slice of a batch, sent by the trader
+  async function requestPayout(system, { traderId = system.traderId, batch, batchId, signature, slice }) {
+    const { trades, proofs } = slice || batch.forTrader(traderId);
+    const authorization = signature || (await sign(system, { traderId, recipient: system.trader.address, batchId }));
+    return system.payoutManager
+      .connect(system.trader)
+      .requestPayout(traderId, system.trader.address, batchId, proofs, trades, authorization);
+  }
+
+  /**
+   * LP capital in the pool; the fixture trader and bob registered, activated and funded with their
+   * tier's allocation. The deployer stands in for the PayoutManager's scaling step, which is what
+   * activates and funds traders on-chain.
+   */
+  async function fundedFixture() {
+    const system = await deploySystemFixture();
+    const { deployer, operator, stranger, lp, capitalPool, traderRegistry, traderId } = system;
+
+    await capitalPool.connect(lp).deposit(POOL_DEPOSIT);
+    await registerTrader({ registry: traderRegistry, operator, traderId: BOB, traderAddress: stranger.address });
+
+    await traderRegistry.setPayoutManager(deployer.address);
+    await capitalPool.setPayoutManager(deployer.address);
+    const { capitalAllocation } = await traderRegistry.getTierConfig(1);
+    for (const id of [traderId, BOB]) {
+      await traderRegistry.activateAccount(id);
+      await capitalPool.allocateToTrader(id, capitalAllocation);
+    }
+
+    return { ...system, capitalAllocation };
+  }
+
+  // fundedFixture plus a batch where the trader nets 800 over three trades and bob nets 300
+  async function settledFixture() {
+    const system = await fundedFixture();
+    const trades = [
+      trade(system.traderId, tokens(600)),
+      trade(BOB, tokens(300)),
+      trade(system.traderId, tokens(400)),
+      trade(system.traderId, tokens(-200)),
+    ];
+    return { ...system, trades, ...(await submitBatch(system, trades)) };
+  }
+
+  describe("Onboarding and Funding", function () {
+    it("Should take LP capital and fund registered, activated traders", async function () {
+      const { capitalPool, traderRegistry, usdc, lp, trader, traderId, capitalAllocation } =
+        await loadFixture(fundedFixture);
+
+      expect((await capitalPool.lpInfo(lp.address)).shares).to.equal(POOL_DEPOSIT);
+      expect(await usdc.balanceOf(await capitalPool.getAddress())).to.equal(POOL_DEPOSIT);
+
+      const account = await traderRegistry.getTraderInfo(traderId);
+      expect(account.traderAddress).to.equal(trader.address);
+      expect(account.status).to.equal(1); // Active
+      expect(account.activatedAt).to.be.gt(0);
+      expect(await traderRegistry.activeTraders()).to.equal(2);
+
+      expect((await capitalPool.traderAllocations(traderId)).allocated).to.equal(capitalAllocation);
+      expect(await capitalPool.totalAllocated()).to.equal(capitalAllocation * 2n);
+    });
+
+    it("Should only activate registered, inactive traders", async function () {
+      const { traderRegistry, traderId } = await loadFixture(fundedFixture);
+
+      await expect(traderRegistry.activateAccount(traderId)).to.be.revertedWith("Registry: Not inactive");
+      await expect(traderRegistry.activateAccount(ethers.id("nobody"))).to.be.revertedWith(
+        "Registry: Trader not found",
+      );
+    });
+  });
+
+  describe("Settlement and Payout", function () {
+    it("Should pay the trader's share out of the pool for a proven batch", async function () {
+      const system = await loadFixture(settledFixture);
+      const { payoutManager, traderRegistry, capitalPool, tradeLedger, usdc, operator, trader, traderId } = system;
+      const { batch, batchId } = system;
+
+      // The operator's payout signer checks eligibility and builds the transaction the trader sends
+      const signer = new PayoutSigner({ payoutManager, traderRegistry, signer: operator });
+      const { trades, proofs } = batch.forTrader(traderId);
+      const bundle = await signer.authorize({ traderId, recipient: trader.address, batchId, trades, proofs });
+
+      const grossPnL = tokens(800);
+      const [traderShare, poolShare] = await payoutManager.calculateProfitSplit(traderId, grossPnL);
+      expect(traderShare).to.equal(tokens(560));
+      expect(poolShare).to.equal(tokens(240));
+
+      const tx = trader.sendTransaction(bundle.transaction);
+      await expect(tx)
+        .to.emit(payoutManager, "PayoutRequested")
+        .withArgs(anyValue, traderId, trader.address, grossPnL, traderShare);
+      await expect(tx)
+        .to.emit(payoutManager, "PayoutExecuted")
+        .withArgs(anyValue, traderId, trader.address, traderShare, anyValue);
+      await expect(tx).to.changeTokenBalances(usdc, [trader, capitalPool], [traderShare, -traderShare]);
+      await expect(tx).to.emit(tradeLedger, "TraderPnLVerified").withArgs(batchId, traderId, grossPnL, 3);
+
+      const [requestId] = await payoutManager.getTraderPayoutHistory(traderId);
+      const request = await payoutManager.getPayoutRequest(requestId);
+      expect(request.batchId).to.equal(batchId);
+      expect(request.traderShare).to.equal(traderShare);
+      expect(request.status).to.equal(2); // Executed
+
+      expect((await traderRegistry.getTraderInfo(traderId)).lifetimePnL).to.equal(grossPnL);
+      expect(await payoutManager.totalPayouts(traderId)).to.equal(traderShare);
+      expect(await payoutManager.payoutNonces(traderId)).to.equal(1);
+      for (const { tradeId } of trades) {
+        expect(await tradeLedger.isTradeVerified(tradeId)).to.deep.equal([true, batchId]);
+      }
+    });
+
+    it("Should enforce the payout cooldown and accumulate lifetime PnL", async function () {
+      const system = await loadFixture(settledFixture);
+      const { payoutManager, traderRegistry, traderId } = system;
+      await requestPayout(system, system);
+
+      const next = await submitBatch(system, [trade(traderId, tokens(150))]);
+      expect(await payoutManager.canRequestPayout(traderId)).to.deep.equal([false, "Cooldown not passed"]);
+      await expect(requestPayout(system, next)).to.be.revertedWith("PayoutManager: Cooldown not passed");
+
+      await time.increase(await payoutManager.payoutCooldown());
+      expect(await payoutManager.canRequestPayout(traderId)).to.deep.equal([true, "Eligible"]);
+      await requestPayout(system, next);
+
+      expect((await traderRegistry.getTraderInfo(traderId)).lifetimePnL).to.equal(tokens(950));
+      expect(await payoutManager.getTraderPayoutHistory(traderId)).to.have.length(2);
+    });
+
+    it("Should reject a replayed operator signature", async function () {
+      const system = await loadFixture(settledFixture);
+      const { traderId, trader, batchId } = system;
+
+      const signature = await sign(system, { traderId, recipient: trader.address, batchId });
+      await requestPayout(system, { ...system, signature });
+      await time.increase(await system.payoutManager.payoutCooldown());
+
+      // The nonce the signature covers has been used, so it is refused for its own batch and any other
+      const next = await submitBatch(system, [trade(traderId, tokens(150))]);
+      await expect(requestPayout(system, { ...next, signature })).to.be.revertedWith(
+        "PayoutManager: Invalid operator signature",
+      );
+      await expect(requestPayout(system, { ...system, signature })).to.be.revertedWith(
+        "PayoutManager: Invalid operator signature",
+      );
+    });
+
+    it("Should reject signatures from accounts without OPERATOR_ROLE", async function () {
+      const system = await loadFixture(settledFixture);
+      const { traderId, trader, batchId, stranger } = system;
+
+      const signature = await sign(system, { traderId, recipient: trader.address, batchId, signer: stranger });
+      await expect(requestPayout(system, { ...system, signature })).to.be.revertedWith(
+        "PayoutManager: Invalid operator signature",
+      );
+    });
+  });
+
+  describe("Rejected Payouts", function () {
+    it("Should reject trades that belong to another trader", async function () {
+      const system = await loadFixture(settledFixture);
+
+      await expect(requestPayout(system, { ...system, slice: system.batch.forTrader(BOB) })).to.be.revertedWith(
+        "TradeLedger: Wrong trader",
+      );
+    });
+
+    it("Should reject a tradeId that was already paid out", async function () {
+      const system = await loadFixture(settledFixture);
+      const { traderId } = system;
+      await requestPayout(system, system);
+      await time.increase(await system.payoutManager.payoutCooldown());
+
+      // The operator re-settles a paid trade in a later batch
+      const [paid] = system.batch.forTrader(traderId).trades;
+      const next = await submitBatch(system, [{ ...paid, fee: paid.fee + 1n }, trade(traderId, tokens(150))]);
+      await expect(requestPayout(system, next)).to.be.revertedWith("TradeLedger: Trade already verified");
+    });
+
+    it("Should reject batches where the trader's PnL is not positive", async function () {
+      const system = await loadFixture(fundedFixture);
+      const { traderId } = system;
+
+      const losing = await submitBatch(system, [trade(traderId, tokens(300)), trade(traderId, tokens(-400))]);
+      await expect(requestPayout(system, losing)).to.be.revertedWith("PayoutManager: Non-positive PnL");
+
+      const flat = await submitBatch(system, [trade(traderId, tokens(50)), trade(traderId, tokens(-50))]);
+      await expect(requestPayout(system, flat)).to.be.revertedWith("PayoutManager: Non-positive PnL");
+
+      const small = await submitBatch(system, [trade(traderId, tokens(99))]);
+      await expect(requestPayout(system, small)).to.be.revertedWith("PayoutManager: Below minimum");
+    });
+
+    it("Should reject trades altered after settlement", async function () {
+      const system = await loadFixture(settledFixture);
+      const { trades, proofs } = system.batch.forTrader(system.traderId);
+
+      const inflated = [{ ...trades[0], pnl: trades[0].pnl * 10n }, ...trades.slice(1)];
+      await expect(requestPayout(system, { ...system, slice: { trades: inflated, proofs } })).to.be.revertedWith(
+        "TradeLedger: Invalid proof",
+      );
+    });
+
+    it("Should leave balances, nonces and trades untouched when a payout reverts", async function () {
+      const system = await loadFixture(settledFixture);
+      const { payoutManager, tradeLedger, usdc, trader, traderId } = system;
+
+      await expect(requestPayout(system, { ...system, slice: system.batch.forTrader(BOB) })).to.be.reverted;
+
+      expect(await usdc.balanceOf(trader.address)).to.equal(0);
+      expect(await payoutManager.payoutNonces(traderId)).to.equal(0);
+      const [first] = system.batch.forTrader(traderId).trades;
+      expect((await tradeLedger.isTradeVerified(first.tradeId))[0]).to.be.false;
+
+      // The untouched authorization path still works afterwards
+      await requestPayout(system, system);
+      expect(await payoutManager.payoutNonces(traderId)).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,571 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildSettlementBatch } = require("../src/settlement");
+const { signPayoutAuthorization } = require("../src/payouts");
+const { registerTrader } = require("../src/traders");
+const { LP_BALANCE, deploySystemFixture } = require("./helpers/system");
+const { makeTrade } = require("./helpers/trades");
+const {
+  optionsFromEnv,
+  integer,
+  executeSequence,
+  shrinkInteger,
+  shrinkField,
+  checkProperty,
+} = require("./helpers/property");
+
+describe("Protocol Invariants", function () {
+  const tokens = (value) => ethers.parseEther(String(value));
+  const pick = (rng, count) => Math.floor(rng() * count);
+  const ofBps = (amount, bps) => (amount * BigInt(bps)) / 10_000n;
+
+  const VAULT_DAILY_LIMIT = tokens(1_000_000);
+  const VAULT_LARGE_TRANSFER = tokens(100_000);
+  const RESERVE_FUNDS = tokens(100_000_000);
+
+  /**
+   * deploySystemFixture plus what the commands act through: three funded LPs, two active traders, and the
+   * deployer standing in for the contracts that would call the pool (PayoutManager), the vault (CapitalPool)
+   * and the insurance fund (claims) on-chain
+   */
+  async function invariantFixture() {
+    const system = await deploySystemFixture();
+    const { deployer, operator, lp, stranger, usdc, capitalPool, traderRegistry, vault, insuranceFund } = system;
+    const accounts = await ethers.getSigners();
+    const [treasury, bob] = [accounts[8], accounts[9]];
+
+    const lps = [lp, stranger, treasury];
+    for (const account of lps.slice(1)) {
+      await usdc.mint(account.address, LP_BALANCE);
+      await usdc.connect(account).approve(await capitalPool.getAddress(), ethers.MaxUint256);
+    }
+
+    const { traderId: bobId } = await registerTrader({
+      registry: traderRegistry,
+      operator,
+      accountId: "invariant-bob",
+      traderAddress: bob.address,
+    });
+    const traders = [
+      { traderId: system.traderId, signer: system.trader },
+      { traderId: bobId, signer: bob },
+    ];
+    await traderRegistry.setPayoutManager(deployer.address);
+    for (const { traderId } of traders) await traderRegistry.activateAccount(traderId);
+    await capitalPool.setPayoutManager(deployer.address);
+
+    await vault.setCapitalPool(deployer.address);
+    await vault.whitelistAsset(await usdc.getAddress(), VAULT_DAILY_LIMIT);
+    await vault.updateLargeTransferThreshold(VAULT_LARGE_TRANSFER);
+
+    await insuranceFund.activateAsset(await usdc.getAddress());
+    await insuranceFund.grantRole(await insuranceFund.CLAIMER_ROLE(), deployer.address);
+
+    await usdc.mint(deployer.address, RESERVE_FUNDS);
+    await usdc.approve(await vault.getAddress(), ethers.MaxUint256);
+    await usdc.approve(await insuranceFund.getAddress(), ethers.MaxUint256);
+
+    return { ...system, lps, traders };
+  }
+
+  /** What the model expects the pool, vault and insurance fund to hold; everything else is read on-chain */
+  async function setup() {
+    const system = await loadFixture(invariantFixture);
+    const model = {
+      pool: 0n,
+      vault: 0n,
+      reserves: 0n,
+      trades: 0,
+      loss: false,
+      price: null,
+    };
+    return { system, model };
+  }
+
+  async function emitted(contract, tx, name) {
+    const receipt = await (await tx).wait();
+    return receipt.logs.map((log) => contract.interface.parseLog(log)).find((parsed) => parsed?.name === name).args;
+  }
+
+  async function withdrawalShares({ capitalPool, lps }, { lp, bps }) {
+    const info = await capitalPool.lpInfo(lps[lp].address);
+    const shares = ofBps(info.shares, bps);
+    const totalShares = await capitalPool.totalShares();
+    const amount = totalShares > 0n ? (shares * (await capitalPool.getTotalAssets())) / totalShares : 0n;
+    return { info, shares, amount };
+  }
+
+  async function allocationHeadroom({ capitalPool }) {
+    const cap = ofBps(await capitalPool.getTotalAssets(), await capitalPool.MAX_ALLOCATION_PCT());
+    const allocated = await capitalPool.totalAllocated();
+    return cap > allocated ? cap - allocated : 0n;
+  }
+
+  async function vaultTransferAmount({ usdc, vault }, { bps }) {
+    const balance = await usdc.balanceOf(await vault.getAddress());
+    const limit = await vault.getRemainingDailyLimit(await usdc.getAddress());
+    return ofBps(balance < limit ? balance : limit, bps);
+  }
+
+  const commands = [
+    {
+      name: "deposit",
+      weight: 3,
+      arbitrary: (rng) => ({ lp: pick(rng, 3), amount: integer(rng, 1_000, 200_000) }),
+      check: async ({ capitalPool, usdc, lps }, model, { lp, amount }) => {
+        // An insolvent pool (assets written down to zero) refuses deposits with "Zero total assets"
+        if ((await capitalPool.totalShares()) > 0n && (await capitalPool.getTotalAssets()) === 0n) return false;
+        return (await usdc.balanceOf(lps[lp].address)) >= tokens(amount);
+      },
+      run: async ({ capitalPool, lps }, model, { lp, amount }) => {
+        await capitalPool.connect(lps[lp]).deposit(tokens(amount));
+        model.pool += tokens(amount);
+      },
+      shrink: (args) => [...shrinkField(args, "lp"), ...shrinkField(args, "amount", 1_000)],
+    },
+    {
+      name: "requestWithdrawal",
+      weight: 2,
+      arbitrary: (rng) => ({ lp: pick(rng, 3), bps: integer(rng, 1, 10_000) }),
+      check: async (system, model, args) => {
+        const { info, shares, amount } = await withdrawalShares(system, args);
+        // A pool LP withdraws once: the executed request is never cleared ("Pending request exists")
+        if (info.withdrawalRequest.executed || shares === 0n || amount === 0n) return false;
+        return amount <= (await system.capitalPool.getAvailableLiquidity());
+      },
+      run: async (system, model, args) => {
+        const { shares } = await withdrawalShares(system, args);
+        await system.capitalPool.connect(system.lps[args.lp]).requestWithdrawal(shares);
+      },
+      shrink: (args) => [...shrinkField(args, "lp"), ...shrinkField(args, "bps", 1)],
+    },
+    {
+      name: "executeWithdrawal",
+      weight: 2,
+      arbitrary: (rng) => ({ lp: pick(rng, 3) }),
+      check: async ({ capitalPool, usdc, lps }, model, { lp }) => {
+        const { withdrawalRequest } = await capitalPool.lpInfo(lps[lp].address);
+        if (withdrawalRequest.amount === 0n || withdrawalRequest.executed) return false;
+        return withdrawalRequest.amount <= (await usdc.balanceOf(await capitalPool.getAddress()));
+      },
+      run: async ({ capitalPool, lps }, model, { lp }) => {
+        const { withdrawalRequest } = await capitalPool.lpInfo(lps[lp].address);
+        const availableAt = withdrawalRequest.requestTime + (await capitalPool.vestingPeriod());
+        if ((await time.latest()) < availableAt) await time.increaseTo(availableAt);
+        await capitalPool.connect(lps[lp]).executeWithdrawal();
+        model.pool -= withdrawalRequest.amount;
+      },
+      shrink: (args) => shrinkField(args, "lp"),
+    },
+    {
+      name: "allocate",
+      weight: 2,
+      arbitrary: (rng) => ({ trader: pick(rng, 2), bps: integer(rng, 1, 10_000) }),
+      check: async (system, model, { bps }) => ofBps(await allocationHeadroom(system), bps) > 0n,
+      run: async (system, model, { trader, bps }) => {
+        const amount = ofBps(await allocationHeadroom(system), bps);
+        await system.capitalPool.allocateToTrader(system.traders[trader].traderId, amount);
+      },
+      shrink: (args) => [...shrinkField(args, "trader"), ...shrinkField(args, "bps", 1)],
+    },
+    {
+      name: "deallocate",
+      arbitrary: (rng) => ({ trader: pick(rng, 2), bps: integer(rng, 1, 10_000) }),
+      check: async ({ capitalPool, traders }, model, { trader, bps }) => {
+        const allocation = await capitalPool.traderAllocations(traders[trader].traderId);
+        return allocation.active && ofBps(allocation.allocated, bps) > 0n;
+      },
+      run: async ({ capitalPool, traders }, model, { trader, bps }) => {
+        const { traderId } = traders[trader];
+        const allocation = await capitalPool.traderAllocations(traderId);
+        await capitalPool.deallocateFromTrader(traderId, ofBps(allocation.allocated, bps), allocation.pnl);
+      },
+      shrink: (args) => [...shrinkField(args, "trader"), ...shrinkField(args, "bps", 1)],
+    },
+    {
+      name: "updatePnL",
+      weight: 2,
+      arbitrary: (rng) => ({ trader: pick(rng, 2), pnl: integer(rng, -20_000, 20_000) }),
+      check: async ({ capitalPool, traders }, model, { trader }) =>
+        (await capitalPool.traderAllocations(traders[trader].traderId)).active,
+      run: async ({ capitalPool, traders }, model, { trader, pnl }) => {
+        const { traderId } = traders[trader];
+        const previous = (await capitalPool.traderAllocations(traderId)).pnl;
+        await capitalPool.updateTraderPnL(traderId, tokens(pnl));
+        if (tokens(pnl) < previous) model.loss = true;
+      },
+      shrink: (args) => [...shrinkField(args, "trader"), ...shrinkField(args, "pnl")],
+    },
+    {
+      name: "payout",
+      weight: 2,
+      arbitrary: (rng) => ({ trader: pick(rng, 2), pnl: integer(rng, 100, 5_000), other: integer(rng, -5_000, 5_000) }),
+      check: async ({ capitalPool, payoutManager, traders }, model, { trader, pnl }) => {
+        const { traderId } = traders[trader];
+        if (!(await capitalPool.traderAllocations(traderId)).active) return false;
+        const [traderShare] = await payoutManager.calculateProfitSplit(traderId, tokens(pnl));
+        return traderShare <= (await capitalPool.getAvailableLiquidity());
+      },
+      run: async (system, model, { trader, pnl, other }) => {
+        const { tradeLedger, payoutManager, operator, traders } = system;
+        const { traderId, signer } = traders[trader];
+        const trade = (id, value) =>
+          makeTrade({ traderId: id, tradeId: ethers.id(`invariant-${++model.trades}`), pnl: tokens(value) });
+
+        // The other trader's trade settles in the same batch but is not paid out
+        const batch = buildSettlementBatch([trade(traderId, pnl), trade(traders[1 - trader].traderId, other)]);
+        const { batchId } = await emitted(
+          tradeLedger,
+          tradeLedger.connect(operator).submitBatch(...batch.submitBatchArgs("invariants")),
+          "BatchSubmitted",
+        );
+
+        const nextPayout = (await payoutManager.lastPayoutTime(traderId)) + (await payoutManager.payoutCooldown());
+        if ((await time.latest()) < nextPayout) await time.increaseTo(nextPayout);
+
+        const signature = await signPayoutAuthorization(operator, {
+          traderId,
+          recipient: signer.address,
+          batchId,
+          nonce: await payoutManager.payoutNonces(traderId),
+          chainId: (await ethers.provider.getNetwork()).chainId,
+          payoutManager: await payoutManager.getAddress(),
+        });
+        const { trades, proofs } = batch.forTrader(traderId);
+        const { traderShare } = await emitted(
+          payoutManager,
+          payoutManager.connect(signer).requestPayout(traderId, signer.address, batchId, proofs, trades, signature),
+          "PayoutRequested",
+        );
+
+        // The pool pays the trader's profit share: a loss to LPs
+        model.pool -= traderShare;
+        model.loss = true;
+      },
+      shrink: (args) => [
+        ...shrinkField(args, "trader"),
+        ...shrinkField(args, "other"),
+        ...shrinkField(args, "pnl", 100),
+      ],
+    },
+    {
+      name: "vaultDeposit",
+      arbitrary: (rng) => ({ amount: integer(rng, 1, 500_000) }),
+      run: async ({ vault, usdc }, model, { amount }) => {
+        await vault.deposit(await usdc.getAddress(), tokens(amount));
+        model.vault += tokens(amount);
+      },
+      shrink: (args) => shrinkField(args, "amount", 1),
+    },
+    {
+      name: "vaultTransfer",
+      arbitrary: (rng) => ({ bps: integer(rng, 1, 10_000) }),
+      check: async (system, model, args) => (await vaultTransferAmount(system, args)) > 0n,
+      run: async (system, model, args) => {
+        const { vault, usdc, deployer, guardian, stranger } = system;
+        const amount = await vaultTransferAmount(system, args);
+        const tx = vault.requestTransfer(await usdc.getAddress(), stranger.address, amount);
+
+        // Large transfers wait for two guardians and the timelock; small ones execute on request
+        if (amount > VAULT_LARGE_TRANSFER) {
+          const { requestId } = await emitted(vault, tx, "TransferRequested");
+          await vault.connect(deployer).approveTransfer(requestId);
+          await vault.connect(guardian).approveTransfer(requestId);
+          await time.increase(await vault.timelockDuration());
+          await vault.executeTransfer(requestId);
+        } else {
+          await (await tx).wait();
+        }
+        model.vault -= amount;
+      },
+      shrink: (args) => shrinkField(args, "bps", 1),
+    },
+    {
+      name: "insuranceDeposit",
+      arbitrary: (rng) => ({ amount: integer(rng, 1, 200_000) }),
+      run: async ({ insuranceFund, usdc }, model, { amount }) => {
+        await insuranceFund.addReserve(await usdc.getAddress(), tokens(amount));
+        model.reserves += tokens(amount);
+      },
+      shrink: (args) => shrinkField(args, "amount", 1),
+    },
+    {
+      name: "insuranceClaim",
+      weight: 2,
+      arbitrary: (rng) => ({ trader: pick(rng, 2), amount: integer(rng, 1, 100_000), approve: rng() < 0.8 }),
+      check: async ({ insuranceFund, usdc, traders }, model, { trader, amount }) => {
+        const [eligible] = await insuranceFund.canClaim(
+          traders[trader].traderId,
+          await usdc.getAddress(),
+          tokens(amount),
+        );
+        return eligible;
+      },
+      run: async ({ insuranceFund, usdc, traders }, model, { trader, amount, approve }) => {
+        const { claimId } = await emitted(
+          insuranceFund,
+          insuranceFund.submitClaim(traders[trader].traderId, await usdc.getAddress(), tokens(amount), "invariants"),
+          "ClaimSubmitted",
+        );
+        if (approve) {
+          await insuranceFund.approveClaim(claimId);
+          model.reserves -= tokens(amount);
+        } else {
+          await insuranceFund.rejectClaim(claimId, "invariants");
+        }
+      },
+      shrink: (args) => [
+        ...(args.approve ? [] : [{ ...args, approve: true }]),
+        ...shrinkField(args, "trader"),
+        ...shrinkField(args, "amount", 1),
+      ],
+    },
+  ];
+
+  const invariants = [
+    {
+      name: "pool assets",
+      check: async ({ capitalPool, usdc, traders }, model) => {
+        const balance = await usdc.balanceOf(await capitalPool.getAddress());
+        expect(balance, "pool token balance").to.equal(model.pool);
+
+        // Allocations move no tokens, so the assets are the tokens held plus each active trader's open PnL, once
+        let pnl = 0n;
+        for (const { traderId } of traders) {
+          const allocation = await capitalPool.traderAllocations(traderId);
+          if (allocation.active) pnl += allocation.pnl;
+        }
+        const assets = balance + pnl;
+        expect(await capitalPool.getTotalAssets(), "getTotalAssets").to.equal(assets > 0n ? assets : 0n);
+      },
+    },
+    {
+      name: "allocation cap",
+      check: async ({ capitalPool }) => {
+        const cap = ofBps(await capitalPool.getTotalAssets(), await capitalPool.MAX_ALLOCATION_PCT());
+        expect(await capitalPool.totalAllocated(), "totalAllocated").to.be.lte(cap);
+      },
+    },
+    {
+      name: "share price",
+      check: async ({ capitalPool }, model) => {
+        const price = { assets: await capitalPool.getTotalAssets(), shares: await capitalPool.totalShares() };
+        const previous = model.price;
+        const loss = model.loss;
+        model.price = price.shares > 0n ? price : null;
+        model.loss = false;
+
+        // assets / shares must not fall; compared cross-multiplied so rounding cannot hide a drop
+        if (!previous || !model.price || loss) return;
+        expect(price.assets * previous.shares, "assets x previous shares").to.be.gte(previous.assets * price.shares);
+      },
+    },
+    {
+      name: "insurance reserves",
+      check: async ({ insuranceFund, usdc }, model) => {
+        const reserve = await insuranceFund.getReserveInfo(await usdc.getAddress());
+        expect(reserve.balance, "reserve balance").to.equal(model.reserves);
+        expect(reserve.totalDeposited - reserve.totalClaimed, "deposited - claimed").to.equal(reserve.balance);
+        expect(await insuranceFund.getTotalReserveValue(), "totalReserveValue").to.equal(reserve.balance);
+        expect(reserve.balance, "reserve balance").to.be.lte(await usdc.balanceOf(await insuranceFund.getAddress()));
+      },
+    },
+    {
+      name: "ledger statistics",
+      check: async ({ tradeLedger }) => {
+        const count = await tradeLedger.getBatchCount();
+        const sum = { tradeCount: 0n, volume: 0n, pnl: 0n };
+        for (let i = 0n; i < count; i++) {
+          const batch = await tradeLedger.getBatch(await tradeLedger.batchIds(i));
+          sum.tradeCount += batch.tradeCount;
+          sum.volume += batch.totalVolume;
+          sum.pnl += batch.netPnL;
+        }
+
+        const stats = await tradeLedger.getStatistics();
+        expect(stats.batchCount, "batchCount").to.equal(count);
+        expect(stats.tradeCount, "tradeCount").to.equal(sum.tradeCount);
+        expect(stats.volume, "volume").to.equal(sum.volume);
+        expect(stats.pnl, "pnl").to.equal(sum.pnl);
+      },
+    },
+    {
+      name: "vault balance",
+      check: async ({ vault, usdc }, model) => {
+        expect(await usdc.balanceOf(await vault.getAddress()), "vault token balance").to.equal(model.vault);
+      },
+    },
+  ];
+
+  const property = { setup, commands, invariants };
+
+  /**
+   * CapitalPool accounting bugs the property found, with the sequences it shrank them to. Each is tracked under
+   * "Known issues" in docs/INVARIANTS.md by its id; set `open: false` when the contract fix lands.
+   */
+  const KNOWN_ISSUES = [
+    {
+      id: "INV-1",
+      title: "getTotalAssets counts allocated capital the pool never received",
+      invariant: "pool assets",
+      open: true,
+      sequence: [
+        { command: "deposit", args: { lp: 0, amount: 1000 } },
+        { command: "allocate", args: { trader: 0, bps: 1 } },
+      ],
+    },
+    {
+      id: "INV-2",
+      title: "A re-allocated trader's PnL is counted twice",
+      invariant: "pool assets",
+      open: true,
+      sequence: [
+        { command: "deposit", args: { lp: 0, amount: 1000 } },
+        { command: "allocate", args: { trader: 0, bps: 1 } },
+        { command: "deallocate", args: { trader: 0, bps: 10_000 } },
+        { command: "allocate", args: { trader: 0, bps: 1 } },
+        { command: "updatePnL", args: { trader: 0, pnl: 1 } },
+      ],
+    },
+    {
+      id: "INV-3",
+      title: "Losses after a withdrawal request fall entirely on the remaining LPs",
+      invariant: "share price",
+      open: true,
+      sequence: [
+        { command: "deposit", args: { lp: 2, amount: 1000 } },
+        { command: "allocate", args: { trader: 0, bps: 1 } },
+        { command: "requestWithdrawal", args: { lp: 2, bps: 1 } },
+        { command: "payout", args: { trader: 0, pnl: 100, other: 0 } },
+        { command: "executeWithdrawal", args: { lp: 2 } },
+      ],
+    },
+    {
+      id: "INV-4",
+      title: "Withdrawals can leave totalAllocated above the allocation cap",
+      invariant: "allocation cap",
+      open: true,
+      sequence: [
+        { command: "deposit", args: { lp: 0, amount: 100_000 } },
+        { command: "allocate", args: { trader: 0, bps: 10_000 } },
+        { command: "requestWithdrawal", args: { lp: 0, bps: 5_000 } },
+        { command: "executeWithdrawal", args: { lp: 0 } },
+      ],
+    },
+  ];
+
+  describe("Random Sequences", function () {
+    it("Should hold every invariant across random command sequences", async function () {
+      this.timeout(0);
+      const overrides = optionsFromEnv();
+      // Every default run fails on an open known issue, so until they are fixed the search only runs on request
+      if (Object.keys(overrides).length === 0 && KNOWN_ISSUES.some((issue) => issue.open)) this.skip();
+      const { applied } = await checkProperty(property, {
+        seed: 1,
+        runs: 10,
+        steps: 40,
+        replayCommand: "pnpm test test/26_Invariants.test.js",
+        ...overrides,
+      });
+
+      // A command that never applies tests nothing: the default runs must reach all of them
+      if (Object.keys(overrides).length === 0) {
+        expect(Object.keys(applied)).to.have.members(commands.map((command) => command.name));
+      }
+    });
+  });
+
+  describe("Known issues", function () {
+    for (const issue of KNOWN_ISSUES) {
+      // Pending while open; once fixed, the shrunk sequence stays as a regression test
+      (issue.open ? it.skip : it)(`${issue.id}: ${issue.title}`, async function () {
+        const only = invariants.filter((invariant) => invariant.name === issue.invariant);
+        const { failure } = await executeSequence({ ...property, invariants: only }, issue.sequence);
+        if (failure) throw failure.error;
+      });
+    }
+  });
+});
+
+describe("Property Runner", function () {
+  // A counter that must stay below ten; `add` moves it by at most eight, so failures need two steps or more
+  const counter = {
+    setup: async () => ({ system: { value: 0 }, model: {} }),
+    commands: [
+      {
+        name: "add",
+        arbitrary: (rng) => ({ by: integer(rng, 0, 8) }),
+        run: async (system, model, { by }) => {
+          system.value += by;
+        },
+        shrink: (args) => shrinkField(args, "by"),
+      },
+      {
+        name: "halve",
+        check: (system) => system.value > 0,
+        arbitrary: () => ({}),
+        run: async (system) => {
+          system.value = Math.floor(system.value / 2);
+        },
+      },
+    ],
+    invariants: [
+      {
+        name: "below ten",
+        check: async (system) => expect(system.value).to.be.lt(10),
+      },
+    ],
+  };
+
+  const failure = (promise) => promise.then(() => null).catch((error) => error);
+
+  it("Should shrink a failing sequence to a minimal one", async function () {
+    const error = await failure(checkProperty(counter, { seed: 7, runs: 20, steps: 30 }));
+
+    expect(error.message).to.match(/^Property failed on run \d+ \(INVARIANT_SEED=7\)/);
+    expect(error.failure).to.include({ kind: "invariant", name: "below ten" });
+    expect(error.sequence.map((entry) => entry.command)).to.deep.equal(["add", "add"]);
+    expect(error.sequence.reduce((sum, entry) => sum + entry.args.by, 0)).to.equal(10);
+  });
+
+  it("Should replay the sequence printed with a failure", async function () {
+    const error = await failure(checkProperty(counter, { seed: 7, runs: 20, steps: 30, replayCommand: "replay" }));
+    const [, replay] = error.message.match(/INVARIANT_REPLAY='(.*)' replay$/);
+    expect(JSON.parse(replay)).to.deep.equal(error.sequence);
+
+    const again = await failure(checkProperty(counter, { replay: JSON.parse(replay) }));
+    expect(again.sequence).to.deep.equal(error.sequence);
+    expect(again.failure.name).to.equal("below ten");
+  });
+
+  it("Should skip commands that do not apply", async function () {
+    const { failure: none, applied } = await executeSequence(counter, [
+      { command: "halve", args: {} },
+      { command: "add", args: { by: 4 } },
+      { command: "halve", args: {} },
+    ]);
+
+    expect(none).to.be.null;
+    expect(applied.map((entry) => entry.command)).to.deep.equal(["add", "halve"]);
+  });
+
+  it("Should shrink integers toward a target", function () {
+    expect(shrinkInteger(100)).to.deep.equal([0, 50, 75, 88, 94, 97, 99]);
+    expect(shrinkInteger(-7)).to.deep.equal([0, -4, -6]);
+    expect(shrinkInteger(1_000, 1_000)).to.deep.equal([]);
+    expect(shrinkField({ lp: 2, amount: 5 }, "lp")).to.deep.equal([
+      { lp: 0, amount: 5 },
+      { lp: 1, amount: 5 },
+    ]);
+  });
+
+  it("Should read options from the environment", function () {
+    expect(optionsFromEnv({})).to.deep.equal({});
+    expect(
+      optionsFromEnv({ INVARIANT_SEED: "42", INVARIANT_RUNS: "3", INVARIANT_STEPS: "", INVARIANT_REPLAY: "[]" }),
+    ).to.deep.equal({ seed: 42, runs: 3, replay: [] });
+    expect(() => optionsFromEnv({ INVARIANT_RUNS: "-1" })).to.throw("INVARIANT_RUNS must be a non-negative integer");
+    expect(() => optionsFromEnv({ INVARIANT_REPLAY: "{}" })).to.throw("INVARIANT_REPLAY must be a JSON array");
+  });
+});
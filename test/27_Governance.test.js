@@ -0,0 +1,399 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DeploymentRegistry } = require("../src/deploy");
+const {
+  parseInteger,
+  parseAction,
+  coerceArgument,
+  buildProposal,
+  loadProposalFile,
+  simulateCalls,
+  getProposalStatus,
+  EXECUTION_WINDOW,
+} = require("../src/governance");
+const { deploySystemFixture } = require("./helpers/system");
+
+describe("Governance Proposals", function () {
+  const readArtifact = (name) => hre.artifacts.readArtifact(name);
+  const ORACLES = ["cryptoOracle", "stockOracle", "forexOracle", "commodityOracle", "indexOracle"];
+  const ACTIONS = ["PayoutManager.updatePayoutCooldown 3d", "OracleBase.updateMaxDeviation 300 on all oracles"];
+
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "chainflow-governance-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * The system with GovernanceManager holding the roles ACTIONS and the example proposal need: the manifest
+   * leaves GOVERNANCE_ROLE and ADMIN_ROLE with the deployer, so they are granted here. The deployer and the
+   * lp vote.
+   */
+  async function governedFixture() {
+    const system = await deploySystemFixture();
+    const { governanceManager, payoutManager, keeperIncentive, deployer, lp } = system;
+    const governance = await governanceManager.getAddress();
+
+    await payoutManager.grantRole(await payoutManager.GOVERNANCE_ROLE(), governance);
+    await keeperIncentive.grantRole(await keeperIncentive.GOVERNANCE_ROLE(), governance);
+    for (const name of ORACLES) {
+      await system[name].grantRole(await system[name].ADMIN_ROLE(), governance);
+    }
+    await governanceManager.grantRole(await governanceManager.ADMIN_ROLE(), governance);
+    await governanceManager.grantVoterRole(deployer.address, 60);
+    await governanceManager.grantVoterRole(lp.address, 40);
+    return system;
+  }
+
+  function saveRecord(record) {
+    const registry = new DeploymentRegistry(dir);
+    registry.save(structuredClone(record));
+    return registry.pathFor(record.name);
+  }
+
+  function writeProposal(actions, description = "Tune payouts, oracles and fees") {
+    const file = path.join(dir, "proposal.json");
+    fs.writeFileSync(file, JSON.stringify({ description, actions }));
+    return file;
+  }
+
+  async function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await fn();
+    } finally {
+      console.log = log;
+    }
+  }
+
+  describe("Actions", function () {
+    it("Should parse space-separated, parenthesized and targeted actions", function () {
+      expect(parseAction("PayoutManager.updatePayoutCooldown 3d")).to.deep.equal({
+        contract: "PayoutManager",
+        function: "updatePayoutCooldown",
+        args: ["3d"],
+        on: null,
+      });
+      expect(parseAction('setParam("lp_fee_bps", 25)')).to.deep.equal({
+        contract: null,
+        function: "setParam",
+        args: ["lp_fee_bps", "25"],
+        on: null,
+      });
+      expect(parseAction("OracleBase.updateMaxDeviation(300) on cryptoOracle, stockOracle").on).to.equal(
+        "cryptoOracle, stockOracle",
+      );
+      expect(parseAction('registry.setName "a, b" on all').args).to.deep.equal(["a, b"]);
+      expect(() => parseAction("payoutManager.updatePayoutCooldown(3d")).to.throw("Unclosed parenthesis");
+      expect(() => parseAction("payoutManager.updatePayoutCooldown(3d) at all")).to.throw('Unexpected "at all"');
+    });
+
+    it("Should read integers, durations and scientific notation", function () {
+      expect(parseInteger("3d")).to.equal(259200n);
+      expect(parseInteger("1.5h")).to.equal(5400n);
+      expect(parseInteger("2w")).to.equal(1209600n);
+      expect(parseInteger("1_000")).to.equal(1000n);
+      expect(parseInteger("150e18")).to.equal(ethers.parseEther("150"));
+      expect(parseInteger("1.5e18")).to.equal(ethers.parseEther("1.5"));
+      expect(parseInteger(25)).to.equal(25n);
+      expect(() => parseInteger("1.5e0")).to.throw("not an integer");
+      expect(() => parseInteger("0.5s")).to.throw("whole number of seconds");
+      expect(() => parseInteger(1e19)).to.throw("not a safe integer");
+      expect(() => parseInteger("3 days")).to.throw("not an integer or a duration");
+    });
+
+    it("Should coerce bytes32 keys and roles, and addresses by record name", function () {
+      const record = { name: "test", deployer: ethers.ZeroAddress, contracts: { vault: ethers.ZeroAddress } };
+      const bytes32 = ethers.ParamType.from("bytes32 key");
+      expect(coerceArgument(bytes32, "lp_fee_bps", record)).to.equal(ethers.encodeBytes32String("lp_fee_bps"));
+      expect(coerceArgument(bytes32, "GOVERNANCE_ROLE", record)).to.equal(ethers.id("GOVERNANCE_ROLE"));
+      expect(coerceArgument(bytes32, ethers.id("x"), record)).to.equal(ethers.id("x"));
+
+      const address = ethers.ParamType.from("address account");
+      expect(coerceArgument(address, "vault", record)).to.equal(ethers.ZeroAddress);
+      expect(() => coerceArgument(address, "treasury", record)).to.throw("not an address or a contract");
+
+      const amounts = ethers.ParamType.from("uint256[] amounts");
+      expect(coerceArgument(amounts, "[1d, 2]", record)).to.deep.equal([86400n, 2n]);
+      expect(() => coerceArgument(ethers.ParamType.from("uint256 x"), "-1", record)).to.throw("cannot be negative");
+    });
+
+    it("Should encode each action once per target against the deployment ABIs", async function () {
+      const { record, payoutManager, cryptoOracle } = await loadFixture(deploySystemFixture);
+
+      const proposal = await buildProposal({
+        proposal: { description: " Tune ", actions: ACTIONS },
+        record,
+        readArtifact,
+      });
+
+      expect(proposal.description).to.equal("Tune");
+      expect(proposal.calls.map((call) => call.contract)).to.deep.equal(["payoutManager", ...ORACLES]);
+      expect(proposal.targets[0]).to.equal(await payoutManager.getAddress());
+      expect(proposal.calldatas[0]).to.equal(
+        payoutManager.interface.encodeFunctionData("updatePayoutCooldown", [3 * 86400]),
+      );
+      expect(proposal.calldatas[1]).to.equal(cryptoOracle.interface.encodeFunctionData("updateMaxDeviation", [300]));
+      expect(proposal.values).to.deep.equal(proposal.calls.map(() => 0n));
+      expect(proposal.calls.map((call) => call.call)).to.include.members([
+        "updatePayoutCooldown(259200)",
+        "updateMaxDeviation(300)",
+      ]);
+    });
+
+    it("Should reject unknown contracts, missing functions and wrong arguments", async function () {
+      const { record } = await loadFixture(deploySystemFixture);
+      const build = (actions) => buildProposal({ proposal: { description: "x", actions }, record, readArtifact });
+
+      await expect(build(["Treasury.sweep"])).to.be.rejectedWith("neither a contract nor an artifact");
+      await expect(build(["payoutManager.updateMaxDeviation 300"])).to.be.rejectedWith(
+        "PayoutManager has no function updateMaxDeviation",
+      );
+      await expect(build(["OracleBase.updateMaxDeviation 300 on payoutManager"])).to.be.rejectedWith(
+        "payoutManager has no updateMaxDeviation(uint256)",
+      );
+      await expect(build(["OracleBase.updateMaxDeviation 300 on treasury"])).to.be.rejectedWith(
+        "treasury is not in deployment",
+      );
+      await expect(build(["payoutManager.updatePayoutCooldown 3d 4d"])).to.be.rejectedWith(
+        "takes 1 argument(s), got 2",
+      );
+      await expect(build([{ contract: "vault" }])).to.be.rejectedWith('needs a "function"');
+      await expect(build(['setParam("lp_fee_bps", 25)'])).to.be.rejectedWith(
+        "Action 1: governanceManager.setParam is nonReentrant, like execute, so it always reverts inside a proposal",
+      );
+      await expect(build(["updateQuorum 5000", "governanceManager.queue 1"])).to.be.rejectedWith(
+        "Action 2: governanceManager.queue is nonReentrant",
+      );
+    });
+
+    it("Should load JSON proposals and require a description and actions", function () {
+      expect(loadProposalFile(writeProposal(ACTIONS)).actions).to.deep.equal(ACTIONS);
+      expect(() => loadProposalFile(writeProposal(ACTIONS, " "))).to.throw("needs a description");
+      expect(() => loadProposalFile(writeProposal([]))).to.throw("needs at least one action");
+    });
+
+    it("Should load, encode and simulate the example YAML proposal", async function () {
+      const { record } = await loadFixture(governedFixture);
+      const proposal = loadProposalFile(path.join(__dirname, "../deploy/governance/example.yaml"));
+      expect(proposal.actions.slice(0, 2)).to.deep.equal(ACTIONS);
+
+      const { description, calls } = await buildProposal({ proposal, record, readArtifact });
+      expect(description).to.equal(
+        "Lengthen the payout cooldown, tighten oracle deviation and update the liquidation reward",
+      );
+      expect(calls.map((call) => `${call.contract}.${call.call}`)).to.deep.equal([
+        "payoutManager.updatePayoutCooldown(259200)",
+        ...ORACLES.map((name) => `${name}.updateMaxDeviation(300)`),
+        "keeperIncentive.updateRewardConfig(0, 150000000000000000000, 100, 500, 1000, true)",
+      ]);
+
+      const governanceManager = record.contracts.governanceManager;
+      const results = await simulateCalls({ provider: ethers.provider, governanceManager, calls, fork: true });
+      expect(results.filter((result) => !result.ok)).to.deep.equal([]);
+    });
+  });
+
+  describe("Simulation", function () {
+    it("Should run the calls as GovernanceManager and leave the chain untouched", async function () {
+      const { record, payoutManager, cryptoOracle } = await loadFixture(governedFixture);
+      const { calls } = await buildProposal({ proposal: { description: "x", actions: ACTIONS }, record, readArtifact });
+      const blockBefore = await ethers.provider.getBlockNumber();
+
+      const results = await simulateCalls({
+        provider: ethers.provider,
+        governanceManager: record.contracts.governanceManager,
+        calls,
+        fork: true,
+      });
+
+      expect(results.map((result) => result.ok)).to.deep.equal(calls.map(() => true));
+      expect(results[0].gasUsed).to.be.gt(0);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+      expect(await payoutManager.payoutCooldown()).to.equal(7 * 86400);
+      expect(await cryptoOracle.maxPriceDeviationBps()).to.equal(1000);
+    });
+
+    it("Should run the calls inside execute's reentrancy guard", async function () {
+      const { record, governanceManager: contract } = await loadFixture(governedFixture);
+      const governanceManager = record.contracts.governanceManager;
+      // buildProposal refuses this call, so it is encoded by hand
+      const setFee = {
+        contract: "governanceManager",
+        target: governanceManager,
+        value: 0n,
+        calldata: contract.interface.encodeFunctionData("setParam", [ethers.encodeBytes32String("lp_fee_bps"), 25]),
+      };
+
+      // GovernanceManager may set its own parameters, but not from a proposal
+      const forked = await simulateCalls({ provider: ethers.provider, governanceManager, calls: [setFee], fork: true });
+      expect(forked[0]).to.include({ ok: false, reason: "ReentrancyGuardReentrantCall()" });
+      const estimated = await simulateCalls({ provider: ethers.provider, governanceManager, calls: [setFee] });
+      expect(estimated[0].ok).to.be.true;
+    });
+
+    it("Should report the calls GovernanceManager lacks the role for", async function () {
+      const { record } = await loadFixture(deploySystemFixture);
+      const { calls } = await buildProposal({ proposal: { description: "x", actions: ACTIONS }, record, readArtifact });
+
+      for (const fork of [true, false]) {
+        const results = await simulateCalls({
+          provider: ethers.provider,
+          governanceManager: record.contracts.governanceManager,
+          calls,
+          fork,
+        });
+        expect(results.every((result) => !result.ok)).to.be.true;
+        expect(results[0].reason).to.equal(
+          `AccessControlUnauthorizedAccount(${record.contracts.governanceManager}, GOVERNANCE_ROLE)`,
+        );
+      }
+    });
+
+    it("Should let later calls depend on earlier ones only when simulating on a fork", async function () {
+      const { record, payoutManager } = await loadFixture(deploySystemFixture);
+      const governanceManager = record.contracts.governanceManager;
+      await payoutManager.grantRole(await payoutManager.DEFAULT_ADMIN_ROLE(), governanceManager);
+      const actions = [
+        "payoutManager.grantRole GOVERNANCE_ROLE governanceManager",
+        "payoutManager.updatePayoutCooldown 3d",
+      ];
+      const { calls } = await buildProposal({ proposal: { description: "x", actions }, record, readArtifact });
+
+      const forked = await simulateCalls({ provider: ethers.provider, governanceManager, calls, fork: true });
+      expect(forked.map((result) => result.ok)).to.deep.equal([true, true]);
+      expect(await payoutManager.hasRole(await payoutManager.GOVERNANCE_ROLE(), governanceManager)).to.be.false;
+
+      // Estimated one by one, the cooldown update does not see the grant before it
+      const estimated = await simulateCalls({ provider: ethers.provider, governanceManager, calls });
+      expect(estimated.map((result) => result.ok)).to.deep.equal([true, false]);
+    });
+  });
+
+  describe("Lifecycle Tasks", function () {
+    it("Should refuse to submit a proposal whose actions revert", async function () {
+      const { record, governanceManager } = await loadFixture(deploySystemFixture);
+      const deployment = saveRecord(record);
+      const proposal = writeProposal(ACTIONS);
+      const out = path.join(dir, "proposal-out.json");
+
+      await expect(quietly(() => hre.run("gov:propose", { proposal, deployment, out }))).to.be.rejectedWith(
+        "6 action(s) would revert on execution",
+      );
+      expect(await governanceManager.proposalCount()).to.equal(0);
+
+      const payload = JSON.parse(fs.readFileSync(out, "utf8"));
+      expect(payload.calls).to.have.length(6);
+      expect(payload.calls[0].simulation.ok).to.be.false;
+      expect(payload.transaction.to).to.equal(record.contracts.governanceManager);
+    });
+
+    it("Should simulate only on --dry-run", async function () {
+      const { record, governanceManager } = await loadFixture(governedFixture);
+      const deployment = saveRecord(record);
+
+      const { simulation } = await quietly(() =>
+        hre.run("gov:propose", { proposal: writeProposal(ACTIONS), deployment, dryRun: true }),
+      );
+      expect(simulation.every((result) => result.ok)).to.be.true;
+      expect(await governanceManager.proposalCount()).to.equal(0);
+    });
+
+    it("Should take a proposal from submission through voting and the timelock to execution", async function () {
+      const { record, governanceManager, payoutManager, lp } = await loadFixture(governedFixture);
+      const deployment = saveRecord(record);
+
+      const proposal = writeProposal(ACTIONS);
+      const { id } = await quietly(() => hre.run("gov:propose", { proposal, deployment }));
+      expect(id).to.equal(1);
+      let status = await quietly(() => hre.run("gov:status", { id: 1, deployment }));
+      expect(status.state).to.equal("Pending");
+      expect(status.next).to.match(/^Voting open for \d+ more block\(s\)/);
+      expect(status.calls[0].call).to.equal("updatePayoutCooldown(259200)");
+      expect(status.calls.at(-1)).to.include({ contract: "indexOracle", call: "updateMaxDeviation(300)" });
+
+      status = await quietly(() => hre.run("gov:vote", { id: 1, support: "for", deployment }));
+      expect(status.state).to.equal("Active");
+      expect(status.votes.for).to.equal(60);
+      expect(status.votes.quorumReached).to.be.true;
+      await expect(quietly(() => hre.run("gov:vote", { id: 1, support: "for", deployment }))).to.be.rejectedWith(
+        "already voted",
+      );
+      await governanceManager.connect(lp).castVote(1, 0, "");
+
+      await expect(quietly(() => hre.run("gov:queue", { id: 1, deployment }))).to.be.rejectedWith(
+        "Governance: Voting not ended",
+      );
+      await mine(status.endBlock - BigInt(await ethers.provider.getBlockNumber()));
+      status = await quietly(() => hre.run("gov:queue", { id: 1, deployment }));
+      expect(status.state).to.equal("Queued");
+      expect(status.eta).to.equal(status.now + 48 * 3600);
+      expect(status.next).to.equal(`Executable in 2.0d, at ${new Date(status.eta * 1000).toISOString()}`);
+
+      await expect(quietly(() => hre.run("gov:execute", { id: 1, deployment }))).to.be.rejectedWith(
+        "Proposal 1 is timelocked: Executable in 2.0d",
+      );
+      await time.increaseTo(status.eta);
+      status = await quietly(() => hre.run("gov:execute", { id: 1, deployment }));
+
+      expect(status.state).to.equal("Executed");
+      expect(status.next).to.equal("Final");
+      expect(await payoutManager.payoutCooldown()).to.equal(3 * 86400);
+      for (const name of ORACLES) {
+        const oracle = await ethers.getContractAt("OracleBase", record.contracts[name]);
+        expect(await oracle.maxPriceDeviationBps()).to.equal(300);
+      }
+      await expect(quietly(() => hre.run("gov:execute", { id: 1, deployment }))).to.be.rejectedWith(
+        "Proposal 1 is Executed, not Queued",
+      );
+    });
+
+    it("Should list every proposal and track defeat, quorum and expiry", async function () {
+      const { record, governanceManager, deployer, lp } = await loadFixture(governedFixture);
+      const deployment = saveRecord(record);
+      const setFee = governanceManager.interface.encodeFunctionData("setParam", [
+        ethers.encodeBytes32String("lp_fee_bps"),
+        25,
+      ]);
+      const propose = (description, calldata) =>
+        governanceManager.propose([record.contracts.governanceManager], [0], [calldata], description);
+      const governance = governanceManager;
+
+      await propose("Defeated", setFee);
+      await propose("Below quorum", "0x");
+      await propose("Expires", setFee);
+      await governanceManager.updateQuorum(5000);
+      await governanceManager.connect(deployer).castVote(1, 0, "");
+      await governanceManager.connect(lp).castVote(2, 1, "");
+      await governanceManager.connect(deployer).castVote(3, 1, "");
+
+      await mine((await governanceManager.getProposal(3)).endBlock);
+      expect((await getProposalStatus({ governance, id: 1 })).next).to.equal(
+        "Ready to queue, which will mark it Defeated",
+      );
+      expect((await getProposalStatus({ governance, id: 2 })).next).to.equal(
+        "Voting ended below quorum; queue will revert",
+      );
+      await governanceManager.queue(1);
+      await governanceManager.queue(3);
+
+      const { eta } = await getProposalStatus({ governance, id: 3 });
+      await time.increaseTo(eta + EXECUTION_WINDOW + 1);
+
+      const statuses = await quietly(() => hre.run("gov:status", { deployment }));
+      expect(statuses.map((status) => status.state)).to.deep.equal(["Defeated", "Active", "Expired"]);
+      expect(statuses[0].calls[0]).to.include({ contract: "governanceManager", call: 'setParam("lp_fee_bps", 25)' });
+      expect(statuses[1].calls[0]).to.include({ signature: null, call: "0x" });
+    });
+  });
+});
@@ -0,0 +1,281 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  DeploymentRegistry,
+  loadManifest,
+  validateManifest,
+  planParameters,
+  summarizeParameterPlan,
+  formatParameterPlan,
+  applyParameterPlan,
+  buildParameterProposal,
+} = require("../src/deploy");
+const { buildProposal, simulateCalls } = require("../src/governance");
+const { MANIFEST, deploySystemFixture } = require("./helpers/system");
+
+describe("Parameter Sync", function () {
+  const manifest = loadManifest(MANIFEST);
+  const ORACLES = ["cryptoOracle", "stockOracle", "forexOracle", "commodityOracle", "indexOracle"];
+  const key = (name) => ethers.encodeBytes32String(name);
+
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "chainflow-parameters-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function plan(record, spec = manifest) {
+    return planParameters({ ethers, manifest: spec, record });
+  }
+
+  function saveRecord(record) {
+    const registry = new DeploymentRegistry(dir);
+    registry.save(structuredClone(record));
+    return registry.pathFor(record.name);
+  }
+
+  async function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await fn();
+    } finally {
+      console.log = log;
+    }
+  }
+
+  /** Drift on three contracts: a shorter payout cooldown, a looser crypto deviation, a new vesting period */
+  async function driftedFixture() {
+    const system = await deploySystemFixture();
+    const { payoutManager, cryptoOracle, governanceManager } = system;
+    await payoutManager.updatePayoutCooldown(3 * 86400);
+    await cryptoOracle.updateMaxDeviation(2000);
+    await governanceManager.setParam(key("lp_vesting_period"), 2 * 86400);
+    return system;
+  }
+
+  describe("Manifest", function () {
+    it("Should reject bindings to unknown contracts, without a getter, with long keys or twice", function () {
+      const contracts = [{ name: "governanceManager", contract: "GovernanceManager" }];
+      const binding = { key: "payout_cooldown", contract: "governanceManager", getter: "votingPeriod" };
+      const check = (parameters) => () => validateManifest({ contracts, parameters });
+
+      expect(check([binding])).not.to.throw();
+      expect(check([{ ...binding, contract: "payoutManager" }])).to.throw("targets unknown contract payoutManager");
+      expect(check([{ ...binding, getter: undefined }])).to.throw("needs a key and a getter");
+      expect(check([{ ...binding, key: "x".repeat(32) }])).to.throw("longer than 31 bytes");
+      expect(check([binding, binding])).to.throw("binds payout_cooldown to governanceManager twice");
+      expect(() =>
+        validateManifest({ contracts: [{ name: "a", contract: "A" }], parameters: [{ ...binding, contract: "a" }] }),
+      ).to.throw("parameters need a governanceManager contract");
+    });
+  });
+
+  describe("Plan", function () {
+    it("Should bind every live parameter and find no drift after deployment", async function () {
+      const { record, governanceManager, keeperIncentive, stockOracle } = await loadFixture(deploySystemFixture);
+      const entries = await plan(record);
+
+      expect(summarizeParameterPlan(entries)).to.deep.equal({
+        register: 0,
+        update: 0,
+        fixed: 0,
+        unbound: 4,
+        none: manifest.parameters.length,
+      });
+      expect(entries.filter((entry) => entry.action === "unbound").map((entry) => entry.key)).to.deep.equal([
+        "max_leverage",
+        "lp_fee_bps",
+        "protocol_fee_bps",
+        "emergency_threshold",
+      ]);
+      expect(
+        entries.filter((entry) => entry.key === "oracle_max_deviation_bps").map((entry) => entry.contract),
+      ).to.deep.equal(ORACLES);
+
+      // The deployer registered the keys GovernanceManager does not initialize, from their live values
+      expect(record.parameters.map((entry) => entry.key)).to.include.members([
+        "lp_vesting_period",
+        "keeper_min_stake",
+        "keeper_slash_bps",
+        "oracle_max_deviation_bps",
+        "stock_oracle_staleness",
+      ]);
+      expect(record.parameters.map((entry) => entry.key)).not.to.include("payout_cooldown");
+      expect(await governanceManager.getParam(key("keeper_min_stake"))).to.equal(
+        await keeperIncentive.minStakeAmount(),
+      );
+      expect(await governanceManager.getParam(key("stock_oracle_staleness"))).to.equal(86400);
+      expect(await governanceManager.getParam(key("stock_oracle_staleness"))).to.equal(
+        await stockOracle.stalenessThreshold(),
+      );
+    });
+
+    it("Should report drift on the contracts and fix it with admin calls", async function () {
+      const { record, payoutManager, capitalPool, cryptoOracle } = await loadFixture(driftedFixture);
+      const entries = await plan(record);
+
+      expect(summarizeParameterPlan(entries)).to.include({ register: 0, update: 3, fixed: 0 });
+      const lines = formatParameterPlan(entries).filter((line) => line.startsWith("~"));
+      expect(lines).to.have.lengthOf(3);
+      expect(lines[0]).to.match(/^~ payout_cooldown\s+payoutManager\.payoutCooldown\s+259200 → 604800$/);
+      expect(lines[1]).to.match(/^~ lp_vesting_period\s+capitalPool\.vestingPeriod\s+604800 → 172800$/);
+      expect(lines[2]).to.match(/^~ oracle_max_deviation_bps\s+cryptoOracle\.maxPriceDeviationBps\s+2000 → 1000$/);
+
+      const applied = await applyParameterPlan({ ethers, plan: entries });
+      expect(applied.map(({ contract, key: name, value }) => `${contract}.${name}=${value}`)).to.deep.equal([
+        "payoutManager.payout_cooldown=604800",
+        "capitalPool.lp_vesting_period=172800",
+        "cryptoOracle.oracle_max_deviation_bps=1000",
+      ]);
+      expect(await payoutManager.payoutCooldown()).to.equal(7 * 86400);
+      expect(await capitalPool.vestingPeriod()).to.equal(2 * 86400);
+      expect(await cryptoOracle.maxPriceDeviationBps()).to.equal(1000);
+
+      expect(summarizeParameterPlan(await plan(record))).to.include({ register: 0, update: 0, fixed: 0 });
+    });
+
+    it("Should flag constants that differ from the registry and never try to set them", async function () {
+      const { record, governanceManager } = await loadFixture(deploySystemFixture);
+      await governanceManager.setParam(key("min_payout"), ethers.parseEther("50"));
+
+      const entries = await plan(record);
+      const fixed = entries.find((entry) => entry.action === "fixed");
+      expect(fixed).to.include({ key: "min_payout", contract: "payoutManager", getter: "MIN_PAYOUT", setter: null });
+      expect(formatParameterPlan([fixed])[0]).to.match(/^! min_payout .* needs an upgrade/);
+
+      expect(await applyParameterPlan({ ethers, plan: entries })).to.deep.equal([]);
+      expect(buildParameterProposal(entries)).to.be.null;
+    });
+
+    it("Should register a bound key missing from the registry from its first binding's live value", async function () {
+      const { record, governanceManager, keeperIncentive } = await loadFixture(deploySystemFixture);
+      const spec = {
+        ...manifest,
+        parameters: [
+          { key: "keeper_action_cooldown", contract: "keeperIncentive", getter: "actionCooldown" },
+          { key: "keeper_action_cooldown", contract: "cryptoOracle", getter: "stalenessThreshold" },
+        ],
+      };
+
+      const entries = (await plan(record, spec)).filter((entry) => entry.key === "keeper_action_cooldown");
+      expect(entries.map(({ contract, action, desired }) => [contract, action, desired])).to.deep.equal([
+        ["keeperIncentive", "register", 60n],
+        ["cryptoOracle", "none", 60n],
+      ]);
+
+      const applied = await applyParameterPlan({ ethers, plan: entries });
+      expect(applied).to.have.lengthOf(1);
+      expect(applied[0]).to.include({
+        key: "keeper_action_cooldown",
+        contract: "governanceManager",
+        action: "register",
+      });
+      expect(await governanceManager.getParam(key("keeper_action_cooldown"))).to.equal(
+        await keeperIncentive.actionCooldown(),
+      );
+    });
+  });
+
+  describe("Governance", function () {
+    it("Should generate a proposal that syncs the contracts once governance holds their roles", async function () {
+      const { record, governanceManager, payoutManager, capitalPool, cryptoOracle } = await loadFixture(driftedFixture);
+      const proposal = buildParameterProposal(await plan(record));
+
+      expect(proposal.description).to.equal(
+        "Bring payout_cooldown, lp_vesting_period, oracle_max_deviation_bps in line with the " +
+          "GovernanceManager registry",
+      );
+      expect(proposal.actions).to.deep.equal([
+        { contract: "payoutManager", function: "updatePayoutCooldown", args: ["604800"] },
+        { contract: "capitalPool", function: "setVestingPeriod", args: ["172800"] },
+        { contract: "cryptoOracle", function: "updateMaxDeviation", args: ["1000"] },
+      ]);
+
+      const readArtifact = (name) => hre.artifacts.readArtifact(name);
+      const { calls } = await buildProposal({ proposal, record, readArtifact });
+      const simulate = () =>
+        simulateCalls({
+          provider: ethers.provider,
+          governanceManager: record.contracts.governanceManager,
+          calls,
+          fork: true,
+        });
+
+      // The manifest leaves the setters' roles with the deployer
+      expect((await simulate()).map((result) => result.ok)).to.deep.equal([false, false, false]);
+
+      const governance = await governanceManager.getAddress();
+      await payoutManager.grantRole(await payoutManager.GOVERNANCE_ROLE(), governance);
+      await capitalPool.grantRole(await capitalPool.GOVERNANCE_ROLE(), governance);
+      await cryptoOracle.grantRole(await cryptoOracle.ADMIN_ROLE(), governance);
+      expect((await simulate()).map((result) => result.ok)).to.deep.equal([true, true, true]);
+      // Simulation is rolled back
+      expect(await payoutManager.payoutCooldown()).to.equal(3 * 86400);
+    });
+  });
+
+  describe("Task", function () {
+    it("Should only report on --dry-run", async function () {
+      const { record, payoutManager } = await loadFixture(driftedFixture);
+      const deployment = saveRecord(record);
+
+      const { summary, applied } = await quietly(() =>
+        hre.run("params:sync", { deployment, manifest: manifest.file, dryRun: true }),
+      );
+      expect(summary).to.include({ update: 3 });
+      expect(applied).to.deep.equal([]);
+      expect(await payoutManager.payoutCooldown()).to.equal(3 * 86400);
+    });
+
+    it("Should sync directly when the sender holds the setters' roles", async function () {
+      const { record, payoutManager } = await loadFixture(driftedFixture);
+      const deployment = saveRecord(record);
+
+      const { applied, proposal } = await quietly(() =>
+        hre.run("params:sync", { deployment, manifest: manifest.file }),
+      );
+      expect(applied).to.have.lengthOf(3);
+      expect(proposal).to.be.null;
+      expect(await payoutManager.payoutCooldown()).to.equal(7 * 86400);
+      expect(summarizeParameterPlan(await plan(record))).to.include({ update: 0 });
+    });
+
+    it("Should write a proposal for gov:propose in governance mode", async function () {
+      const { record, payoutManager } = await loadFixture(driftedFixture);
+      const deployment = saveRecord(record);
+      const out = path.join(dir, "params.json");
+
+      const { applied, simulation } = await quietly(() =>
+        hre.run("params:sync", { deployment, manifest: manifest.file, mode: "governance", out }),
+      );
+      expect(applied).to.deep.equal([]);
+      expect(simulation.every((result) => !result.ok)).to.be.true;
+      expect(await payoutManager.payoutCooldown()).to.equal(3 * 86400);
+
+      const written = JSON.parse(fs.readFileSync(out, "utf8"));
+      expect(written.actions).to.have.lengthOf(3);
+      const { simulation: proposed } = await quietly(() =>
+        hre.run("gov:propose", { proposal: out, deployment, dryRun: true, force: true }),
+      );
+      expect(proposed.map((result) => result.call)).to.deep.equal([
+        "updatePayoutCooldown(604800)",
+        "setVestingPeriod(172800)",
+        "updateMaxDeviation(1000)",
+      ]);
+    });
+
+    it("Should reject an unknown mode", async function () {
+      await expect(hre.run("params:sync", { mode: "multisig" })).to.be.rejectedWith("Unknown mode multisig");
+    });
+  });
+});
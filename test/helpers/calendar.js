@@ -0,0 +1,56 @@
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { zonedParts, zonedTimestamp, MarketCalendar, loadCalendar } = require("../../src/oracles");
+
+/**
+ * Market-calendar dates relative to the chain's clock
+ *
+ * Tests that move the chain to a trading session pick it from the current block time rather than a
+ * fixed date, so they keep passing as the calendar years go by.
+ */
+
+const DAY = 86400;
+
+/** Time zone of the NYSE and FX calendars */
+const NEW_YORK = "America/New_York";
+
+/** YYYY-MM-DD `days` after a date */
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY * 1000).toISOString().slice(0, 10);
+
+/** A calendar's sessions without its holiday table, which runs out while chain time moves on */
+function withoutHolidays(name) {
+  const { holidays, earlyCloses, ...calendar } = loadCalendar(name);
+  return new MarketCalendar(calendar);
+}
+
+/**
+ * New York date of the first Monday after the chain's clock with no DST change in the week after it,
+ * so both Mondays have the same session hours in UTC
+ * @returns {Promise<string>} YYYY-MM-DD
+ */
+async function nextMonday() {
+  const { date, weekday } = zonedParts(await time.latest(), NEW_YORK);
+  const offset = (day) => zonedTimestamp(day, "12:00", NEW_YORK) - Date.parse(`${day}T12:00:00Z`) / 1000;
+  let monday = addDays(date, (8 - weekday) % 7 || 7);
+  while (offset(monday) !== offset(addDays(monday, 7))) monday = addDays(monday, 7);
+  return monday;
+}
+
+/**
+ * Move the chain to a New York wall-clock time
+ * @param {string} date Local date, YYYY-MM-DD
+ * @param {string} localTime Local time, HH:MM
+ * @returns {Promise<number>} The new block time
+ */
+async function travelTo(date, localTime) {
+  await time.increaseTo(zonedTimestamp(date, localTime, NEW_YORK));
+  return time.latest();
+}
+
+module.exports = {
+  DAY,
+  NEW_YORK,
+  addDays,
+  withoutHolidays,
+  nextMonday,
+  travelTo,
+};
@@ -0,0 +1,277 @@
+const { createRng } = require("./trades");
+
+/**
+ * Stateful property testing in the style of fast-check's model-based runner
+ *
+ * A property is a `setup` that returns a fresh `{ system, model }`, a set of commands and a set of invariants.
+ * Each run draws a random command sequence from a seed, executes it from a fresh setup and checks every invariant
+ * after every step. A failing sequence is shrunk, by dropping commands and then by shrinking their arguments, to
+ * the smallest sequence that still fails the same way, and reported with a JSON replay of it.
+ *
+ * Command arguments are plain JSON (numbers, strings, booleans) so any sequence can be replayed verbatim; commands
+ * turn them into amounts against the current state, typically as basis points of what is available.
+ *
+ * @typedef {object} Command
+ * @property {string} name
+ * @property {number} [weight=1] Relative frequency in generated sequences
+ * @property {function(function(): number): object} arbitrary Draw arguments from the rng
+ * @property {function(object, object, object): (boolean|Promise<boolean>)} [check] `(system, model, args)`: whether
+ *   the command applies in this state; commands that do not apply are skipped, which keeps shrunk sequences valid
+ * @property {function(object, object, object): Promise<void>} run `(system, model, args)`: act on the system and
+ *   update the model
+ * @property {function(object): object[]} [shrink] Smaller candidates for `args`, most aggressive first
+ *
+ * @typedef {object} Invariant
+ * @property {string} name
+ * @property {function(object, object): Promise<void>} check `(system, model)`: throw when violated
+ */
+
+/** Defaults, overridable per property and from the environment */
+const DEFAULT_RUNS = 5;
+const DEFAULT_STEPS = 20;
+const DEFAULT_SHRINK_BUDGET = 500;
+
+/**
+ * Read INVARIANT_SEED, INVARIANT_RUNS, INVARIANT_STEPS and INVARIANT_REPLAY
+ * @param {object} [env=process.env]
+ * @returns {{seed?: number, runs?: number, steps?: number, replay?: object[]}}
+ */
+function optionsFromEnv(env = process.env) {
+  const options = {};
+  for (const [key, name] of [
+    ["seed", "INVARIANT_SEED"],
+    ["runs", "INVARIANT_RUNS"],
+    ["steps", "INVARIANT_STEPS"],
+  ]) {
+    if (env[name] === undefined || env[name] === "") continue;
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value < 0) throw new Error(`${name} must be a non-negative integer`);
+    options[key] = value;
+  }
+  if (env.INVARIANT_REPLAY) {
+    const replay = JSON.parse(env.INVARIANT_REPLAY);
+    if (!Array.isArray(replay)) throw new Error("INVARIANT_REPLAY must be a JSON array of steps");
+    options.replay = replay;
+  }
+  return options;
+}
+
+/**
+ * Random integer in [min, max], biased toward the bounds (one draw in eight lands on min or max) since that is
+ * where accounting breaks
+ * @param {function(): number} rng
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function integer(rng, min, max) {
+  const roll = rng();
+  if (roll < 1 / 16) return min;
+  if (roll < 1 / 8) return max;
+  return min + Math.floor(rng() * (max - min + 1));
+}
+
+/**
+ * Draw a sequence of `steps` commands, weighted by `weight`
+ * @returns {{command: string, args: object}[]}
+ */
+function generateSequence(rng, commands, steps) {
+  const total = commands.reduce((sum, command) => sum + (command.weight ?? 1), 0);
+  const sequence = [];
+  for (let i = 0; i < steps; i++) {
+    let pick = rng() * total;
+    const command = commands.find((candidate) => (pick -= candidate.weight ?? 1) < 0) || commands.at(-1);
+    sequence.push({ command: command.name, args: command.arbitrary(rng) });
+  }
+  return sequence;
+}
+
+/**
+ * Execute `sequence` from a fresh setup, checking invariants after each applied step
+ * @returns {Promise<{failure: ?{step: number, kind: string, name: string, error: Error}, applied: object[]}>}
+ *   `applied` lists the steps that ran (skipped commands are left out)
+ */
+async function executeSequence({ setup, commands, invariants }, sequence) {
+  const byName = new Map(commands.map((command) => [command.name, command]));
+  const { system, model } = await setup();
+  const applied = [];
+
+  for (const [step, entry] of sequence.entries()) {
+    const command = byName.get(entry.command);
+    if (!command) throw new Error(`Unknown command "${entry.command}" at step ${step}`);
+    if (command.check && !(await command.check(system, model, entry.args))) continue;
+
+    applied.push(entry);
+    try {
+      await command.run(system, model, entry.args);
+    } catch (error) {
+      return { failure: { step, kind: "command", name: command.name, error }, applied };
+    }
+
+    for (const invariant of invariants) {
+      try {
+        await invariant.check(system, model);
+      } catch (error) {
+        return { failure: { step, kind: "invariant", name: invariant.name, error }, applied };
+      }
+    }
+  }
+
+  return { failure: null, applied };
+}
+
+/** Two failures are "the same" when the same invariant (or the same command) broke */
+function sameFailure(a, b) {
+  return a !== null && b !== null && a.kind === b.kind && a.name === b.name;
+}
+
+/**
+ * Shrink a failing sequence: drop chunks of commands (halving the chunk size down to single commands), then try
+ * each command's `shrink` candidates, repeating until nothing smaller fails the same way or the budget runs out
+ * @returns {Promise<{sequence: object[], failure: object, attempts: number}>}
+ */
+async function shrinkSequence(property, sequence, failure, budget = DEFAULT_SHRINK_BUDGET) {
+  const byName = new Map(property.commands.map((command) => [command.name, command]));
+  let current = { sequence, failure };
+  let attempts = 0;
+
+  const attempt = async (candidate) => {
+    if (attempts >= budget) return false;
+    attempts++;
+    const result = await executeSequence(property, candidate);
+    if (!sameFailure(result.failure, failure)) return false;
+    // Keep only what ran up to the failure; later and skipped steps are irrelevant to it
+    current = { sequence: result.applied, failure: result.failure };
+    return true;
+  };
+
+  let progress = true;
+  while (progress && attempts < budget) {
+    progress = false;
+
+    for (let chunk = Math.max(1, Math.floor(current.sequence.length / 2)); chunk >= 1; chunk = Math.floor(chunk / 2)) {
+      for (let start = 0; start < current.sequence.length;) {
+        const candidate = [...current.sequence.slice(0, start), ...current.sequence.slice(start + chunk)];
+        if (candidate.length < current.sequence.length && (await attempt(candidate))) progress = true;
+        else start += chunk;
+      }
+    }
+
+    for (let index = 0; index < current.sequence.length; index++) {
+      const entry = current.sequence[index];
+      for (const args of byName.get(entry.command).shrink?.(entry.args) ?? []) {
+        const candidate = [...current.sequence];
+        candidate[index] = { ...entry, args };
+        if (await attempt(candidate)) {
+          progress = true;
+          break;
+        }
+      }
+    }
+  }
+
+  return { ...current, attempts };
+}
+
+/**
+ * Integer shrink candidates: `target` itself, then values halfway between `target` and `value`
+ * @param {number} value
+ * @param {number} [target=0]
+ * @returns {number[]}
+ */
+function shrinkInteger(value, target = 0) {
+  if (value === target) return [];
+  const candidates = [target];
+  for (let delta = Math.trunc((value - target) / 2); delta !== 0; delta = Math.trunc(delta / 2)) {
+    if (value - delta !== target) candidates.push(value - delta);
+  }
+  return candidates;
+}
+
+/** Shrink candidates for one numeric field of `args`, toward `target` */
+function shrinkField(args, field, target = 0) {
+  return shrinkInteger(args[field], target).map((value) => ({ ...args, [field]: value }));
+}
+
+function formatSequence(sequence) {
+  return sequence.map((entry, i) => `  ${i + 1}. ${entry.command} ${JSON.stringify(entry.args)}`).join("\n");
+}
+
+/**
+ * Run a property and throw on the first failing sequence, shrunk
+ * @param {{setup: function(): Promise<{system: object, model: object}>, commands: Command[],
+ *   invariants: Invariant[]}} property
+ * @param {object} [options]
+ * @param {number} [options.seed] Seed of the first run; run `i` uses `seed + i`. Defaults to a random seed
+ * @param {number} [options.runs=5]
+ * @param {number} [options.steps=20] Commands drawn per run (skipped ones included)
+ * @param {object[]} [options.replay] Execute this sequence once instead of generating any
+ * @param {number} [options.shrinkBudget=500] Maximum sequences executed while shrinking
+ * @param {string} [options.replayCommand] Shown after `INVARIANT_REPLAY=...` in the failure message
+ * @returns {Promise<{runs: number, seed: ?number, applied: Object<string, number>}>} Runs made, and how many times
+ *   each command was applied across them (commands that never applied are missing)
+ */
+async function checkProperty(property, options = {}) {
+  const {
+    seed = Math.floor(Math.random() * 2 ** 31),
+    runs = DEFAULT_RUNS,
+    steps = DEFAULT_STEPS,
+    replay,
+    shrinkBudget = DEFAULT_SHRINK_BUDGET,
+    replayCommand = "pnpm test",
+  } = options;
+
+  const fail = (header, sequence, failure) => {
+    const error = new Error(
+      `${header}\n${formatSequence(sequence)}\n` +
+        `${failure.kind === "invariant" ? "Invariant" : "Command"} "${failure.name}" failed at step ` +
+        `${sequence.length}: ${failure.error.message}\n` +
+        `Replay: INVARIANT_REPLAY='${JSON.stringify(sequence)}' ${replayCommand}`,
+    );
+    error.sequence = sequence;
+    error.failure = failure;
+    throw error;
+  };
+
+  const applied = {};
+  const count = (entries) => entries.forEach(({ command }) => (applied[command] = (applied[command] || 0) + 1));
+
+  if (replay) {
+    const result = await executeSequence(property, replay);
+    if (result.failure) {
+      fail(`Replayed sequence failed (${result.applied.length} steps applied):`, result.applied, result.failure);
+    }
+    count(result.applied);
+    return { runs: 1, seed: null, applied };
+  }
+
+  for (let run = 0; run < runs; run++) {
+    const sequence = generateSequence(createRng(seed + run), property.commands, steps);
+    const result = await executeSequence(property, sequence);
+    count(result.applied);
+    if (!result.failure) continue;
+
+    const shrunk = await shrinkSequence(property, result.applied, result.failure, shrinkBudget);
+    fail(
+      `Property failed on run ${run + 1} (INVARIANT_SEED=${seed}); shrunk from ${result.applied.length} to ` +
+        `${shrunk.sequence.length} steps in ${shrunk.attempts} attempts:`,
+      shrunk.sequence,
+      shrunk.failure,
+    );
+  }
+
+  return { runs, seed, applied };
+}
+
+module.exports = {
+  DEFAULT_RUNS,
+  DEFAULT_STEPS,
+  optionsFromEnv,
+  integer,
+  generateSequence,
+  executeSequence,
+  shrinkSequence,
+  shrinkInteger,
+  shrinkField,
+  checkProperty,
+};
@@ -0,0 +1,145 @@
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadManifest, runDeployment, DEPLOYMENTS_DIR } = require("../../src/deploy");
+const { registerTrader } = require("../../src/traders");
+
+/**
+ * Full ChainFlow-v2 system, deployed from the production manifest
+ *
+ * The 15 proxies and their role grants come from deploy/paxeer-network.json through runDeployment,
+ * the same code path as scripts/deploy-all.js, so tests break when the manifest and the contracts
+ * drift apart. MockERC20 stands in for USDT, and the named signers get the roles an operations team
+ * would hand out after deployment.
+ */
+
+/** Manifest the fixture deploys; the only network ChainFlow-v2 ships to */
+const MANIFEST = "paxeer-network";
+
+/** Hardhat accounts, in order; the deployer is admin, governance and primary operator, as in production */
+const SIGNER_NAMES = ["deployer", "operator", "feeder", "guardian", "keeper", "lp", "trader", "stranger"];
+
+/** Deposit tokens minted to the LP and the keeper */
+const LP_BALANCE = ethers.parseEther("1000000");
+const KEEPER_BALANCE = ethers.parseEther("10000");
+
+/** Off-chain account of the registered trader (traderId = deriveTraderId(TRADER_ACCOUNT)) */
+const TRADER_ACCOUNT = "fixture-trader";
+
+/** Prices (8 decimals) the feeder posts for every symbol OracleRegistry maps by default */
+const SEED_PRICES = {
+  cryptoOracle: { "BTC/USD": 45000_00000000n, "ETH/USD": 2500_00000000n, "SOL/USD": 100_00000000n },
+  stockOracle: { "AAPL/USD": 175_00000000n, "TSLA/USD": 250_00000000n },
+  forexOracle: { "EUR/USD": 1_08000000n, "GBP/USD": 1_25000000n },
+  commodityOracle: { "XAU/USD": 2000_00000000n, "WTI/USD": 80_00000000n },
+  indexOracle: { "SPX/USD": 5000_00000000n, "NDX/USD": 17500_00000000n },
+};
+
+/** Registry that keeps the record in memory, so fixtures never touch deployments/ */
+function memoryRegistry() {
+  let saved = null;
+  return {
+    dir: DEPLOYMENTS_DIR,
+    load: () => saved,
+    save: (record) => {
+      saved = JSON.parse(JSON.stringify(record));
+    },
+  };
+}
+
+/**
+ * Deploy and wire the whole system
+ * @param {object} [options]
+ * @param {boolean} [options.seedPrices=true] Post SEED_PRICES from the feeder
+ * @returns {Promise<object>} Named signers, `usdc`, the deployment `record`, every contract by record
+ *   name (also under `contracts`), `traderId` and `seedPrices`
+ */
+async function deploySystem({ seedPrices = true } = {}) {
+  const accounts = await ethers.getSigners();
+  const signers = Object.fromEntries(SIGNER_NAMES.map((name, i) => [name, accounts[i]]));
+  const { deployer, operator, feeder, guardian, keeper, lp, trader } = signers;
+
+  const usdc = await (await ethers.getContractFactory("MockERC20")).deploy("USD Coin", "USDC", 18);
+  await usdc.waitForDeployment();
+
+  const record = await runDeployment({
+    hre,
+    manifest: loadManifest(MANIFEST),
+    name: "fixture",
+    registry: memoryRegistry(),
+    params: {
+      depositToken: await usdc.getAddress(),
+      rewardToken: await usdc.getAddress(),
+      oracleFeeder: feeder.address,
+    },
+    env: {},
+    log: () => {},
+  });
+
+  const contracts = {};
+  for (const [name, address] of Object.entries(record.contracts)) {
+    contracts[name] = await ethers.getContractAt(record.artifacts[name], address);
+  }
+  const { operatorRegistry, vault, capitalPool, traderRegistry, tradeLedger, payoutManager, keeperIncentive } =
+    contracts;
+
+  // Operator: registered, and allowed to submit batches, sign registrations and sign payouts
+  await operatorRegistry.addOperator(operator.address, "Fixture Operator");
+  for (const contract of [tradeLedger, traderRegistry, payoutManager]) {
+    await contract.grantRole(await contract.OPERATOR_ROLE(), operator.address);
+  }
+
+  await vault.addGuardian(guardian.address);
+
+  await usdc.mint(keeper.address, KEEPER_BALANCE);
+  const minStake = await keeperIncentive.minStakeAmount();
+  await usdc.connect(keeper).approve(await keeperIncentive.getAddress(), minStake);
+  await keeperIncentive.connect(keeper).registerKeeper(minStake);
+
+  await usdc.mint(lp.address, LP_BALANCE);
+  await usdc.connect(lp).approve(await capitalPool.getAddress(), ethers.MaxUint256);
+
+  const { traderId } = await registerTrader({
+    registry: traderRegistry,
+    operator,
+    accountId: TRADER_ACCOUNT,
+    traderAddress: trader.address,
+  });
+
+  if (seedPrices) {
+    for (const [name, prices] of Object.entries(SEED_PRICES)) {
+      const symbols = Object.keys(prices).map((symbol) => ethers.id(symbol));
+      await contracts[name].connect(feeder).updatePriceBatch(
+        symbols,
+        Object.values(prices),
+        symbols.map(() => 50),
+      );
+    }
+  }
+
+  return {
+    ...signers,
+    signers,
+    usdc,
+    record,
+    contracts,
+    ...contracts,
+    traderId,
+    seedPrices: seedPrices ? SEED_PRICES : {},
+  };
+}
+
+/** loadFixture-compatible wrapper: `await loadFixture(deploySystemFixture)` */
+function deploySystemFixture() {
+  return deploySystem();
+}
+
+module.exports = {
+  MANIFEST,
+  SIGNER_NAMES,
+  LP_BALANCE,
+  KEEPER_BALANCE,
+  TRADER_ACCOUNT,
+  SEED_PRICES,
+  deploySystem,
+  deploySystemFixture,
+};
@@ -0,0 +1,70 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Small seeded PRNG (mulberry32) so randomized tests are reproducible
+ * @param {number} seed Integer seed
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+function createRng(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Build a TradeLedger.Trade with sensible defaults
+ */
+function makeTrade(overrides = {}) {
+  return {
+    traderId: ethers.keccak256(ethers.toUtf8Bytes("trader-1")),
+    tradeId: ethers.keccak256(ethers.toUtf8Bytes("trade-1")),
+    symbol: "BTC/USD",
+    side: 0,
+    size: ethers.parseEther("1"),
+    entryPrice: 45000_00000000n,
+    exitPrice: 45500_00000000n,
+    pnl: ethers.parseEther("500"),
+    fee: ethers.parseEther("2"),
+    timestamp: 1_700_000_000n,
+    ...overrides,
+  };
+}
+
+/**
+ * Generate `count` random trades spread across `traderIds`
+ */
+function randomTrades(rng, count, traderIds, prefix = "trade") {
+  const symbols = ["BTC/USD", "ETH/USD", "SOL/USD", "EUR/USD", "AAPL/USD"];
+  const trades = [];
+
+  for (let i = 0; i < count; i++) {
+    const pnl = BigInt(Math.floor(rng() * 20_000)) - 8_000n;
+    trades.push(
+      makeTrade({
+        traderId: traderIds[Math.floor(rng() * traderIds.length)],
+        tradeId: ethers.keccak256(ethers.toUtf8Bytes(`${prefix}-${i}-${Math.floor(rng() * 1e9)}`)),
+        symbol: symbols[Math.floor(rng() * symbols.length)],
+        side: rng() < 0.5 ? 0 : 1,
+        size: ethers.parseEther(String(1 + Math.floor(rng() * 100))),
+        entryPrice: BigInt(1 + Math.floor(rng() * 50_000)) * 100000000n,
+        exitPrice: BigInt(1 + Math.floor(rng() * 50_000)) * 100000000n,
+        pnl: pnl * 10n ** 18n,
+        fee: ethers.parseEther(String(Math.floor(rng() * 10))),
+        timestamp: BigInt(1_700_000_000 + i * 60),
+      }),
+    );
+  }
+
+  return trades;
+}
+
+module.exports = {
+  createRng,
+  makeTrade,
+  randomTrades,
+};